@@ -14,9 +14,11 @@ import MobileSettings from './components/mobile/MobileSettings';
 import { ToastProvider } from './contexts/ToastContext';
 import SharedTextModal from './components/modals/SharedTextModal';
 import CopiedTextModal from './components/modals/CopiedTextModal';
+import ReminderListener from './components/common/ReminderListener';
 import { useAuth } from './hooks/useAuth';
 import { useChat } from './hooks/useChat';
 import { auth } from './config/firebaseConfig';
+import { INVITE_LINK_PARAM, PENDING_INVITE_STORAGE_KEY } from './utils/coordinationUtils';
 
 const libraries = ['places'];
 
@@ -247,13 +249,15 @@ function App() {
          language="ko"
       >
          <ToastProvider>
+         {isLoggedIn && <ReminderListener user={user} />}
          <Router>
             <Routes>
                <Route path="/auth" element={
                   (() => {
                      const params = new URLSearchParams(window.location.search);
                      const hasCalendarCallback = params.get('calendarConnected') || params.get('calendarError');
-                     if (isLoggedIn && !hasCalendarCallback) return <Navigate to="/" />;
+                     // 로그인 전에 연 초대 링크가 있으면 로그인 후 그룹 화면으로 이동해 참여 모달을 염
+                     if (isLoggedIn && !hasCalendarCallback) return <Navigate to={sessionStorage.getItem(PENDING_INVITE_STORAGE_KEY) ? '/groups' : '/'} />;
                      return <AuthScreen onLoginSuccess={handleLoginSuccess} />;
                   })()
                } />
@@ -264,7 +268,12 @@ function App() {
                   isLoggedIn ? <MobileScheduleView user={user} isClipboardMonitoring={isClipboardMonitoring} setIsClipboardMonitoring={setIsClipboardMonitoring} isVoiceEnabled={isVoiceRecognitionEnabled} setIsVoiceEnabled={handleToggleVoiceRecognition} /> : <Navigate to="/auth" />
                } />
                <Route path="/groups" element={
-                  isLoggedIn ? <MobileGroupsView user={user} isClipboardMonitoring={isClipboardMonitoring} setIsClipboardMonitoring={setIsClipboardMonitoring} isVoiceEnabled={isVoiceRecognitionEnabled} setIsVoiceEnabled={handleToggleVoiceRecognition} /> : <Navigate to="/auth" />
+                  (() => {
+                     if (isLoggedIn) return <MobileGroupsView user={user} isClipboardMonitoring={isClipboardMonitoring} setIsClipboardMonitoring={setIsClipboardMonitoring} isVoiceEnabled={isVoiceRecognitionEnabled} setIsVoiceEnabled={handleToggleVoiceRecognition} />;
+                     const inviteToken = new URLSearchParams(window.location.search).get(INVITE_LINK_PARAM);
+                     if (inviteToken) sessionStorage.setItem(PENDING_INVITE_STORAGE_KEY, inviteToken);
+                     return <Navigate to="/auth" />;
+                  })()
                } />
                <Route path="/calendar" element={
                   isLoggedIn ? <MobileCalendarView user={user} isClipboardMonitoring={isClipboardMonitoring} setIsClipboardMonitoring={setIsClipboardMonitoring} isVoiceEnabled={isVoiceRecognitionEnabled} setIsVoiceEnabled={handleToggleVoiceRecognition} /> : <Navigate to="/auth" />
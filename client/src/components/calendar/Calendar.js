@@ -7,6 +7,7 @@
  *
  * 🎯 주요 기능:
  *    - Google Calendar 일정 표시 및 동기화
+ *    - 반복 일정 회차 표시 (이 일정만 / 이 일정 및 이후 일정 수정·취소)
  *    - 개인 시간(Personal Times) 반복 일정 표시
  *    - 일정 추가/수정/삭제 (Google Calendar)
  *    - 월간/주간/일간/목록 뷰 전환
@@ -21,6 +22,7 @@
  *    - ../../services/userService.js - 사용자 서비스
  *    - ../../config/firebaseConfig.js - Firebase 설정
  *    - /api/calendar/events - Google Calendar API
+ *    - /api/events/range - 반복 일정 회차 (서버에서 전개)
  *    - react-big-calendar - 캘린더 라이브러리
  *
  * 💡 UI 위치:
@@ -193,7 +195,7 @@ const MyCalendar = ({ isListening, onEventAdded, isVoiceRecognitionEnabled, onTo
    /**
     * fetchEvents - 일정 데이터 조회
     *
-    * @description Google Calendar와 개인 시간 데이터를 조회하여 캘린더에 표시
+    * @description Google Calendar, 반복 일정 회차, 개인 시간 데이터를 조회하여 캘린더에 표시
     * @param {Date} currentDate - 조회할 날짜 (해당 월의 일정 조회)
     */
    const fetchEvents = useCallback(async currentDate => {
@@ -246,6 +248,32 @@ const MyCalendar = ({ isListening, onEventAdded, isVoiceRecognitionEnabled, onTo
             }
          }
 
+         // 반복 일정은 서버가 이 달의 회차로 전개한 목록을 받아 표시 (회차별 수정/취소는 EditEventModal)
+         let recurringEvents = [];
+         if (currentUser) {
+            const response = await fetch(
+               `${API_BASE_URL}/api/events/range?startDate=${startOfMonth}&endDate=${endOfMonth}`,
+               { headers: { 'Authorization': `Bearer ${await currentUser.getIdToken()}` } }
+            );
+            if (response.ok) {
+               const data = await response.json();
+               recurringEvents = data
+                  .filter(event => event.isRecurringOccurrence)
+                  .map(event => ({
+                     id: event.id,
+                     title: event.title,
+                     start: new Date(event.startTime),
+                     end: new Date(event.endTime),
+                     allDay: false,
+                     description: event.description,
+                     location: event.location || null,
+                     isRecurringOccurrence: true,
+                     seriesId: event.seriesId,
+                     occurrenceStart: event.occurrenceStart,
+                  }));
+            }
+         }
+
          // 구글 캘린더에 이미 동기화된 personalTimes 이벤트 중복 제거
          const googleSuggestionIds = new Set(
             googleEvents.filter(e => e.suggestionId).map(e => e.suggestionId)
@@ -254,7 +282,7 @@ const MyCalendar = ({ isListening, onEventAdded, isVoiceRecognitionEnabled, onTo
             ? personalEvents.filter(e => !e.suggestionId || !googleSuggestionIds.has(e.suggestionId))
             : personalEvents;
 
-         setEvents([...googleEvents, ...deduplicatedPersonalEvents]);
+         setEvents([...googleEvents, ...recurringEvents, ...deduplicatedPersonalEvents]);
       } catch (error) {
         // Error fetching calendar events - silently handle error
         showAlert('캘린더 이벤트를 가져오는 중 오류가 발생했습니다.', 'error', '오류');
@@ -302,7 +330,10 @@ const MyCalendar = ({ isListening, onEventAdded, isVoiceRecognitionEnabled, onTo
             showAlert('로그인이 필요합니다.', 'error', '로그인 필요');
             return;
          }
-         const response = await fetch(`${API_BASE_URL}/api/calendar/events/${eventToDelete.id}`, {
+         const url = eventToDelete.isRecurringOccurrence
+            ? `${API_BASE_URL}/api/events/${eventToDelete.seriesId}/occurrences/${new Date(eventToDelete.occurrenceStart).getTime()}?scope=this`
+            : `${API_BASE_URL}/api/calendar/events/${eventToDelete.id}`;
+         const response = await fetch(url, {
             method: 'DELETE',
             headers: { 'Authorization': `Bearer ${await currentUser.getIdToken()}` },
          });
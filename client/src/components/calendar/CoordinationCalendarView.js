@@ -14,6 +14,7 @@
  *
  * 🔗 연결된 파일:
  *    - ../../utils/timetableHelpers.js - 시간표 헬퍼 함수
+ *    - ../../utils/timezoneUtils.js - 방 슬롯을 조회자 시간대로 변환
  *    - lucide-react - 아이콘 라이브러리
  *
  * 💡 UI 위치:
@@ -30,6 +31,7 @@
  *    - 배정된 시간은 파란색/보라색, 차단은 빨간색, 이동은 초록색
  *    - 요약 바는 24시간 기준 비율로 표시
  *    - 주간 단위로 표시 (7일)
+ *    - 방 슬롯은 조회자 시간대로 변환해 표시 (슬롯 date는 UTC 자정 기준 날짜)
  *
  * ===================================================================================================
  */
@@ -41,6 +43,7 @@ import {
   getRoomExceptionInfo,
   generateDayTimeSlots
 } from '../../utils/timetableHelpers';
+import { getViewerTimezone, getRoomTimezone, convertSlotsToZone } from '../../utils/timezoneUtils';
 
 /**
  * toYYYYMMDD - 날짜를 YYYY-MM-DD 형식으로 변환
@@ -153,7 +156,7 @@ const getEndTimeForBlock = (block) => {
 
 const CoordinationCalendarView = ({
   roomData,
-  timeSlots = [],
+  timeSlots: roomTimeSlots = [],
   members = [],
   currentUser,
   isRoomOwner,
@@ -165,6 +168,14 @@ const CoordinationCalendarView = ({
 }) => {
   const [currentDate, setCurrentDate] = useState(new Date());
 
+  // 방 시간대 슬롯을 조회자 시간대로 변환 (같은 시간대면 그대로)
+  const roomTimezone = getRoomTimezone(roomData?.settings);
+  const viewerTimezone = getViewerTimezone(currentUser);
+  const timeSlots = useMemo(
+    () => convertSlotsToZone(roomTimeSlots, roomTimezone, viewerTimezone),
+    [roomTimeSlots, roomTimezone, viewerTimezone]
+  );
+
   useEffect(() => {
     if (currentWeekStartDate) {
       setCurrentDate(new Date(currentWeekStartDate));
@@ -257,7 +268,7 @@ const CoordinationCalendarView = ({
     allPossibleSlots.forEach(time => {
       const blockingInfo = getBlockedTimeInfo(time, roomData.settings) || getRoomExceptionInfo(date, time, roomData.settings);
       const assignedSlots = timeSlots.filter(slot =>
-        toYYYYMMDD(slot.date) === toYYYYMMDD(date) &&
+        slot.date && new Date(slot.date).toISOString().split('T')[0] === toYYYYMMDD(date) &&
         time >= slot.startTime && time < slot.endTime
       );
       const travelSlot = assignedSlots.find(slot => slot.isTravel);
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
-import { io } from 'socket.io-client';
+import { createSocket } from '../../utils/socketClient';
 import { Send, Paperclip, Download, FileText, Calendar, Clock } from 'lucide-react';
 import { auth } from '../../config/firebaseConfig';
 import SuggestionModal from './SuggestionModal';
@@ -37,7 +37,7 @@ const GroupChat = ({ roomId, user, isMobile, typoCorrection = false }) => {
     markMessagesAsRead();
 
     // 소켓 연결
-    socketRef.current = io(API_BASE_URL, { transports: ['websocket', 'polling'] });
+    socketRef.current = createSocket();
     
     // 연결 완료 후 room join
     socketRef.current.on('connect', () => {
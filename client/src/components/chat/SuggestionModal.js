@@ -17,7 +17,7 @@ import { createPortal } from 'react-dom';
 import { useToast } from '../../contexts/ToastContext';
 import { X, Calendar, Clock, MapPin, Users, Check, XCircle, Trash2 } from 'lucide-react';
 import { auth } from '../../config/firebaseConfig';
-import { io } from 'socket.io-client';
+import { createSocket } from '../../utils/socketClient';
 import ScheduleDetailModal from './ScheduleDetailModal';
 import CustomAlertModal from '../modals/CustomAlertModal';
 
@@ -31,7 +31,7 @@ const SuggestionModal = ({ isOpen, onClose, roomId, socket: externalSocket, isMo
   // 외부 소켓이 제공되지 않으면 자체 생성
   useEffect(() => {
     if (isOpen && !externalSocket) {
-      const newSocket = io(API_BASE_URL, { transports: ['websocket', 'polling'] });
+      const newSocket = createSocket();
       socketRef.current = newSocket;
 
       newSocket.on('connect', () => {
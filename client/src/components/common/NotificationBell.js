@@ -0,0 +1,119 @@
+/**
+ * ===================================================================================================
+ * NotificationBell.js - 읽지 않은 알림 배지 + 최근 알림 드롭다운
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/common
+ *
+ * 🎯 주요 기능:
+ *    - 종 아이콘 위에 읽지 않은 알림 수 배지 표시 (모든 방의 알림, 실시간 갱신)
+ *    - 클릭 시 최근 알림 목록 드롭다운 표시, 항목 클릭 시 읽음 처리
+ *    - '모두 읽음' 버튼으로 전체 읽음 처리
+ *
+ * 🔗 연결된 파일:
+ *    - ../../hooks/useNotifications.js - 알림 상태/소켓 구독
+ *    - ../mobile/MobileHeader.js - 모바일 헤더 버튼
+ *    - ../coordination/RequestManagement.js - '자리요청 관리' 제목 옆
+ *
+ * 💡 UI 위치:
+ *    - 모바일 헤더 오른쪽 버튼 영역, 조율 탭 > '자리요청 관리' 섹션 제목 옆
+ *
+ * ✏️ 수정 가이드:
+ *    - 버튼 모양은 `buttonClassName` prop으로 사용하는 곳에서 지정합니다.
+ *
+ * ===================================================================================================
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { Bell } from 'lucide-react';
+import { useNotifications } from '../../hooks/useNotifications';
+
+/**
+ * 알림 시간을 상대 시간 문자열로 변환
+ * @param {string} createdAt - ISO 날짜 문자열
+ * @returns {string}
+ */
+const formatRelativeTime = (createdAt) => {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 1) return '방금';
+  if (minutes < 60) return `${minutes}분 전`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}시간 전`;
+  return new Date(createdAt).toLocaleDateString('ko-KR');
+};
+
+/**
+ * NotificationBell
+ * @description 읽지 않은 알림 배지와 최근 알림 드롭다운을 표시하는 버튼.
+ * @param {object} props - 컴포넌트 props
+ * @param {boolean} [props.enabled=true] - 로그인 전에는 false로 전달해 API/소켓 연결을 막음.
+ * @param {string} [props.buttonClassName] - 종 버튼 클래스.
+ * @param {number} [props.iconSize=18] - 종 아이콘 크기.
+ * @returns {JSX.Element}
+ */
+const NotificationBell = ({ enabled = true, buttonClassName = '', iconSize = 18 }) => {
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications(enabled);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // 바깥 클릭 시 닫기
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        className={`relative ${buttonClassName}`}
+        onClick={() => setIsOpen(prev => !prev)}
+        title={unreadCount > 0 ? `읽지 않은 알림 ${unreadCount}개` : '알림'}
+      >
+        <Bell size={iconSize} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] leading-4 text-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg z-[1000]">
+          <div className="flex items-center justify-between px-3 py-2 border-b">
+            <span className="text-sm font-semibold text-gray-800">알림</span>
+            <button
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+              className="text-xs text-blue-500 hover:text-blue-600 disabled:text-gray-300"
+            >
+              모두 읽음
+            </button>
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-3 py-6 text-xs text-gray-500 text-center">알림이 없습니다</p>
+          ) : (
+            <ul>
+              {notifications.map(notification => (
+                <li
+                  key={notification._id}
+                  onClick={() => !notification.readAt && markAsRead(notification._id)}
+                  className={`px-3 py-2 border-b last:border-b-0 cursor-pointer ${notification.readAt ? 'bg-white' : 'bg-blue-50 hover:bg-blue-100'}`}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <span className={`text-xs ${notification.readAt ? 'text-gray-600' : 'font-semibold text-gray-900'}`}>{notification.title}</span>
+                    <span className="text-[10px] text-gray-400 whitespace-nowrap">{formatRelativeTime(notification.createdAt)}</span>
+                  </div>
+                  {notification.message && <p className="text-xs text-gray-500 mt-0.5 line-clamp-2">{notification.message}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
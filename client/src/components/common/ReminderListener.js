@@ -0,0 +1,64 @@
+/**
+ * ===================================================================================================
+ * ReminderListener.js - 서버에서 보내는 일정 알림(리마인더) 팝업을 표시하는 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/common
+ *
+ * 🎯 주요 기능:
+ *    - 인증된 소켓으로 연결 (서버가 개인 채널 `user-<id>`에 자동 조인)
+ *    - 서버 알림 스케줄러가 보내는 `reminder` 이벤트를 수신하여 토스트로 표시
+ *    - 브라우저 알림 권한이 허용된 경우 시스템 알림(Notification)도 함께 표시
+ *
+ * 🔗 연결된 파일:
+ *    - ../../App.js - ToastProvider 내부에서 렌더링
+ *    - ../../contexts/ToastContext.js - 토스트 표시
+ *    - server/jobs/reminderScheduler.js - `reminder` 이벤트 발송
+ *
+ * 💡 UI 위치:
+ *    - 화면에 직접 그리는 요소는 없으며, 알림 수신 시 하단 토스트로 표시됩니다.
+ *
+ * ✏️ 수정 가이드:
+ *    - 알림 표시 방식을 바꾸려면 `handleReminder` 함수를 수정합니다.
+ *
+ * ===================================================================================================
+ */
+
+import { useEffect } from 'react';
+import { createSocket } from '../../utils/socketClient';
+import { useToast } from '../../contexts/ToastContext';
+
+const REMINDER_TOAST_DURATION = 6000;
+
+/**
+ * ReminderListener
+ * @description 로그인한 사용자의 알림 채널을 구독하고, 알림 수신 시 토스트를 표시하는 비가시 컴포넌트.
+ * @param {object} props - 컴포넌트 props
+ * @param {object|null} props.user - 현재 로그인한 사용자 정보 (id 또는 _id 포함)
+ * @returns {null}
+ */
+const ReminderListener = ({ user }) => {
+  const { showToast } = useToast();
+  const userId = user?.id || user?._id;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const socket = createSocket();
+
+    const handleReminder = (reminder) => {
+      showToast(`${reminder.subject}\n${reminder.text}`, REMINDER_TOAST_DURATION);
+
+      if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification(reminder.subject, { body: reminder.text });
+      }
+    };
+    socket.on('reminder', handleReminder);
+
+    return () => { socket.disconnect(); };
+  }, [userId, showToast]);
+
+  return null;
+};
+
+export default ReminderListener;
@@ -0,0 +1,100 @@
+/**
+ * ===================================================================================================
+ * SavedLocationsEditor.js - 집 외의 저장 장소(학교 / 학원 지점 / 사무실) 편집 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/common
+ *
+ * 🎯 주요 기능:
+ *    - 장소 추가/삭제, 이름과 종류 입력, 주소 검색으로 좌표 지정
+ *    - 변경된 목록을 부모에 전달 (저장은 부모가 프로필 저장 시 savedLocations로 함께 보냄)
+ *
+ * 🔗 연결된 파일:
+ *    - ../mobile/MobilePersonalInfoEdit.js - 개인정보 수정 화면에서 사용
+ *    - ./AddressAutocomplete.js - 장소 주소 검색
+ *    - ../../utils/savedLocations.js - 장소 종류 이름 (LOCATION_KIND_LABELS)
+ *    - server/utils/savedLocations.js - 서버 검증 (이름 중복, 좌표 필수, 최대 개수)
+ *
+ * 💡 UI 위치:
+ *    - 설정 > 개인정보 수정 > 주소 아래 '자주 가는 장소'
+ *
+ * ✏️ 수정 가이드:
+ *    - 장소 종류를 추가하려면 utils/savedLocations.js의 LOCATION_KIND_LABELS와 서버 LOCATION_KINDS를 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 프로필 주소는 항상 '집'으로 쓰이므로 여기에는 그 외 장소만 등록합니다.
+ *    - 선호시간마다 어느 장소에서 수업할지는 일정 편집 화면에서 고릅니다.
+ *
+ * ===================================================================================================
+ */
+
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import AddressAutocomplete from './AddressAutocomplete';
+import { LOCATION_KIND_LABELS } from '../../utils/savedLocations';
+
+const MAX_SAVED_LOCATIONS = 10;
+
+const createLocation = () => ({ label: '', kind: 'school', address: '', lat: null, lng: null, placeId: null });
+
+/**
+ * SavedLocationsEditor
+ *
+ * @description 사용자의 저장 장소 목록을 편집하는 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Array} props.locations - 저장 장소 [{ _id?, label, kind, address, lat, lng, placeId }]
+ * @param {Function} props.onChange - 바뀐 목록을 전달받는 콜백
+ * @returns {JSX.Element}
+ */
+const SavedLocationsEditor = ({ locations, onChange }) => {
+  const updateLocation = (index, changes) => {
+    onChange(locations.map((location, i) => (i === index ? { ...location, ...changes } : location)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {locations.length === 0 && (
+        <p className="text-xs text-gray-500">학교, 학원 지점처럼 집이 아닌 곳에서 수업하면 장소를 추가하세요.</p>
+      )}
+
+      {locations.map((location, index) => (
+        <div key={location._id || `new-${index}`} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-2">
+          <div className="flex items-center gap-2">
+            <select value={location.kind} onChange={(e) => updateLocation(index, { kind: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              {Object.entries(LOCATION_KIND_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <input type="text" value={location.label} maxLength={30} placeholder="이름 (예: 서울고, 강남 지점)"
+              onChange={(e) => updateLocation(index, { label: e.target.value })}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm" />
+            <button type="button" onClick={() => onChange(locations.filter((_, i) => i !== index))}
+              className="p-1 text-gray-400 hover:text-red-500" title="장소 삭제">
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <AddressAutocomplete
+            value={location.address}
+            placeholder="장소 주소 검색"
+            onChange={(data) => updateLocation(index, {
+              address: data.address,
+              lat: data.lat,
+              lng: data.lng,
+              placeId: data.placeId
+            })}
+          />
+          {location.address && (location.lat == null || location.lng == null) && (
+            <p className="text-xs text-red-500">주소 검색 결과에서 장소를 선택해주세요.</p>
+          )}
+        </div>
+      ))}
+
+      <button type="button" onClick={() => onChange([...locations, createLocation()])}
+        disabled={locations.length >= MAX_SAVED_LOCATIONS}
+        className="text-sm text-blue-600 hover:underline disabled:opacity-50 flex items-center gap-1">
+        <Plus size={14} /> 장소 추가
+      </button>
+    </div>
+  );
+};
+
+export default SavedLocationsEditor;
@@ -10,19 +10,24 @@
  *    - 성공 시: 모든 참여자가 가능한 공통 시간대 목록을 보여주고 선택 기능 제공
  *    - 실패 시: 공통 시간대를 찾지 못했음을 알리고, AI가 제안하는 대안(빈 시간대 추천, 양보 요청 등)을 제시
  *    - 사용자가 시간대를 선택하거나 양보를 요청하는 등의 상호작용 처리
+ *    - 자동 배정 explain 모드: 멤버별 후보 블록, 점수, 충돌, 배정/미배정을 결정한 규칙 표시 (`results.trace`)
  *
  * 🔗 연결된 파일:
  *    - 이 컴포넌트를 사용하는 상위 페이지 또는 컴포넌트 (예: 일정 조율 탭)
+ *    - ../tabs/CoordinationTab/index.js - 자동 배정 결과의 trace 표시
+ *    - server/services/schedulingAlgorithm/helpers/traceHelper.js - trace 구조
  *    - lucide-react: 아이콘 라이브러리
  *
  * 💡 UI 위치:
  *    - 일정 조율 탭 > 'AI 자동 제안' 실행 후 결과가 표시되는 영역
+ *    - 조율 탭 > 자동 배정을 '배정 과정 설명'을 켜고 실행한 뒤 시간표 위
  *
  * ✏️ 수정 가이드:
  *    - 성공/실패 시 UI 레이아웃 변경: 각 조건부 렌더링 블록 내부의 JSX 구조 수정
  *    - 날짜/시간 형식 변경: `formatDateTime`, `formatDuration` 함수 수정
  *    - 대안 제안 카드 디자인 변경: '실패한 경우' 블록 내부의 각 대안 카드 스타일 수정
  *    - 새로운 대안 타입 추가: `if (!results.success && results.alternatives)` 블록 내에 새로운 대안을 렌더링하는 로직 추가
+ *    - 새로운 배정 규칙 추가: 서버 TRACE_RULES에 맞춰 `TRACE_RULE_LABELS`에 설명 추가
  *
  * 📝 참고사항:
  *    - `results` prop의 구조에 따라 동적으로 다른 UI를 렌더링합니다. (`results.success` 값 기준)
@@ -32,16 +37,178 @@
  * ===================================================================================================
  */
 
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import { 
   CheckCircle, 
   AlertTriangle, 
   Users, 
   MessageSquare,
   ArrowRight,
-  RefreshCw
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  ListTree,
+  X
 } from 'lucide-react';
 
+const MINUTES_PER_SLOT = 10;
+
+// 서버 TRACE_RULES (schedulingConstants.js) 설명
+const TRACE_RULE_LABELS = {
+  longest_block: '최소 수업 시간 이상인 블록 중 가장 긴 블록',
+  earliest_block: '길이가 같은 블록 중 가장 이른 시간',
+  short_block_only: '최소 수업 시간을 채우는 블록이 없어 짧은 블록 배정',
+  carry_over: '이월 시간 우선 배정',
+  transport_order: '이동시간이 짧은 멤버부터 배정하여 남은 시간 부족',
+  fully_assigned: '필요 시간 모두 배정',
+  blocked_time: '금지시간과 겹쳐 배정 중단',
+  no_available_block: '남은 선호시간 블록 없음',
+  insufficient_preferred_time: '선호시간 부족으로 배정 제외',
+  week_skipped: '다른 멤버의 선호시간 부족으로 이번 주 배정 안 함',
+  fairness_balance: '공평성 균형: 지난 주에 불리했던 만큼 선호도 높은 블록 우선',
+  scheduling_rule: '방 배정 규칙: 규칙을 어기는 블록을 피함 (하드 규칙 위반 블록만 남으면 배정 중단)',
+  resource_unavailable: '필요한 강의실/장비가 모두 사용 중이라 남은 블록 없음'
+};
+
+const TRACE_STATUS_STYLES = {
+  assigned: { label: '배정 완료', className: 'bg-green-100 text-green-700' },
+  partial: { label: '일부 배정', className: 'bg-yellow-100 text-yellow-700' },
+  unassigned: { label: '미배정', className: 'bg-red-100 text-red-700' }
+};
+
+const formatSlotMinutes = (slots) => {
+  const minutes = slots * MINUTES_PER_SLOT;
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}분`;
+  return minutes % 60 === 0 ? `${hours}시간` : `${hours}시간 ${minutes % 60}분`;
+};
+
+const formatRange = ({ date, startTime, endTime }) => `${date} ${startTime}-${endTime}`;
+
+/**
+ * 한 주의 배정 결정 (선택된 블록, 후보 블록과 점수, 충돌)
+ */
+const TraceWeek = ({ week }) => (
+  <div className="border-l-2 border-gray-200 pl-3 py-1">
+    <div className="text-xs font-semibold text-gray-700">
+      {week.weekStart} 주
+      {week.order && <span className="ml-2 font-normal text-gray-500">처리 순서 {week.order}번째 (우선순위 {week.orderDetail?.maxPriority}, 가용 {formatSlotMinutes(week.orderDetail?.availableSlots || 0)}{week.orderDetail?.fairnessDebt > 0 && `, 공평성 부채 ${week.orderDetail.fairnessDebt}`})</span>}
+    </div>
+
+    {week.decisions.map((decision, index) => (
+      <div key={index} className="mt-1 text-xs">
+        <div className="text-gray-800">
+          {decision.chosen
+            ? <>✅ {formatRange(decision.chosen)} ({formatSlotMinutes(decision.chosen.slots)})</>
+            : <>⛔ 배정 안 함{decision.blockedBy && ` (${decision.blockedBy})`}</>}
+          <span className="ml-1 text-blue-600">— {TRACE_RULE_LABELS[decision.rule] || decision.rule}</span>
+        </div>
+        {decision.candidates.length > 0 && (
+          <table className="mt-1 w-full text-[11px] text-gray-600">
+            <thead>
+              <tr className="text-left text-gray-400">
+                <th className="font-normal">후보 블록 ({decision.candidateCount}개 중)</th>
+                <th className="font-normal">길이</th>
+                <th className="font-normal text-right">점수</th>
+              </tr>
+            </thead>
+            <tbody>
+              {decision.candidates.map((candidate, candidateIndex) => (
+                <tr key={candidateIndex} className={candidateIndex === 0 ? 'font-semibold text-gray-800' : ''}>
+                  <td>{formatRange(candidate)}{candidate.isShort && ' (자투리)'}</td>
+                  <td>{formatSlotMinutes(candidate.slots)}</td>
+                  <td className="text-right">{candidate.score}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {decision.bestScoredSlot && (
+          <div className="text-[11px] text-gray-400">
+            최고 점수 슬롯: {decision.bestScoredSlot.date} {decision.bestScoredSlot.startTime} ({decision.bestScoredSlot.score}점)
+          </div>
+        )}
+      </div>
+    ))}
+
+    {week.conflicts.length > 0 && (
+      <div className="mt-1 text-[11px] text-orange-600">
+        충돌: {week.conflicts.map(conflict => `${formatRange({ date: conflict.date, startTime: conflict.startTime, endTime: conflict.endTime })} (${conflict.with.map(m => m.memberName).join(', ')})`).join(' · ')}
+      </div>
+    )}
+
+    {week.rule && week.rule !== 'fully_assigned' && (
+      <div className="mt-1 text-[11px] text-red-600">
+        결과: {TRACE_RULE_LABELS[week.rule] || week.rule}{week.message && ` — ${week.message}`}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * 자동 배정 explain 모드 결과 (멤버별 배정 과정)
+ */
+const AssignmentTrace = ({ trace, onClose }) => {
+  const [expandedMemberId, setExpandedMemberId] = useState(null);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md border border-indigo-200 mb-3">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <ListTree className="text-indigo-500 mr-2" size={20} />
+          <h3 className="text-base font-semibold text-indigo-700">배정 과정 설명</h3>
+        </div>
+        {onClose && (
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={16} />
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        시드 {trace.seed ?? '없음 (입력 순서)'} · 기준 시각 {new Date(trace.referenceDate).toLocaleString('ko-KR')}
+        {trace.transportMode !== 'normal' && ' · 이동수단 모드는 후보 비교 없이 가까운 멤버부터 배정합니다.'}
+      </p>
+
+      <div className="space-y-2">
+        {trace.members.map(member => {
+          const isExpanded = expandedMemberId === member.memberId;
+          const status = TRACE_STATUS_STYLES[member.status] || TRACE_STATUS_STYLES.unassigned;
+          // 결정/충돌이 있었거나 다 채우지 못한 주만 표시
+          const weeks = member.weeks.filter(week =>
+            week.decisions.length > 0 || week.conflicts.length > 0 || (week.rule && week.rule !== 'fully_assigned')
+          );
+
+          return (
+            <div key={member.memberId} className="border border-gray-200 rounded-md">
+              <button
+                onClick={() => setExpandedMemberId(isExpanded ? null : member.memberId)}
+                className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50"
+              >
+                <div className="flex items-center text-sm">
+                  {isExpanded ? <ChevronDown size={14} className="mr-1" /> : <ChevronRight size={14} className="mr-1" />}
+                  <span className="font-medium text-gray-900">{member.memberName}</span>
+                  <span className={`ml-2 px-1.5 py-0.5 rounded text-[11px] ${status.className}`}>{status.label}</span>
+                </div>
+                <div className="text-xs text-gray-500 text-right">
+                  {formatSlotMinutes(member.assignedSlots)} / {formatSlotMinutes(member.requiredSlots)}
+                  <div className="text-[11px]">{TRACE_RULE_LABELS[member.rule] || member.rule}</div>
+                </div>
+              </button>
+              {isExpanded && (
+                <div className="px-3 pb-3 space-y-2">
+                  {weeks.length === 0
+                    ? <p className="text-xs text-gray-500">기록된 결정이 없습니다.</p>
+                    : weeks.map(week => <TraceWeek key={week.weekStart} week={week} />)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 /**
  * AiSchedulingResults
  *
@@ -51,9 +218,11 @@ import {
  * @param {boolean} props.results.success - 성공 여부
  * @param {Array<Object>} [props.results.commonSlots] - 성공 시 공통 시간대 목록
  * @param {Object} [props.results.alternatives] - 실패 시 대안 목록
+ * @param {Object} [props.results.trace] - 자동 배정 explain 모드의 배정 과정 기록
  * @param {Function} props.onSelectTimeSlot - 사용자가 시간대를 선택했을 때 호출될 콜백 함수
  * @param {Function} props.onRequestConcession - 사용자가 양보를 요청했을 때 호출될 콜백 함수
  * @param {Function} props.onRetry - '다시 검색' 버튼 클릭 시 호출될 콜백 함수
+ * @param {Function} [props.onClose] - 배정 과정 설명 닫기 버튼 클릭 시 호출될 콜백 함수
  * @returns {JSX.Element | null} AI 스케줄링 결과 UI 또는 null
  *
  * @example
@@ -68,7 +237,7 @@ import {
  *   onRetry={handleRetry}
  * />
  */
-const AiSchedulingResults = ({ results, onSelectTimeSlot, onRequestConcession, onRetry }) => {
+const AiSchedulingResults = ({ results, onSelectTimeSlot, onRequestConcession, onRetry, onClose }) => {
 
   const formatDateTime = (isoString) => {
     const date = new Date(isoString);
@@ -118,6 +287,11 @@ const AiSchedulingResults = ({ results, onSelectTimeSlot, onRequestConcession, o
     return null;
   }
 
+  // 자동 배정 배정 과정 (explain 모드)
+  if (results.trace) {
+    return <AssignmentTrace trace={results.trace} onClose={onClose} />;
+  }
+
   // 성공한 경우 (공통 시간대가 있는 경우)
   if (results.success && results.commonSlots && results.commonSlots.length > 0) {
     return (
@@ -14,6 +14,7 @@
  *
  * 🔗 연결된 파일:
  *    - ../../utils/coordinationUtils - 요청 필터링, 사용자 이름 표시 등 유틸리티
+ *    - ../common/NotificationBell.js - 모든 방의 읽지 않은 알림 배지
  *    - CoordinationTab/index.js - 이 컴포넌트들을 사용하는 상위 컴포넌트
  *
  * 💡 UI 위치:
@@ -37,6 +38,7 @@ import { Calendar, Users, AlertTriangle } from 'lucide-react';
 import { dayMap, getMemberDisplayName } from '../../utils/coordinationUtils';
 import { auth } from '../../config/firebaseConfig';
 import { useToast } from '../../contexts/ToastContext';
+import NotificationBell from '../common/NotificationBell';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
@@ -178,6 +180,7 @@ const ExchangeRequestItem = ({ request, type, onCancel, onApprove, onReject, onC
                 case 'time_request': case 'time_change': return '자리 요청';
                 case 'chain_request': case 'chain_exchange_request': return '연쇄 요청';
                 case 'slot_release': return '자리 양보';
+                case 'route_reorder': return '동선 조정';
                 default: return '일정 요청';
               }
             })()}
@@ -292,7 +295,10 @@ const RequestManagement = ({ currentRoom, receivedRequests, sentRequests, reques
   return (
     <div className="mt-6 pt-4 border-t border-gray-200">
       <div className="flex items-center justify-between mb-3">
-        <h4 className="text-md font-semibold text-gray-800 flex items-center"><Users size={16} className="mr-2 text-blue-600" />자리요청 관리</h4>
+        <h4 className="text-md font-semibold text-gray-800 flex items-center">
+          <Users size={16} className="mr-2 text-blue-600" />자리요청 관리
+          <NotificationBell iconSize={14} buttonClassName="ml-2 p-1 text-gray-500 hover:text-blue-600" />
+        </h4>
         <div className="flex bg-gray-100 rounded-lg p-1">
           <button onClick={() => setRequestViewMode('received')} className={`px-3 py-1 text-xs rounded-md transition-colors ${requestViewMode === 'received' ? 'bg-blue-500 text-white' : 'text-gray-600 hover:text-gray-800'}`}>받은 요청</button>
           <button onClick={() => setRequestViewMode('sent')} className={`px-3 py-1 text-xs rounded-md transition-colors ${requestViewMode === 'sent' ? 'bg-blue-500 text-white' : 'text-gray-600 hover:text-gray-800'}`}>보낸 요청</button>
@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarPlus, Check, X } from 'lucide-react';
+import { coordinationService } from '../../services/coordinationService';
+import { createSocket } from '../../utils/socketClient';
+
+const REASON_LABELS = {
+  member_leave: '조원이 방을 나가서',
+  member_kick: '조원이 강퇴되어',
+  slot_release: '조원이 자리를 양보해서'
+};
+
+const formatDeadline = (dateString) => new Date(dateString).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * 빈자리 제안 배너 (대기열에서 내 차례가 된 조원에게 표시)
+ * 퇴장/강퇴/자리 양보로 생긴 빈자리를 수락 기한 안에 받거나 거절(다음 대기자에게 넘김)할 수 있습니다.
+ * @param {string} roomId - 현재 방 ID
+ * @param {function} onClaimed - 수락 후 방 정보를 다시 불러오는 콜백
+ * @param {function} showAlert - (message, type) 결과/오류 메시지 표시
+ */
+const SlotOfferBanner = ({ roomId, onClaimed, showAlert }) => {
+  const [offers, setOffers] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadOffers = useCallback(async () => {
+    try {
+      const data = await coordinationService.getRoomWaitlist(roomId);
+      setOffers(data.offers.filter(offer => offer.status === 'offered'));
+    } catch (error) {
+      console.error('빈자리 제안 조회 실패:', error);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    loadOffers();
+
+    // 새 제안 알림이 오면 바로 다시 불러옴 (다음 대기자로 넘어온 경우 포함)
+    const socket = createSocket();
+    socket.on('notification', ({ notification }) => {
+      if (notification?.type === 'slot_offer' && String(notification.roomId) === String(roomId)) {
+        loadOffers();
+      }
+    });
+    return () => { socket.disconnect(); };
+  }, [roomId, loadOffers]);
+
+  const handleClaim = async (offer) => {
+    try {
+      setBusyId(offer._id);
+      const result = await coordinationService.claimSlotOffer(offer._id);
+      setOffers(prev => prev.filter(item => item._id !== offer._id));
+      showAlert(result.msg, 'success');
+      await onClaimed();
+    } catch (error) {
+      showAlert(error.message || '빈자리를 받지 못했습니다.', 'error');
+      loadOffers();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDecline = async (offer) => {
+    try {
+      setBusyId(offer._id);
+      await coordinationService.declineSlotOffer(offer._id);
+      setOffers(prev => prev.filter(item => item._id !== offer._id));
+    } catch (error) {
+      showAlert(error.message || '제안을 거절하지 못했습니다.', 'error');
+      loadOffers();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (offers.length === 0) return null;
+
+  return (
+    <div className="mb-4 space-y-2">
+      {offers.map(offer => (
+        <div key={offer._id} className="bg-gradient-to-r from-amber-50 to-yellow-50 border-2 border-amber-300 rounded-lg p-4 shadow-md">
+          <div className="flex items-center justify-between gap-3">
+            <div className="flex items-center gap-3 min-w-0">
+              <div className="bg-amber-500 bg-opacity-20 p-2 rounded-full flex-shrink-0">
+                <CalendarPlus size={24} className="text-amber-600" />
+              </div>
+              <div className="min-w-0">
+                <div className="font-bold text-amber-800">
+                  빈자리 제안: {new Date(offer.date).toISOString().split('T')[0]} {offer.startTime}-{offer.endTime}
+                </div>
+                <div className="text-sm text-gray-700 mt-0.5">
+                  {REASON_LABELS[offer.reason]} 생긴 시간입니다. {formatDeadline(offer.expiresAt)}까지 수락하지 않으면 다음 대기자에게 넘어갑니다.
+                </div>
+              </div>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => handleClaim(offer)}
+                disabled={busyId === offer._id}
+                className="px-3 py-2 bg-amber-500 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-amber-600 disabled:opacity-50"
+              >
+                <Check size={16} /> 받기
+              </button>
+              <button
+                onClick={() => handleDecline(offer)}
+                disabled={busyId === offer._id}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-gray-300 disabled:opacity-50"
+              >
+                <X size={16} /> 거절
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SlotOfferBanner;
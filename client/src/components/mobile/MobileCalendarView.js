@@ -62,6 +62,8 @@ const MobileCalendarView = ({ user, isClipboardMonitoring, setIsClipboardMonitor
       visibleRangeRef,
       fetchSchedule,
       fetchGlobalEvents,
+      recurringOccurrences,
+      fetchRecurringOccurrences,
       convertScheduleToEvents,
       chatEnhanced,
       isLoggedIn,
@@ -92,6 +94,7 @@ const MobileCalendarView = ({ user, isClipboardMonitoring, setIsClipboardMonitor
       calendarRef, selectedDate, setSelectedDate,
       visibleRangeRef,
       fetchSchedule, fetchGlobalEvents,
+      recurringOccurrences, fetchRecurringOccurrences,
       showToast, setConfirmModal, setSelectedEvent,
       navigate,
       convertScheduleToEvents,
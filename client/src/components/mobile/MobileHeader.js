@@ -5,7 +5,7 @@
  *
  * 모든 모바일 페이지에서 사용하는 통일된 헤더 컴포넌트
  * - 햄버거 메뉴 + 로고 (왼쪽)
- * - 캘린더, 클립보드 감지, 통화 감지, 프로필, 음성 인식, 로그아웃 버튼 (오른쪽)
+ * - 캘린더, 알림, 클립보드 감지, 통화 감지, 프로필, 음성 인식, 로그아웃 버튼 (오른쪽)
  * - 로고에 로그인 상태 인디케이터 (구글: 초록, 일반: 빨강)
  *
  * ===================================================================================================
@@ -16,6 +16,7 @@ import { useNavigate } from 'react-router-dom';
 import { Menu, Calendar, Clipboard, ClipboardX, Phone, User, LogOut } from 'lucide-react';
 import { auth } from '../../config/firebaseConfig';
 import { useToast } from '../../contexts/ToastContext';
+import NotificationBell from '../common/NotificationBell';
 
 const MobileHeader = ({
    user,
@@ -134,6 +135,9 @@ const MobileHeader = ({
                   <Calendar size={20} />
                </button>
 
+               {/* 알림 버튼 (모든 방의 읽지 않은 알림 배지) */}
+               <NotificationBell enabled={!!user} buttonClassName="mobile-icon-btn" />
+
                {/* 클립보드 모니터링 */}
                <button
                   className={`mobile-icon-btn ${isClipboardMonitoring ? 'active' : ''}`}
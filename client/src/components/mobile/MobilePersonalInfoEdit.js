@@ -5,6 +5,7 @@ import { auth } from '../../config/firebaseConfig';
 import { updatePassword, EmailAuthProvider, reauthenticateWithCredential } from 'firebase/auth';
 import { userService } from '../../services/userService';
 import AddressAutocomplete from '../common/AddressAutocomplete';
+import SavedLocationsEditor from '../common/SavedLocationsEditor';
 import './MobilePersonalInfoEdit.css';
 
 const MobilePersonalInfoEdit = ({ onBack }) => {
@@ -18,6 +19,7 @@ const MobilePersonalInfoEdit = ({ onBack }) => {
     addressLat: null,
     addressLng: null,
     addressPlaceId: null,
+    savedLocations: [],
     occupation: '',
     birthdate: ''
   });
@@ -72,6 +74,7 @@ const MobilePersonalInfoEdit = ({ onBack }) => {
           addressLat: data.addressLat || null,
           addressLng: data.addressLng || null,
           addressPlaceId: data.addressPlaceId || null,
+          savedLocations: data.savedLocations || [],
           occupation: data.occupation || '',
           birthdate: data.birthdate ? data.birthdate.split('T')[0] : ''
         });
@@ -102,7 +105,7 @@ const MobilePersonalInfoEdit = ({ onBack }) => {
         onBack();
       }, 1500);
     } catch (error) {
-      setMessage({ type: 'error', text: '개인정보 저장에 실패했습니다.' });
+      setMessage({ type: 'error', text: error.message ? `개인정보 저장에 실패했습니다: ${error.message}` : '개인정보 저장에 실패했습니다.' });
     } finally {
       setIsSaving(false);
     }
@@ -282,6 +285,17 @@ const MobilePersonalInfoEdit = ({ onBack }) => {
               />
             </div>
 
+            <div className="form-group">
+              <label className="form-label">
+                <MapPin size={16} />
+                자주 가는 장소
+              </label>
+              <SavedLocationsEditor
+                locations={userInfo.savedLocations}
+                onChange={(savedLocations) => setUserInfo(p => ({ ...p, savedLocations }))}
+              />
+            </div>
+
             <div className="form-group">
               <label className="form-label">
                 <Briefcase size={16} />
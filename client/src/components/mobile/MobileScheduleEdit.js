@@ -3,13 +3,16 @@ import { ArrowLeft, Save, Trash2, Calendar } from 'lucide-react';
 import { userService } from '../../services/userService';
 import CalendarView from '../calendar/CalendarView';
 import PersonalTimeManager from '../schedule/PersonalTimeManager';
+import PreferenceLocationSelector from '../schedule/PreferenceLocationSelector';
 import CustomAlertModal from '../modals/CustomAlertModal';
+import { getUserPlaces } from '../../utils/savedLocations';
 import './MobileScheduleEdit.css';
 
 const MobileScheduleEdit = ({ onBack }) => {
   const [defaultSchedule, setDefaultSchedule] = useState([]);
   const [scheduleExceptions, setScheduleExceptions] = useState([]);
   const [personalTimes, setPersonalTimes] = useState([]);
+  const [places, setPlaces] = useState([]);
   const [initialState, setInitialState] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
@@ -23,7 +26,11 @@ const MobileScheduleEdit = ({ onBack }) => {
     const fetchSchedule = async () => {
       try {
         setIsLoading(true);
-        const data = await userService.getUserSchedule();
+        const [data, profile] = await Promise.all([
+          userService.getUserSchedule(),
+          userService.getUserProfile().catch(() => null)
+        ]);
+        setPlaces(getUserPlaces(profile));
         const schedule = data.defaultSchedule || [];
         const exceptions = data.scheduleExceptions || [];
         const personal = data.personalTimes || [];
@@ -194,6 +201,11 @@ const MobileScheduleEdit = ({ onBack }) => {
                 onMonthChange={setViewingMonth}
               />
             </div>
+            <PreferenceLocationSelector
+              schedule={defaultSchedule}
+              setSchedule={setDefaultSchedule}
+              places={places}
+            />
           </div>
         ) : (
           <div className="personal-section">
@@ -2,9 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { auth, googleProvider } from '../../config/firebaseConfig';
 import { linkWithPopup, unlink, onAuthStateChanged } from 'firebase/auth';
-import { Menu, ChevronLeft, Link2, Unlink, Calendar, CheckCircle, AlertCircle, UserCog, Trash2 } from 'lucide-react';
+import { Menu, ChevronLeft, Link2, Unlink, Calendar, CheckCircle, AlertCircle, UserCog, Trash2, Rss, Copy, Download, Upload } from 'lucide-react';
 import CustomAlertModal from '../modals/CustomAlertModal';
 import MobilePersonalInfoEdit from './MobilePersonalInfoEdit';
+import IcsImportModal from '../modals/IcsImportModal';
 import './MobileCalendarView.css';
 
 const MobileSettings = ({ user }) => {
@@ -18,6 +19,8 @@ const MobileSettings = ({ user }) => {
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', type: 'warning', onConfirm: null, confirmText: '확인' });
   const [showPersonalInfo, setShowPersonalInfo] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [showIcsImport, setShowIcsImport] = useState(false);
 
   // Firebase Auth 상태 리스너 - providerData 정확하게 감지
   useEffect(() => {
@@ -40,6 +43,27 @@ const MobileSettings = ({ user }) => {
     }
   }, [user]);
 
+  // 캘린더 구독 URL 조회
+  useEffect(() => {
+    const fetchFeedUrl = async () => {
+      try {
+        if (!auth.currentUser) return;
+        const token = await auth.currentUser.getIdToken();
+        const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+        const res = await fetch(`${API_BASE_URL}/api/events/feed-token`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setFeedUrl(data.url);
+        }
+      } catch (error) {
+        console.warn('구독 URL 조회 실패:', error);
+      }
+    };
+    fetchFeedUrl();
+  }, [user]);
+
   const showAlert = (title, message, type = 'info') => {
     setAlertModal({ isOpen: true, title, message, type });
   };
@@ -196,6 +220,88 @@ const MobileSettings = ({ user }) => {
     }
   };
 
+  // 캘린더 구독 URL 발급 (재발급 시 기존 URL은 무효화)
+  const handleCreateFeedUrl = async () => {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+      const res = await fetch(`${API_BASE_URL}/api/events/feed-token`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.msg || '구독 URL 발급에 실패했습니다.');
+      setFeedUrl(data.url);
+    } catch (error) {
+      showAlert('오류', error.message, 'error');
+    }
+  };
+
+  const handleCopyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      showAlert('복사 완료', '구독 URL이 복사되었습니다. 캘린더 앱의 "URL로 구독"에 붙여넣으세요.', 'success');
+    } catch (error) {
+      showAlert('복사 실패', feedUrl, 'error');
+    }
+  };
+
+  const handleRevokeFeedUrl = () => {
+    setConfirmModal({
+      isOpen: true,
+      title: '구독 URL 폐기',
+      message: '폐기하면 이 URL로 구독 중인 캘린더 앱에서 더 이상 일정이 갱신되지 않습니다. 계속하시겠습니까?',
+      type: 'warning',
+      confirmText: '폐기',
+      onConfirm: async () => {
+        try {
+          const token = await auth.currentUser.getIdToken();
+          const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+          await fetch(`${API_BASE_URL}/api/events/feed-token`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${token}` }
+          });
+          setFeedUrl(null);
+        } catch (error) {
+          showAlert('오류', '구독 URL 폐기에 실패했습니다.', 'error');
+        } finally {
+          setConfirmModal(prev => ({ ...prev, isOpen: false }));
+        }
+      }
+    });
+  };
+
+  // .ics 파일 다운로드
+  const handleExportCalendar = async () => {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+      const res = await fetch(`${API_BASE_URL}/api/events/export.ics`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!res.ok) throw new Error('내보내기에 실패했습니다.');
+      const blob = await res.blob();
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'my-schedule.ics';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      showAlert('오류', error.message, 'error');
+    }
+  };
+
+  // .ics 가져오기 완료
+  const handleIcsImported = ({ created, skipped }) => {
+    const parts = [];
+    if (created.events > 0) parts.push(`일정 ${created.events}개`);
+    if (created.personalTimes > 0) parts.push(`개인시간 ${created.personalTimes}개`);
+    if (created.scheduleExceptions > 0) parts.push(`예외일정 ${created.scheduleExceptions}개`);
+    const message = parts.length > 0 ? `${parts.join(', ')}를 가져왔습니다.` : '가져온 일정이 없습니다.';
+    showAlert('가져오기 완료', skipped.length > 0 ? `${message}\n(${skipped.length}개 중복/오류로 제외)` : message, 'success');
+    window.dispatchEvent(new Event('userProfileUpdated'));
+  };
+
   // 계정 탈퇴
   const handleDeleteAccount = () => {
     setConfirmModal({
@@ -398,6 +504,58 @@ const MobileSettings = ({ user }) => {
           </div>
         </div>
 
+        {/* 캘린더 구독 (iCal) */}
+        <div style={{ background: 'white', borderRadius: '12px', border: '1px solid #e5e7eb', marginBottom: '16px', overflow: 'hidden' }}>
+          <div style={{ padding: '16px', borderBottom: '1px solid #f3f4f6' }}>
+            <h3 style={{ fontSize: '16px', fontWeight: 700, color: '#1f2937', margin: 0 }}>캘린더 구독 (iCal)</h3>
+          </div>
+          <div style={{ padding: '16px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+              <Rss size={20} color={feedUrl ? '#22c55e' : '#6b7280'} />
+              <div style={{ fontSize: '12px', color: '#6b7280', wordBreak: 'break-all' }}>
+                {feedUrl || 'Apple/Outlook/구글 캘린더에서 내 일정을 구독할 수 있는 URL을 발급합니다.'}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {feedUrl ? (
+                <>
+                  <button
+                    onClick={handleCopyFeedUrl}
+                    style={{ flex: 1, padding: '8px', fontSize: '13px', fontWeight: 600, color: '#3b82f6', background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: '6px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px' }}
+                  >
+                    <Copy size={14} /> 복사
+                  </button>
+                  <button
+                    onClick={handleRevokeFeedUrl}
+                    style={{ flex: 1, padding: '8px', fontSize: '13px', fontWeight: 600, color: '#dc2626', background: '#fef2f2', border: '1px solid #fecaca', borderRadius: '6px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px' }}
+                  >
+                    <Unlink size={14} /> 폐기
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={handleCreateFeedUrl}
+                  style={{ flex: 1, padding: '8px', fontSize: '13px', fontWeight: 600, color: 'white', background: '#3b82f6', border: 'none', borderRadius: '6px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px' }}
+                >
+                  <Link2 size={14} /> 구독 URL 발급
+                </button>
+              )}
+              <button
+                onClick={handleExportCalendar}
+                style={{ flex: 1, padding: '8px', fontSize: '13px', fontWeight: 600, color: '#374151', background: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '6px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px' }}
+              >
+                <Download size={14} /> .ics 다운로드
+              </button>
+            </div>
+            <button
+              onClick={() => setShowIcsImport(true)}
+              style={{ width: '100%', marginTop: '8px', padding: '8px', fontSize: '13px', fontWeight: 600, color: '#374151', background: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '6px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px' }}
+            >
+              <Upload size={14} /> .ics 가져오기
+            </button>
+          </div>
+        </div>
+
         {/* 안내 */}
         <div style={{ background: '#eff6ff', borderRadius: '12px', border: '1px solid #bfdbfe', padding: '16px', marginBottom: '16px' }}>
           <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
@@ -435,6 +593,11 @@ const MobileSettings = ({ user }) => {
       </div>
 
       {/* 모달 */}
+      <IcsImportModal
+        isOpen={showIcsImport}
+        onClose={() => setShowIcsImport(false)}
+        onImported={handleIcsImported}
+      />
       <CustomAlertModal
         isOpen={alertModal.isOpen}
         onClose={() => setAlertModal(prev => ({ ...prev, isOpen: false }))}
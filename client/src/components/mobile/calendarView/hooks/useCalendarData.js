@@ -10,7 +10,7 @@ import { auth } from '../../../../config/firebaseConfig';
 import { userService } from '../../../../services/userService';
 import * as googleCalendarService from '../../../../services/googleCalendarService';
 import { useChatEnhanced } from '../../../../hooks/useChat/enhanced';
-import { formatLocalDateTime, mergeSlots, formatEventForClient } from '../utils/eventUtils';
+import { formatLocalDateTime, mergeSlots, formatEventForClient, toOccurrenceCalendarEvent } from '../utils/eventUtils';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
@@ -22,6 +22,7 @@ const useCalendarData = (user, calendarRef) => {
    const [googleCalendarEvents, setGoogleCalendarEvents] = useState([]);
    const [isLoading, setIsLoading] = useState(true);
    const [globalEvents, setGlobalEvents] = useState([]);
+   const [recurringOccurrences, setRecurringOccurrences] = useState([]);
    const [eventAddedKey, setEventAddedKey] = useState(0);
    const [eventActions, setEventActions] = useState({
       addEvent: async () => {},
@@ -343,7 +344,7 @@ const useCalendarData = (user, calendarRef) => {
              }
              return true;
           });
-          const allEvents = [...calendarEvents, ...filteredGoogleEvents];
+          const allEvents = [...calendarEvents, ...recurringOccurrences.map(toOccurrenceCalendarEvent), ...filteredGoogleEvents];
           setEvents(allEvents);
 
           Promise.resolve().then(() => {
@@ -351,7 +352,7 @@ const useCalendarData = (user, calendarRef) => {
               calendarApi.addEventSource(allEvents);
           });
       }
-  }, [defaultSchedule, scheduleExceptions, personalTimes, googleCalendarEvents, isLoading, convertScheduleToEvents, calendarRef]);
+  }, [defaultSchedule, scheduleExceptions, personalTimes, recurringOccurrences, googleCalendarEvents, isLoading, convertScheduleToEvents, calendarRef]);
 
    const fetchGlobalEvents = useCallback(async () => {
       if (!isLoggedIn) return;
@@ -371,6 +372,33 @@ const useCalendarData = (user, calendarRef) => {
       }
    }, [isLoggedIn, user]);
 
+   // 반복 일정은 서버가 보이는 기간의 회차로 전개한 목록(/api/events/range)을 받아 표시
+   const fetchRecurringOccurrences = useCallback(async () => {
+      if (!isLoggedIn) return;
+      try {
+         const currentUser = auth.currentUser;
+         if (!currentUser) return;
+
+         const today = new Date();
+         const vr = visibleRangeRef.current;
+         const startDate = vr ? new Date(vr.start) : new Date(today.getFullYear(), today.getMonth() - 1, 1);
+         const endDate = vr ? new Date(vr.end) : new Date(today.getFullYear(), today.getMonth() + 2, 0);
+         const query = `startDate=${startDate.toISOString()}&endDate=${endDate.toISOString()}`;
+         const response = await fetch(`${API_BASE_URL}/api/events/range?${query}`, {
+            headers: { 'Authorization': `Bearer ${await currentUser.getIdToken()}` }
+         });
+         if (!response.ok) throw new Error('Failed to fetch recurring events');
+         const data = await response.json();
+         setRecurringOccurrences(data.filter(event => event.isRecurringOccurrence));
+      } catch (error) {
+         console.error('반복 일정 가져오기 실패:', error);
+      }
+   }, [isLoggedIn]);
+
+   useEffect(() => {
+      fetchRecurringOccurrences();
+   }, [fetchRecurringOccurrences]);
+
    const handleAddGlobalEvent = useCallback(async eventData => {
       try {
          let date, time, duration;
@@ -434,8 +462,11 @@ const useCalendarData = (user, calendarRef) => {
    }, [isLoggedIn, handleAddGlobalEvent, handleDeleteEvent, handleEditEvent]);
 
    useEffect(() => {
-      if (isLoggedIn && eventAddedKey > 0) fetchGlobalEvents();
-   }, [eventAddedKey, isLoggedIn, fetchGlobalEvents]);
+      if (isLoggedIn && eventAddedKey > 0) {
+         fetchGlobalEvents();
+         fetchRecurringOccurrences();
+      }
+   }, [eventAddedKey, isLoggedIn, fetchGlobalEvents, fetchRecurringOccurrences]);
 
    const chatEnhanced = useChatEnhanced(isLoggedIn, setEventAddedKey, eventActions);
 
@@ -450,6 +481,8 @@ const useCalendarData = (user, calendarRef) => {
       visibleRangeRef,
       fetchSchedule,
       fetchGlobalEvents,
+      recurringOccurrences,
+      fetchRecurringOccurrences,
       convertScheduleToEvents,
       chatEnhanced,
       isLoggedIn,
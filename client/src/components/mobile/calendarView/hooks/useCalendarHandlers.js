@@ -8,6 +8,7 @@
 import { auth } from '../../../../config/firebaseConfig';
 import { userService } from '../../../../services/userService';
 import * as googleCalendarService from '../../../../services/googleCalendarService';
+import { toOccurrenceCalendarEvent } from '../utils/eventUtils';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
@@ -23,6 +24,7 @@ export const createCalendarHandlers = (ctx) => {
       calendarRef, selectedDate, setSelectedDate,
       visibleRangeRef,
       fetchSchedule, fetchGlobalEvents,
+      recurringOccurrences, fetchRecurringOccurrences,
       showToast, setConfirmModal, setSelectedEvent,
       navigate,
       convertScheduleToEvents,
@@ -339,6 +341,15 @@ export const createCalendarHandlers = (ctx) => {
             } else {
                await googleCalendarService.deleteEvent(event.googleEventId);
             }
+         } else if (event.isRecurringOccurrence) {
+            const occurrenceStart = new Date(event.occurrenceStart).getTime();
+            const response = await fetch(`${API_BASE_URL}/api/events/${event.seriesId}/occurrences/${occurrenceStart}?scope=this`, {
+               method: 'DELETE',
+               headers: { 'Authorization': `Bearer ${token}` },
+            });
+            if (!response.ok) throw new Error('Failed to cancel occurrence');
+            showToast('이 회차만 취소되었습니다.');
+            await fetchRecurringOccurrences();
          } else {
             const response = await fetch(`${API_BASE_URL}/api/events/${event.id}`, {
                method: 'DELETE',
@@ -415,7 +426,7 @@ export const createCalendarHandlers = (ctx) => {
             }
             return true;
          });
-         const allEvts = [...calendarEvents, ...filteredGEvts];
+         const allEvts = [...calendarEvents, ...recurringOccurrences.map(toOccurrenceCalendarEvent), ...filteredGEvts];
          setEvents(allEvts);
          if (calendarRef.current) {
             const calendarApi = calendarRef.current.getApi();
@@ -424,6 +435,7 @@ export const createCalendarHandlers = (ctx) => {
                calendarApi.addEventSource(allEvts);
             });
          }
+         fetchRecurringOccurrences();
       }
       if (viewInfo.view.type !== 'dayGridMonth') {
          const today = new Date();
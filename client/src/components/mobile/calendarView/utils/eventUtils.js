@@ -57,6 +57,34 @@ export const formatEventForClient = (event, color) => {
    };
 };
 
+/**
+ * 서버에서 전개된 반복 일정 회차(/api/events/range)를 캘린더 이벤트로 변환
+ * seriesId/occurrenceStart는 회차 취소(/api/events/:id/occurrences/:occurrenceStart)에 사용
+ */
+export const toOccurrenceCalendarEvent = (occurrence) => {
+   const start = new Date(occurrence.startTime);
+   const end = new Date(occurrence.endTime);
+   return {
+      id: occurrence.id,
+      title: occurrence.title,
+      start: formatLocalDateTime(start),
+      end: formatLocalDateTime(end),
+      backgroundColor: '#10b981',
+      borderColor: '#059669',
+      textColor: '#ffffff',
+      display: 'block',
+      dateKey: start.toLocaleDateString('en-CA'),
+      location: occurrence.location,
+      locationLat: occurrence.locationLat,
+      locationLng: occurrence.locationLng,
+      participants: Array.isArray(occurrence.participants) ? occurrence.participants.length : 0,
+      isRecurringOccurrence: true,
+      seriesId: occurrence.seriesId,
+      occurrenceStart: occurrence.occurrenceStart,
+      originalData: occurrence
+   };
+};
+
 export const getEventsForDate = (date, events) => {
    if (!date) return [];
    const targetDateStr = date.toLocaleDateString('en-CA');
@@ -0,0 +1,234 @@
+/**
+ * ===================================================================================================
+ * DayRouteModal.js - 방장의 하루 방문 순서(동선) 최적화 제안 모달
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/DayRouteModal.js
+ *
+ * 🎯 주요 기능:
+ *    - 날짜를 고르면 그날 방문 순서를 바꿨을 때 총 이동시간이 얼마나 줄어드는지 보여줌 (지금 순서 / 제안 순서).
+ *    - 제안 순서에서 시간이 바뀌는 조원 목록 표시.
+ *    - '제안 수락' 시 바뀌는 조원들에게 동선 조정(route_reorder) 요청을 보냄 (모두 승인해야 시간표에 반영).
+ *
+ * 🔗 연결된 파일:
+ *    - ../tabs/CoordinationTab/index.js - 시간표 컨트롤의 '동선 최적화' 버튼으로 이 모달을 엶.
+ *    - ../../services/coordinationService.js - getDayRoutePlan / requestDayRouteChanges API 호출.
+ *    - server/services/dayRouteService.js - 제안 계산 및 요청 생성.
+ *
+ * 💡 UI 위치:
+ *    - '일정 맞추기' 탭 > 시간표 상단 컨트롤 > '동선 최적화' 버튼 (방장에게만 표시).
+ *
+ * ✏️ 수정 가이드:
+ *    - 비교 표시 방식을 바꾸려면 `RouteColumn` 컴포넌트를 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 미리보기 후 그 사이 시간표/이동시간이 바뀌면 서버가 409와 새 제안을 돌려주며, 이 경우 새 제안을 보여주고 다시 확인받습니다.
+ *    - 이동시간은 방에서 사용 중인 이동수단 기준이며, 그날 방장 출발 장소에서 시작합니다.
+ *    - 방 관리 '출발/도착' 탭에서 도착 장소를 정한 날만 마지막 수업 → 도착 장소 구간을 총 이동시간에 넣습니다.
+ *
+ * ===================================================================================================
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Route, ArrowRight } from 'lucide-react';
+import { coordinationService } from '../../services/coordinationService';
+import { useToast } from '../../contexts/ToastContext';
+import { getRoomTimezone, toZonedParts } from '../../utils/timezoneUtils';
+
+const TRAVEL_MODE_LABELS = { transit: '대중교통', driving: '자동차', bicycling: '자전거', walking: '도보' };
+
+/**
+ * 방문 순서 한 줄 (순번, 조원, 수업 장소, 수업 시간, 직전 이동시간)
+ * @param {string} title - 열 제목
+ * @param {object} route - plan.before 또는 plan.after
+ * @param {string} accent - 총 이동시간 색상 클래스
+ * @param {string|null} endLabel - 그날 방장 도착 장소 (있으면 마지막 구간 표시)
+ */
+const RouteColumn = ({ title, route, accent, endLabel }) => (
+  <div className="flex-1 bg-gray-50 rounded-lg p-3">
+    <div className="text-xs text-gray-500">{title}</div>
+    <div className={`text-2xl font-bold ${accent}`}>{route.totalTravelMinutes}분</div>
+    <ol className="mt-2 space-y-1 text-sm text-gray-700">
+      {route.stops.map((stop, index) => (
+        <li key={`${stop.memberId}-${stop.startTime}`} className="flex justify-between">
+          <span>
+            {index + 1}. {stop.memberName}
+            {stop.placeLabel && <span className="ml-1 text-xs text-gray-400">({stop.placeLabel})</span>}
+          </span>
+          <span className="text-gray-500">
+            {stop.startTime}-{stop.endTime}
+            <span className="ml-1 text-xs text-green-600">(+{stop.travelMinutes}분)</span>
+          </span>
+        </li>
+      ))}
+      {endLabel && route.stops.length > 0 && (
+        <li className="flex justify-between text-gray-500">
+          <span>→ {endLabel}</span>
+          <span className="text-xs text-green-600">(+{route.returnMinutes}분)</span>
+        </li>
+      )}
+    </ol>
+  </div>
+);
+
+/**
+ * DayRouteModal
+ * @description 하루 동선 최적화 제안을 보여주고 수락하면 조원들에게 조정 요청을 보내는 모달.
+ * @param {object} props
+ * @param {boolean} props.isOpen - 모달 열림 상태.
+ * @param {function} props.onClose - 모달을 닫는 함수.
+ * @param {object} props.currentRoom - 현재 방 (방 ID, 시간대).
+ * @param {Date} [props.initialDate] - 처음 보여줄 날짜 (없으면 오늘).
+ * @param {function} [props.onRequested] - 요청을 보낸 뒤 방 정보를 새로고침하는 콜백.
+ * @returns {JSX.Element|null}
+ */
+const DayRouteModal = ({ isOpen, onClose, currentRoom, initialDate, onRequested }) => {
+  const { showToast } = useToast();
+  const roomId = currentRoom?._id;
+  const timeZone = getRoomTimezone(currentRoom?.settings);
+  const [date, setDate] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [hasPendingRequests, setHasPendingRequests] = useState(false);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setDate(toZonedParts(initialDate || Date.now(), timeZone).dateStr);
+  }, [isOpen, initialDate, timeZone]);
+
+  const loadPlan = useCallback(async () => {
+    if (!roomId || !date) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await coordinationService.getDayRoutePlan(roomId, date);
+      setPlan(result.plan);
+      setHasPendingRequests(result.hasPendingRequests);
+    } catch (err) {
+      setPlan(null);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [roomId, date]);
+
+  useEffect(() => {
+    if (isOpen) loadPlan();
+  }, [isOpen, loadPlan]);
+
+  if (!isOpen) return null;
+
+  const handleAccept = async () => {
+    if (!plan) return;
+    setIsSubmitting(true);
+    try {
+      const order = plan.after.stops.map(stop => stop.memberId);
+      const result = await coordinationService.requestDayRouteChanges(roomId, date, plan.transportMode, order);
+      showToast(result.msg);
+      if (onRequested) onRequested();
+      onClose();
+    } catch (err) {
+      if (err.plan) setPlan(err.plan);
+      showToast(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canAccept = plan && plan.improved && plan.moves.length > 0 && !hasPendingRequests && !isSubmitting;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-auto max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+            <Route size={20} className="mr-2 text-blue-600" />
+            동선 최적화
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+            />
+            {plan && (
+              <span className="text-xs text-gray-500">
+                {TRAVEL_MODE_LABELS[plan.transportMode] || plan.transportMode} 기준 · {plan.startLabel} 출발{plan.endLabel ? ` → ${plan.endLabel} 도착` : ''}
+              </span>
+            )}
+          </div>
+
+          {isLoading && <div className="text-sm text-gray-500">이동시간 계산 중...</div>}
+          {!isLoading && error && <div className="text-sm text-red-600">{error}</div>}
+
+          {!isLoading && plan && (
+            <>
+              <div className="flex gap-3 items-stretch">
+                <RouteColumn title="지금 순서" route={plan.before} accent="text-gray-700" endLabel={plan.endLabel} />
+                <div className="flex items-center text-gray-400"><ArrowRight size={20} /></div>
+                <RouteColumn title="제안 순서" route={plan.after} accent={plan.improved ? 'text-blue-600' : 'text-gray-700'} endLabel={plan.endLabel} />
+              </div>
+
+              {plan.improved ? (
+                <div className="text-sm text-blue-700 bg-blue-50 rounded-lg p-3">
+                  하루 이동시간이 {plan.savedMinutes}분 줄어듭니다.
+                  {!plan.exact && ' (방문이 많아 근사 계산한 결과입니다)'}
+                </div>
+              ) : (
+                <div className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">지금 순서가 이미 가장 짧은 동선입니다.</div>
+              )}
+
+              {plan.moves.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">시간이 바뀌는 조원 (승인 필요)</h4>
+                  <ul className="space-y-1 text-sm text-gray-700">
+                    {plan.moves.map(move => (
+                      <li key={move.memberId}>
+                        • {move.memberName}: {move.from.startTime}-{move.from.endTime} → {move.to.startTime}-{move.to.endTime}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {hasPendingRequests && (
+                <div className="text-sm text-yellow-700 bg-yellow-50 rounded-lg p-3">
+                  이 날짜에 조원 응답을 기다리는 동선 조정 요청이 있습니다.
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex gap-2">
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-200 text-gray-800 py-2 px-4 rounded-lg hover:bg-gray-300"
+          >
+            닫기
+          </button>
+          <button
+            onClick={handleAccept}
+            disabled={!canAccept}
+            className="flex-1 bg-blue-500 text-white py-2 px-4 rounded-lg hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? '요청 보내는 중...' : '제안 수락'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DayRouteModal;
@@ -11,6 +11,7 @@
  *    - `moment.js`를 사용하여 날짜 및 시간 데이터 파싱 및 포맷팅.
  *    - 종료 시간이 시작 시간보다 늦도록 하는 유효성 검사 수행.
  *    - Google Calendar API의 동시성 제어를 위해 `etag`를 함께 전송.
+ *    - 반복 일정의 회차인 경우 '이 일정만' / '이 일정 및 이후 일정' 수정·취소 범위 선택 제공.
  *
  * 🔗 연결된 파일:
  *    - ../../SchedulingSystem.js (추정) - '나의 일정' 탭 등에서 '수정' 버튼 클릭 시 이 모달을 호출.
@@ -27,6 +28,7 @@
  * 📝 참고사항:
  *    - 현재 구현에서는 날짜(date) 필드는 `readOnly`로 설정되어 있어 시간만 변경 가능합니다.
  *    - `PUT` 메소드를 사용하여 `/api/calendar/events/${event.id}` 엔드포인트로 요청을 보냅니다.
+ *    - 반복 회차(`isRecurringOccurrence`)는 `/api/events/${seriesId}/occurrences/${occurrenceStart}` 엔드포인트를 사용합니다.
  *
  * ===================================================================================================
  */
@@ -37,6 +39,19 @@ import { auth } from '../../config/firebaseConfig';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
+const RECURRENCE_SCOPES = [
+  { value: 'this', label: '이 일정만' },
+  { value: 'following', label: '이 일정 및 이후 일정' },
+];
+
+/**
+ * getOccurrenceUrl - 반복 일정 회차 API 주소 생성
+ * @param {object} event - 서버에서 전개된 회차 객체 (seriesId, occurrenceStart 포함)
+ * @returns {string}
+ */
+const getOccurrenceUrl = (event) =>
+  `${API_BASE_URL}/api/events/${event.seriesId}/occurrences/${new Date(event.occurrenceStart).getTime()}`;
+
 /**
  * EditEventModal
  * @description 기존에 생성된 일정을 수정하기 위한 폼을 담고 있는 모달 컴포넌트.
@@ -53,6 +68,8 @@ const EditEventModal = ({ event, onClose, onUpdateEvent }) => {
   const [startTime, setStartTime] = useState(moment(event.start).format('HH:mm:ss'));
   const [endDate] = useState(moment(event.end).format('YYYY-MM-DD'));
   const [endTime, setEndTime] = useState(moment(event.end).format('HH:mm:ss'));
+  const [scope, setScope] = useState('this');
+  const isOccurrence = !!event.isRecurringOccurrence;
 
   // CustomAlert 상태
   const [customAlert, setCustomAlert] = useState({ show: false, message: '' });
@@ -77,7 +94,8 @@ const EditEventModal = ({ event, onClose, onUpdateEvent }) => {
         return;
       }
 
-      const response = await fetch(`${API_BASE_URL}/api/calendar/events/${event.id}`, {
+      const url = isOccurrence ? getOccurrenceUrl(event) : `${API_BASE_URL}/api/calendar/events/${event.id}`;
+      const response = await fetch(url, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -88,7 +106,7 @@ const EditEventModal = ({ event, onClose, onUpdateEvent }) => {
           description,
           startDateTime: startMoment.toISOString(),
           endDateTime: endMoment.toISOString(),
-          etag: event.etag,
+          ...(isOccurrence ? { scope } : { etag: event.etag }),
         }),
       });
 
@@ -105,6 +123,30 @@ const EditEventModal = ({ event, onClose, onUpdateEvent }) => {
     }
   };
 
+  const handleCancelOccurrence = async () => {
+    try {
+      const currentUser = auth.currentUser;
+      if (!currentUser) {
+        showAlert('인증이 필요합니다.');
+        return;
+      }
+
+      const response = await fetch(`${getOccurrenceUrl(event)}?scope=${scope}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${await currentUser.getIdToken()}` },
+      });
+
+      if (!response.ok) {
+        throw new Error('일정 취소에 실패했습니다.');
+      }
+
+      onUpdateEvent(await response.json());
+      onClose();
+    } catch (error) {
+      showAlert('일정 취소 중 오류가 발생했습니다.');
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-center z-50">
       <div className="bg-white p-6 rounded-lg shadow-xl w-11/12 max-w-md">
@@ -172,7 +214,37 @@ const EditEventModal = ({ event, onClose, onUpdateEvent }) => {
               required
             />
           </div>
+          {isOccurrence && (
+            <div className="mb-4">
+              <span className="block text-gray-700 text-sm font-bold mb-2">반복 일정 적용 범위:</span>
+              <div className="flex gap-2">
+                {RECURRENCE_SCOPES.map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setScope(option.value)}
+                    className={`px-3 py-1.5 text-sm rounded-lg transition-colors font-medium ${
+                      scope === option.value
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="flex justify-end space-x-3">
+            {isOccurrence && (
+              <button
+                type="button"
+                onClick={handleCancelOccurrence}
+                className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
+              >
+                일정 취소
+              </button>
+            )}
             <button
               type="button"
               onClick={onClose}
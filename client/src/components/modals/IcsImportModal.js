@@ -0,0 +1,262 @@
+/**
+ * ===================================================================================================
+ * IcsImportModal.js - iCalendar(.ics) 파일 가져오기 미리보기/확인 모달
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/IcsImportModal.js
+ *
+ * 🎯 주요 기능:
+ *    - .ics 파일을 선택하면 서버에서 미리보기 항목을 받아 목록으로 표시.
+ *    - 항목별로 가져올지 여부와 저장 위치(일정 / 개인시간 / 예외일정)를 선택.
+ *    - 이미 등록된 일정과 중복되는 항목은 표시하고 기본으로 선택 해제.
+ *    - '가져오기' 클릭 시 선택한 항목만 서버에 저장 요청.
+ *
+ * 🔗 연결된 파일:
+ *    - ../mobile/MobileSettings.js - '캘린더 구독 (iCal)' 섹션에서 모달을 엶.
+ *    - server/controllers/calendarImportController.js - 미리보기/확정 API.
+ *
+ * 💡 UI 위치:
+ *    - 설정 화면 > 캘린더 구독 (iCal) > '.ics 가져오기' 버튼 클릭 시 화면 중앙 팝업.
+ *
+ * ✏️ 수정 가이드:
+ *    - 저장 위치 이름을 바꾸려면 `TARGET_LABELS`를 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 서버는 확정 시 중복을 다시 검사하여 건너뛰므로, 중복 항목은 선택할 수 없게 비활성화합니다.
+ *
+ * ===================================================================================================
+ */
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { Upload, AlertTriangle, X } from 'lucide-react';
+import { auth } from '../../config/firebaseConfig';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+
+const TARGET_LABELS = {
+  event: '일정',
+  personalTime: '개인시간',
+  scheduleException: '예외일정'
+};
+
+const WEEKDAY_LABELS = ['', '월', '화', '수', '목', '금', '토', '일'];
+const FREQUENCY_LABELS = { daily: '매일', weekly: '매주', monthly: '매월', yearly: '매년' };
+const FREQUENCY_UNITS = { daily: '일', weekly: '주', monthly: '개월', yearly: '년' };
+
+/**
+ * 항목의 날짜/시간을 표시용 문자열로 변환
+ * @param {object} item - 미리보기 항목
+ * @returns {string}
+ */
+const formatItemTime = (item) => {
+  if (item.isAllDay) return `${item.date} 종일`;
+  const start = new Date(item.start);
+  const end = new Date(item.end);
+  const time = (d) => d.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false });
+  return `${start.toLocaleDateString('ko-KR')} ${time(start)}~${time(end)}`;
+};
+
+/**
+ * 반복 규칙을 표시용 문자열로 변환
+ * @param {object|null} recurrence
+ * @returns {string|null}
+ */
+const formatRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+  const base = recurrence.interval > 1
+    ? `${recurrence.interval}${FREQUENCY_UNITS[recurrence.frequency]}마다`
+    : FREQUENCY_LABELS[recurrence.frequency];
+  const days = recurrence.byDay?.length ? ` (${recurrence.byDay.map(d => WEEKDAY_LABELS[d]).join(',')})` : '';
+  const until = recurrence.until
+    ? `, ${new Date(recurrence.until).toLocaleDateString('ko-KR')}까지`
+    : recurrence.count ? `, ${recurrence.count}회` : '';
+  return `${base}${days}${until}`;
+};
+
+/**
+ * IcsImportModal
+ * @description .ics 파일을 업로드해 미리보기 후 선택한 항목만 가져오는 모달.
+ * @param {object} props - 컴포넌트 props
+ * @param {boolean} props.isOpen - 모달 표시 여부.
+ * @param {function} props.onClose - 모달 닫기 함수.
+ * @param {function} [props.onImported] - 가져오기 완료 시 결과({ created, skipped })와 함께 호출.
+ * @returns {JSX.Element|null}
+ */
+const IcsImportModal = ({ isOpen, onClose, onImported }) => {
+  const [items, setItems] = useState([]);
+  const [selection, setSelection] = useState({});
+  const [targets, setTargets] = useState({});
+  const [calendarName, setCalendarName] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setItems([]);
+    setSelection({});
+    setTargets({});
+    setCalendarName(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    reset();
+    setIsLoading(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await fetch(`${API_BASE_URL}/api/events/import/ics/preview`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: formData
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.msg || '파일을 읽지 못했습니다.');
+
+      setItems(data.items);
+      setCalendarName(data.calendarName);
+      setTargets(Object.fromEntries(data.items.map(item => [item.key, item.target])));
+      setSelection(Object.fromEntries(data.items.map(item => [item.key, !item.duplicates[item.target]])));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTargetChange = (item, target) => {
+    setTargets(prev => ({ ...prev, [item.key]: target }));
+    setSelection(prev => ({ ...prev, [item.key]: !item.duplicates[target] }));
+  };
+
+  const handleConfirm = async () => {
+    const selectedItems = items
+      .filter(item => selection[item.key])
+      .map(item => ({ ...item, target: targets[item.key] }));
+    if (selectedItems.length === 0) return;
+
+    setIsLoading(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`${API_BASE_URL}/api/events/import/ics/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ items: selectedItems })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.msg || '가져오기에 실패했습니다.');
+
+      reset();
+      if (onImported) onImported(data);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const selectedCount = items.filter(item => selection[item.key]).length;
+
+  return ReactDOM.createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999]"
+      onClick={(e) => { if (e.target === e.currentTarget && !isLoading) handleClose(); }}
+    >
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between px-5 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-900">
+            .ics 가져오기{calendarName ? ` - ${calendarName}` : ''}
+          </h3>
+          <button onClick={handleClose} disabled={isLoading} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-5 py-4 overflow-y-auto flex-1">
+          <label className="flex items-center justify-center gap-2 w-full py-3 mb-3 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 cursor-pointer hover:bg-gray-50">
+            <Upload className="w-4 h-4" />
+            {isLoading ? '처리 중...' : '.ics 파일 선택'}
+            <input type="file" accept=".ics,text/calendar" onChange={handleFileChange} disabled={isLoading} className="hidden" />
+          </label>
+
+          {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+          {items.length > 0 && (
+            <ul className="space-y-2">
+              {items.map(item => {
+                const target = targets[item.key];
+                const isDuplicate = item.duplicates[target];
+                const recurrenceText = formatRecurrence(item.recurrence);
+                return (
+                  <li key={item.key} className={`p-3 rounded-lg border ${isDuplicate ? 'bg-gray-50 border-gray-200' : 'border-blue-100'}`}>
+                    <div className="flex items-start gap-2">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={!!selection[item.key]}
+                        disabled={isDuplicate}
+                        onChange={(e) => setSelection(prev => ({ ...prev, [item.key]: e.target.checked }))}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm font-semibold text-gray-900 truncate">{item.title}</div>
+                        <div className="text-xs text-gray-500">{formatItemTime(item)}</div>
+                        {recurrenceText && <div className="text-xs text-blue-600">{recurrenceText}</div>}
+                        {isDuplicate && <div className="text-xs text-orange-600">이미 등록된 일정입니다</div>}
+                        {item.warnings.map(warning => (
+                          <div key={warning} className="flex items-center gap-1 text-xs text-yellow-700">
+                            <AlertTriangle className="w-3 h-3" /> {warning}
+                          </div>
+                        ))}
+                      </div>
+                      <select
+                        value={target}
+                        onChange={(e) => handleTargetChange(item, e.target.value)}
+                        className="text-xs border border-gray-300 rounded px-1 py-1"
+                      >
+                        {item.allowedTargets.map(option => (
+                          <option key={option} value={option}>{TARGET_LABELS[option]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 px-5 py-4 border-t">
+          <button
+            onClick={handleClose}
+            disabled={isLoading}
+            className="px-4 py-2 text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            취소
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading || selectedCount === 0}
+            className="px-4 py-2 rounded-lg transition-colors bg-blue-600 hover:bg-blue-700 text-white disabled:bg-gray-400"
+          >
+            {selectedCount > 0 ? `${selectedCount}개 가져오기` : '가져오기'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default IcsImportModal;
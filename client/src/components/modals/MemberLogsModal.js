@@ -108,7 +108,18 @@ const MemberLogsModal = ({ roomId, memberId, memberName, onClose, isAdmin = fals
       schedule_update: '일정 수정',
       change_request: '변경 요청',
       change_approve: '변경 승인',
-      change_reject: '변경 거절'
+      change_reject: '변경 거절',
+      schedule_restore: '시간표 복원',
+      role_change: '역할 변경',
+      owner_transfer: '방장 위임',
+      invite_create: '초대 링크 발급',
+      invite_revoke: '초대 링크 폐기',
+      invite_code_reset: '초대 코드 변경',
+      join_request: '참여 요청',
+      join_approve: '참여 승인',
+      join_reject: '참여 거절',
+      slot_offer: '빈자리 제안',
+      slot_claim: '빈자리 배정'
     };
     return labels[action] || action;
   };
@@ -127,7 +138,18 @@ const MemberLogsModal = ({ roomId, memberId, memberName, onClose, isAdmin = fals
       schedule_update: 'bg-pink-100 text-pink-700',
       change_request: 'bg-blue-100 text-blue-700',
       change_approve: 'bg-green-100 text-green-700',
-      change_reject: 'bg-red-100 text-red-700'
+      change_reject: 'bg-red-100 text-red-700',
+      schedule_restore: 'bg-orange-100 text-orange-700',
+      role_change: 'bg-indigo-100 text-indigo-700',
+      owner_transfer: 'bg-indigo-100 text-indigo-700',
+      invite_create: 'bg-teal-100 text-teal-700',
+      invite_revoke: 'bg-red-100 text-red-700',
+      invite_code_reset: 'bg-teal-100 text-teal-700',
+      join_request: 'bg-yellow-100 text-yellow-700',
+      join_approve: 'bg-green-100 text-green-700',
+      join_reject: 'bg-red-100 text-red-700',
+      slot_offer: 'bg-amber-100 text-amber-700',
+      slot_claim: 'bg-green-100 text-green-700'
     };
     return colors[action] || 'bg-gray-100 text-gray-700';
   };
@@ -9,11 +9,13 @@
  *    - 조율방 내 특정 멤버의 통계 정보를 시각적으로 표시.
  *    - 주요 통계: 현재 이월 시간, 총 완료 시간.
  *    - 이월 시간의 변경 내역(히스토리)을 시간순으로 정렬하여 보여줌.
+ *    - 배정 공평성: 최근 8주 주별 선호도 만족도 차트, 이월 발생, 하루 첫/마지막 시간 비율, 방 평균 대비 부채.
  *    - 방장(`isOwner`)인 경우, 특정 멤버의 이월시간 내역을 모두 삭제하고 0으로 초기화하는 기능 제공.
  *
  * 🔗 연결된 파일:
  *    - ./CoordinationTab.js (추정) - 멤버 목록에서 통계 아이콘 클릭 시 이 모달을 호출.
- *    - ../../services/coordinationService.js - 이월시간 내역을 삭제하는 API를 호출.
+ *    - ../../services/coordinationService.js - 이월시간 내역 삭제, 공평성 리포트(getFairnessReport) API를 호출.
+ *    - server/services/fairnessService.js - 공평성 지표 계산.
  *
  * 💡 UI 위치:
  *    - '일정 맞추기' 탭의 멤버 목록에서 특정 멤버의 통계 아이콘을 클릭했을 때 나타나는 팝업 모달.
@@ -21,6 +23,7 @@
  * ✏️ 수정 가이드:
  *    - 표시되는 통계 항목을 추가하려면 JSX 내 '현재 상태' 또는 '요약 통계' 섹션을 수정합니다.
  *    - 이월시간 내역을 표시하는 방식을 변경하려면 '이월시간 히스토리' 섹션의 `map` 부분을 수정합니다.
+ *    - 공평성 차트 기간을 바꾸려면 `FAIRNESS_WEEKS`를 수정합니다 (서버 최대 26주).
  *
  * 📝 참고사항:
  *    - 이 모달은 `currentRoom` prop을 받아, `member` prop으로 받은 데이터보다 최신 정보가 있으면 `currentRoom`의 데이터를 우선적으로 사용합니다.
@@ -29,12 +32,61 @@
  *
  * ===================================================================================================
  */
-import React, { useState } from 'react';
-import { X, Clock, Calendar, TrendingUp, TrendingDown } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { X, Clock, Calendar, TrendingUp, TrendingDown, Scale } from 'lucide-react';
 import { coordinationService } from '../../services/coordinationService';
 import { useToast } from '../../contexts/ToastContext';
 import CustomAlertModal from './CustomAlertModal';
 
+const FAIRNESS_WEEKS = 8;
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+
+const formatWeekLabel = (weekStart) => {
+  const [, month, day] = weekStart.split('-');
+  return `${Number(month)}/${Number(day)}`;
+};
+
+/**
+ * 주별 선호도 만족도 막대 차트 (막대 위 숫자는 이월 발생 시간)
+ * @param {Array} weekly - fairness 리포트의 멤버 weekly 배열
+ * @param {number|null} average - 방 평균 만족도 (점선)
+ */
+const FairnessChart = ({ weekly, average }) => (
+  <div>
+    <div className="relative h-28 flex items-end gap-1 border-b border-gray-300">
+      {average !== null && (
+        <div
+          className="absolute left-0 right-0 border-t border-dashed border-gray-400"
+          style={{ bottom: `${average * 100}%` }}
+          title={`방 평균 ${formatPercent(average)}`}
+        />
+      )}
+      {weekly.map(week => (
+        <div key={week.weekStart} className="flex-1 h-full flex flex-col justify-end items-center">
+          {week.carryOverHours > 0 && (
+            <span className="text-[10px] font-semibold text-yellow-600">+{week.carryOverHours}h</span>
+          )}
+          {week.satisfaction === null ? (
+            <div className="w-full h-1 bg-gray-200 rounded-t" title="배정 없음" />
+          ) : (
+            <div
+              className={`w-full rounded-t ${average !== null && week.satisfaction < average ? 'bg-orange-400' : 'bg-blue-500'}`}
+              style={{ height: `${Math.max(week.satisfaction * 100, 2)}%` }}
+              title={`만족도 ${formatPercent(week.satisfaction)} · 배정 ${week.assignedMinutes}분`}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+    <div className="flex gap-1 mt-1">
+      {weekly.map(week => (
+        <span key={week.weekStart} className="flex-1 text-center text-[10px] text-gray-500">{formatWeekLabel(week.weekStart)}</span>
+      ))}
+    </div>
+  </div>
+);
+
 /**
  * MemberStatsModal
  * @description 특정 멤버의 통계, 특히 이월 시간과 관련된 상세 내역을 보여주는 모달 컴포넌트.
@@ -50,6 +102,20 @@ import CustomAlertModal from './CustomAlertModal';
 const MemberStatsModal = ({ isOpen, onClose, member, isOwner, currentRoom, onRefresh }) => {
   const { showToast } = useToast();
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', onConfirm: null });
+  const [fairnessReport, setFairnessReport] = useState(null);
+  const [fairnessError, setFairnessError] = useState(null);
+
+  const roomId = currentRoom?._id;
+  useEffect(() => {
+    if (!isOpen || !roomId) return;
+    let cancelled = false;
+    setFairnessError(null);
+    coordinationService.getFairnessReport(roomId, FAIRNESS_WEEKS)
+      .then(report => { if (!cancelled) setFairnessReport(report); })
+      .catch(error => { if (!cancelled) setFairnessError(error.message); });
+    return () => { cancelled = true; };
+  }, [isOpen, roomId]);
+
   if (!isOpen || !member) return null;
 
   const handleClearCarryOverHistory = async () => {
@@ -92,6 +158,8 @@ const MemberStatsModal = ({ isOpen, onClose, member, isOwner, currentRoom, onRef
 
   const memberData = latestMember.user || latestMember;
   const memberName = `${memberData?.firstName || ''} ${memberData?.lastName || ''}`.trim() || '멤버';
+  const memberId = (latestMember.user?._id || latestMember.user?.id || latestMember.user)?.toString();
+  const memberFairness = fairnessReport?.members.find(m => m.userId === memberId);
 
   return (
     <div
@@ -183,6 +251,46 @@ const MemberStatsModal = ({ isOpen, onClose, member, isOwner, currentRoom, onRef
               </div>
             )}
 
+            {/* 배정 공평성 (자동 배정 대상 조원만 리포트에 포함) */}
+            {(memberFairness || fairnessError) && (
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-3 flex items-center">
+                  <Scale size={16} className="mr-2" />
+                  배정 공평성 (최근 {FAIRNESS_WEEKS}주)
+                </h4>
+                {fairnessError ? (
+                  <div className="text-xs text-red-600">{fairnessError}</div>
+                ) : (
+                  <div className="space-y-3">
+                    <FairnessChart weekly={memberFairness.weekly} average={fairnessReport.summary.averageSatisfaction} />
+                    <div className="text-[11px] text-gray-500">
+                      막대: 배정 시간 중 선호시간 만족도 (주황은 방 평균 미만, 점선은 방 평균) · 숫자: 그 주 이월 발생
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 text-center">
+                      <div className="bg-white rounded border p-2">
+                        <div className="text-lg font-bold text-blue-600">{formatPercent(memberFairness.totals.satisfaction)}</div>
+                        <div className="text-[11px] text-gray-500">선호도 만족 (평균 {formatPercent(fairnessReport.summary.averageSatisfaction)})</div>
+                      </div>
+                      <div className="bg-white rounded border p-2">
+                        <div className="text-lg font-bold text-gray-700">{formatPercent(memberFairness.totals.earliestShare)}</div>
+                        <div className="text-[11px] text-gray-500">그날 첫 시간</div>
+                      </div>
+                      <div className="bg-white rounded border p-2">
+                        <div className="text-lg font-bold text-gray-700">{formatPercent(memberFairness.totals.latestShare)}</div>
+                        <div className="text-[11px] text-gray-500">그날 마지막 시간</div>
+                      </div>
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      {memberFairness.debt.overall > 0
+                        ? `방 평균보다 불리한 정도 ${formatPercent(memberFairness.debt.overall)} (선호도 ${formatPercent(memberFairness.debt.preference)}, 이월 ${formatPercent(memberFairness.debt.carryOver)}, 첫/마지막 시간 ${formatPercent(memberFairness.debt.edge)})`
+                        : '방 평균보다 불리하게 배정되지 않았습니다.'}
+                      {fairnessReport.fairnessWeight > 0 && memberFairness.debt.overall > 0 && ' · 다음 자동 배정에서 보정됩니다.'}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* 요약 통계 */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <h4 className="text-sm font-medium text-blue-800 mb-2">요약</h4>
@@ -36,6 +36,7 @@ import React, { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
 import CustomAlertModal from './CustomAlertModal';
 import { userService } from '../../services/userService';
+import { getBrowserTimezone } from '../../utils/timezoneUtils';
 
 /**
  * RoomCreationModal
@@ -57,6 +58,7 @@ const RoomCreationModal = ({ onClose, onCreateRoom, ownerProfileSchedule: initia
     endHour: 18,
     blockedTimes: [], // 금지 시간대 배열
     roomExceptions: [], // 새로운 roomExceptions 배열
+    timezone: getBrowserTimezone(), // 방 시간표 기준 시간대
   });
   
   const [newBlockedTime, setNewBlockedTime] = useState({
@@ -273,7 +275,9 @@ useEffect(() => {
       settings: {
         ...settings,
         // 빈 roomExceptions 배열은 보내지 않도록 필터링
-        roomExceptions: settings.roomExceptions.length > 0 ? settings.roomExceptions : undefined
+        roomExceptions: settings.roomExceptions.length > 0 ? settings.roomExceptions : undefined,
+        // 비워두면 서버에서 방장 시간대로 설정
+        timezone: settings.timezone || undefined
       }
     };
 
@@ -387,6 +391,18 @@ useEffect(() => {
               </div>
             </div>
 
+            <div className="mt-2">
+              <label className="block text-[11px] text-gray-600 mb-0.5">시간대</label>
+              <input
+                type="text"
+                className="w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={settings.timezone}
+                onChange={(e) => setSettings({...settings, timezone: e.target.value.trim()})}
+                placeholder="Asia/Seoul"
+              />
+              <p className="text-[11px] text-gray-500 mt-0.5">시간표는 이 시간대 기준으로 저장되고, 멤버에게는 각자의 시간대로 표시됩니다</p>
+            </div>
+
             <div className="mt-2">
               <div className="flex justify-between items-center mb-1">
                 <h4 className="text-xs font-medium text-gray-700">금지 시간대 설정</h4>
@@ -1,65 +1,175 @@
 /**
  * ===================================================================================================
- * RoomJoinModal.js - 초대 코드를 사용하여 조율방에 참여하기 위한 모달
+ * RoomJoinModal.js - 초대 코드 또는 초대 링크로 조율방에 참여하기 위한 모달
  * ===================================================================================================
  *
  * 📍 위치: 프론트엔드 > client/src/components/modals/RoomJoinModal.js
  *
  * 🎯 주요 기능:
- *    - 사용자가 조율방 참여를 위한 초대 코드를 입력할 수 있는 UI를 제공.
- *    - '참여' 버튼 클릭 시 입력된 초대 코드의 유효성을 검사.
- *    - 유효한 코드가 입력되면, `onJoinRoom` 콜백 함수를 호출하여 실제 방 참여 로직을 실행.
- *    - 방 참여 실패 시(예: 잘못된 코드, 방 인원 초과) 에러 메시지를 알림창으로 표시.
+ *    - 사용자가 조율방 참여를 위한 초대 코드 또는 초대 링크를 입력할 수 있는 UI를 제공.
+ *    - 초대 링크로 열리면(`initialInviteToken`) 방 이름, 방장, 인원, 만료 시각 등을 미리 보여줌.
+ *    - 코드는 `onJoinRoom`, 링크(토큰)는 `onAcceptInvite` 콜백으로 실제 참여 로직을 실행.
+ *    - 방장 승인이 필요한 방/링크면 승인 대기 안내를 표시하고 모달을 닫음.
+ *    - 방 참여 실패 시(예: 잘못된 코드, 만료된 링크, 방 인원 초과) 에러 메시지를 알림창으로 표시.
  *
  * 🔗 연결된 파일:
- *    - ./CoordinationTab.js (추정) - '방 참여' 버튼 클릭 시 이 모달을 호출하고, `onJoinRoom` 로직을 제공.
- *    - ./CustomAlertModal.js - 입력값 오류 또는 참여 실패 시 알림을 표시하는 데 사용.
+ *    - ../tabs/CoordinationTab/index.js - '방 참여' 버튼 또는 초대 링크(?invite=)로 이 모달을 열고 참여 로직을 제공.
+ *    - ../../services/coordinationService.js - getInvitePreview (초대 링크 미리보기).
+ *    - ../../utils/coordinationUtils.js - parseInviteInput (링크/토큰/코드 구분).
+ *    - ./CustomAlertModal.js - 입력값 오류, 참여 실패, 승인 대기 안내를 표시하는 데 사용.
  *
  * 💡 UI 위치:
  *    - '일정 맞추기' 탭에서 '방 참여' 버튼을 클릭했을 때 나타나는 팝업 모달.
+ *    - 공유받은 초대 링크를 열었을 때 자동으로 나타나는 팝업 모달.
  *
  * ✏️ 수정 가이드:
- *    - 초대 코드 입력 필드의 유효성 검사 로직을 변경하려면 `handleSubmit` 함수를 수정합니다.
- *    - 모달의 디자인을 변경하려면 이 파일의 JSX 구조를 수정합니다.
+ *    - 코드/링크 구분 규칙을 변경하려면 `parseInviteInput`(coordinationUtils.js)을 수정합니다.
+ *    - 미리보기 카드의 디자인을 변경하려면 `renderPreview` 함수를 수정합니다.
  *
  * 📝 참고사항:
- *    - 이 모달은 `onJoinRoom` prop으로 받은 함수가 Promise를 반환하고, 실패 시 에러를 throw할 것을 기대하고 `try...catch` 구문을 사용합니다.
+ *    - `onJoinRoom`/`onAcceptInvite`는 Promise를 반환하고, 실패 시 에러를 throw할 것을 기대하고 `try...catch` 구문을 사용합니다.
+ *    - 승인 대기 응답은 `{ pending: true, msg }` 형태이며, 이 경우 방에 들어가지 않습니다.
  *
  * ===================================================================================================
  */
-import React, { useState } from 'react';
-import { X } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { X, Users, Clock, ShieldCheck } from 'lucide-react';
 import CustomAlertModal from './CustomAlertModal';
+import { coordinationService } from '../../services/coordinationService';
+import { parseInviteInput, ROOM_ROLE_LABELS } from '../../utils/coordinationUtils';
+
+const INVITE_STATUS_LABELS = {
+  revoked: '폐기된 초대 링크입니다.',
+  expired: '만료된 초대 링크입니다.',
+  exhausted: '사용 횟수가 모두 소진된 초대 링크입니다.'
+};
 
 /**
  * RoomJoinModal
- * @description 초대 코드를 입력하여 기존 조율방에 참여하기 위한 UI를 제공하는 모달 컴포넌트.
+ * @description 초대 코드 또는 초대 링크로 기존 조율방에 참여하기 위한 UI를 제공하는 모달 컴포넌트.
  * @param {object} props - 컴포넌트 props
  * @param {function} props.onClose - 모달을 닫는 함수.
- * @param {function} props.onJoinRoom - '참여' 버튼 클릭 시 호출되는 콜백 함수. 입력된 초대 코드를 인자로 받음.
+ * @param {function} props.onJoinRoom - 초대 코드로 참여할 때 호출되는 콜백 함수. 입력된 초대 코드를 인자로 받음.
+ * @param {function} props.onAcceptInvite - 초대 링크로 참여할 때 호출되는 콜백 함수. 초대 토큰을 인자로 받음.
+ * @param {string} [props.initialInviteToken] - 초대 링크로 열렸을 때의 토큰.
  * @returns {JSX.Element}
  */
-const RoomJoinModal = ({ onClose, onJoinRoom }) => {
+const RoomJoinModal = ({ onClose, onJoinRoom, onAcceptInvite, initialInviteToken }) => {
   const [inviteCode, setInviteCode] = useState('');
+  const [inviteToken, setInviteToken] = useState(initialInviteToken || null);
+  const [preview, setPreview] = useState(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [isJoining, setIsJoining] = useState(false);
+
+  // CustomAlert 상태 (승인 대기 안내를 닫으면 모달도 닫음)
+  const [customAlert, setCustomAlert] = useState({ show: false, message: '', title: '', type: 'error', closeModal: false });
+  const showAlert = (message, title = '알림', type = 'error', closeModal = false) =>
+    setCustomAlert({ show: true, message, title, type, closeModal });
+  const closeAlert = () => {
+    const shouldClose = customAlert.closeModal;
+    setCustomAlert({ show: false, message: '', title: '', type: 'error', closeModal: false });
+    if (shouldClose) onClose();
+  };
+
+  useEffect(() => {
+    if (!inviteToken) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    setIsLoadingPreview(true);
+    coordinationService.getInvitePreview(inviteToken)
+      .then(data => { if (!cancelled) setPreview(data); })
+      .catch(error => {
+        if (cancelled) return;
+        setInviteToken(null);
+        showAlert(error.message || '초대 링크를 불러올 수 없습니다.', '초대 링크 오류');
+      })
+      .finally(() => { if (!cancelled) setIsLoadingPreview(false); });
+    return () => { cancelled = true; };
+  }, [inviteToken]);
 
-  // CustomAlert 상태
-  const [customAlert, setCustomAlert] = useState({ show: false, message: '', title: '' });
-  const showAlert = (message, title = '알림') => setCustomAlert({ show: true, message, title });
-  const closeAlert = () => setCustomAlert({ show: false, message: '', title: '' });
+  const handleResult = (result) => {
+    if (result?.pending) {
+      showAlert(result.msg || '참여 요청을 보냈습니다. 방장이 승인하면 방에 입장합니다.', '승인 대기', 'info', true);
+      return;
+    }
+    onClose();
+  };
 
   const handleSubmit = async () => {
+    if (inviteToken) {
+      try {
+        setIsJoining(true);
+        handleResult(await onAcceptInvite(inviteToken));
+      } catch (error) {
+        showAlert(error.message || '방 참여에 실패했습니다.', '참여 실패');
+      } finally {
+        setIsJoining(false);
+      }
+      return;
+    }
+
     if (inviteCode.trim() === '') {
       showAlert('초대 코드를 입력해주세요.', '입력 필요');
       return;
     }
+
+    // 초대 링크를 붙여넣은 경우 미리보기부터 표시
+    const parsed = parseInviteInput(inviteCode);
+    if (parsed.type === 'token') {
+      setInviteToken(parsed.value);
+      return;
+    }
+
     try {
-      await onJoinRoom(inviteCode);
-      onClose();
+      setIsJoining(true);
+      handleResult(await onJoinRoom(parsed.value));
     } catch (error) {
       showAlert(error.message || '방 참여에 실패했습니다.', '참여 실패');
+    } finally {
+      setIsJoining(false);
     }
   };
 
+  const renderPreview = () => {
+    if (isLoadingPreview || !preview) {
+      return <div className="py-6 text-center text-sm text-gray-500">초대 정보를 불러오는 중...</div>;
+    }
+
+    const { room, invite, alreadyMember, pendingRequest } = preview;
+    const unavailable = invite.status !== 'active' && !alreadyMember;
+
+    return (
+      <div className="space-y-3">
+        <div className="p-4 bg-blue-50 border border-blue-100 rounded-lg">
+          <div className="text-lg font-bold text-gray-800">{room.name}</div>
+          {room.description && <div className="text-sm text-gray-600 mt-1">{room.description}</div>}
+          <div className="mt-3 space-y-1 text-sm text-gray-700">
+            <div>방장: {room.ownerName || '-'}</div>
+            <div className="flex items-center gap-1"><Users size={14} /> {room.memberCount} / {room.maxMembers}명</div>
+            <div>참여 역할: {ROOM_ROLE_LABELS[invite.role] || invite.role}</div>
+            {invite.expiresAt && (
+              <div className="flex items-center gap-1">
+                <Clock size={14} /> {new Date(invite.expiresAt).toLocaleString('ko-KR')}까지 유효
+              </div>
+            )}
+            {invite.requiresApproval && (
+              <div className="flex items-center gap-1 text-orange-700">
+                <ShieldCheck size={14} /> 방장 승인 후 입장합니다
+              </div>
+            )}
+          </div>
+        </div>
+        {alreadyMember && <div className="text-sm text-blue-700">이미 참여 중인 방입니다.</div>}
+        {!alreadyMember && pendingRequest && <div className="text-sm text-orange-700">참여 요청이 승인을 기다리고 있습니다.</div>}
+        {unavailable && <div className="text-sm text-red-600">{INVITE_STATUS_LABELS[invite.status]}</div>}
+      </div>
+    );
+  };
+
+  const canSubmit = !isJoining && (!inviteToken || (preview && (preview.alreadyMember || (preview.invite.status === 'active' && !preview.pendingRequest))));
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white p-6 rounded-lg shadow-xl w-11/12 max-w-md">
@@ -68,20 +178,28 @@ const RoomJoinModal = ({ onClose, onJoinRoom }) => {
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700"><X size={20} /></button>
         </div>
         <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">초대 코드</label>
-            <input
-              type="text"
-              className="w-full border border-gray-300 rounded-md px-3 py-2"
-              value={inviteCode}
-              onChange={(e) => setInviteCode(e.target.value)}
-              placeholder="초대 코드를 입력하세요"
-            />
-          </div>
+          {inviteToken ? renderPreview() : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">초대 코드 또는 초대 링크</label>
+              <input
+                type="text"
+                className="w-full border border-gray-300 rounded-md px-3 py-2"
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value)}
+                placeholder="초대 코드나 링크를 입력하세요"
+              />
+            </div>
+          )}
         </div>
         <div className="mt-6 flex justify-end space-x-3">
           <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">취소</button>
-          <button onClick={handleSubmit} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600">참여</button>
+          <button
+            onClick={handleSubmit}
+            disabled={!canSubmit}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+          >
+            {preview?.alreadyMember ? '방으로 이동' : preview?.invite.requiresApproval ? '참여 요청' : '참여'}
+          </button>
         </div>
 
         {/* CustomAlert Modal */}
@@ -90,7 +208,7 @@ const RoomJoinModal = ({ onClose, onJoinRoom }) => {
           onClose={closeAlert}
           title={customAlert.title}
           message={customAlert.message}
-          type="error"
+          type={customAlert.type}
         />
       </div>
     </div>
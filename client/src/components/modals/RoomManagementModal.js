@@ -10,12 +10,27 @@
  *    - **방 정보 탭**: 방 이름, 설명, 운영 시간 등 기본 설정을 조회하고 수정. (방장만 수정 가능)
  *    - **AI 학습 탭**: 외부 AI 학습 시스템 페이지(교사, 대시보드)로 연결.
  *    - **로그 보기 탭**: 방에서 발생한 모든 활동 로그를 조회하고 카테고리별로 필터링. (방장만 초기화 가능)
- *    - **멤버 관리 탭**: 방에 속한 멤버 목록을 보여주고, 멤버 강퇴(방장) 또는 방 나가기(멤버) 기능 제공.
- *    - 현재 사용자가 방장인지(`isOwner`) 여부를 판별하여 특정 기능(방 삭제, 멤버 강퇴 등)에 대한 접근을 제어.
+ *    - **멤버 관리 탭**: 방에 속한 멤버 목록을 보여주고, 멤버 강퇴(방장/공동 방장) 또는 방 나가기(멤버) 기능 제공.
+ *      방장은 멤버 역할(공동 방장/조원/참관인)을 바꾸고 공동 방장에게 방장을 위임할 수 있음.
+ *    - **시간표 이력 탭**: 시간표를 바꾼 작업의 버전별 변경 내역을 보고 이전 버전으로 복원. (방장/공동 방장)
+ *    - **초대 탭**: 방 코드 재발급/참여 정책, 만료·횟수 제한 초대 링크 발급/폐기, 참여 요청 승인. (방장/공동 방장)
+ *    - **대기열 탭**: 빈자리 대기열 순서, 빈자리 제안 현황, 자동 제안 사용 여부/수락 기한 설정. (방장/공동 방장)
+ *    - **배정 규칙 탭**: 주당 횟수, 수업 간격, 허용 시간대, 하루 최대 시간, 연달아 배정 규칙을 hard/soft로 설정. (방장/공동 방장)
+ *    - **수업 설정 탭**: 조원별 수업 과목, 수업 길이, 주당 횟수, 가능 요일을 설정. (방장/공동 방장)
+ *    - **자원 탭**: 강의실/장비의 동시 사용 수, 사용 가능 시간, 사용하는 조원을 설정하고 현재 충돌을 확인. (방장/공동 방장)
+ *    - **출발/도착 탭**: 요일/날짜별로 방장이 출발하고 마지막 수업 뒤 도착하는 장소를 지정. (방장/공동 방장)
+ *    - 현재 사용자가 방장인지(`isOwner`), 공동 방장 이상인지(`canManage`) 판별하여 특정 기능(방 삭제, 역할 변경 등)에 대한 접근을 제어.
  *
  * 🔗 연결된 파일:
  *    - ./room/RoomInfoTab.js - '방 정보' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
  *    - ./room/RoomMembersList.js - '멤버 관리' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomHistoryPanel.js - '시간표 이력' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomInvitePanel.js - '초대' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomWaitlistPanel.js - '대기열' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomRulesPanel.js - '배정 규칙' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomSessionsPanel.js - '수업 설정' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/RoomResourcesPanel.js - '자원' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
+ *    - ./room/OwnerLocationsPanel.js - '출발/도착' 탭의 UI와 로직을 담당하는 하위 컴포넌트.
  *    - ../../services/coordinationService.js, ../../services/userService.js 등 (간접적) - API 호출 로직.
  *
  * 💡 UI 위치:
@@ -32,13 +47,22 @@
  *
  * ===================================================================================================
  */
-import React, { useState, useEffect } from "react";
-import { X, Users, Settings, Trash2, FileText } from "lucide-react";
+import React, { useState, useEffect, useCallback } from "react";
+import { X, Users, Settings, Trash2, FileText, History, UserPlus, ListOrdered, ListChecks, BookOpen, Building2, MapPin } from "lucide-react";
 import CustomAlertModal from './CustomAlertModal';
 import RoomInfoTab from './room/RoomInfoTab';
 import RoomMembersList from './room/RoomMembersList';
+import RoomHistoryPanel from './room/RoomHistoryPanel';
+import RoomInvitePanel from './room/RoomInvitePanel';
+import RoomWaitlistPanel from './room/RoomWaitlistPanel';
+import RoomRulesPanel from './room/RoomRulesPanel';
+import RoomSessionsPanel from './room/RoomSessionsPanel';
+import RoomResourcesPanel from './room/RoomResourcesPanel';
+import OwnerLocationsPanel from './room/OwnerLocationsPanel';
 import { auth } from '../../config/firebaseConfig';
 import { useToast } from '../../contexts/ToastContext';
+import { coordinationService } from '../../services/coordinationService';
+import { ROOM_ROLE_LABELS } from '../../utils/coordinationUtils';
 
 /**
  * RoomManagementModal
@@ -94,7 +118,8 @@ const RoomManagementModal = ({
 
   // CustomAlert 상태
   const [customAlert, setCustomAlert] = useState({ show: false, message: '' });
-  const showAlert = (message) => setCustomAlert({ show: true, message });
+  // 하위 패널의 조회 effect 의존성으로 쓰이므로 렌더마다 새로 만들지 않음
+  const showAlert = useCallback((message) => setCustomAlert({ show: true, message }), []);
   const closeAlert = () => setCustomAlert({ show: false, message: '' });
 
   // Confirm 모달 상태
@@ -112,6 +137,8 @@ const RoomManagementModal = ({
   const roomOwnerId = typeof room?.ownerId === 'object' ? room?.ownerId?._id : room?.ownerId;
   const roomOwnerUid = room?.owner?.firebaseUid || room?.owner?.uid || room?.ownerId?.firebaseUid || room?.ownerId?.uid;
   const isOwner = roomOwnerId === currentUserId || roomOwnerUid === currentUserId;
+  const myMemberRole = room?.members?.find(m => m.user?.firebaseUid && m.user.firebaseUid === currentUserId)?.role;
+  const canManage = isOwner || myMemberRole === 'co_host';
 
   // 로그 조회
   const fetchLogs = async () => {
@@ -194,7 +221,18 @@ const RoomManagementModal = ({
       schedule_update: '일정 수정',
       change_request: '변경 요청',
       change_approve: '변경 승인',
-      change_reject: '변경 거절'
+      change_reject: '변경 거절',
+      schedule_restore: '시간표 복원',
+      role_change: '역할 변경',
+      owner_transfer: '방장 위임',
+      invite_create: '초대 링크 발급',
+      invite_revoke: '초대 링크 폐기',
+      invite_code_reset: '초대 코드 변경',
+      join_request: '참여 요청',
+      join_approve: '참여 승인',
+      join_reject: '참여 거절',
+      slot_offer: '빈자리 제안',
+      slot_claim: '빈자리 배정'
     };
     return labels[action] || action;
   };
@@ -213,7 +251,18 @@ const RoomManagementModal = ({
       schedule_update: 'bg-pink-100 text-pink-700',
       change_request: 'bg-blue-100 text-blue-700',
       change_approve: 'bg-green-100 text-green-700',
-      change_reject: 'bg-red-100 text-red-700'
+      change_reject: 'bg-red-100 text-red-700',
+      schedule_restore: 'bg-orange-100 text-orange-700',
+      role_change: 'bg-indigo-100 text-indigo-700',
+      owner_transfer: 'bg-indigo-100 text-indigo-700',
+      invite_create: 'bg-teal-100 text-teal-700',
+      invite_revoke: 'bg-red-100 text-red-700',
+      invite_code_reset: 'bg-teal-100 text-teal-700',
+      join_request: 'bg-yellow-100 text-yellow-700',
+      join_approve: 'bg-green-100 text-green-700',
+      join_reject: 'bg-red-100 text-red-700',
+      slot_offer: 'bg-amber-100 text-amber-700',
+      slot_claim: 'bg-green-100 text-green-700'
     };
     return colors[action] || 'bg-gray-100 text-gray-700';
   };
@@ -297,6 +346,34 @@ const RoomManagementModal = ({
     });
   };
 
+  const changeMemberRole = async (memberId, role) => {
+    try {
+      const result = await coordinationService.updateMemberRole(room._id, memberId, role);
+      onRoomUpdated(result.room);
+      showToast(result.msg);
+    } catch (error) {
+      showAlert(`역할 변경 실패: ${error.message}`);
+    }
+  };
+
+  const transferOwnership = (memberId, memberName) => {
+    setConfirmModal({
+      isOpen: true,
+      title: '방장 위임',
+      message: `${memberName}님에게 방장을 위임하시겠습니까? 위임 후 나는 ${ROOM_ROLE_LABELS.co_host}이 되며, 방 삭제와 역할 변경은 새 방장만 할 수 있습니다.`,
+      onConfirm: async () => {
+        try {
+          const result = await coordinationService.transferOwnership(room._id, memberId);
+          onRoomUpdated(result.room);
+          showAlert(result.msg);
+          setActiveTab('members');
+        } catch (error) {
+          showAlert(`방장 위임 실패: ${error.message}`);
+        }
+      }
+    });
+  };
+
   const leaveRoom = async () => {
     setConfirmModal({
       isOpen: true,
@@ -358,9 +435,69 @@ const RoomManagementModal = ({
       leaveRoom={leaveRoom}
       currentUserId={getCurrentUserId()}
       isOwner={isOwner}
+      canManage={canManage}
+      changeMemberRole={isOwner ? changeMemberRole : undefined}
+      transferOwnership={isOwner ? transferOwnership : undefined}
+    />
+  );
+
+  const renderHistoryTab = () => (
+    <RoomHistoryPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+      requestConfirm={({ title, message, onConfirm }) => setConfirmModal({ isOpen: true, title, message, onConfirm })}
+    />
+  );
+
+  const renderInviteTab = () => (
+    <RoomInvitePanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+      requestConfirm={({ title, message, onConfirm }) => setConfirmModal({ isOpen: true, title, message, onConfirm })}
+    />
+  );
+
+  const renderWaitlistTab = () => (
+    <RoomWaitlistPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+    />
+  );
+
+  const renderRulesTab = () => (
+    <RoomRulesPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+    />
+  );
+
+  const renderSessionsTab = () => (
+    <RoomSessionsPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+    />
+  );
+
+  const renderResourcesTab = () => (
+    <RoomResourcesPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
     />
   );
 
+  const renderOwnerLocationsTab = () => (
+    <OwnerLocationsPanel
+      room={room}
+      onRoomUpdated={onRoomUpdated}
+      showAlert={showAlert}
+    />
+  );
 
   const renderLogsTab = () => {
     // 선택된 탭에 따라 로그 필터링
@@ -370,7 +507,7 @@ const RoomManagementModal = ({
     } else if (activeLogTab === 'member') {
       filteredLogs = logs.filter(log => ['member_join', 'member_leave', 'member_kick'].includes(log.action));
     } else if (activeLogTab === 'slot') {
-      filteredLogs = logs.filter(log => ['slot_request', 'slot_yield', 'slot_swap'].includes(log.action));
+      filteredLogs = logs.filter(log => ['slot_request', 'slot_yield', 'slot_swap', 'slot_offer', 'slot_claim'].includes(log.action));
     } else if (activeLogTab === 'change') {
       filteredLogs = logs.filter(log => ['change_request', 'change_approve', 'change_reject'].includes(log.action));
     }
@@ -522,17 +659,108 @@ const RoomManagementModal = ({
           >
             <Users size={16} /> 멤버 관리 ({room.members?.length || 0})
           </button>
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("history")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "history"
+                  ? "border-b-2 border-orange-500 text-orange-600 bg-orange-50 shadow-inner"
+                  : "text-gray-500 hover:text-orange-600 hover:bg-slate-50"
+              }`}
+            >
+              <History size={16} /> 시간표 이력
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("invites")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "invites"
+                  ? "border-b-2 border-teal-500 text-teal-600 bg-teal-50 shadow-inner"
+                  : "text-gray-500 hover:text-teal-600 hover:bg-slate-50"
+              }`}
+            >
+              <UserPlus size={16} /> 초대
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("waitlist")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "waitlist"
+                  ? "border-b-2 border-amber-500 text-amber-600 bg-amber-50 shadow-inner"
+                  : "text-gray-500 hover:text-amber-600 hover:bg-slate-50"
+              }`}
+            >
+              <ListOrdered size={16} /> 대기열
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("rules")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "rules"
+                  ? "border-b-2 border-indigo-500 text-indigo-600 bg-indigo-50 shadow-inner"
+                  : "text-gray-500 hover:text-indigo-600 hover:bg-slate-50"
+              }`}
+            >
+              <ListChecks size={16} /> 배정 규칙
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("sessions")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "sessions"
+                  ? "border-b-2 border-indigo-500 text-indigo-600 bg-indigo-50 shadow-inner"
+                  : "text-gray-500 hover:text-indigo-600 hover:bg-slate-50"
+              }`}
+            >
+              <BookOpen size={16} /> 수업 설정
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("resources")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "resources"
+                  ? "border-b-2 border-indigo-500 text-indigo-600 bg-indigo-50 shadow-inner"
+                  : "text-gray-500 hover:text-indigo-600 hover:bg-slate-50"
+              }`}
+            >
+              <Building2 size={16} /> 자원
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setActiveTab("ownerLocations")}
+              className={`flex-1 px-4 py-3 font-semibold text-sm flex items-center justify-center gap-2 transition-all ${
+                activeTab === "ownerLocations"
+                  ? "border-b-2 border-indigo-500 text-indigo-600 bg-indigo-50 shadow-inner"
+                  : "text-gray-500 hover:text-indigo-600 hover:bg-slate-50"
+              }`}
+            >
+              <MapPin size={16} /> 출발/도착
+            </button>
+          )}
         </div>
 
         <div className="p-6 overflow-y-auto bg-white">
           {activeTab === "info" && renderInfoTab()}
           {activeTab === "logs" && renderLogsTab()}
           {activeTab === "members" && renderMembersTab()}
+          {activeTab === "history" && canManage && renderHistoryTab()}
+          {activeTab === "invites" && canManage && renderInviteTab()}
+          {activeTab === "waitlist" && canManage && renderWaitlistTab()}
+          {activeTab === "rules" && canManage && renderRulesTab()}
+          {activeTab === "sessions" && canManage && renderSessionsTab()}
+          {activeTab === "resources" && canManage && renderResourcesTab()}
+          {activeTab === "ownerLocations" && canManage && renderOwnerLocationsTab()}
         </div>
 
         <div className="border-t p-4 flex justify-between items-center bg-slate-50">
           <div>
-            {activeTab === "info" && (
+            {activeTab === "info" && isOwner && (
               <button
                 onClick={handleDelete}
                 className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium flex items-center gap-2 text-sm shadow-sm"
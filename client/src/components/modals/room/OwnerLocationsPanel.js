@@ -0,0 +1,184 @@
+/**
+ * ===================================================================================================
+ * OwnerLocationsPanel.js - 방 관리 모달 내의 방장 출발/도착 장소 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 요일 또는 특정 날짜마다 방장이 어디서 출발하고 마지막 수업 뒤 어디로 가는지 지정
+ *    - 장소는 방장의 저장 장소(집 + 프로필에 등록한 학교/학원/사무실) 중에서 선택
+ *    - 저장하면 목록 전체를 서버에 보내 교체 (이동시간 계산 / 동선 검증 / 동선 최적화에 바로 반영)
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - getOwnerDayLocations, updateOwnerDayLocations
+ *    - ../../../utils/savedLocations.js - 장소 표시 이름 / 그날 출발·도착 장소 규칙
+ *    - server/utils/savedLocations.js - 서버 검증
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '출발/도착' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 저장 장소 자체를 바꾸려면 방장이 프로필(개인정보 수정)에서 편집해야 합니다.
+ *
+ * 📝 참고사항:
+ *    - 지정하지 않은 날은 방장 집에서 출발하고, 도착 장소가 없으면 돌아오는 구간은 계산하지 않습니다.
+ *    - 특정 날짜 항목이 같은 요일 항목보다 우선합니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect } from "react";
+import { Plus, Trash2, Save } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+import { DAY_LABELS, formatPlaceLabel } from '../../../utils/savedLocations';
+
+const MAX_ENTRIES = 60;
+
+const createEntry = () => ({ dayOfWeek: 1, specificDate: null, startLocationId: 'home', endLocationId: null });
+
+/**
+ * OwnerLocationsPanel
+ *
+ * @description 방장 요일/날짜별 출발·도착 장소를 추가/수정/삭제하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 저장 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @returns {JSX.Element} 출발/도착 탭 UI
+ */
+const OwnerLocationsPanel = ({ room, onRoomUpdated, showAlert }) => {
+  const [entries, setEntries] = useState([]);
+  const [places, setPlaces] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        setLoading(true);
+        const data = await coordinationService.getOwnerDayLocations(room._id);
+        setEntries(data.dayLocations || []);
+        setPlaces(data.places || []);
+        setDirty(false);
+      } catch (err) {
+        showAlert(err.message || '출발/도착 장소를 불러올 수 없습니다.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLocations();
+  }, [room._id, showAlert]);
+
+  const updateEntry = (index, changes) => {
+    setEntries(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+    setDirty(true);
+  };
+
+  const handleAdd = () => {
+    setEntries(prev => [...prev, createEntry()]);
+    setDirty(true);
+  };
+
+  const handleRemove = (index) => {
+    setEntries(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const result = await coordinationService.updateOwnerDayLocations(room._id, entries);
+      setEntries(result.dayLocations || []);
+      setPlaces(result.places || []);
+      setDirty(false);
+      onRoomUpdated({ ...room, settings: { ...room.settings, ownerDayLocations: result.dayLocations } });
+      showAlert(result.msg);
+    } catch (err) {
+      showAlert(`출발/도착 장소 저장 실패: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderPlaceSelect = (value, onChange, emptyLabel) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value || null)}
+      className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+      <option value="">{emptyLabel}</option>
+      {places.map(place => <option key={place.id} value={place.id}>{formatPlaceLabel(place)}</option>)}
+    </select>
+  );
+
+  if (loading && entries.length === 0 && places.length === 0) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: '400px' }}>
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">
+        이동시간은 <span className="font-semibold text-gray-800">그날 방장 출발 장소 → 첫 수업</span>부터 계산하고,
+        {' '}도착 장소를 정하면 마지막 수업 뒤 그 장소까지의 이동도 동선 최적화에 포함합니다.
+        {' '}정하지 않은 날은 방장 집에서 출발합니다.
+      </div>
+
+      {places.length === 0 && (
+        <div className="text-sm text-amber-700 p-3 bg-amber-50 rounded-lg border border-amber-200">
+          방장의 주소나 저장 장소가 없습니다. 프로필에서 먼저 장소를 등록해주세요.
+        </div>
+      )}
+
+      {entries.length === 0 && (
+        <div className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg border border-gray-200">아직 지정한 요일/날짜가 없습니다.</div>
+      )}
+
+      {entries.map((entry, index) => (
+        <section key={index} className="p-3 rounded-lg border border-gray-200 bg-white flex flex-wrap items-center gap-2">
+          <select value={entry.specificDate ? 'date' : 'day'}
+            onChange={(e) => updateEntry(index, e.target.value === 'date'
+              ? { specificDate: new Date().toISOString().split('T')[0], dayOfWeek: null }
+              : { specificDate: null, dayOfWeek: 1 })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+            <option value="day">매주</option>
+            <option value="date">특정 날짜</option>
+          </select>
+          {entry.specificDate ? (
+            <input type="date" value={entry.specificDate}
+              onChange={(e) => updateEntry(index, { specificDate: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm" />
+          ) : (
+            <select value={entry.dayOfWeek} onChange={(e) => updateEntry(index, { dayOfWeek: Number(e.target.value) })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              {DAY_LABELS.map((label, day) => <option key={day} value={day}>{label}요일</option>)}
+            </select>
+          )}
+          <span className="text-xs text-gray-500 ml-2">출발</span>
+          {renderPlaceSelect(entry.startLocationId, value => updateEntry(index, { startLocationId: value }), '기본 (집)')}
+          <span className="text-xs text-gray-500">도착</span>
+          {renderPlaceSelect(entry.endLocationId, value => updateEntry(index, { endLocationId: value }), '없음')}
+          <button onClick={() => handleRemove(index)} className="p-1 text-gray-400 hover:text-red-500 ml-auto" title="삭제">
+            <Trash2 size={16} />
+          </button>
+        </section>
+      ))}
+
+      <div className="flex items-center justify-between gap-2 pt-2 border-t">
+        <button onClick={handleAdd} disabled={entries.length >= MAX_ENTRIES || places.length === 0}
+          className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-gray-100 disabled:opacity-50">
+          <Plus size={14} /> 요일/날짜 추가
+        </button>
+        <button onClick={handleSave} disabled={saving || !dirty}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-indigo-700 disabled:opacity-50">
+          <Save size={16} /> 장소 저장
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OwnerLocationsPanel;
@@ -0,0 +1,283 @@
+/**
+ * ===================================================================================================
+ * RoomHistoryPanel.js - 방 관리 모달 내의 시간표 이력 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 시간표를 바꾼 작업(자동배정, 확정, 교환, 요청 승인, 강퇴, 복원)의 버전 목록을 최신순으로 표시
+ *    - 버전을 펼치면 멤버별로 추가/삭제/이동된 시간 블록을 표시
+ *    - 방장은 해당 작업 전 또는 작업 후의 시간표로 복원 가능 (복원도 새 버전으로 기록됨)
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - getRoomHistory, getRoomHistoryEntry, restoreRoomHistory
+ *    - server/controllers/roomHistoryController.js - 이력 API
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '시간표 이력' 탭 (방장만)
+ *
+ * ✏️ 수정 가이드:
+ *    - 작업 이름/색상 변경: `ACTION_LABELS`, `ACTION_COLORS` 수정
+ *    - 멤버별 변경 내역 UI 변경: `renderMemberDiff` 수정
+ *
+ * 📝 참고사항:
+ *    - 목록 API는 멤버별 diff를 빼고 요약만 주므로, 펼칠 때 상세 API를 한 번 더 호출하고 결과를 캐시합니다.
+ *    - 확정된 방은 서버에서 복원을 거부하므로 복원 버튼을 숨깁니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { ChevronDown, ChevronRight, RotateCcw } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+
+const ACTION_LABELS = {
+  auto_assign: '자동배정',
+  confirm_schedule: '배정 확정',
+  slot_swap: '자리 변경',
+  change_approve: '변경 승인',
+  member_kick: '멤버 강퇴',
+  member_leave: '멤버 퇴장',
+  slot_claim: '빈자리 배정',
+  clear_all: '전체 삭제',
+  restore: '복원'
+};
+
+const ACTION_COLORS = {
+  auto_assign: 'bg-blue-100 text-blue-700',
+  confirm_schedule: 'bg-indigo-100 text-indigo-700',
+  slot_swap: 'bg-purple-100 text-purple-700',
+  change_approve: 'bg-green-100 text-green-700',
+  member_kick: 'bg-red-100 text-red-700',
+  member_leave: 'bg-red-100 text-red-700',
+  slot_claim: 'bg-amber-100 text-amber-700',
+  clear_all: 'bg-gray-100 text-gray-700',
+  restore: 'bg-orange-100 text-orange-700'
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('ko-KR', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatBlock = (block) => `${block.date.slice(5).replace('-', '/')} ${block.startTime}-${block.endTime}`;
+
+const formatSummary = (summary) => {
+  if (!summary || summary.membersChanged === 0) return '시간표 변경 없음';
+  const parts = [];
+  if (summary.added) parts.push(`추가 ${summary.added}`);
+  if (summary.removed) parts.push(`삭제 ${summary.removed}`);
+  if (summary.moved) parts.push(`이동 ${summary.moved}`);
+  return `멤버 ${summary.membersChanged}명 · ${parts.join(' · ')}`;
+};
+
+/**
+ * RoomHistoryPanel
+ *
+ * @description 방 시간표 변경 이력을 보여주고 이전 버전으로 복원하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 복원 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @param {Function} props.requestConfirm - ({ title, message, onConfirm }) 확인 모달을 여는 함수
+ * @returns {JSX.Element} 시간표 이력 탭 UI
+ */
+const RoomHistoryPanel = ({ room, onRoomUpdated, showAlert, requestConfirm }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [restoring, setRestoring] = useState(false);
+
+  const fetchHistory = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const data = await coordinationService.getRoomHistory(room._id, page);
+      setSnapshots(prev => (page === 1 ? data.snapshots : [...prev, ...data.snapshots]));
+      setPagination(data.pagination);
+    } catch (err) {
+      showAlert(err.message || '시간표 이력을 불러올 수 없습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [room._id, showAlert]);
+
+  useEffect(() => {
+    fetchHistory(1);
+    setDetails({});
+    setExpandedId(null);
+  }, [fetchHistory]);
+
+  const toggleExpand = async (snapshotId) => {
+    if (expandedId === snapshotId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(snapshotId);
+    if (details[snapshotId]) return;
+
+    try {
+      const { snapshot } = await coordinationService.getRoomHistoryEntry(room._id, snapshotId);
+      setDetails(prev => ({ ...prev, [snapshotId]: snapshot }));
+    } catch (err) {
+      showAlert(err.message || '이력 상세를 불러올 수 없습니다.');
+    }
+  };
+
+  const handleRestore = (snapshot, point) => {
+    const pointLabel = point === 'before' ? '작업 전' : '작업 후';
+    requestConfirm({
+      title: '시간표 복원',
+      message: `v${snapshot.version} ${pointLabel} 시간표로 복원하시겠습니까? 현재 시간표는 새 이력으로 남습니다.`,
+      onConfirm: async () => {
+        try {
+          setRestoring(true);
+          const result = await coordinationService.restoreRoomHistory(room._id, snapshot._id, point);
+          onRoomUpdated(result.room);
+          showAlert(result.skippedCount > 0
+            ? `${result.msg}\n방을 나간 멤버의 슬롯 ${result.skippedCount}개는 제외되었습니다.`
+            : result.msg);
+          await fetchHistory(1);
+        } catch (err) {
+          showAlert(`시간표 복원 실패: ${err.message}`);
+          if (err.status === 409) fetchHistory(1);
+        } finally {
+          setRestoring(false);
+        }
+      }
+    });
+  };
+
+  const renderMemberDiff = (member) => (
+    <div key={member.memberId} className="p-3 bg-white rounded-lg border border-gray-200">
+      <div className="font-semibold text-sm text-gray-800">{member.memberName}</div>
+      <div className="mt-1 space-y-0.5 text-xs">
+        {member.added.map((block, index) => (
+          <div key={`a-${index}`} className="text-green-700">+ {formatBlock(block)}</div>
+        ))}
+        {member.removed.map((block, index) => (
+          <div key={`r-${index}`} className="text-red-600">- {formatBlock(block)}</div>
+        ))}
+        {member.moved.map((move, index) => (
+          <div key={`m-${index}`} className="text-purple-700">
+            {formatBlock(move.from)} → {formatBlock(move.to)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderDetail = (snapshot) => {
+    const detail = details[snapshot._id];
+    if (!detail) {
+      return <div className="text-sm text-gray-500 py-2">불러오는 중...</div>;
+    }
+
+    const changedMembers = (detail.diff?.members || []).filter(member =>
+      member.added.length || member.removed.length || member.moved.length
+    );
+
+    return (
+      <div className="mt-3 space-y-3">
+        {changedMembers.length === 0 ? (
+          <div className="text-sm text-gray-500">멤버별 변경 내역이 없습니다.</div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {changedMembers.map(renderMemberDiff)}
+          </div>
+        )}
+        {!room.confirmedAt && (
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => handleRestore(snapshot, 'before')}
+              disabled={restoring}
+              className="px-3 py-1.5 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 text-xs font-medium flex items-center gap-1 disabled:opacity-50"
+            >
+              <RotateCcw size={14} /> 작업 전으로 복원
+            </button>
+            <button
+              onClick={() => handleRestore(snapshot, 'after')}
+              disabled={restoring}
+              className="px-3 py-1.5 bg-orange-500 text-white rounded-lg hover:bg-orange-600 text-xs font-medium flex items-center gap-1 disabled:opacity-50"
+            >
+              <RotateCcw size={14} /> 이 버전으로 복원
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {room.confirmedAt && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          확정된 시간표는 복원할 수 없습니다. 이력 조회만 가능합니다.
+        </div>
+      )}
+
+      <div className="overflow-y-auto" style={{ minHeight: '400px', maxHeight: '400px' }}>
+        {loading && snapshots.length === 0 ? (
+          <div className="flex items-center justify-center" style={{ minHeight: '380px' }}>
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500 mx-auto"></div>
+              <p className="mt-4 text-gray-500">로딩 중...</p>
+            </div>
+          </div>
+        ) : snapshots.length === 0 ? (
+          <div className="flex items-center justify-center text-gray-500" style={{ minHeight: '380px' }}>
+            시간표 변경 이력이 없습니다.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {snapshots.map((snapshot) => (
+              <div key={snapshot._id} className="p-4 bg-gradient-to-r from-gray-50 to-white rounded-lg border border-gray-200 shadow-sm">
+                <button
+                  onClick={() => toggleExpand(snapshot._id)}
+                  className="w-full flex gap-3 text-left"
+                >
+                  <div className="flex-shrink-0 flex items-center gap-2">
+                    {expandedId === snapshot._id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    <span className="text-xs font-bold text-gray-500">v{snapshot.version}</span>
+                    <span className={`inline-block px-3 py-1.5 text-xs font-semibold rounded-lg ${ACTION_COLORS[snapshot.action] || 'bg-gray-100 text-gray-700'}`}>
+                      {ACTION_LABELS[snapshot.action] || snapshot.action}
+                    </span>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-semibold text-sm text-gray-800">{snapshot.userName}</div>
+                    {snapshot.details && (
+                      <div className="text-sm text-gray-600 mt-1">{snapshot.details}</div>
+                    )}
+                    <div className="text-xs text-gray-400 mt-1.5">
+                      {formatDateTime(snapshot.createdAt)} · {formatSummary(snapshot.diff?.summary)}
+                    </div>
+                  </div>
+                </button>
+                {expandedId === snapshot._id && renderDetail(snapshot)}
+              </div>
+            ))}
+            {pagination.current < pagination.pages && (
+              <button
+                onClick={() => fetchHistory(pagination.current + 1)}
+                disabled={loading}
+                className="w-full py-2 text-sm text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                {loading ? '로딩 중...' : '이전 이력 더 보기'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomHistoryPanel;
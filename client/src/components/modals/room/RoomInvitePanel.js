@@ -0,0 +1,389 @@
+/**
+ * ===================================================================================================
+ * RoomInvitePanel.js - 방 관리 모달 내의 초대 관리 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 방 코드: 복사, 재발급(이전 코드 무효화), 코드 참여 허용/중지, 코드 참여 시 승인 필요 여부 설정
+ *    - 초대 링크: 만료 시간, 사용 횟수, 승인 필요 여부, 역할(조원/참관인)을 정해 발급하고 링크 복사/폐기
+ *    - 참여 요청: 승인이 필요한 코드/링크로 들어온 요청을 승인 또는 거절
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - 초대/참여 요청 API
+ *    - ../../../utils/coordinationUtils.js - buildInviteLink (공유 링크 생성)
+ *    - server/controllers/roomInviteController.js - 초대 API
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '초대' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 만료 시간 선택지 변경: `EXPIRY_OPTIONS` 수정 (서버 최대값은 30일)
+ *    - 링크 상태 표시 변경: `STATUS_LABELS`, `STATUS_COLORS` 수정
+ *
+ * 📝 참고사항:
+ *    - 참여 요청을 승인하면 멤버 목록이 바뀌므로 방 정보를 다시 불러와 `onRoomUpdated`로 전달합니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Copy, RefreshCw, Link2, Trash2, Check, X } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+import { buildInviteLink, ROOM_ROLE_LABELS } from '../../../utils/coordinationUtils';
+
+const EXPIRY_OPTIONS = [
+  { value: '1', label: '1시간' },
+  { value: '24', label: '1일' },
+  { value: '168', label: '7일' },
+  { value: '720', label: '30일' },
+  { value: '', label: '만료 없음' }
+];
+
+const STATUS_LABELS = {
+  active: '사용 가능',
+  expired: '만료됨',
+  exhausted: '소진됨',
+  revoked: '폐기됨'
+};
+
+const STATUS_COLORS = {
+  active: 'bg-green-100 text-green-700',
+  expired: 'bg-gray-100 text-gray-600',
+  exhausted: 'bg-gray-100 text-gray-600',
+  revoked: 'bg-red-100 text-red-700'
+};
+
+const DEFAULT_FORM = { label: '', expiresInHours: '168', maxUses: '', requiresApproval: false, role: 'member' };
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const getUserName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email : '알 수 없음');
+
+/**
+ * RoomInvitePanel
+ *
+ * @description 방 코드, 초대 링크, 참여 요청을 관리하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 방 코드 변경/참여 승인 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @param {Function} props.requestConfirm - ({ title, message, onConfirm }) 확인 모달을 여는 함수
+ * @returns {JSX.Element} 초대 관리 탭 UI
+ */
+const RoomInvitePanel = ({ room, onRoomUpdated, showAlert, requestConfirm }) => {
+  const [inviteCode, setInviteCode] = useState(room.inviteCode);
+  const [joinPolicy, setJoinPolicy] = useState(room.joinPolicy || { codeEnabled: true, requireApproval: false });
+  const [invites, setInvites] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [inviteData, requestData] = await Promise.all([
+        coordinationService.getRoomInvites(room._id),
+        coordinationService.getJoinRequests(room._id)
+      ]);
+      setInviteCode(inviteData.inviteCode);
+      setJoinPolicy(inviteData.joinPolicy);
+      setInvites(inviteData.invites);
+      setJoinRequests(requestData.joinRequests);
+    } catch (err) {
+      showAlert(err.message || '초대 정보를 불러올 수 없습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [room._id, showAlert]);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const copyText = (text, message) => {
+    navigator.clipboard.writeText(text);
+    showAlert(message);
+  };
+
+  const applyCodeResult = (result) => {
+    setInviteCode(result.inviteCode);
+    setJoinPolicy(result.joinPolicy);
+    onRoomUpdated({ ...room, inviteCode: result.inviteCode, joinPolicy: result.joinPolicy });
+  };
+
+  const handlePolicyChange = async (changes) => {
+    try {
+      setBusy(true);
+      applyCodeResult(await coordinationService.updateJoinPolicy(room._id, changes));
+    } catch (err) {
+      showAlert(`참여 설정 변경 실패: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerateCode = () => {
+    requestConfirm({
+      title: '초대 코드 재발급',
+      message: '새 코드를 발급하면 지금 코드는 더 이상 사용할 수 없습니다. 재발급하시겠습니까?',
+      onConfirm: async () => {
+        try {
+          setBusy(true);
+          const result = await coordinationService.regenerateInviteCode(room._id);
+          applyCodeResult(result);
+          showAlert(result.msg);
+        } catch (err) {
+          showAlert(`초대 코드 재발급 실패: ${err.message}`);
+        } finally {
+          setBusy(false);
+        }
+      }
+    });
+  };
+
+  const handleCreateInvite = async () => {
+    try {
+      setBusy(true);
+      const { invite } = await coordinationService.createRoomInvite(room._id, {
+        label: form.label.trim(),
+        expiresInHours: form.expiresInHours ? Number(form.expiresInHours) : null,
+        maxUses: form.maxUses ? Number(form.maxUses) : null,
+        requiresApproval: form.requiresApproval,
+        role: form.role
+      });
+      setInvites(prev => [invite, ...prev]);
+      setForm(DEFAULT_FORM);
+      copyText(buildInviteLink(invite.token), '초대 링크가 발급되어 클립보드에 복사되었습니다!');
+    } catch (err) {
+      showAlert(`초대 링크 발급 실패: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevokeInvite = (invite) => {
+    requestConfirm({
+      title: '초대 링크 폐기',
+      message: `${invite.label || '이 초대 링크'}를 폐기하시겠습니까? 폐기한 링크로는 더 이상 참여할 수 없습니다.`,
+      onConfirm: async () => {
+        try {
+          const result = await coordinationService.revokeRoomInvite(room._id, invite._id);
+          setInvites(prev => prev.map(item => (item._id === invite._id ? result.invite : item)));
+        } catch (err) {
+          showAlert(`초대 링크 폐기 실패: ${err.message}`);
+        }
+      }
+    });
+  };
+
+  const handleJoinRequest = async (joinRequest, action) => {
+    try {
+      setBusy(true);
+      const result = await coordinationService.handleJoinRequest(room._id, joinRequest._id, action);
+      setJoinRequests(prev => prev.filter(item => item._id !== joinRequest._id));
+      if (action === 'approve') {
+        onRoomUpdated(await coordinationService.fetchRoomDetails(room._id));
+      }
+      showAlert(result.msg);
+    } catch (err) {
+      showAlert(`참여 요청 처리 실패: ${err.message}`);
+      if (err.status === 409) fetchInvites();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderToggle = (checked, onChange, label) => (
+    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+      <input type="checkbox" checked={checked} onChange={onChange} disabled={busy} className="rounded" />
+      {label}
+    </label>
+  );
+
+  const renderInvite = (invite) => {
+    const link = buildInviteLink(invite.token);
+    return (
+      <div key={invite._id} className="p-3 bg-white rounded-lg border border-gray-200">
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <span className={`px-2 py-0.5 text-xs font-semibold rounded ${STATUS_COLORS[invite.status]}`}>
+              {STATUS_LABELS[invite.status]}
+            </span>
+            <span className="font-semibold text-sm text-gray-800 truncate">{invite.label || '초대 링크'}</span>
+          </div>
+          <div className="flex gap-1 flex-shrink-0">
+            {invite.status === 'active' && (
+              <button
+                onClick={() => copyText(link, '초대 링크가 클립보드에 복사되었습니다!')}
+                className="p-1.5 text-blue-600 hover:bg-blue-50 rounded"
+                title="링크 복사"
+              >
+                <Copy size={14} />
+              </button>
+            )}
+            {!invite.revokedAt && (
+              <button
+                onClick={() => handleRevokeInvite(invite)}
+                className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+                title="폐기"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="mt-1 text-xs text-gray-500">
+          {ROOM_ROLE_LABELS[invite.role]}
+          {' · '}사용 {invite.useCount}{invite.maxUses ? `/${invite.maxUses}` : ''}회
+          {' · '}{invite.expiresAt ? `${formatDateTime(invite.expiresAt)}까지` : '만료 없음'}
+          {invite.requiresApproval && ' · 승인 필요'}
+          {invite.createdBy && ` · ${invite.createdBy}`}
+        </div>
+      </div>
+    );
+  };
+
+  if (loading && invites.length === 0 && joinRequests.length === 0) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: '400px' }}>
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-teal-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {/* 방 코드 */}
+      <section className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold text-gray-800">방 코드</h4>
+          <div className="flex gap-2">
+            <button
+              onClick={() => copyText(inviteCode, '초대 코드가 클립보드에 복사되었습니다!')}
+              className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-xs font-medium flex items-center gap-1 hover:bg-gray-100"
+            >
+              <Copy size={14} /> 복사
+            </button>
+            <button
+              onClick={handleRegenerateCode}
+              disabled={busy}
+              className="px-3 py-1.5 bg-teal-500 text-white rounded-lg text-xs font-medium flex items-center gap-1 hover:bg-teal-600 disabled:opacity-50"
+            >
+              <RefreshCw size={14} /> 재발급
+            </button>
+          </div>
+        </div>
+        <p className={`font-mono font-bold tracking-wider text-lg ${joinPolicy.codeEnabled ? 'text-blue-700' : 'text-gray-400 line-through'}`}>
+          {inviteCode}
+        </p>
+        <div className="space-y-1.5">
+          {renderToggle(joinPolicy.codeEnabled, (e) => handlePolicyChange({ codeEnabled: e.target.checked }), '방 코드로 참여 허용')}
+          {renderToggle(joinPolicy.requireApproval, (e) => handlePolicyChange({ requireApproval: e.target.checked }), '방 코드로 참여할 때 승인 필요')}
+        </div>
+      </section>
+
+      {/* 참여 요청 */}
+      <section className="space-y-2">
+        <h4 className="font-semibold text-gray-800">참여 요청 ({joinRequests.length})</h4>
+        {joinRequests.length === 0 ? (
+          <div className="text-sm text-gray-500">대기 중인 참여 요청이 없습니다.</div>
+        ) : joinRequests.map(joinRequest => (
+          <div key={joinRequest._id} className="p-3 bg-orange-50 rounded-lg border border-orange-200 flex items-center justify-between gap-2">
+            <div className="min-w-0">
+              <div className="font-semibold text-sm text-gray-800">{getUserName(joinRequest.user)}</div>
+              <div className="text-xs text-gray-500">
+                {joinRequest.invite ? `초대 링크${joinRequest.invite.label ? ` (${joinRequest.invite.label})` : ''}` : '방 코드'}
+                {' · '}{ROOM_ROLE_LABELS[joinRequest.role]}
+                {' · '}{formatDateTime(joinRequest.createdAt)}
+              </div>
+            </div>
+            <div className="flex gap-1 flex-shrink-0">
+              <button
+                onClick={() => handleJoinRequest(joinRequest, 'approve')}
+                disabled={busy}
+                className="px-2.5 py-1.5 bg-green-500 text-white rounded-lg text-xs font-medium flex items-center gap-1 hover:bg-green-600 disabled:opacity-50"
+              >
+                <Check size={14} /> 승인
+              </button>
+              <button
+                onClick={() => handleJoinRequest(joinRequest, 'reject')}
+                disabled={busy}
+                className="px-2.5 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-xs font-medium flex items-center gap-1 hover:bg-gray-300 disabled:opacity-50"
+              >
+                <X size={14} /> 거절
+              </button>
+            </div>
+          </div>
+        ))}
+      </section>
+
+      {/* 초대 링크 발급 */}
+      <section className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <h4 className="font-semibold text-gray-800">초대 링크 만들기</h4>
+        <input
+          type="text"
+          value={form.label}
+          onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+          maxLength={50}
+          placeholder="메모 (예: 2학년 1반)"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={form.expiresInHours}
+            onChange={(e) => setForm(prev => ({ ...prev, expiresInHours: e.target.value }))}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+          >
+            {EXPIRY_OPTIONS.map(option => <option key={option.label} value={option.value}>{option.label}</option>)}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="300"
+            value={form.maxUses}
+            onChange={(e) => setForm(prev => ({ ...prev, maxUses: e.target.value }))}
+            placeholder="횟수 제한 없음"
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+          />
+          <select
+            value={form.role}
+            onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+          >
+            <option value="member">{ROOM_ROLE_LABELS.member}</option>
+            <option value="observer">{ROOM_ROLE_LABELS.observer}</option>
+          </select>
+        </div>
+        <div className="flex items-center justify-between">
+          {renderToggle(form.requiresApproval, (e) => setForm(prev => ({ ...prev, requiresApproval: e.target.checked })), '방장 승인 후 입장')}
+          <button
+            onClick={handleCreateInvite}
+            disabled={busy}
+            className="px-3 py-1.5 bg-teal-500 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-teal-600 disabled:opacity-50"
+          >
+            <Link2 size={14} /> 링크 발급
+          </button>
+        </div>
+      </section>
+
+      {/* 초대 링크 목록 */}
+      <section className="space-y-2">
+        <h4 className="font-semibold text-gray-800">초대 링크 ({invites.length})</h4>
+        {invites.length === 0 ? (
+          <div className="text-sm text-gray-500">발급한 초대 링크가 없습니다.</div>
+        ) : invites.map(renderInvite)}
+      </section>
+    </div>
+  );
+};
+
+export default RoomInvitePanel;
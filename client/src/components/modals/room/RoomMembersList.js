@@ -7,8 +7,9 @@
  *
  * 🎯 주요 기능:
  *    - 현재 방에 참여한 모든 멤버의 목록을 표시
- *    - 각 멤버의 이름, 이메일, 역할(방장/멤버)을 표시
- *    - 방장에게는 다른 멤버를 '강퇴'할 수 있는 버튼을 제공
+ *    - 각 멤버의 이름, 이메일, 역할(방장/공동 방장/조원/참관인)을 표시
+ *    - 방장/공동 방장에게는 다른 멤버를 '강퇴'할 수 있는 버튼을 제공 (공동 방장은 방장만 강퇴 가능)
+ *    - 방장에게는 멤버 역할 변경 선택 상자와 공동 방장에게 '방장 위임' 버튼을 제공
  *    - 멤버 본인에게는 '방 나가기' 버튼을 제공
  *    - 각 멤버의 '활동 로그'를 볼 수 있는 모달을 여는 기능 제공
  *
@@ -22,6 +23,7 @@
  * ✏️ 수정 가이드:
  *    - 멤버 아이템의 UI 변경: `room.members?.map(...)` 내부의 JSX 구조 수정
  *    - 강퇴/방나가기 버튼의 동작 변경: 각 버튼의 `onClick` 핸들러에 연결된 `removeMember`, `leaveRoom` 함수 로직 수정 (부모 컴포넌트에서)
+ *    - 역할 변경/방장 위임 동작 변경: 부모 컴포넌트의 `changeMemberRole`, `transferOwnership` 함수 수정
  *
  * 📝 참고사항:
  *    - 현재 사용자가 방장인지, 그리고 목록에 있는 멤버가 누구인지(본인, 방장, 일반 멤버)에 따라
@@ -32,8 +34,16 @@
  */
 
 import React, { useState } from "react";
-import { UserMinus, LogOut, FileText } from "lucide-react";
+import { UserMinus, LogOut, FileText, Crown } from "lucide-react";
 import MemberLogsModal from '../MemberLogsModal';
+import { ROOM_ROLE_LABELS } from '../../../utils/coordinationUtils';
+
+const ROLE_BADGE_COLORS = {
+  owner: 'text-blue-800 bg-blue-100',
+  co_host: 'text-indigo-800 bg-indigo-100',
+  member: 'text-green-800 bg-green-100',
+  observer: 'text-gray-700 bg-gray-200'
+};
 
 /**
  * RoomMembersList
@@ -45,15 +55,19 @@ import MemberLogsModal from '../MemberLogsModal';
  * @param {Function} props.leaveRoom - (멤버용) 현재 방에서 나가는 함수
  * @param {string} props.currentUserId - 현재 로그인한 사용자의 ID (Firebase UID 또는 DB ID)
  * @param {boolean} props.isOwner - 현재 사용자가 방장인지 여부
+ * @param {boolean} [props.canManage] - 현재 사용자가 방장 또는 공동 방장인지 여부 (강퇴 버튼 표시)
+ * @param {Function} [props.changeMemberRole] - (방장용) 멤버 역할을 변경하는 함수 (memberId, role)
+ * @param {Function} [props.transferOwnership] - (방장용) 공동 방장에게 방장을 위임하는 함수 (memberId, memberName)
  * @returns {JSX.Element} 멤버 목록 탭 UI
  */
-const RoomMembersList = ({ room, removeMember, leaveRoom, currentUserId, isOwner: isCurrentUserOwnerProp }) => {
+const RoomMembersList = ({ room, removeMember, leaveRoom, currentUserId, isOwner: isCurrentUserOwnerProp, canManage, changeMemberRole, transferOwnership }) => {
   const [selectedMember, setSelectedMember] = useState(null);
 
   const ownerIdValue = room.owner?._id?.toString() || room.owner?.id?.toString() || room.owner?.toString();
   const isCurrentUserOwner = isCurrentUserOwnerProp !== undefined 
     ? isCurrentUserOwnerProp 
     : (currentUserId && room.owner?.firebaseUid === currentUserId);
+  const canRemoveMembers = canManage !== undefined ? canManage : isCurrentUserOwner;
 
   return (
     <>
@@ -64,6 +78,9 @@ const RoomMembersList = ({ room, removeMember, leaveRoom, currentUserId, isOwner
 
           const memberId = userData._id?.toString() || userData.id?.toString();
           const isOwner = memberId === ownerIdValue;
+          const role = isOwner ? 'owner' : (member.role || 'member');
+          // 공동 방장은 방장만 강퇴할 수 있음
+          const canRemove = canRemoveMembers && !isOwner && (role !== 'co_host' || isCurrentUserOwner);
           const isCurrentUser = userData.firebaseUid === currentUserId || memberId === currentUserId;
 
           const displayName = userData.fullName || `${userData.firstName} ${userData.lastName}`.trim() || "이름 정보 없음";
@@ -96,7 +113,28 @@ const RoomMembersList = ({ room, removeMember, leaveRoom, currentUserId, isOwner
                     방 나가기
                   </button>
                 )}
-                {isCurrentUserOwner && !isCurrentUser && !isOwner && removeMember && (
+                {isCurrentUserOwner && !isOwner && changeMemberRole && (
+                  <select
+                    value={role}
+                    onChange={(e) => changeMemberRole(memberId, e.target.value)}
+                    className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-700"
+                    title="역할 변경"
+                  >
+                    <option value="co_host">{ROOM_ROLE_LABELS.co_host}</option>
+                    <option value="member">{ROOM_ROLE_LABELS.member}</option>
+                    <option value="observer">{ROOM_ROLE_LABELS.observer}</option>
+                  </select>
+                )}
+                {isCurrentUserOwner && role === 'co_host' && transferOwnership && (
+                  <button
+                    onClick={() => transferOwnership(memberId, displayName)}
+                    className="p-2 text-indigo-600 rounded-lg hover:bg-indigo-50 transition-colors"
+                    title="방장 위임"
+                  >
+                    <Crown size={18} />
+                  </button>
+                )}
+                {canRemove && !isCurrentUser && removeMember && (
                   <button
                     onClick={() => removeMember(memberId)}
                     className="p-2 text-red-500 rounded-lg hover:bg-red-50 transition-colors"
@@ -106,15 +144,9 @@ const RoomMembersList = ({ room, removeMember, leaveRoom, currentUserId, isOwner
                   </button>
                 )}
 
-                {isOwner ? (
-                  <span className="px-3 py-1 text-xs font-bold leading-none text-blue-800 bg-blue-100 rounded-full">
-                    방장
-                  </span>
-                ) : (
-                  <span className="px-3 py-1 text-xs font-bold leading-none text-green-800 bg-green-100 rounded-full">
-                    멤버
-                  </span>
-                )}
+                <span className={`px-3 py-1 text-xs font-bold leading-none rounded-full ${ROLE_BADGE_COLORS[role] || ROLE_BADGE_COLORS.member}`}>
+                  {ROOM_ROLE_LABELS[role] || ROOM_ROLE_LABELS.member}
+                </span>
                 <button
                   onClick={() => setSelectedMember({ id: memberId, name: displayName })}
                   className="px-3 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-lg hover:from-blue-600 hover:to-blue-700 font-medium text-sm flex items-center gap-1.5 transition-all shadow-sm hover:shadow-md"
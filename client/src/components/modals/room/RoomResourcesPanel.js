@@ -0,0 +1,262 @@
+/**
+ * ===================================================================================================
+ * RoomResourcesPanel.js - 방 관리 모달 내의 강의실 / 장비 자원 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 방 자원 목록 편집: 이름, 종류(강의실/장비), 동시 사용 수, 사용 가능 시간, 사용하는 조원, 사용 여부
+ *    - 자원을 쓰는 조원은 자동 배정과 시간 교환에서 그 자원이 비어 있는 시간에만 배정
+ *    - 현재 시간표에서 자원이 겹치거나 사용 가능 시간을 벗어난 슬롯 목록 표시
+ *    - 저장하면 목록 전체를 서버에 보내 교체 (다음 자동 배정부터 적용)
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - getRoomResources, updateRoomResources
+ *    - server/utils/roomResources.js - 자원 종류 / 서버 검증 범위 / 중복 예약 검사
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '자원' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 자원 종류를 추가하려면 `KIND_OPTIONS`와 서버 RESOURCE_KINDS를 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 사용 가능 시간을 비우면 언제든 쓸 수 있는 자원으로 봅니다.
+ *    - 한 조원이 여러 자원에 들어 있으면 그중 비어 있는 자원을 씁니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect } from "react";
+import { Plus, Trash2, Save, AlertTriangle } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+
+const KIND_OPTIONS = [
+  { value: 'classroom', label: '강의실' },
+  { value: 'equipment', label: '장비' }
+];
+
+const DAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const CAPACITY_OPTIONS = Array.from({ length: 20 }, (_, i) => i + 1);
+const MAX_RESOURCES = 20;
+const MAX_WINDOWS = 14;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const createResource = () => ({ name: '', kind: 'classroom', capacity: 1, availability: [], members: [], active: true });
+const createWindow = () => ({ days: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '18:00' });
+
+const normalizeResources = (resources) => resources.map(resource => ({
+  ...resource,
+  availability: resource.availability || [],
+  members: (resource.members || []).map(toId)
+}));
+
+/**
+ * RoomResourcesPanel
+ *
+ * @description 자동 배정과 교환에서 나눠 쓰는 강의실 / 장비를 추가/수정/삭제하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 저장 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @returns {JSX.Element} 자원 탭 UI
+ */
+const RoomResourcesPanel = ({ room, onRoomUpdated, showAlert }) => {
+  const [resources, setResources] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const ownerId = toId(room.owner) || toId(room.ownerId);
+  const schedulableMembers = (room.members || []).filter(m =>
+    toId(m.user) !== ownerId && (m.role || 'member') === 'member'
+  );
+  const memberName = (member) => `${member.user?.firstName || ''} ${member.user?.lastName || ''}`.trim() || '이름 없음';
+
+  useEffect(() => {
+    const fetchResources = async () => {
+      try {
+        setLoading(true);
+        const data = await coordinationService.getRoomResources(room._id);
+        setResources(normalizeResources(data.resources));
+        setConflicts(data.conflicts || []);
+        setDirty(false);
+      } catch (err) {
+        showAlert(err.message || '자원 목록을 불러올 수 없습니다.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchResources();
+  }, [room._id, showAlert]);
+
+  const updateResource = (index, changes) => {
+    setResources(prev => prev.map((resource, i) => (i === index ? { ...resource, ...changes } : resource)));
+    setDirty(true);
+  };
+
+  const updateWindow = (index, windowIndex, changes) => {
+    updateResource(index, {
+      availability: resources[index].availability.map((window, i) => (i === windowIndex ? { ...window, ...changes } : window))
+    });
+  };
+
+  const toggleListValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+  const handleAdd = () => {
+    setResources(prev => [...prev, createResource()]);
+    setDirty(true);
+  };
+
+  const handleRemove = (index) => {
+    setResources(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const result = await coordinationService.updateRoomResources(room._id, resources);
+      setResources(normalizeResources(result.resources));
+      setConflicts(result.conflicts || []);
+      setDirty(false);
+      onRoomUpdated({ ...room, settings: { ...room.settings, resources: result.resources } });
+      showAlert(result.msg);
+    } catch (err) {
+      showAlert(`자원 저장 실패: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderAvailability = (resource, index) => {
+    const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm";
+    return (
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          <span>사용 가능 시간</span>
+          {resource.availability.length === 0 && <span className="text-gray-400">(없으면 언제든 사용 가능)</span>}
+        </div>
+        {resource.availability.map((window, windowIndex) => (
+          <div key={windowIndex} className="flex flex-wrap items-center gap-1 text-xs text-gray-600">
+            {DAY_LABELS.map((label, day) => (
+              <button key={day} type="button"
+                onClick={() => updateWindow(index, windowIndex, { days: toggleListValue(window.days || [], day).sort() })}
+                className={`w-7 h-7 rounded-full border ${(window.days || []).includes(day) ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white text-gray-600 border-gray-300'}`}>
+                {label}
+              </button>
+            ))}
+            <input type="time" value={window.startTime}
+              onChange={(e) => updateWindow(index, windowIndex, { startTime: e.target.value })} className={`${inputClass} ml-2`} />
+            ~
+            <input type="time" value={window.endTime === '24:00' ? '23:59' : window.endTime}
+              onChange={(e) => updateWindow(index, windowIndex, { endTime: e.target.value === '23:59' ? '24:00' : e.target.value })} className={inputClass} />
+            <button onClick={() => updateResource(index, { availability: resource.availability.filter((_, i) => i !== windowIndex) })}
+              className="p-1 text-gray-400 hover:text-red-500" title="시간 삭제">
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => updateResource(index, { availability: [...resource.availability, createWindow()] })}
+          disabled={resource.availability.length >= MAX_WINDOWS}
+          className="text-xs text-indigo-600 hover:underline disabled:opacity-50 flex items-center gap-1">
+          <Plus size={12} /> 시간 추가
+        </button>
+      </div>
+    );
+  };
+
+  const renderMembers = (resource, index) => (
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      <span className="text-gray-600 mr-1">사용하는 조원</span>
+      {schedulableMembers.map(member => {
+        const id = toId(member.user);
+        const selected = resource.members.includes(id);
+        return (
+          <button key={id} type="button"
+            onClick={() => updateResource(index, { members: toggleListValue(resource.members, id) })}
+            className={`px-2 py-0.5 rounded-full border ${selected ? 'bg-indigo-100 text-indigo-700 border-indigo-300' : 'bg-white text-gray-600 border-gray-300'}`}>
+            {memberName(member)}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  if (loading && resources.length === 0) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: '400px' }}>
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">
+        자원을 쓰는 조원은 <span className="font-semibold text-gray-800">그 자원이 사용 가능하고 동시 사용 수가 남은 시간</span>에만
+        {' '}자동 배정되고, 시간 교환도 같은 기준으로 확인합니다.
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="p-3 rounded-lg border border-amber-200 bg-amber-50 space-y-1">
+          <div className="flex items-center gap-1 text-sm font-semibold text-amber-800">
+            <AlertTriangle size={14} /> 현재 시간표의 자원 충돌 {conflicts.length}건
+          </div>
+          {conflicts.map((conflict, index) => (
+            <div key={index} className="text-xs text-amber-700">{conflict.message}</div>
+          ))}
+        </div>
+      )}
+
+      {resources.length === 0 && (
+        <div className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg border border-gray-200">아직 등록한 자원이 없습니다.</div>
+      )}
+
+      {resources.map((resource, index) => (
+        <section key={resource._id || `new-${index}`}
+          className={`p-4 rounded-lg border space-y-3 ${resource.active ? 'bg-white border-gray-200' : 'bg-gray-50 border-gray-200 opacity-70'}`}>
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={resource.kind} onChange={(e) => updateResource(index, { kind: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              {KIND_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <input type="text" value={resource.name} maxLength={40} placeholder="이름 (예: 301호, 빔프로젝터)"
+              onChange={(e) => updateResource(index, { name: e.target.value })}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm" />
+            <select value={resource.capacity} onChange={(e) => updateResource(index, { capacity: Number(e.target.value) })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm" title="동시 사용 수">
+              {CAPACITY_OPTIONS.map(count => <option key={count} value={count}>동시 {count}명</option>)}
+            </select>
+            <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+              <input type="checkbox" checked={resource.active} onChange={(e) => updateResource(index, { active: e.target.checked })} className="rounded" />
+              사용
+            </label>
+            <button onClick={() => handleRemove(index)} className="p-1 text-gray-400 hover:text-red-500" title="삭제">
+              <Trash2 size={16} />
+            </button>
+          </div>
+          {renderAvailability(resource, index)}
+          {renderMembers(resource, index)}
+        </section>
+      ))}
+
+      <div className="flex items-center justify-between gap-2 pt-2 border-t">
+        <button onClick={handleAdd} disabled={resources.length >= MAX_RESOURCES}
+          className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-gray-100 disabled:opacity-50">
+          <Plus size={14} /> 자원 추가
+        </button>
+        <button onClick={handleSave} disabled={saving || !dirty}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-indigo-700 disabled:opacity-50">
+          <Save size={16} /> 자원 저장
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoomResourcesPanel;
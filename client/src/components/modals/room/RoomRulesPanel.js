@@ -0,0 +1,292 @@
+/**
+ * ===================================================================================================
+ * RoomRulesPanel.js - 방 관리 모달 내의 자동 배정 규칙 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 자동 배정 규칙 목록 편집: 주당 최대 횟수, 수업 사이 간격, 허용 시간대, 하루 최대 시간, 연달아 배정
+ *    - 규칙마다 반드시 지킴(hard) / 가능하면 지킴(soft, 가중치 1~10), 대상 조원, 사용 여부 설정
+ *    - 저장하면 목록 전체를 서버에 보내 교체 (다음 자동 배정부터 적용)
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - getSchedulingRules, updateSchedulingRules
+ *    - server/utils/schedulingRules.js - 규칙 종류 / 서버 검증 범위
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '배정 규칙' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 새 규칙 종류: `RULE_TYPE_OPTIONS`에 기본값과 함께 추가하고 `renderParams`에 입력 폼 추가
+ *      (서버 utils/schedulingRules.js와 ruleValidator.js도 함께 수정)
+ *
+ * 📝 참고사항:
+ *    - 대상 조원을 고르지 않으면 모든 조원에게 적용됩니다. '연달아 배정'은 2명 이상 골라야 합니다.
+ *    - 시간은 방 시간대 기준입니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect } from "react";
+import { Plus, Trash2, Save } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+
+const RULE_TYPE_OPTIONS = [
+  { value: 'max_sessions_per_week', label: '주당 최대 횟수', defaults: { maxSessions: 2 } },
+  { value: 'min_days_between_sessions', label: '수업 사이 간격', defaults: { minGapDays: 1 } },
+  { value: 'time_window', label: '허용 시간대', defaults: { startTime: '17:00', endTime: '22:00', days: [] } },
+  { value: 'max_hours_per_day', label: '하루 최대 시간', defaults: { maxHours: 5, appliesTo: 'owner' } },
+  { value: 'back_to_back', label: '연달아 배정', defaults: {} }
+];
+
+const DAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const WEIGHT_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const createRule = (type) => ({
+  type,
+  label: '',
+  enforcement: 'hard',
+  weight: 5,
+  enabled: true,
+  members: [],
+  ...RULE_TYPE_OPTIONS.find(option => option.value === type).defaults
+});
+
+/**
+ * RoomRulesPanel
+ *
+ * @description 자동 배정에 적용할 방 규칙을 추가/수정/삭제하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 저장 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @returns {JSX.Element} 배정 규칙 탭 UI
+ */
+const RoomRulesPanel = ({ room, onRoomUpdated, showAlert }) => {
+  const [rules, setRules] = useState([]);
+  const [newRuleType, setNewRuleType] = useState(RULE_TYPE_OPTIONS[0].value);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const ownerId = toId(room.owner) || toId(room.ownerId);
+  const schedulableMembers = (room.members || []).filter(m =>
+    toId(m.user) !== ownerId && (m.role || 'member') === 'member'
+  );
+  const memberName = (member) => `${member.user?.firstName || ''} ${member.user?.lastName || ''}`.trim() || '이름 없음';
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        setLoading(true);
+        const data = await coordinationService.getSchedulingRules(room._id);
+        setRules(data.rules.map(rule => ({ ...rule, members: (rule.members || []).map(toId) })));
+        setDirty(false);
+      } catch (err) {
+        showAlert(err.message || '배정 규칙을 불러올 수 없습니다.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRules();
+  }, [room._id, showAlert]);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    setDirty(true);
+  };
+
+  const toggleListValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+  const handleAdd = () => {
+    setRules(prev => [...prev, createRule(newRuleType)]);
+    setDirty(true);
+  };
+
+  const handleRemove = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const result = await coordinationService.updateSchedulingRules(room._id, rules);
+      setRules(result.rules.map(rule => ({ ...rule, members: (rule.members || []).map(toId) })));
+      setDirty(false);
+      onRoomUpdated({ ...room, settings: { ...room.settings, schedulingRules: result.rules } });
+      showAlert(result.msg);
+    } catch (err) {
+      showAlert(`배정 규칙 저장 실패: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderParams = (rule, index) => {
+    const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm";
+    switch (rule.type) {
+      case 'max_sessions_per_week':
+        return (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            조원마다 한 주에 최대
+            <input type="number" min={1} max={14} value={rule.maxSessions}
+              onChange={(e) => updateRule(index, { maxSessions: Number(e.target.value) })}
+              className={`${inputClass} w-16`} />
+            회
+          </label>
+        );
+      case 'min_days_between_sessions':
+        return (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            수업 사이에 최소
+            <input type="number" min={1} max={6} value={rule.minGapDays}
+              onChange={(e) => updateRule(index, { minGapDays: Number(e.target.value) })}
+              className={`${inputClass} w-16`} />
+            일 비우기
+          </label>
+        );
+      case 'time_window':
+        return (
+          <div className="space-y-2">
+            <div className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="time" value={rule.startTime}
+                onChange={(e) => updateRule(index, { startTime: e.target.value })} className={inputClass} />
+              ~
+              <input type="time" value={rule.endTime === '24:00' ? '23:59' : rule.endTime}
+                onChange={(e) => updateRule(index, { endTime: e.target.value === '23:59' ? '24:00' : e.target.value })} className={inputClass} />
+              사이에만 배정
+            </div>
+            <div className="flex items-center gap-1 text-xs text-gray-600">
+              <span className="mr-1">요일</span>
+              {DAY_LABELS.map((label, day) => (
+                <button key={day} type="button"
+                  onClick={() => updateRule(index, { days: toggleListValue(rule.days || [], day).sort() })}
+                  className={`w-7 h-7 rounded-full border ${(rule.days || []).includes(day) ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white text-gray-600 border-gray-300'}`}>
+                  {label}
+                </button>
+              ))}
+              <span className="ml-1">(선택 안 하면 모든 요일)</span>
+            </div>
+          </div>
+        );
+      case 'max_hours_per_day':
+        return (
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <select value={rule.appliesTo} onChange={(e) => updateRule(index, { appliesTo: e.target.value })} className={inputClass}>
+              <option value="owner">방장 수업 시간 합계</option>
+              <option value="member">조원마다</option>
+            </select>
+            하루 최대
+            <input type="number" min={0.5} max={24} step={0.5} value={rule.maxHours}
+              onChange={(e) => updateRule(index, { maxHours: Number(e.target.value) })}
+              className={`${inputClass} w-20`} />
+            시간
+          </div>
+        );
+      case 'back_to_back':
+        return <div className="text-sm text-gray-700">아래에서 고른 조원들이 같은 날 수업하면 앞뒤로 붙여서 배정</div>;
+      default:
+        return null;
+    }
+  };
+
+  const renderMembers = (rule, index) => {
+    if (rule.type === 'max_hours_per_day' && rule.appliesTo === 'owner') return null;
+    const isGroup = rule.type === 'back_to_back';
+    return (
+      <div className="flex flex-wrap items-center gap-1 text-xs">
+        <span className="text-gray-600 mr-1">{isGroup ? '묶을 조원 (2명 이상)' : '대상 조원 (선택 안 하면 전체)'}</span>
+        {schedulableMembers.map(member => {
+          const id = toId(member.user);
+          const selected = rule.members.includes(id);
+          return (
+            <button key={id} type="button"
+              onClick={() => updateRule(index, { members: toggleListValue(rule.members, id) })}
+              className={`px-2 py-0.5 rounded-full border ${selected ? 'bg-indigo-100 text-indigo-700 border-indigo-300' : 'bg-white text-gray-600 border-gray-300'}`}>
+              {memberName(member)}
+            </button>
+          );
+        })}
+      </div>
+    );
+  };
+
+  if (loading && rules.length === 0) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: '400px' }}>
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">
+        <span className="font-semibold text-gray-800">반드시 지킴</span> 규칙은 자동 배정이 절대 어기지 않고(못 채운 시간은 이월),
+        {' '}<span className="font-semibold text-gray-800">가능하면 지킴</span> 규칙은 가중치가 클수록 어기는 시간을 피합니다.
+      </div>
+
+      {rules.length === 0 && (
+        <div className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg border border-gray-200">아직 배정 규칙이 없습니다.</div>
+      )}
+
+      {rules.map((rule, index) => (
+        <section key={rule._id || `new-${index}`}
+          className={`p-4 rounded-lg border space-y-3 ${rule.enabled ? 'bg-white border-gray-200' : 'bg-gray-50 border-gray-200 opacity-70'}`}>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="px-2 py-0.5 text-xs font-semibold rounded bg-indigo-100 text-indigo-700">
+              {RULE_TYPE_OPTIONS.find(option => option.value === rule.type)?.label}
+            </span>
+            <input type="text" value={rule.label} maxLength={60} placeholder="규칙 이름 (선택)"
+              onChange={(e) => updateRule(index, { label: e.target.value })}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm" />
+            <select value={rule.enforcement} onChange={(e) => updateRule(index, { enforcement: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              <option value="hard">반드시 지킴</option>
+              <option value="soft">가능하면 지킴</option>
+            </select>
+            {rule.enforcement === 'soft' && (
+              <select value={rule.weight} onChange={(e) => updateRule(index, { weight: Number(e.target.value) })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm" title="가중치">
+                {WEIGHT_OPTIONS.map(weight => <option key={weight} value={weight}>가중치 {weight}</option>)}
+              </select>
+            )}
+            <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(index, { enabled: e.target.checked })} className="rounded" />
+              사용
+            </label>
+            <button onClick={() => handleRemove(index)} className="p-1 text-gray-400 hover:text-red-500" title="삭제">
+              <Trash2 size={16} />
+            </button>
+          </div>
+          {renderParams(rule, index)}
+          {renderMembers(rule, index)}
+        </section>
+      ))}
+
+      <div className="flex items-center justify-between gap-2 pt-2 border-t">
+        <div className="flex items-center gap-2">
+          <select value={newRuleType} onChange={(e) => setNewRuleType(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5 text-sm">
+            {RULE_TYPE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <button onClick={handleAdd}
+            className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-gray-100">
+            <Plus size={14} /> 규칙 추가
+          </button>
+        </div>
+        <button onClick={handleSave} disabled={saving || !dirty}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-indigo-700 disabled:opacity-50">
+          <Save size={16} /> 규칙 저장
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoomRulesPanel;
@@ -0,0 +1,202 @@
+/**
+ * ===================================================================================================
+ * RoomSessionsPanel.js - 방 관리 모달 내의 조원별 수업 구성 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 조원을 골라 수업 구성 편집: 과목, 수업 길이(분), 주당 횟수, 가능 요일
+ *    - 수업 구성이 있는 조원은 자동 배정에서 주당 최소 시간 대신 각 수업을 정해진 길이로 배정
+ *    - 저장하면 그 조원의 수업 목록 전체를 서버에 보내 교체 (다음 자동 배정부터 적용)
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - updateMemberSessions
+ *    - server/utils/memberSessions.js - 수업 구성 서버 검증 범위
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '수업 설정' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 수업 길이/횟수 범위를 바꾸면 서버 utils/memberSessions.js의 상수도 함께 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 과목을 비우면 배정 슬롯은 '자동 배정'으로 표시됩니다.
+ *    - 같은 수업은 하루에 한 번만 배정되므로 가능 요일은 주당 횟수 이상 골라야 합니다 (선택 안 하면 모든 요일).
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect } from "react";
+import { Plus, Trash2, Save } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+
+const DAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const DURATION_OPTIONS = Array.from({ length: 24 }, (_, i) => (i + 1) * 10); // 10 ~ 240분
+const SESSIONS_PER_WEEK_OPTIONS = [1, 2, 3, 4, 5, 6, 7];
+const MAX_SESSIONS = 5;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const createSession = () => ({ subject: '', durationMinutes: 60, sessionsPerWeek: 1, days: [] });
+
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}분`;
+  return rest === 0 ? `${hours}시간` : `${hours}시간 ${rest}분`;
+};
+
+/**
+ * RoomSessionsPanel
+ *
+ * @description 조원마다 수업 길이 / 주당 횟수 / 가능 요일 / 과목을 정하는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체 (members[].sessions 포함)
+ * @param {Function} props.onRoomUpdated - 저장 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @returns {JSX.Element} 수업 설정 탭 UI
+ */
+const RoomSessionsPanel = ({ room, onRoomUpdated, showAlert }) => {
+  const ownerId = toId(room.owner) || toId(room.ownerId);
+  const schedulableMembers = (room.members || []).filter(m =>
+    toId(m.user) !== ownerId && (m.role || 'member') === 'member'
+  );
+  const memberName = (member) => `${member.user?.firstName || ''} ${member.user?.lastName || ''}`.trim() || '이름 없음';
+
+  const [selectedMemberId, setSelectedMemberId] = useState(toId(schedulableMembers[0]?.user) || '');
+  const [sessions, setSessions] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const selectedMember = schedulableMembers.find(m => toId(m.user) === selectedMemberId);
+
+  useEffect(() => {
+    // 갱신된 방에서 멤버를 다시 찾아 최신 수업 목록을 반영
+    const member = (room.members || []).find(m => toId(m.user) === selectedMemberId);
+    setSessions((member?.sessions || []).map(session => ({ ...session, days: session.days || [] })));
+    setDirty(false);
+  }, [selectedMemberId, room]);
+
+  const updateSession = (index, changes) => {
+    setSessions(prev => prev.map((session, i) => (i === index ? { ...session, ...changes } : session)));
+    setDirty(true);
+  };
+
+  const toggleDay = (index, day) => {
+    const days = sessions[index].days || [];
+    updateSession(index, { days: (days.includes(day) ? days.filter(d => d !== day) : [...days, day]).sort() });
+  };
+
+  const handleAdd = () => {
+    setSessions(prev => [...prev, createSession()]);
+    setDirty(true);
+  };
+
+  const handleRemove = (index) => {
+    setSessions(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const result = await coordinationService.updateMemberSessions(room._id, selectedMemberId, sessions);
+      setDirty(false);
+      onRoomUpdated(result.room);
+      showAlert(result.msg);
+    } catch (err) {
+      showAlert(`수업 구성 저장 실패: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (schedulableMembers.length === 0) {
+    return (
+      <div className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg border border-gray-200">자동 배정 대상 조원이 없습니다.</div>
+    );
+  }
+
+  const weeklyMinutes = sessions.reduce((sum, session) => sum + session.durationMinutes * session.sessionsPerWeek, 0);
+  const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm";
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">
+        수업 구성이 있는 조원은 주당 최소 시간 대신 <span className="font-semibold text-gray-800">수업마다 정한 길이로, 주당 횟수만큼</span> 배정됩니다.
+        {' '}수업을 모두 지우면 주당 최소 시간 배정으로 돌아갑니다.
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1 text-xs">
+        <span className="text-gray-600 mr-1">조원</span>
+        {schedulableMembers.map(member => {
+          const id = toId(member.user);
+          const count = (member.sessions || []).length;
+          return (
+            <button key={id} type="button" onClick={() => setSelectedMemberId(id)}
+              className={`px-2 py-0.5 rounded-full border ${id === selectedMemberId ? 'bg-indigo-100 text-indigo-700 border-indigo-300' : 'bg-white text-gray-600 border-gray-300'}`}>
+              {memberName(member)}{count > 0 ? ` (${count})` : ''}
+            </button>
+          );
+        })}
+      </div>
+
+      {sessions.length === 0 && (
+        <div className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          {selectedMember ? `${memberName(selectedMember)}님은 수업 구성이 없어 주당 최소 시간으로 배정됩니다.` : '조원을 선택하세요.'}
+        </div>
+      )}
+
+      {sessions.map((session, index) => (
+        <section key={session._id || `new-${index}`} className="p-4 rounded-lg border bg-white border-gray-200 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="text" value={session.subject} maxLength={30} placeholder="과목 (선택, 예: 수학)"
+              onChange={(e) => updateSession(index, { subject: e.target.value })}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm" />
+            <select value={session.durationMinutes} onChange={(e) => updateSession(index, { durationMinutes: Number(e.target.value) })}
+              className={inputClass} title="수업 길이">
+              {DURATION_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{formatDuration(minutes)}</option>)}
+            </select>
+            <select value={session.sessionsPerWeek} onChange={(e) => updateSession(index, { sessionsPerWeek: Number(e.target.value) })}
+              className={inputClass} title="주당 횟수">
+              {SESSIONS_PER_WEEK_OPTIONS.map(count => <option key={count} value={count}>주 {count}회</option>)}
+            </select>
+            <button onClick={() => handleRemove(index)} className="p-1 text-gray-400 hover:text-red-500" title="삭제">
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <div className="flex items-center gap-1 text-xs text-gray-600">
+            <span className="mr-1">가능 요일</span>
+            {DAY_LABELS.map((label, day) => (
+              <button key={day} type="button" onClick={() => toggleDay(index, day)}
+                className={`w-7 h-7 rounded-full border ${(session.days || []).includes(day) ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white text-gray-600 border-gray-300'}`}>
+                {label}
+              </button>
+            ))}
+            <span className="ml-1">(선택 안 하면 모든 요일)</span>
+          </div>
+        </section>
+      ))}
+
+      <div className="flex items-center justify-between gap-2 pt-2 border-t">
+        <div className="flex items-center gap-3">
+          <button onClick={handleAdd} disabled={!selectedMember || sessions.length >= MAX_SESSIONS}
+            className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-gray-100 disabled:opacity-50">
+            <Plus size={14} /> 수업 추가
+          </button>
+          {sessions.length > 0 && (
+            <span className="text-xs text-gray-500">주당 합계 {formatDuration(weeklyMinutes)}</span>
+          )}
+        </div>
+        <button onClick={handleSave} disabled={saving || !dirty || !selectedMember}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium flex items-center gap-1 hover:bg-indigo-700 disabled:opacity-50">
+          <Save size={16} /> 수업 구성 저장
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoomSessionsPanel;
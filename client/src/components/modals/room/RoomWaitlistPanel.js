@@ -0,0 +1,223 @@
+/**
+ * ===================================================================================================
+ * RoomWaitlistPanel.js - 방 관리 모달 내의 빈자리 대기열 탭 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/modals/room
+ *
+ * 🎯 주요 기능:
+ *    - 대기열 설정: 빈자리 자동 제안 사용 여부, 한 조원에게 주는 수락 기한
+ *    - 대기열: 이월 시간이 있거나 이번 주 최소 시간을 못 채운 조원을 제안 순서대로 표시
+ *    - 제안 현황: 퇴장/강퇴/자리 양보로 생긴 빈자리가 누구에게 제안 중인지, 누가 받았는지 표시
+ *
+ * 🔗 연결된 파일:
+ *    - ../RoomManagementModal.js - 이 컴포넌트를 사용하는 상위 모달 컴포넌트
+ *    - ../../../services/coordinationService.js - getRoomWaitlist, updateWaitlistSettings
+ *    - server/controllers/slotWaitlistController.js - 대기열 API
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭 > 방 카드 클릭 > '방 관리' 모달 > '대기열' 탭 (방장, 공동 방장)
+ *
+ * ✏️ 수정 가이드:
+ *    - 수락 기한 선택지 변경: `CLAIM_WINDOW_OPTIONS` 수정 (서버 허용 범위는 5분 ~ 24시간)
+ *    - 제안 상태 표시 변경: `OFFER_STATUS_LABELS`, `OFFER_STATUS_COLORS` 수정
+ *
+ * 📝 참고사항:
+ *    - 조원이 빈자리를 수락/거절하는 UI는 CoordinationTab의 SlotOfferBanner에 있습니다.
+ *
+ * ===================================================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { RefreshCw } from "lucide-react";
+import { coordinationService } from '../../../services/coordinationService';
+
+const CLAIM_WINDOW_OPTIONS = [
+  { value: 15, label: '15분' },
+  { value: 30, label: '30분' },
+  { value: 60, label: '1시간' },
+  { value: 180, label: '3시간' },
+  { value: 720, label: '12시간' },
+  { value: 1440, label: '24시간' }
+];
+
+const REASON_LABELS = {
+  member_leave: '조원 퇴장',
+  member_kick: '조원 강퇴',
+  slot_release: '자리 양보'
+};
+
+const OFFER_STATUS_LABELS = {
+  offered: '제안 중',
+  claimed: '배정됨',
+  exhausted: '대기자 없음',
+  cancelled: '취소됨'
+};
+
+const OFFER_STATUS_COLORS = {
+  offered: 'bg-yellow-100 text-yellow-700',
+  claimed: 'bg-green-100 text-green-700',
+  exhausted: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatOfferSlot = (offer) => `${new Date(offer.date).toISOString().split('T')[0]} ${offer.startTime}-${offer.endTime}`;
+
+const formatMinutes = (minutes) => (minutes >= 60 ? `${Math.floor(minutes / 60)}시간${minutes % 60 ? ` ${minutes % 60}분` : ''}` : `${minutes}분`);
+
+/**
+ * RoomWaitlistPanel
+ *
+ * @description 빈자리 대기열 순서와 제안 현황을 보여주고 대기열 설정을 바꾸는 탭 컴포넌트입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Object} props.room - 현재 방 정보 객체
+ * @param {Function} props.onRoomUpdated - 설정 변경 후 갱신된 방 정보를 전달받는 콜백
+ * @param {Function} props.showAlert - 결과 메시지를 표시하는 함수
+ * @returns {JSX.Element} 대기열 탭 UI
+ */
+const RoomWaitlistPanel = ({ room, onRoomUpdated, showAlert }) => {
+  const [settings, setSettings] = useState(room.waitlist || { enabled: true, claimWindowMinutes: 60 });
+  const [waitlist, setWaitlist] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await coordinationService.getRoomWaitlist(room._id);
+      if (data.settings) setSettings(data.settings);
+      setWaitlist(data.waitlist);
+      setOffers(data.offers);
+    } catch (err) {
+      showAlert(err.message || '대기열을 불러올 수 없습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [room._id, showAlert]);
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [fetchWaitlist]);
+
+  const handleSettingsChange = async (changes) => {
+    try {
+      setBusy(true);
+      const result = await coordinationService.updateWaitlistSettings(room._id, changes);
+      setSettings(result.settings);
+      onRoomUpdated({ ...room, waitlist: result.settings });
+    } catch (err) {
+      showAlert(`대기열 설정 변경 실패: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderOffer = (offer) => (
+    <div key={offer._id} className="p-3 bg-white rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <span className={`px-2 py-0.5 text-xs font-semibold rounded ${OFFER_STATUS_COLORS[offer.status]}`}>
+            {OFFER_STATUS_LABELS[offer.status]}
+          </span>
+          <span className="font-semibold text-sm text-gray-800 truncate">{formatOfferSlot(offer)}</span>
+        </div>
+        <span className="text-xs text-gray-500 flex-shrink-0">{REASON_LABELS[offer.reason]}</span>
+      </div>
+      <div className="mt-1 text-xs text-gray-500">
+        {offer.releasedBy && `${offer.releasedBy}님의 시간 · `}
+        {offer.status === 'offered' && offer.offeredTo && (
+          `${offer.offeredTo.name}님에게 제안 중 (${offer.position}/${offer.candidateCount}번째 · ${formatDateTime(offer.expiresAt)}까지)`
+        )}
+        {offer.status === 'claimed' && `${offer.claimedBy}님이 ${formatDateTime(offer.claimedAt)}에 수락`}
+        {offer.status === 'exhausted' && `후보 ${offer.candidateCount}명 모두 받지 않음`}
+        {offer.status === 'cancelled' && '시간이 이미 채워졌거나 지나서 종료'}
+      </div>
+    </div>
+  );
+
+  if (loading && waitlist.length === 0 && offers.length === 0) {
+    return (
+      <div className="flex items-center justify-center" style={{ minHeight: '400px' }}>
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {/* 대기열 설정 */}
+      <section className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold text-gray-800">빈자리 자동 제안</h4>
+          <button
+            onClick={fetchWaitlist}
+            disabled={loading}
+            className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-xs font-medium flex items-center gap-1 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <RefreshCw size={14} /> 새로고침
+          </button>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => handleSettingsChange({ enabled: e.target.checked })}
+            disabled={busy}
+            className="rounded"
+          />
+          퇴장/강퇴/자리 양보로 빈 시간을 대기열 조원에게 제안
+        </label>
+        <div className="flex items-center gap-2 text-sm text-gray-700">
+          <span>수락 기한</span>
+          <select
+            value={settings.claimWindowMinutes}
+            onChange={(e) => handleSettingsChange({ claimWindowMinutes: Number(e.target.value) })}
+            disabled={busy || !settings.enabled}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {CLAIM_WINDOW_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <span className="text-xs text-gray-500">지나면 다음 대기자에게 넘어갑니다</span>
+        </div>
+      </section>
+
+      {/* 대기열 */}
+      <section className="space-y-2">
+        <h4 className="font-semibold text-gray-800">대기열 ({waitlist.length})</h4>
+        {waitlist.length === 0 ? (
+          <div className="text-sm text-gray-500">이월 시간이 있거나 이번 주 최소 시간이 부족한 조원이 없습니다.</div>
+        ) : waitlist.map(entry => (
+          <div key={entry.userId} className="p-3 bg-amber-50 rounded-lg border border-amber-200 flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 min-w-0">
+              <span className="w-6 h-6 rounded-full bg-amber-500 text-white text-xs font-bold flex items-center justify-center flex-shrink-0">{entry.rank}</span>
+              <span className="font-semibold text-sm text-gray-800 truncate">{entry.name}</span>
+            </div>
+            <div className="text-xs text-gray-600 flex-shrink-0">
+              {entry.carryOver > 0 && `이월 ${entry.carryOver}시간`}
+              {entry.carryOver > 0 && entry.shortfallMinutes > 0 && ' · '}
+              {entry.shortfallMinutes > 0 && `이번 주 ${formatMinutes(entry.shortfallMinutes)} 부족`}
+            </div>
+          </div>
+        ))}
+      </section>
+
+      {/* 제안 현황 */}
+      <section className="space-y-2">
+        <h4 className="font-semibold text-gray-800">빈자리 제안 ({offers.length})</h4>
+        {offers.length === 0 ? (
+          <div className="text-sm text-gray-500">아직 생긴 빈자리가 없습니다.</div>
+        ) : offers.map(renderOffer)}
+      </section>
+    </div>
+  );
+};
+
+export default RoomWaitlistPanel;
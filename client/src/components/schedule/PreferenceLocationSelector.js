@@ -0,0 +1,125 @@
+/**
+ * ===================================================================================================
+ * PreferenceLocationSelector.js - 선호시간마다 수업할 장소를 고르는 컴포넌트
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/components/schedule
+ *
+ * 🎯 주요 기능:
+ *    - 선호시간(defaultSchedule)을 요일/날짜별 연속 구간으로 묶어 보여줌
+ *    - 구간마다 집 또는 저장 장소(학교 / 학원 지점 등)를 선택 → 그 구간의 모든 선호시간에 locationId 지정
+ *
+ * 🔗 연결된 파일:
+ *    - ../mobile/MobileScheduleEdit.js - 일정 편집 화면의 선호시간 탭에서 사용
+ *    - ../../utils/savedLocations.js - 장소 목록 / 표시 이름
+ *    - server/utils/savedLocations.js - 이 장소로 수업별 이동시간 계산 (getSessionPlace)
+ *
+ * 💡 UI 위치:
+ *    - 설정 > 일정 편집 > '선호시간' 탭 > 캘린더 아래 '선호시간별 수업 장소'
+ *
+ * ✏️ 수정 가이드:
+ *    - 구간을 묶는 기준을 바꾸려면 `groupWindows`를 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 장소를 고르지 않은 선호시간은 집에서 수업하는 것으로 계산합니다.
+ *    - 저장은 부모의 일정 저장 버튼으로 defaultSchedule과 함께 보냅니다.
+ *
+ * ===================================================================================================
+ */
+
+import React from 'react';
+import { MapPin } from 'lucide-react';
+import { DAY_LABELS, HOME_LOCATION_ID, formatPlaceLabel } from '../../utils/savedLocations';
+
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * 선호시간을 요일/날짜별로 이어지는 구간으로 묶음
+ * @param {Array} schedule - defaultSchedule
+ * @returns {Array} [{ key, label, startTime, endTime, indices, locationId }]
+ */
+const groupWindows = (schedule) => {
+  const byKey = {};
+  schedule.forEach((window, index) => {
+    const key = window.specificDate || `day-${window.dayOfWeek}`;
+    if (!byKey[key]) byKey[key] = [];
+    byKey[key].push({ window, index });
+  });
+
+  const keys = Object.keys(byKey).sort((a, b) => {
+    const aDay = a.startsWith('day-');
+    const bDay = b.startsWith('day-');
+    if (aDay !== bDay) return aDay ? -1 : 1;
+    if (aDay) return DAY_ORDER.indexOf(Number(a.slice(4))) - DAY_ORDER.indexOf(Number(b.slice(4)));
+    return a.localeCompare(b);
+  });
+
+  const groups = [];
+  keys.forEach(key => {
+    const label = key.startsWith('day-') ? `매주 ${DAY_LABELS[Number(key.slice(4))]}요일` : key;
+    const items = byKey[key].sort((a, b) => a.window.startTime.localeCompare(b.window.startTime));
+    items.forEach(({ window, index }) => {
+      const last = groups[groups.length - 1];
+      if (last && last.key === key && last.endTime === window.startTime) {
+        last.endTime = window.endTime;
+        last.indices.push(index);
+      } else {
+        groups.push({ key, label, startTime: window.startTime, endTime: window.endTime, indices: [index], locationId: window.locationId || null });
+      }
+    });
+  });
+  return groups;
+};
+
+/**
+ * PreferenceLocationSelector
+ *
+ * @description 선호시간 구간마다 수업 장소를 고르는 목록입니다.
+ * @param {Object} props - 컴포넌트 프롭스
+ * @param {Array} props.schedule - defaultSchedule
+ * @param {Function} props.setSchedule - defaultSchedule 갱신 함수
+ * @param {Array} props.places - 사용자 장소 (getUserPlaces 결과)
+ * @returns {JSX.Element|null}
+ */
+const PreferenceLocationSelector = ({ schedule, setSchedule, places }) => {
+  const savedPlaces = places.filter(place => place.id !== HOME_LOCATION_ID);
+  if (schedule.length === 0) return null;
+
+  if (savedPlaces.length === 0) {
+    return (
+      <p className="text-xs text-gray-500 mt-3">
+        집이 아닌 곳(학교, 학원 지점 등)에서 수업하는 시간이 있으면 개인정보 수정에서 장소를 추가한 뒤 여기서 고를 수 있습니다.
+      </p>
+    );
+  }
+
+  const handleSelect = (group, locationId) => {
+    const indices = new Set(group.indices);
+    setSchedule(prev => prev.map((window, index) => {
+      if (!indices.has(index)) return window;
+      const next = { ...window };
+      delete next.locationId;
+      return locationId && locationId !== HOME_LOCATION_ID ? { ...next, locationId } : next;
+    }));
+  };
+
+  return (
+    <div className="mt-4 space-y-2">
+      <h4 className="text-sm font-semibold text-gray-700 flex items-center gap-1">
+        <MapPin size={14} /> 선호시간별 수업 장소
+      </h4>
+      {groupWindows(schedule).map(group => (
+        <div key={`${group.key}-${group.startTime}`} className="flex items-center justify-between gap-2 text-sm">
+          <span className="text-gray-700">{group.label} {group.startTime}-{group.endTime}</span>
+          <select value={group.locationId || HOME_LOCATION_ID} onChange={(e) => handleSelect(group, e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+            {places.map(place => <option key={place.id} value={place.id}>{formatPlaceLabel(place)}</option>)}
+            {!places.some(place => place.id === HOME_LOCATION_ID) && <option value={HOME_LOCATION_ID}>집 (주소 없음)</option>}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PreferenceLocationSelector;
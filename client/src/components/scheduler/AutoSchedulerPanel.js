@@ -8,6 +8,8 @@
  * 🎯 주요 기능:
  *    - 자동 시간 배정 실행 및 옵션 설정 (주당 최소 시간, 배정 모드)
  *    - 배정 모드 선택 (기본, 선착순, 오늘 기준)
+ *    - 배정 과정 설명(explain) 요청 및 동점 처리 시드 입력
+ *    - 공평성 균형 가중치 선택 (지난 주에 불리했던 조원 보정, 선택값은 방 설정으로 저장됨)
  *    - 자동 확정 타이머 표시 및 실행
  *    - 배정 결과 수동 확정
  *    - 관련 데이터 초기화 기능 (이월시간, 완료시간, 전체 슬롯 등)
@@ -36,6 +38,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Zap, WandSparkles, MessageSquare, Clock, Calendar, X, RefreshCw, History, CheckCircle } from 'lucide-react';
 import { useToast } from '../../contexts/ToastContext';
 
+// 서버 settings.fairnessWeight (0~1)
+const FAIRNESS_WEIGHT_OPTIONS = [
+  { value: 0, label: '사용 안 함' },
+  { value: 0.3, label: '약하게' },
+  { value: 0.6, label: '보통' },
+  { value: 1, label: '강하게' }
+];
+
 /**
  * [AutoSchedulerPanel]
  * @description 자동 시간 배정 기능을 제어하는 UI 패널. 사용자는 이 패널을 통해 배정 옵션을 설정하고,
@@ -445,6 +455,40 @@ const AutoSchedulerPanel = ({
           )}
         </div>
 
+        {/* 배정 과정 설명 (explain 모드) + 재현용 시드 */}
+        <div className="flex items-center gap-2">
+          <label className="flex items-center text-xs text-gray-700 cursor-pointer whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={!!options.explain}
+              onChange={(e) => setOptions(prev => ({ ...prev, explain: e.target.checked }))}
+              className="mr-1"
+            />
+            배정 과정 설명
+          </label>
+          <input
+            type="text"
+            value={options.seed ?? ''}
+            onChange={(e) => setOptions(prev => ({ ...prev, seed: e.target.value }))}
+            className="flex-1 min-w-0 p-1.5 text-xs border rounded-md"
+            placeholder="시드 (같은 값이면 같은 결과)"
+          />
+        </div>
+
+        {/* 공평성 균형: 지난 주에 불리했던 조원(선호도 낮은 시간, 이월, 첫/마지막 시간)을 보정 */}
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-gray-700 whitespace-nowrap">공평성 균형</span>
+          <select
+            value={options.fairnessWeight ?? currentRoom?.settings?.fairnessWeight ?? 0}
+            onChange={(e) => setOptions(prev => ({ ...prev, fairnessWeight: Number(e.target.value) }))}
+            className="flex-1 min-w-0 p-1.5 text-xs border rounded-md"
+          >
+            {FAIRNESS_WEIGHT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* 소형 버튼들 그리드 - 2열 2행 */}
         <div className="grid grid-cols-2 gap-2 mt-4">
           {/* 1열 */}
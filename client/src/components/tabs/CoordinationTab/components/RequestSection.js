@@ -133,7 +133,8 @@ const generateRequestMessage = (request, currentRoom, currentUser) => {
                                  slot.subject === '자동 재배치' ||
                                  slot.subject === '연쇄 교환 결과' ||
                                  slot.subject === '연쇄 조정 결과' ||
-                                 slot.subject === '직접 교환';
+                                 slot.subject === '직접 교환' ||
+                                 Boolean(slot.sessionId);
           return isRequesterSlot && isValidSubject;
         });
 
@@ -205,6 +206,11 @@ const generateRequestMessage = (request, currentRoom, currentUser) => {
     case 'slot_release':
       return `${requesterName}님이 ${dayKorean} ${timeRange} 시간을 양보하려고 합니다.`;
 
+    case 'route_reorder': {
+      const fromRange = request.targetSlot ? `${request.targetSlot.startTime}-${request.targetSlot.endTime}` : '';
+      return `${requesterName}님이 동선 조정을 위해 ${dayKorean} ${fromRange} 수업을 ${timeRange}(으)로 옮기려고 합니다.`;
+    }
+
     default:
       return request.message || `${requesterName}님이 ${dayKorean} ${timeRange} 일정을 요청합니다.`;
   }
@@ -367,6 +373,7 @@ const ReceivedRequestsView = ({
                             case 'chain_request':
                             case 'chain_exchange_request': return '연쇄 요청';
                             case 'slot_release': return '자리 양보';
+                            case 'route_reorder': return '동선 조정';
                             default: return '일정 요청';
                           }
                         })()}
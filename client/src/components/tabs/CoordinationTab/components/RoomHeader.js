@@ -132,7 +132,7 @@ const RoomHeader = ({
             </div>
             <div className="flex items-center">
               <strong className="mr-2">방장:</strong>
-              {isOwner
+              {isRoomOwner(user, currentRoom)
                 ? `${user.firstName} ${user.lastName}`
                 : `${currentRoom.owner?.firstName || ''} ${currentRoom.owner?.lastName || ''}`.trim() || '알 수 없음'}
             </div>
@@ -169,7 +169,7 @@ const RoomHeader = ({
         >
           방 목록으로 돌아가기
         </button>
-        {!isOwner && (
+        {!isRoomOwner(user, currentRoom) && (
           <button
             onClick={onLeaveRoom}
             style={{
@@ -11,6 +11,7 @@
  *    - 시간 표시 범위 전환 (기본 시간/24시간).
  *    - 멤버 시간표 표시 방식 전환 (병합/분할).
  *    - 이동수단 선택 및 이동시간 계산 상태 표시.
+ *    - (방장) 하루 동선 최적화 모달 열기.
  *    - 월간 보기 시, 시간표의 색상 범례를 표시.
  *
  * 🔗 연결된 파일:
@@ -33,7 +34,7 @@
  * ===================================================================================================
  */
 import React from 'react';
-import { Calendar, Grid, Clock, Merge, Split } from 'lucide-react';
+import { Calendar, Grid, Clock, Merge, Split, Route } from 'lucide-react';
 import TravelModeButtons from '../../../coordination/TravelModeButtons';
 import { saveViewMode } from '../../../../utils/coordinationModeUtils';
 
@@ -54,6 +55,7 @@ import { saveViewMode } from '../../../../utils/coordinationModeUtils';
  * @param {boolean} isOwner - 현재 사용자가 방장인지 여부.
  * @param {number} scheduleStartHour - 시간표 기본 시작 시간.
  * @param {number} scheduleEndHour - 시간표 기본 종료 시간.
+ * @param {function} [onOpenDayRoute] - (방장) 동선 최적화 모달을 여는 함수. 없으면 버튼을 숨김.
  * @returns {JSX.Element} 시간표 컨트롤 UI JSX 엘리먼트.
  */
 const TimetableControls = ({
@@ -70,7 +72,8 @@ const TimetableControls = ({
   currentRoom,
   isOwner,
   scheduleStartHour,
-  scheduleEndHour
+  scheduleEndHour,
+  onOpenDayRoute
 }) => {
   return (
     <div className="flex justify-between items-center mb-4">
@@ -119,6 +122,16 @@ const TimetableControls = ({
             </div>
           </div>
         )}
+        {isOwner && onOpenDayRoute && (
+          <button
+            onClick={onOpenDayRoute}
+            disabled={!currentRoom?.timeSlots || currentRoom.timeSlots.length === 0}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Route size={16} className="mr-1 inline" />
+            동선 최적화
+          </button>
+        )}
         <button
           onClick={() => setShowFullDay(!showFullDay)}
           className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
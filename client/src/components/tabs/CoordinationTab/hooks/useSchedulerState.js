@@ -57,6 +57,8 @@ import { getCurrentWeekMonday } from '../../../../utils/coordinationUtils';
  * @returns {Function} returns.setUnassignedMembersInfo - 미배정 멤버 정보 설정 함수
  * @returns {Array} returns.conflictSuggestions - 충돌 제안사항 목록
  * @returns {Function} returns.setConflictSuggestions - 충돌 제안사항 설정 함수
+ * @returns {Object|null} returns.scheduleTrace - 배정 과정 기록 (explain 모드)
+ * @returns {Function} returns.setScheduleTrace - 배정 과정 기록 설정 함수
  * @returns {boolean} returns.showDeleteConfirm - 삭제 확인 모달 표시 여부
  * @returns {Function} returns.setShowDeleteConfirm - 삭제 확인 모달 상태 설정 함수
  * @returns {Function} returns.handleDeleteAllSlots - 전체 슬롯 삭제 핸들러
@@ -83,6 +85,7 @@ export const useSchedulerState = () => {
   const [unassignedMembersInfo, setUnassignedMembersInfo] = useState(null);
   const [conflictSuggestions, setConflictSuggestions] = useState([]);
   const [warnings, setWarnings] = useState([]);
+  const [scheduleTrace, setScheduleTrace] = useState(null); // explain 모드 배정 과정 기록
 
   // Delete confirmation modal state
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
@@ -109,6 +112,8 @@ export const useSchedulerState = () => {
     setConflictSuggestions,
     warnings,
     setWarnings,
+    scheduleTrace,
+    setScheduleTrace,
     showDeleteConfirm,
     setShowDeleteConfirm,
     handleDeleteAllSlots
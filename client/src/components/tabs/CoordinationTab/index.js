@@ -5,7 +5,7 @@
  */
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { flushSync } from 'react-dom';
-import { io } from 'socket.io-client';
+import { createSocket } from '../../../utils/socketClient';
 import { auth } from '../../../config/firebaseConfig';
 import { useCoordination } from '../../../hooks/useCoordination';
 import { useCoordinationModals } from '../../../hooks/useCoordinationModals';
@@ -14,7 +14,7 @@ import { coordinationService } from '../../../services/coordinationService';
 
 // Utils
 import { translateEnglishDays } from '../../../utils';
-import { isRoomOwner, calculateEndTime, days, getHourFromSettings } from '../../../utils/coordinationUtils';
+import { canManageRoom, calculateEndTime, days, getHourFromSettings, INVITE_LINK_PARAM, PENDING_INVITE_STORAGE_KEY } from '../../../utils/coordinationUtils';
 import { getViewMode } from '../../../utils/coordinationModeUtils';
 import {
   handleResetCarryOverTimes,
@@ -30,6 +30,8 @@ import CoordinationDetailGrid from '../../calendar/CoordinationDetailGrid';
 import MemberList from '../../coordination/MemberList';
 import AutoSchedulerPanel from '../../scheduler/AutoSchedulerPanel';
 import AutoConfirmBanner from '../../coordination/AutoConfirmBanner';
+import SlotOfferBanner from '../../coordination/SlotOfferBanner';
+import AiSchedulingResults from '../../coordination/AiSchedulingResults';
 
 // Modals
 import RoomCreationModal from '../../modals/RoomCreationModal';
@@ -42,6 +44,7 @@ import NotificationModal from '../../modals/NotificationModal';
 import MemberStatsModal from '../../modals/MemberStatsModal';
 import MemberScheduleModal from '../../modals/MemberScheduleModal';
 import OptimalTimeModal from '../../modals/OptimalTimeModal';
+import DayRouteModal from '../../modals/DayRouteModal';
 
 import ChainExchangeRequestModal from '../../coordination/ChainExchangeRequestModal';
 
@@ -91,12 +94,13 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
   const [showChainExchangeModal, setShowChainExchangeModal] = useState(false);
   const [selectedChainRequest, setSelectedChainRequest] = useState(null);
   const [showLeaveConfirm, setShowLeaveConfirm] = useState(false);
+  const [inviteLinkToken, setInviteLinkToken] = useState(null);
   const [showClearHistoryConfirm, setShowClearHistoryConfirm] = useState(false);
 
   const {
     myRooms, currentRoom, isLoading, error,
     setCurrentRoom, fetchMyRooms, fetchRoomDetails,
-    createRoom, joinRoom, updateRoom, deleteRoom,
+    createRoom, joinRoom, acceptInvite, updateRoom, deleteRoom,
     submitTimeSlots, assignTimeSlot, removeTimeSlot,
     createRequest, cancelRequest, handleRequest,
     setAutoConfirmDuration
@@ -121,7 +125,7 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
   const {
     isScheduling, setIsScheduling, scheduleError, setScheduleError,
     unassignedMembersInfo, setUnassignedMembersInfo, conflictSuggestions, setConflictSuggestions,
-    warnings, setWarnings,
+    warnings, setWarnings, scheduleTrace, setScheduleTrace,
     showDeleteConfirm, setShowDeleteConfirm
   } = useSchedulerState();
 
@@ -160,7 +164,24 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
     };
   }, [openCreateRoomModal, openJoinRoomModal]);
 
-  const isOwner = currentRoom && user ? isRoomOwner(user, currentRoom) : false;
+  // 초대 링크(/groups?invite=<token>)로 들어오면 참여 모달을 바로 열기 (로그인 전에 연 링크는 sessionStorage에 보관됨)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get(INVITE_LINK_PARAM) || sessionStorage.getItem(PENDING_INVITE_STORAGE_KEY);
+    if (!token) return;
+
+    sessionStorage.removeItem(PENDING_INVITE_STORAGE_KEY);
+    if (params.has(INVITE_LINK_PARAM)) {
+      params.delete(INVITE_LINK_PARAM);
+      const query = params.toString();
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+    setInviteLinkToken(token);
+    openJoinRoomModal();
+  }, [openJoinRoomModal]);
+
+  // 공동 방장도 방장과 같은 관리 화면(자동배정, 이동모드, 읽기 전용 시간표)을 사용
+  const isOwner = currentRoom && user ? canManageRoom(user, currentRoom) : false;
 
   const {
     travelMode,
@@ -210,6 +231,7 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
   const [showWalkingErrorModal, setShowWalkingErrorModal] = useState(false);
   const [walkingErrorMessage, setWalkingErrorMessage] = useState('');
   const [showOptimalTimeModal, setShowOptimalTimeModal] = useState(false);
+  const [showDayRouteModal, setShowDayRouteModal] = useState(false);
 
   const scheduleStartHour = getHourFromSettings(currentRoom?.settings?.scheduleStart || currentRoom?.settings?.startHour, '9');
   const scheduleEndHour = getHourFromSettings(currentRoom?.settings?.scheduleEnd || currentRoom?.settings?.endHour, '18');
@@ -223,16 +245,22 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
 
   useEffect(() => {
     if (!currentRoom?._id) return;
-    const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
-    const socket = io(API_BASE_URL, { transports: ['websocket', 'polling'] });
+    const socket = createSocket();
     socket.emit('join-room', currentRoom._id);
     socket.on('schedule-confirmed', async () => {
       await fetchRoomDetails(currentRoom._id);
       window.dispatchEvent(new CustomEvent('refreshUser'));
       showAlert('일정이 확정되었습니다.', 'success');
     });
+    // 방장에게 강퇴되면 서버가 방 채널에서 제거하고 알림
+    socket.on('room-access-revoked', ({ roomId, reason }) => {
+      if (roomId !== currentRoom._id || reason !== 'kicked') return;
+      showAlert('방장에 의해 방에서 내보내졌습니다.', 'warning');
+      setCurrentRoom(null);
+      fetchMyRooms();
+    });
     return () => { socket.disconnect(); };
-  }, [currentRoom?._id, fetchRoomDetails, showAlert]);
+  }, [currentRoom?._id, fetchRoomDetails, showAlert, setCurrentRoom, fetchMyRooms]);
 
   // CustomEvent 리스너: 채팅에서 일정 확정 시 새로고침
   useEffect(() => {
@@ -330,7 +358,10 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
   const handleRequestWithUpdateCallback = createHandleRequestWithUpdate(handleRequest, currentRoom, fetchRoomDetails, loadReceivedRequests, loadSentRequests, loadRoomExchangeCounts, onRefreshExchangeCount, showAlert);
 
   const handleCreateRoom = async (d) => { await createRoom(d); closeCreateRoomModal(); fetchMyRooms(); };
-  const handleJoinRoom = async (c) => { await joinRoom(c); closeJoinRoomModal(); fetchMyRooms(); };
+  // 승인 대기({ pending: true })면 모달이 안내를 띄운 뒤 닫으므로 여기서는 닫지 않음
+  const handleJoinRoom = async (c) => { const r = await joinRoom(c); if (!r?.pending) { closeJoinRoomModal(); fetchMyRooms(); } return r; };
+  const handleAcceptInvite = async (t) => { const r = await acceptInvite(t); if (!r?.pending) { closeJoinRoomModal(); fetchMyRooms(); } return r; };
+  const handleCloseJoinModal = () => { setInviteLinkToken(null); closeJoinRoomModal(); };
   const handleRoomClick = async (r) => {
     if (r._id) { await fetchRoomDetails(r._id); window.history.pushState({ tab: 'coordination', roomState: 'inRoom', roomId: r._id }, '', '#coordination-room'); }
     else { setCurrentRoom(r); }
@@ -384,7 +415,7 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
     setShowClearHistoryConfirm(false);
   }, [currentRoom, setCurrentRoom, showAlert]);
 
-  const handleRunAutoScheduleCallback = async () => { await handleRunAutoSchedule(currentRoom, currentWeekStartDate, user, scheduleOptions, setIsScheduling, setScheduleError, setUnassignedMembersInfo, setConflictSuggestions, setWarnings, setCurrentRoom, showAlert, viewMode, travelMode); };
+  const handleRunAutoScheduleCallback = async () => { await handleRunAutoSchedule(currentRoom, currentWeekStartDate, user, scheduleOptions, setIsScheduling, setScheduleError, setUnassignedMembersInfo, setConflictSuggestions, setWarnings, setCurrentRoom, showAlert, viewMode, travelMode, setScheduleTrace); };
   const handleConfirmSchedule = async () => {
     if (isConfirmingRef.current) return;
     isConfirmingRef.current = true;
@@ -430,7 +461,7 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
         <RoomCreationModal onClose={closeCreateRoomModal} onCreateRoom={handleCreateRoom} ownerProfileSchedule={user ? { defaultSchedule: user.defaultSchedule, scheduleExceptions: user.scheduleExceptions, personalTimes: user.personalTimes } : null} />
       )}
       {showJoinRoomModal && (
-        <RoomJoinModal onClose={closeJoinRoomModal} onJoinRoom={handleJoinRoom} />
+        <RoomJoinModal onClose={handleCloseJoinModal} onJoinRoom={handleJoinRoom} onAcceptInvite={handleAcceptInvite} initialInviteToken={inviteLinkToken} />
       )}
       <CustomAlertModal isOpen={customAlert.show} onClose={closeAlert} title="알림" message={customAlert.message} type={customAlert.type || "warning"} showCancel={false} />
       <MemberStatsModal isOpen={memberStatsModal.isOpen} onClose={() => setMemberStatsModal({ isOpen: false, member: null })} member={memberStatsModal.member} isOwner={isOwner} currentRoom={currentRoom} />
@@ -442,6 +473,7 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
       <ChainExchangeRequestModal isOpen={showChainExchangeModal} onClose={() => setShowChainExchangeModal(false)} request={selectedChainRequest} roomId={selectedChainRequest?.roomId} onRequestHandled={handleChainExchangeRequestHandled} />
       <CustomAlertModal isOpen={showWalkingErrorModal} onClose={handleCloseWalkingErrorModal} title="도보 모드 사용 불가" message={walkingErrorMessage} type="warning" showCancel={false} />
       <OptimalTimeModal isOpen={showOptimalTimeModal} onClose={() => setShowOptimalTimeModal(false)} roomId={currentRoom?._id} />
+      <DayRouteModal isOpen={showDayRouteModal} onClose={() => setShowDayRouteModal(false)} currentRoom={currentRoom} initialDate={selectedDate} onRequested={() => fetchRoomDetails(currentRoom._id)} />
       <CustomAlertModal isOpen={showLeaveConfirm} onClose={() => setShowLeaveConfirm(false)} onConfirm={executeLeaveRoom} title="방 나가기" message="정말로 이 방을 나가시겠습니까? 배정된 모든 시간이 삭제됩니다." type="warning" showCancel={true} confirmText="나가기" />
       <CustomAlertModal isOpen={showClearHistoryConfirm} onClose={() => setShowClearHistoryConfirm(false)} onConfirm={executeClearAllCarryOverHistories} title="초기화" message="초기화하시겠습니까?" type="danger" showCancel={true} />
     </>
@@ -519,9 +551,11 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
                 <ScheduleErrorAlert scheduleError={scheduleError} />
                 <UnassignedMembersAlert unassignedMembersInfo={unassignedMembersInfo} />
                 <ConflictSuggestionsAlert conflictSuggestions={conflictSuggestions} />
+                {scheduleTrace && <AiSchedulingResults results={{ trace: scheduleTrace }} onClose={() => setScheduleTrace(null)} />}
                 {currentRoom?.autoConfirmAt && ( <AutoConfirmBanner key={new Date(currentRoom.autoConfirmAt).getTime()} autoConfirmAt={currentRoom.autoConfirmAt} isOwner={isOwner} /> )}
+                {!isOwner && <SlotOfferBanner roomId={currentRoom._id} onClaimed={() => fetchRoomDetails(currentRoom._id)} showAlert={showAlert} />}
                 <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-2 overflow-hidden">
-                  <TimetableControls viewMode={viewMode} setViewMode={setViewMode} showFullDay={showFullDay} setShowFullDay={setShowFullDay} showMerged={showMerged} setShowMerged={setShowMerged} travelMode={travelMode} onTravelModeChange={handleTravelModeChange} onConfirmTravelMode={handleConfirmTravelMode} isTravelCalculating={isTravelCalculating} currentRoom={currentRoom} isOwner={isOwner} scheduleStartHour={scheduleStartHour} scheduleEndHour={scheduleEndHour} isMobile={true} />
+                  <TimetableControls viewMode={viewMode} setViewMode={setViewMode} showFullDay={showFullDay} setShowFullDay={setShowFullDay} showMerged={showMerged} setShowMerged={setShowMerged} travelMode={travelMode} onTravelModeChange={handleTravelModeChange} onConfirmTravelMode={handleConfirmTravelMode} isTravelCalculating={isTravelCalculating} currentRoom={currentRoom} isOwner={isOwner} scheduleStartHour={scheduleStartHour} scheduleEndHour={scheduleEndHour} onOpenDayRoute={() => setShowDayRouteModal(true)} isMobile={true} />
                   <TravelErrorAlert travelError={travelError} />
                   {viewMode === 'week' ? (
                     <TimetableGrid key={`week-${effectiveShowFullDay ? 'full' : 'basic'}-${showMerged ? 'merged' : 'split'}-${travelMode}-${renderKey}`} roomId={currentRoom._id} roomSettings={{ ...currentRoom.settings, startHour: effectiveShowFullDay ? 0 : scheduleStartHour, endHour: effectiveShowFullDay ? 24 : scheduleEndHour }} timeSlots={scheduleData.timeSlots} travelSlots={scheduleData.travelSlots || []} travelMode={scheduleData.travelMode} myTravelDuration={scheduleData.myTravelDuration} members={currentRoom.members || []} roomData={currentRoom} currentUser={user} isRoomOwner={isOwner} selectedSlots={[]} onSlotSelect={null} onWeekChange={handleWeekChange} ownerOriginalSchedule={ownerScheduleCache} initialStartDate={currentWeekStartDate} calculateEndTime={calculateEndTime} readOnly={isOwner} showMerged={showMerged} onOpenChangeRequestModal={openChangeRequestModal} isMobile={true} />
@@ -577,9 +611,11 @@ const CoordinationTab = ({ user, onExchangeRequestCountChange, hideHeader = fals
             <ScheduleErrorAlert scheduleError={scheduleError} />
             <UnassignedMembersAlert unassignedMembersInfo={unassignedMembersInfo} />
             <ConflictSuggestionsAlert conflictSuggestions={conflictSuggestions} />
+            {scheduleTrace && <AiSchedulingResults results={{ trace: scheduleTrace }} onClose={() => setScheduleTrace(null)} />}
             {currentRoom?.autoConfirmAt && ( <AutoConfirmBanner key={new Date(currentRoom.autoConfirmAt).getTime()} autoConfirmAt={currentRoom.autoConfirmAt} isOwner={isOwner} /> )}
+            {!isOwner && <SlotOfferBanner roomId={currentRoom._id} onClaimed={() => fetchRoomDetails(currentRoom._id)} showAlert={showAlert} />}
             <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-3 sm:p-4 w-full" style={{height: 'calc(100vh - 200px)', overflow: 'auto'}}>
-              <TimetableControls viewMode={viewMode} setViewMode={setViewMode} showFullDay={showFullDay} setShowFullDay={setShowFullDay} showMerged={showMerged} setShowMerged={setShowMerged} travelMode={travelMode} onTravelModeChange={handleTravelModeChange} onConfirmTravelMode={handleConfirmTravelMode} isTravelCalculating={isTravelCalculating} currentRoom={currentRoom} isOwner={isOwner} scheduleStartHour={scheduleStartHour} scheduleEndHour={scheduleEndHour} />
+              <TimetableControls viewMode={viewMode} setViewMode={setViewMode} showFullDay={showFullDay} setShowFullDay={setShowFullDay} showMerged={showMerged} setShowMerged={setShowMerged} travelMode={travelMode} onTravelModeChange={handleTravelModeChange} onConfirmTravelMode={handleConfirmTravelMode} isTravelCalculating={isTravelCalculating} currentRoom={currentRoom} isOwner={isOwner} scheduleStartHour={scheduleStartHour} scheduleEndHour={scheduleEndHour} onOpenDayRoute={() => setShowDayRouteModal(true)} />
               <TravelErrorAlert travelError={travelError} />
               {viewMode === 'week' ? (
                 <TimetableGrid key={`week-${effectiveShowFullDay ? 'full' : 'basic'}-${showMerged ? 'merged' : 'split'}-${travelMode}-${renderKey}`} roomId={currentRoom._id} roomSettings={{ ...currentRoom.settings, startHour: effectiveShowFullDay ? 0 : scheduleStartHour, endHour: effectiveShowFullDay ? 24 : scheduleEndHour }} timeSlots={scheduleData.timeSlots} travelSlots={scheduleData.travelSlots || []} travelMode={scheduleData.travelMode} myTravelDuration={scheduleData.myTravelDuration} members={currentRoom.members || []} roomData={currentRoom} currentUser={user} isRoomOwner={isOwner} selectedSlots={[]} onSlotSelect={null} onWeekChange={handleWeekChange} ownerOriginalSchedule={ownerScheduleCache} initialStartDate={currentWeekStartDate} calculateEndTime={calculateEndTime} readOnly={isOwner} showMerged={showMerged} onOpenChangeRequestModal={openChangeRequestModal} isMobile={true} />
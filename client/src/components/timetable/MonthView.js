@@ -18,6 +18,7 @@
  *    - ../tabs/CoordinationTab/index.js - 이 컴포넌트를 렌더링하여 월간 뷰 제공
  *    - ../../utils/dateUtils.js - toLocalDateString 함수 사용
  *    - ../../utils/timetableHelpers.js - mergeConsecutiveTimeSlots 함수 사용
+ *    - ../../utils/timezoneUtils.js - 방 슬롯을 조회자 시간대로 변환
  *    - ./WeekView.js - 주간 뷰와 함께 사용 (뷰 모드 전환)
  *
  * 💡 UI 위치:
@@ -43,10 +44,11 @@
  * ===================================================================================================
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 import { toLocalDateString } from '../../utils/dateUtils';
 import { mergeConsecutiveTimeSlots } from '../../utils/timetableHelpers';
+import { getViewerTimezone, getRoomTimezone, convertSlotsToZone } from '../../utils/timezoneUtils';
 
 /**
  * MonthView - 타임테이블 월간 달력 뷰 컴포넌트
@@ -65,9 +67,9 @@ import { mergeConsecutiveTimeSlots } from '../../utils/timetableHelpers';
  *   - 구조: [{ user: { _id, firstName, lastName, color, ... }, ... }]
  *   - user.color: 멤버별 색상 (hex 코드)
  *
- * @param {Object} props.roomData - 방 정보 (현재 미사용)
+ * @param {Object} props.roomData - 방 정보 (settings.timezone: 슬롯 기준 시간대)
  *
- * @param {Object} props.currentUser - 현재 사용자 정보 (현재 미사용)
+ * @param {Object} props.currentUser - 현재 사용자 정보 (표시 시간대 결정)
  *
  * @param {boolean} props.isRoomOwner - 방장 여부 (현재 미사용)
  *
@@ -107,7 +109,7 @@ import { mergeConsecutiveTimeSlots } from '../../utils/timetableHelpers';
  * - 슬롯 색상: 멤버 색상 + CC (80% 투명도)
  */
 const MonthView = ({
-  timeSlots,
+  timeSlots: roomTimeSlots,
   members,
   roomData,
   currentUser,
@@ -116,6 +118,14 @@ const MonthView = ({
   initialStartDate,
   showMerged
 }) => {
+  // 방 시간대 슬롯을 조회자 시간대로 변환 (같은 시간대면 그대로)
+  const roomTimezone = getRoomTimezone(roomData?.settings);
+  const viewerTimezone = getViewerTimezone(currentUser);
+  const timeSlots = useMemo(
+    () => convertSlotsToZone(roomTimeSlots, roomTimezone, viewerTimezone),
+    [roomTimeSlots, roomTimezone, viewerTimezone]
+  );
+
   // ===================================================================================================
   // 📌 섹션 1: State 관리
   // ===================================================================================================
@@ -354,7 +364,8 @@ const MonthView = ({
     const dateStr = toLocalDateString(date);
     return timeSlots.filter(slot => {
       if (slot.date) {
-        const slotDate = toLocalDateString(new Date(slot.date));
+        // 슬롯 date는 UTC 자정 기준 날짜
+        const slotDate = new Date(slot.date).toISOString().split('T')[0];
         return slotDate === dateStr;
       }
       return false;
@@ -73,6 +73,7 @@ import React from 'react';
  *       name: 멤버 이름,
  *       color: 멤버 색상 (hex),
  *       subject: 과목명 (이동 시간인 경우),
+ *       resourceName: 사용하는 강의실/장비 이름 (자원 슬롯인 경우),
  *       isTravel: 이동 시간 여부,
  *       travelInfo: { durationText: "15분" },
  *       isMergedSlot: 병합된 슬롯 여부,
@@ -407,8 +408,8 @@ const TimeSlot = ({
               }}
               title={ownerInfo.isTravel && ownerInfo.travelInfo ? `${ownerInfo.travelInfo.from || ''} → ${ownerInfo.travelInfo.to || ''} (${ownerInfo.travelInfo.durationText})` :
                 (showMerged && ownerInfo.isMergedSlot && ownerInfo.mergedDuration ?
-                  `${ownerInfo.subject || ownerInfo.name} - 병합됨 (${ownerInfo.mergedDuration}분)` :
-                  ownerInfo.subject || ownerInfo.name)
+                  `${ownerInfo.subject || ownerInfo.name}${ownerInfo.resourceName ? ` · ${ownerInfo.resourceName}` : ''} - 병합됨 (${ownerInfo.mergedDuration}분)` :
+                  `${ownerInfo.subject || ownerInfo.name}${ownerInfo.resourceName ? ` · ${ownerInfo.resourceName}` : ''}`)
               }
             >
               {ownerInfo.isTravel ? (
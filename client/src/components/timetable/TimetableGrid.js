@@ -23,6 +23,7 @@
  *    - ../../utils/timetableConstants.js - 상수 정의
  *    - ../../utils/timetableHelpers.js - 헬퍼 함수
  *    - ../../utils/validationUtils.js - 검증 함수
+ *    - ../../utils/timezoneUtils.js - 방 시간대 ↔ 조회자 시간대 변환
  *
  * 💡 UI 위치:
  *    - 탭: 조율 탭 (CoordinationTab) 또는 시간표 관리
@@ -45,6 +46,7 @@
  *    - 방장은 교환 요청 불가
  *    - 중복 요청 방지 (REQUEST_DEBOUNCE_TIME)
  *    - 슬롯 소유자 확인 후 삭제/교환 가능
+ *    - 슬롯은 조회자 시간대로 표시하고, 요청/삭제 데이터는 방 시간대로 되돌려 전달
  *
  * ===================================================================================================
  */
@@ -53,6 +55,7 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import CustomAlertModal from '../modals/CustomAlertModal';
 import TimetableControls from './TimetableControls';
 import WeekView from './WeekView';
+import { getViewerTimezone, getRoomTimezone, convertSlotsToZone, convertSlotFieldsToZone } from '../../utils/timezoneUtils';
 
 // ===================================================================================================
 // 📌 섹션 1: 유틸리티 임포트
@@ -174,19 +177,19 @@ import {
 const TimetableGrid = ({
   roomId,
   roomSettings,
-  timeSlots,
-  travelSlots = [],
+  timeSlots: roomTimeSlots,
+  travelSlots: roomTravelSlots = [],
   travelMode, // Add travelMode to props
   myTravelDuration = 0, // 🆕 나의 이동시간 (조원용)
   members = [],
   roomData,
-  onSlotSelect,
+  onSlotSelect: onRoomSlotSelect,
   currentUser,
   isRoomOwner,
-  onRequestSlot,
-  onRemoveSlot,
+  onRequestSlot: onRoomRequestSlot,
+  onRemoveSlot: onRoomRemoveSlot,
   onDirectSubmit,
-  selectedSlots = [],
+  selectedSlots: roomSelectedSlots = [],
   events,
   proposals,
   calculateEndTime,
@@ -194,8 +197,64 @@ const TimetableGrid = ({
   initialStartDate, // New prop to set the initial week to display
   showMerged = true, // New prop for merged view
   ownerOriginalSchedule = null, // 방장의 원본 시간표 데이터
-  onOpenChangeRequestModal // New prop to open change request modal
+  onOpenChangeRequestModal: onRoomOpenChangeRequestModal // New prop to open change request modal
 }) => {
+  // ===================================================================================================
+  // 📌 섹션 2-1: 시간대 변환
+  // ===================================================================================================
+  //
+  // 방 슬롯은 방 시간대(roomSettings.timezone) 기준으로 저장됩니다.
+  // 그리드는 조회자 시간대로 표시하므로, 들어오는 슬롯은 조회자 시간대로 변환하고
+  // 부모로 올려보내는 삭제/선택/요청 데이터는 다시 방 시간대로 변환합니다. (같은 시간대면 그대로)
+  //
+  // ===================================================================================================
+
+  const viewerTimezone = getViewerTimezone(currentUser);
+  const roomTimezone = getRoomTimezone(roomSettings);
+  const isOtherTimezone = viewerTimezone !== roomTimezone;
+
+  const timeSlots = useMemo(
+    () => convertSlotsToZone(roomTimeSlots, roomTimezone, viewerTimezone),
+    [roomTimeSlots, roomTimezone, viewerTimezone]
+  );
+  const travelSlots = useMemo(
+    () => convertSlotsToZone(roomTravelSlots, roomTimezone, viewerTimezone),
+    [roomTravelSlots, roomTimezone, viewerTimezone]
+  );
+  const selectedSlots = useMemo(
+    () => convertSlotsToZone(roomSelectedSlots, roomTimezone, viewerTimezone),
+    [roomSelectedSlots, roomTimezone, viewerTimezone]
+  );
+
+  const toRoomZone = useCallback(
+    (fields) => convertSlotFieldsToZone(fields, viewerTimezone, roomTimezone),
+    [viewerTimezone, roomTimezone]
+  );
+
+  const onRemoveSlot = useMemo(
+    () => onRoomRemoveSlot && ((slot) => onRoomRemoveSlot(toRoomZone(slot))),
+    [onRoomRemoveSlot, toRoomZone]
+  );
+  const onSlotSelect = useMemo(
+    () => onRoomSlotSelect && ((slot) => onRoomSlotSelect(toRoomZone(slot))),
+    [onRoomSlotSelect, toRoomZone]
+  );
+  const onOpenChangeRequestModal = useMemo(
+    () => onRoomOpenChangeRequestModal && ((slotData) => onRoomOpenChangeRequestModal({
+      ...toRoomZone(slotData),
+      targetSlot: toRoomZone(slotData.targetSlot)
+    })),
+    [onRoomOpenChangeRequestModal, toRoomZone]
+  );
+  const onRequestSlot = useMemo(
+    () => onRoomRequestSlot && ((requestData) => onRoomRequestSlot({
+      ...requestData,
+      timeSlot: toRoomZone(requestData.timeSlot),
+      ...(requestData.targetSlot && { targetSlot: toRoomZone(requestData.targetSlot) })
+    })),
+    [onRoomRequestSlot, toRoomZone]
+  );
+
   // ===================================================================================================
   // 📌 섹션 3: 상태 초기화
   // ===================================================================================================
@@ -566,6 +625,12 @@ const TimetableGrid = ({
       travelSlots  // 🆕 travelSlots 추가
     );
 
+    // 자원을 쓰는 슬롯은 자원 이름을 함께 표시 (roomSettings.resources)
+    if (baseOwnerInfo?.resourceId) {
+      const resource = (roomSettings?.resources || []).find(r => r._id?.toString() === baseOwnerInfo.resourceId.toString());
+      if (resource) baseOwnerInfo.resourceName = resource.name;
+    }
+
     // 병합 모드에서 병합된 슬롯인지 확인
     if (showMerged && baseOwnerInfo) {
       const mergedSlot = mergedTimeSlots.find(slot => {
@@ -587,7 +652,7 @@ const TimetableGrid = ({
     }
 
     return baseOwnerInfo;
-  }, [timeSlots, mergedTimeSlots, members, currentUser, isRoomOwner, showMerged, travelSlots]);  // 🆕 travelSlots 의존성 추가
+  }, [timeSlots, mergedTimeSlots, members, currentUser, isRoomOwner, showMerged, travelSlots, roomSettings]);  // 🆕 travelSlots 의존성 추가
 
   /**
    * isSlotSelected - 슬롯 선택 여부 확인
@@ -1112,6 +1177,11 @@ const TimetableGrid = ({
        */}
       {/* Header Row (Days) */}
       <TimetableControls weekDates={weekDates} days={days} />
+      {isOtherTimezone && (
+        <div className="px-3 py-1 text-xs text-gray-500 bg-gray-50 border-b border-gray-200">
+          {viewerTimezone} 기준으로 표시됩니다 (방 시간대: {roomTimezone})
+        </div>
+      )}
 
       {/* ========== 시간 행들 (그리드 본문) ========== */}
       {/*
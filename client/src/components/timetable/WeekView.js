@@ -814,7 +814,7 @@ const WeekView = ({
           }
 
         } else if (slotType === 'owner') {
-          // owner 타입: 사용자 ID, isTravel, subject가 모두 같아야 병합
+          // owner 타입: 사용자 ID, isTravel, subject, 자원이 모두 같아야 병합
           const getUserId = (s) => s?.actualUserId || s?.userId;
           const currentUserId = getUserId(currentBlock.data);
           const newUserId = getUserId(slotData);
@@ -827,7 +827,8 @@ const WeekView = ({
 
           isSameType = currentUserId && newUserId && currentUserId === newUserId &&
                        currentIsTravel === newIsTravel &&
-                       currentSubject === newSubject;
+                       currentSubject === newSubject &&
+                       currentBlock.data?.resourceId === slotData?.resourceId;
 
         } else if (slotType === 'selected') {
           isSameType = true;
@@ -1016,7 +1017,7 @@ const WeekView = ({
                           backgroundColor: block.data?.isTravel ? 'transparent' : `${block.data?.color}CC`,
                           fontSize: '25px'
                         }}
-                        title={`${block.data?.subject || block.data?.name} (${block.startTime}~${block.actualEndTime})`}
+                        title={`${block.data?.subject || block.data?.name}${block.data?.resourceName ? ` · ${block.data.resourceName}` : ''} (${block.startTime}~${block.actualEndTime})`}
                       >
                         <div className="text-xs leading-tight" style={{ fontSize: '25px' }}>
                           {/* 🆕 이동시간일 경우 텍스트 표시 변경 */}
@@ -7,7 +7,7 @@
  *
  * 🎯 주요 기능:
  *    - `useChat` 훅의 강화된 버전으로, 선호시간, 반복 선호시간, 개인시간 추가 기능을 제공합니다.
- *    - Gemini LLM을 활용한 자연어 이해를 개선하여 복합적인 사용자 명령을 처리합니다.
+ *    - 서버 AI(LLM)를 활용한 자연어 이해를 개선하여 복합적인 사용자 명령을 처리합니다.
  *    - 반복 패턴 인식 및 처리를 강화하여 유연한 일정 관리를 지원합니다.
  *    - 기존 `useChat`의 모든 기능(일정 추가/삭제/수정, 반복 일정, 범위 삭제, Coordination 시간 변경)을 포함합니다.
  *
@@ -32,7 +32,7 @@
  *
  * 📝 참고사항:
  *    - 이 훅은 `useChat` 훅과 유사하지만, 더 많은 기능을 제공하며 `processEnhancedAIPrompt`를 통해
- *      Gemini LLM과 직접적으로 상호작용하여 사용자 발화를 해석하고 처리합니다.
+ *      서버 AI(LLM)와 상호작용하여 사용자 발화를 해석하고 처리합니다.
  *    - 개발 및 테스트 시 콘솔 로그 (`[강화 채팅]`)를 통해 내부 동작을 추적할 수 있습니다.
  *
  * ===================================================================================================
@@ -58,7 +58,6 @@ import { useEventEdit } from './hooks/useEventEdit';
 import {
   createEnhancedIntentRouter,
   processEnhancedAIPrompt,
-  validateApiKey,
   handleError
 } from './handlers/enhancedIntentHandlers';
 
@@ -124,8 +123,8 @@ export const useChatEnhanced = (isLoggedIn, setEventAddedKey, eventActions) => {
    * @note
    * - `context.context === 'coordination'`인 경우, `handleCoordinationExchange`를 통해 조율 관련 로직을 우선 처리합니다.
    * - `message`가 특정 `intent`와 `eventId`를 포함하는 객체인 경우, AI를 거치지 않고 `handleDirectDeletion`으로 직접 삭제를 시도합니다.
-   * - 로그인 상태 및 `REACT_APP_MY_GOOGLE_KEY` 환경 변수의 유효성을 검증하여 권한 및 기능 제한을 관리합니다.
-   * - `processEnhancedAIPrompt`를 통해 Gemini LLM 모델과 통신하여 사용자 발화의 인텐트를 파악합니다.
+   * - 로그인 상태를 검증하여 권한 및 기능 제한을 관리합니다.
+   * - `processEnhancedAIPrompt`를 통해 서버 AI와 통신하여 사용자 발화의 인텐트를 파악합니다.
    * - `createEnhancedIntentRouter`를 사용하여 AI가 파악한 인텐트에 따라 적절한 강화된 훅(예: `handlePreferredTimeAdd`, `handlePersonalTimeAdd`)을 호출합니다.
    * - `console.log`를 통해 요청 및 AI 응답, 최종 결과를 추적할 수 있습니다.
    */
@@ -142,20 +141,14 @@ export const useChatEnhanced = (isLoggedIn, setEventAddedKey, eventActions) => {
       return await handleDirectDeletion(message, context);
     }
 
-    // ===== 로그인 및 API 키 검증 =====
+    // ===== 로그인 검증 =====
     if (!isLoggedIn) {
       return { success: false, message: '로그인이 필요합니다.' };
     }
 
-    const API_KEY = process.env.REACT_APP_MY_GOOGLE_KEY;
-    const apiKeyError = validateApiKey(API_KEY);
-    if (apiKeyError) {
-      return apiKeyError;
-    }
-
     try {
       // ===== 강화된 AI 프롬프트 처리 =====
-      const chatResponse = await processEnhancedAIPrompt(message, context, API_KEY);
+      const chatResponse = await processEnhancedAIPrompt(message, context);
 
       console.log('[강화 채팅] AI 응답:', chatResponse);
 
@@ -10,8 +10,7 @@
  *      미리 정의된 핸들러 함수들을 동적으로 호출합니다. 선호시간, 반복 선호시간, 개인시간 추가 등 강화된 인텐트를 처리합니다.
  *    - `routeSingleAction`: 단일 액션을 처리하기 위해 개별 인텐트별 핸들러를 호출합니다.
  *    - `processEnhancedAIPrompt`: 사용자 메시지와 컨텍스트를 기반으로 강화된 AI 프롬프트를 생성하고,
- *      Google Gemini AI 모델에 요청하여 응답을 파싱합니다.
- *    - `validateApiKey`: Gemini API 키의 유효성을 검증합니다.
+ *      서버 AI에 요청하여 응답을 파싱합니다.
  *    - `handleError`: AI 응답 처리 중 발생할 수 있는 다양한 오류를 처리합니다.
  *
  * 🔗 연결된 파일:
@@ -19,6 +18,7 @@
  *    - client/src/hooks/useChat/hooks/enhanced/*.js - 강화된 인텐트에 대한 실제 처리 로직을 담고 있는 훅 파일들.
  *    - client/src/hooks/useChat/prompts/unifiedPrompt.js - 강화된 AI 프롬프트 생성을 위한 템플릿 (`generateEnhancedPrompt`).
  *    - client/src/utils/index.js - AI 응답 파싱 유틸리티 (`parseAIResponse`).
+ *    - client/src/services/aiService.js - 서버 AI 호출 (`requestAICompletion`).
  *
  * 💡 UI 위치:
  *    - 직접적인 UI 요소는 없지만, 채팅 UI (`client/src/components/chat/ChatBox.js`)에서 사용자 메시지 처리 로직의 핵심 부분으로 사용됩니다.
@@ -27,7 +27,7 @@
  *    - 이 파일을 수정하면: 강화된 AI 채팅 기능의 사용자 의도 파악 및 응답 처리 방식이 변경됩니다.
  *    - 새로운 강화된 인텐트 추가: `routeSingleAction` 내에 해당 인텐트에 대한 `if` 문과 핸들러 호출 로직을 추가합니다.
  *    - 복합 명령어 처리 로직 개선: `createEnhancedIntentRouter` 내 `chatResponse.actions` 처리 로직을 수정합니다.
- *    - AI 모델 변경 또는 프롬프트 개선: `processEnhancedAIPrompt` 함수 내의 `model` 설정 또는 `generateEnhancedPrompt` 호출 로직을 수정합니다.
+ *    - 프롬프트 개선: `generateEnhancedPrompt` 호출 로직을 수정합니다. (AI 모델은 서버의 LLM_PROVIDER 설정으로 변경)
  *
  * 📝 참고사항:
  *    - 이 핸들러는 `useChat/index.js`의 `createIntentHandlers.js`보다 더 복합적인 인텐트와 액션 처리를 지원합니다.
@@ -37,7 +37,7 @@
  * ===================================================================================================
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { requestAICompletion } from '../../../services/aiService';
 import { parseAIResponse } from '../../../utils';
 import { generateEnhancedPrompt } from '../prompts/unifiedPrompt';
 
@@ -237,51 +237,33 @@ async function routeSingleAction(action, context, message, handlers) {
  * processEnhancedAIPrompt
  *
  * @description 사용자 메시지와 현재 컨텍스트를 기반으로 강화된 AI 프롬프트를 생성하고,
- *              Google Gemini AI 모델(`gemini-2.0-flash`)에 요청하여 응답을 받아 파싱합니다.
- *              응답 시간 제한(5초)을 두어 장시간 대기를 방지하며, LLM 응답 시간과 원본 응답을 로깅합니다.
+ *              서버 AI(`POST /api/chatbot/complete`)에 요청하여 응답을 받아 파싱합니다.
+ *              응답 시간 제한은 서버에서 적용되며, LLM 응답 시간과 원본 응답을 로깅합니다.
  * @param {string} message - 사용자가 입력한 원본 채팅 메시지.
  * @param {Object} context - 현재 애플리케이션의 상태 및 사용자 컨텍스트 (예: 로그인 여부, 활성 탭 등).
- * @param {string} apiKey - Google Gemini AI 접근을 위한 API 키.
  * @returns {Promise<Object>} AI 모델로부터 파싱된 응답 객체를 반환합니다. 이 객체는 `intent`, `actions` 및 관련 데이터 필드를 포함합니다.
- * @throws {Error} API 키가 유효하지 않거나, AI 응답 시간이 초과되거나, 응답 형식이 올바르지 않은 경우 오류를 발생시킵니다.
+ * @throws {Error} 서버 AI 호출이 실패하거나, 응답 시간이 초과되거나, 응답 형식이 올바르지 않은 경우 오류를 발생시킵니다.
  *
  * @example
  * // 사용 예시
- * const aiResponse = await processEnhancedAIPrompt("내일 오전 9시부터 11시까지 개인 시간 추가해줘", { userId: '123' }, "YOUR_GEMINI_API_KEY");
+ * const aiResponse = await processEnhancedAIPrompt("내일 오전 9시부터 11시까지 개인 시간 추가해줘", { userId: '123' });
  * console.log(aiResponse.actions[0].intent); // 'add_personal_time'
  *
  * @note
  * - `generateEnhancedPrompt` 함수는 별도의 유틸리티에서 강화된 프롬프트 템플릿을 생성합니다.
  * - `parseAIResponse` 함수는 AI의 텍스트 응답을 JSON 객체로 변환합니다.
- * - 응답 시간이 5초를 초과하면 요청이 자동으로 취소됩니다.
  * - AI 응답의 `intent` 필드가 없거나, `date`, `deleted` 필드만 있는 경우 잘못된 응답으로 간주하고 오류를 발생시킵니다.
  * - 콘솔에 `[강화 LLM 응답 시간]`과 `[강화 LLM 원본 응답]`이 로깅되어 디버깅에 유용합니다.
  */
-export const processEnhancedAIPrompt = async (message, context, apiKey) => {
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
+export const processEnhancedAIPrompt = async (message, context) => {
   // 강화된 프롬프트 사용
   const prompt = generateEnhancedPrompt(message, context);
 
   const startTime = performance.now();
-  const result = await Promise.race([
-    model.generateContent(prompt),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('응답 시간이 너무 길어 요청을 취소했습니다. 다시 시도해주세요.')), 5000)
-    )
-  ]);
+  const text = await requestAICompletion(prompt);
   const endTime = performance.now();
 
   console.log(`[강화 LLM 응답 시간] ${(endTime - startTime).toFixed(0)}ms`);
-
-  if (result instanceof Error) {
-    throw result;
-  }
-
-  const response = await result.response;
-  const text = response.text();
-
   console.log('[강화 LLM 원본 응답]', text);
 
   const chatResponse = parseAIResponse(text);
@@ -294,40 +276,6 @@ export const processEnhancedAIPrompt = async (message, context, apiKey) => {
   return chatResponse;
 };
 
-/**
- * validateApiKey
- *
- * @description Google Gemini API 키의 유효성을 검증합니다.
- *              API 키가 존재하고 최소 길이를 만족하는지 확인합니다.
- * @param {string} apiKey - 검증할 Google Gemini API 키.
- * @returns {Object|null} API 키가 유효하지 않으면 에러 메시지가 포함된 객체를 반환하고, 유효하면 `null`을 반환합니다.
- *
- * @example
- * // 사용 예시
- * const error = validateApiKey(process.env.REACT_APP_MY_GOOGLE_KEY);
- * if (error) {
- *   console.error(error.message); // "Gemini API Key가 설정되지 않았습니다." 또는 "AI 서비스 설정에 문제가 있습니다..."
- * } else {
- *   console.log("API Key 유효함.");
- * }
- *
- * @note
- * - API 키는 비어 있거나 공백만으로 구성되어서는 안 됩니다.
- * - 현재는 30자 미만의 길이를 가진 API 키를 유효하지 않다고 판단합니다.
- * - 이 함수는 클라이언트 측에서 AI 서비스 호출 전에 기본적인 유효성 검사를 수행하여 불필요한 API 요청을 방지합니다.
- */
-export const validateApiKey = (apiKey) => {
-  if (!apiKey || apiKey.trim().length === 0) {
-    return { success: false, message: 'Gemini API Key가 설정되지 않았습니다.' };
-  }
-
-  if (apiKey.length < 30) {
-    return { success: false, message: 'AI 서비스 설정에 문제가 있습니다. 관리자에게 문의해주세요.' };
-  }
-
-  return null;
-};
-
 /**
  * handleError
  *
@@ -346,15 +294,12 @@ export const validateApiKey = (apiKey) => {
  * }
  *
  * @note
- * - API 키 관련 에러, AI 응답의 `SyntaxError`, 일반적인 에러를 구분하여 처리합니다.
- * - 특정 키워드(예: 'API key not valid')를 포함하는 에러 메시지를 통해 AI 서비스 관련 문제를 감지합니다.
+ * - 서버 AI 호출 오류, AI 응답의 `SyntaxError`, 일반적인 에러를 구분하여 처리합니다.
+ * - 서버가 내려준 에러 `code`('PROVIDER_ERROR')를 통해 AI 서비스 관련 문제를 감지합니다.
  * - 이 함수는 사용자 경험을 개선하기 위해 기술적인 에러 메시지를 일반적이고 이해하기 쉬운 메시지로 변환합니다.
  */
 export const handleError = (error) => {
-  if (error.message.includes('API key not valid') ||
-      error.message.includes('API_KEY_INVALID') ||
-      error.message.includes('invalid API key') ||
-      error.message.includes('Unauthorized')) {
+  if (error.code === 'PROVIDER_ERROR' || error.message.includes('Unauthorized')) {
     return {
       success: false,
       message: 'AI 서비스에 문제가 있습니다. 관리자에게 문의해주세요.'
@@ -62,7 +62,7 @@ export const useCoordinationExchange = () => {
     }
 
     try {
-      // Parse the message using backend Gemini API
+      // Parse the message using backend AI
       const parseResponse = await fetch(`${API_BASE_URL}/api/coordination/rooms/${context.roomId}/parse-exchange-request`, {
         method: 'POST',
         headers: {
@@ -77,7 +77,7 @@ export const useCoordinationExchange = () => {
 
       if (!parseResponse.ok) {
         const errorData = await parseResponse.json();
-        return { success: false, message: errorData.error || '요청을 이해하지 못했습니다.' };
+        return { success: false, message: errorData.message || errorData.error || '요청을 이해하지 못했습니다.' };
       }
 
       const { parsed } = await parseResponse.json();
@@ -105,7 +105,13 @@ export const useCoordinationExchange = () => {
 
         if (!exchangeResponse.ok) {
           const errorData = await exchangeResponse.json();
-          return { success: false, message: errorData.message || '시간 변경에 실패했습니다.' };
+          // 409: 다른 사용자가 먼저 방을 변경함 → 최신 시간표로 새로고침
+          if (exchangeResponse.status === 409) {
+            window.dispatchEvent(new CustomEvent('coordinationUpdate', {
+              detail: { type: 'roomConflict', roomId: context.roomId }
+            }));
+          }
+          return { success: false, message: errorData.message || errorData.msg || '시간 변경에 실패했습니다.' };
         }
 
         const result = await exchangeResponse.json();
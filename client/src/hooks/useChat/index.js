@@ -11,7 +11,7 @@
  *    - 일반 탭 (profile, events, googleCalendar)에서의 일정 추가/수정/삭제 처리
  *    - 직접 삭제 요청 (AI 개입 없이) 처리
  *    - 로그인 및 API 키 유효성 검사
- *    - Gemini AI를 활용한 자연어 처리 및 인텐트 라우팅
+ *    - 서버 AI(LLM)를 활용한 자연어 처리 및 인텐트 라우팅
  *
  * 🔗 연결된 파일:
  *    - ./hooks/useCoordinationExchange.js - 일정맞추기 탭 교환 로직
@@ -67,7 +67,6 @@ import { useRecurringPreferredTimeAdd } from './hooks/enhanced/useRecurringPrefe
 import {
   createEnhancedIntentRouter,
   processEnhancedAIPrompt,
-  validateApiKey,
   handleError
 } from './handlers/enhancedIntentHandlers';
 
@@ -134,8 +133,8 @@ export const useChat = (isLoggedIn, setEventAddedKey, eventActions) => {
    * @note
    * - `context.context === 'coordination'`인 경우, `handleCoordinationExchange`를 통해 조율 관련 로직을 우선 처리합니다.
    * - `message`가 특정 `intent`와 `eventId`를 포함하는 객체인 경우, AI를 거치지 않고 `handleDirectDeletion`으로 직접 삭제를 시도합니다.
-   * - 로그인 상태 및 `REACT_APP_MY_GOOGLE_KEY` 환경 변수의 유효성을 검증하여 권한 및 기능 제한을 관리합니다.
-   * - `processEnhancedAIPrompt`를 통해 Gemini AI 모델과 통신하여 사용자 발화의 인텐트를 파악합니다.
+   * - 로그인 상태를 검증하여 권한 및 기능 제한을 관리합니다.
+   * - `processEnhancedAIPrompt`를 통해 서버 AI와 통신하여 사용자 발화의 인텐트를 파악합니다.
    * - `createEnhancedIntentRouter`를 사용하여 AI가 파악한 인텐트에 따라 적절한 훅(예: `handleEventAdd`, `handlePreferredTimeAdd`)을 호출합니다.
    */
   const handleChatMessage = useCallback(async (message, context = {}) => {
@@ -149,20 +148,14 @@ export const useChat = (isLoggedIn, setEventAddedKey, eventActions) => {
       return await handleDirectDeletion(message, context);
     }
 
-    // ===== 로그인 및 API 키 검증 =====
+    // ===== 로그인 검증 =====
     if (!isLoggedIn) {
       return { success: false, message: '로그인이 필요합니다.' };
     }
 
-    const API_KEY = process.env.REACT_APP_MY_GOOGLE_KEY;
-    const apiKeyError = validateApiKey(API_KEY);
-    if (apiKeyError) {
-      return apiKeyError;
-    }
-
     try {
       // ===== AI 프롬프트 처리 (Enhanced) =====
-      const chatResponse = await processEnhancedAIPrompt(message, context, API_KEY);
+      const chatResponse = await processEnhancedAIPrompt(message, context);
 
       // ===== Intent별 핸들러 라우팅 (Enhanced - 복합 명령어 지원) =====
       const intentRouter = createEnhancedIntentRouter({
@@ -26,12 +26,16 @@
  *    - 현재 방 정보는 새로고침 시에도 유지되도록 로컬 스토리지에 저장됩니다.
  *    - 대부분의 함수는 API 호출 후 자동으로 현재 방 상태를 최신화합니다.
  *    - 에러 처리는 대부분 훅 내부에서 처리되지만, 일부(joinRoom, createRequest)는 상위 컴포넌트에서 처리하도록 에러를 다시 throw합니다.
+ *    - 다른 사용자가 먼저 방을 변경해 서버가 409(ROOM_CONFLICT)로 응답하면 방 정보를 새로고침한 뒤 에러를 다시 throw합니다.
  *
  * ===================================================================================================
  */
 import { useState, useCallback, useEffect } from 'react';
 import { coordinationService } from '../services/coordinationService';
 
+// 서버의 방 동시 수정 충돌 응답(409 ROOM_CONFLICT)인지 확인
+const isRoomConflict = (err) => err?.status === 409 || err?.code === 'ROOM_CONFLICT';
+
 /**
  * useCoordination - 방 관련 로직을 캡슐화한 커스텀 훅
  *
@@ -50,6 +54,7 @@ import { coordinationService } from '../services/coordinationService';
  * @property {Function} fetchMyRooms - 사용자가 속한 모든 방 목록을 다시 불러오는 함수
  * @property {Function} createRoom - 새로운 방을 생성하는 함수
  * @property {Function} joinRoom - 초대 코드를 사용하여 방에 참여하는 함수
+ * @property {Function} acceptInvite - 초대 링크 토큰으로 방에 참여하는 함수
  * @property {Function} updateRoom - 방 정보를 업데이트하는 함수
  * @property {Function} deleteRoom - 방을 삭제하는 함수
  * @property {Function} submitTimeSlots - 사용자의 선호 시간을 제출하는 함수
@@ -161,6 +166,16 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
     }
   }, [setCurrentRoom]);
 
+  // 방 충돌이면 최신 방 정보로 새로고침하고 알림 (새로고침 실패는 무시)
+  const refreshOnConflict = useCallback(async (err, roomId) => {
+    if (!isRoomConflict(err) || !roomId) return false;
+    await fetchRoomDetails(roomId, true).catch(() => {});
+    if (showAlert) {
+      showAlert(err.message, 'warning');
+    }
+    return true;
+  }, [fetchRoomDetails, showAlert]);
+
   const fetchMyRooms = useCallback(async () => {
     setIsLoading(true);
     setError(null);
@@ -199,6 +214,8 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
     setError(null);
     try {
       const joinedRoom = await coordinationService.joinRoom(inviteCode);
+      // 승인이 필요한 방이면 { pending: true, msg } 만 돌아오므로 방에 들어가지 않음
+      if (joinedRoom.pending) return joinedRoom;
       const newRoomState = JSON.parse(JSON.stringify(joinedRoom));
       setCurrentRoom(newRoomState);
       return joinedRoom;
@@ -208,6 +225,14 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
     }
   }, [setCurrentRoom]);
 
+  const acceptInvite = useCallback(async (inviteToken) => {
+    setError(null);
+    const joinedRoom = await coordinationService.acceptInvite(inviteToken);
+    if (joinedRoom.pending) return joinedRoom;
+    setCurrentRoom(JSON.parse(JSON.stringify(joinedRoom)));
+    return joinedRoom;
+  }, [setCurrentRoom]);
+
   const updateRoom = useCallback(async (roomId, updateData) => {
     setError(null);
     try {
@@ -216,10 +241,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
       setCurrentRoom(newRoomState);
       return updatedRoom;
     } catch (err) {
+      await refreshOnConflict(err, roomId);
       setError(err.message);
       throw err;
     }
-  }, [setCurrentRoom]);
+  }, [setCurrentRoom, refreshOnConflict]);
 
   const deleteRoom = useCallback(async (roomId) => {
     setError(null);
@@ -240,10 +266,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
       await coordinationService.submitTimeSlots(roomId, slots);
       await fetchRoomDetails(roomId, true);
     } catch (err) {
+      await refreshOnConflict(err, roomId);
       setError(err.message);
       throw err;
     }
-  }, [fetchRoomDetails]);
+  }, [fetchRoomDetails, refreshOnConflict]);
 
   const removeTimeSlot = useCallback(async (roomId, day, startTime, endTime) => {
     setError(null);
@@ -251,10 +278,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
       await coordinationService.removeTimeSlot(roomId, day, startTime, endTime);
       await fetchRoomDetails(roomId, true);
     } catch (err) {
+      await refreshOnConflict(err, roomId);
       setError(err.message);
       throw err;
     }
-  }, [fetchRoomDetails]);
+  }, [fetchRoomDetails, refreshOnConflict]);
 
   const assignTimeSlot = useCallback(async (roomId, day, startTime, endTime, userId) => {
     setError(null);
@@ -262,10 +290,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
       await coordinationService.assignTimeSlot(roomId, day, startTime, endTime, userId);
       await fetchRoomDetails(roomId, true);
     } catch (err) {
+      await refreshOnConflict(err, roomId);
       setError(err.message);
       throw err;
     }
-  }, [fetchRoomDetails]);
+  }, [fetchRoomDetails, refreshOnConflict]);
 
   const createRequest = useCallback(async (requestData) => {
     setError(null);
@@ -281,6 +310,10 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
         onRefreshSentRequests();
       }
     } catch (err) {
+      if (await refreshOnConflict(err, requestData.roomId)) {
+        throw err;
+      }
+
       // 방장이 교환 요청을 할 수 없는 경우, 알림을 표시합니다.
       if (err.message.includes('방장은 시간표 교환요청을 할 수 없습니다')) {
         if (showAlert) {
@@ -297,7 +330,7 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
         throw err;
       }
     }
-  }, [fetchRoomDetails, onRefreshExchangeCount, onRefreshSentRequests, showAlert]);
+  }, [fetchRoomDetails, refreshOnConflict, onRefreshExchangeCount, onRefreshSentRequests, showAlert]);
 
   const handleRequest = useCallback(async (requestId, action) => {
     setError(null);
@@ -311,10 +344,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
         onRefreshExchangeCount();
       }
     } catch (err) {
+      await refreshOnConflict(err, currentRoomState?._id);
       setError(err.message);
       throw err;
     }
-  }, [currentRoomState, fetchRoomDetails, onRefreshExchangeCount]);
+  }, [currentRoomState, fetchRoomDetails, refreshOnConflict, onRefreshExchangeCount]);
 
   const cancelRequest = useCallback(async (requestId) => {
     setError(null);
@@ -331,10 +365,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
         onRefreshSentRequests();
       }
     } catch (err) {
+      await refreshOnConflict(err, currentRoomState?._id);
       setError(err.message);
       throw err;
     }
-  }, [currentRoomState, fetchRoomDetails, onRefreshExchangeCount, onRefreshSentRequests]);
+  }, [currentRoomState, fetchRoomDetails, refreshOnConflict, onRefreshExchangeCount, onRefreshSentRequests]);
 
   const setAutoConfirmDuration = useCallback(async (roomId, duration) => {
     setError(null);
@@ -344,10 +379,11 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
       await fetchRoomDetails(roomId, true);
       return result;
     } catch (err) {
+      await refreshOnConflict(err, roomId);
       setError(err.message);
       throw err;
     }
-  }, [fetchRoomDetails]);
+  }, [fetchRoomDetails, refreshOnConflict]);
 
   // 사용자 ID가 변경될 때마다 내 방 목록을 다시 가져옵니다.
   useEffect(() => {
@@ -366,6 +402,7 @@ export const useCoordination = (userId, onRefreshExchangeCount, onRefreshSentReq
     fetchMyRooms,
     createRoom,
     joinRoom,
+    acceptInvite,
     updateRoom,
     deleteRoom,
     submitTimeSlots,
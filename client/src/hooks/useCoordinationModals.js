@@ -27,7 +27,7 @@
  *
  * ===================================================================================================
  */
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 
 /**
  * useCoordinationModals - 협업 관련 모달들의 상태 및 제어 함수를 제공하는 커스텀 훅
@@ -64,11 +64,11 @@ export const useCoordinationModals = () => {
   const [showChangeRequestModal, setShowChangeRequestModal] = useState(false);
   const [slotToChange, setSlotToChange] = useState(null);
 
-  // Modal control functions
-  const openCreateRoomModal = () => setShowCreateRoomModal(true);
+  // Modal control functions (open 함수는 effect 의존성으로 쓰이므로 고정)
+  const openCreateRoomModal = useCallback(() => setShowCreateRoomModal(true), []);
   const closeCreateRoomModal = () => setShowCreateRoomModal(false);
   
-  const openJoinRoomModal = () => setShowJoinRoomModal(true);
+  const openJoinRoomModal = useCallback(() => setShowJoinRoomModal(true), []);
   const closeJoinRoomModal = () => setShowJoinRoomModal(false);
   
   const openManageRoomModal = () => setShowManageRoomModal(true);
@@ -0,0 +1,117 @@
+/**
+ * ===================================================================================================
+ * useNotifications.js - 알림함(읽지 않은 알림 수, 최근 알림 목록) 상태를 관리하는 React Hook
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/hooks
+ *
+ * 🎯 주요 기능:
+ *    - 마운트 시 `/api/notifications`에서 최근 알림과 읽지 않은 알림 수를 불러옴
+ *    - 인증된 소켓의 개인 채널(`user-<id>`)에서 `notification` 이벤트를 받아 목록/배지를 즉시 갱신
+ *    - 다른 기기·탭에서 읽음 처리한 경우(`notification-read`)에도 배지를 동기화
+ *    - 알림 하나 / 전체 읽음 처리
+ *
+ * 🔗 연결된 파일:
+ *    - ../components/common/NotificationBell.js - 이 훅을 사용하는 배지/드롭다운 UI
+ *    - ../utils/socketClient.js - 인증된 소켓 생성
+ *    - server/controllers/notificationController.js - 알림 API
+ *
+ * 📝 참고사항:
+ *    - 방 채널(`room-<id>`)에 들어가 있지 않아도 모든 방의 알림을 받습니다.
+ *
+ * ===================================================================================================
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { auth } from '../config/firebaseConfig';
+import { createSocket } from '../utils/socketClient';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+const LIST_LIMIT = 20;
+
+/**
+ * 인증 헤더를 포함해 알림 API 호출
+ * @param {string} path - `/api/notifications` 이후 경로
+ * @param {object} [options] - fetch 옵션
+ * @returns {Promise<object>}
+ */
+const requestNotifications = async (path, options = {}) => {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(`${API_BASE_URL}/api/notifications${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.msg || '알림을 불러오지 못했습니다.');
+  return data;
+};
+
+/**
+ * useNotifications
+ * @description 로그인한 사용자의 알림함 상태와 읽음 처리 함수를 제공합니다.
+ * @param {boolean} [enabled=true] - false면 API 호출/소켓 연결을 하지 않음 (로그인 전 등)
+ * @returns {{ notifications: Array, unreadCount: number, markAsRead: Function, markAllAsRead: Function, refresh: Function }}
+ */
+export const useNotifications = (enabled = true) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refresh = useCallback(async () => {
+    if (!auth.currentUser) return;
+    try {
+      const data = await requestNotifications(`?limit=${LIST_LIMIT}`);
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (error) {
+      console.error('알림 조회 실패:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !auth.currentUser) return;
+
+    refresh();
+    const socket = createSocket();
+
+    socket.on('notification', ({ notification, unreadCount: count }) => {
+      setNotifications(prev => [notification, ...prev].slice(0, LIST_LIMIT));
+      setUnreadCount(count);
+    });
+
+    socket.on('notification-read', ({ ids, all, unreadCount: count }) => {
+      const readAt = new Date().toISOString();
+      const readIds = new Set((ids || []).map(String));
+      setNotifications(prev => prev.map(n => (
+        !n.readAt && (all || readIds.has(String(n._id))) ? { ...n, readAt } : n
+      )));
+      setUnreadCount(count);
+    });
+
+    // 재연결 시 끊겨 있던 동안의 알림 반영
+    socket.io.on('reconnect', refresh);
+
+    return () => { socket.disconnect(); };
+  }, [enabled, refresh]);
+
+  const markAsRead = useCallback(async (notificationId) => {
+    try {
+      const data = await requestNotifications(`/${notificationId}/read`, { method: 'POST' });
+      setNotifications(prev => prev.map(n => (n._id === notificationId ? { ...n, readAt: data.notification.readAt } : n)));
+      setUnreadCount(data.unreadCount);
+    } catch (error) {
+      console.error('알림 읽음 처리 실패:', error);
+    }
+  }, []);
+
+  const markAllAsRead = useCallback(async () => {
+    try {
+      await requestNotifications('/read-all', { method: 'POST' });
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(n => (n.readAt ? n : { ...n, readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('알림 전체 읽음 처리 실패:', error);
+    }
+  }, []);
+
+  return { notifications, unreadCount, markAsRead, markAllAsRead, refresh };
+};
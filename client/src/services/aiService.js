@@ -0,0 +1,26 @@
+/**
+ * aiService.js - 서버 AI(LLM) 호출
+ *
+ * 클라이언트는 AI 키를 갖지 않으며, 프롬프트를 서버(`POST /api/chatbot/complete`)로 보내
+ * 서버에 설정된 LLM 백엔드의 응답 텍스트를 받습니다.
+ */
+import { apiPost } from '../utils/apiClient';
+
+/**
+ * 프롬프트를 서버 AI로 보내 응답 텍스트를 받음
+ * @param {string} prompt - 프롬프트
+ * @returns {Promise<string>} AI 응답 텍스트
+ * @throws {Error} 서버 오류 시 서버 메시지와 `code`('TIMEOUT' | 'PROVIDER_ERROR' 등)를 담은 에러
+ */
+export const requestAICompletion = async (prompt) => {
+  const response = await apiPost('/api/chatbot/complete', { prompt });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.message || data.msg || `HTTP ${response.status}: AI 요청에 실패했습니다.`);
+    error.code = data.code;
+    throw error;
+  }
+
+  return data.text;
+};
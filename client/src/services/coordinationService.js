@@ -8,6 +8,14 @@ const getAuthToken = async () => {
   return await currentUser.getIdToken();
 };
 
+// 응답 상태와 오류 코드를 담은 Error 생성 (409 ROOM_CONFLICT: 다른 사용자가 먼저 방을 변경함)
+const createApiError = (response, errData, fallbackMessage) => {
+  const error = new Error(errData.msg || fallbackMessage);
+  error.status = response.status;
+  error.code = errData.code;
+  return error;
+};
+
 export const coordinationService = {
   // 방 세부 정보 가져오기
   async fetchRoomDetails(roomId) {
@@ -84,7 +92,7 @@ export const coordinationService = {
 
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to join room');
+      throw createApiError(response, errData, 'Failed to join room');
     }
 
     return await response.json();
@@ -103,7 +111,7 @@ export const coordinationService = {
     });
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || errData.error || 'Failed to update room');
+      throw createApiError(response, errData, errData.error || 'Failed to update room');
     }
 
     const result = await response.json();
@@ -136,7 +144,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to delete all time slots');
+      throw createApiError(response, errData, 'Failed to delete all time slots');
     }
     
     return await response.json();
@@ -156,7 +164,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to submit time slots');
+      throw createApiError(response, errData, 'Failed to submit time slots');
     }
     
     return await response.json();
@@ -176,7 +184,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to remove time slot');
+      throw createApiError(response, errData, 'Failed to remove time slot');
     }
     
     return await response.json();
@@ -196,7 +204,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to assign time slot');
+      throw createApiError(response, errData, 'Failed to assign time slot');
     }
     
     return await response.json();
@@ -217,7 +225,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      const error = new Error(errData.msg || 'Failed to create request');
+      const error = createApiError(response, errData, 'Failed to create request');
       error.isDuplicate = errData.duplicateRequest || false;
       throw error;
     }
@@ -236,7 +244,7 @@ export const coordinationService = {
 
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || `Failed to ${action} request`);
+      throw createApiError(response, errData, `Failed to ${action} request`);
     }
 
     const result = await response.json();
@@ -341,7 +349,7 @@ export const coordinationService = {
     
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to cancel request');
+      throw createApiError(response, errData, 'Failed to cancel request');
     }
     
     return await response.json();
@@ -367,10 +375,247 @@ export const coordinationService = {
     return await response.json();
   },
 
-  // 자동 시간 배정 실행
+  // 자동 시간 배정 실행 (options.explain이면 응답에 배정 과정 trace 포함)
   async runAutoSchedule(roomId, options) {
     const token = await getAuthToken();
-    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/run-schedule`, {
+    const { explain, ...body } = options;
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/run-schedule${explain ? '?explain=1' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to run auto-schedule (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 자동 배정 시뮬레이션 (방을 변경하지 않고 제안 시간표와 현재 시간표 대비 변경 사항 반환)
+  async simulateSchedule(roomId, options) {
+    const token = await getAuthToken();
+    const { explain, ...body } = options;
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/simulate-schedule${explain ? '?explain=1' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to simulate schedule (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async getScheduleScenarios(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/schedule-scenarios`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch schedule scenarios (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 시뮬레이션 결과를 이름 붙여 저장 (options: simulateSchedule과 같은 옵션)
+  async saveScheduleScenario(roomId, name, options) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/schedule-scenarios`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ ...options, name }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to save schedule scenario (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async applyScheduleScenario(roomId, scenarioId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/schedule-scenarios/${scenarioId}/apply`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to apply schedule scenario (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async deleteScheduleScenario(roomId, scenarioId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/schedule-scenarios/${scenarioId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to delete schedule scenario (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async getRoomHistory(roomId, page = 1) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/history?page=${page}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch room history (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async getRoomHistoryEntry(roomId, snapshotId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/history/${snapshotId}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch room history entry (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async restoreRoomHistory(roomId, snapshotId, point = 'after') {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/history/${snapshotId}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ point }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to restore room history (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async updateMemberRole(roomId, memberId, role) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/members/${memberId}/role`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ role }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update member role (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async updateMemberSessions(roomId, memberId, sessions) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/members/${memberId}/sessions`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ sessions }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update member sessions (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async transferOwnership(roomId, memberId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/transfer-ownership`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ memberId }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to transfer ownership (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 초대 링크 목록 + 방 코드 참여 정책 (방장/공동 방장)
+  async getRoomInvites(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/invites`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch invites (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // options: { expiresInHours, maxUses, requiresApproval, role, label }
+  async createRoomInvite(roomId, options) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/invites`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -381,7 +626,370 @@ export const coordinationService = {
 
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || `Failed to run auto-schedule (${response.status})`);
+      throw new Error(errData.msg || `Failed to create invite (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async revokeRoomInvite(roomId, inviteId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/invites/${inviteId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to revoke invite (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async regenerateInviteCode(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/invite-code/regenerate`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to regenerate invite code (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // policy: { codeEnabled, requireApproval }
+  async updateJoinPolicy(roomId, policy) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/join-policy`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(policy),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update join policy (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async getJoinRequests(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/join-requests`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch join requests (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // action: 'approve' | 'reject'
+  async handleJoinRequest(roomId, requestId, action) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/join-requests/${requestId}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to ${action} join request (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 초대 링크 미리보기 (참여 전 방 정보)
+  async getInvitePreview(inviteToken) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/invites/${encodeURIComponent(inviteToken)}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to load invite (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 초대 링크로 참여 (승인 필요 링크면 { pending: true, msg, joinRequest } 반환)
+  async acceptInvite(inviteToken) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/invites/${encodeURIComponent(inviteToken)}/accept`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, 'Failed to join room');
+    }
+
+    return await response.json();
+  },
+
+  // 빈자리 대기열 (방장/공동 방장은 전체 대기열과 제안 이력, 조원은 자기 순위와 받은 제안)
+  async getRoomWaitlist(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/waitlist`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch waitlist (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // settings: { enabled, claimWindowMinutes }
+  async updateWaitlistSettings(roomId, settings) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/waitlist-settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(settings),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update waitlist settings (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async claimSlotOffer(offerId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/slot-offers/${offerId}/claim`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to claim slot (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  async declineSlotOffer(offerId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/slot-offers/${offerId}/decline`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to decline slot offer (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 최근 weeks주 조원별 공평성 (선호도 만족도, 이월, 첫/마지막 시간 비율)
+  async getFairnessReport(roomId, weeks = 8) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/fairness?weeks=${weeks}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch fairness report (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 하루 동선 최적화 미리보기 - 응답: { plan, hasPendingRequests }
+  async getDayRoutePlan(roomId, date, mode) {
+    const token = await getAuthToken();
+    const params = new URLSearchParams({ date });
+    if (mode) params.set('mode', mode);
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/day-route?${params.toString()}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch day route plan (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 동선 최적화 수락 → 바뀌는 조원들에게 route_reorder 요청 (409: 제안이 바뀜, err.plan에 새 제안)
+  async requestDayRouteChanges(roomId, date, mode, order) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/day-route/requests`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ date, mode, order }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      const error = createApiError(response, errData, `Failed to request day route changes (${response.status})`);
+      error.plan = errData.plan;
+      throw error;
+    }
+
+    return await response.json();
+  },
+
+  // 자동 배정 규칙 (하드/소프트 제약) - 응답: { rules }
+  async getSchedulingRules(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/scheduling-rules`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch scheduling rules (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // rules 전체를 교체 (서버에서 종류별 파라미터 검증)
+  async updateSchedulingRules(roomId, rules) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/scheduling-rules`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ rules }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update scheduling rules (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 방 자원 목록 + 현재 시간표의 자원 중복 예약 { resources, conflicts }
+  async getRoomResources(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/resources`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch room resources (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // resources 전체를 교체 (서버에서 동시 사용 수 / 사용 가능 시간 / 대상 조원 검증)
+  async updateRoomResources(roomId, resources) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/resources`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ resources }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update room resources (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // 방장 요일/날짜별 출발·도착 장소 + 방장 장소 목록 { dayLocations, places }
+  async getOwnerDayLocations(roomId) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/owner-locations`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw new Error(errData.msg || `Failed to fetch owner locations (${response.status})`);
+    }
+
+    return await response.json();
+  },
+
+  // dayLocations 전체를 교체 (장소 ID는 방장 저장 장소 중에서)
+  async updateOwnerDayLocations(roomId, dayLocations) {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/coordination/rooms/${roomId}/owner-locations`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ dayLocations }),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
+      throw createApiError(response, errData, `Failed to update owner locations (${response.status})`);
     }
 
     return await response.json();
@@ -439,7 +1047,7 @@ export const coordinationService = {
 
     if (!res.ok) {
       const errData = await res.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || 'Failed to confirm schedule');
+      throw createApiError(res, errData, 'Failed to confirm schedule');
     }
 
     return await res.json();
@@ -557,7 +1165,7 @@ export const coordinationService = {
 
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || '타이머 시작에 실패했습니다.');
+      throw createApiError(response, errData, '타이머 시작에 실패했습니다.');
     }
 
     return await response.json();
@@ -686,7 +1294,7 @@ export const coordinationService = {
 
     if (!response.ok) {
       const errData = await response.json().catch(() => ({ msg: 'Unknown error' }));
-      throw new Error(errData.msg || '타이머 설정에 실패했습니다.');
+      throw createApiError(response, errData, '타이머 설정에 실패했습니다.');
     }
 
     return await response.json();
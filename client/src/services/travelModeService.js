@@ -8,7 +8,8 @@
  * 🎯 주요 기능:
  *    - Google Directions Service 초기화 (`initializeDirectionsService`).
  *    - 두 지점 간의 이동 시간 및 거리 계산 (`calculateTravelTime`) (대중교통, 자동차, 자전거, 도보).
- *    - Google Directions API 호출 실패 시 Haversine 공식을 이용한 대략적인 이동 시간 추정 (`estimateTravelTime`).
+ *    - 출발/도착 시각을 주면 그 시각 기준으로 계산 (자동차는 교통 상황, 대중교통은 운행표 반영).
+ *    - Google Directions API 호출 실패 시 Haversine 공식을 이용한 대략적인 이동 시간 추정 (`estimateTravelTime`, 시간대별 배율 적용).
  *    - 거리 계산 (`getDistance`).
  *    - 초 단위 시간을 "X시간 Y분" 형식으로 변환 (`formatDuration`).
  *    - 초 단위를 30분 단위 슬롯으로 변환 (`convertToSlots`).
@@ -19,6 +20,7 @@
  *    - ../hooks/useTravelMode.js: 이동 모드 선택 및 관련 기능에서 이 서비스를 사용.
  *    - SchedulingSystem.js: 일정 확정 시 이동 모드를 전달하는 데 사용.
  *    - window.google.maps.DirectionsService: Google Maps API의 Directions Service를 직접 사용.
+ *    - ../utils/travelDayParts.js: 출발 시간대(출근/퇴근 혼잡, 심야)별 배율.
  *
  * 💡 UI 위치:
  *    - '일정 맞추기' 탭 (`CoordinationTab`) 또는 관련 모달에서 이동 수단 선택 시, 또는 자동 배정 시 이동 시간을 고려하여 경로 및 스케줄을 시각화할 때 백그라운드에서 동작.
@@ -37,6 +39,17 @@
  * ===================================================================================================
  */
 
+import { getDayPartMultiplier } from '../utils/travelDayParts';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Google은 지난 출발 시각을 받지 않으므로 같은 요일/시각의 가장 가까운 미래로 옮김
+const toFutureDepartureTime = (departureTime) => {
+  const now = Date.now();
+  const time = departureTime.getTime();
+  return time >= now ? departureTime : new Date(time + Math.ceil((now - time) / WEEK_MS) * WEEK_MS);
+};
+
 /**
  * TravelModeService
  * @description Google Directions API를 활용하여 이동 시간 및 거리를 계산하고, 최적 경로 및 스케줄을 생성하는 서비스 클래스.
@@ -61,9 +74,18 @@ class TravelModeService {
    * @param {Object} origin - 출발지 {lat, lng}
    * @param {Object} destination - 목적지 {lat, lng}
    * @param {string} mode - 이동 수단 ('transit', 'driving', 'bicycling', 'walking')
+   * @param {Object} [options]
+   * @param {Date} [options.departureTime] - 출발 시각 (이전 수업이 끝나는 시각 등)
+   * @param {Date} [options.arrivalTime] - 도착해야 하는 시각 (그날 첫 이동, departureTime이 없을 때 출발 시각을 역산)
+   * @param {string} [options.timeZone] - 출발 시간대를 판단할 방 시간대
    * @returns {Promise<Object>} - {duration: seconds, distance: meters, durationText, distanceText}
    */
-  async calculateTravelTime(origin, destination, mode = 'transit') {
+  async calculateTravelTime(origin, destination, mode = 'transit', { departureTime, arrivalTime, timeZone } = {}) {
+    if (!departureTime && arrivalTime && mode !== 'normal') {
+      const estimate = await this.calculateTravelTime(origin, destination, mode);
+      departureTime = new Date(arrivalTime.getTime() - (estimate.duration || 0) * 1000);
+    }
+
     const service = this.initializeDirectionsService();
 
     if (!service) {
@@ -89,7 +111,16 @@ class TravelModeService {
           {
             origin: new window.google.maps.LatLng(parseFloat(origin.lat), parseFloat(origin.lng)),
             destination: new window.google.maps.LatLng(parseFloat(destination.lat), parseFloat(destination.lng)),
-            travelMode: travelModeMap[mode] || travelModeMap['transit']
+            travelMode: travelModeMap[mode] || travelModeMap['transit'],
+            ...(departureTime && mode === 'transit' && {
+              transitOptions: { departureTime: toFutureDepartureTime(departureTime) }
+            }),
+            ...(departureTime && mode === 'driving' && {
+              drivingOptions: {
+                departureTime: toFutureDepartureTime(departureTime),
+                trafficModel: window.google.maps.TrafficModel.BEST_GUESS
+              }
+            })
           },
           (result, status) => {
             if (status === 'OK') {
@@ -104,21 +135,22 @@ class TravelModeService {
 
       // API 호출 실패 시 fallback 실행
       if (result.fallback) {
-        return this.estimateTravelTime(origin, destination, mode);
+        return this.estimateTravelTime(origin, destination, mode, departureTime, timeZone);
       }
 
       const route = result.routes[0].legs[0];
+      const duration = route.duration_in_traffic || route.duration;  // 출발 시각을 준 자동차 경로는 교통 상황 반영
       return {
-        duration: route.duration.value,          // 초 단위
+        duration: duration.value,                // 초 단위
         distance: route.distance.value,          // 미터 단위
-        durationText: route.duration.text,       // "30분", "1시간 20분"
+        durationText: duration.text,             // "30분", "1시간 20분"
         distanceText: route.distance.text,       // "5.2km"
         steps: route.steps,                      // 상세 경로 정보
         fallback: false                          // 성공적으로 API 사용
       };
     } catch (error) {
       // 예외 발생 시에도 대략적인 계산으로 fallback
-      return this.estimateTravelTime(origin, destination, mode);
+      return this.estimateTravelTime(origin, destination, mode, departureTime, timeZone);
     }
   }
 
@@ -145,12 +177,15 @@ class TravelModeService {
 /**
  * estimateTravelTime
  * @description Google Directions API 호출 실패 시, Haversine 공식을 통해 추정된 거리와 평균 속도를 기반으로 이동 시간을 추정합니다.
+ *              출발 시각을 주면 시간대별 배율(출근/퇴근 혼잡 등)을 곱합니다.
  * @param {Object} origin - 출발지 {lat, lng}.
  * @param {Object} destination - 목적지 {lat, lng}.
  * @param {string} mode - 이동 수단 ('walking', 'bicycling', 'transit', 'driving').
+ * @param {Date} [departureTime] - 출발 시각.
+ * @param {string} [timeZone] - 방 시간대.
  * @returns {Object} {duration: seconds, distance: meters, durationText, distanceText}.
  */
-  estimateTravelTime(origin, destination, mode) {
+  estimateTravelTime(origin, destination, mode, departureTime, timeZone) {
     const distance = this.getDistance(origin.lat, origin.lng, destination.lat, destination.lng);
 
     // 이동 수단별 평균 속도 (km/h)
@@ -163,7 +198,7 @@ class TravelModeService {
 
     const speed = speedMap[mode] || 30;
     const durationHours = distance / speed;
-    const durationSeconds = durationHours * 3600;
+    const durationSeconds = durationHours * 3600 * getDayPartMultiplier(departureTime, mode, timeZone);
 
     return {
       duration: Math.round(durationSeconds),
@@ -19,8 +19,27 @@ export const calculateDistance = (lat1, lng1, lat2, lng2) => {
   return R * c;
 };
 
-export const sortSlotsByDistance = (slots, owner, memberLocations) => {
+/**
+ * 날짜별로 방장 출발지에서 가까운 조원 수업부터 차례로 정렬 (Greedy)
+ * @param {Array} slots - 병합된 수업 블록
+ * @param {object} owner
+ * @param {object} memberLocations - 조원 ID → 기본 위치 { lat, lng }
+ * @param {object} [locate] - 날짜/수업별 위치 (없으면 방장 집 / 조원 기본 위치)
+ * @param {function} [locate.ownerStartOf] - (dateStr) => 그날 방장 출발 위치
+ * @param {function} [locate.memberLocationAt] - (userId, date, startTime) => 그 수업의 조원 위치
+ */
+export const sortSlotsByDistance = (slots, owner, memberLocations, locate = {}) => {
   // 🔧 수정: 날짜별로 그룹화 후, 각 날짜 내에서 거리 순서로 정렬
+  const ownerStartOf = locate.ownerStartOf || (() => ({ lat: owner.addressLat, lng: owner.addressLng }));
+  const locationOf = (slot) => {
+    let userId = slot.user;
+    if (typeof userId === 'object' && userId !== null) {
+      userId = userId._id || userId.id;
+    }
+    return locate.memberLocationAt
+      ? locate.memberLocationAt(userId?.toString(), slot.date, slot.startTime)
+      : memberLocations[userId?.toString()];
+  };
 
   // 1️⃣ 날짜별로 슬롯 그룹화
   const slotsByDate = {};
@@ -69,9 +88,10 @@ export const sortSlotsByDistance = (slots, owner, memberLocations) => {
     if (memberSlots.length > 0) {
       const remaining = [...memberSlots];
 
-      // 시작 위치: 방장 집
-      let currentLat = owner.addressLat;
-      let currentLng = owner.addressLng;
+      // 시작 위치: 그날 방장 출발 장소
+      const start = ownerStartOf(dateStr);
+      let currentLat = start?.lat;
+      let currentLng = start?.lng;
 
       while (remaining.length > 0) {
         let closestIndex = 0;
@@ -79,13 +99,7 @@ export const sortSlotsByDistance = (slots, owner, memberLocations) => {
 
         // 현재 위치에서 가장 가까운 슬롯 찾기
         for (let i = 0; i < remaining.length; i++) {
-          const slot = remaining[i];
-          let userId = slot.user;
-          if (typeof userId === 'object' && userId !== null) {
-            userId = userId._id || userId.id;
-          }
-
-          const userLocation = memberLocations[userId?.toString()];
+          const userLocation = locationOf(remaining[i]);
           if (!userLocation) {
             continue;
           }
@@ -105,12 +119,7 @@ export const sortSlotsByDistance = (slots, owner, memberLocations) => {
         orderedMembers.push(closestSlot);
 
         // 현재 위치 업데이트
-        let userId = closestSlot.user;
-        if (typeof userId === 'object' && userId !== null) {
-          userId = userId._id || userId.id;
-        }
-
-        const userLocation = memberLocations[userId?.toString()];
+        const userLocation = locationOf(closestSlot);
         if (userLocation) {
           currentLat = userLocation.lat;
           currentLng = userLocation.lng;
@@ -3,6 +3,7 @@
  *
  * 📍 위치: services/travelSchedule/recalculateSchedule.js
  * 🔗 연결: ../travelScheduleCalculator.js (index.js)
+ * 📝 출발지는 그날 방장 출발 장소, 조원 위치는 그 수업 선호시간에 지정한 장소 (../../utils/savedLocations.js)
  */
 
 import travelModeService from '../travelModeService';
@@ -12,6 +13,9 @@ import { checkOverlap } from './conflictUtils';
 import { buildMemberPreferences, isWithinPreferredTime } from './memberUtils';
 import { sortSlotsByDistance } from './distanceSorting';
 import { findAvailableSlot, findAvailableSlotsWithSplit } from './slotPlacement';
+import { getRoomTimezone } from '../../utils/timezoneUtils';
+import { toTravelDateTime } from '../../utils/travelDayParts';
+import { getUserPlaces, getSessionPlace, getOwnerDayPlaces } from '../../utils/savedLocations';
 
 export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'normal') => {
     if (!currentRoom || !currentRoom.timeSlots || currentRoom.timeSlots.length === 0) {
@@ -23,21 +27,32 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
 
     const owner = currentRoom.owner;
 
-    if (!owner.addressLat || !owner.addressLng) {
+    // 그날 방장이 출발하는 장소 (요일/날짜별 설정 → 방 기준 위치 → 방장 집)
+    const ownerStartOf = (date) => {
+        const { start } = getOwnerDayPlaces(currentRoom, owner, date);
+        return start && { lat: start.lat, lng: start.lng, name: '방장', color: '#4B5563' };
+    };
+
+    if (!currentRoom.timeSlots.some(slot => ownerStartOf(slot.date))) {
         throw new Error('방장의 주소 정보가 필요합니다. 프로필에서 주소를 설정해주세요.');
     }
 
     const members = currentRoom.members;
     const memberLocations = {};
+    const memberUsers = {};
+    // 이동 구간의 출발/도착 시각은 방 시간대 기준 (출근/퇴근 시간대 반영)
+    const roomTimeZone = getRoomTimezone(currentRoom.settings);
 
     members.forEach(m => {
-
-        if (m.user && m.user.addressLat && m.user.addressLng) {
+        // 기본 위치는 집 (집 주소가 없으면 첫 저장 장소)
+        const defaultPlace = getUserPlaces(m.user)[0];
+        if (defaultPlace) {
             let userId = m.user._id || m.user.id;
             if (userId) {
+                memberUsers[userId.toString()] = m.user;
                 memberLocations[userId.toString()] = {
-                    lat: m.user.addressLat,
-                    lng: m.user.addressLng,
+                    lat: defaultPlace.lat,
+                    lng: defaultPlace.lng,
                     name: `${m.user.firstName} ${m.user.lastName}`,
                     color: m.color || '#9CA3AF'
                 };
@@ -45,6 +60,14 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
         }
     });
 
+    // 그 수업 시간에 조원이 있는 장소 (선호시간에 지정한 장소, 없으면 기본 위치)
+    const memberLocationAt = (userIdStr, date, startTime) => {
+        const base = memberLocations[userIdStr];
+        if (!base) return null;
+        const place = getSessionPlace(memberUsers[userIdStr], date, startTime, currentRoom._id);
+        return place ? { ...base, lat: place.lat, lng: place.lng } : base;
+    };
+
     // 🆕 학생별 선호시간 정보 생성
     const memberPreferences = buildMemberPreferences(currentRoom);
 
@@ -67,7 +90,7 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
         });
     } else {
         // 이동 모드 (대중교통, 자동차 등): 날짜별로 거리 순서대로 정렬
-        sortedMergedSlots = sortSlotsByDistance(mergedSlots, owner, memberLocations);
+        sortedMergedSlots = sortSlotsByDistance(mergedSlots, owner, memberLocations, { ownerStartOf, memberLocationAt });
 
         // 🔍 디버깅: 거리 순서 출력
     }
@@ -75,13 +98,8 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
     // 🆕 이동시간 슬롯을 저장할 배열 추가
     const travelSlotsArray = [];
 
-    // 🆕 이전 위치 추적 (초기값: 방장)
-    let previousLocation = {
-        lat: owner.addressLat,
-        lng: owner.addressLng,
-        name: '방장',
-        color: '#4B5563'  // 방장은 기본 회색
-    };
+    // 🆕 이전 위치 추적 (초기값: 첫 날짜의 방장 출발 장소)
+    let previousLocation = ownerStartOf(sortedMergedSlots[0]?.date);
 
     const allResultSlots = [];
 
@@ -145,7 +163,7 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
             continue;
         }
 
-        const memberLocation = memberLocations[userIdStr];
+        const memberLocation = memberLocationAt(userIdStr, mergedSlot.date, mergedSlot.startTime);
         if (!memberLocation) {
             allResultSlots.push(...unmergeBlock(mergedSlot));
             continue;
@@ -160,14 +178,9 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
             // 🔧 수정: 같은 날짜 내에서는 이전 학생에서 출발, 다른 날짜면 방장에서 출발
             let actualPreviousLocation;
 
-            // 날짜가 바뀌었거나 첫 슬롯이면 방장에서 출발
+            // 날짜가 바뀌었거나 첫 슬롯이면 그날 방장 출발 장소에서 출발
             if (!previousSlotOriginalDate || previousSlotOriginalDate !== slotDate) {
-                actualPreviousLocation = {
-                    lat: owner.addressLat,
-                    lng: owner.addressLng,
-                    name: '방장',
-                    color: '#4B5563'
-                };
+                actualPreviousLocation = ownerStartOf(mergedSlot.date) || memberLocation;
 
             } else {
                 // 같은 날짜면 이전 학생에서 출발
@@ -176,10 +189,15 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
             }
 
             // 이전 위치에서 현재 학생 위치로 이동 시간 계산
+            // 같은 날 이전 학생에서 이어가면 그 수업이 끝나는 시각에 출발, 아니면 이번 수업 시작 시각에 도착
+            const continuesFromPrevious = previousSlotOriginalDate === slotDate && previousActivityEndMinutes > 0;
             const travelInfo = await travelModeService.calculateTravelTime(
                 { lat: actualPreviousLocation.lat, lng: actualPreviousLocation.lng },
                 { lat: memberLocation.lat, lng: memberLocation.lng },
-                travelMode
+                travelMode,
+                continuesFromPrevious
+                    ? { departureTime: toTravelDateTime(slotDate, previousActivityEndMinutes, roomTimeZone), timeZone: roomTimeZone }
+                    : { arrivalTime: toTravelDateTime(slotDate, slotStartMinutes, roomTimeZone), timeZone: roomTimeZone }
             );
 
             const travelDurationSeconds = travelInfo.duration || 0;
@@ -317,8 +335,9 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
                 // 원본 날짜의 마지막 위치를 확인 (재배정은 다른 날짜로 하므로, 각 날짜의 마지막 위치 체크)
 
                 // 방장에서 출발하는 이동시간 (기본값)
+                const ownerStart = ownerStartOf(mergedSlot.date) || memberLocation;
                 const ownerToMemberTravelInfo = await travelModeService.calculateTravelTime(
-                    { lat: owner.addressLat, lng: owner.addressLng },
+                    { lat: ownerStart.lat, lng: ownerStart.lng },
                     { lat: memberLocation.lat, lng: memberLocation.lng },
                     travelMode
                 );
@@ -343,12 +362,13 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
                     activityDurationMinutes,
                     allBlockedTimes,
                     assignedSlotsByDate,
-                    { lat: owner.addressLat, lng: owner.addressLng, name: '방장' },
+                    { lat: ownerStart.lat, lng: ownerStart.lng, name: '방장' },
                     lastLocationByDate,  // 🆕 각 날짜의 마지막 위치
                     memberLocation,      // 🆕 현재 학생 위치
                     travelMode,          // 🆕 이동 모드
                     travelModeService,   // 🆕 이동시간 계산 서비스
-                    minStartTime         // 🆕 최소 시작 시간
+                    minStartTime,        // 🆕 최소 시작 시간
+                    roomTimeZone
                 );
 
                 // 한 블록으로 배치 실패 → 여러 블록으로 분할 시도
@@ -361,13 +381,14 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
                         activityDurationMinutes,
                         allBlockedTimes,
                         assignedSlotsByDate,
-                        { lat: owner.addressLat, lng: owner.addressLng, name: '방장' },
+                        { lat: ownerStart.lat, lng: ownerStart.lng, name: '방장' },
                         lastLocationByDate,  // 🆕 각 날짜의 마지막 위치
                         memberLocation,      // 🆕 현재 학생 위치
                         travelMode,          // 🆕 이동 모드
                         travelModeService,   // 🆕 이동시간 계산 서비스
                         ownerToMemberTravelInfo,  // 🆕 방장→학생 이동시간
-                        minStartTime         // 🆕 최소 시작 시간
+                        minStartTime,        // 🆕 최소 시작 시간
+                        roomTimeZone
                     );
                 }
 
@@ -505,13 +526,9 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
                         let actualPreviousLocationForAlt;
 
                         if (lastUserId === owner._id.toString()) {
-                            actualPreviousLocationForAlt = {
-                                lat: owner.addressLat,
-                                lng: owner.addressLng,
-                                name: '방장'
-                            };
+                            actualPreviousLocationForAlt = ownerStartOf(targetDateStr);
                         } else {
-                            actualPreviousLocationForAlt = memberLocations[lastUserId];
+                            actualPreviousLocationForAlt = memberLocationAt(lastUserId, targetDateStr, formatTime(lastSlot.startMinutes));
                         }
 
                         if (actualPreviousLocationForAlt) {
@@ -519,7 +536,8 @@ export const recalculateScheduleWithTravel = async (currentRoom, travelMode = 'n
                                 const lastToCurrentTravel = await travelModeService.calculateTravelTime(
                                     { lat: actualPreviousLocationForAlt.lat, lng: actualPreviousLocationForAlt.lng },
                                     { lat: memberLocation.lat, lng: memberLocation.lng },
-                                    travelMode
+                                    travelMode,
+                                    { departureTime: toTravelDateTime(targetDateStr, lastSlot.endMinutes, roomTimeZone), timeZone: roomTimeZone }
                                 );
                                 actualTravelMinutes = Math.ceil(lastToCurrentTravel.duration / 60 / 10) * 10;
                                 actualFromLocationName = actualPreviousLocationForAlt.name;
@@ -746,10 +764,13 @@ travelSlotsArray.push(travelSlotData);
             let fromLocationName;
 
             if (lastUserId === owner._id.toString()) {
-                fromLocation = { lat: owner.addressLat, lng: owner.addressLng };
-                fromLocationName = '방장';
+                const ownerStart = ownerStartOf(dateStr);
+                if (ownerStart) {
+                    fromLocation = { lat: ownerStart.lat, lng: ownerStart.lng };
+                    fromLocationName = '방장';
+                }
             } else {
-                const lastMemberLocation = memberLocations[lastUserId];
+                const lastMemberLocation = memberLocationAt(lastUserId, dateStr, formatTime(lastSlot.startMinutes));
                 if (lastMemberLocation) {
                     fromLocation = { lat: lastMemberLocation.lat, lng: lastMemberLocation.lng };
                     fromLocationName = lastMemberLocation.name;
@@ -759,14 +780,15 @@ travelSlotsArray.push(travelSlotData);
             if (fromLocation && fromLocationName !== travelSlot.from) {
                 // 현재와 다른 출발지 → 재계산 필요
                 const toUserId = travelSlot.user;
-                const toLocation = memberLocations[toUserId];
+                const toLocation = memberLocationAt(toUserId, dateStr, travelSlot.endTime);
 
                 if (toLocation) {
                     try {
                         const recalcTravel = await travelModeService.calculateTravelTime(
                             fromLocation,
                             { lat: toLocation.lat, lng: toLocation.lng },
-                            travelMode
+                            travelMode,
+                            { departureTime: toTravelDateTime(dateStr, travelStartMinutes, roomTimeZone), timeZone: roomTimeZone }
                         );
                         const newTravelMinutes = Math.ceil(recalcTravel.duration / 60 / 10) * 10;
                         const oldTravelMinutes = parseTime(travelSlot.endTime) - parseTime(travelSlot.startTime);
@@ -7,6 +7,9 @@
 
 import travelModeService from '../travelModeService';
 import { formatTime, parseTime, toLocalDateString } from './timeUtils';
+import { getRoomTimezone } from '../../utils/timezoneUtils';
+import { toTravelDateTime } from '../../utils/travelDayParts';
+import { getSessionPlace, getOwnerDayPlaces } from '../../utils/savedLocations';
 
 export const simulateTimeSlotPlacement = async (currentRoom, userId, selectedDate, selectedStartMinutes, duration, travelMode = 'normal') => {
 
@@ -16,25 +19,31 @@ export const simulateTimeSlotPlacement = async (currentRoom, userId, selectedDat
   }
 
   const owner = currentRoom.owner;
-  if (!owner.addressLat || !owner.addressLng) {
+  // 그날 방장 출발 장소 (요일/날짜별 설정 → 방 기준 위치 → 방장 집)
+  const ownerStart = getOwnerDayPlaces(currentRoom, owner, selectedDate).start;
+  if (!ownerStart) {
     return { canPlace: false, reason: '방장 주소 정보가 없습니다.' };
   }
 
-  // 2. 조원 위치 정보 가져오기
-  const memberLocations = {};
+  // 2. 조원 위치 정보 (그 수업 시간 선호시간에 지정한 장소, 없으면 집)
+  const memberUsers = {};
   for (const member of currentRoom.members || []) {
-    if (member.user && member.user.addressLat && member.user.addressLng) {
-      const memberId = (member.user._id || member.user.id).toString();
-      memberLocations[memberId] = {
-        lat: member.user.addressLat,
-        lng: member.user.addressLng,
-        name: `${member.user.firstName || ''} ${member.user.lastName || ''}`.trim()
-      };
+    if (member.user) {
+      memberUsers[(member.user._id || member.user.id).toString()] = member.user;
     }
   }
+  const memberLocationAt = (memberId, startTime) => {
+    const memberUser = memberUsers[memberId];
+    const place = memberUser && getSessionPlace(memberUser, selectedDate, startTime, currentRoom._id);
+    return place && {
+      lat: place.lat,
+      lng: place.lng,
+      name: `${memberUser.firstName || ''} ${memberUser.lastName || ''}`.trim()
+    };
+  };
 
   const userIdStr = userId.toString();
-  const memberLocation = memberLocations[userIdStr];
+  const memberLocation = memberLocationAt(userIdStr, formatTime(selectedStartMinutes));
   if (!memberLocation) {
     return { canPlace: false, reason: '조원 위치 정보가 없습니다.' };
   }
@@ -47,11 +56,8 @@ export const simulateTimeSlotPlacement = async (currentRoom, userId, selectedDat
   });
 
   // 4. 마지막 배정된 학생 찾기 (선택한 시작 시간보다 먼저 끝나는 슬롯 중 가장 늦게 끝나는 것)
-  let previousLocation = {
-    lat: owner.addressLat,
-    lng: owner.addressLng,
-    name: '방장'
-  };
+  const ownerLocation = { lat: ownerStart.lat, lng: ownerStart.lng, name: '방장' };
+  let previousLocation = ownerLocation;
   let previousEndMinutes = 0;
 
   for (const slot of slotsOnDate) {
@@ -70,13 +76,9 @@ export const simulateTimeSlotPlacement = async (currentRoom, userId, selectedDat
 
         // 방장이면
         if (slotUserIdStr === owner._id.toString()) {
-          previousLocation = {
-            lat: owner.addressLat,
-            lng: owner.addressLng,
-            name: '방장'
-          };
-        } else if (memberLocations[slotUserIdStr]) {
-          previousLocation = memberLocations[slotUserIdStr];
+          previousLocation = ownerLocation;
+        } else {
+          previousLocation = memberLocationAt(slotUserIdStr, slot.startTime) || previousLocation;
         }
 
         previousEndMinutes = slotEndMinutes;
@@ -87,10 +89,15 @@ export const simulateTimeSlotPlacement = async (currentRoom, userId, selectedDat
   let travelDurationMinutes = 0;
   if (travelMode !== 'normal') {
     try {
+      // 첫 슬롯이면 선택한 시작 시간에 도착, 아니면 이전 학생 수업이 끝나는 시각에 출발
+      const timeZone = getRoomTimezone(currentRoom.settings);
       const travelInfo = await travelModeService.calculateTravelTime(
         { lat: previousLocation.lat, lng: previousLocation.lng },
         { lat: memberLocation.lat, lng: memberLocation.lng },
-        travelMode
+        travelMode,
+        previousEndMinutes === 0
+          ? { arrivalTime: toTravelDateTime(selectedDate, selectedStartMinutes, timeZone), timeZone }
+          : { departureTime: toTravelDateTime(selectedDate, previousEndMinutes, timeZone), timeZone }
       );
       travelDurationMinutes = Math.ceil(travelInfo.duration / 60 / 10) * 10;
     } catch (error) {
@@ -6,8 +6,9 @@
  */
 
 import { checkOverlap, checkBlockedTimeConflict } from './conflictUtils';
+import { toTravelDateTime } from '../../utils/travelDayParts';
 
-export const findAvailableSlot = async (mergedSlot, userId, memberPreferences, travelDurationMinutes, activityDurationMinutes, blockedTimes, assignedSlotsByDate, startFromLocation, lastLocationByDate, memberLocation, travelMode, travelModeService, minStartMinutes = 0) => {
+export const findAvailableSlot = async (mergedSlot, userId, memberPreferences, travelDurationMinutes, activityDurationMinutes, blockedTimes, assignedSlotsByDate, startFromLocation, lastLocationByDate, memberLocation, travelMode, travelModeService, minStartMinutes = 0, timeZone) => {
   const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
   const userIdStr = userId.toString();
   const originalDate = new Date(mergedSlot.date);
@@ -48,10 +49,12 @@ export const findAvailableSlot = async (mergedSlot, userId, memberPreferences, t
     if (lastLocationByDate && lastLocationByDate[dateStr] && travelModeService) {
       const lastLoc = lastLocationByDate[dateStr];
       try {
+        // 그날 마지막 학생의 수업이 끝나는 시각에 출발
         const travelInfo = await travelModeService.calculateTravelTime(
           { lat: lastLoc.location.lat, lng: lastLoc.location.lng },
           { lat: memberLocation.lat, lng: memberLocation.lng },
-          travelMode
+          travelMode,
+          { departureTime: toTravelDateTime(dateStr, lastLoc.endMinutes, timeZone), timeZone }
         );
         actualTravelMinutes = Math.ceil(travelInfo.duration / 60 / 10) * 10;
       } catch (err) {
@@ -110,7 +113,7 @@ export const findAvailableSlot = async (mergedSlot, userId, memberPreferences, t
   return { success: false };
 };
 
-export const findAvailableSlotsWithSplit = async (mergedSlot, userId, memberPreferences, travelDurationMinutes, totalActivityDurationMinutes, blockedTimes, assignedSlotsByDate, startFromLocation, lastLocationByDate, currentMemberLocation, travelMode, travelModeService, ownerToMemberTravelInfo, minStartMinutes = 0) => {
+export const findAvailableSlotsWithSplit = async (mergedSlot, userId, memberPreferences, travelDurationMinutes, totalActivityDurationMinutes, blockedTimes, assignedSlotsByDate, startFromLocation, lastLocationByDate, currentMemberLocation, travelMode, travelModeService, ownerToMemberTravelInfo, minStartMinutes = 0, timeZone) => {
   const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
   const userIdStr = userId.toString();
   const originalDate = new Date(mergedSlot.date);
@@ -172,7 +175,8 @@ export const findAvailableSlotsWithSplit = async (mergedSlot, userId, memberPref
             const lastToCurrentTravel = await travelModeService.calculateTravelTime(
               { lat: lastLocOnDate.location.lat, lng: lastLocOnDate.location.lng },
               { lat: currentMemberLocation.lat, lng: currentMemberLocation.lng },
-              travelMode
+              travelMode,
+              { departureTime: toTravelDateTime(dateStr, lastLocOnDate.endMinutes, timeZone), timeZone }
             );
             actualTravelDuration = Math.ceil(lastToCurrentTravel.duration / 60 / 10) * 10;
             fromLocation = lastLocOnDate.location;
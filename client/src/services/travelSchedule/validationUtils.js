@@ -8,6 +8,7 @@
 import travelModeService from '../travelModeService';
 import { mergeConsecutiveTimeSlots } from '../../utils/timetableHelpers';
 import { toLocalDateString } from './timeUtils';
+import { getUserPlaces, getSessionPlace, getOwnerDayPlaces } from '../../utils/savedLocations';
 
 export const validateWalkingMode = async (currentRoom) => {
   if (!currentRoom || !currentRoom.timeSlots || currentRoom.timeSlots.length === 0) {
@@ -15,21 +16,19 @@ export const validateWalkingMode = async (currentRoom) => {
   }
 
   const owner = currentRoom.owner;
-  if (!owner || !owner.addressLat || !owner.addressLng) {
+  const ownerStartOf = (date) => {
+    const { start } = getOwnerDayPlaces(currentRoom, owner, date);
+    return start && { lat: start.lat, lng: start.lng, name: '방장' };
+  };
+  if (!owner || !currentRoom.timeSlots.some(slot => ownerStartOf(slot.date))) {
     return { isValid: false, message: '방장의 주소 정보가 필요합니다.' };
   }
 
-  const memberLocations = {};
+  const memberUsers = {};
   for (const member of currentRoom.members || []) {
-    if (member.user && member.user.addressLat && member.user.addressLng) {
+    if (member.user && getUserPlaces(member.user).length > 0) {
       const userId = member.user._id || member.user.id;
-      if (userId) {
-        memberLocations[userId.toString()] = {
-          lat: member.user.addressLat,
-          lng: member.user.addressLng,
-          name: `${member.user.firstName || ''} ${member.user.lastName || ''}`.trim() || '사용자'
-        };
-      }
+      if (userId) memberUsers[userId.toString()] = member.user;
     }
   }
 
@@ -43,12 +42,7 @@ export const validateWalkingMode = async (currentRoom) => {
     return a.startTime.localeCompare(b.startTime);
   });
 
-  let previousLocation = {
-    lat: owner.addressLat,
-    lng: owner.addressLng,
-    name: '방장'
-  };
-
+  let previousLocation = null;
   let currentDate = null;
 
   // 모든 경로 검증
@@ -56,11 +50,7 @@ export const validateWalkingMode = async (currentRoom) => {
     const slotDate = toLocalDateString(mergedSlot.date);
     if (slotDate !== currentDate) {
       currentDate = slotDate;
-      previousLocation = {
-        lat: owner.addressLat,
-        lng: owner.addressLng,
-        name: '방장'
-      };
+      previousLocation = ownerStartOf(mergedSlot.date);
     }
 
     let userId = mergedSlot.user;
@@ -69,9 +59,19 @@ export const validateWalkingMode = async (currentRoom) => {
     }
     if (!userId) continue;
 
-    const userIdStr = userId.toString();
-    const memberLocation = memberLocations[userIdStr];
-    if (!memberLocation) continue;
+    const memberUser = memberUsers[userId.toString()];
+    // 조원 위치는 그 수업 선호시간에 지정한 장소 (없으면 집)
+    const place = memberUser && getSessionPlace(memberUser, mergedSlot.date, mergedSlot.startTime, currentRoom._id);
+    if (!place) continue;
+    const memberLocation = {
+      lat: place.lat,
+      lng: place.lng,
+      name: `${memberUser.firstName || ''} ${memberUser.lastName || ''}`.trim() || '사용자'
+    };
+    if (!previousLocation) {
+      previousLocation = memberLocation;
+      continue;
+    }
 
     try {
       const travelInfo = await travelModeService.calculateTravelTime(
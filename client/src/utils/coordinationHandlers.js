@@ -126,7 +126,7 @@ export const handleResetCompletedTimes = async (currentRoom, fetchRoomDetails, s
  * @param {object} currentRoom - 현재 방 정보 객체.
  * @param {Date} currentWeekStartDate - 현재 주의 시작 날짜.
  * @param {object} user - 현재 로그인된 사용자 정보.
- * @param {object} scheduleOptions - 자동 배정 옵션 (minHoursPerWeek, assignmentMode 등).
+ * @param {object} scheduleOptions - 자동 배정 옵션 (minHoursPerWeek, assignmentMode, explain, seed 등).
  * @param {function} setIsScheduling - 스케줄링 진행 상태를 설정하는 함수.
  * @param {function} setScheduleError - 스케줄링 에러 상태를 설정하는 함수.
  * @param {function} setUnassignedMembersInfo - 미배정 멤버 정보를 설정하는 함수.
@@ -135,6 +135,7 @@ export const handleResetCompletedTimes = async (currentRoom, fetchRoomDetails, s
  * @param {function} showAlert - 사용자에게 알림을 표시하는 함수.
  * @param {string} [viewMode='week'] - 현재 뷰 모드.
  * @param {string} [travelMode='normal'] - 선택된 이동 수단.
+ * @param {function} [setScheduleTrace] - 배정 과정 기록(explain 모드 응답의 trace)을 설정하는 함수.
  */
 export const handleRunAutoSchedule = async (
   currentRoom,
@@ -149,7 +150,8 @@ export const handleRunAutoSchedule = async (
   setCurrentRoom,
   showAlert,
   viewMode = 'week',
-  travelMode = 'normal'
+  travelMode = 'normal',
+  setScheduleTrace = null
 ) => {
   console.log('\n\n' + '🚨'.repeat(50));
   console.log('🔥🔥🔥 handleRunAutoSchedule 호출됨! (프론트엔드)');
@@ -175,6 +177,7 @@ export const handleRunAutoSchedule = async (
   setScheduleError(null);
   setUnassignedMembersInfo(null);
   setConflictSuggestions([]); // Reset unassigned members info
+  setScheduleTrace?.(null);
 
   try {
     let uiCurrentWeek;
@@ -268,19 +271,22 @@ export const handleRunAutoSchedule = async (
       numWeeks,
       transportMode: travelMode, // 서버가 기대하는 파라미터명: transportMode
       minClassDurationMinutes, // 추가: 연속 블록 크기 설정
-      clientToday: new Date().toISOString().slice(0, 10)
+      clientToday: new Date().toISOString().slice(0, 10),
+      seed: scheduleOptions.seed?.trim() || null // 동점 처리 시드 (비우면 입력 순서)
     };
     
     // 자동배정 요청 전송 (바로 실행 - 사전 확인 제거)
     const response = await coordinationService.runAutoSchedule(currentRoom._id, { ...finalOptions, skipConfirmation: true });
     
     // 응답 처리
-    const { room: updatedRoom, unassignedMembersInfo: newUnassignedMembersInfo, conflictSuggestions: newConflictSuggestions, warnings } = response;
+    const { room: updatedRoom, unassignedMembersInfo: newUnassignedMembersInfo, conflictSuggestions: newConflictSuggestions, warnings, ruleViolations, trace } = response;
     
-    // ===== warnings 처리 (선호시간 부족 알림) =====
-    if (warnings && warnings.length > 0) {
+    // ===== warnings 처리 (선호시간 부족 알림 + 소프트 배정 규칙 위반) =====
+    const ruleWarnings = (ruleViolations || []).map(violation => ({ type: 'scheduling_rule', message: violation.message }));
+    const allWarnings = [...(warnings || []), ...ruleWarnings];
+    if (allWarnings.length > 0) {
       // warnings를 state에 저장하여 UI 상단에 표시
-      setWarnings(warnings);
+      setWarnings(allWarnings);
     } else {
       // warnings가 없으면 빈 배열로 초기화
       setWarnings([]);
@@ -303,6 +309,9 @@ export const handleRunAutoSchedule = async (
     if (newConflictSuggestions && newConflictSuggestions.length > 0) {
       setConflictSuggestions(newConflictSuggestions);
     }
+    if (trace) {
+      setScheduleTrace?.(trace);
+    }
 
     // Force a deep copy to break memoization in child components
     const newRoomState = JSON.parse(JSON.stringify(updatedRoom));
@@ -505,11 +514,11 @@ export const handleValidateScheduleWithTransportMode = async (currentRoom, trans
       // 검증 실패 - 경고 표시
       const warnings = response.warnings || [];
       
-      // ✅ 멤버별로 그룹화
+      // ✅ 멤버별로 그룹화 (방 자원 중복 예약은 자원 이름으로)
       const memberWarnings = {};
       
       warnings.forEach(w => {
-        const memberName = w.memberName;
+        const memberName = w.memberName || w.resourceName;
         if (!memberWarnings[memberName]) {
           memberWarnings[memberName] = {
             name: memberName,
@@ -532,6 +541,8 @@ export const handleValidateScheduleWithTransportMode = async (currentRoom, trans
           memberWarnings[memberName].issues.push('이동시간 계산 실패');
         } else if (w.type === 'not_assigned') {
           memberWarnings[memberName].issues.push('스케줄에 배정되지 않음');
+        } else if (w.type === 'resource_double_booked' || w.type === 'resource_unavailable' || w.type === 'travel_gap_too_short') {
+          memberWarnings[memberName].issues.push(w.reason);
         }
       });
 
@@ -11,6 +11,8 @@
  *    - 시간 계산 (10분 후 시간 계산) (`calculateEndTime`).
  *    - 설정 객체에서 시간(hour) 추출 (`getHourFromSettings`).
  *    - 사용자 역할 확인 (방장 여부, 현재 사용자 여부 등) (`isRoomOwner`, `isCurrentUser`, `isMemberOwner`).
+ *    - 방 역할(방장/공동 방장/조원/참관인) 확인 (`getRoomRole`, `canManageRoom`, `ROOM_ROLE_LABELS`).
+ *    - 초대 링크 생성/해석 (`buildInviteLink`, `parseInviteInput`, `INVITE_LINK_PARAM`).
  *    - 멤버의 표시 이름 생성 (`getMemberDisplayName`).
  *    - 날짜 객체에서 평일 인덱스 추출 (`getDayIndex`).
  *    - 요청 목록 필터링 (`filterRequestsByRoomAndStatus`, `filterRequestsByType`).
@@ -31,6 +33,7 @@
  * 📝 참고사항:
  *    - `getDayIndex`는 주말(토,일)을 제외하고 평일(월~금)에 대해서만 유효한 인덱스(0~4)를 반환.
  *    - `isRoomOwner`는 `currentRoom.owner` 필드가 ObjectId 객체이거나 문자열 ID일 경우를 모두 처리.
+ *    - 역할별 실제 권한은 서버(server/utils/roomPermissions.js)가 검사하며, 여기서는 화면 표시 여부만 결정.
  *
  * ===================================================================================================
  */
@@ -107,6 +110,75 @@ export const isRoomOwner = (user, currentRoom) => {
   return false;
 };
 
+export const ROOM_ROLE_LABELS = {
+  owner: '방장',
+  co_host: '공동 방장',
+  member: '조원',
+  observer: '참관인'
+};
+
+/**
+ * getRoomRole
+ * @description 현재 로그인된 사용자의 방 역할을 반환합니다.
+ * @param {object} user - 현재 사용자 정보 객체.
+ * @param {object} currentRoom - 현재 방 정보 객체.
+ * @returns {string|null} 'owner' | 'co_host' | 'member' | 'observer', 방에 없으면 null.
+ */
+export const getRoomRole = (user, currentRoom) => {
+  if (!user?.id || !currentRoom) return null;
+  if (isRoomOwner(user, currentRoom)) return 'owner';
+
+  const member = currentRoom.members?.find(m => {
+    const memberId = m.user?._id || m.user?.id || m.user;
+    return memberId && memberId.toString() === user.id.toString();
+  });
+  if (member) return member.role || 'member';
+  return currentRoom.myRole || null;
+};
+
+/**
+ * canManageRoom
+ * @description 방장 또는 공동 방장인지 확인합니다. (자동배정, 확정, 이동모드, 로그 등 관리 화면 표시용)
+ * @param {object} user - 현재 사용자 정보 객체.
+ * @param {object} currentRoom - 현재 방 정보 객체.
+ * @returns {boolean} 관리 권한 여부.
+ */
+export const canManageRoom = (user, currentRoom) => {
+  const role = getRoomRole(user, currentRoom);
+  return role === 'owner' || role === 'co_host';
+};
+
+// 초대 링크: /groups?invite=<token> (로그인 전이면 PENDING_INVITE_STORAGE_KEY에 보관 후 로그인 뒤 이어서 처리)
+export const INVITE_LINK_PARAM = 'invite';
+export const PENDING_INVITE_STORAGE_KEY = 'pendingInviteToken';
+
+/**
+ * buildInviteLink
+ * @description 초대 토큰으로 공유용 링크를 만듭니다. 링크를 열면 조율 탭에서 참여 모달이 바로 열립니다.
+ * @param {string} token - RoomInvite 토큰.
+ * @returns {string} 초대 링크.
+ */
+export const buildInviteLink = (token) =>
+  `${window.location.origin}/groups?${INVITE_LINK_PARAM}=${encodeURIComponent(token)}`;
+
+/**
+ * parseInviteInput
+ * @description 참여 모달 입력값이 초대 링크(또는 토큰)인지 방 코드인지 구분합니다.
+ * @param {string} input - 사용자가 입력/붙여넣은 값.
+ * @returns {{ type: 'token' | 'code', value: string }}
+ */
+export const parseInviteInput = (input) => {
+  const value = input.trim();
+  try {
+    const token = new URL(value).searchParams.get(INVITE_LINK_PARAM);
+    if (token) return { type: 'token', value: token };
+  } catch (e) {
+    // URL이 아니면 코드 또는 토큰
+  }
+  // 방 코드는 8자, 초대 토큰은 32자
+  return value.length > 12 ? { type: 'token', value } : { type: 'code', value: value.toUpperCase() };
+};
+
 /**
  * getMemberDisplayName
  * @description 멤버 객체에서 표시할 이름을 생성합니다. (이름 + 성)
@@ -0,0 +1,166 @@
+/**
+ * ===================================================================================================
+ * savedLocations.js - 사용자 저장 장소(집 / 학교 / 학원 지점)와 수업별 위치 결정
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/utils/savedLocations.js
+ *
+ * 🎯 주요 기능:
+ *    - 사용자의 장소 목록 (`getUserPlaces`) - 프로필 주소는 항상 '집', 그 외는 savedLocations.
+ *    - 조원이 그 수업 시간에 있을 장소 (`getSessionPlace`) - 선호시간에 지정한 장소, 없으면 집.
+ *    - 방장이 그날 출발/도착하는 장소 (`getOwnerDayPlaces`) - 방 설정 ownerDayLocations 기준.
+ *
+ * 🔗 연결된 파일:
+ *    - server/utils/savedLocations.js: 서버 측 동일 규칙 (이동시간 계산 / 검증).
+ *    - ../components/common/SavedLocationsEditor.js: 저장 장소 편집.
+ *    - ../components/schedule/PreferenceLocationSelector.js: 선호시간별 장소 지정.
+ *    - ../components/modals/room/OwnerLocationsPanel.js: 방장 요일별 출발/도착 장소.
+ *    - ../services/travelSchedule/: 이동시간 반영 시간표의 출발지/도착지.
+ *
+ * ✏️ 수정 가이드:
+ *    - 장소 종류를 추가하려면 LOCATION_KIND_LABELS와 서버 LOCATION_KINDS를 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 장소 ID가 비어 있거나 지워진 장소를 가리키면 집으로 계산합니다 (서버와 같은 규칙).
+ *    - 날짜는 시간표 슬롯 날짜(UTC 자정) 또는 'YYYY-MM-DD' 문자열입니다.
+ *
+ * ===================================================================================================
+ */
+
+export const HOME_LOCATION_ID = 'home';
+
+export const LOCATION_KIND_LABELS = {
+  school: '학교',
+  academy: '학원',
+  office: '사무실',
+  other: '기타'
+};
+
+export const DAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDateString = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const isCoordinate = (value, limit) => value !== null && value !== undefined && value !== '' &&
+  Number.isFinite(Number(value)) && Math.abs(Number(value)) <= limit;
+
+/**
+ * 사용자의 장소 목록 (좌표가 있는 것만, 집이 먼저)
+ * @param {object} user - address/addressLat/addressLng, savedLocations 포함
+ * @returns {Array} [{ id, label, kind, address, lat, lng }]
+ */
+export const getUserPlaces = (user) => {
+  if (!user) return [];
+  const places = [];
+  if (isCoordinate(user.addressLat, 90) && isCoordinate(user.addressLng, 180)) {
+    places.push({
+      id: HOME_LOCATION_ID,
+      label: '집',
+      kind: 'home',
+      address: user.address || '',
+      lat: Number(user.addressLat),
+      lng: Number(user.addressLng)
+    });
+  }
+  (user.savedLocations || []).forEach(location => {
+    if (!isCoordinate(location.lat, 90) || !isCoordinate(location.lng, 180)) return;
+    places.push({
+      id: toIdString(location._id),
+      label: location.label,
+      kind: location.kind,
+      address: location.address || '',
+      lat: Number(location.lat),
+      lng: Number(location.lng)
+    });
+  });
+  return places;
+};
+
+/**
+ * 장소 ID로 사용자 장소 찾기 (ID가 비어 있으면 집)
+ */
+export const findUserPlace = (user, locationId) => {
+  const id = locationId ? String(locationId) : HOME_LOCATION_ID;
+  return getUserPlaces(user).find(place => place.id === id) || null;
+};
+
+/**
+ * 조원이 그 수업 시간에 있을 장소
+ * 특정 날짜 선호시간이 요일 반복보다 우선하며, 확정으로 옮겨진 선호시간(deletedPreferencesByRoom)도 봅니다.
+ * @param {object} user - address 필드, savedLocations, defaultSchedule 포함
+ * @param {Date|string} date - 슬롯 날짜
+ * @param {string} startTime - HH:MM
+ * @param {string} [roomId]
+ * @returns {object|null} { id, label, kind, address, lat, lng } (좌표가 없으면 null)
+ */
+export const getSessionPlace = (user, date, startTime, roomId = null) => {
+  const dateStr = toDateString(date);
+  let locationId = null;
+  if (dateStr && startTime) {
+    const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    const minutes = toMinutes(startTime);
+    const covers = window => window.startTime && window.endTime &&
+      minutes >= toMinutes(window.startTime) && minutes < toMinutes(window.endTime);
+    const backup = roomId
+      ? (user?.deletedPreferencesByRoom || []).find(item => toIdString(item.roomId) === toIdString(roomId))
+      : null;
+    const windows = [...(user?.defaultSchedule || []), ...(backup?.deletedTimes || [])];
+    const window = windows.find(w => w.specificDate === dateStr && covers(w)) ||
+      windows.find(w => !w.specificDate && w.dayOfWeek === dayOfWeek && covers(w));
+    locationId = window?.locationId || null;
+  }
+  return (locationId && findUserPlace(user, locationId)) || findUserPlace(user, HOME_LOCATION_ID);
+};
+
+/**
+ * 방장이 그날 출발하는 장소와 마지막 수업 뒤 도착하는 장소
+ * 출발: 그날 지정한 장소 → 방 기준 위치(ownerHomeLocation) → 방장 집
+ * @param {object} room - settings.ownerDayLocations 포함
+ * @param {object} owner - address 필드, savedLocations 포함
+ * @param {Date|string} date
+ * @returns {{ start: object|null, end: object|null }}
+ */
+export const getOwnerDayPlaces = (room, owner, date) => {
+  const dateStr = toDateString(date);
+  const dayOfWeek = dateStr ? new Date(`${dateStr}T00:00:00Z`).getUTCDay() : null;
+  const entries = room?.settings?.ownerDayLocations || [];
+  const entry = entries.find(e => e.specificDate && e.specificDate === dateStr) ||
+    entries.find(e => !e.specificDate && e.dayOfWeek === dayOfWeek);
+
+  const roomHome = room?.ownerHomeLocation?.coordinates;
+  const roomStart = isCoordinate(roomHome?.lat, 90) && isCoordinate(roomHome?.lng, 180)
+    ? {
+      id: 'room',
+      label: room.ownerHomeLocation.description || '방 기준 위치',
+      kind: 'other',
+      address: room.ownerHomeLocation.address || '',
+      lat: Number(roomHome.lat),
+      lng: Number(roomHome.lng)
+    }
+    : null;
+
+  const start = (entry?.startLocationId && findUserPlace(owner, entry.startLocationId)) ||
+    roomStart ||
+    findUserPlace(owner, HOME_LOCATION_ID);
+  const end = entry?.endLocationId ? findUserPlace(owner, entry.endLocationId) : null;
+  return { start, end };
+};
+
+/**
+ * 장소 표시 이름 (예: '학교 · 서울고')
+ */
+export const formatPlaceLabel = (place) => {
+  if (!place) return '';
+  const kindLabel = LOCATION_KIND_LABELS[place.kind];
+  return kindLabel && kindLabel !== place.label ? `${place.label} (${kindLabel})` : place.label;
+};
@@ -0,0 +1,47 @@
+/**
+ * ===================================================================================================
+ * socketClient.js - Firebase 인증 토큰을 핸드셰이크에 포함하는 Socket.io 클라이언트 생성 함수
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/utils/socketClient.js
+ *
+ * 🎯 주요 기능:
+ *    - 연결(및 재연결) 시마다 최신 Firebase ID 토큰을 `auth.token`으로 전달하는 소켓 생성.
+ *    - 서버는 이 토큰으로 사용자를 확인하고, 방장/조원에게만 `join-room`을 허용합니다.
+ *
+ * 🔗 연결된 파일:
+ *    - ../config/firebaseConfig.js: Firebase 인증 객체 `auth` 사용.
+ *    - server/middleware/socketAuth.js: 핸드셰이크 토큰 검증.
+ *    - 소켓을 사용하는 컴포넌트 (GroupChat, SuggestionModal, CoordinationTab, ReminderListener, useNotifications)
+ *
+ * ✏️ 수정 가이드:
+ *    - 소켓 공통 옵션(transports 등)을 바꾸려면 `createSocket`의 옵션 객체를 수정.
+ *
+ * 📝 참고사항:
+ *    - `auth` 옵션을 함수로 넘기면 재연결 때마다 호출되므로 만료된 토큰으로 재연결되지 않습니다.
+ *
+ * ===================================================================================================
+ */
+import { io } from 'socket.io-client';
+import { auth } from '../config/firebaseConfig';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+
+/**
+ * createSocket
+ * @description Firebase ID 토큰으로 인증하는 Socket.io 클라이언트를 생성합니다.
+ * @returns {import('socket.io-client').Socket} 생성된 소켓.
+ */
+export const createSocket = () => io(API_BASE_URL, {
+  transports: ['websocket', 'polling'],
+  auth: (cb) => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      cb({});
+      return;
+    }
+    currentUser.getIdToken()
+      .then(token => cb({ token }))
+      .catch(() => cb({}));
+  }
+});
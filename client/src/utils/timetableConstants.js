@@ -62,6 +62,7 @@ export const REQUEST_TYPES = {
   TIME_CHANGE: 'time_change',
   SLOT_SWAP: 'slot_swap',
   SLOT_RELEASE: 'slot_release',
+  ROUTE_REORDER: 'route_reorder',
 };
 
 // Request debounce time in milliseconds
@@ -321,6 +321,7 @@ export const getSlotOwner = (date, time, timeSlots, members, currentUser, isRoom
         userId: userId,
         actualUserId: actualUserId,
         subject: bookedSlot.subject,
+        resourceId: bookedSlot.resourceId,
         isTravel: false, // Explicitly set
         travelInfo: bookedSlot.travelInfo
       };
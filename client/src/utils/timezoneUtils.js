@@ -0,0 +1,250 @@
+/**
+ * ===================================================================================================
+ * timezoneUtils.js - 방 시간대와 조회자 시간대 사이의 슬롯 변환 유틸리티
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/utils/timezoneUtils.js
+ *
+ * 🎯 주요 기능:
+ *    - 조회자 시간대 결정 (`getViewerTimezone`: 사용자 설정 → 브라우저 시간대).
+ *    - 방 시간대 결정 (`getRoomTimezone`: 방 settings.timezone).
+ *    - 방 시간대로 저장된 슬롯을 조회자 시간대로 변환 (`convertSlotsToZone`, 자정을 넘으면 날짜별로 분할).
+ *    - 그리드에서 선택한 날짜/시간을 다시 방 시간대로 변환 (`convertSlotFieldsToZone`).
+ *    - 벽시계 시각 ↔ 실제 시각 변환 (`wallClockToDate`, `toZonedParts`: 이동시간 출발 시각 계산용).
+ *
+ * 🔗 연결된 파일:
+ *    - ../components/timetable/TimetableGrid.js: 주간 그리드(WeekView) 표시용 변환 및 요청 시 역변환.
+ *    - ../components/calendar/CoordinationCalendarView.js: 캘린더 뷰 표시용 변환.
+ *    - ../components/timetable/MonthView.js: 월간 뷰 표시용 변환.
+ *    - server/utils/timezone.js: 서버 측 동일 계산.
+ *
+ * 💡 UI 위치:
+ *    - 조율 탭의 주간/월간 시간표에서 슬롯을 조회자 시간대로 표시할 때 백그라운드로 사용됨.
+ *
+ * ✏️ 수정 가이드:
+ *    - 기본 시간대를 바꾸려면 DEFAULT_TIMEZONE 수정 (서버 기본값과 함께).
+ *
+ * 📝 참고사항:
+ *    - 방 슬롯의 date는 해당 날짜의 UTC 자정, startTime/endTime은 방 시간대의 HH:MM 입니다.
+ *    - 변환된 슬롯도 같은 형식(UTC 자정 + HH:MM)을 유지하므로 기존 날짜 비교 로직을 그대로 쓸 수 있습니다.
+ *    - 두 시간대가 같으면 원본 배열을 그대로 반환합니다.
+ *
+ * ===================================================================================================
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * isValidTimezone
+ * @description 유효한 IANA 시간대 이름인지 확인합니다.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * getBrowserTimezone
+ * @description 브라우저의 시간대를 반환합니다. 알 수 없으면 기본 시간대를 반환합니다.
+ * @returns {string}
+ */
+export const getBrowserTimezone = () => {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * getViewerTimezone
+ * @description 조회자 시간대. 프로필에 저장된 시간대를 우선하고, 없으면 브라우저 시간대를 사용합니다.
+ * @param {Object} user - 현재 사용자 (timezone 또는 preferences.timezone)
+ * @returns {string}
+ */
+export const getViewerTimezone = (user) => {
+  const timeZone = user?.timezone || user?.preferences?.timezone;
+  return isValidTimezone(timeZone) ? timeZone : getBrowserTimezone();
+};
+
+/**
+ * getRoomTimezone
+ * @description 방 시간대 (방 슬롯의 기준 시간대).
+ * @param {Object} roomSettings - 방 settings
+ * @returns {string}
+ */
+export const getRoomTimezone = (roomSettings) => (
+  isValidTimezone(roomSettings?.timezone) ? roomSettings.timezone : DEFAULT_TIMEZONE
+);
+
+const getOffset = (utcMs, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+const wallClockToMs = (dateStr, time, timeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // 서머타임 경계 보정: 계산된 시각의 오프셋으로 한 번 더 맞춤
+  return wallClock - getOffset(wallClock - getOffset(wallClock, timeZone), timeZone);
+};
+
+/**
+ * toZonedParts
+ * @description UTC 시각을 시간대 기준 벽시계 값으로 변환합니다.
+ * @param {Date|number} ms
+ * @param {string} timeZone
+ * @returns {{dateStr: string, time: string, dayOfWeek: number, minutes: number}} dayOfWeek: 0(일) ~ 6(토)
+ */
+export const toZonedParts = (ms, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(ms));
+  const get = type => parts.find(p => p.type === type).value;
+  const dateStr = `${get('year')}-${get('month')}-${get('day')}`;
+  return {
+    dateStr,
+    time: `${get('hour')}:${get('minute')}`,
+    dayOfWeek: new Date(`${dateStr}T00:00:00Z`).getUTCDay(),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+};
+
+/**
+ * wallClockToDate
+ * @description 날짜 문자열 + HH:MM을 해당 시간대의 실제 시각(Date)으로 변환합니다.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const wallClockToDate = (dateStr, time, timeZone) => new Date(wallClockToMs(dateStr, time, timeZone));
+
+const shiftDateStr = (dateStr, days) => (
+  new Date(new Date(`${dateStr}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0]
+);
+
+const toDateStr = (date) => {
+  const d = new Date(date);
+  return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+};
+
+/**
+ * convertTimeRange
+ * @description 한 시간대의 시간 범위를 다른 시간대로 변환합니다. 자정을 넘으면 날짜별로 나누어 반환합니다.
+ * @param {string} dateStr - 원래 시간대의 날짜 (YYYY-MM-DD)
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM ("24:00" 허용)
+ * @param {string} fromTz
+ * @param {string} toTz
+ * @returns {Array<{dateStr: string, day: string, startTime: string, endTime: string}>}
+ */
+export const convertTimeRange = (dateStr, startTime, endTime, fromTz, toTz) => {
+  if (fromTz === toTz) {
+    const day = DAY_NAMES[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+    return [{ dateStr, day, startTime, endTime }];
+  }
+
+  const endMs = wallClockToMs(dateStr, endTime, fromTz);
+  const ranges = [];
+  let cursor = wallClockToMs(dateStr, startTime, fromTz);
+
+  while (cursor < endMs) {
+    const start = toZonedParts(cursor, toTz);
+    const nextMidnight = wallClockToMs(shiftDateStr(start.dateStr, 1), '00:00', toTz);
+    const segmentEnd = Math.min(endMs, nextMidnight);
+
+    ranges.push({
+      dateStr: start.dateStr,
+      day: DAY_NAMES[new Date(`${start.dateStr}T00:00:00Z`).getUTCDay()],
+      startTime: start.time,
+      endTime: segmentEnd === nextMidnight ? '24:00' : toZonedParts(segmentEnd, toTz).time
+    });
+    cursor = segmentEnd;
+  }
+
+  return ranges;
+};
+
+/**
+ * convertSlotsToZone
+ * @description 슬롯 배열(date + startTime/endTime)을 다른 시간대로 변환합니다.
+ * @param {Array} slots - 방 슬롯 또는 이동시간 슬롯
+ * @param {string} fromTz - 슬롯의 현재 기준 시간대
+ * @param {string} toTz - 변환할 시간대
+ * @returns {Array} 변환된 슬롯 배열 (date는 ISO 문자열)
+ */
+export const convertSlotsToZone = (slots, fromTz, toTz) => {
+  if (!slots || fromTz === toTz) return slots;
+
+  return slots.flatMap(slot => {
+    const dateStr = slot.date ? toDateStr(slot.date) : null;
+    if (!dateStr || !slot.startTime || !slot.endTime) return [slot];
+
+    return convertTimeRange(dateStr, slot.startTime, slot.endTime, fromTz, toTz).map(range => ({
+      ...slot,
+      date: `${range.dateStr}T00:00:00.000Z`,
+      day: range.day,
+      startTime: range.startTime,
+      endTime: range.endTime
+    }));
+  });
+};
+
+/**
+ * convertSlotFieldsToZone
+ * @description 요청/삭제 데이터의 date, day, startTime, endTime, time 값을 다른 시간대로 변환합니다.
+ *              date가 Date 객체면 Date 객체로, 문자열이면 ISO 문자열로 돌려줍니다.
+ * @param {Object} fields - { date, day, startTime, endTime, time, ... }
+ * @param {string} fromTz
+ * @param {string} toTz
+ * @returns {Object}
+ */
+export const convertSlotFieldsToZone = (fields, fromTz, toTz) => {
+  if (!fields || fromTz === toTz) return fields;
+
+  const dateStr = fields.date ? toDateStr(fields.date) : null;
+  const startTime = fields.startTime || fields.time;
+  if (!dateStr || !startTime) return fields;
+
+  const start = toZonedParts(wallClockToMs(dateStr, startTime, fromTz), toTz);
+  const convertedDate = `${start.dateStr}T00:00:00.000Z`;
+
+  let endTime;
+  if (fields.endTime) {
+    // 종료가 시작보다 이르면(예: "00:00") 다음날 종료
+    const endDateStr = fields.endTime > startTime ? dateStr : shiftDateStr(dateStr, 1);
+    endTime = toZonedParts(wallClockToMs(endDateStr, fields.endTime, fromTz), toTz).time;
+  }
+
+  return {
+    ...fields,
+    date: fields.date instanceof Date ? new Date(convertedDate) : convertedDate,
+    ...(fields.day && { day: DAY_NAMES[new Date(convertedDate).getUTCDay()] }),
+    ...(fields.startTime && { startTime: start.time }),
+    ...(endTime && { endTime }),
+    ...(fields.time && { time: start.time })
+  };
+};
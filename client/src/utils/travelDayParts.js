@@ -0,0 +1,114 @@
+/**
+ * ===================================================================================================
+ * travelDayParts.js - 출발 시간대(출근/퇴근 혼잡, 심야)별 이동시간 배율
+ * ===================================================================================================
+ *
+ * 📍 위치: 프론트엔드 > client/src/utils/travelDayParts.js
+ *
+ * 🎯 주요 기능:
+ *    - 출발 시각이 어느 시간대에 속하는지 판단 (`getDayPart`, 방 시간대의 벽시계 기준).
+ *    - 시간대별 이동수단 배율 (`getDayPartMultiplier`) - Google 길찾기를 쓸 수 없을 때 추정값에 곱함.
+ *    - 시간표 날짜 + 분으로 실제 출발 시각 생성 (`toTravelDateTime`).
+ *
+ * 🔗 연결된 파일:
+ *    - ../services/travelModeService.js: 오프라인 추정(`estimateTravelTime`)에 배율 적용.
+ *    - ../services/travelSchedule/: 이동 구간마다 출발/도착 시각 전달.
+ *    - server/services/routing/dayParts.js: 서버 측 동일 기본값 (ROUTING_DAY_PARTS).
+ *
+ * ✏️ 수정 가이드:
+ *    - 기본 시간대/배율을 바꾸려면 DEFAULT_DAY_PARTS 수정 (서버 기본값과 함께).
+ *    - 배포 환경에서는 REACT_APP_TRAVEL_DAY_PARTS(JSON 배열)로 덮어쓸 수 있음.
+ *
+ * 📝 참고사항:
+ *    - days는 0(일)~6(토), 생략하면 매일. end가 start보다 이르면 자정을 넘기는 시간대 (자정 이후는 전날 요일 기준).
+ *    - 어느 시간대에도 속하지 않으면 'offpeak' (배율 1).
+ *
+ * ===================================================================================================
+ */
+
+import { DEFAULT_TIMEZONE, toZonedParts, wallClockToDate } from './timezoneUtils';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const OFFPEAK = { key: 'offpeak', multipliers: {} };
+
+const DEFAULT_DAY_PARTS = [
+  { key: 'morning_peak', days: WEEKDAYS, start: '07:00', end: '09:30', multipliers: { driving: 1.5, transit: 1.15, bicycling: 1.05 } },
+  { key: 'evening_peak', days: WEEKDAYS, start: '17:00', end: '19:30', multipliers: { driving: 1.6, transit: 1.2, bicycling: 1.05 } },
+  { key: 'late_night', start: '23:00', end: '05:00', multipliers: { driving: 0.85, transit: 1.5 } }
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const loadDayParts = () => {
+  let configured = DEFAULT_DAY_PARTS;
+  if (process.env.REACT_APP_TRAVEL_DAY_PARTS) {
+    try {
+      const parsed = JSON.parse(process.env.REACT_APP_TRAVEL_DAY_PARTS);
+      if (Array.isArray(parsed) && parsed.every(part => part.key && part.start && part.end)) {
+        configured = parsed;
+      }
+    } catch (err) {
+      console.warn('REACT_APP_TRAVEL_DAY_PARTS가 올바른 JSON이 아니어서 기본 시간대를 사용합니다.');
+    }
+  }
+  return configured.map(part => ({
+    ...part,
+    startMinutes: toMinutes(part.start),
+    endMinutes: toMinutes(part.end),
+    multipliers: part.multipliers || {}
+  }));
+};
+
+const DAY_PARTS = loadDayParts();
+
+const isInPart = (part, { dayOfWeek, minutes }) => {
+  const matchesDay = day => !part.days || part.days.includes(day);
+  if (part.startMinutes <= part.endMinutes) {
+    return matchesDay(dayOfWeek) && minutes >= part.startMinutes && minutes < part.endMinutes;
+  }
+  if (minutes >= part.startMinutes) return matchesDay(dayOfWeek);
+  return minutes < part.endMinutes && matchesDay((dayOfWeek + 6) % 7);
+};
+
+/**
+ * getDayPart
+ * @description 출발 시각이 속한 시간대를 반환합니다.
+ * @param {Date} departureTime
+ * @param {string} [timeZone] - 방 시간대
+ * @returns {{ key: string, multipliers: Object }}
+ */
+export const getDayPart = (departureTime, timeZone = DEFAULT_TIMEZONE) => {
+  const clock = toZonedParts(departureTime, timeZone);
+  return DAY_PARTS.find(part => isInPart(part, clock)) || OFFPEAK;
+};
+
+/**
+ * getDayPartMultiplier
+ * @description 출발 시각과 이동수단에 해당하는 배율 (출발 시각이 없으면 1).
+ * @param {Date} [departureTime]
+ * @param {string} mode - 'transit' | 'driving' | 'bicycling' | 'walking'
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export const getDayPartMultiplier = (departureTime, mode, timeZone = DEFAULT_TIMEZONE) => {
+  if (!departureTime) return 1;
+  return getDayPart(departureTime, timeZone).multipliers[mode] ?? 1;
+};
+
+/**
+ * toTravelDateTime
+ * @description 시간표 날짜와 자정부터 지난 분으로 실제 시각을 만듭니다.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} minutes - 자정부터 지난 분 (0 미만은 0, 24시 이후는 23:59로 맞춤)
+ * @param {string} [timeZone] - 방 시간대
+ * @returns {Date|null}
+ */
+export const toTravelDateTime = (dateStr, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  if (!dateStr || minutes == null || Number.isNaN(minutes)) return null;
+  const clamped = Math.min(Math.max(0, Math.round(minutes)), 24 * 60 - 1);
+  const time = `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+  return wallClockToDate(dateStr, time, timeZone);
+};
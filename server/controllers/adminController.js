@@ -1,6 +1,7 @@
 const User = require('../models/user');
 const Room = require('../models/room');
 const ActivityLog = require('../models/ActivityLog');
+const routing = require('../services/routing');
 const { auth: firebaseAuth } = require('../config/firebaseAdmin');
 
 // 관리자 비밀번호 (환경변수로 관리 권장)
@@ -377,6 +378,16 @@ exports.getDashboardStats = async (req, res) => {
   }
 };
 
+// 이동시간 캐시 통계 (프로세스 적중률 + 공유 저장소 현황)
+exports.getTravelCacheStats = async (req, res) => {
+  try {
+    res.json(await routing.getCacheStats());
+  } catch (error) {
+    console.error('Get travel cache stats error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
 // 최근 활동 조회
 exports.getRecentActivities = async (req, res) => {
   try {
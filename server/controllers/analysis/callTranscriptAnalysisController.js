@@ -1,4 +1,4 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('../../services/llm');
 
 // 통화 내용에서 일정 정보 분석
 exports.analyzeCallTranscript = async (req, res) => {
@@ -12,26 +12,6 @@ exports.analyzeCallTranscript = async (req, res) => {
          });
       }
 
-      // Gemini API 키 확인
-      const API_KEY = process.env.GEMINI_API_KEY;
-      if (!API_KEY || API_KEY.trim().length === 0) {
-         return res.status(500).json({
-            success: false,
-            message: 'Gemini API 키가 설정되지 않았습니다.'
-         });
-      }
-
-      // API 키 형식 기본 검증 (Google API 키는 보통 39자)
-      if (API_KEY.length < 30) {
-         return res.status(500).json({
-            success: false,
-            message: 'Gemini API 키 형식이 올바르지 않습니다.'
-         });
-      }
-
-      const genAI = new GoogleGenerativeAI(API_KEY);
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
       const currentDate = new Date();
       const currentYear = currentDate.getFullYear();
       const currentMonth = currentDate.getMonth() + 1;
@@ -119,15 +99,14 @@ exports.analyzeCallTranscript = async (req, res) => {
 
 일정과 관련 없는 내용이면: {"schedules": []}`;
 
-      let response;
+      let text;
       let attempts = 0;
       const maxAttempts = 3;
       const delay = 2000; // 2 seconds
 
       while (attempts < maxAttempts) {
         try {
-          const result = await model.generateContent(prompt);
-          response = await result.response;
+          text = await llm.generateText(prompt);
           break; // Success, exit loop
         } catch (error) {
           attempts++;
@@ -140,8 +119,6 @@ exports.analyzeCallTranscript = async (req, res) => {
         }
       }
       
-      const text = response.text();
-      
       let parsedResult;
       try {
          // JSON 마크다운 제거 및 파싱
@@ -1,4 +1,4 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('../../services/llm');
 
 // 클립보드 텍스트 분석 (LLM 기반)
 exports.analyzeClipboardText = async (req, res) => {
@@ -11,21 +11,6 @@ exports.analyzeClipboardText = async (req, res) => {
             message: '분석할 텍스트가 필요합니다.'
          });
       }
-      // Gemini API 키 확인
-      const API_KEY = process.env.GEMINI_API_KEY;
-      if (!API_KEY || API_KEY.trim().length === 0) {
-         // 폴백: 키워드 기반 분석 - text 변수가 스코프에 있어야 함
-         return analyzeWithKeywords(text, res);
-      }
-
-      // API 키 형식 기본 검증 (Google API 키는 보통 39자)
-      if (API_KEY.length < 30) {
-         return analyzeWithKeywords(text, res);
-      }
-
-      const genAI = new GoogleGenerativeAI(API_KEY);
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
       const currentDate = new Date();
       const currentYear = currentDate.getFullYear();
       const currentMonth = currentDate.getMonth() + 1;
@@ -130,9 +115,13 @@ exports.analyzeClipboardText = async (req, res) => {
 일정과 무관한 텍스트면: {"isScheduleRelated": false, "confidence": 0, "reasoning": "일정과 무관한 내용"}
 텍스트 품질에 문제가 있으면: {"isScheduleRelated": false, "confidence": 0, "reasoning": "텍스트에 이상한 문자나 패턴이 포함되어 있어 정상적인 일정으로 인식할 수 없습니다"}`;
 
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text_response = response.text();
+      let text_response;
+      try {
+         text_response = await llm.generateText(prompt);
+      } catch (llmError) {
+         // 폴백: AI 백엔드 미설정/호출 실패 시 키워드 기반 분석
+         return analyzeWithKeywords(text, res);
+      }
       
       let parsedResult;
       try {
@@ -1,5 +1,4 @@
 const { google } = require('googleapis');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const User = require('../models/user');
 const Event = require('../models/event');
 const ScheduleSuggestion = require('../models/ScheduleSuggestion');
@@ -7,9 +6,8 @@ const RejectedSuggestion = require('../models/RejectedSuggestion');
 const Message = require('../models/ChatMessage');
 const { deleteFromGoogleCalendar } = require('../services/confirmScheduleService');
 const multer = require('multer');
-
-// Gemini AI 초기화
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../services/llm');
+const { resolveTimezone, getUserTimezone, toZonedParts, getWeekStartInZone, shiftDateStr } = require('../utils/timezone');
 
 // Access Token 갱신 함수
 const updateAccessToken = async (user) => {
@@ -125,6 +123,8 @@ exports.createGoogleCalendarEvent = async (req, res) => {
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
 
     const { title, description, startDateTime, endDateTime, location, participantsCount, externalParticipants } = req.body;
+    // 요청에 시간대가 없으면 사용자 시간대 기준
+    const timeZone = resolveTimezone(req.body.timeZone, getUserTimezone(user));
 
     const event = {
       summary: title,
@@ -132,11 +132,11 @@ exports.createGoogleCalendarEvent = async (req, res) => {
       location: location || '',
       start: {
         dateTime: startDateTime,
-        timeZone: 'Asia/Seoul',
+        timeZone,
       },
       end: {
         dateTime: endDateTime,
-        timeZone: 'Asia/Seoul',
+        timeZone,
       },
       extendedProperties: {
         private: {
@@ -381,6 +381,7 @@ exports.updateGoogleCalendarEvent = async (req, res) => {
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const { eventId } = req.params;
     const { title, description, startDateTime, endDateTime, etag } = req.body;
+    const timeZone = resolveTimezone(req.body.timeZone, getUserTimezone(user));
 
     if (new Date(startDateTime) >= new Date(endDateTime)) {
       return res.status(400).json({ msg: '종료 시간은 시작 시간보다 늦어야 합니다.' });
@@ -391,11 +392,11 @@ exports.updateGoogleCalendarEvent = async (req, res) => {
       description: description,
       start: {
         dateTime: startDateTime,
-        timeZone: 'Asia/Seoul',
+        timeZone,
       },
       end: {
         dateTime: endDateTime,
-        timeZone: 'Asia/Seoul',
+        timeZone,
       },
     };
 
@@ -451,6 +452,8 @@ const syncEventsToGoogleInternal = async (userId) => {
   }
 
   const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  // 개인시간은 사용자 시간대의 벽시계 시각으로 저장되어 있음
+  const timeZone = getUserTimezone(user);
 
   const personalTimeEvents = (user.personalTimes || [])
     .filter(pt => pt.specificDate)
@@ -459,8 +462,8 @@ const syncEventsToGoogleInternal = async (userId) => {
       title: pt.title || '개인 일정',
       description: pt.description || '',
       location: pt.location || '',
-      startDateTime: `${pt.specificDate}T${pt.startTime}:00+09:00`,
-      endDateTime: `${pt.specificDate}T${pt.endTime}:00+09:00`,
+      startDateTime: `${pt.specificDate}T${pt.startTime}:00`,
+      endDateTime: `${pt.specificDate}T${pt.endTime}:00`,
       suggestionId: pt.suggestionId || null,
       roomId: pt.roomId || null,
     }));
@@ -523,8 +526,8 @@ const syncEventsToGoogleInternal = async (userId) => {
           summary: ev.title,
           description: ev.description,
           location: ev.location,
-          start: { dateTime: ev.startDateTime, timeZone: 'Asia/Seoul' },
-          end: { dateTime: ev.endDateTime, timeZone: 'Asia/Seoul' },
+          start: { dateTime: ev.startDateTime, timeZone },
+          end: { dateTime: ev.endDateTime, timeZone },
           extendedProperties: {
             private: {
               source: 'meetagent',
@@ -847,39 +850,23 @@ exports.analyzeImage = async (req, res) => {
       });
     }
 
-    // Gemini Vision 모델 가져오기
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
     // 이미지를 Base64로 변환
     const imageBase64 = req.file.buffer.toString('base64');
 
-    // 현재 날짜 정보 생성
+    // 현재 날짜 정보 생성 (사용자 시간대 기준)
+    const user = await User.findById(req.user.id).select('preferences.timezone');
+    const timeZone = getUserTimezone(user);
     const today = new Date();
-    const currentDate = today.toISOString().split('T')[0];
-    const currentDay = today.getDay(); // 0=일요일, 1=월요일, ...
+    const currentDate = toZonedParts(today, timeZone).dateStr;
 
     // 이번 주 월요일부터 금요일까지의 날짜 계산
     const getThisWeekDates = (today) => {
       const dates = {};
       const daysOfWeek = ['월', '화', '수', '목', '금'];
-
-      // 한국 시간대로 현재 날짜 계산
-      const koreaDate = new Date(today.toLocaleString("en-US", {timeZone: "Asia/Seoul"}));
-
-      // 이번 주 월요일 찾기
-      const thisMonday = new Date(koreaDate);
-      const dayOfWeek = koreaDate.getDay(); // 0=일요일, 1=월요일, ...
-      const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // 일요일인 경우 지난 주 월요일로
-      thisMonday.setDate(koreaDate.getDate() - daysFromMonday);
+      const thisMonday = getWeekStartInZone(today, timeZone).toISOString().split('T')[0];
 
       daysOfWeek.forEach((day, index) => {
-        const date = new Date(thisMonday);
-        date.setDate(thisMonday.getDate() + index);
-        // 한국 시간대 기준으로 YYYY-MM-DD 형식 생성
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const dayStr = String(date.getDate()).padStart(2, '0');
-        dates[day] = `${year}-${month}-${dayStr}`;
+        dates[day] = shiftDateStr(thisMonday, index);
       });
 
       return dates;
@@ -941,19 +928,10 @@ exports.analyzeImage = async (req, res) => {
 }
 `;
 
-    // 이미지와 함께 API 호출
-    const result = await model.generateContent([
-      prompt,
-      {
-        inlineData: {
-          data: imageBase64,
-          mimeType: req.file.mimetype
-        }
-      }
-    ]);
-
-    const response = await result.response;
-    const text = response.text();
+    // 이미지와 함께 AI 호출
+    const text = await llm.generateText(prompt, {
+      images: [{ data: imageBase64, mimeType: req.file.mimetype }]
+    });
 
     try {
 
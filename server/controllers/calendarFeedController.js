@@ -0,0 +1,197 @@
+/**
+ * ===================================================================================================
+ * Calendar Feed Controller (iCalendar 내보내기/구독 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 개인/방 일정을 .ics 파일로 내보내고, 토큰 기반 읽기 전용 구독 URL을 관리
+ *
+ * 주요 기능:
+ * - GET  /api/events/export.ics - 내 일정 내보내기 (로그인 필요)
+ * - POST /api/events/feed-token - 내 구독 URL 발급/재발급
+ * - DELETE /api/events/feed-token - 내 구독 URL 폐기
+ * - GET  /api/coordination/rooms/:roomId/export.ics - 방 확정 시간표 내보내기 (방장, 공동 방장)
+ * - POST/DELETE /api/coordination/rooms/:roomId/feed-token - 방 구독 URL 발급/폐기 (방장, 공동 방장)
+ * - GET  /api/feeds/users/:token.ics, /api/feeds/rooms/:token.ics - 공개 구독 피드 (토큰 인증)
+ *
+ * 관련 파일:
+ * - server/services/calendarFeedService.js - 피드 생성
+ * - server/routes/feeds.js - 공개 구독 라우트
+ *
+ * ===================================================================================================
+ */
+
+const User = require('../models/user');
+const Room = require('../models/room');
+const calendarFeedService = require('../services/calendarFeedService');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+/**
+ * .ics 응답 전송
+ * @param {Object} res - Express 응답
+ * @param {string} ics - .ics 문서
+ * @param {string} filename - 다운로드 파일명
+ * @param {boolean} asAttachment - 첨부파일로 내려줄지 여부 (구독 피드는 inline)
+ */
+const sendCalendar = (res, ics, filename, asAttachment) => {
+   res.set('Content-Type', 'text/calendar; charset=utf-8');
+   res.set('Cache-Control', 'private, max-age=300');
+   res.set('Content-Disposition', `${asAttachment ? 'attachment' : 'inline'}; filename="${filename}"`);
+   res.send(ics);
+};
+
+/**
+ * 구독 URL 생성
+ * @param {Object} req - Express 요청
+ * @param {string} type - 'users' | 'rooms'
+ * @param {string} token - 피드 토큰
+ * @returns {string}
+ */
+const buildFeedUrl = (req, type, token) => {
+   const baseUrl = process.env.PUBLIC_API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+   return `${baseUrl}/api/feeds/${type}/${token}.ics`;
+};
+
+/**
+ * 방장/공동 방장 권한으로 방 조회
+ * @returns {Promise<{room?: Object, error?: {status: number, msg: string}}>}
+ */
+const findManagedRoom = async (roomId, userId, select = '') => {
+   const room = await Room.findById(roomId).select(`owner members.user members.role ${select}`.trim());
+   if (!room) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+   if (!room.hasPermission(userId, ROOM_PERMISSIONS.VIEW_LOGS)) {
+      return { error: { status: 403, msg: '방장 또는 공동 방장만 접근할 수 있습니다.' } };
+   }
+   return { room };
+};
+
+// @desc    내 일정 .ics 내보내기
+// @route   GET /api/events/export.ics
+// @access  Private
+exports.exportMyCalendar = async (req, res) => {
+   try {
+      const ics = await calendarFeedService.buildUserCalendar(req.user.id);
+      sendCalendar(res, ics, 'my-schedule.ics', true);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    내 구독 URL 발급 (기존 URL은 무효화)
+// @route   POST /api/events/feed-token
+// @access  Private
+exports.createMyFeedToken = async (req, res) => {
+   try {
+      const token = calendarFeedService.generateFeedToken();
+      await User.updateOne({ _id: req.user.id }, { $set: { calendarFeedToken: token } });
+      res.json({ url: buildFeedUrl(req, 'users', token) });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    내 구독 URL 조회
+// @route   GET /api/events/feed-token
+// @access  Private
+exports.getMyFeedToken = async (req, res) => {
+   try {
+      const user = await User.findById(req.user.id).select('+calendarFeedToken');
+      const token = user?.calendarFeedToken;
+      res.json({ url: token ? buildFeedUrl(req, 'users', token) : null });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    내 구독 URL 폐기
+// @route   DELETE /api/events/feed-token
+// @access  Private
+exports.revokeMyFeedToken = async (req, res) => {
+   try {
+      await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: 1 } });
+      res.json({ msg: '구독 URL이 폐기되었습니다.' });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    방 확정 시간표 .ics 내보내기
+// @route   GET /api/coordination/rooms/:roomId/export.ics?includeTravel=1
+// @access  Private (Owner / Co-host)
+exports.exportRoomCalendar = async (req, res) => {
+   try {
+      const { error } = await findManagedRoom(req.params.roomId, req.user.id);
+      if (error) return res.status(error.status).json({ msg: error.msg });
+
+      const ics = await calendarFeedService.buildRoomCalendar(req.params.roomId, {
+         includeTravel: req.query.includeTravel === '1' || req.query.includeTravel === 'true'
+      });
+      sendCalendar(res, ics, `room-${req.params.roomId}.ics`, true);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    방 구독 URL 발급 (기존 URL은 무효화)
+// @route   POST /api/coordination/rooms/:roomId/feed-token
+// @access  Private (Owner / Co-host)
+exports.createRoomFeedToken = async (req, res) => {
+   try {
+      const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+      if (error) return res.status(error.status).json({ msg: error.msg });
+
+      const token = calendarFeedService.generateFeedToken();
+      await Room.updateOne({ _id: room._id }, { $set: { calendarFeedToken: token } });
+
+      const url = buildFeedUrl(req, 'rooms', token);
+      res.json({ url, urlWithTravel: `${url}?includeTravel=1` });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    방 구독 URL 폐기
+// @route   DELETE /api/coordination/rooms/:roomId/feed-token
+// @access  Private (Owner / Co-host)
+exports.revokeRoomFeedToken = async (req, res) => {
+   try {
+      const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+      if (error) return res.status(error.status).json({ msg: error.msg });
+
+      await Room.updateOne({ _id: room._id }, { $unset: { calendarFeedToken: 1 } });
+      res.json({ msg: '구독 URL이 폐기되었습니다.' });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    사용자 구독 피드 (토큰 인증, 읽기 전용)
+// @route   GET /api/feeds/users/:token.ics
+// @access  Public (token)
+exports.getUserFeed = async (req, res) => {
+   try {
+      const user = await User.findOne({ calendarFeedToken: req.params.token }).select('_id');
+      if (!user) return res.status(404).json({ msg: 'Feed not found' });
+
+      const ics = await calendarFeedService.buildUserCalendar(user._id);
+      sendCalendar(res, ics, 'schedule.ics', false);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error' });
+   }
+};
+
+// @desc    방 구독 피드 (토큰 인증, 읽기 전용)
+// @route   GET /api/feeds/rooms/:token.ics?includeTravel=1
+// @access  Public (token)
+exports.getRoomFeed = async (req, res) => {
+   try {
+      const room = await Room.findOne({ calendarFeedToken: req.params.token }).select('_id');
+      if (!room) return res.status(404).json({ msg: 'Feed not found' });
+
+      const ics = await calendarFeedService.buildRoomCalendar(room._id, {
+         includeTravel: req.query.includeTravel === '1' || req.query.includeTravel === 'true'
+      });
+      sendCalendar(res, ics, 'room.ics', false);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error' });
+   }
+};
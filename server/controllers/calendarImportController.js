@@ -0,0 +1,54 @@
+/**
+ * ===================================================================================================
+ * Calendar Import Controller (iCalendar 가져오기 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: .ics 파일을 업로드받아 미리보기를 만들고, 사용자가 확인한 항목만 저장
+ *
+ * 주요 기능:
+ * - POST /api/events/import/ics/preview - .ics 파싱 결과 미리보기 (저장하지 않음)
+ * - POST /api/events/import/ics/confirm - 선택한 항목 저장 (중복은 건너뜀)
+ *
+ * 관련 파일:
+ * - server/services/calendarImportService.js - 항목 변환/중복 감지/저장
+ * - server/utils/icalendarParser.js - .ics 파싱
+ * - client/src/components/modals/IcsImportModal.js - 미리보기/확인 UI
+ *
+ * ===================================================================================================
+ */
+
+const calendarImportService = require('../services/calendarImportService');
+
+// @desc    .ics 가져오기 미리보기
+// @route   POST /api/events/import/ics/preview (multipart: file | JSON: { ics })
+// @access  Private
+exports.previewIcsImport = async (req, res) => {
+   try {
+      const icsText = req.file ? req.file.buffer.toString('utf8') : req.body?.ics;
+      if (!icsText || typeof icsText !== 'string') {
+         return res.status(400).json({ msg: '.ics 파일을 업로드해주세요.' });
+      }
+
+      const preview = await calendarImportService.buildImportPreview(req.user.id, icsText);
+      res.json(preview);
+   } catch (err) {
+      res.status(400).json({ msg: err.message });
+   }
+};
+
+// @desc    .ics 가져오기 확정 (선택한 항목 저장)
+// @route   POST /api/events/import/ics/confirm
+// @access  Private
+exports.confirmIcsImport = async (req, res) => {
+   try {
+      const { items } = req.body;
+      if (!Array.isArray(items) || items.length === 0) {
+         return res.status(400).json({ msg: '가져올 일정을 선택해주세요.' });
+      }
+
+      const result = await calendarImportService.applyImport(req.user.id, items);
+      res.status(201).json(result);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
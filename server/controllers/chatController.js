@@ -6,12 +6,10 @@ const RejectedSuggestion = require('../models/RejectedSuggestion');
 const aiScheduleService = require('../services/aiScheduleService');
 const preferenceService = require('../services/preferenceService');
 const upload = require('../middleware/upload');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Gemini AI 인스턴스
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../services/llm');
 
 const { syncToGoogleCalendar, deleteFromGoogleCalendar } = require('../services/confirmScheduleService');
+const { notifyUsers } = require('../services/notificationService');
 
 // @desc    Get chat history
 // @route   GET /api/chat/:roomId
@@ -532,6 +530,15 @@ exports.acceptSuggestion = async (req, res) => {
       });
     }
 
+    // 7. 제안자와 다른 참석자에게 알림 (참석자 수 변경)
+    await notifyUsers([suggestion.suggestedBy, ...acceptedResponses.map(r => r.user)], {
+      type: 'suggestion_accepted',
+      title: '일정 참석자가 늘었습니다',
+      message: systemMsg.content,
+      roomId,
+      data: { suggestionId }
+    }, { actorId: userId });
+
     res.json({
       success: true,
       suggestion: updatedSuggestion
@@ -683,6 +690,15 @@ exports.forceAcceptSuggestion = async (req, res) => {
       });
     }
 
+    // 12. 제안자와 다른 참석자에게 알림 (참석자 수 변경)
+    await notifyUsers([suggestion.suggestedBy, ...acceptedResponses.map(r => r.user)], {
+      type: 'suggestion_accepted',
+      title: '일정 참석자가 늘었습니다',
+      message: systemMsg.content,
+      roomId,
+      data: { suggestionId }
+    }, { actorId: userId });
+
     res.json({
       success: true,
       suggestion: updatedSuggestion
@@ -872,6 +888,7 @@ exports.rejectSuggestion = async (req, res) => {
     const acceptedCount = suggestion.memberResponses.filter(r => r.status === 'accepted').length;
     const pendingCount = suggestion.memberResponses.filter(r => r.status === 'pending').length;
     const allRejected = suggestion.memberResponses.every(r => r.status === 'rejected');
+    const affectedMemberIds = suggestion.memberResponses.filter(r => r.status === 'accepted').map(r => r.user);
     // 제안자 본인이 불참하는 경우 → 삭제 안 함 (소유권 이전, pending 멤버 응답 대기)
     // 그 외: acceptedCount === 0 이면 삭제 (이미 제안자도 나갔고 남은 accepted 없음)
     const shouldDelete = allRejected || (acceptedCount === 0 && !isCreatorDeclining);
@@ -987,6 +1004,15 @@ exports.rejectSuggestion = async (req, res) => {
       });
     }
 
+    // 7. 제안자와 남은 참석자에게 알림 (삭제 시 일정이 캘린더에서 제거됨)
+    await notifyUsers([originalSuggestedBy, ...affectedMemberIds], {
+      type: 'suggestion_rejected',
+      title: shouldDelete ? '참석 예정 일정이 취소되었습니다' : '일정 참석자가 줄었습니다',
+      message: messageContent,
+      roomId,
+      data: { suggestionId, deleted: shouldDelete }
+    }, { actorId: userId });
+
     res.json({
       success: true,
       action: shouldDelete ? 'deleted' : 'rejected',
@@ -1015,8 +1041,6 @@ exports.correctTypo = async (req, res) => {
       return res.json({ corrected: text });
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
     const prompt = `당신은 한국어 채팅 메시지 교정 전문가입니다.
 
 [상황]
@@ -1053,9 +1077,7 @@ ${text}
 
 [교정된 메시지]`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let corrected = response.text().trim();
+    let corrected = await llm.generateText(prompt);
 
     // 응답이 비어있거나 이상한 경우 원본 반환
     if (!corrected || corrected.length === 0 || corrected.length > text.length * 3) {
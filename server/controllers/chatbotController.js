@@ -6,7 +6,7 @@
  * 설명: AI 챗봇을 통한 일정 조정 처리
  *
  * 주요 기능:
- * - 사용자 메시지 분석 (Gemini AI)
+ * - 사용자 메시지 분석 (AI)
  * - 의도 파악 (시간 변경, 교환 요청 등)
  * - 자연어 → API 호출 변환
  * - 응답 생성
@@ -17,16 +17,19 @@
  * - "선호시간 추가해줘" → 선호시간 설정
  *
  * 관련 파일:
- * - server/controllers/coordinationExchangeController/services/geminiService.js
+ * - server/services/llm/ - AI 모델 호출 공통 모듈
+ * - server/controllers/coordinationExchangeController/services/messageParserService.js
  * - client/src/components/chat/
  *
  * ===================================================================================================
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('../services/llm');
+const { createChatIntentSchema } = require('../services/llm/schemas');
 
-// Gemini AI 초기화
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// 클라이언트 채팅 프롬프트 제한
+const MAX_CLIENT_PROMPT_LENGTH = 30000;
+const CLIENT_PROMPT_TIMEOUT_MS = 10000;
 
 /**
  * 자연어 텍스트에서 의도(intent)와 엔티티(entities) 추출
@@ -42,9 +45,6 @@ exports.parseIntent = async (req, res) => {
       });
     }
 
-    // Gemini 모델 가져오기
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
     // 컨텍스트별 프롬프트 구성
     const contextPrompts = {
       my_events: `
@@ -171,33 +171,11 @@ ${systemPrompt}
 }
 `;
 
-    // Gemini API 호출
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text_response = response.text();
-
-    // JSON 파싱
-    let jsonString = '';
-    const jsonBlockMatch = text_response.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonBlockMatch) {
-      jsonString = jsonBlockMatch[1];
-    } else {
-      const jsonMatch = text_response.match(/\{[\s\S]*?\}/);
-      if (jsonMatch) {
-        jsonString = jsonMatch[0];
-      }
-    }
-
-    if (!jsonString) {
-      throw new Error('JSON 형식을 찾을 수 없음');
-    }
-
-    // 주석 제거 및 정제
-    jsonString = jsonString.replace(/\/\/.*$/gm, '');
-    jsonString = jsonString.replace(/\/\*[\s\S]*?\*\//g, '');
-    jsonString = jsonString.replace(/,(\s*[}\]])/g, '$1');
-
-    const parsedIntent = JSON.parse(jsonString);
+    // AI 호출 (의도 목록 스키마로 검증, 형식이 틀리면 재요청)
+    const intents = Array.isArray(availableIntents) && availableIntents.length > 0
+      ? availableIntents
+      : getAvailableIntentsForContext(contextType);
+    const parsedIntent = await llm.generateJSON(prompt, createChatIntentSchema(intents));
 
     // 날짜/시간 후처리
     if (parsedIntent.entities) {
@@ -218,6 +196,9 @@ ${systemPrompt}
     res.json(parsedIntent);
 
   } catch (error) {
+    const fallback = { intent: 'unknown', entities: {}, confidence: 0 };
+    if (llm.sendLlmError(res, error, fallback)) return;
+
     res.status(500).json({
       success: false,
       message: '의도 파싱 중 오류가 발생했습니다.',
@@ -229,6 +210,36 @@ ${systemPrompt}
   }
 };
 
+/**
+ * 클라이언트 채팅 프롬프트 처리
+ * 클라이언트(useChat)가 만든 프롬프트를 서버의 AI 백엔드로 전달하고 응답 텍스트를 반환합니다.
+ * (클라이언트는 AI 키를 갖지 않음)
+ */
+exports.completePrompt = async (req, res) => {
+  try {
+    const { prompt } = req.body;
+
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ success: false, message: '프롬프트가 필요합니다.' });
+    }
+    if (prompt.length > MAX_CLIENT_PROMPT_LENGTH) {
+      return res.status(413).json({ success: false, message: '요청이 너무 깁니다.' });
+    }
+
+    const text = await llm.generateText(prompt, { timeoutMs: CLIENT_PROMPT_TIMEOUT_MS });
+    res.json({ success: true, text });
+
+  } catch (error) {
+    if (llm.sendLlmError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'AI 요청 처리 중 오류가 발생했습니다.',
+      error: error.message
+    });
+  }
+};
+
 /**
  * 날짜 정규화 함수
  */
@@ -1,4 +1,5 @@
 const Event = require('../models/event');
+const { findConflictingOccurrences } = require('../services/recurrenceService');
 
 /**
  * 일정 충돌 해결 컨트롤러
@@ -18,7 +19,7 @@ exports.detectConflict = async (req, res) => {
       const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
 
       // 충돌 검사
-      const conflicts = await Event.findConflicting(userId, startTime, endTime);
+      const conflicts = await findConflictingOccurrences(userId, startTime, endTime);
 
       if (conflicts.length > 0) {
          // 충돌 발견 - 1단계: 사용자에게 선택 요청
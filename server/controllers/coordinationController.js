@@ -25,8 +25,7 @@ const Event = require('../models/event');
 const ActivityLog = require('../models/ActivityLog');
 const { findOptimalSlots } = require('../services/schedulingAnalysisService');
 const schedulingAlgorithm = require('../services/schedulingAlgorithm');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
 
 // Import separated controllers
 const roomController = require('./roomController');
@@ -35,6 +34,15 @@ const requestController = require('./coordinationRequestController');
 const memberController = require('./coordinationMemberController');
 const schedulingController = require('./coordinationSchedulingController');
 const exchangeController = require('./coordinationExchangeController');
+const historyController = require('./roomHistoryController');
+const inviteController = require('./roomInviteController');
+const waitlistController = require('./slotWaitlistController');
+const fairnessController = require('./fairnessController');
+const schedulingRuleController = require('./schedulingRuleController');
+const roomResourceController = require('./roomResourceController');
+const travelMatrixController = require('./travelMatrixController');
+const dayRouteController = require('./dayRouteController');
+const ownerLocationController = require('./ownerLocationController');
 
 const dayMap = { 0: 'sunday', 1: 'monday', 2: 'tuesday', 3: 'wednesday', 4: 'thursday', 5: 'friday', 6: 'saturday' };
 
@@ -66,6 +74,9 @@ exports.handleChainConfirmation = requestController.handleChainConfirmation;
 // Re-export from memberController
 exports.removeMember = memberController.removeMember;
 exports.leaveRoom = memberController.leaveRoom;
+exports.updateMemberRole = memberController.updateMemberRole;
+exports.updateMemberSessions = memberController.updateMemberSessions;
+exports.transferOwnership = memberController.transferOwnership;
 exports.getExchangeRequestsCount = memberController.getExchangeRequestsCount;
 
 // Re-export from schedulingController
@@ -76,6 +87,50 @@ exports.deleteAllTimeSlots = schedulingController.deleteAllTimeSlots;
 exports.parseExchangeRequest = exchangeController.parseExchangeRequest;
 exports.smartExchange = exchangeController.smartExchange;
 
+// Timetable history
+exports.getRoomHistory = historyController.getRoomHistory;
+exports.getRoomHistoryEntry = historyController.getRoomHistoryEntry;
+exports.restoreRoomHistory = historyController.restoreRoomHistory;
+
+// Invite functions (초대 링크 / 방 코드 / 참여 요청)
+exports.getRoomInvites = inviteController.getRoomInvites;
+exports.createRoomInvite = inviteController.createRoomInvite;
+exports.revokeRoomInvite = inviteController.revokeRoomInvite;
+exports.regenerateInviteCode = inviteController.regenerateInviteCode;
+exports.updateJoinPolicy = inviteController.updateJoinPolicy;
+exports.getJoinRequests = inviteController.getJoinRequests;
+exports.handleJoinRequest = inviteController.handleJoinRequest;
+exports.getInvitePreview = inviteController.getInvitePreview;
+exports.acceptInvite = inviteController.acceptInvite;
+
+// Waitlist functions (빈자리 대기열)
+exports.getRoomWaitlist = waitlistController.getRoomWaitlist;
+exports.updateWaitlistSettings = waitlistController.updateWaitlistSettings;
+exports.claimSlotOffer = waitlistController.claimSlotOffer;
+exports.declineSlotOffer = waitlistController.declineSlotOffer;
+
+// Fairness functions (배정 공평성)
+exports.getFairnessReport = fairnessController.getFairnessReport;
+
+// Scheduling rule functions (방 배정 규칙)
+exports.getSchedulingRules = schedulingRuleController.getSchedulingRules;
+exports.updateSchedulingRules = schedulingRuleController.updateSchedulingRules;
+
+// Room resource functions (방 자원: 강의실 / 장비)
+exports.getRoomResources = roomResourceController.getRoomResources;
+exports.updateRoomResources = roomResourceController.updateRoomResources;
+
+// Travel matrix functions (방 이동시간 행렬 미리 계산)
+exports.precomputeTravelMatrix = travelMatrixController.precomputeTravelMatrix;
+
+// Day route functions (방장 하루 동선 최적화)
+exports.getDayRoutePlan = dayRouteController.getDayRoutePlan;
+exports.requestDayRouteChanges = dayRouteController.requestDayRouteChanges;
+
+// Owner location functions (방장 요일/날짜별 출발·도착 장소)
+exports.getOwnerDayLocations = ownerLocationController.getOwnerDayLocations;
+exports.updateOwnerDayLocations = ownerLocationController.updateOwnerDayLocations;
+
 // 방장이나 어드민 로그 조회
 exports.getRoomLogs = async (req, res) => {
    try {
@@ -88,10 +143,9 @@ exports.getRoomLogs = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      // 방장인지 확인
-      const roomOwnerId = room.ownerId?.toString() || room.owner?.toString();
-      if (!roomOwnerId || roomOwnerId !== userId) {
-         return res.status(403).json({ msg: '방장만 로그를 조회할 수 있습니다.' });
+      // 방장/공동 방장인지 확인
+      if (!room.hasPermission(userId, ROOM_PERMISSIONS.VIEW_LOGS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 로그를 조회할 수 있습니다.' });
       }
 
       // 초기화 시점 이후의 로그만 조회
@@ -147,10 +201,9 @@ exports.clearRoomLogs = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      // 방장인지 확인
-      const roomOwnerId = room.ownerId?.toString() || room.owner?.toString();
-      if (!roomOwnerId || roomOwnerId !== userId) {
-         return res.status(403).json({ msg: '방장만 로그를 초기화할 수 있습니다.' });
+      // 방장/공동 방장인지 확인
+      if (!room.hasPermission(userId, ROOM_PERMISSIONS.VIEW_LOGS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 로그를 초기화할 수 있습니다.' });
       }
 
       // 방장의 초기화 시점 업데이트
@@ -186,9 +239,9 @@ exports.clearUserLogs = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      // 방장 권한 확인
-      if (room.owner.toString() !== currentUserId) {
-         return res.status(403).json({ msg: '방장만 로그를 삭제할 수 있습니다.' });
+      // 방장/공동 방장 권한 확인
+      if (!room.hasPermission(currentUserId, ROOM_PERMISSIONS.VIEW_LOGS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 로그를 삭제할 수 있습니다.' });
       }
 
       // 방장이 멤버별 초기화 시점 업데이트 (실제 로그 삭제 안함)
@@ -6,42 +6,27 @@
  * 원본: 1,951줄 → 리팩토링: 메인 150줄 + 모듈 17개
  *
  * [주요 API]
- * - parseExchangeRequest: Gemini로 자연어 메시지 파싱
- * - smartExchange: 시간 변경/교환 실행
+ * - parseExchangeRequest: AI로 자연어 메시지 파싱
+ * - smartExchange: 시간 변경/교환 실행 (동시 수정 충돌 시 라우트에서 재실행)
  *
  * [리팩토링 구조]
  * constants/    - 상수 정의 (dayMappings, errorMessages, weekOffsets, timeFormats)
  * utils/        - 유틸리티 함수 (timeUtils, dateUtils, slotMerger)
  * validators/   - 검증 로직 (dayValidator, timeRangeValidator, scheduleValidator, roomValidator)
- * services/     - 비즈니스 로직 (geminiService, dateChangeService)
+ * services/     - 비즈니스 로직 (messageParserService, dateChangeService)
  * helpers/      - 헬퍼 함수 (slotFinder, scheduleOverlap, autoPlacement, activityLogger)
  */
 
 const Room = require('../models/room');
 const User = require('../models/user');
 const dynamicTravelTimeCalculator = require('../services/dynamicTravelTimeCalculator');
-
-/**
- * 거리 계산 (Haversine formula)
- * @param {number} lat1 - 위도 1
- * @param {number} lon1 - 경도 1
- * @param {number} lat2 - 위도 2
- * @param {number} lon2 - 경도 2
- * @returns {number} 거리 (km)
- */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  if (!lat1 || !lon1 || !lat2 || !lon2) {
-    return 0;
-  }
-  const R = 6371; // 지구 반지름 (km)
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    0.5 - Math.cos(dLat)/2 +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    (1 - Math.cos(dLon))/2;
-  return R * 2 * Math.asin(Math.sqrt(a));
-};
+const routing = require('../services/routing');
+const { isRoomConflictError, saveRoomChecked } = require('../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('../services/roomHistoryService');
+const { ROOM_ROLES } = require('../utils/roomPermissions');
+const { getSessionDayError, getSessionSlotFields } = require('../utils/memberSessions');
+const { resolveSlotResource } = require('../utils/roomResources');
+const { getSessionPlace, getOwnerDayPlaces } = require('../utils/savedLocations');
 
 /**
  * 특정 날짜의 모든 이동시간 슬롯을 재계산
@@ -207,65 +192,56 @@ const recalculateTravelTimeSlotsForDate = async (room, date, ownerId, forceTrave
     }
 
     let travelDurationMinutes = 0;
+    let travelDistanceKm = null;
+    let travelProvider = null;
 
     try {
       const currentUserId = slot.user._id || slot.user;
       const currentUser = await User.findById(currentUserId);
 
-      if (!currentUser || !currentUser.addressLat) {
+      // 조원은 그 시간 선호시간에 지정한 장소(없으면 집)에서 수업
+      const toPlace = currentUser ? getSessionPlace(currentUser, dateStr, slot.startTime, room._id) : null;
+      if (!toPlace) {
         continue; // 주소 정보 없으면 이동시간 0
       }
 
-      let previousLat, previousLng;
-
-      if (previousSlot) {
-        // 이전 슬롯이 있으면: 이전 사용자 → 현재 사용자
-        const previousUserId = previousSlot.user._id || previousSlot.user;
-
-        if (previousUserId.toString() === ownerId.toString()) {
-          // 이전이 방장
-          const owner = await User.findById(ownerId);
-          previousLat = owner.addressLat;
-          previousLng = owner.addressLng;
-        } else {
-          // 이전이 다른 학생
-          const previousUser = await User.findById(previousUserId);
-          if (previousUser) {
-            previousLat = previousUser.addressLat;
-            previousLng = previousUser.addressLng;
-          }
-        }
+      let fromPlace;
+      const previousUserId = previousSlot ? (previousSlot.user._id || previousSlot.user) : null;
+      if (previousUserId && previousUserId.toString() !== ownerId.toString()) {
+        // 이전 슬롯이 다른 학생: 그 학생 수업 장소 → 현재 학생
+        const previousUser = await User.findById(previousUserId);
+        fromPlace = previousUser ? getSessionPlace(previousUser, dateStr, previousSlot.startTime, room._id) : null;
       } else {
-        // 첫 슬롯이면: 방장 → 현재 사용자
+        // 첫 슬롯이거나 이전이 방장: 그날 방장 출발 장소 → 현재 학생
         const owner = await User.findById(ownerId);
-        previousLat = owner.addressLat;
-        previousLng = owner.addressLng;
+        fromPlace = getOwnerDayPlaces(room, owner, dateStr).start;
       }
 
-      if (previousLat && previousLng && currentUser.addressLat && currentUser.addressLng) {
+      if (fromPlace) {
         // ✅ Google Maps API 사용하여 실제 이동시간 계산
         const fromLocation = {
           type: 'coordinates',
-          coordinates: { lat: previousLat, lng: previousLng },
-          address: previousSlot
-            ? (await User.findById(previousSlot.user._id || previousSlot.user))?.address
-            : (await User.findById(ownerId))?.address
+          coordinates: { lat: fromPlace.lat, lng: fromPlace.lng },
+          address: fromPlace.address
         };
 
         const toLocation = {
           type: 'coordinates',
-          coordinates: { lat: currentUser.addressLat, lng: currentUser.addressLng },
-          address: currentUser.address
+          coordinates: { lat: toPlace.lat, lng: toPlace.lng },
+          address: toPlace.address
         };
 
-        travelDurationMinutes = await dynamicTravelTimeCalculator.calculateTravelTimeBetween(
+        const travelRoute = await dynamicTravelTimeCalculator.calculateTravelRoute(
           fromLocation,
           toLocation,
           effectiveTravelMode
         );
 
         // 10분 단위로 반올림
-        travelDurationMinutes = Math.ceil(travelDurationMinutes / 10) * 10;
+        travelDurationMinutes = Math.ceil(travelRoute.minutes / 10) * 10;
+        // 프로바이더가 거리를 주지 않았으면 두 장소 사이 직선거리
+        travelDistanceKm = travelRoute.distanceKm ?? routing.getDistanceKm(fromLocation, toLocation);
+        travelProvider = travelRoute.provider;
       }
     } catch (error) {
       console.error(`이동시간 계산 오류 (날짜: ${dateStr}, 슬롯: ${slot.startTime}):`, error);
@@ -412,16 +388,6 @@ const recalculateTravelTimeSlotsForDate = async (room, date, ownerId, forceTrave
       const userId = slot.user._id || slot.user;
       const userColor = room.getUserColor(userId);
       
-      // 거리 정보 계산
-      const speeds = {
-        driving: 40,
-        transit: 30,
-        walking: 5,
-        bicycling: 15
-      };
-      const speed = speeds[effectiveTravelMode] || 30;
-      const distanceKm = (travelDurationMinutes / 60) * speed;
-      
       const travelSlot = {
         user: slot.user,
         date: slot.date,
@@ -439,7 +405,8 @@ const recalculateTravelTimeSlotsForDate = async (room, date, ownerId, forceTrave
         travelMode: effectiveTravelMode,  // ✅ 이동수단
         travelInfo: {
           durationText: `${travelDurationMinutes}분`,
-          distanceText: `${distanceKm.toFixed(1)}km`
+          distanceText: travelDistanceKm == null ? '' : `${travelDistanceKm.toFixed(1)}km`,
+          provider: travelProvider
         }
       };
 
@@ -528,14 +495,16 @@ const addMinutes = (time, minutesToAdd) => {
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 };
 const ActivityLog = require('../models/ActivityLog');
-const { parseMessage } = require('./coordinationExchangeController/services/geminiService');
+const { snapshotRequests, notifyRequestChanges } = require('../services/notificationService');
+const llm = require('../services/llm');
+const { parseMessage } = require('./coordinationExchangeController/services/messageParserService');
 const { handleDateChange } = require('./coordinationExchangeController/services/dateChangeService');
 const { validateRoomExists, validateIsMember, validateMessage } = require('./coordinationExchangeController/validators/roomValidator');
 const { DAY_MAP_KO_TO_EN } = require('./coordinationExchangeController/constants/dayMappings');
 const { addHours, getHoursDifference, timeToMinutes: timeToMinutesUtil, minutesToTime } = require('./coordinationExchangeController/utils/timeUtils');
 
 /**
- * Parse natural language exchange request using Gemini
+ * Parse natural language exchange request using the LLM provider
  * POST /api/coordination/rooms/:roomId/parse-exchange-request
  */
 exports.parseExchangeRequest = async (req, res) => {
@@ -551,12 +520,14 @@ exports.parseExchangeRequest = async (req, res) => {
     validateRoomExists(room);
     validateIsMember(room, req.user.id);
 
-    // Gemini로 파싱
+    // AI로 파싱
     const parsed = await parseMessage(message, recentMessages);
 
     res.json({ parsed });
 
   } catch (error) {
+    if (llm.sendLlmError(res, error)) return;
+
     res.status(500).json({
       error: error.message || '서버 오류가 발생했습니다.',
       details: error.message
@@ -615,6 +586,12 @@ exports.smartExchange = async (req, res) => {
     if (!memberData) {
       return res.status(403).json({ success: false, message: '방 멤버만 이 기능을 사용할 수 있습니다.' });
     }
+    if (room.getRole(req.user.id) === ROOM_ROLES.OBSERVER) {
+      return res.status(403).json({ success: false, message: '참관인은 시간표를 변경할 수 없습니다.' });
+    }
+
+    // 시간표 이력용 변경 전 시간표
+    const beforeSlots = captureTimeSlots(room);
 
     // 🔍 [ROOM INFO] 방 정보 확인
     const effectiveTravelMode = room.confirmedTravelMode || room.currentTravelMode || room.travelMode;
@@ -640,7 +617,8 @@ exports.smartExchange = async (req, res) => {
         targetTime,
         targetYear,
         viewMode,
-        currentWeekStartDate
+        currentWeekStartDate,
+        beforeSlots
       });
     }
 
@@ -821,7 +799,8 @@ exports.smartExchange = async (req, res) => {
                              slot.subject === '자동 재배치' ||
                              slot.subject === '연쇄 교환 결과' ||
                              slot.subject === '연쇄 조정 결과' ||
-                             slot.subject === '직접 교환';
+                             slot.subject === '직접 교환' ||
+                             Boolean(slot.sessionId);
       return isUserSlot && isValidSubject;
     });
 
@@ -956,6 +935,12 @@ exports.smartExchange = async (req, res) => {
     const newStartTime = targetTime || blockStartTime;
     const newEndTime = addHours(newStartTime, totalHours);
 
+    // 조원 수업 구성의 가능 요일 검증
+    const sessionDayError = getSessionDayError(room, req.user.id, allSlotsInBlock, targetDate);
+    if (sessionDayError) {
+      return res.status(400).json({ success: false, message: sessionDayError });
+    }
+
     // ✅ Owner validation already done above (lines 240-267) - removed duplicate
 
     // 금지 시간 검증 (전체 일정 길이 확인)
@@ -1202,9 +1187,12 @@ exports.smartExchange = async (req, res) => {
            const myUser = await User.findById(req.user.id);
            
            if (fromLat && fromLng && myUser?.addressLat && myUser?.addressLng) {
-              const distance = calculateDistance(fromLat, fromLng, myUser.addressLat, myUser.addressLng);
-              const speed = { driving: 40, transit: 30, walking: 5, bicycling: 15 }[effectiveTravelMode] || 30;
-              predictedTravelMinutes = Math.ceil((distance / speed) * 60 / 10) * 10;
+              const travelRoute = await routing.getTravelTime(
+                { lat: fromLat, lng: fromLng },
+                { lat: myUser.addressLat, lng: myUser.addressLng, address: myUser.address },
+                effectiveTravelMode
+              );
+              predictedTravelMinutes = Math.ceil(travelRoute.minutes / 10) * 10;
            } else {
               console.warn(`  ⚠️ [계산 실패] 좌표 정보 누락. fromLat: ${!!fromLat}, fromLng: ${!!fromLng}, toLat: ${!!myUser?.addressLat}`);
            }
@@ -1268,6 +1256,18 @@ exports.smartExchange = async (req, res) => {
         });
       }
 
+      // 방 자원: 새 시간에 쓸 강의실/장비가 없으면 이동 불가 (원래 자원이 비어 있으면 그대로 사용)
+      const slotResource = resolveSlotResource(room, {
+        userId: req.user.id,
+        slots: allSlotsInBlock,
+        targetDate,
+        startTime: finalNewStartTime,
+        endTime: finalNewEndTime
+      });
+      if (slotResource.error) {
+        return res.status(400).json({ success: false, message: slotResource.error, reason: 'resource_unavailable' });
+      }
+
       // 🧹 [문제 2 해결] 강력한 삭제 로직
       const slotIdsToRemove = allSlotsInBlock.map(slot => String(slot._id));
       const oldSlotDate = new Date(allSlotsInBlock[0].date).toISOString().split('T')[0];
@@ -1343,9 +1343,12 @@ exports.smartExchange = async (req, res) => {
           const currentUser = await User.findById(req.user.id);
 
           if (fromLat && fromLng && currentUser?.addressLat && currentUser?.addressLng) {
-            const distance = calculateDistance(fromLat, fromLng, currentUser.addressLat, currentUser.addressLng);
-            const speed = { driving: 40, transit: 30, walking: 5, bicycling: 15 }[calcMode] || 30;
-            travelDurationMinutes = Math.ceil((distance / speed) * 60 / 10) * 10;
+            const travelRoute = await routing.getTravelTime(
+              { lat: fromLat, lng: fromLng },
+              { lat: currentUser.addressLat, lng: currentUser.addressLng, address: currentUser.address },
+              calcMode
+            );
+            travelDurationMinutes = Math.ceil(travelRoute.minutes / 10) * 10;
           } else {
             console.warn(`  ⚠️ [계산 실패] 좌표 누락`);
           }
@@ -1374,6 +1377,8 @@ exports.smartExchange = async (req, res) => {
         day: targetDayEnglish,
         priority: allSlotsInBlock[0]?.priority || 3,
         subject: '자동 배정',
+        ...getSessionSlotFields(allSlotsInBlock[0]),
+        ...slotResource.fields,
         assignedBy: room.owner._id,
         assignedAt: new Date(),
         status: 'confirmed',
@@ -1410,7 +1415,7 @@ exports.smartExchange = async (req, res) => {
 
       const travelSlots = room.timeSlots.filter(s => s.isTravel);
 
-      await room.save();
+      await saveRoomChecked(room);
       await room.populate('timeSlots.user', '_id firstName lastName email');
 
       // Log activity
@@ -1426,12 +1431,13 @@ exports.smartExchange = async (req, res) => {
         ? `${requesterUser.firstName} ${requesterUser.lastName}`
         : requesterUser.email;
 
+      const logDetails = `${userName}님: ${prevMonth}월 ${prevDateNum}일 ${prevTimeRange} → ${formattedDate} ${finalNewStartTime}-${finalNewEndTime}로 즉시 변경`;
       await ActivityLog.logActivity(
         room._id,
         req.user.id,
         userName,
         'slot_swap',
-        `${userName}님: ${prevMonth}월 ${prevDateNum}일 ${prevTimeRange} → ${formattedDate} ${finalNewStartTime}-${finalNewEndTime}로 즉시 변경`,
+        logDetails,
         {
           prevDate: `${prevMonth}월 ${prevDateNum}일`,
           prevTime: prevTimeRange,
@@ -1439,6 +1445,7 @@ exports.smartExchange = async (req, res) => {
           targetTime: `${finalNewStartTime}-${finalNewEndTime}`
         }
       );
+      await recordRoomSnapshot(room, { action: 'slot_swap', before: beforeSlots, userId: req.user.id, userName, details: logDetails });
 
       // Socket.io로 실시간 업데이트 알림
       if (global.io) {
@@ -1476,8 +1483,17 @@ exports.smartExchange = async (req, res) => {
             return currentStart < slotEndMin && currentEnd > slotStartMin;
           });
 
-          if (!hasConflict) {
-            foundSlot = { start: currentStart, end: currentEnd };
+          // 방 자원이 필요한 조원이면 그 시간에 빈 자원이 있어야 함
+          const slotResource = hasConflict ? null : resolveSlotResource(room, {
+            userId: req.user.id,
+            slots: allSlotsInBlock,
+            targetDate,
+            startTime: minutesToTime(currentStart),
+            endTime: minutesToTime(currentEnd)
+          });
+
+          if (slotResource && !slotResource.error) {
+            foundSlot = { start: currentStart, end: currentEnd, resourceFields: slotResource.fields };
             break;
           }
           currentStart += 10; // 10분 단위로 이동
@@ -1521,6 +1537,8 @@ exports.smartExchange = async (req, res) => {
           day: targetDayEnglish,
           priority: allSlotsInBlock[0].priority || 3,
           subject: allSlotsInBlock[0].subject || '자동 배정',
+          ...getSessionSlotFields(allSlotsInBlock[0]),
+          ...foundSlot.resourceFields,
           assignedBy: room.owner._id,
           assignedAt: new Date(),
           status: 'confirmed',
@@ -1547,7 +1565,7 @@ exports.smartExchange = async (req, res) => {
         
         const travelSlots = room.timeSlots.filter(s => s.isTravel);
 
-        await room.save();
+        await saveRoomChecked(room);
         await room.populate('timeSlots.user', '_id firstName lastName email');
 
         const autoTargetMonth = targetDate.getUTCMonth() + 1;
@@ -1562,12 +1580,13 @@ exports.smartExchange = async (req, res) => {
           ? `${requesterUser.firstName} ${requesterUser.lastName}`
           : requesterUser.email;
 
+        const logDetails = `${userName}님: ${prevMonth}월 ${prevDateNum}일 ${prevTimeRange} → ${autoFormattedDate} ${autoStartTime}-${autoEndTime}로 자동 배치`;
         await ActivityLog.logActivity(
           room._id,
           req.user.id,
           userName,
           'slot_swap',
-          `${userName}님: ${prevMonth}월 ${prevDateNum}일 ${prevTimeRange} → ${autoFormattedDate} ${autoStartTime}-${autoEndTime}로 자동 배치`,
+          logDetails,
           {
             prevDate: `${prevMonth}월 ${prevDateNum}일`,
             prevTime: prevTimeRange,
@@ -1575,6 +1594,7 @@ exports.smartExchange = async (req, res) => {
             targetTime: `${autoStartTime}-${autoEndTime}`
           }
         );
+        await recordRoomSnapshot(room, { action: 'slot_swap', before: beforeSlots, userId: req.user.id, userName, details: logDetails });
 
         // Socket.io로 실시간 업데이트 알림
         if (global.io) {
@@ -1607,6 +1627,8 @@ exports.smartExchange = async (req, res) => {
         startTime: s.startTime,
         endTime: s.endTime,
         subject: s.subject,
+        sessionId: s.sessionId,
+        resourceId: s.resourceId,
         user: req.user.id
       })),
       timeSlot: {
@@ -1624,8 +1646,10 @@ exports.smartExchange = async (req, res) => {
       createdAt: new Date()
     };
 
+    const requestSnapshot = snapshotRequests(room);
     room.requests.push(yieldRequest);
-    await room.save();
+    await saveRoomChecked(room);
+    await notifyRequestChanges(room, requestSnapshot, req.user.id);
     await room.populate('requests.requester', 'firstName lastName email');
     await room.populate('requests.targetUser', 'firstName lastName email');
 
@@ -1672,6 +1696,7 @@ exports.smartExchange = async (req, res) => {
     });
 
   } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도
     res.status(500).json({
       success: false,
       message: '서버 오류가 발생했습니다.',
@@ -11,6 +11,7 @@ const ActivityLog = require('../../../models/ActivityLog');
  * @param {string} userName - 사용자 이름
  * @param {Object} prevSlot - 이전 슬롯 정보
  * @param {Object} targetSlot - 타겟 슬롯 정보
+ * @returns {Promise<string>} 기록한 로그 메시지
  */
 async function logSlotSwap(roomId, userId, userName, prevSlot, targetSlot) {
   const prevDate = new Date(prevSlot.date);
@@ -33,6 +34,8 @@ async function logSlotSwap(roomId, userId, userName, prevSlot, targetSlot) {
       targetTime: `${targetSlot.startTime}-${targetSlot.endTime}`
     }
   );
+
+  return message;
 }
 
 /**
@@ -42,6 +45,7 @@ async function logSlotSwap(roomId, userId, userName, prevSlot, targetSlot) {
  * @param {string} userName - 사용자 이름
  * @param {Object} prevSlot - 이전 슬롯 정보
  * @param {Object} targetSlot - 타겟 슬롯 정보
+ * @returns {Promise<string>} 기록한 로그 메시지
  */
 async function logAutoPlacement(roomId, userId, userName, prevSlot, targetSlot) {
   const prevDate = new Date(prevSlot.date);
@@ -64,6 +68,8 @@ async function logAutoPlacement(roomId, userId, userName, prevSlot, targetSlot)
       targetTime: `${targetSlot.startTime}-${targetSlot.endTime}`
     }
   );
+
+  return message;
 }
 
 /**
@@ -5,6 +5,7 @@
 const { timeToMinutes, minutesToTime } = require('../utils/timeUtils');
 const { mergeScheduleRanges } = require('../utils/slotMerger');
 const { AUTO_PLACEMENT_INTERVAL } = require('../constants/timeFormats');
+const { getSessionSlotFields } = require('../../../utils/memberSessions');
 
 /**
  * 빈 슬롯 찾기
@@ -84,9 +85,11 @@ function removeSlots(room, slotIds) {
  * @param {string} params.dayEnglish - 요일 (영어)
  * @param {number} params.priority - 우선순위
  * @param {string} params.ownerId - 방장 ID
+ * @param {Object} [params.sourceSlot] - 옮기기 전 슬롯 (조원 수업 구성 슬롯이면 과목 / sessionId 유지)
+ * @param {Object} [params.resourceFields] - 새 슬롯이 쓸 방 자원 ({ resourceId }, utils/roomResources.resolveSlotResource)
  * @returns {Array} - 생성된 슬롯 배열
  */
-function createNewSlots({ userId, targetDate, startTime, endTime, dayEnglish, priority, ownerId }) {
+function createNewSlots({ userId, targetDate, startTime, endTime, dayEnglish, priority, ownerId, sourceSlot, resourceFields = {} }) {
   const { addHours } = require('../utils/timeUtils');
   const startMinutes = timeToMinutes(startTime);
   const endMinutes = timeToMinutes(endTime);
@@ -106,6 +109,8 @@ function createNewSlots({ userId, targetDate, startTime, endTime, dayEnglish, pr
       day: dayEnglish,
       priority: priority || 3,
       subject: '자동 배정',
+      ...getSessionSlotFields(sourceSlot),
+      ...resourceFields,
       assignedBy: ownerId,
       assignedAt: new Date(),
       status: 'confirmed'
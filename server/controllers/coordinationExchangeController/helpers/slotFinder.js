@@ -20,7 +20,8 @@ function findUserSlots(room, userId) {
                            slot.subject === '자동 재배치' ||
                            slot.subject === '연쇄 교환 결과' ||
                            slot.subject === '연쇄 조정 결과' ||
-                           slot.subject === '직접 교환';
+                           slot.subject === '직접 교환' ||
+                           Boolean(slot.sessionId);
     return isUserSlot && isValidSubject;
   });
 }
@@ -44,7 +45,8 @@ function findSlotsOnDate(room, userId, date) {
                            slot.subject === '자동 재배치' ||
                            slot.subject === '연쇄 교환 결과' ||
                            slot.subject === '연쇄 조정 결과' ||
-                           slot.subject === '직접 교환';
+                           slot.subject === '직접 교환' ||
+                           Boolean(slot.sessionId);
     return isUserSlot && isTargetDate && isValidSubject;
   });
 }
@@ -28,9 +28,13 @@
 
 const Room = require('../../../models/room');
 const ActivityLog = require('../../../models/ActivityLog');
+const { snapshotRequests, notifyRequestChanges } = require('../../../services/notificationService');
 const { timeToMinutes, minutesToTime, addHours, getHoursDifference } = require('../utils/timeUtils');
 const { logSlotSwap, logAutoPlacement, logChangeRequest } = require('../helpers/activityLogger');
+const { recordRoomSnapshot } = require('../../../services/roomHistoryService');
 const { findAvailableSlot, removeSlots, createNewSlots } = require('../helpers/autoPlacement');
+const { getSessionDayError } = require('../../../utils/memberSessions');
+const { resolveSlotResource } = require('../../../utils/roomResources');
 const { validateNotWeekend, validateMemberPreferredDay, validateHasOverlap } = require('../validators/scheduleValidator');
 
 /**
@@ -49,10 +53,11 @@ const { validateNotWeekend, validateMemberPreferredDay, validateHasOverlap } = r
  * @param {string} params.targetTime - Target time (optional, HH:00 format)
  * @param {string} params.viewMode - View mode (optional)
  * @param {Date} params.currentWeekStartDate - Current week start date (optional)
+ * @param {Array} params.beforeSlots - 시간표 이력용 변경 전 timeSlots (captureTimeSlots)
  * @returns {Promise<Object>} Response object
  */
 async function handleDateChange(req, res, room, memberData, params) {
-  const { sourceMonth, sourceDay, sourceTime, sourceYear, targetMonth, targetDateNum, targetTime, targetYear, viewMode, currentWeekStartDate } = params;
+  const { sourceMonth, sourceDay, sourceTime, sourceYear, targetMonth, targetDateNum, targetTime, targetYear, viewMode, currentWeekStartDate, beforeSlots } = params;
 
   const now = new Date();
   const currentYear = now.getFullYear();
@@ -120,7 +125,8 @@ async function handleDateChange(req, res, room, memberData, params) {
                            slot.subject === '자동 재배치' ||
                            slot.subject === '연쇄 교환 결과' ||
                            slot.subject === '연쇄 조정 결과' ||
-                           slot.subject === '직접 교환';
+                           slot.subject === '직접 교환' ||
+                           Boolean(slot.sessionId);
     return isUserSlot && isSourceDate && isValidSubject;
   });
 
@@ -191,6 +197,12 @@ async function handleDateChange(req, res, room, memberData, params) {
     return (aH * 60 + aM) - (bH * 60 + bM);
   });
 
+  // 조원 수업 구성의 가능 요일 검증
+  const sessionDayError = getSessionDayError(room, req.user.id, requesterSlots, targetDate);
+  if (sessionDayError) {
+    return res.status(400).json({ success: false, message: sessionDayError });
+  }
+
   const blockStartTime = requesterSlots[0].startTime;
   const blockEndTime = requesterSlots[requesterSlots.length - 1].endTime;
   const totalHours = getHoursDifference(blockStartTime, blockEndTime);
@@ -198,6 +210,15 @@ async function handleDateChange(req, res, room, memberData, params) {
   const newStartTime = targetTime || blockStartTime;
   const newEndTime = addHours(newStartTime, totalHours);
 
+  // 방 자원: 옮길 시간에 쓸 강의실/장비 (원래 자원이 비어 있으면 그대로, 없으면 error)
+  const resolveResource = (startTime, endTime) => resolveSlotResource(room, {
+    userId: req.user.id,
+    slots: requesterSlots,
+    targetDate,
+    startTime,
+    endTime
+  });
+
   // ✅ Validate: Check if target day/time is in OWNER's preferred schedule
   const owner = room.owner;
   const ownerDefaultSchedule = owner.defaultSchedule || [];
@@ -488,6 +509,11 @@ async function handleDateChange(req, res, room, memberData, params) {
           const autoStartTime = minutesToTime(foundSlot.start);
           const autoEndTime = minutesToTime(foundSlot.end);
 
+          const slotResource = resolveResource(autoStartTime, autoEndTime);
+          if (slotResource.error) {
+            return res.status(400).json({ success: false, message: slotResource.error });
+          }
+
 
 
           // 기존 슬롯 삭제
@@ -501,7 +527,9 @@ async function handleDateChange(req, res, room, memberData, params) {
             endTime: autoEndTime,
             dayEnglish: targetDayEnglish,
             priority: requesterSlots[0]?.priority || 3,
-            ownerId: room.owner._id
+            ownerId: room.owner._id,
+            sourceSlot: requesterSlots[0],
+            resourceFields: slotResource.fields
           });
 
           room.timeSlots.push(...newSlots);
@@ -514,7 +542,7 @@ async function handleDateChange(req, res, room, memberData, params) {
             ? `${memberData.user.firstName} ${memberData.user.lastName}`
             : memberData.user.email;
 
-          await logAutoPlacement(
+          const logDetails = await logAutoPlacement(
             room._id,
             req.user.id,
             userName,
@@ -526,6 +554,7 @@ async function handleDateChange(req, res, room, memberData, params) {
               endTime: autoEndTime
             }
           );
+          await recordRoomSnapshot(room, { action: 'slot_swap', before: beforeSlots, userId: req.user.id, userName, details: logDetails });
 
           return res.json({
             success: true,
@@ -561,7 +590,9 @@ async function handleDateChange(req, res, room, memberData, params) {
           endTime: slot.endTime,
           day: slot.day,
           priority: slot.priority,
-          subject: slot.subject
+          subject: slot.subject,
+          sessionId: slot.sessionId,
+          resourceId: slot.resourceId
         })),
         timeSlot: {
           user: firstConflictSlot.user._id || firstConflictSlot.user,
@@ -579,8 +610,10 @@ async function handleDateChange(req, res, room, memberData, params) {
         createdAt: new Date()
       };
 
+      const requestSnapshot = snapshotRequests(room);
       room.requests.push(request);
       await room.save();
+      await notifyRequestChanges(room, requestSnapshot, req.user.id);
 
       const conflictUsers = conflictingUserIds.map(userId => {
         const member = room.members.find(m => (m.user._id || m.user).toString() === userId);
@@ -657,6 +690,11 @@ async function handleDateChange(req, res, room, memberData, params) {
           const autoStartTime = minutesToTime(foundSlot.start);
           const autoEndTime = minutesToTime(foundSlot.end);
 
+          const slotResource = resolveResource(autoStartTime, autoEndTime);
+          if (slotResource.error) {
+            return res.status(400).json({ success: false, message: slotResource.error });
+          }
+
           // 기존 슬롯 삭제
           removeSlots(room, requesterSlots.map(slot => slot._id.toString()));
 
@@ -668,7 +706,9 @@ async function handleDateChange(req, res, room, memberData, params) {
             endTime: autoEndTime,
             dayEnglish: targetDayEnglish,
             priority: requesterSlots[0]?.priority || 3,
-            ownerId: room.owner._id
+            ownerId: room.owner._id,
+            sourceSlot: requesterSlots[0],
+            resourceFields: slotResource.fields
           });
 
           room.timeSlots.push(...newSlots);
@@ -681,7 +721,7 @@ async function handleDateChange(req, res, room, memberData, params) {
             ? `${memberData.user.firstName} ${memberData.user.lastName}`
             : memberData.user.email;
 
-          await logAutoPlacement(
+          const logDetails = await logAutoPlacement(
             room._id,
             req.user.id,
             userName,
@@ -693,6 +733,7 @@ async function handleDateChange(req, res, room, memberData, params) {
               endTime: autoEndTime
             }
           );
+          await recordRoomSnapshot(room, { action: 'slot_swap', before: beforeSlots, userId: req.user.id, userName, details: logDetails });
 
           return res.json({
             success: true,
@@ -757,6 +798,11 @@ async function handleDateChange(req, res, room, memberData, params) {
     subject: s.subject
   })));
 
+  const slotResource = resolveResource(newStartTime, newEndTime);
+  if (slotResource.error) {
+    return res.status(400).json({ success: false, message: slotResource.error });
+  }
+
   removeSlots(room, requesterSlots.map(slot => slot._id.toString()));
 
 
@@ -773,7 +819,9 @@ async function handleDateChange(req, res, room, memberData, params) {
     endTime: newEndTime,
     dayEnglish: targetDayEnglish,
     priority: requesterSlots[0]?.priority || 3,
-    ownerId: room.owner._id
+    ownerId: room.owner._id,
+    sourceSlot: requesterSlots[0],
+    resourceFields: slotResource.fields
   });
 
   room.timeSlots.push(...newSlots);
@@ -790,7 +838,7 @@ async function handleDateChange(req, res, room, memberData, params) {
     ? `${memberData.user.firstName} ${memberData.user.lastName}`
     : memberData.user.email;
 
-  await logSlotSwap(
+  const logDetails = await logSlotSwap(
     room._id,
     req.user.id,
     userName,
@@ -802,6 +850,7 @@ async function handleDateChange(req, res, room, memberData, params) {
       endTime: newEndTime
     }
   );
+  await recordRoomSnapshot(room, { action: 'slot_swap', before: beforeSlots, userId: req.user.id, userName, details: logDetails });
 
   return res.json({
     success: true,
@@ -1,9 +1,9 @@
 /**
- * Gemini AI 서비스
+ * 자연어 메시지 파싱 서비스 (AI)
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../../../services/llm');
+const { EXCHANGE_PARSE } = require('../../../services/llm/schemas');
 
 const { validateTimeChangeParams, validateDateChangeParams } = require('../validators/dayValidator');
 const { validateTime } = require('../validators/timeRangeValidator');
@@ -28,7 +28,7 @@ function buildConversationContext(recentMessages) {
 }
 
 /**
- * Gemini 프롬프트 생성
+ * AI 프롬프트 생성
  * @param {string} message - 사용자 메시지
  * @param {string} conversationContext - 대화 컨텍스트
  * @returns {string} - 완성된 프롬프트
@@ -197,29 +197,18 @@ JSON만 반환하고 다른 텍스트는 포함하지 마세요.
 }
 
 /**
- * Gemini로 자연어 메시지 파싱
+ * AI로 자연어 메시지 파싱
  * @param {string} message - 사용자 메시지
  * @param {Array} recentMessages - 최근 메시지 배열
  * @returns {Object} - 파싱된 결과
+ * @throws {LlmError} - 재요청 후에도 응답 형식이 맞지 않을 때 (INVALID_JSON / SCHEMA_MISMATCH)
  */
 async function parseMessage(message, recentMessages = []) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
   const conversationContext = buildConversationContext(recentMessages);
   const prompt = buildPrompt(message, conversationContext);
 
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  const text = response.text().trim();
-
-  // JSON 파싱
-  const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-  const parsed = JSON.parse(jsonText);
-
-  // 타입 검증
-  if (!parsed.type) {
-    throw new Error('메시지 타입을 파악할 수 없습니다.');
-  }
+  // 스키마 검증 (타입별 필수 필드, 숫자/시간 형식), 형식이 틀리면 재요청
+  const parsed = await llm.generateJSON(prompt, EXCHANGE_PARSE);
 
   // time_change 검증
   if (parsed.type === 'time_change') {
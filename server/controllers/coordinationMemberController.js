@@ -1,10 +1,29 @@
 const Room = require('../models/room');
 const User = require('../models/user');
 const ActivityLog = require('../models/ActivityLog');
+const { removeUserFromRoomChannel } = require('../middleware/socketAuth');
+const { sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('../services/roomHistoryService');
+const { offerReleasedSlots } = require('../services/slotWaitlistService');
+const { ROOM_ROLES, MEMBER_ROLES, ROOM_PERMISSIONS, isSchedulableMember } = require('../utils/roomPermissions');
+const { validateMemberSessions } = require('../utils/memberSessions');
+const { OWNER_COLOR, getAvailableColor } = require('../utils/colorUtils');
 
-// @desc    Remove a member from a room (owner only)
+const ROLE_LABELS = {
+  [ROOM_ROLES.OWNER]: '방장',
+  [ROOM_ROLES.CO_HOST]: '공동 방장',
+  [ROOM_ROLES.MEMBER]: '조원',
+  [ROOM_ROLES.OBSERVER]: '참관인'
+};
+
+const getUserName = async (userId) => {
+  const user = await User.findById(userId).select('firstName lastName name');
+  return user ? (user.name || `${user.firstName || ''} ${user.lastName || ''}`.trim()) : 'Unknown';
+};
+
+// @desc    Remove a member from a room (owner, co-host)
 // @route   DELETE /api/coordination/rooms/:roomId/members/:memberId
-// @access  Private (Room Owner only)
+// @access  Private (Owner / Co-host)
 exports.removeMember = async (req, res) => {
   try {
     const { roomId, memberId } = req.params;
@@ -15,17 +34,23 @@ exports.removeMember = async (req, res) => {
       return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
     }
 
-    // 2. Validate owner
-    if (room.owner.toString() !== req.user.id) {
-      return res.status(403).json({ msg: '방장만 조원을 제거할 수 있습니다.' });
+    // 2. Validate permission (owner, co-host)
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 조원을 제거할 수 있습니다.' });
     }
 
-    // 3. Prevent owner from removing themselves
+    // 3. Prevent removing the owner
     if (room.owner.toString() === memberId) {
-      return res.status(400).json({ msg: '방장은 자신을 제거할 수 없습니다.' });
+      return res.status(400).json({ msg: '방장은 제거할 수 없습니다.' });
+    }
+
+    // 공동 방장은 방장만 제거할 수 있음
+    if (room.getRole(memberId) === ROOM_ROLES.CO_HOST && !room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_ROLES)) {
+      return res.status(403).json({ msg: '공동 방장은 방장만 제거할 수 있습니다.' });
     }
 
     // 4. Check if member exists in the room
+    const beforeSlots = captureTimeSlots(room);
     const initialMemberCount = room.members.length;
     room.members = room.members.filter(member => member.user.toString() !== memberId);
 
@@ -33,8 +58,10 @@ exports.removeMember = async (req, res) => {
       return res.status(404).json({ msg: '해당 조원을 찾을 수 없습니다.' });
     }
 
-    // 5. Remove all timeSlots associated with the removed member
-    room.timeSlots = room.timeSlots.filter(slot => slot.userId?.toString() !== memberId && slot.user?.toString() !== memberId);
+    // 5. Remove all timeSlots associated with the removed member (빈 시간은 저장 후 대기열에 제안)
+    const isRemovedMemberSlot = slot => slot.userId?.toString() === memberId || slot.user?.toString() === memberId;
+    const releasedSlots = room.timeSlots.filter(isRemovedMemberSlot);
+    room.timeSlots = room.timeSlots.filter(slot => !isRemovedMemberSlot(slot));
 
     // 6. Remove all requests associated with the removed member (as requester or target)
     room.requests = room.requests.filter(request =>
@@ -46,24 +73,28 @@ exports.removeMember = async (req, res) => {
     const removedUser = await User.findById(memberId);
 
     // 8. Save room
-    await room.save();
+    await saveRoomChecked(room);
     await room.populate('owner', 'firstName lastName email firebaseUid');
     await room.populate('members.user', 'firstName lastName email firebaseUid');
 
+    // 강퇴된 조원의 소켓을 방 채널에서 제거 (이후 방송 수신 차단)
+    removeUserFromRoomChannel(roomId, memberId, 'kicked');
+
     // 활동 로그 기록
+    const removedName = removedUser?.name || `${removedUser?.firstName || ''} ${removedUser?.lastName || ''}`.trim();
     try {
-      const ownerUser = await User.findById(req.user.id);
-      const ownerName = ownerUser ? `${ownerUser.firstName} ${ownerUser.lastName}` : 'Unknown';
-      const removedName = removedUser?.name || `${removedUser?.firstName || ''} ${removedUser?.lastName || ''}`.trim();
+      const actorName = await getUserName(req.user.id);
       await ActivityLog.logActivity(
         roomId,
         req.user.id,
-        ownerName,
+        actorName,
         'member_kick',
         `${removedName}님을 강퇴함`
       );
     } catch (logError) {
     }
+    await recordRoomSnapshot(room, { action: 'member_kick', before: beforeSlots, userId: req.user.id, details: `${removedName}님을 강퇴함` });
+    await offerReleasedSlots(room, releasedSlots, { reason: 'member_kick', releasedBy: memberId });
 
     res.json({
       msg: '조원이 성공적으로 제거되었습니다.',
@@ -76,6 +107,175 @@ exports.removeMember = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// @desc    Change a member's role (co_host / member / observer)
+// @route   PUT /api/coordination/rooms/:roomId/members/:memberId/role
+// @access  Private (Room Owner only)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { roomId, memberId } = req.params;
+    const { role } = req.body;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ msg: '역할은 co_host, member, observer 중 하나여야 합니다.' });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_ROLES)) {
+      return res.status(403).json({ msg: '방장만 역할을 변경할 수 있습니다.' });
+    }
+
+    if (room.owner.toString() === memberId) {
+      return res.status(400).json({ msg: '방장의 역할은 변경할 수 없습니다. 방장 위임을 사용하세요.' });
+    }
+
+    const member = room.members.find(m => m.user.toString() === memberId);
+    if (!member) {
+      return res.status(404).json({ msg: '해당 조원을 찾을 수 없습니다.' });
+    }
+
+    const previousRole = member.role || ROOM_ROLES.MEMBER;
+    if (previousRole === role) {
+      return res.status(400).json({ msg: `이미 ${ROLE_LABELS[role]}입니다.` });
+    }
+
+    member.role = role;
+    await saveRoomChecked(room);
+    await room.populate('owner', 'firstName lastName email firebaseUid');
+    await room.populate('members.user', 'firstName lastName email firebaseUid');
+
+    const memberName = await getUserName(memberId);
+    const details = `${memberName}님의 역할을 ${ROLE_LABELS[previousRole]}에서 ${ROLE_LABELS[role]}(으)로 변경`;
+    try {
+      const ownerName = await getUserName(req.user.id);
+      await ActivityLog.logActivity(roomId, req.user.id, ownerName, 'role_change', details, {
+        memberId,
+        previousRole,
+        role
+      });
+    } catch (logError) {
+    }
+
+    res.json({ msg: details, room });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// @desc    Replace a member's session definitions (duration / sessions per week / allowed days / subject)
+// @route   PUT /api/coordination/rooms/:roomId/members/:memberId/sessions
+// @access  Private (Owner / Co-host)
+// body: { sessions: [{ subject, durationMinutes, sessionsPerWeek, days }] } - 빈 배열이면 주당 최소 시간 배정으로 돌아감
+exports.updateMemberSessions = async (req, res) => {
+  try {
+    const { roomId, memberId } = req.params;
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 수업 구성을 변경할 수 있습니다.' });
+    }
+
+    const member = room.members.find(m => m.user.toString() === memberId);
+    if (!member) {
+      return res.status(404).json({ msg: '해당 조원을 찾을 수 없습니다.' });
+    }
+    if (!isSchedulableMember(room, member)) {
+      return res.status(400).json({ msg: '자동 배정 대상인 조원만 수업 구성을 설정할 수 있습니다.' });
+    }
+
+    const { sessions, error } = validateMemberSessions(req.body.sessions);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    member.sessions = sessions;
+    await saveRoomChecked(room);
+    await room.populate('owner', 'firstName lastName email firebaseUid');
+    await room.populate('members.user', 'firstName lastName email firebaseUid');
+
+    const memberName = await getUserName(memberId);
+    const details = sessions.length > 0
+      ? `${memberName}님의 수업 구성 변경 (${sessions.length}개, 주 ${sessions.reduce((sum, s) => sum + s.sessionsPerWeek, 0)}회)`
+      : `${memberName}님의 수업 구성 삭제 (주당 최소 시간으로 배정)`;
+    try {
+      const actorName = await getUserName(req.user.id);
+      await ActivityLog.logActivity(roomId, req.user.id, actorName, 'room_update', details, { memberId });
+    } catch (logError) {
+    }
+
+    res.json({ msg: details, room });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// @desc    Transfer room ownership to a co-host (previous owner becomes co-host)
+// @route   POST /api/coordination/rooms/:roomId/transfer-ownership
+// @access  Private (Room Owner only)
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { memberId } = req.body;
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_ROLES)) {
+      return res.status(403).json({ msg: '방장만 방장을 위임할 수 있습니다.' });
+    }
+
+    // 자동배정 대상이 아닌 공동 방장에게만 위임 (조원이 방장이 되면 배정된 수업이 방장 시간으로 바뀜)
+    if (room.getRole(memberId) !== ROOM_ROLES.CO_HOST) {
+      return res.status(400).json({ msg: '공동 방장에게만 방장을 위임할 수 있습니다. 먼저 공동 방장으로 지정해주세요.' });
+    }
+
+    const previousOwnerId = room.owner.toString();
+    const newOwnerMember = room.members.find(m => m.user.toString() === memberId);
+    const previousOwnerMember = room.members.find(m => m.user.toString() === previousOwnerId);
+
+    room.owner = memberId;
+    newOwnerMember.role = ROOM_ROLES.MEMBER;
+    newOwnerMember.color = OWNER_COLOR;
+    if (previousOwnerMember) {
+      previousOwnerMember.role = ROOM_ROLES.CO_HOST;
+      const usedColors = room.members.filter(m => m !== previousOwnerMember).map(m => m.color);
+      previousOwnerMember.color = getAvailableColor(usedColors);
+    }
+
+    await saveRoomChecked(room);
+    await room.populate('owner', 'firstName lastName email firebaseUid');
+    await room.populate('members.user', 'firstName lastName email firebaseUid');
+
+    const newOwnerName = await getUserName(memberId);
+    const details = `${newOwnerName}님에게 방장을 위임`;
+    try {
+      const previousOwnerName = await getUserName(previousOwnerId);
+      await ActivityLog.logActivity(roomId, req.user.id, previousOwnerName, 'owner_transfer', details, {
+        previousOwnerId,
+        newOwnerId: memberId
+      });
+    } catch (logError) {
+    }
+
+    res.json({ msg: details, room });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
     res.status(500).json({ msg: 'Server error' });
   }
 };
@@ -107,11 +307,12 @@ exports.leaveRoom = async (req, res) => {
         });
       }
       return res.status(400).json({
-        msg: '방장은 방을 나갈 수 없습니다. 방을 삭제하거나 다른 조원에게 방장을 위임하세요.'
+        msg: '방장은 방을 나갈 수 없습니다. 방을 삭제하거나 공동 방장에게 방장을 위임하세요.'
       });
     }
 
     // 3. Check if user is a member
+    const beforeSlots = captureTimeSlots(room);
     const initialMemberCount = room.members.length;
     room.members = room.members.filter(member => member.user.toString() !== userId);
 
@@ -119,10 +320,10 @@ exports.leaveRoom = async (req, res) => {
       return res.status(404).json({ msg: '이 방의 조원이 아닙니다.' });
     }
 
-    // 4. Remove all timeSlots associated with the leaving user
-    room.timeSlots = room.timeSlots.filter(slot =>
-      slot.userId?.toString() !== userId && slot.user?.toString() !== userId
-    );
+    // 4. Remove all timeSlots associated with the leaving user (빈 시간은 저장 후 대기열에 제안)
+    const isLeavingUserSlot = slot => slot.userId?.toString() === userId || slot.user?.toString() === userId;
+    const releasedSlots = room.timeSlots.filter(isLeavingUserSlot);
+    room.timeSlots = room.timeSlots.filter(slot => !isLeavingUserSlot(slot));
 
     // 5. Remove all requests associated with the leaving user
     room.requests = room.requests.filter(request =>
@@ -131,10 +332,13 @@ exports.leaveRoom = async (req, res) => {
     );
 
     // 6. Save room
-    await room.save();
+    await saveRoomChecked(room);
     await room.populate('owner', 'firstName lastName email firebaseUid');
     await room.populate('members.user', 'firstName lastName email firebaseUid');
 
+    // 나간 사용자의 다른 탭/기기 소켓도 방 채널에서 제거
+    removeUserFromRoomChannel(roomId, userId, 'left');
+
     // 활동 로그 기록
     try {
       const leavingUser = await User.findById(userId);
@@ -148,6 +352,8 @@ exports.leaveRoom = async (req, res) => {
       );
     } catch (logError) {
     }
+    await recordRoomSnapshot(room, { action: 'member_leave', before: beforeSlots, userId, details: '방에서 퇴장' });
+    await offerReleasedSlots(room, releasedSlots, { reason: 'member_leave', releasedBy: userId });
 
     res.json({
       msg: '방에서 성공적으로 나갔습니다.',
@@ -156,6 +362,7 @@ exports.leaveRoom = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendRoomConflict(res, error)) return;
     res.status(500).json({ msg: 'Server error' });
   }
 };
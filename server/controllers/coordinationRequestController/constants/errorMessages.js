@@ -5,9 +5,11 @@ const ERROR_MESSAGES = {
   ROOM_NOT_FOUND: '방을 찾을 수 없습니다.',
   REQUEST_NOT_FOUND: '요청을 찾을 수 없습니다.',
   OWNER_CANNOT_REQUEST: '방장은 시간표 교환요청을 할 수 없습니다.',
+  MEMBER_ONLY_REQUEST: '조원만 시간표 교환요청을 할 수 있습니다.',
   DUPLICATE_REQUEST: '동일한 요청이 이미 존재합니다.',
   INVALID_ACTION: '유효하지 않은 액션입니다. approved 또는 rejected만 허용됩니다.',
   NO_PERMISSION: '이 요청을 처리할 권한이 없습니다.',
+  TARGET_ONLY: '요청을 받은 조원만 처리할 수 있습니다.',
   ALREADY_PROCESSED: '이미 처리된 요청입니다.',
   NO_DELETE_PERMISSION: '요청을 삭제할 권한이 없습니다.',
   PENDING_REQUESTER_ONLY: '대기 중인 요청은 요청자만 취소할 수 있습니다.',
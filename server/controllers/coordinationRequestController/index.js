@@ -10,6 +10,9 @@
  * - 요청 승인/거절 처리
  * - 연쇄 교환 (Chain Exchange) - A → B → C → D
  * - 자동 빈 시간 찾기
+ * - 자리 양보(slot_release) 승인 시 빈 시간을 빈자리 대기열에 제안 (services/slotWaitlistService.js)
+ * - 동선 조정(route_reorder) 요청: 같은 제안의 요청이 모두 승인되면 반영, 한 명이라도 거절하면 나머지 취소 (services/dayRouteService.js)
+ * - 동시 수정 충돌 시 라우트의 retryOnRoomConflict가 핸들러를 최신 방 기준으로 재실행
  *
  * 관련 파일:
  * - server/controllers/coordinationRequestController/helpers/
@@ -32,7 +35,7 @@ const { slotBelongsToUser } = require('./utils/slotComparator');
 
 // Validators
 const { validateCreateRequest, validateAction, hasDuplicateRequest } = require('./validators/validateRequest');
-const { validateHandlePermission, validateDeletePermission } = require('./validators/validatePermission');
+const { validateHandlePermission, validateCreatePermission, validateDeletePermission } = require('./validators/validatePermission');
 
 // Helpers
 const { findOverlappingSlots } = require('./helpers/findOverlappingSlots');
@@ -41,6 +44,13 @@ const { findCandidates } = require('./helpers/findCandidates');
 
 // Services
 const { logApproval, logRejection, formatSlotDetails } = require('./services/activityLogService');
+const { snapshotRequests, notifyRequestChanges } = require('../../services/notificationService');
+const { isRoomConflictError, saveRoomChecked } = require('../../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('../../services/roomHistoryService');
+const { offerReleasedSlots } = require('../../services/slotWaitlistService');
+const { getSessionSlotFields } = require('../../utils/memberSessions');
+const { resolveSlotResource } = require('../../utils/roomResources');
+const { handleRouteReorderApproval, cancelRouteReorderPlan } = require('../../services/dayRouteService');
 
 // 체인 요청용 헬퍼 함수들 import
 const { findChainCandidates } = require('../coordinationExchangeController');
@@ -64,9 +74,10 @@ exports.createRequest = async (req, res) => {
       return res.status(404).json({ msg: ERROR_MESSAGES.ROOM_NOT_FOUND });
     }
 
-    // 방장은 시간표 교환요청을 할 수 없음
-    if (room.owner.toString() === req.user.id) {
-      return res.status(403).json({ msg: ERROR_MESSAGES.OWNER_CANNOT_REQUEST });
+    // 방장/공동 방장/참관인은 시간표 교환요청을 할 수 없음
+    const createPermissionError = validateCreatePermission(room, req.user.id);
+    if (createPermissionError) {
+      return res.status(createPermissionError.status).json({ msg: createPermissionError.msg });
     }
 
     // 중복 요청 확인
@@ -193,8 +204,10 @@ exports.createRequest = async (req, res) => {
       }
     }
 
+    const requestSnapshot = snapshotRequests(room);
     room.requests.push(requestData);
-    await room.save();
+    await saveRoomChecked(room);
+    await notifyRequestChanges(room, requestSnapshot, req.user.id);
 
     const populatedRoom = await Room.findById(roomId)
       .populate('requests.requester', 'firstName lastName email')
@@ -202,6 +215,7 @@ exports.createRequest = async (req, res) => {
 
     res.json(populatedRoom);
   } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도
     res.status(500).json({ msg: ERROR_MESSAGES.SERVER_ERROR });
   }
 };
@@ -213,6 +227,8 @@ exports.handleRequest = async (req, res) => {
    try {
       const { requestId, action } = req.params;
       const { message } = req.body;
+      // 재배치 로그는 방 저장이 성공한 뒤에 기록 (충돌로 재실행되면 중복 기록되지 않도록)
+      const pendingLogs = [];
 
 
       // 액션 검증
@@ -237,6 +253,9 @@ exports.handleRequest = async (req, res) => {
          return res.status(404).json({ msg: ERROR_MESSAGES.REQUEST_NOT_FOUND });
       }
 
+      const requestSnapshot = snapshotRequests(room);
+      const beforeSlots = captureTimeSlots(room);
+
       // 권한 검증
       const permissionError = validateHandlePermission(room, request, req.user.id);
       if (permissionError) {
@@ -254,19 +273,26 @@ exports.handleRequest = async (req, res) => {
       request.response = message || '';
 
 
+      // 자리 양보로 빈 시간 (저장 후 대기열에 제안)
+      let releasedSlots = [];
+
       if (action === 'approved') {
          const { type, timeSlot: ts, targetSlot, targetUser, requester } = request;
          const timeSlot = (ts && Object.keys(ts).length > 0) ? ts : targetSlot;
 
-         if (type === 'slot_release') {
-            room.timeSlots = room.timeSlots.filter(slot => {
+         if (type === 'route_reorder') {
+            handleRouteReorderApproval(room, request);
+         } else if (type === 'slot_release') {
+            const isReleasedSlot = slot => {
                const slotUserId = slot.user._id || slot.user;
-               return !(
+               return (
                   slotUserId.toString() === requester._id.toString() &&
                   slot.day === timeSlot.day &&
                   slot.startTime === timeSlot.startTime
                );
-            });
+            };
+            releasedSlots = room.timeSlots.filter(isReleasedSlot);
+            room.timeSlots = room.timeSlots.filter(slot => !isReleasedSlot(slot));
             room.markModified('timeSlots');
          } else if (type === 'slot_swap' && targetUser) {
             const targetSlotIndex = room.timeSlots.findIndex(slot =>
@@ -467,8 +493,14 @@ exports.handleRequest = async (req, res) => {
                            room.markModified('timeSlots');
                            room.markModified('requests');
 
-                           await room.save();
-
+                           await saveRoomChecked(room);
+                           await notifyRequestChanges(room, requestSnapshot, req.user.id);
+                           await recordRoomSnapshot(room, {
+                              action: 'change_approve',
+                              before: beforeSlots,
+                              userId: req.user.id,
+                              details: `${requester.firstName || ''} ${requester.lastName || ''}`.trim() + '님의 요청 승인 (직접 교환)'
+                           });
 
                            return res.json({
                               success: true,
@@ -562,16 +594,36 @@ exports.handleRequest = async (req, res) => {
                               return overlaps;
                            });
 
-                           if (!hasConflict) {
-                              bestCandidate = candidate;
+                           // 방 자원: 양보하는 사람이 옮겨 갈 시간에도 쓸 강의실/장비가 있어야 함
+                           const candidateResource = hasConflict ? null : resolveSlotResource(room, {
+                              userId: targetUser._id,
+                              slots: overlappingSlots,
+                              targetDate: candidate.date,
+                              startTime: toTimeString(newStartMinutes),
+                              endTime: toTimeString(newEndMinutes)
+                           });
+
+                           if (candidateResource && !candidateResource.error) {
+                              bestCandidate = { ...candidate, resourceFields: candidateResource.fields };
                               break;
-                           } else {
                            }
                         }
                      }
 
                      if (bestCandidate) {
 
+                        // 방 자원: 요청자가 받을 시간에 쓸 강의실/장비 (양보하는 슬롯의 자원은 비는 것으로 계산)
+                        const requesterResource = resolveSlotResource(room, {
+                           userId: requester._id,
+                           slots: [...(request.requesterSlots || []), ...overlappingSlots],
+                           targetDate: firstSlot.date,
+                           startTime: timeSlot.startTime,
+                           endTime: timeSlot.endTime
+                        });
+                        if (requesterResource.error) {
+                           return res.status(400).json({ msg: requesterResource.error });
+                        }
+
                         if (request.requesterSlots && request.requesterSlots.length > 0) {
                            request.requesterSlots.forEach(reqSlot => {
                               const reqDateStr = reqSlot.date ? new Date(reqSlot.date).toISOString().split('T')[0] : null;
@@ -612,6 +664,8 @@ exports.handleRequest = async (req, res) => {
                            endTime: timeSlot.endTime,
                            day: timeSlot.day,
                            subject: firstSlot.subject || '양보받은 시간',
+                           ...getSessionSlotFields(request.requesterSlots?.[0]),
+                           ...requesterResource.fields,
                            status: 'confirmed',
                            assignedBy: req.user.id
                         });
@@ -631,6 +685,7 @@ exports.handleRequest = async (req, res) => {
                               endTime: toTimeString(slotEnd),
                               day: DAY_NAMES[bestCandidate.dayOfWeek],
                               subject: '자동 재배치',
+                              ...bestCandidate.resourceFields,
                               status: 'confirmed',
                               assignedBy: req.user.id
                            });
@@ -647,7 +702,7 @@ exports.handleRequest = async (req, res) => {
                         const newMonth = bestCandidate.date.getUTCMonth() + 1;
                         const newDay = bestCandidate.date.getUTCDate();
 
-                        await ActivityLog.logActivity(
+                        pendingLogs.push([
                            room._id,
                            targetUser._id,
                            targetUserName,
@@ -660,7 +715,7 @@ exports.handleRequest = async (req, res) => {
                               targetTime: `${toTimeString(newStartMinutes)}-${toTimeString(newEndMinutes)}`,
                               yieldedTo: requesterNameForLog
                            }
-                        );
+                        ]);
 
 
                      } else {
@@ -1025,13 +1080,28 @@ exports.handleRequest = async (req, res) => {
             }
          }
 
-         await room.save();
+         await saveRoomChecked(room);
+         for (const logArgs of pendingLogs) {
+            await ActivityLog.logActivity(...logArgs);
+         }
       } else if (action === 'rejected') {
+         if (request.type === 'route_reorder') {
+            cancelRouteReorderPlan(room, request, '다른 조원이 거절해 동선 조정이 취소되었습니다.');
+         }
+         // 연쇄 요청 거절은 원래 요청도 같은 저장에서 거절 처리 (저장이 두 번이면 두 번째 충돌 재시도가 이미 처리된 요청을 다시 처리함)
+         if (request.type === 'chain_request' && request.chainData) {
+            const originalRequest = room.requests.id(request.chainData.originalRequest);
+            if (originalRequest) {
+               originalRequest.status = 'rejected';
+               originalRequest.response = ERROR_MESSAGES.CHAIN_REJECTED;
+            }
+         }
          room.markModified('requests');
-         await room.save();
+         await saveRoomChecked(room);
       }
 
       if (request.status === 'waiting_for_chain') {
+         await notifyRequestChanges(room, requestSnapshot, req.user.id);
          const updatedRoom = await Room.findById(room._id)
             .populate('requests.requester', 'firstName lastName email')
             .populate('requests.targetUser', 'firstName lastName email')
@@ -1061,20 +1131,20 @@ exports.handleRequest = async (req, res) => {
          }
 
          await logApproval(room._id, req.user.id, responderName, requesterName, slotDetails, prevSlotDetails);
+         await recordRoomSnapshot(room, {
+            action: 'change_approve',
+            before: beforeSlots,
+            userId: req.user.id,
+            userName: responderName,
+            details: `${requesterName}님의 요청(${slotDetails})을 승인`
+         });
+         await offerReleasedSlots(room, releasedSlots, { reason: 'slot_release', releasedBy: request.requester._id });
       } else {
-         if (request.type === 'chain_request' && request.chainData) {
-            const originalRequest = room.requests.id(request.chainData.originalRequest);
-            if (originalRequest) {
-               originalRequest.status = 'rejected';
-               originalRequest.response = ERROR_MESSAGES.CHAIN_REJECTED;
-            }
-            room.markModified('requests');
-            await room.save();
-         }
-
          await logRejection(room._id, req.user.id, responderName, requesterName, slotDetails);
       }
 
+      await notifyRequestChanges(room, requestSnapshot, req.user.id);
+
       const updatedRoom = await Room.findById(room._id)
          .populate('requests.requester', 'firstName lastName email')
          .populate('requests.targetUser', 'firstName lastName email')
@@ -1083,6 +1153,7 @@ exports.handleRequest = async (req, res) => {
 
       res.json(updatedRoom);
    } catch (error) {
+      if (isRoomConflictError(error)) throw error;
       console.error('❌ handleRequest error:', error);
       console.error('❌ Error stack:', error.stack);
       res.status(500).json({ msg: ERROR_MESSAGES.SERVER_ERROR, error: error.message });
@@ -1113,7 +1184,7 @@ exports.cancelRequest = async (req, res) => {
     }
 
     room.requests.pull(requestId);
-    await room.save();
+    await saveRoomChecked(room);
 
     const updatedRoom = await Room.findById(room._id)
       .populate('requests.requester', 'firstName lastName email')
@@ -1123,6 +1194,7 @@ exports.cancelRequest = async (req, res) => {
 
     res.json(updatedRoom);
   } catch (error) {
+    if (isRoomConflictError(error)) throw error;
     res.status(500).json({ msg: ERROR_MESSAGES.SERVER_ERROR });
   }
 };
@@ -1230,13 +1302,16 @@ exports.handleChainConfirmation = async (req, res) => {
          return res.status(400).json({ msg: '연쇄 조정 데이터가 없습니다.' });
       }
 
+      const requestSnapshot = snapshotRequests(room);
+
       if (action === 'cancel') {
          // 취소: 요청 상태를 cancelled로 변경
          request.status = 'cancelled';
          request.response = '요청자가 연쇄 조정을 취소했습니다.';
          request.respondedAt = new Date();
 
-         await room.save();
+         await saveRoomChecked(room);
+         await notifyRequestChanges(room, requestSnapshot, req.user.id);
 
          return res.json({
             success: true,
@@ -1287,7 +1362,8 @@ exports.handleChainConfirmation = async (req, res) => {
       request.status = 'pending';
       request.response = `연쇄 조정 진행 중 - ${firstCandidate.userName}님에게 요청 전송됨`;
 
-      await room.save();
+      await saveRoomChecked(room);
+      await notifyRequestChanges(room, requestSnapshot, req.user.id);
 
       const updatedRoom = await Room.findById(room._id)
          .populate('requests.requester', 'firstName lastName email')
@@ -1301,6 +1377,7 @@ exports.handleChainConfirmation = async (req, res) => {
          room: updatedRoom
       });
    } catch (error) {
+      if (isRoomConflictError(error)) throw error;
       console.error('Chain confirmation error:', error);
       res.status(500).json({ success: false, msg: 'Server error' });
    }
@@ -1,15 +1,16 @@
 // 권한 검증
 
 const { ERROR_MESSAGES } = require('../constants/errorMessages');
+const { ROOM_ROLES, ROOM_PERMISSIONS } = require('../../../utils/roomPermissions');
 
 /**
- * 방장 여부 확인
+ * 모든 요청을 처리할 수 있는지 확인 (방장, 공동 방장)
  * @param {Object} room - 방 객체
  * @param {string} userId - 사용자 ID
- * @returns {boolean} 방장이면 true
+ * @returns {boolean} 처리 권한이 있으면 true
  */
-const isOwner = (room, userId) => {
-  return room.owner.toString() === userId || room.isOwner(userId);
+const canHandleAnyRequest = (room, userId) => {
+  return room.hasPermission(userId, ROOM_PERMISSIONS.HANDLE_REQUESTS);
 };
 
 /**
@@ -29,23 +30,43 @@ const isTargetUser = (request, userId) => {
 };
 
 /**
- * 요청 처리 권한 확인
+ * 요청 처리 권한 확인 (동선 조정 요청은 대상 조원만)
  * @param {Object} room - 방 객체
  * @param {Object} request - 요청 객체
  * @param {string} userId - 사용자 ID
  * @returns {Object|null} 에러가 있으면 에러 객체, 없으면 null
  */
 const validateHandlePermission = (room, request, userId) => {
-  const hasOwnerPermission = isOwner(room, userId);
   const hasTargetPermission = isTargetUser(request, userId);
+  // 동선 조정 요청은 방장이 보낸 것이므로 대상 조원만 승인/거절
+  if (request.type === 'route_reorder') {
+    return hasTargetPermission ? null : { status: 403, msg: ERROR_MESSAGES.TARGET_ONLY };
+  }
+
+  const hasManagerPermission = canHandleAnyRequest(room, userId);
 
-  if (!hasOwnerPermission && !hasTargetPermission) {
+  if (!hasManagerPermission && !hasTargetPermission) {
     return { status: 403, msg: ERROR_MESSAGES.NO_PERMISSION };
   }
 
   return null;
 };
 
+/**
+ * 요청 생성 권한 확인 (조원만 교환/양보 요청 가능)
+ * @param {Object} room - 방 객체
+ * @param {string} userId - 사용자 ID
+ * @returns {Object|null} 에러가 있으면 에러 객체, 없으면 null
+ */
+const validateCreatePermission = (room, userId) => {
+  if (room.hasPermission(userId, ROOM_PERMISSIONS.REQUEST_EXCHANGE)) return null;
+
+  const msg = room.getRole(userId) === ROOM_ROLES.OWNER
+    ? ERROR_MESSAGES.OWNER_CANNOT_REQUEST
+    : ERROR_MESSAGES.MEMBER_ONLY_REQUEST;
+  return { status: 403, msg };
+};
+
 /**
  * 요청 삭제 권한 확인
  * @param {Object} request - 요청 객체
@@ -68,8 +89,9 @@ const validateDeletePermission = (request, userId) => {
 };
 
 module.exports = {
-  isOwner,
+  canHandleAnyRequest,
   isTargetUser,
   validateHandlePermission,
+  validateCreatePermission,
   validateDeletePermission
 };
@@ -2,9 +2,11 @@
 const ERROR_MESSAGES = {
   ROOM_NOT_FOUND: '방을 찾을 수 없습니다.',
   OWNER_ONLY: '방장만 이 기능을 사용할 수 있습니다.',
+  MANAGER_ONLY: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.',
   OWNER_NO_SCHEDULE: (ownerName) => `방장(${ownerName})이 선호시간표를 설정하지 않았습니다. 내프로필에서 선호시간표를 설정해주세요.`,
   MEMBERS_NO_SCHEDULE: (memberNames) => `다음 멤버들이 선호시간표를 설정하지 않았습니다: ${memberNames}. 각 멤버는 내프로필에서 선호시간표를 설정해야 합니다.`,
   INVALID_HOURS_PER_WEEK: '주당 최소 할당 시간은 10분-10시간 사이여야 합니다.',
+  INVALID_FAIRNESS_WEIGHT: '공평성 균형 가중치는 0에서 1 사이여야 합니다.',
   ALREADY_CONFIRMED: '이미 확정된 스케줄입니다',
   INVALID_TRAVEL_MODE: '유효하지 않은 이동 모드입니다.',
   NO_SCHEDULE_DATA: '스케줄 데이터가 없습니다.',
@@ -31,6 +33,10 @@ const VALIDATION_RULES = {
   DEFAULT_NUM_WEEKS: 4,
   DEFAULT_MIN_CLASS_DURATION_MINUTES: 60,
 
+  // 공평성 균형 가중치
+  MIN_FAIRNESS_WEIGHT: 0,
+  MAX_FAIRNESS_WEIGHT: 1,
+
   // 자동 확정 기간
   MIN_AUTO_CONFIRM_DURATION: 1,
   MAX_AUTO_CONFIRM_DURATION: 168,  // 1주일
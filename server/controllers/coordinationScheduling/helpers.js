@@ -2,6 +2,7 @@ const Room = require('../../models/room');
 const User = require('../../models/user');
 const { SLOT_TYPES } = require('./constants');
 const { timeToMinutes, minutesToTime, getDayOfWeekNumber } = require('./utils');
+const { isSchedulableMember } = require('../../utils/roomPermissions');
 
 
 // from roomHelper.js
@@ -28,12 +29,9 @@ const updateRoomSettings = (room, settings) => {
   Object.assign(room.settings, settings);
 };
 
+// 자동배정 대상 조원 (방장, 공동 방장, 참관인 제외)
 const getMembersOnly = (room) => {
-  return room.members.filter(m => {
-    const memberId = m.user._id ? m.user._id.toString() : m.user.toString();
-    const ownerId = room.owner._id ? room.owner._id.toString() : room.owner.toString();
-    return memberId !== ownerId;
-  });
+  return room.members.filter(m => isSchedulableMember(room, m));
 };
 
 const getMemberIds = (members) => {
@@ -0,0 +1,195 @@
+const schedulingAlgorithm = require('../../services/schedulingAlgorithm');
+const { getMembersOnly, shouldPreserveSlot, extractUserId } = require('./helpers');
+const { getExistingCarryOvers } = require('./carryOverService');
+const { findInsufficientMembers, buildAutoAssignedSlots } = require('./schedulingService');
+const { timeToMinutes } = require('./utils');
+const { buildFairnessBalance } = require('../../services/fairnessService');
+
+// 방마다 저장할 수 있는 시나리오 수
+const MAX_SCENARIOS_PER_ROOM = 10;
+
+/**
+ * 자동 배정 시뮬레이션 (방을 변경하지 않음)
+ * 보존 슬롯(협의/확정)만 남긴 스냅샷으로 알고리즘을 실행하고 제안 시간표를 반환합니다.
+ * @param {Object} room - 멤버/방장이 populate된 방 객체
+ * @param {Object} options - parseScheduleOptions 결과
+ * @param {Object} [params]
+ * @param {string} params.assignedBy - 제안 슬롯의 배정자 ID
+ * @param {boolean} params.explain - 배정 과정 trace 포함 여부
+ * @returns {Promise<Object>} { membersOnly, proposedSlots, result, insufficientMembers }
+ */
+const runScheduleSimulation = async (room, options, { assignedBy, explain = false } = {}) => {
+  const excluded = new Set(options.excludedMemberIds);
+  const membersOnly = getMembersOnly(room).filter(m => !excluded.has(extractUserId(m.user)));
+  const preservedSlots = room.timeSlots.filter(shouldPreserveSlot);
+
+  const result = await schedulingAlgorithm.runAutoSchedule(
+    membersOnly,
+    room.owner,
+    preservedSlots,
+    {
+      assignmentMode: options.assignmentMode,
+      minHoursPerWeek: options.minHoursPerWeek,
+      numWeeks: options.numWeeks,
+      currentWeek: options.currentWeek,
+      roomSettings: {
+        ...room.settings,
+        ownerBlockedTimes: room.settings.blockedTimes || []
+      },
+      transportMode: options.transportMode,
+      minClassDurationMinutes: options.minClassDurationMinutes,
+      seed: options.seed,
+      now: options.now,
+      explain,
+      fairness: buildFairnessBalance(room, { weight: options.fairnessWeight ?? room.settings.fairnessWeight ?? 0, now: options.now })
+    },
+    getExistingCarryOvers(room.members.filter(m => !excluded.has(extractUserId(m.user))), options.startDate),
+  );
+
+  return {
+    membersOnly,
+    proposedSlots: buildAutoAssignedSlots(Object.values(result.assignments), assignedBy, options.now),
+    result,
+    insufficientMembers: findInsufficientMembers(membersOnly, options.startDate, options.numWeeks, options.minHoursPerWeek)
+  };
+};
+
+/**
+ * 멤버별 슬롯을 날짜별 연속 블록으로 묶기
+ * @param {Array} slots - 슬롯 배열
+ * @returns {Map} memberId -> [{ date, startTime, endTime, minutes }] (시간순)
+ */
+const groupBlocksByMember = (slots) => {
+  const byMemberDate = new Map();
+
+  for (const slot of slots) {
+    const memberId = extractUserId(slot.user);
+    const date = new Date(slot.date).toISOString().split('T')[0];
+    const key = `${memberId}|${date}`;
+    if (!byMemberDate.has(key)) byMemberDate.set(key, { memberId, date, slots: [] });
+    byMemberDate.get(key).slots.push(slot);
+  }
+
+  const blocksByMember = new Map();
+  for (const { memberId, date, slots: daySlots } of byMemberDate.values()) {
+    const sorted = [...daySlots].sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+    const blocks = blocksByMember.get(memberId) || [];
+
+    let current = null;
+    for (const slot of sorted) {
+      if (current && timeToMinutes(slot.startTime) <= timeToMinutes(current.endTime)) {
+        if (timeToMinutes(slot.endTime) > timeToMinutes(current.endTime)) current.endTime = slot.endTime;
+      } else {
+        if (current) blocks.push(current);
+        current = { date, startTime: slot.startTime, endTime: slot.endTime };
+      }
+    }
+    if (current) blocks.push(current);
+    blocksByMember.set(memberId, blocks);
+  }
+
+  for (const blocks of blocksByMember.values()) {
+    blocks.forEach(block => {
+      block.minutes = timeToMinutes(block.endTime) - timeToMinutes(block.startTime);
+    });
+    blocks.sort((a, b) => a.date.localeCompare(b.date) || timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+  }
+
+  return blocksByMember;
+};
+
+const blockKey = (block) => `${block.date}|${block.startTime}|${block.endTime}`;
+
+/**
+ * 현재 자동 배정 시간표와 제안 시간표 비교
+ * 블록 단위로 같으면 유지, 현재에만 있으면 제거, 제안에만 있으면 추가로 보고,
+ * 같은 멤버의 제거/추가 블록은 시간순으로 짝지어 이동(moved)으로 보고합니다.
+ * @param {Array} currentSlots - 현재 자동 배정 슬롯 (보존 슬롯 제외)
+ * @param {Array} proposedSlots - 제안 슬롯
+ * @param {Array} members - 방 멤버 배열 (이름 표시용, user populate)
+ * @returns {Object} { summary, members: [{ memberId, memberName, added, removed, moved, unchanged, currentMinutes, proposedMinutes }] }
+ */
+const diffTimeSlots = (currentSlots, proposedSlots, members = []) => {
+  const currentBlocks = groupBlocksByMember(currentSlots);
+  const proposedBlocks = groupBlocksByMember(proposedSlots);
+  const memberIds = new Set([...currentBlocks.keys(), ...proposedBlocks.keys()]);
+
+  const summary = { membersChanged: 0, added: 0, removed: 0, moved: 0 };
+
+  const memberDiffs = [...memberIds].map(memberId => {
+    const before = currentBlocks.get(memberId) || [];
+    const after = proposedBlocks.get(memberId) || [];
+    const beforeKeys = new Set(before.map(blockKey));
+    const afterKeys = new Set(after.map(blockKey));
+
+    const removedBlocks = before.filter(block => !afterKeys.has(blockKey(block)));
+    const addedBlocks = after.filter(block => !beforeKeys.has(blockKey(block)));
+    const pairCount = Math.min(removedBlocks.length, addedBlocks.length);
+
+    const moved = removedBlocks.slice(0, pairCount).map((from, index) => ({ from, to: addedBlocks[index] }));
+    const removed = removedBlocks.slice(pairCount);
+    const added = addedBlocks.slice(pairCount);
+
+    if (moved.length || removed.length || added.length) summary.membersChanged += 1;
+    summary.added += added.length;
+    summary.removed += removed.length;
+    summary.moved += moved.length;
+
+    const user = members.find(m => extractUserId(m.user) === memberId)?.user;
+    return {
+      memberId,
+      memberName: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || user?.name || '알 수 없음',
+      added,
+      removed,
+      moved,
+      unchanged: before.length - removedBlocks.length,
+      currentMinutes: before.reduce((sum, block) => sum + block.minutes, 0),
+      proposedMinutes: after.reduce((sum, block) => sum + block.minutes, 0)
+    };
+  });
+
+  return { summary, members: memberDiffs };
+};
+
+/**
+ * 슬롯이 같은 날짜의 다른 슬롯과 시간이 겹치는지 확인
+ * @param {Object} slot - 확인할 슬롯
+ * @param {Array} slots - 비교 대상 슬롯 배열
+ * @returns {boolean}
+ */
+const overlapsAnySlot = (slot, slots) => {
+  const date = new Date(slot.date).toISOString().split('T')[0];
+  const start = timeToMinutes(slot.startTime);
+  const end = timeToMinutes(slot.endTime);
+
+  return slots.some(other =>
+    other.date &&
+    new Date(other.date).toISOString().split('T')[0] === date &&
+    timeToMinutes(other.startTime) < end &&
+    start < timeToMinutes(other.endTime)
+  );
+};
+
+/**
+ * 저장된 시나리오를 응답 형식으로 변환 (슬롯 목록 제외)
+ * @param {Object} scenario - room.scheduleScenarios 항목
+ * @returns {Object}
+ */
+const toScenarioSummary = (scenario) => ({
+  _id: scenario._id,
+  name: scenario.name,
+  options: scenario.options,
+  slotCount: scenario.slots.length,
+  diffSummary: scenario.diffSummary,
+  createdBy: scenario.createdBy,
+  createdAt: scenario.createdAt,
+  appliedAt: scenario.appliedAt
+});
+
+module.exports = {
+  MAX_SCENARIOS_PER_ROOM,
+  runScheduleSimulation,
+  diffTimeSlots,
+  overlapsAnySlot,
+  toScenarioSummary,
+};
@@ -1,6 +1,12 @@
 const User = require('../../models/user');
 const schedulingAlgorithm = require('../../services/schedulingAlgorithm');
 const { addDays } = require('./utils');
+const { getSessionSlotFields } = require('../../utils/memberSessions');
+const { getResourceSlotFields } = require('../../utils/roomResources');
+const {
+  ERROR_MESSAGES, VALIDATION_RULES, DEFAULTS,
+  VALID_ASSIGNMENT_MODES, SLOT_TYPES
+} = require('./constants');
 
 
 /**
@@ -56,7 +62,271 @@ const applySchedulingResult = (room, result) => {
   }
 };
 
+/**
+ * 자동 배정 요청 옵션 파싱/검증 (run-schedule, 시뮬레이션, 시나리오 공통)
+ * @param {Object} body - 요청 본문
+ * @returns {Object} { options } 또는 { error } (400 응답 메시지)
+ */
+const parseScheduleOptions = (body = {}) => {
+  const {
+    minHoursPerWeek = DEFAULTS.MIN_HOURS_PER_WEEK,
+    numWeeks = DEFAULTS.NUM_WEEKS,
+    currentWeek,
+    assignmentMode,
+    transportMode = DEFAULTS.TRANSPORT_MODE,
+    minClassDurationMinutes = DEFAULTS.MIN_CLASS_DURATION_MINUTES,
+    excludedMemberIds = [],
+    seed = null,
+    referenceDate,
+    fairnessWeight // 없으면 방 설정(settings.fairnessWeight) 사용
+  } = body;
+
+  const mode = assignmentMode && VALID_ASSIGNMENT_MODES.includes(assignmentMode)
+    ? assignmentMode
+    : DEFAULTS.ASSIGNMENT_MODE;
+
+  const now = referenceDate ? new Date(referenceDate) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    return { error: '기준 시각(referenceDate) 형식이 올바르지 않습니다.' };
+  }
+  if (seed !== null && !['string', 'number'].includes(typeof seed)) {
+    return { error: '시드(seed)는 문자열 또는 숫자여야 합니다.' };
+  }
+  if (minHoursPerWeek < VALIDATION_RULES.MIN_HOURS_PER_WEEK || minHoursPerWeek > VALIDATION_RULES.MAX_HOURS_PER_WEEK) {
+    return { error: ERROR_MESSAGES.INVALID_HOURS_PER_WEEK };
+  }
+  if (!Array.isArray(excludedMemberIds)) {
+    return { error: '제외할 멤버(excludedMemberIds)는 배열이어야 합니다.' };
+  }
+  if (fairnessWeight !== undefined && fairnessWeight !== null && (
+    typeof fairnessWeight !== 'number' ||
+    !(fairnessWeight >= VALIDATION_RULES.MIN_FAIRNESS_WEIGHT && fairnessWeight <= VALIDATION_RULES.MAX_FAIRNESS_WEIGHT)
+  )) {
+    return { error: ERROR_MESSAGES.INVALID_FAIRNESS_WEIGHT };
+  }
+
+  return {
+    options: {
+      minHoursPerWeek,
+      numWeeks,
+      currentWeek,
+      assignmentMode: mode,
+      transportMode,
+      minClassDurationMinutes,
+      excludedMemberIds: excludedMemberIds.map(String),
+      seed,
+      now,
+      fairnessWeight: fairnessWeight ?? undefined,
+      startDate: currentWeek ? new Date(currentWeek) : now
+    }
+  };
+};
+
+/**
+ * 전체 기간 선호시간이 주당 최소 할당 시간에 못 미치는 멤버 찾기 (자동 배정 사전 확인)
+ * 수업 구성(member.sessions)이 있는 멤버는 수업 길이 × 주당 횟수를 주당 필요 시간으로 봅니다.
+ * @param {Array} membersOnly - 조원 목록
+ * @param {Date} startDate - 시작 날짜
+ * @param {number} numWeeks - 배정 주 수
+ * @param {number} minHoursPerWeek - 주당 최소 할당 시간
+ * @returns {Array} [{ memberName, memberId, availableMinutes, requiredMinutes }]
+ */
+const findInsufficientMembers = (membersOnly, startDate, numWeeks, minHoursPerWeek) => {
+  const insufficientMembers = [];
+
+  // 각 멤버의 전체 기간 선호시간 계산
+  for (const member of membersOnly) {
+    const user = member.user;
+    const requiredMinutesPerWeek = member.sessions && member.sessions.length > 0
+      ? member.sessions.reduce((sum, session) => sum + session.durationMinutes * session.sessionsPerWeek, 0)
+      : minHoursPerWeek * 60;
+    const memberName = user?.firstName || user?.name || 'Unknown';
+
+    console.log(`
+🔍 [사전체크] ${memberName} 선호시간 계산 시작`);
+
+    let totalPreferredMinutes = 0;
+
+    // numWeeks만큼 반복하여 각 주의 선호시간 계산
+    for (let weekIndex = 0; weekIndex < numWeeks; weekIndex++) {
+      const weekStartDate = new Date(startDate);
+      weekStartDate.setUTCDate(startDate.getUTCDate() + (weekIndex * 7));
+
+      const weekDays = [];
+      for (let i = 0; i < 7; i++) {
+        const day = new Date(weekStartDate);
+        day.setUTCDate(weekStartDate.getUTCDate() + i);
+        weekDays.push(day);
+      }
+
+      let weekPreferredMinutes = 0;
+      for (const day of weekDays) {
+        const dayOfWeek = day.getUTCDay();
+        const dateStr = day.toISOString().split('T')[0];
+
+        console.log(`  [${dateStr}] dayOfWeek=${dayOfWeek}`);
+
+        const daySchedules = (user.defaultSchedule || []).filter(s => {
+          if (s.priority < 2) return false;
+          if (s.specificDate) {
+            const specificDateStr = new Date(s.specificDate).toISOString().split('T')[0];
+            return specificDateStr === dateStr;
+          }
+          return s.dayOfWeek === dayOfWeek;
+        });
+
+        for (const schedule of daySchedules) {
+          const [startHour, startMin] = schedule.startTime.split(':').map(Number);
+          const [endHour, endMin] = schedule.endTime.split(':').map(Number);
+          const minutes = (endHour * 60 + endMin) - (startHour * 60 + startMin);
+          weekPreferredMinutes += minutes;
+        }
+      }
+
+      totalPreferredMinutes += weekPreferredMinutes;
+
+      // 이번 주 선호시간이 부족하면 기록하고 중단
+      if (weekPreferredMinutes < requiredMinutesPerWeek) {
+        break; // 한 주라도 부족하면 중단 (하지만 totalPreferredMinutes는 유지)
+      }
+    }
+
+    // 한 주라도 부족하면 insufficientMembers에 추가
+    if (totalPreferredMinutes < requiredMinutesPerWeek * numWeeks) {
+      insufficientMembers.push({
+        memberName,
+        memberId: member.user._id.toString(),
+        availableMinutes: totalPreferredMinutes,
+        requiredMinutes: requiredMinutesPerWeek * numWeeks
+      });
+    }
+  }
+
+  return insufficientMembers;
+};
+
+/**
+ * 알고리즘 배정 결과를 room.timeSlots 형식의 슬롯으로 변환 (중복 제거)
+ * @param {Array} assignments - 배정 결과 배열 (Object.values(result.assignments))
+ * @param {string} assignedBy - 배정한 사용자 ID
+ * @param {Date} [assignedAt] - 배정 시각
+ * @returns {Array} 자동 배정 슬롯 배열
+ */
+const buildAutoAssignedSlots = (assignments, assignedBy, assignedAt = new Date()) => {
+  const addedSlots = new Set();
+  const newSlots = [];
+
+  assignments.forEach(assignment => {
+    (assignment.slots || []).forEach(slot => {
+      // 필수 필드 검증
+      if (!slot.day || !slot.startTime || !slot.endTime || !slot.date) {
+        return;
+      }
+
+      // 중복 체크를 위한 유니크 키 생성
+      const slotKey = `${assignment.memberId}-${slot.day}-${slot.startTime}-${slot.endTime}-${new Date(slot.date).toISOString().split('T')[0]}`;
+
+      if (!addedSlots.has(slotKey)) {
+        newSlots.push({
+          user: assignment.memberId,
+          date: slot.date,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          day: slot.day,
+          priority: 3,
+          subject: SLOT_TYPES.AUTO_ASSIGNED,
+          ...getSessionSlotFields(slot), // 조원 수업 구성으로 배정된 슬롯은 수업 과목 / sessionId 유지
+          ...getResourceSlotFields(slot), // 예약한 방 자원 (강의실 / 장비)
+          assignedBy,
+          assignedAt,
+          status: 'confirmed',
+        });
+        addedSlots.add(slotKey);
+      }
+    });
+  });
+
+  return newSlots;
+};
+
+/**
+ * 배정 결과의 이월 시간을 멤버에 반영
+ * @param {Object} room - 방 객체
+ * @param {Array} assignments - [{ memberId, assignedHours, carryOver }]
+ * @param {Array} carryOverAssignments - [{ memberId, neededHours, week, priority }]
+ * @param {Date} startDate - 배정 시작 날짜
+ * @param {number} minHoursPerWeek - 주당 최소 할당 시간
+ */
+const applyCarryOverResults = (room, assignments, carryOverAssignments, startDate, minHoursPerWeek) => {
+  const assignmentByMember = new Map(assignments.map(a => [a.memberId, a]));
+
+  for (const member of room.members) {
+    const memberId = member.user._id.toString();
+    const assignment = assignmentByMember.get(memberId);
+
+    if (assignment && assignment.assignedHours >= minHoursPerWeek * 2) {
+      if (member.carryOver > 0) {
+        member.carryOverHistory.push({
+          week: startDate,
+          amount: -member.carryOver,
+          reason: 'resolved_by_auto_schedule',
+          timestamp: new Date()
+        });
+        member.carryOver = 0;
+      }
+    }
+  }
+
+  for (const carryOver of carryOverAssignments || []) {
+    const member = room.members.find(m => m.user.toString() === carryOver.memberId);
+    if (!member) continue;
+
+    member.carryOver = (member.carryOver || 0) + carryOver.neededHours;
+
+    if (carryOver.neededHours > 0) {
+      if (!member.carryOverHistory) {
+        member.carryOverHistory = [];
+      }
+
+      member.carryOverHistory.push({
+        week: carryOver.week || startDate,
+        amount: carryOver.neededHours,
+        reason: 'unassigned_from_auto_schedule',
+        timestamp: new Date(),
+        priority: carryOver.priority || 3
+      });
+
+      // 2주 이상 연속 이월 체크
+      const recentCarryOvers = member.carryOverHistory.filter(h => {
+        const historyDate = new Date(h.week);
+        const twoWeeksAgo = new Date(startDate);
+        twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+        return historyDate >= twoWeeksAgo && h.amount > 0;
+      });
+
+      if (recentCarryOvers.length >= 2) {
+        member.needsIntervention = true;
+        member.interventionReason = 'consecutive_carryover';
+      }
+    }
+  }
+
+  // 우선도에 따른 다음 주 우선 배정
+  assignments.forEach(assignment => {
+    if (assignment.carryOver && assignment.carryOver > 0) {
+      const member = room.members.find(m => m.user.toString() === assignment.memberId);
+      if (member && !member.tempPriorityBoost) {
+        member.tempPriorityBoost = assignment.carryOver;
+      }
+    }
+  });
+};
+
 module.exports = {
   runAutoScheduling,
   applySchedulingResult,
+  parseScheduleOptions,
+  findInsufficientMembers,
+  buildAutoAssignedSlots,
+  applyCarryOverResults,
 };
\ No newline at end of file
@@ -7,6 +7,12 @@ const { HTTP_STATUS, VALIDATION_RULES, ERROR_MESSAGES, SLOT_TYPES } = require('.
 const { validateRoomExists, validateOwnerPermission } = require('./validators'); // Adjust path
 const { getRoomById, getRoomWithMembers } = require('./helpers'); // Adjust path
 const { timeToMinutes, minutesToTime } = require('./utils'); // Adjust path
+const { ROOM_PERMISSIONS, isSchedulableMember } = require('../../utils/roomPermissions');
+const { findResourceConflicts } = require('../../utils/roomResources');
+const { toDepartureTime } = require('../../services/routing');
+const { getRoomTimezone } = require('../../utils/timezone');
+const { evaluateTravelLegs } = require('../../services/schedulingAlgorithm/validators/travelTimeValidator');
+const { getUserPlaces, getSessionPlace, getOwnerDayPlaces, toSlotLocation } = require('../../utils/savedLocations');
 
 
 // from original travelModeService.js
@@ -39,6 +45,7 @@ const mergeConsecutiveClassSlots = (slots) => {
       currentUserId === nextUserId &&
       currentDate === nextDate &&
       current.subject === next.subject &&
+      String(current.resourceId || '') === String(next.resourceId || '') && // 다른 자원을 쓰는 슬롯은 합치지 않음
       current.endTime === next.startTime
     ) {
       current.endTime = next.endTime;
@@ -156,6 +163,8 @@ const applyClassTimeSlots = (room, receivedTimeSlots) => {
       startTime: adjustedStartTime,
       endTime: adjustedEndTime,
       subject: e.subject || '자동 배정',
+      ...(e.sessionId ? { sessionId: e.sessionId } : {}),
+      ...(e.resourceId ? { resourceId: e.resourceId } : {}),
       assignedBy: room.owner._id,
       status: 'confirmed',
       adjustedForTravelTime: e.adjustedForTravelTime || false,
@@ -238,8 +247,8 @@ const applyTravelMode = async (req, res) => {
     if (!room) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ msg: ERROR_MESSAGES.ROOM_NOT_FOUND });
     }
-    if (!room.owner._id.equals(req.user.id)) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.OWNER_ONLY });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.MANAGER_ONLY });
     }
     if (room.confirmedAt) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -307,6 +316,64 @@ const confirmTravelMode = async (req, res) => {
 };
 
 
+// 방장 동선 검증: 날짜별로 수업 순서대로 이동하며, 구간마다 실제 출발 시각 기준으로 수업 사이 시간이 충분한지 확인
+// (출발지는 그날 방장 출발 장소, 각 수업 장소는 조원이 그 선호시간에 지정한 장소)
+const findTravelGapWarnings = async (slots, members, room, transportMode, timeZone) => {
+  const memberUsers = new Map();
+  members.forEach(member => {
+    memberUsers.set(member.user._id.toString(), member.user);
+  });
+
+  const slotsByDate = {};
+  mergeConsecutiveClassSlots(slots.map(slot => (slot.toObject ? slot.toObject() : slot)))
+    .filter(slot => memberUsers.has(slot.user.toString()))
+    .forEach(slot => {
+      const dateStr = new Date(slot.date).toISOString().split('T')[0];
+      if (!slotsByDate[dateStr]) slotsByDate[dateStr] = [];
+      slotsByDate[dateStr].push(slot);
+    });
+
+  const warnings = [];
+
+  for (const [dateStr, daySlots] of Object.entries(slotsByDate)) {
+    const { start: ownerStart } = getOwnerDayPlaces(room, room.owner, dateStr);
+    if (!ownerStart) continue;
+
+    const stops = daySlots
+      .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime))
+      .map(slot => {
+        const memberUser = memberUsers.get(slot.user.toString());
+        const place = getSessionPlace(memberUser, slot.date, slot.startTime, room._id);
+        return place && {
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          location: toSlotLocation(place),
+          label: `${memberUser.firstName} ${memberUser.lastName}`,
+          memberId: slot.user.toString()
+        };
+      })
+      .filter(Boolean);
+    if (stops.length === 0) continue;
+
+    const legs = await evaluateTravelLegs(stops, toSlotLocation(ownerStart), daySlots[0].date, transportMode, timeZone);
+    legs.filter(leg => !leg.fits).forEach(leg => {
+      warnings.push({
+        type: 'travel_gap_too_short',
+        memberId: stops[leg.index].memberId,
+        memberName: leg.toLabel,
+        date: dateStr,
+        departureTime: leg.departureTime,
+        travelMinutes: leg.travelMinutes,
+        availableMinutes: leg.availableMinutes,
+        timeOfDay: leg.timeOfDay,
+        reason: `${dateStr} ${leg.fromLabel} → ${leg.toLabel}: ${leg.departureTime} 출발 시 ${leg.travelMinutes}분 필요 (수업 사이 ${leg.availableMinutes}분)`
+      });
+    });
+  }
+
+  return warnings;
+};
+
 // From coordinationSchedulingController.js (exports.validateScheduleWithTransportMode)
 const validateScheduleWithTransportMode = async (req, res) => {
   try {
@@ -314,14 +381,14 @@ const validateScheduleWithTransportMode = async (req, res) => {
     const { transportMode, viewMode, weekStartDate } = req.body;
 
     const room = await Room.findById(roomId)
-      .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority address addressLat addressLng')
-      .populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority address addressLat addressLng');
+      .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority address addressLat addressLng savedLocations deletedPreferencesByRoom')
+      .populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority address addressLat addressLng savedLocations deletedPreferencesByRoom');
 
     if (!room) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ msg: ERROR_MESSAGES.ROOM_NOT_FOUND });
     }
-    if (!room.isOwner(req.user.id)) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.OWNER_ONLY });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.MANAGER_ONLY });
     }
 
     let autoAssignedSlots = room.timeSlots.filter(slot =>
@@ -344,29 +411,34 @@ const validateScheduleWithTransportMode = async (req, res) => {
       });
     }
 
+    // 방 자원(강의실 / 장비) 중복 예약은 이동수단과 상관없이 검사
+    const warnings = findResourceConflicts(room, autoAssignedSlots).map(conflict => ({
+      type: conflict.type,
+      resourceId: conflict.resourceId,
+      resourceName: conflict.resourceName,
+      memberIds: conflict.userIds,
+      date: conflict.date,
+      startTime: conflict.startTime,
+      endTime: conflict.endTime,
+      reason: conflict.message
+    }));
+
     if (transportMode === 'normal') {
       return res.json({
         success: true,
-        isValid: true,
+        isValid: warnings.length === 0,
         transportMode: 'normal',
-        warnings: [],
-        msg: '일반 모드는 항상 유효합니다.'
+        warnings,
+        msg: warnings.length === 0
+          ? '일반 모드는 항상 유효합니다.'
+          : `방 자원 중복 예약 ${warnings.length}건이 발견되었습니다.`
       });
     }
 
-    const warnings = [];
-    const membersOnly = room.members.filter(m => {
-      const memberId = m.user._id ? m.user._id.toString() : m.user.toString();
-      const ownerId = room.owner._id ? room.owner._id.toString() : room.owner.toString();
-      return memberId !== ownerId;
-    });
+    const membersOnly = room.members.filter(m => isSchedulableMember(room, m));
 
-    const ownerLocation = {
-      lat: room.owner.addressLat,
-      lng: room.owner.addressLng,
-      address: room.owner.address
-    };
-    if (!ownerLocation.lat || !ownerLocation.lng) {
+    const hasOwnerStart = autoAssignedSlots.some(slot => getOwnerDayPlaces(room, room.owner, slot.date).start);
+    if (!hasOwnerStart) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
         msg: '방장의 주소 정보가 없습니다. 프로필에서 주소를 설정해주세요.'
@@ -378,7 +450,7 @@ const validateScheduleWithTransportMode = async (req, res) => {
       const memberId = memberUser._id.toString();
       const memberName = `${memberUser.firstName} ${memberUser.lastName}`;
 
-      if (!memberUser.addressLat || !memberUser.addressLng) {
+      if (getUserPlaces(memberUser).length === 0) {
         warnings.push({
           type: 'no_address',
           memberId: memberId,
@@ -401,32 +473,6 @@ const validateScheduleWithTransportMode = async (req, res) => {
         continue;
       }
 
-      const memberLocation = {
-        coordinates: { lat: memberUser.addressLat, lng: memberUser.addressLng },
-        address: memberUser.address
-      };
-      const ownerLocationFormatted = {
-        coordinates: { lat: ownerLocation.lat, lng: ownerLocation.lng },
-        address: ownerLocation.address
-      };
-
-      let travelTimeMinutes = 0;
-      try {
-        travelTimeMinutes = await dynamicTravelTimeCalculator.calculateTravelTimeBetween(
-          memberLocation,
-          ownerLocationFormatted,
-          transportMode
-        );
-      } catch (error) {
-        warnings.push({
-          type: 'travel_time_error',
-          memberId: memberId,
-          memberName: memberName,
-          reason: '이동시간 계산 실패'
-        });
-        continue;
-      }
-
       const dayTranslation = {
         'monday': '월요일', 'tuesday': '화요일', 'wednesday': '수요일', 'thursday': '목요일', 'friday': '금요일', 'saturday': '토요일', 'sunday': '일요일'
       };
@@ -448,11 +494,39 @@ const validateScheduleWithTransportMode = async (req, res) => {
           totalClassMinutes += duration;
         });
 
-        const totalRequiredMinutes = travelTimeMinutes + totalClassMinutes;
         const targetDayOfWeek = dayOfWeekMap[dayEn];
         let targetDate = null;
         daySlots.forEach(slot => { if (!targetDate) { targetDate = new Date(slot.date); } });
 
+        // 그날 방장 출발 장소 → 첫 수업 장소, 첫 수업 시작 시각에 도착하는 출발 시각 기준 (출근 시간대면 더 길게 잡힘)
+        const firstStartTime = daySlots.map(slot => slot.startTime).sort()[0];
+        const ownerStart = getOwnerDayPlaces(room, room.owner, targetDate).start;
+        const sessionPlace = getSessionPlace(memberUser, targetDate, firstStartTime, room._id);
+        let travelTimeMinutes = 0;
+        try {
+          if (!ownerStart || !sessionPlace) throw new Error('출발지 또는 수업 장소 없음');
+          const travelRoute = await dynamicTravelTimeCalculator.calculateTravelRouteArrivingAt(
+            toSlotLocation(ownerStart),
+            toSlotLocation(sessionPlace),
+            transportMode,
+            toDepartureTime(targetDate, firstStartTime, getRoomTimezone(room)),
+            getRoomTimezone(room)
+          );
+          travelTimeMinutes = travelRoute.minutes;
+        } catch (error) {
+          warnings.push({
+            type: 'travel_time_error',
+            memberId: memberId,
+            memberName: memberName,
+            day: dayKo,
+            dayEn: dayEn,
+            reason: '이동시간 계산 실패'
+          });
+          continue;
+        }
+
+        const totalRequiredMinutes = travelTimeMinutes + totalClassMinutes;
+
         const preferredSchedules = (memberUser.defaultSchedule || []).filter(s => {
           if (s.specificDate) {
             const scheduleDate = new Date(s.specificDate);
@@ -508,6 +582,8 @@ const validateScheduleWithTransportMode = async (req, res) => {
       }
     }
 
+    warnings.push(...await findTravelGapWarnings(autoAssignedSlots, membersOnly, room, transportMode, getRoomTimezone(room)));
+
     const isValid = warnings.length === 0;
 
     res.json({
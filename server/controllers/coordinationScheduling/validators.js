@@ -1,5 +1,6 @@
 // coordinationScheduling 컨트롤러의 모든 검증 로직 통합
 const { VALIDATION_RULES, ERROR_MESSAGES, HTTP_STATUS } = require('./constants');
+const { ROOM_PERMISSIONS } = require('../../utils/roomPermissions');
 
 /**
  * 주당 최소 할당 시간 검증
@@ -47,6 +48,26 @@ const validateMembersSchedule = (members) => {
   return membersWithoutSchedule;
 };
 
+/**
+ * 자동 배정 전 방장/멤버 선호시간 설정 검증
+ * @param {Object} room - 방 객체 (owner populate)
+ * @param {Array} membersOnly - 배정 대상 조원 배열
+ * @returns {string|null} 오류 메시지 (문제가 없으면 null)
+ */
+const getScheduleSetupError = (room, membersOnly) => {
+  if (!validateOwnerSchedule(room.owner)) {
+    const ownerName = `${room.owner?.firstName || ''} ${room.owner?.lastName || ''}`.trim() || '방장';
+    return ERROR_MESSAGES.OWNER_NO_SCHEDULE(ownerName);
+  }
+
+  const membersWithoutSchedule = validateMembersSchedule(membersOnly);
+  if (membersWithoutSchedule.length > 0) {
+    return ERROR_MESSAGES.MEMBERS_NO_SCHEDULE(membersWithoutSchedule.join(', '));
+  }
+
+  return null;
+};
+
 /**
  * 자동 확정 기간 검증
  * @param {number} hours - 자동 확정 기간 (시간)
@@ -85,15 +106,15 @@ const validateRoomExists = (room, res) => {
 };
 
 /**
- * 방장 권한 검증
+ * 일정 관리 권한 검증 (방장, 공동 방장)
  * @param {Object} room - 방 객체
  * @param {string} userId - 사용자 ID
  * @param {Object} res - Express response 객체
  * @returns {boolean} 유효 여부
  */
 const validateOwnerPermission = (room, userId, res) => {
-  if (!room.isOwner(userId)) {
-    res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.OWNER_ONLY });
+  if (!room.hasPermission(userId, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({ msg: ERROR_MESSAGES.MANAGER_ONLY });
     return false;
   }
   return true;
@@ -121,6 +142,7 @@ module.exports = {
   validateMinHoursPerWeek,
   validateOwnerSchedule,
   validateMembersSchedule,
+  getScheduleSetupError,
   validateAutoConfirmDuration,
   validateTravelMode,
   validateRoomExists,
@@ -4,6 +4,11 @@ const User = require('../models/user');
 const ActivityLog = require('../models/ActivityLog');
 const schedulingAlgorithm = require('../services/schedulingAlgorithm');
 const dynamicTravelTimeCalculator = require('../services/dynamicTravelTimeCalculator');
+const { toUserTimezoneSlots } = require('../services/confirmScheduleService');
+const { getUserTimezone, getRoomTimezone } = require('../utils/timezone');
+const { saveRoomWithRetry, sendRoomConflict, RoomConflictError } = require('../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('../services/roomHistoryService');
+const { buildFairnessBalance } = require('../services/fairnessService');
 
 // Constants
 const { 
@@ -18,6 +23,7 @@ const {
   validateMinHoursPerWeek,
   validateOwnerSchedule,
   validateMembersSchedule,
+  getScheduleSetupError,
   validateAutoConfirmDuration,
   validateTravelMode,
   validateRoomExists,
@@ -55,7 +61,18 @@ const { checkLongTermCarryOvers, getExistingCarryOvers } = require('./coordinati
 const {
   runAutoScheduling,
   applySchedulingResult,
+  parseScheduleOptions,
+  findInsufficientMembers,
+  buildAutoAssignedSlots,
+  applyCarryOverResults,
 } = require('./coordinationScheduling/schedulingService');
+const {
+  MAX_SCENARIOS_PER_ROOM,
+  runScheduleSimulation,
+  diffTimeSlots,
+  overlapsAnySlot,
+  toScenarioSummary,
+} = require('./coordinationScheduling/scenarioService');
 const { confirmSlotsToPersonalCalendar, saveUserWithRetry } = require('./coordinationSchedulingController/services/scheduleConfirmService');
 const {
   applyTravelMode,
@@ -63,67 +80,73 @@ const {
   validateScheduleWithTransportMode,
 } = require('./coordinationScheduling/travelModeService');
 
+// 자동 배정 응답용 방 조회 (슬롯/요청 사용자 populate)
+const getPopulatedRoom = (roomId) => Room.findById(roomId)
+  .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng')
+  .populate('members.user', 'firstName lastName email defaultSchedule address addressDetail addressLat addressLng')
+  .populate('timeSlots.user', '_id firstName lastName email')
+  .populate('requests.requester', 'firstName lastName email')
+  .populate('requests.targetUser', 'firstName lastName email')
+  .lean();
+
 // @desc    Run auto-schedule algorithm for the room
-// @route   POST /api/coordination/rooms/:roomId/auto-schedule
+// @route   POST /api/coordination/rooms/:roomId/run-schedule[?explain=1]
 // @access  Private (Room Owner only)
+// body.seed: 같은 조건의 멤버 처리 순서를 정하는 시드, body.referenceDate: 기준 시각 (같은 입력 + seed + referenceDate면 같은 결과)
+// body.fairnessWeight: 공평성 균형 가중치 0~1 (보내면 방 설정으로 저장, 없으면 방 설정 사용)
+// ?explain=1: 멤버별 후보 블록/점수/충돌/결정 규칙(trace)을 응답에 포함
 exports.runAutoSchedule = async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { 
-      minHoursPerWeek = 3, 
-      numWeeks = 4, 
-      currentWeek, 
-      assignmentMode,
-      transportMode = 'normal',
-      minClassDurationMinutes = 60,
-      skipConfirmation = false  // 사전 확인 건너뛰기 플래그
-    } = req.body;
-      
-    const validModes = ['normal', 'first_come_first_served', 'from_today'];
-    const mode = assignmentMode && validModes.includes(assignmentMode)
-      ? assignmentMode
-      : 'normal';
+    const { skipConfirmation = false } = req.body; // 사전 확인 건너뛰기 플래그
+    const explain = req.query.explain === '1' || req.query.explain === 'true';
 
-    const startDate = currentWeek ? new Date(currentWeek) : new Date();
+    const { options, error: optionsError } = parseScheduleOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ msg: optionsError });
+    }
+    const {
+      minHoursPerWeek,
+      numWeeks,
+      currentWeek,
+      assignmentMode: mode,
+      transportMode,
+      minClassDurationMinutes,
+      seed,
+      now,
+      fairnessWeight,
+      startDate
+    } = options;
     
     // 방 조회
     const room = await Room.findById(roomId)
-      .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority')
-      .populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority');
+      .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority preferences')
+      .populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority preferences');
 
     if (!validateRoomExists(room, res)) return;
     if (!validateOwnerPermission(room, req.user.id, res)) return;
 
+    const beforeSlots = captureTimeSlots(room);
+
+    // 공평성 보정은 지난 주 배정 기록 기준이므로 자동 배정 슬롯을 지우기 전에 계산
+    const effectiveFairnessWeight = fairnessWeight ?? room.settings.fairnessWeight ?? 0;
+    const fairness = buildFairnessBalance(room, { weight: effectiveFairnessWeight, now });
+
     // 이전 자동 배정 슬롯 제거 (협의/확정 보존)
     removeAutoAssignedSlots(room, shouldPreserveSlot);
     clearTravelModeData(room);
-
-    // 시간 검증
-    if (minHoursPerWeek < 0.167 || minHoursPerWeek > 10) {
-      return res.status(400).json({ msg: '주당 최소 할당 시간은 10분-10시간 사이여야 합니다.' });
-    }
     
     // 설정 저장
-    updateRoomSettings(room, { minHoursPerWeek, assignmentMode: mode });
+    updateRoomSettings(room, { minHoursPerWeek, assignmentMode: mode, fairnessWeight: effectiveFairnessWeight });
     await room.save();
 
     // 조원 추출
     const membersOnly = getMembersOnly(room);
-    const memberIds = getMemberIds(membersOnly);
 
     // 선호시간 검증
-    if (!validateOwnerSchedule(room.owner)) {
-      const ownerName = `${room.owner?.firstName || ''} ${room.owner?.lastName || ''}`.trim() || '방장';
-      return res.status(400).json({
-        msg: `방장(${ownerName})이 선호시간표를 설정하지 않았습니다. 내프로필에서 선호시간표를 설정해주세요.`
-      });
-    }
-
-    const membersWithoutSchedule = validateMembersSchedule(membersOnly);
-    if (membersWithoutSchedule.length > 0) {
-      return res.status(400).json({
-        msg: `다음 멤버들이 선호시간표를 설정하지 않았습니다: ${membersWithoutSchedule.join(', ')}. 각 멤버는 내프로필에서 선호시간표를 설정해야 합니다.`
-      });
+    const scheduleError = getScheduleSetupError(room, membersOnly);
+    if (scheduleError) {
+      return res.status(400).json({ msg: scheduleError });
     }
 
     // 이월 정보 수집 (carryOverService 사용)
@@ -131,75 +154,7 @@ exports.runAutoSchedule = async (req, res) => {
 
     // 🔍 사전 선호시간 체크 (skipConfirmation이 false일 때만)
     if (!skipConfirmation) {
-      const insufficientMembers = [];
-      const requiredMinutesPerWeek = minHoursPerWeek * 60;
-
-      // 각 멤버의 전체 기간 선호시간 계산
-      for (const member of membersOnly) {
-        const user = member.user;
-        const memberName = user?.firstName || user?.name || 'Unknown';
-        
-        console.log(`
-🔍 [사전체크] ${memberName} 선호시간 계산 시작`);
-        
-        let totalPreferredMinutes = 0;
-        
-        // numWeeks만큼 반복하여 각 주의 선호시간 계산
-        for (let weekIndex = 0; weekIndex < numWeeks; weekIndex++) {
-          const weekStartDate = new Date(startDate);
-          weekStartDate.setUTCDate(startDate.getUTCDate() + (weekIndex * 7));
-          
-          const weekDays = [];
-          for (let i = 0; i < 7; i++) {
-            const day = new Date(weekStartDate);
-            day.setUTCDate(weekStartDate.getUTCDate() + i);
-            weekDays.push(day);
-          }
-
-          let weekPreferredMinutes = 0;
-          for (const day of weekDays) {
-            const dayOfWeek = day.getUTCDay();
-            const dateStr = day.toISOString().split('T')[0];
-            
-            console.log(`  [${dateStr}] dayOfWeek=${dayOfWeek}`);
-            
-            const daySchedules = (user.defaultSchedule || []).filter(s => {
-              if (s.priority < 2) return false;
-              if (s.specificDate) {
-                const specificDateStr = new Date(s.specificDate).toISOString().split('T')[0];
-                return specificDateStr === dateStr;
-              }
-              return s.dayOfWeek === dayOfWeek;
-            });
-            
-            
-            for (const schedule of daySchedules) {
-              const [startHour, startMin] = schedule.startTime.split(':').map(Number);
-              const [endHour, endMin] = schedule.endTime.split(':').map(Number);
-              const minutes = (endHour * 60 + endMin) - (startHour * 60 + startMin);
-              weekPreferredMinutes += minutes;
-            }
-          }
-          
-          
-          totalPreferredMinutes += weekPreferredMinutes;
-          
-          // 이번 주 선호시간이 부족하면 기록하고 중단
-          if (weekPreferredMinutes < requiredMinutesPerWeek) {
-            break; // 한 주라도 부족하면 중단 (하지만 totalPreferredMinutes는 유지)
-          }
-        }
-
-        // 한 주라도 부족하면 insufficientMembers에 추가
-        if (totalPreferredMinutes < requiredMinutesPerWeek * numWeeks) {
-          insufficientMembers.push({
-            memberName,
-            memberId: member.user._id.toString(),
-            availableMinutes: totalPreferredMinutes,
-            requiredMinutes: requiredMinutesPerWeek * numWeeks
-          });
-        }
-      }
+      const insufficientMembers = findInsufficientMembers(membersOnly, startDate, numWeeks, minHoursPerWeek);
 
       // 부족한 멤버가 있으면 확인 요청 응답
       if (insufficientMembers.length > 0) {
@@ -226,7 +181,11 @@ exports.runAutoSchedule = async (req, res) => {
           ownerBlockedTimes: room.settings.blockedTimes || []
         },
         transportMode,
-        minClassDurationMinutes
+        minClassDurationMinutes,
+        seed,
+        now,
+        explain,
+        fairness
       },
       existingCarryOvers,
     );
@@ -246,113 +205,11 @@ exports.runAutoSchedule = async (req, res) => {
     const conflictSuggestions = await checkLongTermCarryOvers(room.members, startDate);
 
     // 슬롯을 room.timeSlots에 직접 추가
-    const addedSlots = new Set();
-
-    Object.values(result.assignments).forEach(assignment => {
-      if (assignment.slots && assignment.slots.length > 0) {
-        assignment.slots.forEach((slot, idx) => {
-          // 필수 필드 검증
-          if (!slot.day || !slot.startTime || !slot.endTime || !slot.date) {
-            return;
-          }
-
-          // 중복 체크를 위한 유니크 키 생성
-          const slotKey = `${assignment.memberId}-${slot.day}-${slot.startTime}-${slot.endTime}-${new Date(slot.date).toISOString().split('T')[0]}`;
-
-          if (!addedSlots.has(slotKey)) {
-            const newSlot = {
-              user: assignment.memberId,
-              date: slot.date,
-              startTime: slot.startTime,
-              endTime: slot.endTime,
-              day: slot.day,
-              priority: 3,
-              subject: '자동 배정',
-              assignedBy: req.user.id || req.user._id || 'auto-scheduler',
-              assignedAt: new Date(),
-              status: 'confirmed',
-            };
-
-            room.timeSlots.push(newSlot);
-            addedSlots.add(slotKey);
-          }
-        });
-      }
-    });
+    const assignmentList = Object.values(result.assignments);
+    room.timeSlots.push(...buildAutoAssignedSlots(assignmentList, req.user.id || req.user._id || 'auto-scheduler'));
 
     // 이월 시간 처리
-    for (const member of room.members) {
-      const memberId = member.user._id.toString();
-      const assignment = result.assignments[memberId];
-
-      if (assignment && assignment.assignedHours >= minHoursPerWeek * 2) {
-        if (member.carryOver > 0) {
-          member.carryOverHistory.push({
-            week: startDate,
-            amount: -member.carryOver,
-            reason: 'resolved_by_auto_schedule',
-            timestamp: new Date()
-          });
-          member.carryOver = 0;
-        }
-      }
-    }
-
-    if (result.carryOverAssignments && result.carryOverAssignments.length > 0) {
-      for (const carryOver of result.carryOverAssignments) {
-        const memberIndex = room.members.findIndex(m =>
-          m.user.toString() === carryOver.memberId
-        );
-
-        if (memberIndex !== -1) {
-          const member = room.members[memberIndex];
-          member.carryOver = (member.carryOver || 0) + carryOver.neededHours;
-
-          if (carryOver.neededHours > 0) {
-            if (!member.carryOverHistory) {
-              member.carryOverHistory = [];
-            }
-
-            member.carryOverHistory.push({
-              week: carryOver.week || startDate,
-              amount: carryOver.neededHours,
-              reason: 'unassigned_from_auto_schedule',
-              timestamp: new Date(),
-              priority: carryOver.priority || 3
-            });
-
-            // 2주 이상 연속 이월 체크
-            const recentCarryOvers = member.carryOverHistory.filter(h => {
-              const historyDate = new Date(h.week);
-              const twoWeeksAgo = new Date(startDate);
-              twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-              return historyDate >= twoWeeksAgo && h.amount > 0;
-            });
-
-            if (recentCarryOvers.length >= 2) {
-              member.needsIntervention = true;
-              member.interventionReason = 'consecutive_carryover';
-            }
-          }
-        }
-      }
-    }
-
-    // 우선도에 따른 다음 주 우선 배정
-    Object.values(result.assignments).forEach(assignment => {
-      if (assignment.carryOver && assignment.carryOver > 0) {
-        const memberIndex = room.members.findIndex(m =>
-          m.user.toString() === assignment.memberId
-        );
-
-        if (memberIndex !== -1) {
-          const member = room.members[memberIndex];
-          if (!member.tempPriorityBoost) {
-            member.tempPriorityBoost = assignment.carryOver;
-          }
-        }
-      }
-    });
+    applyCarryOverResults(room, assignmentList, result.carryOverAssignments, startDate, minHoursPerWeek);
 
     // 자동 확정 타이머 설정 (timerService 사용)
     const autoConfirmDurationMinutes = room.autoConfirmDuration || DEFAULTS.AUTO_CONFIRM_DURATION_HOURS; // DEFAULTS에서 가져오도록 수정
@@ -366,6 +223,7 @@ exports.runAutoSchedule = async (req, res) => {
     await room.save();
 
     // 활동 로그 기록
+    const logDetails = `자동배정 실행 완료 (주당 ${minHoursPerWeek}시간, ${membersOnly.length}명 배정)`;
     try {
       const ownerUser = await User.findById(req.user.id);
       const ownerName = ownerUser ? `${ownerUser.firstName} ${ownerUser.lastName}` : 'Unknown';
@@ -374,20 +232,15 @@ exports.runAutoSchedule = async (req, res) => {
         req.user.id,
         ownerName,
         'auto_assign',
-        `자동배정 실행 완료 (주당 ${minHoursPerWeek}시간, ${membersOnly.length}명 배정)`
+        logDetails
       );
     } catch (logError) {
       console.error('Activity log error:', logError);
     }
+    await recordRoomSnapshot(room, { action: 'auto_assign', before: beforeSlots, userId: req.user.id, details: logDetails });
 
     // freshRoom populate 후 반환
-    const freshRoom = await Room.findById(roomId)
-      .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng')
-      .populate('members.user', 'firstName lastName email defaultSchedule address addressDetail addressLat addressLng')
-      .populate('timeSlots.user', '_id firstName lastName email')
-      .populate('requests.requester', 'firstName lastName email')
-      .populate('requests.targetUser', 'firstName lastName email')
-      .lean();
+    const freshRoom = await getPopulatedRoom(roomId);
 
     res.json({
       room: freshRoom,
@@ -395,8 +248,11 @@ exports.runAutoSchedule = async (req, res) => {
       conflictSuggestions: conflictSuggestions,
       assignmentMode: mode,
       warnings: preferenceWarnings.length > 0 ? preferenceWarnings : undefined, // 선호시간 부족 경고
+      ruleViolations: result.ruleViolations?.length > 0 ? result.ruleViolations : undefined, // 남은 배정 규칙 위반 (soft 규칙 등)
+      trace: result.trace, // explain 모드: 배정 과정 기록
     });
   } catch (error) {
+    if (sendRoomConflict(res, error)) return;
     if (error.message.includes('defaultSchedule')) {
       res.status(400).json({ msg: '선호시간표 데이터에 오류가 있습니다. 모든 멤버가 내프로필에서 선호시간표를 설정했는지 확인해주세요.' });
     } else if (error.message.includes('timeSlots')) {
@@ -413,6 +269,262 @@ exports.runAutoSchedule = async (req, res) => {
   }
 };
 
+// 시나리오 조회/적용용 방 조회 (scheduleScenarios는 기본 조회에서 제외됨)
+const getRoomWithScenarios = (roomId) => Room.findById(roomId)
+  .select('+scheduleScenarios')
+  .populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority preferences')
+  .populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority preferences');
+
+// 시뮬레이션 공통: 옵션 검증 → 선호시간 검증 → 스냅샷 실행 → 현재 시간표와 비교
+// 응답을 보냈으면 null 반환
+const simulateForRoom = async (req, res, room, explain = false) => {
+  const { options, error: optionsError } = parseScheduleOptions(req.body);
+  if (optionsError) {
+    res.status(400).json({ msg: optionsError });
+    return null;
+  }
+
+  const excluded = new Set(options.excludedMemberIds);
+  const scheduleError = getScheduleSetupError(room, getMembersOnly(room).filter(m => !excluded.has(extractUserId(m.user))));
+  if (scheduleError) {
+    res.status(400).json({ msg: scheduleError });
+    return null;
+  }
+
+  const simulation = await runScheduleSimulation(room, options, { assignedBy: req.user.id, explain });
+  const currentSlots = room.timeSlots.filter(slot => !shouldPreserveSlot(slot));
+
+  return {
+    options,
+    ...simulation,
+    diff: diffTimeSlots(currentSlots, simulation.proposedSlots, room.members)
+  };
+};
+
+// @desc    Simulate auto-schedule without changing the room (what-if)
+// @route   POST /api/coordination/rooms/:roomId/simulate-schedule[?explain=1]
+// @access  Private (Room Owner only)
+// body: run-schedule과 같은 옵션 + excludedMemberIds (이번 시뮬레이션에서 제외할 멤버)
+exports.simulateSchedule = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const explain = req.query.explain === '1' || req.query.explain === 'true';
+
+    const room = await getRoomWithMembers(roomId);
+    if (!validateRoomExists(room, res)) return;
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
+
+    const simulation = await simulateForRoom(req, res, room, explain);
+    if (!simulation) return;
+
+    const { options, result } = simulation;
+    res.json({
+      options,
+      proposedSlots: simulation.proposedSlots,
+      diff: simulation.diff,
+      unassignedMembersInfo: result.unassignedMembersInfo,
+      insufficientMembers: simulation.insufficientMembers,
+      warnings: (result.warnings || []).filter(w => w.type === 'insufficient_preferred_time'),
+      ruleViolations: result.ruleViolations || [],
+      trace: result.trace,
+    });
+  } catch (error) {
+    console.error('Simulate schedule error:', error);
+    res.status(500).json({ msg: `자동 배정 시뮬레이션 중 오류가 발생했습니다: ${error.message}` });
+  }
+};
+
+// @desc    List saved auto-schedule scenarios
+// @route   GET /api/coordination/rooms/:roomId/schedule-scenarios
+// @access  Private (Room Owner only)
+exports.getScheduleScenarios = async (req, res) => {
+  try {
+    const room = await getRoomWithScenarios(req.params.roomId);
+    if (!validateRoomExists(room, res)) return;
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
+
+    res.json({ scenarios: room.scheduleScenarios.map(toScenarioSummary) });
+  } catch (error) {
+    console.error('Get schedule scenarios error:', error);
+    res.status(500).json({ msg: '시나리오 목록을 불러오지 못했습니다.' });
+  }
+};
+
+// @desc    Simulate auto-schedule and save the result as a named scenario
+// @route   POST /api/coordination/rooms/:roomId/schedule-scenarios
+// @access  Private (Room Owner only)
+// body: { name, ...simulate-schedule 옵션 }
+exports.saveScheduleScenario = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ msg: '시나리오 이름을 입력해주세요.' });
+    }
+
+    const room = await getRoomWithScenarios(roomId);
+    if (!validateRoomExists(room, res)) return;
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
+
+    if (room.scheduleScenarios.length >= MAX_SCENARIOS_PER_ROOM) {
+      return res.status(400).json({ msg: `시나리오는 최대 ${MAX_SCENARIOS_PER_ROOM}개까지 저장할 수 있습니다. 사용하지 않는 시나리오를 삭제해주세요.` });
+    }
+    if (room.scheduleScenarios.some(scenario => scenario.name === name)) {
+      return res.status(400).json({ msg: `같은 이름의 시나리오가 이미 있습니다: ${name}` });
+    }
+
+    const simulation = await simulateForRoom(req, res, room);
+    if (!simulation) return;
+
+    const { options, result } = simulation;
+    room.scheduleScenarios.push({
+      name,
+      options: {
+        minHoursPerWeek: options.minHoursPerWeek,
+        numWeeks: options.numWeeks,
+        currentWeek: options.currentWeek,
+        assignmentMode: options.assignmentMode,
+        transportMode: options.transportMode,
+        minClassDurationMinutes: options.minClassDurationMinutes,
+        excludedMemberIds: options.excludedMemberIds,
+        seed: options.seed,
+        startDate: options.startDate
+      },
+      slots: simulation.proposedSlots,
+      assignmentSummary: Object.values(result.assignments).map(({ memberId, assignedHours, carryOver }) => ({
+        memberId,
+        assignedHours,
+        carryOver
+      })),
+      carryOverAssignments: result.carryOverAssignments || [],
+      diffSummary: simulation.diff.summary,
+      createdBy: req.user.id
+    });
+    await room.save();
+
+    const saved = room.scheduleScenarios[room.scheduleScenarios.length - 1];
+    res.status(201).json({
+      scenario: toScenarioSummary(saved),
+      diff: simulation.diff,
+      unassignedMembersInfo: result.unassignedMembersInfo
+    });
+  } catch (error) {
+    console.error('Save schedule scenario error:', error);
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: `시나리오 저장 중 오류가 발생했습니다: ${error.message}` });
+  }
+};
+
+// @desc    Apply a saved scenario to the room (replaces auto-assigned slots)
+// @route   POST /api/coordination/rooms/:roomId/schedule-scenarios/:scenarioId/apply
+// @access  Private (Room Owner only)
+// 저장 이후 방을 나간 멤버의 슬롯, 새로 생긴 협의/확정 슬롯과 겹치는 슬롯은 적용하지 않음 (skippedSlots)
+exports.applyScheduleScenario = async (req, res) => {
+  try {
+    const { roomId, scenarioId } = req.params;
+
+    const room = await getRoomWithScenarios(roomId);
+    if (!validateRoomExists(room, res)) return;
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
+
+    const scenario = room.scheduleScenarios.id(scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ msg: '시나리오를 찾을 수 없습니다.' });
+    }
+
+    const { minHoursPerWeek, assignmentMode, startDate } = scenario.options;
+    const beforeSlots = captureTimeSlots(room);
+    const currentSlots = room.timeSlots.filter(slot => !shouldPreserveSlot(slot));
+
+    // 이전 자동 배정 슬롯 제거 (협의/확정 보존)
+    removeAutoAssignedSlots(room, shouldPreserveSlot);
+    clearTravelModeData(room);
+
+    const memberIds = new Set(getMembersOnly(room).map(m => extractUserId(m.user)));
+    const assignedAt = new Date();
+    const applicableSlots = scenario.slots
+      .filter(slot => memberIds.has(slot.user.toString()) && !overlapsAnySlot(slot, room.timeSlots))
+      .map(slot => {
+        const { _id, ...slotData } = slot.toObject();
+        return { ...slotData, assignedBy: req.user.id, assignedAt };
+      });
+    const diff = diffTimeSlots(currentSlots, applicableSlots, room.members);
+
+    room.timeSlots.push(...applicableSlots);
+    updateRoomSettings(room, { minHoursPerWeek, assignmentMode });
+
+    // 이월 시간 처리
+    applyCarryOverResults(room, scenario.assignmentSummary, scenario.carryOverAssignments, new Date(startDate), minHoursPerWeek);
+    const conflictSuggestions = await checkLongTermCarryOvers(room.members, new Date(startDate));
+
+    // 자동 확정 타이머 설정 (run-schedule과 동일)
+    setConfirmationTimer(room, room.autoConfirmDuration || DEFAULTS.AUTO_CONFIRM_DURATION_HOURS);
+    room.currentTravelMode = 'normal';
+    room.confirmedTravelMode = null;
+    room.travelTimeSlots = [];
+
+    scenario.appliedAt = assignedAt;
+    await room.save();
+
+    // 공동 방장이 적용할 수도 있으므로 요청자 이름으로 기록
+    const actor = await User.findById(req.user.id).select('firstName lastName');
+    const ownerName = actor ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim() : 'Unknown';
+    const logDetails = `자동배정 시나리오 적용: ${scenario.name} (주당 ${minHoursPerWeek}시간)`;
+    try {
+      await ActivityLog.logActivity(
+        roomId,
+        req.user.id,
+        ownerName,
+        'auto_assign',
+        logDetails
+      );
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+    await recordRoomSnapshot(room, { action: 'auto_assign', before: beforeSlots, userId: req.user.id, userName: ownerName, details: logDetails });
+
+    res.json({
+      room: await getPopulatedRoom(roomId),
+      scenario: toScenarioSummary(scenario),
+      diff,
+      skippedSlots: scenario.slots.length - applicableSlots.length,
+      conflictSuggestions,
+      assignmentMode,
+    });
+  } catch (error) {
+    console.error('Apply schedule scenario error:', error);
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: `시나리오 적용 중 오류가 발생했습니다: ${error.message}` });
+  }
+};
+
+// @desc    Delete a saved scenario
+// @route   DELETE /api/coordination/rooms/:roomId/schedule-scenarios/:scenarioId
+// @access  Private (Room Owner only)
+exports.deleteScheduleScenario = async (req, res) => {
+  try {
+    const { roomId, scenarioId } = req.params;
+
+    const room = await getRoomWithScenarios(roomId);
+    if (!validateRoomExists(room, res)) return;
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
+
+    const scenario = room.scheduleScenarios.id(scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ msg: '시나리오를 찾을 수 없습니다.' });
+    }
+
+    scenario.deleteOne();
+    await room.save();
+
+    res.json({ msg: '시나리오가 삭제되었습니다.', scenarioId });
+  } catch (error) {
+    console.error('Delete schedule scenario error:', error);
+    if (sendRoomConflict(res, error)) return;
+    res.status(500).json({ msg: '시나리오 삭제 중 오류가 발생했습니다.' });
+  }
+};
+
 // @desc    Delete all time slots
 // @route   DELETE /api/coordination/rooms/:roomId/slots
 // @access  Private (Room Owner only)
@@ -427,11 +539,10 @@ exports.deleteAllTimeSlots = exports.deleteAllTimeSlots = async (req, res) => {
       return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
     }
 
-    if (!room.isOwner(req.user.id)) {
-      return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
-    }
+    if (!validateOwnerPermission(room, req.user.id, res)) return;
 
-    // Clear the timeSlots array
+    // Clear the timeSlots array (이력 복원을 위해 비우기 전 시간표 보관)
+    const beforeSlots = captureTimeSlots(room);
     room.timeSlots = [];
 
     // 자동 확정 타이머 해제 (timerService의 cancelConfirmationTimer 사용)
@@ -450,6 +561,7 @@ exports.deleteAllTimeSlots = exports.deleteAllTimeSlots = async (req, res) => {
     room.requests = room.requests.filter(r => r.status === 'pending');
 
     await room.save();
+    await recordRoomSnapshot(room, { action: 'clear_all', before: beforeSlots, userId: req.user.id, details: '시간표 전체 삭제' });
 
     // 확정된 개인일정 삭제 + 선호시간 복구
     const updatePromises = [];
@@ -561,6 +673,7 @@ exports.deleteAllTimeSlots = exports.deleteAllTimeSlots = async (req, res) => {
 
   } catch (error) {
     console.error('Error deleting all time slots:', error);
+    if (sendRoomConflict(res, error)) return;
     res.status(500).json({ msg: 'Server error' });
   }
 };
@@ -586,6 +699,8 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
       return res.status(400).json({ msg: '이미 확정된 스케줄입니다.' });
     }
 
+    const beforeSlots = captureTimeSlots(room);
+
     // 자동배정된 슬롯 필터링
     const autoAssignedSlots = room.timeSlots.filter(slot =>
       slot.assignedBy && slot.status === 'confirmed' && !slot.isTravel
@@ -643,7 +758,7 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
         }
         assignedRangesByDate[dateStr].ranges.push({
           start: timeToMinutes(slot.startTime),
-          end: timeToMinutes(slot.endTime)
+          end: timeToMinutes(slot.endTime) || 24 * 60 // 자정 종료('00:00')
         });
       });
 
@@ -765,6 +880,9 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
     // 참석자 수 계산 (방장 + 조원)
     const participantCount = 1 + (room.members ? room.members.length : Object.keys(mergedSlotsByUser).length);
 
+    // 방 슬롯은 방 시간대, 개인일정/선호시간은 각 사용자 시간대 기준
+    const roomTimezone = getRoomTimezone(room);
+
     // User 객체를 Map으로 관리
     const userMap = new Map();
     const ownerName = `${room.owner.firstName || ''} ${room.owner.lastName || ''}`.trim() || '방장';
@@ -782,13 +900,14 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
         user.personalTimes = [];
       }
       
+      const userTimezone = getUserTimezone(user);
       const originalSlots = autoAssignedSlots.filter(s => s.user.toString() === userId);
-      removePreferenceTimes(user, originalSlots, roomId);
+      removePreferenceTimes(user, toUserTimezoneSlots(originalSlots, roomTimezone, userTimezone), roomId);
       
       const maxId = user.personalTimes.reduce((max, pt) => Math.max(max, pt.id || 0), 0);
       let nextId = maxId + 1;
       
-      mergedSlots.forEach(slot => {
+      toUserTimezoneSlots(mergedSlots, roomTimezone, userTimezone).forEach(slot => {
         const dayOfWeek = getDayOfWeekNumber(slot.day);
         const dateStr = slot.date.toISOString().split('T')[0];
         const isDuplicate = user.personalTimes.some(pt =>
@@ -841,7 +960,8 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
       if (room.travelTimeSlots && room.travelTimeSlots.length > 0) {
         ownerSlotsForDeletion.push(...room.travelTimeSlots);
       }
-      removePreferenceTimes(owner, ownerSlotsForDeletion, roomId);
+      const ownerTimezone = getUserTimezone(owner);
+      removePreferenceTimes(owner, toUserTimezoneSlots(ownerSlotsForDeletion, roomTimezone, ownerTimezone), roomId);
       
       const maxId = owner.personalTimes.reduce((max, pt) => Math.max(max, pt.id || 0), 0);
       let nextId = maxId + 1;
@@ -853,7 +973,7 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
         if (!memberUser) continue;
         const memberName = `${memberUser.user.firstName || ''} ${memberUser.user.lastName || ''}`.trim() || '조원';
         
-        mergedSlots.forEach(slot => {
+        toUserTimezoneSlots(mergedSlots, roomTimezone, ownerTimezone).forEach(slot => {
           const dayOfWeek = getDayOfWeekNumber(slot.day);
           const dateStr = slot.date.toISOString().split('T')[0];
           const isDuplicate = owner.personalTimes.some(pt =>
@@ -894,7 +1014,7 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
       // 방장의 이동시간 슬롯 추가
 
       if (room.travelTimeSlots && room.travelTimeSlots.length > 0) {
-        room.travelTimeSlots.forEach(travelSlot => {
+        toUserTimezoneSlots(room.travelTimeSlots, roomTimezone, ownerTimezone).forEach(travelSlot => {
           const dayOfWeek = getDayOfWeekNumber(travelSlot.day);
           const dateStr = travelSlot.date.toISOString().split('T')[0];
           const isDuplicate = owner.personalTimes.some(pt =>
@@ -963,54 +1083,45 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
     const updatePromises = Array.from(userMap.values()).map(user => saveUserWithRetry(user));
     await Promise.all(updatePromises);
 
-    // 자동 확정 타이머 해제
-    room.autoConfirmAt = null;
-    
-    let roomSaved = false;
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        await room.save();
-        roomSaved = true;
-        break;
-      } catch (error) {
-        if (error.name === 'VersionError' && attempt < 3) {
-          const freshRoom = await Room.findById(roomId);
-          if (freshRoom) {
-            freshRoom.autoConfirmAt = null;
-            room = freshRoom;
-          }
-          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-        } else {
-          throw error;
+    // 자동 확정 타이머 해제, 확정 표시, 확정된 이동수단 모드 저장
+    const confirmedAt = new Date();
+    const confirmedSlotIds = new Set(autoAssignedSlots.map(slot => slot._id.toString()));
+    const applyConfirmation = (targetRoom) => {
+      targetRoom.autoConfirmAt = null;
+      targetRoom.timeSlots.forEach(slot => {
+        if (confirmedSlotIds.has(slot._id.toString())) {
+          slot.confirmedToPersonalCalendar = true;
+        }
+      });
+      targetRoom.confirmedAt = confirmedAt;
+      if (travelMode) {
+        targetRoom.confirmedTravelMode = travelMode;
+        if (travelMode === 'normal') {
+          targetRoom.timeSlots = targetRoom.timeSlots.filter(slot => !slot.isTravel);
+          targetRoom.travelTimeSlots = [];
         }
       }
-    }
-    if (!roomSaved) throw new Error('Failed to save room after multiple retries');
-
-    // 확정된 슬롯 표시
-    autoAssignedSlots.forEach(slot => {
-      slot.confirmedToPersonalCalendar = true;
-    });
+    };
 
-    // 확정된 이동수단 모드 저장
-    room.confirmedAt = new Date();
-    if (travelMode) {
-      room.confirmedTravelMode = travelMode;
-      if (travelMode === 'normal') {
-        room.timeSlots = room.timeSlots.filter(slot => !slot.isTravel);
-        room.travelTimeSlots = [];
+    applyConfirmation(room);
+    // 저장 중 다른 요청이 방을 수정했으면 최신 방에 다시 적용 (그 사이 확정됐으면 충돌)
+    const savedRoom = await saveRoomWithRetry(room, (freshRoom) => {
+      if (freshRoom.confirmedAt) {
+        throw new RoomConflictError('이미 확정된 스케줄입니다.');
       }
-    }
-    await room.save();
+      applyConfirmation(freshRoom);
+    });
 
     // 활동 로그 기록
+    const logDetails = `자동배정 시간 확정 완료 (${autoAssignedSlots.length}개 슬롯 → ${Object.values(mergedSlotsByUser).reduce((sum, slots) => sum + slots.length, 0)}개 병합, 조원 ${Object.keys(mergedSlotsByUser).length}명 + 방장)`;
     await ActivityLog.logActivity(
       roomId,
       req.user.id,
       `${req.user.firstName} ${req.user.lastName}`,
       'confirm_schedule',
-      `자동배정 시간 확정 완료 (${autoAssignedSlots.length}개 슬롯 → ${Object.values(mergedSlotsByUser).reduce((sum, slots) => sum + slots.length, 0)}개 병합, 조원 ${Object.keys(mergedSlotsByUser).length}명 + 방장)`
+      logDetails
     );
+    await recordRoomSnapshot(savedRoom, { action: 'confirm_schedule', before: beforeSlots, userId: req.user.id, details: logDetails });
     
     // Socket.io 이벤트
     if (global.io) {
@@ -1031,6 +1142,7 @@ exports.confirmSchedule = exports.confirmSchedule = async (req, res) => {
     
   } catch (error) {
     console.error('Error confirming schedule:', error);
+    if (sendRoomConflict(res, error)) return;
     res.status(500).json({ msg: `확정 처리 중 오류가 발생했습니다: ${error.message}` });
   }
 };;
@@ -1089,6 +1201,7 @@ exports.startConfirmationTimer = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendRoomConflict(res, error)) return;
     res.status(HTTP_STATUS.INTERNAL_ERROR).json({
       msg: '확정 타이머 설정 중 오류가 발생했습니다.',
       error: error.message
@@ -1127,6 +1240,7 @@ exports.setAutoConfirmDuration = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendRoomConflict(res, error)) return;
     res.status(HTTP_STATUS.INTERNAL_ERROR).json({
       msg: '자동 확정 기간 설정 중 오류가 발생했습니다.',
       error: error.message
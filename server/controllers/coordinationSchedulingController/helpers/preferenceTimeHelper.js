@@ -67,7 +67,8 @@ const removePreferenceTimes = (user, slots, roomId) => {
                 startTime: minutesToTime(overlapStart),
                 endTime: minutesToTime(overlapEnd),
                 priority: schedule.priority,
-                specificDate: schedule.specificDate
+                specificDate: schedule.specificDate,
+                locationId: schedule.locationId
               });
 
               if (segment.start < assignedRange.start) {
@@ -90,7 +91,8 @@ const removePreferenceTimes = (user, slots, roomId) => {
             startTime: minutesToTime(segment.start),
             endTime: minutesToTime(segment.end),
             priority: schedule.priority,
-            specificDate: schedule.specificDate
+            specificDate: schedule.specificDate,
+            locationId: schedule.locationId
           });
         }
       }
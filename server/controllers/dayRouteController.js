@@ -0,0 +1,135 @@
+/**
+ * ===================================================================================================
+ * Day Route Controller (방장 하루 동선 최적화 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 하루 방문 순서를 바꿔 총 이동시간을 줄이는 제안을 보여주고, 수락하면 바뀌는 조원에게 동선 조정 요청을 보냄
+ *
+ * 주요 기능:
+ * - GET  /api/coordination/rooms/:roomId/day-route?date=YYYY-MM-DD - 현재/최적 순서의 총 이동시간 비교 (방장 / 공동 방장)
+ * - POST /api/coordination/rooms/:roomId/day-route/requests - 제안 수락 → 조원별 route_reorder 요청 생성
+ *
+ * 관련 파일:
+ * - server/services/dayRouteService.js - 제안 계산 / 요청 생성 / 승인 시 반영
+ * - server/controllers/coordinationRequestController/index.js - 조원의 승인/거절 처리
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const {
+  DayRouteError,
+  buildDayRoutePlan,
+  hasPendingRouteReorder,
+  createRouteReorderRequests
+} = require('../services/dayRouteService');
+const { snapshotRequests, notifyRequestChanges } = require('../services/notificationService');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+const { isRoomConflictError, saveRoomChecked } = require('../utils/roomConcurrency');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ROUTE_USER_FIELDS = 'firstName lastName address addressLat addressLng savedLocations defaultSchedule scheduleExceptions deletedPreferencesByRoom';
+
+/**
+ * 권한 확인 후 동선 계산에 필요한 필드를 채운 방 (오류면 응답을 보내고 null)
+ */
+const loadRouteRoom = async (req, res) => {
+  const { roomId } = req.params;
+  if (!mongoose.isValidObjectId(roomId)) {
+    res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    return null;
+  }
+
+  const room = await Room.findById(roomId)
+    .populate('owner', ROUTE_USER_FIELDS)
+    .populate('members.user', ROUTE_USER_FIELDS);
+  if (!room) {
+    res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    return null;
+  }
+  if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+    res.status(403).json({ msg: '방장 또는 공동 방장만 동선을 최적화할 수 있습니다.' });
+    return null;
+  }
+  return room;
+};
+
+// @desc    Preview day route optimization
+// @route   GET /api/coordination/rooms/:roomId/day-route?date=YYYY-MM-DD&mode=transit
+// @access  Private (Owner / Co-host)
+exports.getDayRoutePlan = async (req, res) => {
+  try {
+    const { date, mode } = req.query;
+    if (!DATE_PATTERN.test(date || '')) return res.status(400).json({ msg: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+
+    const room = await loadRouteRoom(req, res);
+    if (!room) return;
+
+    const plan = await buildDayRoutePlan(room, date, { mode });
+    res.json({ plan, hasPendingRequests: hasPendingRouteReorder(room, date) });
+  } catch (error) {
+    if (error instanceof DayRouteError) return res.status(error.status).json({ msg: error.message });
+    console.error('Get day route plan error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Accept day route optimization (send route_reorder requests to affected members)
+// @route   POST /api/coordination/rooms/:roomId/day-route/requests
+// @access  Private (Owner / Co-host)
+// body: { date: 'YYYY-MM-DD', mode?, order?: [memberId] } (order: 미리보기의 최적 순서, 그 사이 결과가 바뀌면 409)
+exports.requestDayRouteChanges = async (req, res) => {
+  try {
+    const { date, mode, order } = req.body || {};
+    if (!DATE_PATTERN.test(date || '')) return res.status(400).json({ msg: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+
+    const room = await loadRouteRoom(req, res);
+    if (!room) return;
+
+    if (hasPendingRouteReorder(room, date)) {
+      return res.status(400).json({ msg: '이 날짜에 조원 응답을 기다리는 동선 조정 요청이 이미 있습니다.' });
+    }
+
+    const plan = await buildDayRoutePlan(room, date, { mode });
+    if (!plan.improved || plan.moves.length === 0) {
+      return res.status(400).json({ msg: '지금 순서보다 이동시간이 줄어드는 순서가 없습니다.', plan });
+    }
+    const planOrder = plan.after.stops.map(stop => stop.memberId);
+    if (Array.isArray(order) && order.map(String).join(',') !== planOrder.join(',')) {
+      return res.status(409).json({ msg: '그 사이 시간표나 이동시간이 바뀌었습니다. 새 제안을 확인해주세요.', plan });
+    }
+
+    const requestSnapshot = snapshotRequests(room);
+    const requests = createRouteReorderRequests(room, plan, req.user.id);
+    await saveRoomChecked(room);
+    await notifyRequestChanges(room, requestSnapshot, req.user.id);
+
+    try {
+      const actor = await User.findById(req.user.id).select('firstName lastName').lean();
+      const actorName = actor ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim() : 'Unknown';
+      await ActivityLog.logActivity(
+        room._id,
+        req.user.id,
+        actorName,
+        'change_request',
+        `${date} 동선 조정 요청 ${requests.length}건 (이동시간 ${plan.before.totalTravelMinutes}분 → ${plan.after.totalTravelMinutes}분)`
+      );
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+
+    res.status(201).json({
+      msg: `${requests.length}명의 조원에게 동선 조정 요청을 보냈습니다. 모두 승인하면 시간표에 반영됩니다.`,
+      plan,
+      requests
+    });
+  } catch (error) {
+    if (isRoomConflictError(error)) throw error;
+    if (error instanceof DayRouteError) return res.status(error.status).json({ msg: error.message });
+    console.error('Request day route changes error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
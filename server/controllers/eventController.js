@@ -1,5 +1,6 @@
 const Event = require('../models/event');
 const mongoose = require('mongoose');
+const recurrenceService = require('../services/recurrenceService');
 
 // @desc    사용자의 모든 일정 조회
 // @route   GET /api/events
@@ -48,12 +49,16 @@ exports.getEventsByRange = async (req, res) => {
       const { startDate, endDate } = req.query;
 
 
-      const events = await Event.findByDateRange(userId, new Date(startDate), new Date(endDate)).populate(
+      const rangeStart = new Date(startDate);
+      const rangeEnd = new Date(endDate);
+
+      const events = await Event.findByDateRange(userId, rangeStart, rangeEnd).populate(
          'participants.userId',
          'name email',
       );
 
-      res.json(events);
+      // 반복 일정은 기간 내 회차로 전개
+      res.json(recurrenceService.expandEvents(events, rangeStart, rangeEnd));
    } catch (err) {
       res.status(500).json({ msg: 'Server error' });
    }
@@ -68,12 +73,12 @@ exports.getConflictingEvents = async (req, res) => {
     const { startTime, endTime, excludeEventId } = req.query;
     
     
-    const conflicts = await Event.findConflicting(
+    const conflicts = await recurrenceService.findConflictingOccurrences(
       userId,
       new Date(startTime),
       new Date(endTime),
       excludeEventId
-    ).populate('participants.userId', 'name email');
+    );
     
     res.json(conflicts);
   } catch (err) {
@@ -164,6 +169,8 @@ exports.createEvent = async (req, res) => {
          externalEventId,
          color,
          location,
+         isRecurring,
+         recurrenceRule,
          duration = 60, // 기본 1시간
          forceCreate = false, // 충돌 무시하고 강제 생성
       } = req.body;
@@ -176,7 +183,7 @@ exports.createEvent = async (req, res) => {
       const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
 
       // 충돌 검사 - 최소 30분 이상 겹칠 때만 충돌로 판정
-      const allConflicts = await Event.findConflicting(userId, startTime, endTime);
+      const allConflicts = await recurrenceService.findConflictingOccurrences(userId, startTime, endTime);
       const conflicts = allConflicts.filter(event => {
          const overlapStart = new Date(Math.max(startTime.getTime(), new Date(event.startTime).getTime()));
          const overlapEnd = new Date(Math.min(endTime.getTime(), new Date(event.endTime).getTime()));
@@ -238,6 +245,8 @@ exports.createEvent = async (req, res) => {
          externalParticipants: externalParticipants || [],
          sourceCalendarId,
          externalEventId,
+         isRecurring: isRecurring || false,
+         ...(isRecurring && recurrenceRule && { recurrenceRule }),
          status: 'confirmed',
       });
 
@@ -297,6 +306,145 @@ exports.updateEvent = async (req, res) => {
    }
 };
 
+/**
+ * 회차 요청 파라미터 해석 (시리즈 문서 + 회차 원래 시작 시각)
+ * @returns {Promise<{event: Object, occurrenceStart: Date}|{error: {status: number, msg: string}}>}
+ */
+const loadOccurrence = async (req) => {
+   const occurrenceStart = new Date(isNaN(req.params.occurrenceStart) ? req.params.occurrenceStart : Number(req.params.occurrenceStart));
+   if (isNaN(occurrenceStart.getTime())) {
+      return { error: { status: 400, msg: 'Invalid occurrence start' } };
+   }
+
+   const event = await Event.findOne({ _id: req.params.id, userId: req.user.id });
+   if (!event) {
+      return { error: { status: 404, msg: 'Event not found or unauthorized' } };
+   }
+   if (!event.isRecurring || !recurrenceService.hasOccurrence(event, occurrenceStart)) {
+      return { error: { status: 404, msg: 'Occurrence not found in this series' } };
+   }
+
+   return { event, occurrenceStart };
+};
+
+/**
+ * "이 일정 및 이후 일정" 적용 - 회차 직전에서 시리즈를 끊고 변경 내용을 담은 새 시리즈 생성
+ * 첫 회차부터 적용하면 시리즈 자체를 수정
+ * @param {Object} event - 원본 시리즈 문서
+ * @param {Date} occurrenceStart - 분할 기준 회차
+ * @param {Object} changes - { title, description, location, startTime, endTime }
+ * @returns {Promise<Object>} - 변경 내용이 적용된 시리즈 문서
+ */
+const splitSeriesFrom = async (event, occurrenceStart, changes) => {
+   const isFirstOccurrence = recurrenceService.isSameOccurrence(event.startTime, occurrenceStart);
+   const durationMs = event.endTime - event.startTime;
+   const startTime = changes.startTime || occurrenceStart;
+   const endTime = changes.endTime || new Date(startTime.getTime() + durationMs);
+
+   if (isFirstOccurrence) {
+      ['title', 'description', 'location'].forEach(field => {
+         if (changes[field] !== undefined) event[field] = changes[field];
+      });
+      event.startTime = startTime;
+      event.endTime = endTime;
+      recurrenceService.rekeyExceptions(event, startTime - occurrenceStart);
+      return event.save();
+   }
+
+   const seriesData = event.toObject();
+   const remaining = recurrenceService.truncateSeriesBefore(event, occurrenceStart);
+   await event.save();
+
+   delete seriesData._id;
+   delete seriesData.id;
+   delete seriesData.createdAt;
+   delete seriesData.updatedAt;
+
+   const followingSeries = new Event({
+      ...seriesData,
+      ...(changes.title !== undefined && { title: changes.title }),
+      ...(changes.description !== undefined && { description: changes.description }),
+      ...(changes.location !== undefined && { location: changes.location }),
+      startTime,
+      endTime,
+      recurrenceRule: { ...seriesData.recurrenceRule, occurrences: remaining },
+      recurrenceExceptions: seriesData.recurrenceExceptions.filter(ex => new Date(ex.originalStart) >= occurrenceStart),
+      recurrenceParentId: event.recurrenceParentId || event._id,
+   });
+   recurrenceService.rekeyExceptions(followingSeries, startTime - occurrenceStart);
+   return followingSeries.save();
+};
+
+// @desc    반복 일정 회차 수정 (이 일정만 / 이 일정 및 이후 일정)
+// @route   PUT /api/events/:id/occurrences/:occurrenceStart
+// @access  Private
+exports.updateOccurrence = async (req, res) => {
+   try {
+      const { error, event, occurrenceStart } = await loadOccurrence(req);
+      if (error) {
+         return res.status(error.status).json({ msg: error.msg });
+      }
+
+      const { scope = 'this', title, description, location, startDateTime, endDateTime } = req.body;
+      const changes = {
+         title,
+         description,
+         location,
+         startTime: startDateTime ? new Date(startDateTime) : undefined,
+         endTime: endDateTime ? new Date(endDateTime) : undefined,
+      };
+
+      if (changes.startTime && changes.endTime && changes.endTime <= changes.startTime) {
+         return res.status(400).json({ msg: '종료 시간은 시작 시간보다 늦어야 합니다.' });
+      }
+
+      if (scope === 'following') {
+         const series = await splitSeriesFrom(event, occurrenceStart, changes);
+         return res.json(series);
+      }
+
+      recurrenceService.applyOccurrenceException(event, occurrenceStart, { ...changes, status: 'modified' });
+      const updatedEvent = await event.save();
+
+      res.json(updatedEvent);
+   } catch (err) {
+      if (err.name === 'ValidationError') {
+         return res.status(400).json({ msg: `Validation failed: ${err.message}` });
+      }
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    반복 일정 회차 취소 (이 일정만 / 이 일정 및 이후 일정)
+// @route   DELETE /api/events/:id/occurrences/:occurrenceStart
+// @access  Private
+exports.cancelOccurrence = async (req, res) => {
+   try {
+      const { error, event, occurrenceStart } = await loadOccurrence(req);
+      if (error) {
+         return res.status(error.status).json({ msg: error.msg });
+      }
+
+      const { scope = 'this' } = req.query;
+
+      if (scope === 'following') {
+         // 첫 회차부터 취소하면 시리즈 전체 삭제
+         if (recurrenceService.isSameOccurrence(event.startTime, occurrenceStart)) {
+            await Event.deleteOne({ _id: event._id });
+            return res.json({ msg: 'Event series deleted successfully', deletedEvent: { id: event._id, title: event.title } });
+         }
+         recurrenceService.truncateSeriesBefore(event, occurrenceStart);
+      } else {
+         recurrenceService.applyOccurrenceException(event, occurrenceStart, { status: 'cancelled' });
+      }
+
+      const updatedEvent = await event.save();
+      res.json(updatedEvent);
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
 // @desc    일정 상태 변경
 // @route   PATCH /api/events/:id/status
 // @access  Private
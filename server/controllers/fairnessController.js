@@ -0,0 +1,43 @@
+/**
+ * ===================================================================================================
+ * Fairness Controller (배정 공평성 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 최근 몇 주 동안 조원별 배정 공평성 리포트 조회
+ *
+ * 주요 기능:
+ * - GET /api/coordination/rooms/:roomId/fairness?weeks=8 - 조원별 선호도 만족도, 이월, 첫/마지막 시간 비율, 부채
+ *
+ * 관련 파일:
+ * - server/services/fairnessService.js - 지표 계산 / 자동 배정 보정 입력
+ * - client/src/components/modals/MemberStatsModal.js - 조원별 공평성 차트
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const { buildFairnessReport, DEFAULT_REPORT_WEEKS } = require('../services/fairnessService');
+
+// @desc    Get per-member fairness report for recent weeks
+// @route   GET /api/coordination/rooms/:roomId/fairness?weeks=8
+// @access  Private (Room members)
+exports.getFairnessReport = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId)
+      .populate('members.user', 'firstName lastName defaultSchedule preferences');
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.getRole(req.user.id)) return res.status(403).json({ msg: '방 멤버만 조회할 수 있습니다.' });
+
+    const weeks = parseInt(req.query.weeks, 10) || DEFAULT_REPORT_WEEKS;
+    const report = buildFairnessReport(room, { weeks });
+
+    res.json({ ...report, fairnessWeight: room.settings.fairnessWeight || 0 });
+  } catch (error) {
+    console.error('Get fairness report error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * ===================================================================================================
+ * Notification Controller (알림함 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 사용자별 알림 목록 조회 및 읽음 처리
+ *
+ * 주요 기능:
+ * - GET  /api/notifications              - 알림 목록 (?unreadOnly=1&limit=20&before=<ISO>)
+ * - GET  /api/notifications/unread-count - 읽지 않은 알림 수
+ * - POST /api/notifications/:id/read     - 알림 하나 읽음 처리
+ * - POST /api/notifications/read-all     - 모든 알림 읽음 처리
+ *
+ * 관련 파일:
+ * - server/models/Notification.js
+ * - server/services/notificationService.js - 알림 생성 및 실시간 전송
+ * - client/src/hooks/useNotifications.js
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// @desc    알림 목록 조회 (최신순)
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+   try {
+      const { unreadOnly, before } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+      const query = { userId: req.user.id };
+      if (unreadOnly === '1' || unreadOnly === 'true') query.readAt = null;
+      if (before) {
+         const beforeDate = new Date(before);
+         if (isNaN(beforeDate.getTime())) {
+            return res.status(400).json({ msg: '유효하지 않은 before 값입니다.' });
+         }
+         query.createdAt = { $lt: beforeDate };
+      }
+
+      const [notifications, unreadCount] = await Promise.all([
+         Notification.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate('roomId', 'name')
+            .populate('actorId', 'firstName lastName'),
+         Notification.countUnread(req.user.id)
+      ]);
+
+      res.json({ notifications, unreadCount, hasMore: notifications.length === limit });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    읽지 않은 알림 수 조회
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res) => {
+   try {
+      const unreadCount = await Notification.countUnread(req.user.id);
+      res.json({ unreadCount });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    알림 하나 읽음 처리
+// @route   POST /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res) => {
+   try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+         return res.status(400).json({ msg: '유효하지 않은 ID 형식입니다.' });
+      }
+
+      const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+      if (!notification) {
+         return res.status(404).json({ msg: '알림을 찾을 수 없습니다.' });
+      }
+
+      if (!notification.readAt) {
+         notification.readAt = new Date();
+         await notification.save();
+      }
+
+      const unreadCount = await Notification.countUnread(req.user.id);
+      if (global.io) {
+         global.io.to(`user-${req.user.id}`).emit('notification-read', { ids: [notification._id], unreadCount });
+      }
+
+      res.json({ notification, unreadCount });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
+
+// @desc    모든 알림 읽음 처리
+// @route   POST /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+   try {
+      const result = await Notification.updateMany(
+         { userId: req.user.id, readAt: null },
+         { $set: { readAt: new Date() } }
+      );
+
+      // 다른 기기/탭의 배지도 함께 초기화
+      if (global.io) {
+         global.io.to(`user-${req.user.id}`).emit('notification-read', { all: true, unreadCount: 0 });
+      }
+
+      res.json({ updated: result.modifiedCount, unreadCount: 0 });
+   } catch (err) {
+      res.status(500).json({ msg: 'Server error', error: err.message });
+   }
+};
@@ -1,9 +1,6 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { generateOcrChatPrompt } = require('../prompts/ocrChatFilter');
 const { generateConversationalPrompt, addToHistory, updateUserProfile } = require('../prompts/conversationalScheduleRecommender');
-
-// Gemini AI 초기화
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../services/llm');
 
 /**
  * 필터링 조건 적용 함수
@@ -375,40 +372,11 @@ exports.filterSchedulesByChat = async (req, res) => {
     // 프롬프트 생성
     const prompt = generateOcrChatPrompt(chatMessage, extractedSchedules, schedulesByImage, imageDescription);
 
-    // Gemini AI 호출 (여러 모델 시도)
-    const modelNames = [
-      'gemini-2.0-flash',
-      'gemini-2.0-flash',
-      'gemini-1.5-flash-002',
-      'gemini-1.5-flash'
-    ];
-
-    let aiResponse = null;
-    let lastError = null;
-
-    for (const modelName of modelNames) {
-      try {
-        const model = genAI.getGenerativeModel({
-          model: modelName,
-          generationConfig: {
-            maxOutputTokens: 8192,
-            temperature: 0.1
-          }
-        });
-
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        aiResponse = response.text();
-        break;
-      } catch (error) {
-        lastError = error;
-        continue;
-      }
-    }
-
-    if (!aiResponse) {
-      throw lastError || new Error('모든 모델 시도 실패');
-    }
+    // AI 호출 (모델 대체 시도는 백엔드가 처리)
+    const aiResponse = await llm.generateText(prompt, {
+      maxOutputTokens: 8192,
+      temperature: 0.1
+    });
     // JSON 파싱
     let parsed = null;
 
@@ -584,34 +552,11 @@ exports.conversationalRecommend = async (req, res) => {
       userProfile
     );
 
-    // Gemini API 호출
-    const modelNames = ['gemini-2.0-flash', 'gemini-1.5-flash'];
-    let aiResponse = null;
-    let lastError = null;
-
-    for (const modelName of modelNames) {
-      try {
-        const model = genAI.getGenerativeModel({
-          model: modelName,
-          generationConfig: {
-            maxOutputTokens: 8192,
-            temperature: 0.3 // 약간 창의적으로
-          }
-        });
-
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        aiResponse = response.text();
-        break;
-      } catch (error) {
-        lastError = error;
-        continue;
-      }
-    }
-
-    if (!aiResponse) {
-      throw lastError || new Error('모든 모델 시도 실패');
-    }
+    // AI 호출
+    const aiResponse = await llm.generateText(prompt, {
+      maxOutputTokens: 8192,
+      temperature: 0.3 // 약간 창의적으로
+    });
 
     // JSON 파싱
     let parsed = null;
@@ -1,4 +1,3 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
@@ -7,9 +6,32 @@ const { optimizeSchedules } = require('../utils/scheduleAutoOptimizer');
 const { getOcrPrompt } = require('../prompts/ocrPrompts');
 const { convertToImageParts, filterDuplicateImages, checkDuplicates } = require('../utils/imageProcessing');
 const { mergeConsecutiveSchedules } = require('../utils/scheduleProcessing');
+const llm = require('../services/llm');
+const { OCR_SCHEDULES, KOREAN_DAYS } = require('../services/llm/schemas');
 
-// Gemini AI 초기화
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const OCR_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * OCR 행 정리: 제목/요일/시간이 올바르지 않은 행은 제외 (OCR 오류 방지)
+ * 요일 목록은 인식 가능한 요일만 남기고, 하나도 없으면 행을 제외
+ */
+const filterValidOcrRows = (schedules) => (schedules || []).reduce((rows, schedule) => {
+  if (!schedule || !schedule.title || schedule.title.trim() === '') {
+    console.warn(`⚠️ [OCR 경고] 제목이 없는 스케줄 제외`);
+    return rows;
+  }
+  if (!OCR_TIME_PATTERN.test(schedule.startTime || '') || !OCR_TIME_PATTERN.test(schedule.endTime || '')) {
+    console.warn(`⚠️ [OCR 경고] 시간 정보가 누락되거나 잘못된 스케줄 제외: ${schedule.title}`);
+    return rows;
+  }
+  const days = (schedule.days || []).filter(day => KOREAN_DAYS.includes(day));
+  if (days.length === 0) {
+    console.warn(`⚠️ [OCR 경고] 요일 정보가 없는 스케줄 제외: ${schedule.title}`);
+    return rows;
+  }
+  rows.push({ ...schedule, days });
+  return rows;
+}, []);
 
 // 업로드된 이미지 해시 저장소 (세션별 관리)
 const imageHashStore = new Map();
@@ -44,17 +66,8 @@ exports.extractTextFromImage = async (req, res) => {
     const imageBuffer = req.file.buffer;
     const mimeType = req.file.mimetype;
 
-    // Gemini Vision API로 OCR 수행
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
-    const imageParts = [
-      {
-        inlineData: {
-          data: imageBuffer.toString('base64'),
-          mimeType: mimeType,
-        },
-      },
-    ];
+    // AI Vision으로 OCR 수행
+    const imageParts = convertToImageParts(imageBuffer, mimeType);
 
     const prompt = `
 이 이미지에서 모든 텍스트를 추출해주세요.
@@ -69,9 +82,7 @@ exports.extractTextFromImage = async (req, res) => {
 추출한 텍스트를 그대로 반환해주세요.
 `;
 
-    const result = await model.generateContent([prompt, ...imageParts]);
-    const response = await result.response;
-    const text = response.text();
+    const text = await llm.generateText(prompt, { images: imageParts });
 
     res.json({
       success: true,
@@ -97,7 +108,6 @@ exports.extractTextFromImages = async (req, res) => {
       return res.status(400).json({ error: '최소 1개 이상의 이미지 파일이 필요합니다.' });
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
     const results = [];
 
     // 각 이미지에서 OCR 수행
@@ -106,14 +116,7 @@ exports.extractTextFromImages = async (req, res) => {
         const imageBuffer = file.buffer;
         const mimeType = file.mimetype;
 
-        const imageParts = [
-          {
-            inlineData: {
-              data: imageBuffer.toString('base64'),
-              mimeType: mimeType,
-            },
-          },
-        ];
+        const imageParts = convertToImageParts(imageBuffer, mimeType);
 
         const prompt = `
 이 이미지에서 모든 텍스트를 추출해주세요.
@@ -128,9 +131,7 @@ exports.extractTextFromImages = async (req, res) => {
 추출한 텍스트를 그대로 반환해주세요.
 `;
 
-        const result = await model.generateContent([prompt, ...imageParts]);
-        const response = await result.response;
-        const text = response.text();
+        const text = await llm.generateText(prompt, { images: imageParts });
 
         results.push({
           success: true,
@@ -214,7 +215,6 @@ exports.analyzeScheduleImages = async (req, res) => {
     }
 
     // 2단계: OCR 처리
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
     const scheduleResults = [];
 
     for (let i = 0; i < filesToProcess.length; i++) {
@@ -227,68 +227,35 @@ exports.analyzeScheduleImages = async (req, res) => {
         const imageParts = convertToImageParts(imageBuffer, mimeType);
         const prompt = getOcrPrompt();
 
-        const result = await model.generateContent([prompt, ...imageParts]);
-        const response = await result.response;
-        let text = response.text();
-
-        // JSON 파싱
-        // Gemini가 마크다운 코드 블록으로 감쌀 수 있으므로 제거
-        text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-        let parsedSchedules;
-        try {
-          parsedSchedules = JSON.parse(text);
-          if (parsedSchedules.schedules?.length > 0) {
-            const gradeLevelCounts = {};
-            parsedSchedules.schedules.forEach(s => {
-              const grade = s.gradeLevel || 'null';
-              gradeLevelCounts[grade] = (gradeLevelCounts[grade] || 0) + 1;
-            });
-            // ⭐ 학년부별 샘플 출력
-            const uniqueGrades = [...new Set(parsedSchedules.schedules.map(s => s.gradeLevel).filter(Boolean))];
-            if (uniqueGrades.length > 0) {
-              console.log(`📝 학년부별 샘플:`);
-              uniqueGrades.forEach(grade => {
-                const sample = parsedSchedules.schedules.find(s => s.gradeLevel === grade);
-                if (sample) {
-                  console.log(`   - ${grade}: ${sample.title} (${sample.days?.join(',') || '?'} ${sample.startTime}-${sample.endTime})`);
-                }
-              });
-            }
-          }
-        } catch (parseError) {
-          parsedSchedules = { schedules: [] };
+        // 응답 형식 검증 (형식이 틀리면 이미지와 함께 재요청), 잘못 읽은 행은 아래에서 제외
+        const parsedSchedules = await llm.generateJSON(prompt, OCR_SCHEDULES, { images: imageParts });
+        parsedSchedules.schedules = filterValidOcrRows(parsedSchedules.schedules);
+
+        // ⭐ 학년부별 샘플 출력
+        const uniqueGrades = [...new Set(parsedSchedules.schedules.map(s => s.gradeLevel).filter(Boolean))];
+        if (uniqueGrades.length > 0) {
+          console.log(`📝 학년부별 샘플:`);
+          uniqueGrades.forEach(grade => {
+            const sample = parsedSchedules.schedules.find(s => s.gradeLevel === grade);
+            console.log(`   - ${grade}: ${sample.title} (${sample.days.join(',')} ${sample.startTime}-${sample.endTime})`);
+          });
         }
 
         // sourceImageIndex 추가 (시간 수정 제거 - OCR이 정확히 인식하도록 프롬프트 개선)
-        const schedulesWithIndex = (parsedSchedules.schedules || [])
-          .filter(schedule => {
-            // ⭐ startTime과 endTime이 없는 스케줄은 제외 (OCR 오류 방지)
-            if (!schedule.startTime || !schedule.endTime) {
-              console.warn(`⚠️ [OCR 경고] 시간 정보가 누락된 스케줄 제외: ${schedule.title}`);
-              return false;
-            }
-            // ⭐ title이 없는 스케줄도 제외
-            if (!schedule.title || schedule.title.trim() === '') {
-              console.warn(`⚠️ [OCR 경고] 제목이 없는 스케줄 제외`);
-              return false;
-            }
-            return true;
-          })
-          .map(schedule => {
-            // 🎨 디버깅: backgroundColor 확인
-            if (schedule.backgroundColor) {
-              console.log(`🎨 OCR 색상 추출됨: ${schedule.title} → backgroundColor: ${schedule.backgroundColor}`);
-            } else {
-              console.log(`⚪ OCR 색상 없음: ${schedule.title} → backgroundColor: ${schedule.backgroundColor || 'undefined'}`);
-            }
-
-            return {
-              ...schedule,
-              sourceImage: file.originalname,
-              sourceImageIndex: i
-            };
-          });
+        const schedulesWithIndex = parsedSchedules.schedules.map(schedule => {
+          // 🎨 디버깅: backgroundColor 확인
+          if (schedule.backgroundColor) {
+            console.log(`🎨 OCR 색상 추출됨: ${schedule.title} → backgroundColor: ${schedule.backgroundColor}`);
+          } else {
+            console.log(`⚪ OCR 색상 없음: ${schedule.title} → backgroundColor: ${schedule.backgroundColor || 'undefined'}`);
+          }
+
+          return {
+            ...schedule,
+            sourceImage: file.originalname,
+            sourceImageIndex: i
+          };
+        });
 
         // imageTitle 추출 (AI가 분석한 제목)
         const extractedTitle = parsedSchedules.imageTitle || null;
@@ -318,6 +285,7 @@ exports.analyzeScheduleImages = async (req, res) => {
         scheduleResults.push({
           success: false,
           error: error.message,
+          code: error.code, // LlmError (TIMEOUT, PROVIDER_ERROR, INVALID_JSON, SCHEMA_MISMATCH)
           fileName: file.originalname,
           schedules: [],
         });
@@ -0,0 +1,93 @@
+/**
+ * ===================================================================================================
+ * Owner Location Controller (방장 출발/도착 장소 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 이동시간 계산에서 방장이 요일/날짜마다 어디서 출발하고 어디로 돌아가는지 조회와 저장
+ *
+ * 주요 기능:
+ * - GET /api/coordination/rooms/:roomId/owner-locations - 요일/날짜별 출발·도착 장소 + 방장 저장 장소 목록 (방장 / 공동 방장)
+ * - PUT /api/coordination/rooms/:roomId/owner-locations - 전체 교체 (방장 / 공동 방장)
+ *
+ * 관련 파일:
+ * - server/utils/savedLocations.js - 입력 검증 / 그날 출발·도착 장소 결정
+ * - client/src/components/modals/room/OwnerLocationsPanel.js - 편집 UI
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const { validateOwnerDayLocations, getUserPlaces } = require('../utils/savedLocations');
+const { sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+const OWNER_PLACE_FIELDS = 'firstName lastName address addressLat addressLng savedLocations';
+
+// @desc    Get owner per-day start/end locations
+// @route   GET /api/coordination/rooms/:roomId/owner-locations
+// @access  Private (Owner / Co-host)
+exports.getOwnerDayLocations = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId).select('owner members settings').populate('owner', OWNER_PLACE_FIELDS);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 조회할 수 있습니다.' });
+    }
+
+    res.json({
+      dayLocations: room.settings.ownerDayLocations || [],
+      places: getUserPlaces(room.owner)
+    });
+  } catch (error) {
+    console.error('Get owner day locations error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Replace owner per-day start/end locations
+// @route   PUT /api/coordination/rooms/:roomId/owner-locations
+// @access  Private (Owner / Co-host)
+// body: { dayLocations: [{ dayOfWeek | specificDate, startLocationId, endLocationId }] }
+exports.updateOwnerDayLocations = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 출발/도착 장소를 변경할 수 있습니다.' });
+    }
+
+    const owner = await User.findById(room.owner).select(OWNER_PLACE_FIELDS).lean();
+    const { dayLocations, error } = validateOwnerDayLocations(req.body.dayLocations, owner);
+    if (error) return res.status(400).json({ msg: error });
+
+    room.settings.ownerDayLocations = dayLocations;
+    await saveRoomChecked(room);
+
+    try {
+      const actor = await User.findById(req.user.id).select('firstName lastName').lean();
+      const actorName = actor ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim() : 'Unknown';
+      await ActivityLog.logActivity(room._id, req.user.id, actorName, 'room_update', `방장 출발/도착 장소 변경 (${dayLocations.length}개)`);
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+
+    res.json({
+      msg: '출발/도착 장소가 저장되었습니다. 이동시간 계산에 바로 반영됩니다.',
+      dayLocations: room.settings.ownerDayLocations,
+      places: getUserPlaces(owner)
+    });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Update owner day locations error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
@@ -2,7 +2,12 @@ const Room = require('../models/room');
 const User = require('../models/user');
 const ActivityLog = require('../models/ActivityLog');
 const ChatMessage = require('../models/ChatMessage');
-const schedulingAlgorithm = require('../services/schedulingAlgorithm');
+const { isValidTimezone, getUserTimezone } = require('../utils/timezone');
+const { isRoomConflictError, sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+const { generateUniqueRoomCode } = require('../utils/inviteTokens');
+const { validateSchedulingRules } = require('../utils/schedulingRules');
+const { isRoomFull, admitMember, queueJoinRequest } = require('../services/roomJoinService');
 
 // @desc    Create a new coordination room
 // @route   POST /api/coordination/rooms
@@ -15,15 +20,20 @@ exports.createRoom = async (req, res) => {
          return res.status(400).json({ msg: '방 이름은 필수입니다.' });
       }
 
-      // Generate unique invite code
-      let inviteCode;
-      let codeExists = true;
-      while (codeExists) {
-         inviteCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-         const existingRoom = await Room.findOne({ inviteCode });
-         if (!existingRoom) codeExists = false;
+      if (settings?.timezone !== undefined && !isValidTimezone(settings.timezone)) {
+         return res.status(400).json({ msg: '유효한 시간대가 아닙니다.' });
+      }
+
+      // 배정 규칙도 함께 보냈으면 규칙 API와 같은 기준으로 검증 (새 방에는 아직 대상 조원이 없음)
+      if (settings?.schedulingRules !== undefined) {
+         const { rules, error } = validateSchedulingRules(settings.schedulingRules, { members: [] });
+         if (error) return res.status(400).json({ msg: error });
+         settings.schedulingRules = rules;
       }
 
+      // Generate unique invite code
+      const inviteCode = await generateUniqueRoomCode(Room);
+
       const room = new Room({
          name: name.trim(),
          description: description?.trim() || '',
@@ -34,6 +44,12 @@ exports.createRoom = async (req, res) => {
          settings: settings || {},
       });
 
+      // 시간대를 지정하지 않으면 방장의 시간대를 방 기준 시간대로 사용
+      if (!settings?.timezone) {
+         const creator = await User.findById(req.user.id).select('preferences.timezone');
+         room.settings.timezone = getUserTimezone(creator);
+      }
+
       // roomExceptions가 존재하면 유효성 검사 및 추가
       if (settings && settings.roomExceptions && Array.isArray(settings.roomExceptions)) {
 
@@ -125,7 +141,7 @@ exports.createRoom = async (req, res) => {
 
 // @desc    Update room settings
 // @route   PUT /api/coordination/rooms/:roomId
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.updateRoom = async (req, res) => {
    try {
       const room = await Room.findById(req.params.roomId);
@@ -134,14 +150,18 @@ exports.updateRoom = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      // Check if user is owner
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      // Check if user can update room settings (owner, co-host)
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       // Update room properties
       const { name, description, maxMembers, settings } = req.body;
 
+      if (settings?.timezone !== undefined && !isValidTimezone(settings.timezone)) {
+         return res.status(400).json({ msg: '유효한 시간대가 아닙니다.' });
+      }
+
       if (name) room.name = name;
       if (description !== undefined) room.description = description;
       if (maxMembers) room.maxMembers = maxMembers;
@@ -201,13 +221,14 @@ exports.updateRoom = async (req, res) => {
          }
       }
 
-      await room.save();
+      await saveRoomChecked(room);
 
       await room.populate('owner', 'firstName lastName email firebaseUid');
       await room.populate('members.user', 'firstName lastName email firebaseUid');
 
       res.json(room);
    } catch (error) {
+      if (sendRoomConflict(res, error)) return;
       res.status(500).json({ msg: 'Server error', error: error.message });
    }
 };
@@ -224,7 +245,7 @@ exports.deleteRoom = async (req, res) => {
       }
 
       // Check if user is owner
-      if (!room.isOwner(req.user.id)) {
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.DELETE_ROOM)) {
          return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
       }
 
@@ -263,186 +284,29 @@ exports.joinRoom = async (req, res) => {
          return res.json(room);
       }
 
-      // Check room capacity
-      if (room.members.length >= room.maxMembers) {
-         return res.status(400).json({ msg: '방이 가득 찼습니다.' });
+      // 방장이 방 코드를 끈 경우 초대 링크로만 참여 가능
+      if (room.joinPolicy?.codeEnabled === false) {
+         return res.status(403).json({ msg: '이 방은 초대 코드 참여가 중지되었습니다. 방장에게 초대 링크를 요청해주세요.' });
       }
 
-      // Add user to room with unique color
-      const { getAvailableColor } = require('../utils/colorUtils');
-      const existingColors = room.members.map(member => member.color);
-      const newColor = getAvailableColor(existingColors);
-
-      room.members.push({
-         user: req.user.id,
-         joinedAt: new Date(),
-         color: newColor
-      });
-      await room.save();
-
-      // 🚀 Phase 2: 조원 입장 시 자동배정 트리거
-      // 방장이 한 번이라도 자동배정을 실행한 적이 있어야 함 (timeSlots 존재 여부로 확인)
-      const hasRunAutoScheduleBefore = room.timeSlots && room.timeSlots.length > 0;
-
-
-      // Populate with full schedule info for auto-scheduling
-      await room.populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority');
-      await room.populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority');
-
-      // Check if all members have schedule set before running auto-schedule
-      const allMembersHaveSchedule = room.members.every(m =>
-         m.user.defaultSchedule && m.user.defaultSchedule.length > 0
-      );
-      const ownerHasSchedule = room.owner.defaultSchedule && room.owner.defaultSchedule.length > 0;
-
-
-      // 방장이 이미 자동배정을 실행한 적이 있고, 모든 조건이 충족되면 자동 재배정
-      if (hasRunAutoScheduleBefore && ownerHasSchedule && allMembersHaveSchedule) {
-         try {
-            // Run auto-schedule automatically when new member joins
-            const membersOnly = room.members.filter(m => {
-               const memberId = m.user._id ? m.user._id.toString() : m.user.toString();
-               const ownerId = room.owner._id ? room.owner._id.toString() : room.owner.toString();
-               return memberId !== ownerId;
-            });
-
-            const minHoursPerWeek = room.settings?.minHoursPerWeek || 3;
-            const numWeeks = 4;
-
-            // 🔧 Use the same week as the last auto-schedule run
-            // Find the earliest date from existing timeSlots (BEFORE filtering) to determine the start week
-            let startDate = new Date();
-            if (room.timeSlots && room.timeSlots.length > 0) {
-               const dates = room.timeSlots
-                  .map(slot => new Date(slot.date))
-                  .filter(d => !isNaN(d.getTime()));
-               if (dates.length > 0) {
-                  const earliestDate = new Date(Math.min(...dates));
-                  // Get Monday of that week
-                  const day = earliestDate.getUTCDay();
-                  const diff = earliestDate.getUTCDate() - day + (day === 0 ? -6 : 1);
-                  earliestDate.setUTCDate(diff);
-                  earliestDate.setUTCHours(0, 0, 0, 0);
-                  startDate = earliestDate;
-               }
-            } else {
-            }
-
-            const ownerBlockedTimes = [];
-            const existingCarryOvers = [];
-
-            for (const member of room.members) {
-               if (member.carryOver > 0) {
-                  existingCarryOvers.push({
-                     memberId: member.user._id.toString(),
-                     neededHours: member.carryOver,
-                     priority: member.priority || 3,
-                     week: startDate
-                  });
-               }
-            }
-
-            // Clear previous auto-generated slots (keep manually assigned slots)
-            room.timeSlots = room.timeSlots.filter(slot => {
-               // Keep manually assigned slots (no assignedBy)
-               if (!slot.assignedBy) return true;
-               // Remove auto-generated slots
-               return false;
-            });
-
-
-            const result = await schedulingAlgorithm.runAutoSchedule(
-               membersOnly,
-               room.owner,
-               room.timeSlots,
-               {
-                  minHoursPerWeek,
-                  numWeeks,
-                  currentWeek: startDate,
-                  ownerPreferences: room.settings.ownerPreferences || {},
-                  roomSettings: {
-                     ...room.settings,
-                     ownerBlockedTimes: ownerBlockedTimes
-                  },
-               },
-               existingCarryOvers,
-            );
-
-
-            // schedulingAlgorithm returns assignments, not timeSlots directly
-            // Process assignments and convert to timeSlots (same logic as coordinationController)
-            if (result.assignments) {
-
-               // Convert assignments to timeSlots
-               const addedSlots = new Set();
-               Object.values(result.assignments).forEach(assignment => {
-                  if (assignment.slots && assignment.slots.length > 0) {
-                     assignment.slots.forEach(slot => {
-                        // Validate required fields
-                        if (!slot.day || !slot.startTime || !slot.endTime || !slot.date) {
-                           return;
-                        }
-
-                        // Create unique key to prevent duplicates
-                        const slotKey = `${assignment.memberId}-${slot.day}-${slot.startTime}-${slot.endTime}-${new Date(slot.date).toISOString().split('T')[0]}`;
-
-                        if (!addedSlots.has(slotKey)) {
-                           const newSlot = {
-                              user: assignment.memberId,
-                              date: slot.date,
-                              startTime: slot.startTime,
-                              endTime: slot.endTime,
-                              day: slot.day,
-                              priority: 3,
-                              subject: '자동 배정',
-                              assignedBy: room.owner._id,  // Use owner ID, not string
-                              assignedAt: new Date(),
-                              status: 'confirmed',
-                           };
-
-                           room.timeSlots.push(newSlot);
-                           addedSlots.add(slotKey);
-                        }
-                     });
-                  }
-               });
-
-
-               await room.save();
-            } else {
-            }
-         } catch (autoScheduleError) {
-            console.error('❌ Auto-schedule error on member join:', autoScheduleError);
-            console.error('Error stack:', autoScheduleError.stack);
-            // Don't fail the join if auto-schedule fails, just log it
-         }
-      } else {
+      // Check room capacity
+      if (isRoomFull(room)) {
+         return res.status(400).json({ msg: '방이 가득 찼습니다.' });
       }
 
-      // Re-populate with full schedule info for response (needed for frontend to show owner's schedule)
-      await room.populate('owner', '_id firstName lastName email defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng');
-      await room.populate('members.user', '_id firstName lastName email defaultSchedule address addressDetail addressLat addressLng');
-      await room.populate('timeSlots.user', '_id firstName lastName email');
-      await room.populate('requests.requester', '_id firstName lastName email');
-      await room.populate('requests.targetUser', '_id firstName lastName email');
-
-      // 활동 로그 기록 - 멤버 입장
-      try {
-         const joiningUser = await User.findById(req.user.id);
-         const userName = joiningUser ? `${joiningUser.firstName} ${joiningUser.lastName}` : 'Unknown';
-         await ActivityLog.logActivity(
-            room._id,
-            req.user.id,
-            userName,
-            'member_join',
-            '방에 입장'
-         );
-      } catch (logError) {
-         console.error('Activity log error:', logError);
+      if (room.joinPolicy?.requireApproval) {
+         const { joinRequest } = await queueJoinRequest(room, req.user.id);
+         return res.status(202).json({
+            pending: true,
+            msg: '참여 요청을 보냈습니다. 방장이 승인하면 방에 입장합니다.',
+            joinRequest: { _id: joinRequest._id, roomId: room._id, roomName: room.name, status: joinRequest.status }
+         });
       }
 
+      room = await admitMember(room, req.user.id);
       res.json(room);
    } catch (error) {
+      if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도 (인원 확인 포함)
       res.status(500).json({ msg: 'Server error' });
    }
 };
@@ -453,8 +317,8 @@ exports.joinRoom = async (req, res) => {
 exports.getRoomDetails = async (req, res) => {
    try {
       const room = await Room.findById(req.params.roomId)
-         .populate('owner', '_id firstName lastName email firebaseUid defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng')
-         .populate('members.user', '_id firstName lastName email firebaseUid defaultSchedule personalTimes address addressDetail addressLat addressLng')
+         .populate('owner', '_id firstName lastName email firebaseUid defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng savedLocations deletedPreferencesByRoom')
+         .populate('members.user', '_id firstName lastName email firebaseUid defaultSchedule personalTimes address addressDetail addressLat addressLng savedLocations deletedPreferencesByRoom')
          .populate('timeSlots.user', '_id firstName lastName email firebaseUid')
          .populate('requests.requester', '_id firstName lastName email firebaseUid')
          .populate('requests.targetUser', '_id firstName lastName email firebaseUid');
@@ -472,8 +336,9 @@ exports.getRoomDetails = async (req, res) => {
       // timeSlots의 user._id를 user.id로 변환 (클라이언트 호환성)
       const roomObj = room.toObject();
 
-      // 조원은 확정된 이동시간 모드만 볼 수 있음
-      const isOwner = room.owner._id.toString() === req.user.id.toString();
+      // 조원/참관인은 확정된 이동시간 모드만 볼 수 있음 (방장, 공동 방장은 전체 정보)
+      const canManage = room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE);
+      roomObj.myRole = room.getRole(req.user.id);
 
       if (roomObj.timeSlots && roomObj.timeSlots.length > 0) {
          roomObj.timeSlots.forEach(slot => {
@@ -482,7 +347,7 @@ exports.getRoomDetails = async (req, res) => {
             }
 
             // 🆕 조원 프라이버시 보호: 이동시간 슬롯의 민감한 정보만 제거 (슬롯 자체는 유지)
-            if (!isOwner) {
+            if (!canManage) {
                // 조원에게는 actualStartTime과 travelTimeBefore 절대 노출 금지!
                delete slot.actualStartTime;
                delete slot.travelTimeBefore;
@@ -499,7 +364,7 @@ exports.getRoomDetails = async (req, res) => {
          });
       }
 
-      if (!isOwner) {
+      if (!canManage) {
          // 조원에게는 travelTimeSlots 노출 (빗금 표시 계산용) - 대신 민감 정보 제거 가능
          // roomObj.travelTimeSlots = []; // <-- REMOVED
          
@@ -0,0 +1,169 @@
+/**
+ * ===================================================================================================
+ * Room History Controller (방 시간표 이력 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 방 시간표 변경 이력 조회 및 특정 시점으로 복원
+ *
+ * 주요 기능:
+ * - GET  /api/coordination/rooms/:roomId/history - 이력 목록 (버전, 작업, 작업자, 변경 요약)
+ * - GET  /api/coordination/rooms/:roomId/history/:snapshotId - 이력 상세 (변경 전/후 시간표, 멤버별 diff)
+ * - POST /api/coordination/rooms/:roomId/history/:snapshotId/restore - 작업 전/후 시간표로 복원 (복원도 이력에 남음)
+ *
+ * 관련 파일:
+ * - server/services/roomHistoryService.js - 스냅샷 기록/복원
+ * - server/models/RoomSnapshot.js - 스냅샷 모델
+ * - client/src/components/modals/room/RoomHistoryPanel.js - 이력 패널
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const { isRoomConflictError, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+const {
+  captureTimeSlots,
+  recordRoomSnapshot,
+  listRoomSnapshots,
+  getRoomSnapshot,
+  applyRoomSnapshot
+} = require('../services/roomHistoryService');
+
+const RESTORE_POINTS = ['before', 'after'];
+
+/**
+ * 방장/공동 방장 권한으로 방 조회
+ * @param {string} permission - 조회는 VIEW_LOGS, 복원은 MANAGE_SCHEDULE
+ * @returns {Promise<{room?: Object, error?: {status: number, msg: string}}>}
+ */
+const findManagedRoom = async (roomId, userId, permission = ROOM_PERMISSIONS.VIEW_LOGS) => {
+  if (!mongoose.isValidObjectId(roomId)) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+  const room = await Room.findById(roomId);
+  if (!room) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+  if (!room.hasPermission(userId, permission)) {
+    return { error: { status: 403, msg: '방장 또는 공동 방장만 시간표 이력을 볼 수 있습니다.' } };
+  }
+  return { room };
+};
+
+// @desc    List timetable history of a room
+// @route   GET /api/coordination/rooms/:roomId/history?page=1&limit=20
+// @access  Private (Owner / Co-host)
+exports.getRoomHistory = async (req, res) => {
+  try {
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { snapshots, pagination } = await listRoomSnapshots(room._id, { page, limit });
+    res.json({ snapshots, pagination });
+  } catch (error) {
+    console.error('Get room history error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Get a single history entry (before/after slots and diff)
+// @route   GET /api/coordination/rooms/:roomId/history/:snapshotId
+// @access  Private (Owner / Co-host)
+exports.getRoomHistoryEntry = async (req, res) => {
+  try {
+    const { roomId, snapshotId } = req.params;
+    const { error } = await findManagedRoom(roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const snapshot = mongoose.isValidObjectId(snapshotId) ? await getRoomSnapshot(roomId, snapshotId) : null;
+    if (!snapshot) {
+      return res.status(404).json({ msg: '이력을 찾을 수 없습니다.' });
+    }
+
+    res.json({ snapshot });
+  } catch (error) {
+    console.error('Get room history entry error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Restore the room timetable to a history entry
+// @route   POST /api/coordination/rooms/:roomId/history/:snapshotId/restore
+// @access  Private (Owner / Co-host)
+// body.point: 'before' (해당 작업 전 시간표) | 'after' (해당 작업 후 시간표, 기본값)
+exports.restoreRoomHistory = async (req, res) => {
+  try {
+    const { roomId, snapshotId } = req.params;
+    const point = req.body.point || 'after';
+
+    if (!RESTORE_POINTS.includes(point)) {
+      return res.status(400).json({ msg: 'point는 before 또는 after만 가능합니다.' });
+    }
+
+    const { room, error } = await findManagedRoom(roomId, req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    // 확정된 시간표는 이미 개인일정에 반영되어 있어 되돌리지 않음
+    if (room.confirmedAt) {
+      return res.status(400).json({ msg: '확정된 시간표는 복원할 수 없습니다.' });
+    }
+
+    const snapshot = mongoose.isValidObjectId(snapshotId) ? await getRoomSnapshot(roomId, snapshotId) : null;
+    if (!snapshot) {
+      return res.status(404).json({ msg: '이력을 찾을 수 없습니다.' });
+    }
+
+    const beforeSlots = captureTimeSlots(room);
+    const { restoredCount, skippedCount } = applyRoomSnapshot(room, snapshot, point);
+    await saveRoomChecked(room);
+
+    const details = `v${snapshot.version} ${point === 'before' ? '작업 전' : '작업 후'} 시간표로 복원 (${restoredCount}개 슬롯)`;
+    const ownerUser = await User.findById(req.user.id).select('firstName lastName').lean();
+    const ownerName = ownerUser ? `${ownerUser.firstName} ${ownerUser.lastName}` : 'Unknown';
+    try {
+      await ActivityLog.logActivity(roomId, req.user.id, ownerName, 'schedule_restore', details, {
+        snapshotId: snapshot._id,
+        version: snapshot.version,
+        point
+      });
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+    const restoreSnapshot = await recordRoomSnapshot(room, {
+      action: 'restore',
+      before: beforeSlots,
+      userId: req.user.id,
+      userName: ownerName,
+      details,
+      restoredFrom: { snapshotId: snapshot._id, version: snapshot.version, point }
+    });
+
+    if (global.io) {
+      global.io.to(`room-${roomId}`).emit('schedule-updated', {
+        roomId,
+        message: '시간표가 이전 버전으로 복원되었습니다.'
+      });
+    }
+
+    const updatedRoom = await Room.findById(roomId)
+      .populate('owner', 'firstName lastName email')
+      .populate('members.user', 'firstName lastName email')
+      .populate('timeSlots.user', '_id firstName lastName email')
+      .populate('requests.requester', 'firstName lastName email')
+      .populate('requests.targetUser', 'firstName lastName email');
+
+    res.json({
+      msg: details,
+      room: updatedRoom,
+      restoredCount,
+      skippedCount,
+      snapshot: restoreSnapshot && { _id: restoreSnapshot._id, version: restoreSnapshot.version }
+    });
+  } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도
+    console.error('Restore room history error:', error);
+    res.status(500).json({ msg: `시간표 복원 중 오류가 발생했습니다: ${error.message}` });
+  }
+};
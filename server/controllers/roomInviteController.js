@@ -0,0 +1,465 @@
+/**
+ * ===================================================================================================
+ * Room Invite Controller (방 초대 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 초대 링크(토큰) 발급/폐기, 방 코드 재발급/참여 정책, 참여 요청 승인 대기열
+ *
+ * 주요 기능:
+ * - GET    /api/coordination/rooms/:roomId/invites - 방 코드, 참여 정책, 초대 링크 목록 (방장, 공동 방장)
+ * - POST   /api/coordination/rooms/:roomId/invites - 초대 링크 발급 (만료 시간, 사용 횟수, 승인 필요, 역할)
+ * - DELETE /api/coordination/rooms/:roomId/invites/:inviteId - 초대 링크 폐기
+ * - POST   /api/coordination/rooms/:roomId/invite-code/regenerate - 방 코드 재발급 (이전 코드 즉시 무효)
+ * - PUT    /api/coordination/rooms/:roomId/join-policy - 방 코드 사용 여부 / 승인 필요 여부
+ * - GET    /api/coordination/rooms/:roomId/join-requests - 승인 대기 중인 참여 요청
+ * - POST   /api/coordination/rooms/:roomId/join-requests/:requestId/:action - 참여 요청 승인/거절
+ * - GET    /api/coordination/invites/:token - 초대 링크 미리보기 (방 이름, 인원, 만료 등)
+ * - POST   /api/coordination/invites/:token/accept - 초대 링크로 참여 (승인 필요 링크는 대기열 등록)
+ *
+ * 관련 파일:
+ * - server/services/roomJoinService.js - 멤버 추가 / 링크 사용 처리 / 대기열 등록
+ * - server/models/RoomInvite.js, server/models/RoomJoinRequest.js
+ * - client/src/components/modals/room/RoomInvitePanel.js - 관리 UI
+ * - client/src/components/modals/RoomJoinModal.js - 초대 링크로 열리는 참여 모달
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const RoomInvite = require('../models/RoomInvite');
+const RoomJoinRequest = require('../models/RoomJoinRequest');
+const ActivityLog = require('../models/ActivityLog');
+const { notifyUsers } = require('../services/notificationService');
+const { isRoomFull, admitMember, consumeInvite, queueJoinRequest } = require('../services/roomJoinService');
+const { generateUniqueRoomCode, generateInviteToken } = require('../utils/inviteTokens');
+const { isRoomConflictError, sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+// 초대 링크 최대 유효 기간 (30일) / 최대 사용 횟수
+const MAX_EXPIRES_IN_HOURS = 24 * 30;
+const MAX_INVITE_USES = 300;
+
+const INVITE_STATUS_MESSAGES = {
+  revoked: '폐기된 초대 링크입니다.',
+  expired: '만료된 초대 링크입니다.',
+  exhausted: '사용 횟수가 모두 소진된 초대 링크입니다.'
+};
+
+const getUserName = async (userId) => {
+  const user = await User.findById(userId).select('firstName lastName').lean();
+  return user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : 'Unknown';
+};
+
+const logActivity = async (roomId, userId, action, details, metadata = {}) => {
+  try {
+    const userName = await getUserName(userId);
+    await ActivityLog.logActivity(roomId, userId, userName, action, details, metadata);
+  } catch (logError) {
+    console.error('Activity log error:', logError);
+  }
+};
+
+/**
+ * 방장/공동 방장 권한(MANAGE_MEMBERS)으로 방 조회
+ * @returns {Promise<{room?: Object, error?: {status: number, msg: string}}>}
+ */
+const findManagedRoom = async (roomId, userId) => {
+  if (!mongoose.isValidObjectId(roomId)) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+  const room = await Room.findById(roomId);
+  if (!room) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+  if (!room.hasPermission(userId, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+    return { error: { status: 403, msg: '방장 또는 공동 방장만 초대를 관리할 수 있습니다.' } };
+  }
+  return { room };
+};
+
+/**
+ * 초대 링크 응답 형태 (createdBy는 populate된 경우 이름으로)
+ * @param {Object} invite - RoomInvite 문서
+ * @returns {Object}
+ */
+const serializeInvite = (invite) => ({
+  _id: invite._id,
+  token: invite.token,
+  label: invite.label,
+  role: invite.role,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  useCount: invite.useCount,
+  requiresApproval: invite.requiresApproval,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+  createdBy: invite.createdBy && invite.createdBy.firstName !== undefined
+    ? `${invite.createdBy.firstName || ''} ${invite.createdBy.lastName || ''}`.trim()
+    : undefined,
+  status: invite.getStatus()
+});
+
+// @desc    List invite links and the room code policy
+// @route   GET /api/coordination/rooms/:roomId/invites
+// @access  Private (Owner / Co-host)
+exports.getRoomInvites = async (req, res) => {
+  try {
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const [invites, pendingCount] = await Promise.all([
+      RoomInvite.find({ roomId: room._id }).sort({ createdAt: -1 }).limit(50).populate('createdBy', 'firstName lastName'),
+      RoomJoinRequest.countDocuments({ roomId: room._id, status: 'pending' })
+    ]);
+
+    res.json({
+      inviteCode: room.inviteCode,
+      joinPolicy: room.joinPolicy,
+      invites: invites.map(serializeInvite),
+      pendingJoinRequests: pendingCount
+    });
+  } catch (error) {
+    console.error('Get room invites error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Create an invite link
+// @route   POST /api/coordination/rooms/:roomId/invites
+// @access  Private (Owner / Co-host)
+// body: { expiresInHours (없으면 만료 없음), maxUses (없으면 무제한), requiresApproval, role: 'member' | 'observer', label }
+exports.createRoomInvite = async (req, res) => {
+  try {
+    const { expiresInHours, maxUses, requiresApproval = false, role = 'member', label = '' } = req.body;
+
+    if (expiresInHours != null && (!Number.isFinite(Number(expiresInHours)) || expiresInHours <= 0 || expiresInHours > MAX_EXPIRES_IN_HOURS)) {
+      return res.status(400).json({ msg: `만료 시간은 1시간 이상 ${MAX_EXPIRES_IN_HOURS / 24}일 이하로 설정해주세요.` });
+    }
+    if (maxUses != null && (!Number.isInteger(Number(maxUses)) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+      return res.status(400).json({ msg: `사용 횟수는 1회 이상 ${MAX_INVITE_USES}회 이하로 설정해주세요.` });
+    }
+    if (!RoomInvite.INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ msg: '초대 링크 역할은 조원 또는 참관인만 가능합니다.' });
+    }
+
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const invite = await RoomInvite.create({
+      roomId: room._id,
+      token: generateInviteToken(),
+      createdBy: req.user.id,
+      label: String(label).trim().slice(0, 50),
+      role,
+      expiresAt: expiresInHours != null ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null,
+      maxUses: maxUses != null ? Number(maxUses) : null,
+      requiresApproval: !!requiresApproval
+    });
+
+    await logActivity(room._id, req.user.id, 'invite_create', `초대 링크 발급${invite.label ? ` (${invite.label})` : ''}`, {
+      inviteId: invite._id,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      requiresApproval: invite.requiresApproval,
+      role: invite.role
+    });
+
+    res.status(201).json({ msg: '초대 링크가 발급되었습니다.', invite: serializeInvite(invite) });
+  } catch (error) {
+    console.error('Create room invite error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/coordination/rooms/:roomId/invites/:inviteId
+// @access  Private (Owner / Co-host)
+exports.revokeRoomInvite = async (req, res) => {
+  try {
+    const { roomId, inviteId } = req.params;
+    const { room, error } = await findManagedRoom(roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const invite = mongoose.isValidObjectId(inviteId)
+      ? await RoomInvite.findOne({ _id: inviteId, roomId: room._id })
+      : null;
+    if (!invite) {
+      return res.status(404).json({ msg: '초대 링크를 찾을 수 없습니다.' });
+    }
+    if (invite.revokedAt) {
+      return res.status(400).json({ msg: '이미 폐기된 초대 링크입니다.' });
+    }
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    await logActivity(room._id, req.user.id, 'invite_revoke', `초대 링크 폐기${invite.label ? ` (${invite.label})` : ''}`, {
+      inviteId: invite._id
+    });
+
+    res.json({ msg: '초대 링크가 폐기되었습니다.', invite: serializeInvite(invite) });
+  } catch (error) {
+    console.error('Revoke room invite error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Regenerate the room code (the previous code stops working)
+// @route   POST /api/coordination/rooms/:roomId/invite-code/regenerate
+// @access  Private (Owner / Co-host)
+exports.regenerateInviteCode = async (req, res) => {
+  try {
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    room.inviteCode = await generateUniqueRoomCode(Room);
+    room.joinPolicy.codeEnabled = true;
+    room.joinPolicy.codeRegeneratedAt = new Date();
+    await saveRoomChecked(room);
+
+    await logActivity(room._id, req.user.id, 'invite_code_reset', '방 초대 코드 재발급');
+
+    res.json({ msg: '새 초대 코드가 발급되었습니다. 이전 코드는 더 이상 사용할 수 없습니다.', inviteCode: room.inviteCode, joinPolicy: room.joinPolicy });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Regenerate invite code error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Update the room code join policy
+// @route   PUT /api/coordination/rooms/:roomId/join-policy
+// @access  Private (Owner / Co-host)
+// body: { codeEnabled, requireApproval }
+exports.updateJoinPolicy = async (req, res) => {
+  try {
+    const { codeEnabled, requireApproval } = req.body;
+    if (codeEnabled === undefined && requireApproval === undefined) {
+      return res.status(400).json({ msg: '변경할 설정이 없습니다.' });
+    }
+
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const changes = [];
+    if (codeEnabled !== undefined && room.joinPolicy.codeEnabled !== !!codeEnabled) {
+      room.joinPolicy.codeEnabled = !!codeEnabled;
+      changes.push(codeEnabled ? '방 코드 참여 허용' : '방 코드 참여 중지');
+    }
+    if (requireApproval !== undefined && room.joinPolicy.requireApproval !== !!requireApproval) {
+      room.joinPolicy.requireApproval = !!requireApproval;
+      changes.push(requireApproval ? '방 코드 참여 시 승인 필요' : '방 코드 참여 시 바로 입장');
+    }
+
+    if (changes.length > 0) {
+      await saveRoomChecked(room);
+      await logActivity(room._id, req.user.id, 'invite_code_reset', changes.join(', '), { joinPolicy: room.joinPolicy });
+    }
+
+    res.json({ msg: '참여 설정이 저장되었습니다.', inviteCode: room.inviteCode, joinPolicy: room.joinPolicy });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Update join policy error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    List pending join requests
+// @route   GET /api/coordination/rooms/:roomId/join-requests
+// @access  Private (Owner / Co-host)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const { room, error } = await findManagedRoom(req.params.roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const joinRequests = await RoomJoinRequest.find({ roomId: room._id, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('user', 'firstName lastName email')
+      .populate('invite', 'label')
+      .lean();
+
+    res.json({ joinRequests });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Approve or reject a join request
+// @route   POST /api/coordination/rooms/:roomId/join-requests/:requestId/:action
+// @access  Private (Owner / Co-host)
+exports.handleJoinRequest = async (req, res) => {
+  try {
+    const { roomId, requestId, action } = req.params;
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ msg: 'action은 approve 또는 reject만 가능합니다.' });
+    }
+
+    const { room, error } = await findManagedRoom(roomId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const joinRequest = mongoose.isValidObjectId(requestId)
+      ? await RoomJoinRequest.findOne({ _id: requestId, roomId: room._id })
+      : null;
+    if (!joinRequest) {
+      return res.status(404).json({ msg: '참여 요청을 찾을 수 없습니다.' });
+    }
+    if (joinRequest.status !== 'pending') {
+      return res.status(400).json({ msg: '이미 처리된 참여 요청입니다.' });
+    }
+
+    const requesterName = await getUserName(joinRequest.user);
+    const alreadyMember = room.isMember(joinRequest.user);
+
+    if (action === 'approve' && !alreadyMember) {
+      if (isRoomFull(room)) {
+        return res.status(400).json({ msg: '방이 가득 찼습니다. 인원 제한을 늘린 뒤 승인해주세요.' });
+      }
+      await admitMember(room, joinRequest.user, {
+        role: joinRequest.role,
+        details: '참여 요청 승인으로 방에 입장',
+        metadata: { joinRequestId: joinRequest._id }
+      });
+    }
+
+    joinRequest.status = action === 'approve' ? 'approved' : 'rejected';
+    joinRequest.handledBy = req.user.id;
+    joinRequest.handledAt = new Date();
+    await joinRequest.save();
+
+    await logActivity(
+      room._id,
+      req.user.id,
+      action === 'approve' ? 'join_approve' : 'join_reject',
+      `${requesterName}님의 참여 요청을 ${action === 'approve' ? '승인' : '거절'}함`,
+      { joinRequestId: joinRequest._id, userId: joinRequest.user }
+    );
+
+    await notifyUsers([joinRequest.user], action === 'approve'
+      ? { type: 'join_approved', title: '참여 요청 승인', message: `'${room.name}' 방 참여가 승인되었습니다.`, roomId: room._id }
+      : { type: 'join_rejected', title: '참여 요청 거절', message: `'${room.name}' 방 참여 요청이 거절되었습니다.`, roomId: room._id },
+    { actorId: req.user.id });
+
+    res.json({
+      msg: action === 'approve' ? `${requesterName}님이 방에 참여했습니다.` : `${requesterName}님의 참여 요청을 거절했습니다.`,
+      joinRequest
+    });
+  } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도
+    console.error('Handle join request error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Preview an invite link before joining
+// @route   GET /api/coordination/invites/:token
+// @access  Private
+exports.getInvitePreview = async (req, res) => {
+  try {
+    const invite = await RoomInvite.findOne({ token: req.params.token });
+    if (!invite) {
+      return res.status(404).json({ msg: '초대 링크를 찾을 수 없습니다.' });
+    }
+
+    const room = await Room.findById(invite.roomId)
+      .select('name description owner members.user maxMembers')
+      .populate('owner', 'firstName lastName');
+    if (!room) {
+      return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    }
+
+    const pendingRequest = await RoomJoinRequest.exists({ roomId: room._id, user: req.user.id, status: 'pending' });
+
+    res.json({
+      room: {
+        _id: room._id,
+        name: room.name,
+        description: room.description,
+        ownerName: `${room.owner?.firstName || ''} ${room.owner?.lastName || ''}`.trim(),
+        memberCount: room.members.length,
+        maxMembers: room.maxMembers
+      },
+      invite: {
+        role: invite.role,
+        requiresApproval: invite.requiresApproval,
+        expiresAt: invite.expiresAt,
+        status: invite.getStatus()
+      },
+      alreadyMember: room.isOwner(req.user.id) || room.isMember(req.user.id),
+      pendingRequest: !!pendingRequest
+    });
+  } catch (error) {
+    console.error('Get invite preview error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Join a room with an invite link
+// @route   POST /api/coordination/invites/:token/accept
+// @access  Private
+exports.acceptInvite = async (req, res) => {
+  try {
+    const invite = await RoomInvite.findOne({ token: req.params.token });
+    if (!invite) {
+      return res.status(404).json({ msg: '초대 링크를 찾을 수 없습니다.' });
+    }
+
+    let room = await Room.findById(invite.roomId);
+    if (!room) {
+      return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    }
+
+    // 이미 참여한 방이면 사용 횟수를 쓰지 않고 방 정보만 반환
+    if (room.isOwner(req.user.id) || room.isMember(req.user.id)) {
+      await room.populate('owner', 'firstName lastName email firebaseUid');
+      await room.populate('members.user', 'firstName lastName email firebaseUid');
+      return res.json(room);
+    }
+
+    const status = invite.getStatus();
+    if (status !== 'active') {
+      return res.status(410).json({ msg: INVITE_STATUS_MESSAGES[status] });
+    }
+    if (isRoomFull(room)) {
+      return res.status(400).json({ msg: '방이 가득 찼습니다.' });
+    }
+
+    if (invite.requiresApproval) {
+      const pending = await RoomJoinRequest.findOne({ roomId: room._id, user: req.user.id, status: 'pending' });
+      if (!pending && !(await consumeInvite(invite._id))) {
+        return res.status(410).json({ msg: '더 이상 사용할 수 없는 초대 링크입니다.' });
+      }
+      const { joinRequest } = pending
+        ? { joinRequest: pending }
+        : await queueJoinRequest(room, req.user.id, { invite, role: invite.role });
+      return res.status(202).json({
+        pending: true,
+        msg: '참여 요청을 보냈습니다. 방장이 승인하면 방에 입장합니다.',
+        joinRequest: { _id: joinRequest._id, roomId: room._id, roomName: room.name, status: joinRequest.status }
+      });
+    }
+
+    if (!(await consumeInvite(invite._id))) {
+      return res.status(410).json({ msg: '더 이상 사용할 수 없는 초대 링크입니다.' });
+    }
+
+    try {
+      room = await admitMember(room, req.user.id, {
+        role: invite.role,
+        details: '초대 링크로 방에 입장',
+        metadata: { inviteId: invite._id }
+      });
+    } catch (admitError) {
+      // 멤버 저장 자체가 실패했을 때만 사용 횟수를 되돌림 (입장 후 재배정/응답 준비 중 오류는 입장한 것으로 셈)
+      const joined = await Room.exists({ _id: room._id, 'members.user': req.user.id });
+      if (!joined) {
+        await RoomInvite.updateOne({ _id: invite._id }, { $inc: { useCount: -1 } });
+      }
+      throw admitError;
+    }
+
+    res.json(room);
+  } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도 (인원 확인 포함)
+    console.error('Accept invite error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
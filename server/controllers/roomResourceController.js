@@ -0,0 +1,89 @@
+/**
+ * ===================================================================================================
+ * Room Resource Controller (방 자원 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 자동 배정과 교환에서 중복 예약하지 않을 방 자원(강의실 / 장비) 조회와 저장
+ *
+ * 주요 기능:
+ * - GET /api/coordination/rooms/:roomId/resources - 자원 목록 + 현재 시간표의 중복 예약 (방 멤버 누구나)
+ * - PUT /api/coordination/rooms/:roomId/resources - 자원 목록 전체 교체 (방장 / 공동 방장)
+ *
+ * 관련 파일:
+ * - server/utils/roomResources.js - 자원 입력 검증 / 중복 예약 검사
+ * - server/services/schedulingAlgorithm/validators/resourceValidator.js - 자동 배정 중 자원 예약
+ * - client/src/components/modals/room/RoomResourcesPanel.js - 자원 편집 UI
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const { validateRoomResources, findResourceConflicts } = require('../utils/roomResources');
+const { sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+// @desc    Get room resources
+// @route   GET /api/coordination/rooms/:roomId/resources
+// @access  Private (Room members)
+exports.getRoomResources = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId).select('owner members settings timeSlots');
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.getRole(req.user.id)) return res.status(403).json({ msg: '방 멤버만 조회할 수 있습니다.' });
+
+    res.json({
+      resources: room.settings.resources || [],
+      conflicts: findResourceConflicts(room)
+    });
+  } catch (error) {
+    console.error('Get room resources error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Replace room resources
+// @route   PUT /api/coordination/rooms/:roomId/resources
+// @access  Private (Owner / Co-host)
+// body: { resources: [{ name, kind, capacity, availability: [{ days, startTime, endTime }], members, active }] }
+exports.updateRoomResources = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 자원을 변경할 수 있습니다.' });
+    }
+
+    const { resources, error } = validateRoomResources(req.body.resources, room);
+    if (error) return res.status(400).json({ msg: error });
+
+    room.settings.resources = resources;
+    await saveRoomChecked(room);
+
+    try {
+      const actor = await User.findById(req.user.id).select('firstName lastName').lean();
+      const actorName = actor ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim() : 'Unknown';
+      await ActivityLog.logActivity(room._id, req.user.id, actorName, 'room_update', `방 자원 변경 (${resources.length}개)`);
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+
+    res.json({
+      msg: '방 자원이 저장되었습니다. 다음 자동 배정부터 적용됩니다.',
+      resources: room.settings.resources,
+      conflicts: findResourceConflicts(room)
+    });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Update room resources error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * ===================================================================================================
+ * Scheduling Rule Controller (방 배정 규칙 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 자동 배정에 적용할 방 규칙(하드/소프트 제약) 조회와 저장
+ *
+ * 주요 기능:
+ * - GET /api/coordination/rooms/:roomId/scheduling-rules - 규칙 목록 (방 멤버 누구나)
+ * - PUT /api/coordination/rooms/:roomId/scheduling-rules - 규칙 목록 전체 교체 (방장 / 공동 방장)
+ *
+ * 관련 파일:
+ * - server/utils/schedulingRules.js - 규칙 종류 / 입력 검증
+ * - server/services/schedulingAlgorithm/validators/ruleValidator.js - 자동 배정 중 규칙 적용
+ * - client/src/components/modals/room/RoomRulesPanel.js - 규칙 편집 UI
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const { validateSchedulingRules } = require('../utils/schedulingRules');
+const { sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+// @desc    Get room scheduling rules
+// @route   GET /api/coordination/rooms/:roomId/scheduling-rules
+// @access  Private (Room members)
+exports.getSchedulingRules = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId).select('owner members settings');
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.getRole(req.user.id)) return res.status(403).json({ msg: '방 멤버만 조회할 수 있습니다.' });
+
+    res.json({ rules: room.settings.schedulingRules || [] });
+  } catch (error) {
+    console.error('Get scheduling rules error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Replace room scheduling rules
+// @route   PUT /api/coordination/rooms/:roomId/scheduling-rules
+// @access  Private (Owner / Co-host)
+// body: { rules: [{ type, label, enforcement, weight, enabled, members, ...종류별 파라미터 }] }
+exports.updateSchedulingRules = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 배정 규칙을 변경할 수 있습니다.' });
+    }
+
+    const { rules, error } = validateSchedulingRules(req.body.rules, room);
+    if (error) return res.status(400).json({ msg: error });
+
+    room.settings.schedulingRules = rules;
+    await saveRoomChecked(room);
+
+    try {
+      const actor = await User.findById(req.user.id).select('firstName lastName').lean();
+      const actorName = actor ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim() : 'Unknown';
+      const activeCount = rules.filter(rule => rule.enabled).length;
+      await ActivityLog.logActivity(room._id, req.user.id, actorName, 'room_update', `배정 규칙 변경 (${rules.length}개, 사용 중 ${activeCount}개)`);
+    } catch (logError) {
+      console.error('Activity log error:', logError);
+    }
+
+    res.json({ msg: '배정 규칙이 저장되었습니다.', rules: room.settings.schedulingRules });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Update scheduling rules error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * ===================================================================================================
+ * Slot Waitlist Controller (빈자리 대기열 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 퇴장/강퇴/자리 양보로 비게 된 배정 시간의 대기열 조회, 제안 수락/거절, 대기열 설정
+ *
+ * 주요 기능:
+ * - GET  /api/coordination/rooms/:roomId/waitlist - 대기열과 진행 중인 제안
+ *        (방장/공동 방장은 전체, 조원은 자기 순위와 자기에게 온 제안만)
+ * - PUT  /api/coordination/rooms/:roomId/waitlist-settings - 대기열 사용 여부 / 수락 기한 (분)
+ * - POST /api/coordination/slot-offers/:offerId/claim - 제안 수락 (슬롯 배정)
+ * - POST /api/coordination/slot-offers/:offerId/decline - 제안 거절 (다음 후보에게 넘김)
+ *
+ * 관련 파일:
+ * - server/services/slotWaitlistService.js - 대기열 계산 / 제안 / 수락 / 넘기기
+ * - server/models/SlotOffer.js
+ * - client/src/components/modals/room/RoomWaitlistPanel.js - 관리 UI
+ * - client/src/components/coordination/SlotOfferBanner.js - 조원용 수락/거절 UI
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const SlotOffer = require('../models/SlotOffer');
+const ActivityLog = require('../models/ActivityLog');
+const { getWaitlist, claimOffer, advanceOffer } = require('../services/slotWaitlistService');
+const { isRoomConflictError, sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+const MIN_CLAIM_WINDOW_MINUTES = 5;
+const MAX_CLAIM_WINDOW_MINUTES = 24 * 60;
+
+const toUserName = (user) => (user && user.firstName !== undefined ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : undefined);
+
+/**
+ * 제안 응답 형태 (populate된 사용자는 이름으로)
+ * @param {Object} offer - SlotOffer (lean)
+ * @returns {Object}
+ */
+const serializeOffer = (offer) => ({
+  _id: offer._id,
+  date: offer.date,
+  day: offer.day,
+  startTime: offer.startTime,
+  endTime: offer.endTime,
+  reason: offer.reason,
+  status: offer.status,
+  releasedBy: toUserName(offer.releasedBy),
+  offeredTo: offer.offeredTo ? { _id: offer.offeredTo._id || offer.offeredTo, name: toUserName(offer.offeredTo) } : null,
+  offeredAt: offer.offeredAt,
+  expiresAt: offer.expiresAt,
+  claimedBy: toUserName(offer.claimedBy),
+  claimedAt: offer.claimedAt,
+  candidateCount: offer.candidates.length,
+  position: offer.candidateIndex + 1,
+  createdAt: offer.createdAt
+});
+
+// @desc    Get the slot waitlist and open offers for a room
+// @route   GET /api/coordination/rooms/:roomId/waitlist
+// @access  Private (Room members; full list for owner / co-host)
+exports.getRoomWaitlist = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.getRole(req.user.id)) return res.status(403).json({ msg: '방 멤버만 조회할 수 있습니다.' });
+
+    const canManage = room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE);
+    const waitlist = getWaitlist(room);
+    const myIndex = waitlist.findIndex(entry => entry.userId === req.user.id);
+
+    if (!canManage) {
+      const offers = await SlotOffer.find({ roomId: room._id, status: 'offered', offeredTo: req.user.id })
+        .sort({ expiresAt: 1 })
+        .populate('releasedBy', 'firstName lastName')
+        .lean();
+      return res.json({
+        canManage,
+        waitlist: myIndex === -1 ? [] : [{ ...waitlist[myIndex], rank: myIndex + 1 }],
+        offers: offers.map(serializeOffer)
+      });
+    }
+
+    const [users, offers] = await Promise.all([
+      User.find({ _id: { $in: waitlist.map(entry => entry.userId) } }).select('firstName lastName').lean(),
+      SlotOffer.find({ roomId: room._id }).sort({ createdAt: -1 }).limit(30)
+        .populate('releasedBy', 'firstName lastName')
+        .populate('offeredTo', 'firstName lastName')
+        .populate('claimedBy', 'firstName lastName')
+        .lean()
+    ]);
+    const namesById = new Map(users.map(user => [user._id.toString(), toUserName(user)]));
+
+    res.json({
+      canManage,
+      settings: room.waitlist,
+      waitlist: waitlist.map((entry, index) => ({ ...entry, rank: index + 1, name: namesById.get(entry.userId) || 'Unknown' })),
+      offers: offers.map(serializeOffer)
+    });
+  } catch (error) {
+    console.error('Get room waitlist error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Update slot waitlist settings
+// @route   PUT /api/coordination/rooms/:roomId/waitlist-settings
+// @access  Private (Owner / Co-host)
+// body: { enabled, claimWindowMinutes }
+exports.updateWaitlistSettings = async (req, res) => {
+  try {
+    const { enabled, claimWindowMinutes } = req.body;
+    if (enabled === undefined && claimWindowMinutes === undefined) {
+      return res.status(400).json({ msg: '변경할 설정이 없습니다.' });
+    }
+    if (claimWindowMinutes !== undefined) {
+      const minutes = Number(claimWindowMinutes);
+      if (!Number.isInteger(minutes) || minutes < MIN_CLAIM_WINDOW_MINUTES || minutes > MAX_CLAIM_WINDOW_MINUTES) {
+        return res.status(400).json({ msg: `수락 기한은 ${MIN_CLAIM_WINDOW_MINUTES}분 이상 ${MAX_CLAIM_WINDOW_MINUTES / 60}시간 이하로 설정해주세요.` });
+      }
+    }
+
+    const room = await Room.findById(req.params.roomId);
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.UPDATE_SETTINGS)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 대기열 설정을 변경할 수 있습니다.' });
+    }
+
+    const changes = [];
+    if (enabled !== undefined && room.waitlist.enabled !== !!enabled) {
+      room.waitlist.enabled = !!enabled;
+      changes.push(enabled ? '빈자리 대기열 사용' : '빈자리 대기열 중지');
+    }
+    if (claimWindowMinutes !== undefined && room.waitlist.claimWindowMinutes !== Number(claimWindowMinutes)) {
+      room.waitlist.claimWindowMinutes = Number(claimWindowMinutes);
+      changes.push(`빈자리 수락 기한 ${claimWindowMinutes}분`);
+    }
+
+    if (changes.length > 0) {
+      await saveRoomChecked(room);
+      try {
+        const actor = await User.findById(req.user.id).select('firstName lastName').lean();
+        await ActivityLog.logActivity(room._id, req.user.id, toUserName(actor) || 'Unknown', 'room_update', changes.join(', '), { waitlist: room.waitlist });
+      } catch (logError) {
+        console.error('Activity log error:', logError);
+      }
+    }
+
+    res.json({ msg: '대기열 설정이 저장되었습니다.', settings: room.waitlist });
+  } catch (error) {
+    if (sendRoomConflict(res, error)) return;
+    console.error('Update waitlist settings error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Claim an offered slot
+// @route   POST /api/coordination/slot-offers/:offerId/claim
+// @access  Private (Offered member only)
+exports.claimSlotOffer = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.offerId)) return res.status(404).json({ msg: '빈자리 제안을 찾을 수 없습니다.' });
+
+    const { room, offer, error } = await claimOffer(req.params.offerId, req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    await room.populate('owner', 'firstName lastName email');
+    await room.populate('members.user', 'firstName lastName email');
+    await room.populate('timeSlots.user', '_id firstName lastName email');
+
+    res.json({ msg: `${offer.startTime}-${offer.endTime} 빈자리를 받았습니다.`, room, offer: serializeOffer(offer) });
+  } catch (error) {
+    if (isRoomConflictError(error)) throw error; // retryOnRoomConflict에서 최신 방으로 재시도
+    console.error('Claim slot offer error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
+
+// @desc    Decline an offered slot (passes it to the next member on the waitlist)
+// @route   POST /api/coordination/slot-offers/:offerId/decline
+// @access  Private (Offered member only)
+exports.declineSlotOffer = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.offerId)) return res.status(404).json({ msg: '빈자리 제안을 찾을 수 없습니다.' });
+
+    const updated = await advanceOffer(req.params.offerId, 'declined', req.user.id);
+    if (!updated) return res.status(400).json({ msg: '지금 거절할 수 있는 제안이 아닙니다.' });
+
+    res.json({ msg: '제안을 거절했습니다.', offer: { _id: updated._id, status: updated.status } });
+  } catch (error) {
+    console.error('Decline slot offer error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
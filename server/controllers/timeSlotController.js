@@ -1,4 +1,8 @@
 const Room = require('../models/room');
+const User = require('../models/user');
+const { getRoomTimezone, getUserTimezone, convertTimeRange } = require('../utils/timezone');
+const { sendRoomConflict, saveRoomChecked } = require('../utils/roomConcurrency');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
 
 /**
  * 시간이 금지 시간대와 겹치는지 확인
@@ -54,6 +58,9 @@ const timeToMinutes = (time) => {
         if (!room.isMember(req.user.id) && !room.isOwner(req.user.id)) {
            return res.status(403).json({ msg: '이 방에 접근할 권한이 없습니다.' });
         }
+        if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.SUBMIT_SLOTS)) {
+           return res.status(403).json({ msg: '참관인은 시간을 제출할 수 없습니다.' });
+        }
 
         const { slots } = req.body;
 
@@ -94,11 +101,12 @@ const timeToMinutes = (time) => {
           }
         }
 
-        await room.save();
+        await saveRoomChecked(room);
         await room.populate('timeSlots.user', '_id firstName lastName email');
 
         res.json(room);
      } catch (error) {
+        if (sendRoomConflict(res, error)) return;
         res.status(500).json({ msg: 'Server error' });
      }
   };
@@ -125,18 +133,19 @@ exports.removeTimeSlot = async (req, res) => {
          return !(isUserSlot && isTargetSlot);
       });
 
-      await room.save();
+      await saveRoomChecked(room);
       await room.populate('timeSlots.user', '_id firstName lastName email');
 
       res.json(room);
    } catch (error) {
+      if (sendRoomConflict(res, error)) return;
       res.status(500).json({ msg: 'Server error' });
    }
 };
 
-// @desc    Assign time slot to a member (Owner only)
+// @desc    Assign time slot to a member (Owner / Co-host)
 // @route   POST /api/coordination/rooms/:roomId/assign
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.assignTimeSlot = async (req, res) => {
    try {
       const room = await Room.findById(req.params.roomId);
@@ -145,8 +154,8 @@ exports.assignTimeSlot = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       const { day, startTime, endTime, userId } = req.body;
@@ -188,18 +197,19 @@ exports.assignTimeSlot = async (req, res) => {
          assignedAt: new Date(),
       });
 
-      await room.save();
+      await saveRoomChecked(room);
       await room.populate('timeSlots.user', '_id firstName lastName email');
 
       res.json(room);
    } catch (error) {
+      if (sendRoomConflict(res, error)) return;
       res.status(500).json({ msg: 'Server error' });
    }
 };
 
 // @desc    Find common slots among members
 // @route   GET /api/coordination/rooms/:roomId/common-slots
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.findCommonSlots = async (req, res) => {
    try {
       const room = await Room.findById(req.params.roomId)
@@ -210,20 +220,33 @@ exports.findCommonSlots = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
-      // Group time slots by day and time
+      // 슬롯은 방 시간대 기준이므로 방 시간대의 날짜 + 시작 시각으로 묶고, 조회자 시간대 값을 함께 반환
+      const roomTimezone = getRoomTimezone(room);
+      const viewer = await User.findById(req.user.id).select('preferences.timezone');
+      const viewerTimezone = getUserTimezone(viewer);
+
+      // Group time slots by date and time
       const slotGroups = {};
 
       room.timeSlots.forEach(slot => {
-         const key = `${slot.day}-${slot.startTime}`;
+         const date = slot.date ? new Date(slot.date).toISOString().split('T')[0] : null;
+         const key = `${date || slot.day}-${slot.startTime}`;
          if (!slotGroups[key]) {
+            const [local] = date
+               ? convertTimeRange(date, slot.startTime, slot.endTime, roomTimezone, viewerTimezone)
+               : [];
             slotGroups[key] = {
+               date,
                day: slot.day,
                startTime: slot.startTime,
                endTime: slot.endTime,
+               local: local
+                  ? { date: local.dateStr, day: local.day, startTime: local.startTime, endTime: local.endTime }
+                  : null,
                members: []
             };
          }
@@ -238,6 +261,7 @@ exports.findCommonSlots = async (req, res) => {
       const commonSlots = Object.values(slotGroups)
          .filter(group => group.members.length > 1)
          .sort((a, b) => {
+            if (a.date && b.date && a.date !== b.date) return a.date.localeCompare(b.date);
             const dayOrder = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
             const dayDiff = dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day);
             if (dayDiff !== 0) return dayDiff;
@@ -247,7 +271,9 @@ exports.findCommonSlots = async (req, res) => {
       const result = {
          totalSlots: Object.keys(slotGroups).length,
          commonSlots: commonSlots,
-         conflictCount: commonSlots.length
+         conflictCount: commonSlots.length,
+         timezone: roomTimezone,
+         viewerTimezone
       };
 
       res.json(result);
@@ -258,7 +284,7 @@ exports.findCommonSlots = async (req, res) => {
 
 // @desc    Reset all member carryover times
 // @route   POST /api/coordination/reset-carryover/:roomId
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.resetCarryOverTimes = async (req, res) => {
    try {
       const { roomId } = req.params;
@@ -268,8 +294,8 @@ exports.resetCarryOverTimes = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       let resetCount = 0;
@@ -309,7 +335,7 @@ exports.resetCarryOverTimes = async (req, res) => {
 
 // @desc    Reset all member completed times
 // @route   POST /api/coordination/reset-completed/:roomId
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.resetCompletedTimes = async (req, res) => {
    try {
       const { roomId } = req.params;
@@ -319,8 +345,8 @@ exports.resetCompletedTimes = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       let resetCount = 0;
@@ -362,7 +388,7 @@ exports.resetCompletedTimes = async (req, res) => {
 
 // @desc    Reset carryover times for all members in a room
 // @route   POST /api/coordination/reset-carryover/:roomId
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.resetCarryOverTimes = async (req, res) => {
    try {
 
@@ -373,8 +399,8 @@ exports.resetCarryOverTimes = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       let resetCount = 0;
@@ -417,7 +443,7 @@ exports.resetCarryOverTimes = async (req, res) => {
 
 // @desc    Clear a specific member's carry-over history and reset carry-over time
 // @route   DELETE /api/coordination/rooms/:roomId/members/:memberId/carry-over-history
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.clearCarryOverHistory = async (req, res) => {
    try {
       const { roomId, memberId } = req.params;
@@ -428,8 +454,8 @@ exports.clearCarryOverHistory = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       const memberIndex = room.members.findIndex(m => (m.user._id || m.user).toString() === memberId);
@@ -456,7 +482,7 @@ exports.clearCarryOverHistory = async (req, res) => {
 
 // @desc    Reset both completed and carryover times for all members
 // @route   POST /api/coordination/rooms/:roomId/reset-all-stats
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.resetAllMemberStats = async (req, res) => {
    try {
       const { roomId } = req.params;
@@ -466,8 +492,8 @@ exports.resetAllMemberStats = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       let resetCount = 0;
@@ -515,7 +541,7 @@ exports.resetAllMemberStats = async (req, res) => {
 
 // @desc    Clear all members' carry-over history and reset carry-over time
 // @route   DELETE /api/coordination/rooms/:roomId/all-carry-over-history
-// @access  Private (Owner only)
+// @access  Private (Owner / Co-host)
 exports.clearAllCarryOverHistories = async (req, res) => {
    try {
       const { roomId } = req.params;
@@ -526,8 +552,8 @@ exports.clearAllCarryOverHistories = async (req, res) => {
          return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
       }
 
-      if (!room.isOwner(req.user.id)) {
-         return res.status(403).json({ msg: '방장만 이 기능을 사용할 수 있습니다.' });
+      if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_MEMBERS)) {
+         return res.status(403).json({ msg: '방장 또는 공동 방장만 이 기능을 사용할 수 있습니다.' });
       }
 
       room.members.forEach(member => {
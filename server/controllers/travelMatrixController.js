@@ -0,0 +1,54 @@
+/**
+ * ===================================================================================================
+ * Travel Matrix Controller (방 이동시간 행렬 컨트롤러)
+ * ===================================================================================================
+ *
+ * 설명: 방장과 조원 집 사이 이동시간을 한 번에 미리 계산해 공유 캐시(MongoDB)에 채움
+ *
+ * 주요 기능:
+ * - POST /api/coordination/rooms/:roomId/travel-matrix - N×N 이동시간 미리 계산 (방장 / 공동 방장)
+ *
+ * 관련 파일:
+ * - server/services/travelMatrixService.js - 방 위치 수집 / 행렬 계산
+ * - server/services/routing/travelTimeStore.js - 계산 결과 저장소
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const { precomputeRoomMatrix } = require('../services/travelMatrixService');
+const { ROOM_PERMISSIONS } = require('../utils/roomPermissions');
+
+const TRAVEL_MODES = ['transit', 'driving', 'bicycling', 'walking'];
+
+// @desc    Precompute room travel-time matrix
+// @route   POST /api/coordination/rooms/:roomId/travel-matrix
+// @access  Private (Owner / Co-host)
+// body: { modes?: ['transit' | 'driving' | 'bicycling' | 'walking'] } (생략하면 방 이동 모드)
+exports.precomputeTravelMatrix = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.isValidObjectId(roomId)) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+
+    const room = await Room.findById(roomId).select('owner members');
+    if (!room) return res.status(404).json({ msg: '방을 찾을 수 없습니다.' });
+    if (!room.hasPermission(req.user.id, ROOM_PERMISSIONS.MANAGE_SCHEDULE)) {
+      return res.status(403).json({ msg: '방장 또는 공동 방장만 이동시간을 미리 계산할 수 있습니다.' });
+    }
+
+    const { modes } = req.body || {};
+    if (modes !== undefined && (!Array.isArray(modes) || modes.some(mode => !TRAVEL_MODES.includes(mode)))) {
+      return res.status(400).json({ msg: `이동수단은 ${TRAVEL_MODES.join(', ')} 중에서 선택해야 합니다.` });
+    }
+
+    const summary = await precomputeRoomMatrix(roomId, { modes });
+    res.json({
+      msg: `${summary.pairs}개 경로 중 ${summary.computed}개를 새로 계산했습니다.`,
+      summary
+    });
+  } catch (error) {
+    console.error('Precompute travel matrix error:', error);
+    res.status(500).json({ msg: '서버 오류가 발생했습니다.' });
+  }
+};
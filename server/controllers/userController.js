@@ -1,4 +1,5 @@
 const User = require('../models/user');
+const { warmUserRooms } = require('../services/travelMatrixService');
 const { google } = require('googleapis');
 
 exports.getMe = async (req, res) => {
@@ -350,7 +351,8 @@ exports.updateUserSchedule = async (req, res) => {
           startTime: slot.startTime,
           endTime: slot.endTime,
           priority: slot.priority || 2,
-          specificDate: slot.specificDate
+          specificDate: slot.specificDate,
+          locationId: slot.locationId || undefined
         }));
       } else {
         user.defaultSchedule = [];
@@ -525,6 +527,8 @@ exports.updateUserProfile = async (req, res) => {
     if (phone !== undefined) user.phone = phone;
     if (address !== undefined) user.address = address;
     if (addressDetail !== undefined) user.addressDetail = addressDetail;
+    const addressMoved = (addressLat !== undefined && addressLat !== user.addressLat) ||
+      (addressLng !== undefined && addressLng !== user.addressLng);
     if (addressLat !== undefined) user.addressLat = addressLat;
     if (addressLng !== undefined) user.addressLng = addressLng;
     if (addressPlaceId !== undefined) user.addressPlaceId = addressPlaceId;
@@ -532,6 +536,11 @@ exports.updateUserProfile = async (req, res) => {
     if (birthdate !== undefined) user.birthdate = birthdate;
 
     await user.save();
+
+    // 집 좌표가 바뀌면 속한 방들의 이동시간 행렬을 백그라운드에서 다시 채움
+    if (addressMoved && user.addressLat != null && user.addressLng != null) {
+      warmUserRooms(user._id.toString());
+    }
     
     res.json({
       msg: 'Profile updated successfully',
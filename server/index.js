@@ -12,12 +12,14 @@
  *    - API 라우팅 정의 (인증, 이벤트, 사용자, 조율 등)
  *    - Socket.io를 이용한 실시간 통신 서버 설정
  *    - 프로덕션 환경에서 React 클라이언트 빌드 파일 제공
- *    - Cron Job(자동 확정 스케줄) 실행
+ *    - Cron Job(자동 확정 스케줄, 일정 알림 발송, 빈자리 제안 만료) 실행
  *
  * 🔗 연결된 파일:
  *    - ./config/db.js - 데이터베이스 연결 로직
  *    - ./routes/*.js - 모든 API 라우트 파일
  *    - ./jobs/autoConfirmSchedule.js - 자동 확정 스케줄링 작업
+ *    - ./jobs/reminderScheduler.js - 일정 알림 발송 작업
+ *    - ./jobs/slotOfferScheduler.js - 빈자리 제안 기한 만료 시 다음 대기자에게 넘기는 작업
  *    - ../client/build/index.html - 프로덕션 환경에서 서빙되는 클라이언트 파일
  *
  * ✏️ 수정 가이드:
@@ -103,7 +105,7 @@ app.use(
         ...helmet.contentSecurityPolicy.getDefaultDirectives(),
         "script-src": ["'self'", "https://accounts.google.com/gsi/client"],
         "img-src": ["'self'", "data:", "https://img.icons8.com", "blob:", "http://localhost:5000", "http://localhost:3000"],
-        "connect-src": ["'self'", "https://accounts.google.com/gsi/", "https://generativelanguage.googleapis.com"],
+        "connect-src": ["'self'", "https://accounts.google.com/gsi/"],
       },
     },
     crossOriginOpenerPolicy: { policy: "same-origin-allow-popups" },
@@ -143,7 +145,10 @@ app.use('/api/ocr-chat', require('./routes/ocrChat'));
 app.use('/api/schedule', require('./routes/scheduleOptimizer'));
 app.use('/api/schedule', require('./routes/fixedSchedule'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/chatbot', require('./routes/chatbot'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/feeds', require('./routes/feeds'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // =================================================================
 // 프로덕션 환경 설정
@@ -188,12 +193,23 @@ app.use('*', (req, res) => {
 const { startAutoConfirmJob } = require('./jobs/autoConfirmSchedule');
 startAutoConfirmJob();
 
+// 일정 알림 발송 Cron Job 시작
+const { startReminderJob } = require('./jobs/reminderScheduler');
+startReminderJob();
+
+// 빈자리 제안 만료 Cron Job 시작
+const { startSlotOfferJob } = require('./jobs/slotOfferScheduler');
+startSlotOfferJob();
+
 const PORT = process.env.PORT || 5000;
 
 // HTTP 서버 생성
 const httpServer = http.createServer(app);
 
 // Socket.io 서버 설정
+const socketAuth = require('./middleware/socketAuth');
+const { canJoinRoom } = socketAuth;
+
 const io = new Server(httpServer, {
   cors: {
     origin: corsOptions.origin, // CORS 설정 재사용 (함수 전달)
@@ -205,14 +221,32 @@ const io = new Server(httpServer, {
 // 다른 모듈에서 io 객체를 사용할 수 있도록 전역으로 설정
 global.io = io;
 
+// Socket.io 핸드셰이크 인증 (HTTP API와 같은 Firebase 토큰 검증)
+io.use(socketAuth);
+
 // Socket.io 연결 핸들링
 io.on('connection', (socket) => {
-  console.log(`📡 Client connected: ${socket.id}`);
+  const userId = socket.data.user.id;
+  console.log(`📡 Client connected: ${socket.id} (user ${userId})`);
 
-  // 특정 방(room)에 조인
-  socket.on('join-room', (roomId) => {
-    socket.join(`room-${roomId}`);
-    console.log(`📥 Client ${socket.id} joined room-${roomId}`);
+  // 사용자 개인 채널 (일정 알림 팝업, 강퇴 알림 등) - 연결 시 자동 조인
+  socket.join(`user-${userId}`);
+
+  // 특정 방(room)에 조인 - 방장/조원만 허용
+  socket.on('join-room', async (roomId, ack) => {
+    try {
+      const allowed = await canJoinRoom(roomId, userId);
+      if (!allowed) {
+        console.warn(`⛔ Client ${socket.id} denied room-${roomId}`);
+        if (typeof ack === 'function') ack({ ok: false, msg: '이 방에 접근할 권한이 없습니다.' });
+        return;
+      }
+      socket.join(`room-${roomId}`);
+      console.log(`📥 Client ${socket.id} joined room-${roomId}`);
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === 'function') ack({ ok: false, msg: 'Server error' });
+    }
   });
 
   // 특정 방(room)에서 떠남
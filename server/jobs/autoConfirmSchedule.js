@@ -13,6 +13,7 @@
  * 🔗 연결된 파일:
  *    - server/services/confirmScheduleService.js - 실제 확정 비즈니스 로직(공통) 호출.
  *    - server/models/room.js - 자동 확정 대상 방 조회를 위한 모델.
+ *    - server/services/notificationService.js - 확정 완료 시 방장/조원에게 알림.
  *
  * ✏️ 수정 가이드:
  *    - 크론 주기를 변경(예: 5분마다)하려면 startAutoConfirmJob 내의 스케줄 패턴 수정.
@@ -27,6 +28,7 @@
 const cron = require('node-cron');
 const Room = require('../models/room');
 const { confirmScheduleLogic } = require('../services/confirmScheduleService');
+const { notifyUsers } = require('../services/notificationService');
 
 /**
  * confirmRoomSchedule
@@ -45,6 +47,14 @@ async function confirmRoomSchedule(room) {
       room.owner._id || room.owner,
       `${room.owner.firstName || ''} ${room.owner.lastName || ''}`.trim() || 'System'
     );
+
+    // 방에 접속해 있지 않은 사용자도 알 수 있도록 방장/조원 전원에게 알림
+    await notifyUsers([room.owner, ...room.members.map(m => m.user)], {
+      type: 'schedule_confirmed',
+      title: '일정이 자동 확정되었습니다',
+      message: `[${room.name}] 배정된 시간이 개인 일정에 반영되었습니다.`,
+      roomId: room._id
+    });
     
     return { success: true };
   } catch (error) {
@@ -0,0 +1,63 @@
+/**
+ * ===================================================================================================
+ * reminderScheduler.js - 일정 알림(리마인더) 발송 크론 잡(Cron Job) 서비스
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/jobs > reminderScheduler.js
+ * 🎯 주요 기능:
+ *    - 매 1분마다 다가오는 개인 일정(Event.reminders)과 확정된 방 슬롯(Room.timeSlots)을 탐색.
+ *    - 발송 시점이 된 알림을 팝업(Socket.io `user-<id>` 채널), 이메일, SMS로 전달.
+ *    - 발송 기록(ReminderDelivery)을 먼저 선점하여 서버 재시작이나 중복 실행 시에도 한 번만 발송.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/reminders/index.js - 알림 수집 및 전달 로직.
+ *    - server/services/reminders/transports/ - 이메일/SMS 전송기 (개발용 console/file 포함).
+ *    - server/models/ReminderDelivery.js - 중복 방지용 발송 기록.
+ *
+ * ✏️ 수정 가이드:
+ *    - 크론 주기를 변경하려면 startReminderJob 내의 스케줄 패턴 수정 (GRACE_MINUTES보다 짧게 유지).
+ *    - 이메일/SMS 전송기를 바꾸려면 REMINDER_EMAIL_TRANSPORT / REMINDER_SMS_TRANSPORT 환경 변수 설정.
+ *
+ * 📝 참고사항:
+ *    - 이전 실행이 끝나지 않았으면 이번 주기는 건너뛰어 같은 알림을 동시에 처리하지 않도록 함.
+ *
+ * ===================================================================================================
+ */
+
+const cron = require('node-cron');
+const { dispatchDueReminders } = require('../services/reminders');
+
+let isRunning = false;
+
+/**
+ * processReminders
+ * @description 발송 시점이 된 알림을 한 번 처리합니다.
+ */
+async function processReminders() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const stats = await dispatchDueReminders();
+    if (stats.sent > 0 || stats.failed > 0) {
+      console.log(`🔔 Reminders dispatched: sent=${stats.sent}, failed=${stats.failed}`);
+    }
+  } catch (error) {
+    console.error('Reminder dispatch failed:', error.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * startReminderJob
+ * @description 서버 시작 시 호출되어 매 분마다 알림 발송 로직을 실행하는 스케줄러를 가동합니다.
+ */
+function startReminderJob() {
+  // 매 1분마다 실행 (*/1 * * * *)
+  cron.schedule('*/1 * * * *', () => {
+    processReminders();
+  });
+}
+
+module.exports = { startReminderJob, processReminders };
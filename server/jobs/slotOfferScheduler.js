@@ -0,0 +1,60 @@
+/**
+ * ===================================================================================================
+ * slotOfferScheduler.js - 빈자리 제안 기한 만료 처리 크론 잡(Cron Job) 서비스
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/jobs > slotOfferScheduler.js
+ * 🎯 주요 기능:
+ *    - 매 1분마다 수락 기한(expiresAt)이 지난 빈자리 제안(SlotOffer)을 찾아 다음 대기자에게 넘김.
+ *    - 남은 대기자가 없거나 빈자리 시간이 이미 지났으면 제안을 종료.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/slotWaitlistService.js - expireDueOffers / advanceOffer (후보 재확인, 알림).
+ *    - server/models/SlotOffer.js - 빈자리 제안.
+ *
+ * ✏️ 수정 가이드:
+ *    - 크론 주기를 변경하려면 startSlotOfferJob 내의 스케줄 패턴 수정 (방 설정의 최소 수락 기한 5분보다 짧게 유지).
+ *
+ * 📝 참고사항:
+ *    - 이전 실행이 끝나지 않았으면 이번 주기는 건너뜀. 같은 제안을 거절과 동시에 처리해도 조건부 갱신으로 한 번만 넘어감.
+ *
+ * ===================================================================================================
+ */
+
+const cron = require('node-cron');
+const { expireDueOffers } = require('../services/slotWaitlistService');
+
+let isRunning = false;
+
+/**
+ * processExpiredOffers
+ * @description 기한이 지난 빈자리 제안을 한 번 처리합니다.
+ */
+async function processExpiredOffers() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const { processed } = await expireDueOffers();
+    if (processed > 0) {
+      console.log(`⏳ Slot offers passed to next waitlist member: ${processed}`);
+    }
+  } catch (error) {
+    console.error('Slot offer expiry failed:', error.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * startSlotOfferJob
+ * @description 서버 시작 시 호출되어 매 분마다 빈자리 제안 만료 처리를 실행하는 스케줄러를 가동합니다.
+ */
+function startSlotOfferJob() {
+  // 매 1분마다 실행 (*/1 * * * *)
+  cron.schedule('*/1 * * * *', () => {
+    processExpiredOffers();
+  });
+}
+
+module.exports = { startSlotOfferJob, processExpiredOffers };
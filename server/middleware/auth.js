@@ -15,6 +15,7 @@
  *    - 토큰이 없거나 유효하지 않은 경우 401 Unauthorized 에러를 반환합니다.
  *
  * 🔗 연결된 파일:
+ *    - ./socketAuth.js - 같은 검증 로직(`authenticateIdToken`)으로 Socket.io 핸드셰이크를 인증합니다.
  *    - ../config/firebaseAdmin.js - Firebase `auth` 서비스 인스턴스를 가져옵니다.
  *    - ../models/user.js - 사용자 정보를 조회하거나 생성하기 위해 User 모델을 사용합니다.
  *    - 모든 인증이 필요한 API 라우트 파일 (예: ../routes/events.js, ../routes/profile.js 등)
@@ -33,6 +34,144 @@
 
 const { auth } = require('../config/firebaseAdmin');
 
+/**
+ * 계정 생성(JIT Provisioning) 실패 에러 - HTTP 미들웨어에서 500으로 응답
+ */
+class UserProvisioningError extends Error {
+  constructor(message, debug) {
+    super(message);
+    this.name = 'UserProvisioningError';
+    this.debug = debug;
+  }
+}
+
+/**
+ * Firebase ID 토큰을 검증하고 로컬 MongoDB 사용자를 조회/생성
+ * - HTTP 미들웨어와 Socket.io 핸드셰이크 인증(./socketAuth.js)이 함께 사용합니다.
+ * @param {string} idToken - Firebase ID 토큰
+ * @returns {Promise<Object>} - req.user 형태의 사용자 정보
+ * @throws {Error} 토큰 검증 실패 (err.code: auth/...) 또는 UserProvisioningError
+ */
+async function authenticateIdToken(idToken) {
+  // Verify Firebase ID token
+  const decodedToken = await auth.verifyIdToken(idToken);
+  const firebaseUid = decodedToken.uid;
+
+  // Find user in MongoDB by Firebase UID
+  const User = require('../models/user');
+  let user = await User.findOne({ firebaseUid });
+
+  // If not found by firebaseUid, try by email (backward compatibility)
+  if (!user && decodedToken.email) {
+    user = await User.findOne({ email: decodedToken.email.toLowerCase() });
+
+    // Update user with Firebase UID
+    if (user) {
+      try {
+        user.firebaseUid = firebaseUid;
+        await user.save();
+      } catch (updateErr) {
+        // Continue with the found user even if update fails
+      }
+    }
+  }
+
+  // If still no user, create new one (for Google login and new registrations)
+  if (!user) {
+    try {
+      // Get full Firebase user info
+      const firebaseUserRecord = await auth.getUser(firebaseUid);
+
+      // Parse display name
+      const displayName = firebaseUserRecord.displayName || '';
+      const nameParts = displayName.split(' ');
+      const firstName = nameParts[0] || 'User';
+      const lastName = nameParts.slice(1).join(' ') || '-';
+
+      const userEmail = (decodedToken.email || firebaseUserRecord.email || '').toLowerCase();
+
+      // Check one more time if user exists by email (race condition prevention)
+      const existingUser = await User.findOne({ email: userEmail });
+      if (existingUser) {
+        // Update existing user with firebaseUid
+        existingUser.firebaseUid = firebaseUid;
+        await existingUser.save();
+        user = existingUser;
+      } else {
+        // Create new user in MongoDB
+        user = new User({
+          firebaseUid,
+          firstName: firstName || '',
+          lastName: lastName || '',
+          email: userEmail,
+          password: Math.random().toString(36).slice(-8), // Temporary password
+          defaultSchedule: [],
+          scheduleExceptions: [],
+          personalTimes: [],
+        });
+        await user.save();
+      }
+    } catch (createErr) {
+      const debug = {
+        firebaseUid,
+        email: decodedToken.email,
+        error: createErr.message
+      };
+
+      // If duplicate key error, try to find and update the existing user
+      if (createErr.code !== 11000) {
+        throw new UserProvisioningError('Failed to create user account', debug);
+      }
+      const existingUser = await User.findOne({ email: decodedToken.email.toLowerCase() });
+      if (!existingUser) {
+        throw new UserProvisioningError('Failed to create user account', debug);
+      }
+      existingUser.firebaseUid = firebaseUid;
+      await existingUser.save();
+      user = existingUser;
+    }
+  }
+
+  // IMPORTANT: user.id must be MongoDB ObjectId for compatibility
+  const authUser = {
+    id: user._id.toString(),  // MongoDB ObjectId as string (same as JWT version)
+    uid: firebaseUid,         // Firebase UID for direct Firebase auth checks
+    email: user.email,
+    firebaseUid: user.firebaseUid,
+    _id: user._id  // Keep original ObjectId for reference
+  };
+
+  // Validate user information exists
+  if (!authUser.id) {
+    throw new Error('User information not found in token');
+  }
+
+  return authUser;
+}
+
+/**
+ * 인증 실패 에러를 사용자 메시지/코드로 변환
+ * @param {Error} err
+ * @returns {{errorMsg: string, errorCode: string}}
+ */
+function describeAuthError(err) {
+  let errorMsg = 'Token is not valid';
+  let errorCode = 'INVALID_TOKEN';
+
+  if (err.code === 'auth/id-token-expired') {
+    errorMsg = '토큰이 만료되었습니다.';
+    errorCode = 'TOKEN_EXPIRED';
+  } else if (err.code === 'auth/argument-error') {
+    errorMsg = '유효하지 않은 토큰 형식입니다.';
+    errorCode = 'MALFORMED_TOKEN';
+  } else if (err.code === 'auth/id-token-revoked') {
+    errorMsg = '토큰이 취소되었습니다.';
+    errorCode = 'TOKEN_REVOKED';
+  }
+
+  return { errorMsg, errorCode };
+}
+
 module.exports = async function (req, res, next) {
   // Get token from Authorization header
   const authHeader = req.header('authorization') || req.header('Authorization');
@@ -64,131 +203,21 @@ module.exports = async function (req, res, next) {
   }
 
   try {
-    // Verify Firebase ID token
-    const decodedToken = await auth.verifyIdToken(idToken);
-    const firebaseUid = decodedToken.uid;
-
-    // Find user in MongoDB by Firebase UID
-    const User = require('../models/user');
-    let user = await User.findOne({ firebaseUid });
-
-    // If not found by firebaseUid, try by email (backward compatibility)
-    if (!user && decodedToken.email) {
-      user = await User.findOne({ email: decodedToken.email.toLowerCase() });
-
-      // Update user with Firebase UID
-      if (user) {
-        try {
-          user.firebaseUid = firebaseUid;
-          await user.save();
-        } catch (updateErr) {
-          // Continue with the found user even if update fails
-        }
-      }
-    }
-
-    // If still no user, create new one (for Google login and new registrations)
-    if (!user) {
-      try {
-        // Get full Firebase user info
-        const firebaseUserRecord = await auth.getUser(firebaseUid);
-
-        // Parse display name
-        const displayName = firebaseUserRecord.displayName || '';
-        const nameParts = displayName.split(' ');
-        const firstName = nameParts[0] || 'User';
-        const lastName = nameParts.slice(1).join(' ') || '-';
-
-        const userEmail = (decodedToken.email || firebaseUserRecord.email || '').toLowerCase();
-
-        // Check one more time if user exists by email (race condition prevention)
-        const existingUser = await User.findOne({ email: userEmail });
-        if (existingUser) {
-          // Update existing user with firebaseUid
-          existingUser.firebaseUid = firebaseUid;
-          await existingUser.save();
-          user = existingUser;
-        } else {
-          // Create new user in MongoDB
-          user = new User({
-            firebaseUid,
-            firstName: firstName || '',
-            lastName: lastName || '',
-            email: userEmail,
-            password: Math.random().toString(36).slice(-8), // Temporary password
-            defaultSchedule: [],
-            scheduleExceptions: [],
-            personalTimes: [],
-          });
-          await user.save();
-        }
-      } catch (createErr) {
-
-        // If duplicate key error, try to find and update the existing user
-        if (createErr.code === 11000) {
-          const existingUser = await User.findOne({ email: decodedToken.email.toLowerCase() });
-          if (existingUser) {
-            existingUser.firebaseUid = firebaseUid;
-            await existingUser.save();
-            user = existingUser;
-          } else {
-            return res.status(500).json({
-              success: false,
-              msg: 'Failed to create user account',
-              debug: {
-                firebaseUid,
-                email: decodedToken.email,
-                error: createErr.message
-              }
-            });
-          }
-        } else {
-          return res.status(500).json({
-            success: false,
-            msg: 'Failed to create user account',
-            debug: {
-              firebaseUid,
-              email: decodedToken.email,
-              error: createErr.message
-            }
-          });
-        }
-      }
-    }
-
     // Set user information in request
-    // IMPORTANT: req.user.id must be MongoDB ObjectId for compatibility
-    req.user = {
-      id: user._id.toString(),  // MongoDB ObjectId as string (same as JWT version)
-      uid: firebaseUid,         // Firebase UID for direct Firebase auth checks
-      email: user.email,
-      firebaseUid: user.firebaseUid,
-      _id: user._id  // Keep original ObjectId for reference
-    };
-
-    // Validate user information exists
-    if (!req.user || !req.user.id) {
-      throw new Error('User information not found in token');
-    }
-
+    req.user = await authenticateIdToken(idToken);
     next();
   } catch (err) {
-    // Log authentication failure for security monitoring
-
-    let errorMsg = 'Token is not valid';
-    let errorCode = 'INVALID_TOKEN';
-
-    if (err.code === 'auth/id-token-expired') {
-      errorMsg = '토큰이 만료되었습니다.';
-      errorCode = 'TOKEN_EXPIRED';
-    } else if (err.code === 'auth/argument-error') {
-      errorMsg = '유효하지 않은 토큰 형식입니다.';
-      errorCode = 'MALFORMED_TOKEN';
-    } else if (err.code === 'auth/id-token-revoked') {
-      errorMsg = '토큰이 취소되었습니다.';
-      errorCode = 'TOKEN_REVOKED';
+    if (err instanceof UserProvisioningError) {
+      return res.status(500).json({
+        success: false,
+        msg: err.message,
+        debug: err.debug
+      });
     }
 
+    // Log authentication failure for security monitoring
+    const { errorMsg, errorCode } = describeAuthError(err);
+
     return res.status(401).json({
       success: false,
       msg: errorMsg,
@@ -201,3 +230,6 @@ module.exports = async function (req, res, next) {
     });
   }
 };
+
+module.exports.authenticateIdToken = authenticateIdToken;
+module.exports.describeAuthError = describeAuthError;
@@ -0,0 +1,94 @@
+/**
+ * ===================================================================================================
+ * socketAuth.js - Socket.io 핸드셰이크 인증 및 방 채널 권한 확인
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/middleware/socketAuth.js
+ *
+ * 🎯 주요 기능:
+ *    - 연결 시 `handshake.auth.token`(또는 Authorization 헤더)의 Firebase ID 토큰을 검증합니다.
+ *    - 검증은 HTTP 미들웨어(./auth.js)의 `authenticateIdToken`을 그대로 재사용합니다.
+ *    - 인증된 사용자 정보를 `socket.data.user`에 저장합니다.
+ *    - `room-<roomId>` 채널 조인 전 방장/조원 여부를 확인하고, 강퇴·퇴장 시 채널에서 제거합니다.
+ *
+ * 🔗 연결된 파일:
+ *    - ./auth.js - Firebase 토큰 검증 및 사용자 조회
+ *    - ../index.js - `io.use(socketAuth)` 등록 및 join-room 처리
+ *    - ../controllers/coordinationMemberController.js - 강퇴/퇴장 시 `removeUserFromRoomChannel` 호출
+ *
+ * ✏️ 수정 가이드:
+ *    - 토큰 전달 방식을 추가하려면 `extractToken`을 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 인증 실패 시 `next(err)`로 연결을 거부하며, 클라이언트는 `connect_error` 이벤트로 `err.data.code`를 받습니다.
+ *
+ * ===================================================================================================
+ */
+
+const Room = require('../models/room');
+const { authenticateIdToken, describeAuthError } = require('./auth');
+
+/**
+ * 핸드셰이크에서 토큰 추출
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null}
+ */
+function extractToken(handshake) {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  const authHeader = handshake.headers?.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.split('Bearer ')[1];
+  return null;
+}
+
+/**
+ * Socket.io 연결 인증 미들웨어 (io.use)
+ * @param {Object} socket - Socket.io 소켓
+ * @param {Function} next - 다음 미들웨어
+ */
+async function socketAuth(socket, next) {
+  const idToken = extractToken(socket.handshake);
+  if (!idToken) {
+    const err = new Error('No token, authorization denied');
+    err.data = { code: 'NO_TOKEN' };
+    return next(err);
+  }
+
+  try {
+    socket.data.user = await authenticateIdToken(idToken);
+    next();
+  } catch (authErr) {
+    const { errorMsg, errorCode } = describeAuthError(authErr);
+    const err = new Error(errorMsg);
+    err.data = { code: errorCode };
+    next(err);
+  }
+}
+
+/**
+ * 사용자가 방 채널에 들어갈 수 있는지 확인 (방장 또는 조원)
+ * @param {string} roomId - 방 ID
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<boolean>}
+ */
+async function canJoinRoom(roomId, userId) {
+  if (!roomId || !/^[0-9a-fA-F]{24}$/.test(String(roomId))) return false;
+  const room = await Room.findById(roomId).select('owner members.user');
+  if (!room) return false;
+  return room.isOwner(userId) || room.isMember(userId);
+}
+
+/**
+ * 사용자의 모든 소켓을 방 채널에서 제거하고 본인에게 알림
+ * @param {string} roomId - 방 ID
+ * @param {string} userId - 제거할 사용자 ID
+ * @param {string} reason - 'kicked' | 'left'
+ */
+function removeUserFromRoomChannel(roomId, userId, reason) {
+  if (!global.io) return;
+  global.io.in(`user-${userId}`).socketsLeave(`room-${roomId}`);
+  global.io.to(`user-${userId}`).emit('room-access-revoked', { roomId: String(roomId), reason });
+}
+
+module.exports = socketAuth;
+module.exports.canJoinRoom = canJoinRoom;
+module.exports.removeUserFromRoomChannel = removeUserFromRoomChannel;
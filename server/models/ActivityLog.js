@@ -65,6 +65,17 @@ const ActivityLogSchema = new mongoose.Schema({
       'change_request',        // 변경 요청
       'change_approve',        // 변경 승인
       'change_reject',         // 변경 거절
+      'schedule_restore',      // 시간표 이력 복원
+      'role_change',           // 멤버 역할 변경
+      'owner_transfer',        // 방장 위임
+      'invite_create',         // 초대 링크 발급
+      'invite_revoke',         // 초대 링크 폐기
+      'invite_code_reset',     // 방 코드 재발급 / 참여 정책 변경
+      'join_request',          // 참여 요청 (승인 대기)
+      'join_approve',          // 참여 요청 승인
+      'join_reject',           // 참여 요청 거절
+      'slot_offer',            // 빈자리 대기열 제안 (다음 후보로 넘김 포함)
+      'slot_claim',            // 빈자리 수락 (대기열로 배정)
       'user_withdraw'          // 회원탈퇴
     ]
   },
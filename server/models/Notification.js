@@ -0,0 +1,110 @@
+/**
+ * ===================================================================================================
+ * Notification.js - 사용자별 알림함(Notification Inbox) Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/Notification.js
+ *
+ * 🎯 주요 기능:
+ *    - 자리 요청/연쇄 요청 처리, 일정 제안 수락/거절, 자동 확정 등 사용자의 일정이 바뀌는 사건을 알림으로 저장합니다.
+ *    - 사용자가 해당 방에 접속해 있지 않아도 나중에 알림함에서 확인할 수 있도록 영구 저장합니다.
+ *    - `readAt`이 null이면 읽지 않은 알림입니다.
+ *    - 읽지 않은 알림 수를 세는 `countUnread` 정적 메서드를 제공합니다.
+ *
+ * 🔗 연결된 파일:
+ *    - ../services/notificationService.js - 알림 생성 및 `user-<id>` 소켓 채널로 실시간 전송
+ *    - ../controllers/notificationController.js - 알림 목록/읽음 처리 API
+ *
+ * ✏️ 수정 가이드:
+ *    - 새로운 알림 유형을 추가하려면: `type` 필드의 `enum` 배열에 값을 추가합니다.
+ *
+ * 📝 참고사항:
+ *    - 오래된 알림은 `createdAt` TTL 인덱스로 90일 후 자동 삭제됩니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  // 알림을 받는 사용자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 알림 유형
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'request_received',        // 새 요청 받음
+      'request_approved',        // 보낸 요청 승인됨
+      'request_rejected',        // 보낸 요청 거절됨
+      'request_cancelled',       // 받은 요청이 취소됨
+      'chain_pending',           // 연쇄 조정 진행/확인 필요
+      'suggestion_accepted',     // 일정 제안 수락
+      'suggestion_rejected',     // 일정 제안 거절
+      'schedule_confirmed',      // 자동 확정 완료
+      'join_request',            // 방 참여 요청 받음 (방장/공동 방장)
+      'join_approved',           // 참여 요청 승인됨
+      'join_rejected',           // 참여 요청 거절됨
+      'slot_offer',              // 빈자리 제안 받음 (수락 기한 있음)
+      'slot_claimed'             // 대기열 조원이 빈자리를 수락함 (방장/공동 방장)
+    ]
+  },
+  // 알림 제목
+  title: {
+    type: String,
+    required: true
+  },
+  // 알림 본문
+  message: {
+    type: String,
+    default: ''
+  },
+  // 알림이 발생한 방 (방과 무관한 알림의 경우 null)
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: false
+  },
+  // 알림을 발생시킨 사용자 (시스템 알림의 경우 null)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  // 클라이언트 이동 등에 필요한 추가 데이터 (requestId, suggestionId 등)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 읽은 시간 (null이면 읽지 않음)
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // 알림 생성 시간
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // `createdAt`을 직접 관리
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 }); // 사용자별 최신 알림 조회
+NotificationSchema.index({ userId: 1, readAt: 1 });     // 읽지 않은 알림 수 조회
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // 90일 후 자동 삭제
+
+/**
+ * @static countUnread
+ * @description 사용자의 읽지 않은 알림 수를 조회합니다.
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<number>} 읽지 않은 알림 수
+ */
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+module.exports = mongoose.models.Notification || mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,124 @@
+/**
+ * ===================================================================================================
+ * ReminderDelivery.js - 발송된 알림(리마인더) 기록을 위한 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/ReminderDelivery.js
+ *
+ * 🎯 주요 기능:
+ *    - 일정(Event.reminders) 및 확정된 방 슬롯(Room.timeSlots)에 대해 발송된 알림을 한 건씩 기록합니다.
+ *    - `key` 필드의 unique 인덱스로 같은 알림이 서버 재시작 후에도 중복 발송되지 않도록 보장합니다.
+ *    - 발송 결과(sent/failed)와 오류 메시지를 남겨 모니터링에 활용합니다.
+ *
+ * 🔗 연결된 파일:
+ *    - server/jobs/reminderScheduler.js - 알림 발송 전 이 모델에 발송 기록을 선점(insert)합니다.
+ *    - server/services/reminders/index.js - 실제 전송 로직.
+ *
+ * ✏️ 수정 가이드:
+ *    - 중복 판정 기준을 바꾸려면 `buildKey` 정적 메서드의 조합을 수정합니다.
+ *    - 오래된 기록 보존 기간을 바꾸려면 `createdAt`의 TTL 인덱스(expires)를 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 발송 전에 기록을 먼저 insert하고, unique 충돌(E11000)이 나면 이미 다른 실행(또는 이전 프로세스)이 발송한 것으로 간주합니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+
+const ReminderDeliverySchema = new mongoose.Schema({
+  // 중복 방지 키 (sourceType:sourceId:occurrenceStart:method:minutesBefore)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 알림을 받는 사용자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // 알림 대상 종류 ('event': 개인 일정, 'room_slot': 확정된 방 슬롯)
+  sourceType: {
+    type: String,
+    enum: ['event', 'room_slot'],
+    required: true
+  },
+  sourceId: {
+    type: String,
+    required: true
+  },
+  // 알림 대상 일정(회차)의 시작 시각
+  occurrenceStart: {
+    type: Date,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['email', 'popup', 'sms'],
+    required: true
+  },
+  minutesBefore: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30 // 30일 후 자동 삭제
+  }
+});
+
+/**
+ * 중복 방지 키 생성
+ * @param {Object} reminder - { sourceType, sourceId, occurrenceStart, method, minutesBefore, userId }
+ * @returns {string}
+ */
+ReminderDeliverySchema.statics.buildKey = function(reminder) {
+  return [
+    reminder.sourceType,
+    reminder.sourceId,
+    reminder.userId,
+    new Date(reminder.occurrenceStart).getTime(),
+    reminder.method,
+    reminder.minutesBefore
+  ].join(':');
+};
+
+/**
+ * 발송 기록 선점 - 이미 기록이 있으면 null 반환
+ * @param {Object} reminder - 발송할 알림 정보
+ * @returns {Promise<Object|null>}
+ */
+ReminderDeliverySchema.statics.claim = async function(reminder) {
+  try {
+    return await this.create({
+      key: this.buildKey(reminder),
+      userId: reminder.userId,
+      sourceType: reminder.sourceType,
+      sourceId: reminder.sourceId,
+      occurrenceStart: reminder.occurrenceStart,
+      method: reminder.method,
+      minutesBefore: reminder.minutesBefore
+    });
+  } catch (error) {
+    if (error.code === 11000) return null; // 이미 발송됨
+    throw error;
+  }
+};
+
+module.exports = mongoose.models.ReminderDelivery || mongoose.model('ReminderDelivery', ReminderDeliverySchema);
@@ -0,0 +1,104 @@
+/**
+ * ===================================================================================================
+ * RoomInvite.js - 방 초대 링크를 위한 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/RoomInvite.js
+ *
+ * 🎯 주요 기능:
+ *    - 초대 링크마다 고유한 토큰을 발급하고 만료 시각, 사용 횟수 제한, 방장 승인 필요 여부를 따로 설정합니다.
+ *    - 링크로 들어온 사용자가 받을 역할(조원/참관인)을 지정합니다.
+ *    - 폐기(revokedAt)된 링크는 다시 사용할 수 없습니다.
+ *
+ * 🔗 연결된 파일:
+ *    - server/controllers/roomInviteController.js - 초대 링크 발급/조회/폐기, 링크로 참여
+ *    - server/services/roomJoinService.js - 참여/승인 대기 처리
+ *    - client/src/components/modals/room/RoomInvitePanel.js - 초대 링크 관리 UI
+ *
+ * ✏️ 수정 가이드:
+ *    - 링크 상태 판정 규칙을 바꾸려면 `getStatus` 메서드와 `consumeInvite`(roomJoinService)의 조건을 함께 수정합니다.
+ *
+ * 📝 참고사항:
+ *    - 사용 횟수는 참여 또는 승인 대기 등록 시점에 원자적으로 증가시키므로 동시에 여러 명이 눌러도 maxUses를 넘지 않습니다.
+ *    - 만료/폐기된 링크는 관리 화면에서 확인할 수 있도록 지우지 않고 남겨 둡니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+const { ROOM_ROLES } = require('../utils/roomPermissions');
+
+// 초대 링크로 줄 수 있는 역할 (공동 방장은 방장이 역할 변경으로만 지정)
+const INVITE_ROLES = [ROOM_ROLES.MEMBER, ROOM_ROLES.OBSERVER];
+
+const RoomInviteSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // 링크에 들어가는 토큰 (utils/inviteTokens.js의 generateInviteToken)
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 관리 화면 표시용 메모 (예: "2학년 1반")
+  label: {
+    type: String,
+    default: '',
+    maxlength: 50
+  },
+  role: {
+    type: String,
+    enum: INVITE_ROLES,
+    default: ROOM_ROLES.MEMBER
+  },
+  // null이면 만료 없음
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null이면 사용 횟수 제한 없음
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RoomInviteSchema.index({ roomId: 1, createdAt: -1 });
+
+/**
+ * 링크 상태
+ * @param {Date} [now]
+ * @returns {string} 'active' | 'revoked' | 'expired' | 'exhausted'
+ */
+RoomInviteSchema.methods.getStatus = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxUses && this.useCount >= this.maxUses) return 'exhausted';
+  return 'active';
+};
+
+RoomInviteSchema.statics.INVITE_ROLES = INVITE_ROLES;
+
+module.exports = mongoose.models.RoomInvite || mongoose.model('RoomInvite', RoomInviteSchema);
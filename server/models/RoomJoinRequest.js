@@ -0,0 +1,75 @@
+/**
+ * ===================================================================================================
+ * RoomJoinRequest.js - 방 참여 승인 대기열을 위한 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/RoomJoinRequest.js
+ *
+ * 🎯 주요 기능:
+ *    - 방장 승인이 필요한 초대 링크나 방 코드로 참여하려는 사용자를 대기열에 저장합니다.
+ *    - 방장/공동 방장이 승인하면 멤버로 추가되고, 거절하면 기록만 남습니다.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/roomJoinService.js - 대기 등록 / 승인 시 멤버 추가
+ *    - server/controllers/roomInviteController.js - 대기열 조회, 승인/거절
+ *    - client/src/components/modals/room/RoomInvitePanel.js - 참여 요청 목록 UI
+ *
+ * ✏️ 수정 가이드:
+ *    - 상태를 추가하려면 `status` 필드의 `enum`과 중복 방지 인덱스의 조건을 함께 확인합니다.
+ *
+ * 📝 참고사항:
+ *    - 같은 방에 대기 중인 요청은 사용자당 하나만 있도록 부분 unique 인덱스를 둡니다.
+ *    - invite가 null이면 방 코드로 들어온 요청입니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+const { ROOM_ROLES } = require('../utils/roomPermissions');
+
+const RoomJoinRequestSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 요청이 들어온 초대 링크 (방 코드로 들어왔으면 null)
+  invite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomInvite',
+    default: null
+  },
+  // 승인 시 부여할 역할 (초대 링크 설정을 따름)
+  role: {
+    type: String,
+    enum: [ROOM_ROLES.MEMBER, ROOM_ROLES.OBSERVER],
+    default: ROOM_ROLES.MEMBER
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  handledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RoomJoinRequestSchema.index(
+  { roomId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.models.RoomJoinRequest || mongoose.model('RoomJoinRequest', RoomJoinRequestSchema);
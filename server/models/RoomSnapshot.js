@@ -0,0 +1,101 @@
+/**
+ * ===================================================================================================
+ * RoomSnapshot.js - 방 시간표 변경 이력(스냅샷)을 위한 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/RoomSnapshot.js
+ *
+ * 🎯 주요 기능:
+ *    - 시간표를 바꾸는 작업(자동배정, 확정, 교환, 요청 승인, 멤버 강퇴/퇴장, 전체 삭제, 복원)마다 변경 전/후 timeSlots를 통째로 저장합니다.
+ *    - 변경 전/후를 멤버별 블록 단위로 비교한 구조화된 diff(added/removed/moved)를 함께 저장합니다.
+ *    - 방마다 1부터 증가하는 version 번호로 이력을 구분합니다 ({roomId, version} 고유 인덱스로 중복 번호 방지).
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/roomHistoryService.js - 스냅샷 기록/조회/복원 로직
+ *    - server/controllers/roomHistoryController.js - 이력 목록/상세/복원 API
+ *
+ * ✏️ 수정 가이드:
+ *    - 새로운 작업 유형을 기록하려면 `action` 필드의 `enum`에 값을 추가합니다 (ActivityLog의 action 값과 맞춤).
+ *
+ * 📝 참고사항:
+ *    - `before`/`after`는 방 timeSlots 항목을 그대로(plain object) 저장하므로 TimeSlotSchema가 바뀌어도 과거 이력은 그대로 남습니다.
+ *    - 스냅샷은 방 문서가 커지지 않도록 별도 컬렉션에 저장하며, 방마다 최근 MAX_SNAPSHOTS_PER_ROOM개만 유지합니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+
+const RoomSnapshotSchema = new mongoose.Schema({
+  // 스냅샷 대상 방
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // 방별 이력 번호 (1부터 증가)
+  version: {
+    type: Number,
+    required: true
+  },
+  // 시간표를 바꾼 작업 유형
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'auto_assign',           // 자동배정 실행 / 시나리오 적용
+      'confirm_schedule',      // 배정 시간 확정
+      'slot_swap',             // 자리 교환 (채팅 교환)
+      'change_approve',        // 요청 승인 (연쇄 요청 포함)
+      'member_kick',           // 멤버 강퇴
+      'member_leave',          // 멤버 퇴장
+      'slot_claim',            // 빈자리 대기열 수락
+      'clear_all',             // 시간표 전체 삭제
+      'restore'                // 이전 버전으로 복원
+    ]
+  },
+  // 작업을 수행한 사용자 (자동 확정 등 시스템 작업은 null)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  userName: {
+    type: String,
+    default: '시스템'
+  },
+  // 작업 설명 (ActivityLog details와 같은 문장)
+  details: {
+    type: String,
+    default: ''
+  },
+  // 변경 전/후 timeSlots
+  before: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  after: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // 멤버별 변경 내역 { summary: { membersChanged, added, removed, moved }, members: [...] }
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // 복원 작업일 때 복원한 스냅샷 정보 { snapshotId, version, point: 'before' | 'after' }
+  restoredFrom: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// 방별 최신 이력 조회 + 같은 방에서 version 중복 방지 (동시 기록은 recordRoomSnapshot에서 재시도)
+RoomSnapshotSchema.index({ roomId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.models.RoomSnapshot || mongoose.model('RoomSnapshot', RoomSnapshotSchema);
@@ -0,0 +1,124 @@
+/**
+ * ===================================================================================================
+ * SlotOffer.js - 빈자리(반납된 배정 시간) 대기열 제안을 위한 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/SlotOffer.js
+ *
+ * 🎯 주요 기능:
+ *    - 조원 퇴장/강퇴, 자리 양보(slot_release)로 비게 된 배정 시간을 날짜별 연속 블록 단위로 저장합니다.
+ *    - 이월 시간(carryOver)이 있거나 주당 최소 시간을 못 채운 조원을 우선순위대로 `candidates`에 담고,
+ *      한 번에 한 명(`offeredTo`)에게만 수락 기한(`expiresAt`)을 두고 제안합니다.
+ *    - 거절하거나 기한이 지나면 다음 후보에게 넘어가며, 그 결과를 `history`에 남깁니다.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/slotWaitlistService.js - 대기열 계산 / 제안 / 수락 / 다음 후보로 넘기기
+ *    - server/controllers/slotWaitlistController.js - 대기열 조회, 수락/거절 API
+ *    - server/jobs/slotOfferScheduler.js - 기한이 지난 제안을 다음 후보에게 넘기는 크론 잡
+ *
+ * ✏️ 수정 가이드:
+ *    - 상태를 추가하려면 `status` 필드의 `enum`과 slotWaitlistService의 상태 전환 조건을 함께 확인합니다.
+ *
+ * 📝 참고사항:
+ *    - `slots`는 반납된 원래 timeSlots 항목(방 시간대 기준)이며, 수락하면 수락한 조원 이름으로 그대로 다시 배정됩니다.
+ *    - `candidates`는 제안을 만들 때의 순서이며, 넘길 때마다 해당 조원이 아직 받을 수 있는지 다시 확인합니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+
+const OfferedSlotSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  day: { type: String, required: true },
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  subject: { type: String, default: '자동 배정' }
+}, { _id: false });
+
+const SlotOfferSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // 반납된 블록 (같은 날짜의 연속된 슬롯을 합친 범위)
+  date: { type: Date, required: true },
+  day: { type: String, required: true },
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  slots: {
+    type: [OfferedSlotSchema],
+    default: []
+  },
+  // 빈자리가 생긴 이유
+  reason: {
+    type: String,
+    enum: ['member_leave', 'member_kick', 'slot_release'],
+    required: true
+  },
+  // 시간을 반납한 (또는 방을 떠난) 조원
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 제안 순서 (우선순위가 높은 조원부터)
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 현재 제안 중인 후보의 candidates 인덱스
+  candidateIndex: {
+    type: Number,
+    default: 0
+  },
+  offeredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['offered', 'claimed', 'exhausted', 'cancelled'],
+    default: 'offered'
+  },
+  // 제안을 받았던 후보별 결과
+  history: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    outcome: {
+      type: String,
+      enum: ['declined', 'expired', 'skipped', 'claimed']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SlotOfferSchema.index({ roomId: 1, status: 1, date: 1 });
+SlotOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.SlotOffer || mongoose.model('SlotOffer', SlotOfferSchema);
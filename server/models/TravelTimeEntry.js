@@ -0,0 +1,77 @@
+/**
+ * ===================================================================================================
+ * TravelTimeEntry.js - 이동시간 행렬(출발지 × 도착지 × 이동수단 × 시간대) 저장용 Mongoose 스키마 및 모델
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/models/TravelTimeEntry.js
+ *
+ * 🎯 주요 기능:
+ *    - routing 프로바이더가 계산한 이동시간을 서버 재시작 후에도, 여러 서버 인스턴스 사이에서도 재사용하도록 저장합니다.
+ *    - 출발지/도착지/이동수단/시간대 조합마다 한 문서 (unique index)
+ *    - expiresAt이 지나면 MongoDB TTL 인덱스가 자동으로 지웁니다.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/routing/travelTimeStore.js - 조회/저장/통계
+ *    - server/services/travelMatrixService.js - 방 단위 행렬 미리 계산 (멤버/주소 변경 시)
+ *
+ * 📝 참고사항:
+ *    - origin/destination은 좌표면 소수점 4자리 "lat,lng", 좌표가 없으면 주소 문자열입니다.
+ *    - 대체 프로바이더(직선거리 추정) 결과는 저장하지 않습니다.
+ *
+ * ===================================================================================================
+ */
+const mongoose = require('mongoose');
+
+const TravelTimeEntrySchema = new mongoose.Schema({
+  origin: {
+    type: String,
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  // 'transit' | 'driving' | 'bicycling' | 'walking'
+  mode: {
+    type: String,
+    required: true
+  },
+  // 출발 시간대 구분 (시간대 구분 없이 계산한 값은 'any')
+  timeOfDay: {
+    type: String,
+    default: 'any'
+  },
+  minutes: {
+    type: Number,
+    required: true
+  },
+  distanceKm: {
+    type: Number,
+    default: null
+  },
+  // 계산한 routing 프로바이더
+  provider: {
+    type: String,
+    required: true
+  },
+  // 저장된 값을 재사용한 횟수
+  hits: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+TravelTimeEntrySchema.index({ origin: 1, destination: 1, mode: 1, timeOfDay: 1 }, { unique: true });
+TravelTimeEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.TravelTimeEntry || mongoose.model('TravelTimeEntry', TravelTimeEntrySchema);
@@ -182,6 +182,29 @@ const EventSchema = new mongoose.Schema({
       default: null
     }
   },
+  // 반복 일정의 회차별 예외 ("이 일정만" 수정/취소)
+  recurrenceExceptions: [{
+    originalStart: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['modified', 'cancelled'],
+      default: 'modified'
+    },
+    title: String,
+    description: String,
+    location: String,
+    startTime: Date,
+    endTime: Date
+  }],
+  // "이 일정 및 이후 일정" 수정으로 분리된 시리즈의 원본
+  recurrenceParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
   // 알림 설정
   reminders: [{
     method: {
@@ -296,25 +319,51 @@ EventSchema.pre('save', function(next) {
   next();
 });
 
+// 기간과 겹칠 수 있는 반복 시리즈 조건 (시작은 기간 종료 이전, 반복 종료일은 기간 시작 이후)
+const recurringOverlapCondition = (startDate, endDate) => ({
+  isRecurring: true,
+  startTime: { $lte: endDate },
+  $or: [
+    { 'recurrenceRule.endDate': null },
+    { 'recurrenceRule.endDate': { $gte: startDate } }
+  ]
+});
+
 // 스태틱 메서드: 특정 기간 내 일정 조회
+// 반복 일정은 시리즈 원본이 반환되므로 recurrenceService.expandEvents로 전개해야 함
 EventSchema.statics.findByDateRange = function(userId, startDate, endDate) {
   return this.find({
     userId: userId,
     $or: [
       { startTime: { $gte: startDate, $lte: endDate } },
       { endTime: { $gte: startDate, $lte: endDate } },
-      { startTime: { $lte: startDate }, endTime: { $gte: endDate } }
+      { startTime: { $lte: startDate }, endTime: { $gte: endDate } },
+      recurringOverlapCondition(startDate, endDate)
     ]
   }).sort({ startTime: 1 });
 };
 
+// 스태틱 메서드: 기간 내 알림이 설정된 일정 조회 (전 사용자 대상, 알림 스케줄러용)
+EventSchema.statics.findWithRemindersBetween = function(startDate, endDate) {
+  return this.find({
+    'reminders.0': { $exists: true },
+    status: { $ne: 'cancelled' },
+    $or: [
+      { startTime: { $gte: startDate, $lte: endDate } },
+      recurringOverlapCondition(startDate, endDate)
+    ]
+  });
+};
+
 // 스태틱 메서드: 충돌하는 일정 찾기
+// 반복 시리즈도 후보로 포함되므로 recurrenceService.expandEvents로 전개 후 다시 겹침을 확인해야 함
 EventSchema.statics.findConflicting = function(userId, startTime, endTime, excludeEventId = null) {
   const query = {
     userId: userId,
     status: { $ne: 'cancelled' },
     $or: [
-      { startTime: { $lt: endTime }, endTime: { $gt: startTime } }
+      { startTime: { $lt: endTime }, endTime: { $gt: startTime } },
+      recurringOverlapCondition(startTime, endTime)
     ]
   };
   
@@ -7,19 +7,58 @@
  *
  * 주요 기능:
  * - 방 정보 (이름, 설명, 방장)
- * - 멤버 목록 - 방에 참여한 사용자들
+ * - 멤버 목록 - 방에 참여한 사용자들 (역할: co_host / member / observer)
  * - 시간 슬롯 (timeSlots) - 배정된 시간표
- * - 조정 요청 (requests) - 교환/변경 요청 목록
- * - 자동 배정 설정
+ * - 조정 요청 (requests) - 교환/변경 요청 목록 (방장 동선 최적화로 생긴 동선 조정 요청 포함)
+ * - 자동 배정 설정 (주당 최소 시간, 배정 모드, 공평성 균형 가중치, 하드/소프트 배정 규칙)
+ * - 자동 배정 시나리오 (scheduleScenarios) - 시뮬레이션 결과 저장
+ * - 동시 수정 감지 - 충돌을 처리하는 라우트는 saveRoomChecked로 버전(__v)을 확인하며 저장
+ * - 방 코드 참여 정책 (joinPolicy) - 코드 사용 여부 / 방장 승인 필요 여부
+ * - 빈자리 대기열 설정 (waitlist) - 반납된 시간 자동 제안 여부 / 수락 기한
+ * - 조원별 수업 구성 (members[].sessions) - 수업 길이 / 주당 횟수 / 가능 요일 / 과목
+ * - 방 자원 (settings.resources) - 강의실 / 장비의 동시 사용 수, 사용 가능 시간, 사용할 조원
+ * - 방장 출발/도착 장소 (settings.ownerDayLocations) - 요일/날짜별로 방장 저장 장소 중 선택
  *
  * 관련 파일:
  * - server/controllers/coordinationController.js - 방 생성/관리
  * - server/services/schedulingAlgorithm.js - 자동 배정 알고리즘
+ * - server/utils/roomConcurrency.js - 동시 수정 충돌 재시도 / 409 응답
+ * - server/utils/roomPermissions.js - 역할별 권한 매트릭스
+ * - server/models/RoomInvite.js, RoomJoinRequest.js - 초대 링크 / 참여 요청 대기열
+ * - server/models/SlotOffer.js - 빈자리 제안
+ * - server/utils/schedulingRules.js - 배정 규칙 종류 / 입력 검증
+ * - server/utils/memberSessions.js - 조원 수업 구성 입력 검증
+ * - server/utils/roomResources.js - 방 자원 입력 검증 / 중복 예약 검사
+ * - server/utils/savedLocations.js - 방장 출발/도착 장소 검증 / 수업별 위치 결정
  *
  * ===================================================================================================
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { MEMBER_ROLES, ROOM_ROLES, getRoomRole, hasRoomPermission } = require('../utils/roomPermissions');
+const { generateRoomCode } = require('../utils/inviteTokens');
+const {
+  SCHEDULING_RULE_TYPES,
+  RULE_ENFORCEMENTS,
+  RULE_APPLIES_TO,
+  MIN_RULE_WEIGHT,
+  MAX_RULE_WEIGHT,
+  DEFAULT_RULE_WEIGHT,
+  MAX_RULE_LABEL_LENGTH
+} = require('../utils/schedulingRules');
+const {
+  MIN_SESSION_DURATION,
+  MAX_SESSION_DURATION,
+  MAX_SESSIONS_PER_WEEK,
+  MAX_SESSION_SUBJECT_LENGTH
+} = require('../utils/memberSessions');
+const {
+  RESOURCE_KINDS,
+  MAX_RESOURCE_NAME_LENGTH,
+  MIN_RESOURCE_CAPACITY,
+  MAX_RESOURCE_CAPACITY
+} = require('../utils/roomResources');
 
 const TimeSlotSchema = new mongoose.Schema({
   day: {
@@ -66,6 +105,16 @@ const TimeSlotSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // 조원 수업 구성(members[].sessions)으로 배정된 슬롯이면 그 수업의 _id (subject는 수업 과목)
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  // 이 슬롯이 쓰는 방 자원(settings.resources)의 _id (강의실 / 장비)
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
   // 위치 정보 (이동시간 계산에 사용)
   location: {
     type: {
@@ -129,7 +178,8 @@ const TimeSlotSchema = new mongoose.Schema({
   },
   travelInfo: {
     durationText: String,  // "30분"
-    distanceText: String   // "5.2km"
+    distanceText: String,  // "5.2km"
+    provider: String       // 이동시간을 계산한 routing 프로바이더 (services/routing)
   }
 });
 
@@ -141,7 +191,7 @@ const RequestSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['time_request', 'time_change', 'time_swap', 'slot_swap', 'slot_release', 'exchange_request', 'chain_exchange_request', 'chain_request'],
+    enum: ['time_request', 'time_change', 'time_swap', 'slot_swap', 'slot_release', 'exchange_request', 'chain_exchange_request', 'chain_request', 'route_reorder'],
     required: true
   },
   timeSlot: {
@@ -193,6 +243,15 @@ const RequestSchema = new mongoose.Schema({
     // 🆕 chain_request 타입에서 사용
     originalRequest: { type: mongoose.Schema.Types.ObjectId }
   },
+  // 동선 조정 요청(route_reorder): 방장 하루 동선 최적화 제안 하나에서 나온 요청들을 planId로 묶음
+  // targetSlot은 지금 수업 시간, timeSlot은 옮길 시간 (services/dayRouteService.js)
+  routePlan: {
+    planId: { type: mongoose.Schema.Types.ObjectId },
+    date: Date,
+    transportMode: String,
+    beforeTravelMinutes: Number,
+    afterTravelMinutes: Number
+  },
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected', 'cancelled', 'needs_chain_confirmation', 'waiting_for_chain', 'chain_request'],
@@ -214,6 +273,149 @@ const RequestSchema = new mongoose.Schema({
   }
 });;
 
+// 자동 배정 시나리오 (시뮬레이션 결과를 저장해 두었다가 나중에 적용)
+const ScheduleScenarioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // 실행 옵션 (minHoursPerWeek, numWeeks, assignmentMode, transportMode, excludedMemberIds 등)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 제안된 자동 배정 슬롯
+  slots: [TimeSlotSchema],
+  // 이월 반영용 배정 결과 [{ memberId, assignedHours, carryOver }]
+  assignmentSummary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  carryOverAssignments: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  // 저장 시점의 현재 시간표 대비 변경 요약
+  diffSummary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// 자동 배정 규칙 (hard: 반드시 지킴, soft: weight만큼 불리하게 점수) - 종류별 파라미터는 utils/schedulingRules.js
+const SchedulingRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(SCHEDULING_RULE_TYPES),
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: MAX_RULE_LABEL_LENGTH,
+    default: ''
+  },
+  enforcement: {
+    type: String,
+    enum: RULE_ENFORCEMENTS,
+    default: 'hard'
+  },
+  weight: {
+    type: Number,
+    min: MIN_RULE_WEIGHT,
+    max: MAX_RULE_WEIGHT,
+    default: DEFAULT_RULE_WEIGHT
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // 대상 조원 (비어 있으면 모든 조원, back_to_back은 연달아 배정할 조원들)
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  appliesTo: { type: String, enum: RULE_APPLIES_TO, default: 'member' }, // max_hours_per_day
+  maxSessions: { type: Number },                                        // max_sessions_per_week
+  minGapDays: { type: Number },                                         // min_days_between_sessions
+  startTime: { type: String },                                          // time_window (HH:MM)
+  endTime: { type: String },                                            // time_window (HH:MM)
+  days: [{ type: Number, min: 0, max: 6 }],                             // time_window (비어 있으면 모든 요일)
+  maxHours: { type: Number }                                            // max_hours_per_day
+});
+
+// 조원별 수업 구성 - 있으면 주당 최소 시간 대신 이 수업들을 정해진 길이로 배정 (검증은 utils/memberSessions.js)
+const MemberSessionSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: MAX_SESSION_SUBJECT_LENGTH,
+    default: '' // 비어 있으면 '자동 배정'으로 저장
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: MIN_SESSION_DURATION,
+    max: MAX_SESSION_DURATION
+  },
+  sessionsPerWeek: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_SESSIONS_PER_WEEK
+  },
+  days: [{ type: Number, min: 0, max: 6 }] // 가능 요일 (0=일 ~ 6=토, 비어 있으면 모든 요일)
+});
+
+// 방 자원 (강의실 / 장비) - members에 든 조원은 배정/교환 때 이 자원 중 비어 있는 하나를 씀 (검증은 utils/roomResources.js)
+const RoomResourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_RESOURCE_NAME_LENGTH
+  },
+  kind: {
+    type: String,
+    enum: RESOURCE_KINDS,
+    default: 'classroom'
+  },
+  capacity: {
+    type: Number,
+    min: MIN_RESOURCE_CAPACITY,
+    max: MAX_RESOURCE_CAPACITY,
+    default: MIN_RESOURCE_CAPACITY // 같은 시각에 동시에 쓸 수 있는 수
+  },
+  availability: [{ // 사용 가능 시간 (비어 있으면 언제든)
+    _id: false,
+    days: [{ type: Number, min: 0, max: 6 }], // 비어 있으면 모든 요일
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true }
+  }],
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -238,6 +440,12 @@ const RoomSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // 방 역할 (방장은 owner 필드로 결정되며 여기 값은 무시됨)
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      default: ROOM_ROLES.MEMBER
+    },
     color: {
       type: String,
       default: '#6B7280' // 기본 회색, 실제 색상은 방에 참가할 때 동적으로 할당
@@ -268,13 +476,39 @@ const RoomSchema = new mongoose.Schema({
     lastReadAt: { // 🆕 마지막으로 채팅을 읽은 시간
       type: Date,
       default: Date.now
-    }
+    },
+    sessions: [MemberSessionSchema]
   }],
   inviteCode: {
     type: String,
     unique: true,
     required: true
   },
+  // 방 코드로 참여할 때의 정책 (초대 링크는 RoomInvite마다 따로 설정)
+  joinPolicy: {
+    codeEnabled: { // false면 방 코드로 참여 불가 (초대 링크만 사용)
+      type: Boolean,
+      default: true
+    },
+    requireApproval: { // true면 방 코드 참여 시 방장/공동 방장 승인 대기
+      type: Boolean,
+      default: false
+    },
+    codeRegeneratedAt: Date
+  },
+  // 빈자리 대기열 (퇴장/강퇴/자리 양보로 빈 배정 시간을 부족한 조원에게 순서대로 제안)
+  waitlist: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    claimWindowMinutes: { // 한 조원에게 주는 수락 기한 (지나면 다음 후보에게 넘어감)
+      type: Number,
+      default: 60,
+      min: 5,
+      max: 1440
+    }
+  },
   lastMessageAt: { // 🆕 방의 마지막 메시지 시간
     type: Date,
     default: Date.now
@@ -351,7 +585,31 @@ const RoomSchema = new mongoose.Schema({
       default: 3,
       min: 0.167, // 10분 = 0.167시간
       max: 10
-    }
+    },
+    // 자동 배정 공평성 균형 가중치 (0: 사용 안 함, 1: 최대) - 지난 주에 불리했던 조원을 보정
+    fairnessWeight: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    // 방 기준 시간대 (IANA) - timeSlots의 date/startTime/endTime은 이 시간대의 벽시계 시각
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: [isValidTimezone, '유효한 시간대가 아닙니다.']
+    },
+    // 자동 배정 규칙 (주당 횟수, 수업 간격, 허용 시간대, 하루 최대 시간, 연달아 배정)
+    schedulingRules: [SchedulingRuleSchema],
+    // 방 자원 (강의실 / 장비) - 자동 배정과 교환에서 중복 예약하지 않음
+    resources: [RoomResourceSchema],
+    // 방장의 요일/날짜별 출발·도착 장소 (방장 저장 장소 ID, 'home'은 프로필 주소) - specificDate가 요일보다 우선
+    ownerDayLocations: [{
+      dayOfWeek: { type: Number, min: 0, max: 6 }, // 0: Sunday, ..., 6: Saturday
+      specificDate: { type: String }, // YYYY-MM-DD
+      startLocationId: { type: String, default: null }, // 비우면 방 기준 위치 / 방장 집
+      endLocationId: { type: String, default: null } // 비우면 돌아오는 구간 계산 안 함
+    }]
   },
   // 로그 초기화 시점 - 방장과 관리자 각각 저장
   logsClearedAt: {
@@ -449,11 +707,17 @@ const RoomSchema = new mongoose.Schema({
     },
     travelInfo: {
       durationText: String,
-      distanceText: String
+      distanceText: String,
+      provider: String
     }
   }],
   // 원본 timeSlots 백업 (이동시간 모드 적용 전)
   originalTimeSlots: [TimeSlotSchema],
+  // 저장된 자동 배정 시나리오 (목록/적용 시에만 조회)
+  scheduleScenarios: {
+    type: [ScheduleScenarioSchema],
+    select: false
+  },
   // 확정 시간
   confirmedAt: {
     type: Date,
@@ -465,6 +729,12 @@ const RoomSchema = new mongoose.Schema({
     enum: ['standard', 'conversational'],
     default: 'standard'
   },
+  // iCalendar 구독 피드 토큰 (방 전체 확정 시간표, 방장만 발급 가능)
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
   // 방장의 기준 위치 (이동시간 계산 시작점)
   ownerHomeLocation: {
     type: {
@@ -486,7 +756,7 @@ const RoomSchema = new mongoose.Schema({
 // Generate unique invite code before saving
 RoomSchema.pre('save', function(next) {
   if (!this.inviteCode) {
-    this.inviteCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.inviteCode = generateRoomCode();
   }
   next();
 });
@@ -528,6 +798,16 @@ RoomSchema.methods.isMember = function(userId) {
   });
 };
 
+// Get user's role in the room ('owner' | 'co_host' | 'member' | 'observer' | null)
+RoomSchema.methods.getRole = function(userId) {
+  return getRoomRole(this, userId);
+};
+
+// Check if user has a room permission (ROOM_PERMISSIONS in utils/roomPermissions.js)
+RoomSchema.methods.hasPermission = function(userId, permission) {
+  return hasRoomPermission(this, userId, permission);
+};
+
 // Get user's color in the room
 RoomSchema.methods.getUserColor = function(userId) {
   if (!userId) return null;
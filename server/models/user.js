@@ -10,6 +10,7 @@
  * - 선호 시간표 (defaultSchedule) - 주별 반복 가능 시간
  * - 예외 일정 (scheduleExceptions) - 특정 날짜의 선호 시간
  * - 개인 시간 (personalTimes) - 수면, 식사, 출퇴근 등
+ * - 저장 장소 (savedLocations) - 집 외의 학교 / 학원 지점 등, 선호시간마다 있을 장소 지정 (defaultSchedule[].locationId)
  * - 연결된 캘린더 (Google Calendar 등)
  *
  * 관련 파일:
@@ -21,6 +22,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
 
 const UserSchema = new mongoose.Schema({
   firebaseUid: {
@@ -85,6 +87,15 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // 집(address) 외에 저장한 장소 (선호시간의 locationId, 방장 출발/도착 장소가 이 _id를 가리킴)
+  savedLocations: [{
+    label: { type: String, required: true, trim: true, maxlength: 30 }, // "학교", "OO학원 강남점"
+    kind: { type: String, enum: ['school', 'academy', 'office', 'other'], default: 'other' },
+    address: { type: String, required: true },
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    placeId: { type: String, default: null }
+  }],
   occupation: {
     type: String,
     default: ''
@@ -108,7 +119,8 @@ const UserSchema = new mongoose.Schema({
     },
     timezone: {
       type: String,
-      default: 'Asia/Seoul'
+      default: DEFAULT_TIMEZONE,
+      validate: [isValidTimezone, '유효한 시간대가 아닙니다.']
     },
     defaultMeetingDuration: {
       type: Number,
@@ -139,6 +151,18 @@ const UserSchema = new mongoose.Schema({
         type: String,
         default: 'daily',
         enum: ['immediate', 'daily', 'weekly', 'none']
+      },
+      // 확정된 방 슬롯 시작 몇 분 전에 알림을 받을지 (null이면 받지 않음)
+      slotReminderMinutes: {
+        type: Number,
+        default: 30,
+        min: [0, '알림 시간은 0분 이상이어야 합니다.'],
+        max: [1440, '알림 시간은 24시간(1440분)을 초과할 수 없습니다.']
+      },
+      // 방 슬롯 알림을 이메일로도 받을지 (기본은 팝업만)
+      slotReminderEmail: {
+        type: Boolean,
+        default: false
       }
     }
   },
@@ -170,6 +194,12 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // iCalendar 구독 피드 토큰 (읽기 전용 구독 URL, 재발급 시 이전 URL 무효화)
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
   // 로그인 이력
   lastLoginAt: {
     type: Date,
@@ -229,7 +259,8 @@ const UserSchema = new mongoose.Schema({
     startTime: { type: String, required: true, match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/ }, // HH:MM
     endTime: { type: String, required: true, match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/ }, // HH:MM
     priority: { type: Number, default: 2, enum: [1, 2, 3] }, // 1: Low, 2: Medium, 3: High
-    specificDate: { type: String } // Optional: YYYY-MM-DD format for date-specific schedules
+    specificDate: { type: String }, // Optional: YYYY-MM-DD format for date-specific schedules
+    locationId: { type: String } // Optional: 이 시간에 있을 장소 (savedLocations._id, 비우면 집)
   }],
 
   // 기본 시간표의 예외 (예: 휴가, 특별 이벤트)
@@ -292,7 +323,8 @@ const UserSchema = new mongoose.Schema({
       startTime: { type: String, required: true },
       endTime: { type: String, required: true },
       priority: { type: Number, default: 2, enum: [1, 2, 3] },
-      specificDate: { type: String }
+      specificDate: { type: String },
+      locationId: { type: String }
     }],
     deletedAt: { type: Date, default: Date.now }
   }],
@@ -306,6 +338,7 @@ const UserSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.passwordResetToken;
       delete ret.emailVerificationToken;
+      delete ret.calendarFeedToken;
       delete ret.__v;
       
       // _id를 id로 변환
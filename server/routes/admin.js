@@ -17,6 +17,9 @@ router.get('/stats', auth, adminAuth, adminController.getDashboardStats);
 // 최근 활동
 router.get('/activities', auth, adminAuth, adminController.getRecentActivities);
 
+// 이동시간 캐시 통계
+router.get('/travel-cache/stats', auth, adminAuth, adminController.getTravelCacheStats);
+
 // 회원 관리
 router.get('/users', auth, adminAuth, adminController.getAllUsers);
 router.get('/users/:userId', auth, adminAuth, adminController.getUserById);
@@ -17,4 +17,11 @@ router.post('/parse', auth, chatbotController.parseIntent);
  */
 router.post('/voice', auth, chatbotController.processVoiceCommand);
 
+/**
+ * @route   POST /api/chatbot/complete
+ * @desc    클라이언트 채팅 프롬프트를 AI로 처리 (응답 텍스트 반환)
+ * @access  Private
+ */
+router.post('/complete', auth, chatbotController.completePrompt);
+
 module.exports = router;
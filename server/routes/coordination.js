@@ -10,7 +10,22 @@
  * - GET /api/coordination/rooms/:id - 방 조회
  * - POST /api/coordination/requests - 조정 요청 생성
  * - POST /api/coordination/requests/:id/:action - 요청 승인/거절
+ *   (요청/교환/방 참여 라우트는 retryOnRoomConflict로 감싸 동시 수정 충돌 시 최신 방 기준으로 재실행, 실패 시 409)
  * - POST /api/coordination/auto-assign - 자동 배정 실행
+ * - POST /api/coordination/rooms/:roomId/simulate-schedule - 자동 배정 시뮬레이션 (방 변경 없음, 시나리오 저장/적용)
+ * - GET /api/coordination/rooms/:roomId/history - 시간표 변경 이력 (상세 조회, 작업 전/후 시점으로 복원)
+ * - PUT /api/coordination/rooms/:roomId/members/:memberId/role - 멤버 역할 변경 (공동 방장/조원/참관인)
+ * - PUT /api/coordination/rooms/:roomId/members/:memberId/sessions - 조원 수업 구성 (수업 길이/주당 횟수/가능 요일/과목)
+ * - POST /api/coordination/rooms/:roomId/transfer-ownership - 공동 방장에게 방장 위임
+ *   (역할별 권한은 server/utils/roomPermissions.js)
+ * - /api/coordination/rooms/:roomId/invites, /join-policy, /join-requests - 초대 링크, 방 코드 정책, 참여 승인 대기열
+ * - GET/POST /api/coordination/invites/:token(/accept) - 초대 링크 미리보기 / 참여
+ * - /api/coordination/rooms/:roomId/waitlist(-settings), /slot-offers/:offerId/(claim|decline) - 빈자리 대기열
+ * - GET/PUT /api/coordination/rooms/:roomId/scheduling-rules - 자동 배정 규칙 (하드/소프트 제약)
+ * - GET/PUT /api/coordination/rooms/:roomId/resources - 방 자원 (강의실 / 장비, 동시 사용 수 / 사용 가능 시간)
+ * - POST /api/coordination/rooms/:roomId/travel-matrix - 방장/조원 집 사이 이동시간 미리 계산 (공유 캐시)
+ * - GET /api/coordination/rooms/:roomId/day-route, POST .../day-route/requests - 하루 방문 순서 최적화 / 조원에게 동선 조정 요청
+ * - GET/PUT /api/coordination/rooms/:roomId/owner-locations - 방장 요일/날짜별 출발·도착 장소 (방장 저장 장소 중 선택)
  *
  * 관련 파일:
  * - server/controllers/coordinationController.js
@@ -25,7 +40,9 @@ const coordinationController = require('../controllers/coordinationController');
 const coordinationSchedulingController = require('../controllers/coordinationSchedulingController');
 const timeSlotController = require('../controllers/timeSlotController');
 const exchangeRequestController = require('../controllers/coordinationExchangeController');
+const calendarFeedController = require('../controllers/calendarFeedController');
 const auth = require('../middleware/auth');
+const { retryOnRoomConflict } = require('../utils/roomConcurrency');
 
 // Room management
 router.post('/rooms', auth, coordinationController.createRoom);
@@ -39,16 +56,66 @@ router.post('/reset-completed/:roomId', auth, coordinationController.resetComple
 
 router.put('/rooms/:roomId', auth, coordinationController.updateRoom);
 router.delete('/rooms/:roomId', auth, coordinationController.deleteRoom);
-router.post('/rooms/:inviteCode/join', auth, coordinationController.joinRoom);
+router.post('/rooms/:inviteCode/join', auth, retryOnRoomConflict(coordinationController.joinRoom));
 router.get('/rooms/:roomId', auth, coordinationController.getRoomDetails);
+router.get('/rooms/:roomId/export.ics', auth, calendarFeedController.exportRoomCalendar);
+router.post('/rooms/:roomId/feed-token', auth, calendarFeedController.createRoomFeedToken);
+router.delete('/rooms/:roomId/feed-token', auth, calendarFeedController.revokeRoomFeedToken);
 router.get('/rooms/:roomId/logs', auth, coordinationController.getRoomLogs);
 router.post('/rooms/:roomId/clear-logs', auth, coordinationController.clearRoomLogs);
 router.delete('/rooms/:roomId/logs/user/:userId', auth, coordinationController.clearUserLogs);
 
+// Timetable history (스냅샷 목록/상세/복원)
+router.get('/rooms/:roomId/history', auth, coordinationController.getRoomHistory);
+router.get('/rooms/:roomId/history/:snapshotId', auth, coordinationController.getRoomHistoryEntry);
+router.post('/rooms/:roomId/history/:snapshotId/restore', auth, retryOnRoomConflict(coordinationController.restoreRoomHistory));
+
 // Member management
 router.delete('/rooms/:roomId/members/:memberId', auth, coordinationController.removeMember);
+router.put('/rooms/:roomId/members/:memberId/role', auth, coordinationController.updateMemberRole);
+router.put('/rooms/:roomId/members/:memberId/sessions', auth, coordinationController.updateMemberSessions);
+router.post('/rooms/:roomId/transfer-ownership', auth, coordinationController.transferOwnership);
 router.delete('/rooms/:roomId/leave', auth, coordinationController.leaveRoom);
 
+// Invite routes (초대 링크 / 방 코드 / 참여 요청)
+router.get('/rooms/:roomId/invites', auth, coordinationController.getRoomInvites);
+router.post('/rooms/:roomId/invites', auth, coordinationController.createRoomInvite);
+router.delete('/rooms/:roomId/invites/:inviteId', auth, coordinationController.revokeRoomInvite);
+router.post('/rooms/:roomId/invite-code/regenerate', auth, coordinationController.regenerateInviteCode);
+router.put('/rooms/:roomId/join-policy', auth, coordinationController.updateJoinPolicy);
+router.get('/rooms/:roomId/join-requests', auth, coordinationController.getJoinRequests);
+router.post('/rooms/:roomId/join-requests/:requestId/:action', auth, retryOnRoomConflict(coordinationController.handleJoinRequest));
+router.get('/invites/:token', auth, coordinationController.getInvitePreview);
+router.post('/invites/:token/accept', auth, retryOnRoomConflict(coordinationController.acceptInvite));
+
+// Waitlist routes (빈자리 대기열)
+router.get('/rooms/:roomId/waitlist', auth, coordinationController.getRoomWaitlist);
+router.put('/rooms/:roomId/waitlist-settings', auth, coordinationController.updateWaitlistSettings);
+router.post('/slot-offers/:offerId/claim', auth, retryOnRoomConflict(coordinationController.claimSlotOffer));
+router.post('/slot-offers/:offerId/decline', auth, coordinationController.declineSlotOffer);
+
+// Fairness routes (배정 공평성)
+router.get('/rooms/:roomId/fairness', auth, coordinationController.getFairnessReport);
+
+// Scheduling rule routes (방 배정 규칙)
+router.get('/rooms/:roomId/scheduling-rules', auth, coordinationController.getSchedulingRules);
+router.put('/rooms/:roomId/scheduling-rules', auth, coordinationController.updateSchedulingRules);
+
+// Room resource routes (방 자원)
+router.get('/rooms/:roomId/resources', auth, coordinationController.getRoomResources);
+router.put('/rooms/:roomId/resources', auth, coordinationController.updateRoomResources);
+
+// Travel matrix routes (이동시간 행렬)
+router.post('/rooms/:roomId/travel-matrix', auth, coordinationController.precomputeTravelMatrix);
+
+// Day route routes (방장 하루 동선 최적화)
+router.get('/rooms/:roomId/day-route', auth, coordinationController.getDayRoutePlan);
+router.post('/rooms/:roomId/day-route/requests', auth, retryOnRoomConflict(coordinationController.requestDayRouteChanges));
+
+// Owner location routes (방장 출발/도착 장소)
+router.get('/rooms/:roomId/owner-locations', auth, coordinationController.getOwnerDayLocations);
+router.put('/rooms/:roomId/owner-locations', auth, coordinationController.updateOwnerDayLocations);
+
 // TimeSlot management
 router.post('/rooms/:roomId/slots', auth, coordinationController.submitTimeSlots);
 router.post('/rooms/:roomId/slots/remove', auth, coordinationController.removeTimeSlot);
@@ -63,6 +130,13 @@ router.post('/rooms/:roomId/create-from-optimal', auth, coordinationController.c
 router.post('/rooms/:roomId/run-schedule', auth, coordinationSchedulingController.runAutoSchedule);
 router.post('/rooms/:roomId/confirm-schedule', auth, coordinationSchedulingController.confirmSchedule);
 
+// 자동 배정 시뮬레이션 (방 변경 없음) / 시나리오 저장·적용
+router.post('/rooms/:roomId/simulate-schedule', auth, coordinationSchedulingController.simulateSchedule);
+router.get('/rooms/:roomId/schedule-scenarios', auth, coordinationSchedulingController.getScheduleScenarios);
+router.post('/rooms/:roomId/schedule-scenarios', auth, coordinationSchedulingController.saveScheduleScenario);
+router.post('/rooms/:roomId/schedule-scenarios/:scenarioId/apply', auth, coordinationSchedulingController.applyScheduleScenario);
+router.delete('/rooms/:roomId/schedule-scenarios/:scenarioId', auth, coordinationSchedulingController.deleteScheduleScenario);
+
 // Dynamic travel time - Available slots (조원용 시간대 조회)
 router.get('/rooms/:roomId/available-slots', auth, coordinationSchedulingController.getAvailableSlots);
 
@@ -82,11 +156,11 @@ router.put('/rooms/:roomId/auto-confirm-duration', auth, coordinationSchedulingC
 router.post('/rooms/:roomId/validate-schedule', auth, coordinationSchedulingController.validateScheduleWithTransportMode);
 
 // Request management
-router.post('/requests', auth, coordinationController.createRequest);
+router.post('/requests', auth, retryOnRoomConflict(coordinationController.createRequest));
 // 🔧 더 구체적인 라우트를 먼저 배치
-router.post('/requests/:requestId/chain-confirm', auth, coordinationController.handleChainConfirmation);
-router.post('/requests/:requestId/:action', auth, coordinationController.handleRequest);
-router.delete('/requests/:requestId', auth, coordinationController.cancelRequest);
+router.post('/requests/:requestId/chain-confirm', auth, retryOnRoomConflict(coordinationController.handleChainConfirmation));
+router.post('/requests/:requestId/:action', auth, retryOnRoomConflict(coordinationController.handleRequest));
+router.delete('/requests/:requestId', auth, retryOnRoomConflict(coordinationController.cancelRequest));
 router.get('/sent-requests', auth, coordinationController.getSentRequests);
 router.get('/received-requests', auth, coordinationController.getReceivedRequests);
 router.get('/exchange-requests-count', auth, coordinationController.getExchangeRequestsCount);
@@ -110,7 +184,7 @@ router.delete('/rooms/:roomId/all-carry-over-history', auth, timeSlotController.
 
 // Smart exchange chatbot endpoints
 router.post('/rooms/:roomId/parse-exchange-request', auth, exchangeRequestController.parseExchangeRequest);
-router.post('/rooms/:roomId/smart-exchange', auth, exchangeRequestController.smartExchange);
+router.post('/rooms/:roomId/smart-exchange', auth, retryOnRoomConflict(exchangeRequestController.smartExchange));
 
 // Exchange request endpoints (NEW) - COMMENTED OUT: Functions not implemented
 // router.post('/rooms/:roomId/exchange-requests', auth, exchangeRequestController.createExchangeRequest);
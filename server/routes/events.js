@@ -1,9 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
+const calendarFeedController = require('../controllers/calendarFeedController');
+const calendarImportController = require('../controllers/calendarImportController');
 const auth = require('../middleware/auth');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 
+// .ics 업로드 (메모리 저장)
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB 제한
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || /\.ics$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('.ics 파일만 업로드 가능합니다.'), false);
+    }
+  }
+});
+
 // 입력 검증 미들웨어
 const validateEvent = [
   body('title')
@@ -76,6 +94,41 @@ router.get('/conflicts', auth, [
   checkValidation
 ], eventController.getConflictingEvents);
 
+// @route   GET /api/events/export.ics
+// @desc    내 일정 iCalendar(.ics) 내보내기
+// @access  Private
+router.get('/export.ics', auth, calendarFeedController.exportMyCalendar);
+
+// @route   GET /api/events/feed-token
+// @desc    내 구독 URL 조회
+// @access  Private
+router.get('/feed-token', auth, calendarFeedController.getMyFeedToken);
+
+// @route   POST /api/events/feed-token
+// @desc    내 구독 URL 발급/재발급 (기존 URL 무효화)
+// @access  Private
+router.post('/feed-token', auth, calendarFeedController.createMyFeedToken);
+
+// @route   DELETE /api/events/feed-token
+// @desc    내 구독 URL 폐기
+// @access  Private
+router.delete('/feed-token', auth, calendarFeedController.revokeMyFeedToken);
+
+// @route   POST /api/events/import/ics/preview
+// @desc    .ics 파일 가져오기 미리보기 (저장하지 않음)
+// @access  Private
+router.post('/import/ics/preview', auth, (req, res, next) => {
+  icsUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ msg: err.message });
+    next();
+  });
+}, calendarImportController.previewIcsImport);
+
+// @route   POST /api/events/import/ics/confirm
+// @desc    미리보기에서 선택한 항목 저장
+// @access  Private
+router.post('/import/ics/confirm', auth, calendarImportController.confirmIcsImport);
+
 // @route   POST /api/events/find
 // @desc    일정 상세 정보로 조회
 // @access  Private
@@ -96,6 +149,30 @@ router.post('/', auth, validateEvent, checkValidation, eventController.createEve
 // @access  Private
 router.put('/:id', auth, validateEvent, checkValidation, eventController.updateEvent);
 
+// @route   PUT /api/events/:id/occurrences/:occurrenceStart
+// @desc    반복 일정 회차 수정 (scope: this | following)
+// @access  Private
+router.put('/:id/occurrences/:occurrenceStart', auth, [
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('수정 범위는 this 또는 following 이어야 합니다.'),
+  body('startDateTime')
+    .optional()
+    .isISO8601()
+    .withMessage('시작 시간이 유효하지 않습니다.'),
+  body('endDateTime')
+    .optional()
+    .isISO8601()
+    .withMessage('종료 시간이 유효하지 않습니다.'),
+  checkValidation
+], eventController.updateOccurrence);
+
+// @route   DELETE /api/events/:id/occurrences/:occurrenceStart
+// @desc    반복 일정 회차 취소 (scope: this | following)
+// @access  Private
+router.delete('/:id/occurrences/:occurrenceStart', auth, eventController.cancelOccurrence);
+
 // @route   PATCH /api/events/:id/status
 // @desc    일정 상태 변경
 // @access  Private
@@ -0,0 +1,28 @@
+/**
+ * ===================================================================================================
+ * Feed Routes (iCalendar 구독 피드 라우터)
+ * ===================================================================================================
+ *
+ * 설명: 외부 캘린더 앱(Apple/Outlook/Google 등)이 구독하는 읽기 전용 .ics 피드
+ *
+ * 주요 엔드포인트:
+ * - GET /api/feeds/users/:token.ics - 사용자 전체 일정
+ * - GET /api/feeds/rooms/:token.ics - 방 전체 확정 시간표 (?includeTravel=1 이동시간 포함)
+ *
+ * 관련 파일:
+ * - server/controllers/calendarFeedController.js
+ *
+ * 📝 참고사항:
+ *    - 캘린더 앱은 Authorization 헤더를 보낼 수 없으므로 URL의 토큰으로만 인증합니다.
+ *
+ * ===================================================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeedController');
+
+router.get('/users/:token.ics', calendarFeedController.getUserFeed);
+router.get('/rooms/:token.ics', calendarFeedController.getRoomFeed);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { handleFixedScheduleRequest } = require('../utils/fixedScheduleHandler');
 const { handleScheduleMoveRequest } = require('../utils/scheduleMoveHandler');
+const llm = require('../services/llm');
 const {
   reoptimizeWithFixedSchedules,
   checkFixedScheduleConflicts
@@ -274,6 +275,9 @@ router.post('/fixed-intent', async (req, res) => {
 
     res.json(result);
   } catch (error) {
+    // AI 오류: 클라이언트는 intent 'none'으로 보고 일반 채팅으로 넘어감
+    if (llm.sendLlmError(res, error, { intent: 'none' })) return;
+
     res.status(500).json({
       success: false,
       error: error.message
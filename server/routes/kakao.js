@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const kakaoProvider = require('../services/routing/providers/kakaoProvider');
 
 // @desc    Get driving directions from Kakao
 // @route   POST /api/kakao/directions/car
@@ -9,17 +10,9 @@ router.post('/directions/car', async (req, res) => {
   try {
     const { origin, destination } = req.body;
 
-    const response = await axios.get('https://apis-navi.kakaomobility.com/v1/directions', {
-      params: {
-        origin: `${origin.lng},${origin.lat}`,
-        destination: `${destination.lng},${destination.lat}`,
-        priority: 'RECOMMEND'
-      },
-      headers: {
-        'Authorization': `KakaoAK ${process.env.KAKAO_REST_API_KEY}`
-      }
-    });
-    res.json(response.data);
+    // 서버 이동시간 계산과 같은 Kakao Mobility 호출 사용 (services/routing)
+    const data = await kakaoProvider.requestDirections(origin, destination);
+    res.json(data);
   } catch (error) {
     res.status(500).json({ error: 'Failed to get car directions', details: error.response?.data || error.message });
   }
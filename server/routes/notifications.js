@@ -0,0 +1,33 @@
+/**
+ * ===================================================================================================
+ * Notification Routes (알림함 라우터)
+ * ===================================================================================================
+ *
+ * 설명: 로그인한 사용자의 알림 목록 및 읽음 처리
+ *
+ * 주요 엔드포인트:
+ * - GET  /api/notifications              - 알림 목록
+ * - GET  /api/notifications/unread-count - 읽지 않은 알림 수
+ * - POST /api/notifications/read-all     - 모든 알림 읽음
+ * - POST /api/notifications/:id/read     - 알림 하나 읽음
+ *
+ * 관련 파일:
+ * - server/controllers/notificationController.js
+ *
+ * 📝 참고사항:
+ *    - 새 알림은 `user-<id>` 소켓 채널의 `notification` 이벤트로 실시간 전달됩니다.
+ *
+ * ===================================================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, notificationController.getNotifications);
+router.get('/unread-count', auth, notificationController.getUnreadCount);
+router.post('/read-all', auth, notificationController.markAllAsRead);
+router.post('/:id/read', auth, notificationController.markAsRead);
+
+module.exports = router;
@@ -5,6 +5,9 @@ const User = require('../models/user');
 const ScheduleSuggestion = require('../models/ScheduleSuggestion');
 const ChatMessage = require('../models/ChatMessage');
 const { deleteFromGoogleCalendar } = require('../services/confirmScheduleService');
+const { isValidTimezone, getUserTimezone } = require('../utils/timezone');
+const { validateSavedLocations } = require('../utils/savedLocations');
+const { warmUserRooms } = require('../services/travelMatrixService');
 
 // @route   GET api/users/profile
 // @desc    Get user profile
@@ -28,8 +31,10 @@ router.get('/', auth, async (req, res) => {
       addressLat: user.addressLat || null,
       addressLng: user.addressLng || null,
       addressPlaceId: user.addressPlaceId || null,
+      savedLocations: user.savedLocations || [],
       occupation: user.occupation || '',
-      birthdate: user.birthdate || ''
+      birthdate: user.birthdate || '',
+      timezone: getUserTimezone(user)
     };
 
     console.log('[profile.js GET] Returning profile:', { firstName: profile.firstName, lastName: profile.lastName });
@@ -45,10 +50,22 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.put('/', auth, async (req, res) => {
   try {
-    const { firstName, lastName, phone, address, addressDetail, addressLat, addressLng, addressPlaceId, occupation, birthdate } = req.body;
+    const { firstName, lastName, phone, address, addressDetail, addressLat, addressLng, addressPlaceId, savedLocations, occupation, birthdate, timezone } = req.body;
     console.log('[profile.js PUT] Update request for user:', req.user.id);
     console.log('[profile.js PUT] Data received:', { firstName, lastName, phone, occupation });
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ msg: '유효한 시간대가 아닙니다.' });
+    }
+
+    // 저장 장소 (집 외의 학교 / 학원 등) - 보내면 전체 교체
+    let normalizedLocations;
+    if (savedLocations !== undefined) {
+      const { locations, error } = validateSavedLocations(savedLocations);
+      if (error) return res.status(400).json({ msg: error });
+      normalizedLocations = locations;
+    }
+
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -67,13 +84,20 @@ router.put('/', auth, async (req, res) => {
     if (addressLat !== undefined) user.addressLat = addressLat;
     if (addressLng !== undefined) user.addressLng = addressLng;
     if (addressPlaceId !== undefined) user.addressPlaceId = addressPlaceId;
+    if (normalizedLocations !== undefined) user.savedLocations = normalizedLocations;
     if (occupation !== undefined) user.occupation = occupation;
     if (birthdate !== undefined) user.birthdate = birthdate;
+    if (timezone !== undefined) user.preferences.timezone = timezone;
 
     console.log('[profile.js PUT] New values before save:', { firstName: user.firstName, lastName: user.lastName });
     await user.save();
     console.log('[profile.js PUT] Profile updated successfully');
 
+    // 저장 장소가 바뀌면 속한 방들의 이동시간 행렬을 백그라운드에서 다시 채움
+    if (normalizedLocations !== undefined && normalizedLocations.length > 0) {
+      warmUserRooms(user._id.toString());
+    }
+
     const profile = {
       firstName: user.firstName,
       lastName: user.lastName,
@@ -84,8 +108,10 @@ router.put('/', auth, async (req, res) => {
       addressLat: user.addressLat,
       addressLng: user.addressLng,
       addressPlaceId: user.addressPlaceId,
+      savedLocations: user.savedLocations,
       occupation: user.occupation,
-      birthdate: user.birthdate
+      birthdate: user.birthdate,
+      timezone: getUserTimezone(user)
     };
 
     res.json(profile);
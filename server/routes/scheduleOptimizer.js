@@ -5,7 +5,9 @@ const { generatePrompt } = require('../prompts/scheduleOptimizer');
 const { optimizeSchedules } = require('../utils/scheduleAutoOptimizer');
 
 // Services
-const { callGeminiAI, callGeminiChat } = require('./scheduleOptimizer/services/aiService');
+const llm = require('../services/llm');
+const { SCHEDULE_CHAT } = require('../services/llm/schemas');
+const { callAI, callAIChatJSON } = require('./scheduleOptimizer/services/aiService');
 const {
   findFixedScheduleOriginals,
   addFixedSchedulesToOptimization,
@@ -30,7 +32,7 @@ const {
 } = require('./scheduleOptimizer/validators/deletionValidator');
 
 // Utils
-const { parseAIJSON, cleanExplanation } = require('./scheduleOptimizer/utils/jsonParser');
+const { cleanExplanation } = require('./scheduleOptimizer/utils/jsonParser');
 
 // Constants
 const {
@@ -89,7 +91,7 @@ router.post('/optimize-legacy', auth, async (req, res) => {
 
     // 프롬프트 생성 및 AI 호출
     const prompt = generateOptimizationPrompt(schedules, conflicts, userPreferences);
-    const aiResponse = await callGeminiAI(prompt);
+    const aiResponse = await callAI(prompt);
 
     // AI 응답 파싱
     const parsedResult = parseAIResponse(aiResponse, schedules);
@@ -115,6 +117,8 @@ router.post('/optimize-legacy', auth, async (req, res) => {
     });
 
   } catch (error) {
+    if (llm.sendLlmError(res, error)) return;
+
     res.status(500).json({
       success: false,
       error: '스케줄 최적화에 실패했습니다',
@@ -213,15 +217,16 @@ router.post('/chat', auth, async (req, res) => {
     // AI 프롬프트 생성 및 호출
     const contextToUse = isConfirmation ? lastAiResponse : null;
     const prompt = generatePrompt(message, currentSchedule, conflicts, contextToUse);
-    const aiResponse = await callGeminiChat(prompt);
 
-    // JSON 파싱
+    // AI 응답 (스키마 검증, 형식이 틀리면 재요청)
     let parsed = null;
     try {
-      parsed = parseAIJSON(aiResponse);
-    } catch (parseError) {
+      parsed = await callAIChatJSON(prompt, SCHEDULE_CHAT);
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON' && error.code !== 'SCHEMA_MISMATCH') throw error;
       return res.json({
         success: true,
+        code: error.code,
         understood: 'AI 응답 처리 중 오류 발생',
         action: 'none',
         schedule: currentSchedule,
@@ -348,6 +353,8 @@ router.post('/chat', auth, async (req, res) => {
     });
 
   } catch (error) {
+    if (llm.sendLlmError(res, error)) return;
+
     res.status(500).json({
       success: false,
       error: '채팅 처리 실패',
@@ -1,45 +1,27 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { GEMINI_MODEL_NAMES_LEGACY, GEMINI_MODEL_NAMES_CHAT, GENERATION_CONFIG } = require('../constants/modelNames');
+const llm = require('../../../services/llm');
 
-// Gemini AI 초기화
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// 채팅 응답 생성 설정
+const CHAT_GENERATION_CONFIG = {
+  maxOutputTokens: 2048,
+  temperature: 0.1
+};
 
 /**
- * Gemini AI 호출 (여러 모델 시도)
+ * AI 호출 (모델 대체 시도는 LLM 백엔드가 처리)
  */
-async function callGeminiAI(prompt, modelNames = GEMINI_MODEL_NAMES_LEGACY, config = null) {
-  let aiResponse = null;
-  let lastError = null;
-
-  for (const modelName of modelNames) {
-    try {
-      const modelConfig = config ? { model: modelName, generationConfig: config } : { model: modelName };
-      const model = genAI.getGenerativeModel(modelConfig);
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      aiResponse = response.text();
-      break;
-    } catch (error) {
-      lastError = error;
-      continue;
-    }
-  }
-
-  if (!aiResponse) {
-    throw lastError || new Error('모든 모델 시도 실패');
-  }
-
-  return aiResponse;
+async function callAI(prompt, config = {}) {
+  return llm.generateText(prompt, config);
 }
 
 /**
- * Chat용 Gemini AI 호출
+ * Chat용 AI 호출 (스키마 검증, 형식이 틀리면 재요청)
+ * @throws {LlmError} 재요청 후에도 형식이 맞지 않으면 INVALID_JSON / SCHEMA_MISMATCH
  */
-async function callGeminiChat(prompt) {
-  return callGeminiAI(prompt, GEMINI_MODEL_NAMES_CHAT, GENERATION_CONFIG);
+async function callAIChatJSON(prompt, schema) {
+  return llm.generateJSON(prompt, schema, CHAT_GENERATION_CONFIG);
 }
 
 module.exports = {
-  callGeminiAI,
-  callGeminiChat
+  callAI,
+  callAIChatJSON
 };
@@ -1,31 +1,3 @@
-/**
- * AI 응답에서 JSON 파싱 (여러 형식 지원)
- */
-function parseAIJSON(aiResponse) {
-  let cleanResponse = aiResponse.trim();
-
-  // 1. ```json ... ``` 형식
-  const jsonMatch = cleanResponse.match(/```json\s*([\s\S]*?)\s*```/);
-  if (jsonMatch) {
-    return JSON.parse(jsonMatch[1].trim());
-  }
-
-  // 2. ``` ... ``` 형식
-  const codeMatch = cleanResponse.match(/```\s*([\s\S]*?)\s*```/);
-  if (codeMatch) {
-    return JSON.parse(codeMatch[1].trim());
-  }
-
-  // 3. 시작 부분에 백틱이 있으면 제거
-  if (cleanResponse.startsWith('```')) {
-    cleanResponse = cleanResponse.replace(/^```(?:json)?\s*/, '').replace(/```\s*$/, '');
-    return JSON.parse(cleanResponse.trim());
-  }
-
-  // 4. 직접 JSON
-  return JSON.parse(cleanResponse);
-}
-
 /**
  * explanation 필드에서 JSON 제거
  */
@@ -60,6 +32,5 @@ function cleanExplanation(explanation) {
 }
 
 module.exports = {
-  parseAIJSON,
   cleanExplanation
 };
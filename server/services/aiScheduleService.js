@@ -1,4 +1,3 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const ChatMessage = require('../models/ChatMessage');
 const Room = require('../models/room');
 const RejectedSuggestion = require('../models/RejectedSuggestion');
@@ -7,8 +6,8 @@ const User = require('../models/user');
 const { generateSchedulePrompt } = require('../prompts/scheduleAnalysis');
 const { syncToGoogleCalendar, deleteFromGoogleCalendar } = require('./confirmScheduleService');
 const preferenceService = require('./preferenceService');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('./llm');
+const { SCHEDULE_ANALYSIS } = require('./llm/schemas');
 
 // 🆕 방별 분석 잠금 (Race Condition 방지)
 // roomId -> { running: boolean, pending: boolean }
@@ -98,34 +97,18 @@ async function _doAnalysis(roomId) {
     }).join('');
 
 
-    // 4. Gemini 프롬프트 구성 (기존 일정 정보 포함)
+    // 4. AI 프롬프트 구성 (기존 일정 정보 포함)
     const prompt = generateSchedulePrompt(conversationText, new Date(), existingSuggestions);
 
-    // 5. Gemini 호출
-    const model = genAI.getGenerativeModel({
-      model: "gemini-2.0-flash",
-      generationConfig: {
-        temperature: 0, // 더 결정적인 출력
-      }
-    });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text().trim();
-
-    // Markdown code block 제거
-    if (text.startsWith('```json')) {
-      text = text.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-    } else if (text.startsWith('```')) {
-      text = text.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-    }
-
-    // JSON 파싱 시도
+    // 5. AI 호출 (action별 스키마 검증, 형식이 틀리면 재요청)
     let analysisResult;
     try {
-      analysisResult = JSON.parse(text);
-    } catch (parseError) {
-      console.error('❌ [AI Schedule] JSON parse failed:', parseError);
-      console.error('AI Response:', text);
+      analysisResult = await llm.generateJSON(prompt, SCHEDULE_ANALYSIS, {
+        temperature: 0 // 더 결정적인 출력
+      });
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON' && error.code !== 'SCHEMA_MISMATCH') throw error;
+      console.error(`❌ [AI Schedule] Invalid AI response (${error.code}):`, error.details || error.message);
       return;
     }
 
@@ -168,10 +151,10 @@ async function _doAnalysis(roomId) {
 
   } catch (error) {
     console.error('❌ [AI Schedule] Analysis failed:', error);
-    if (error.message?.includes('API key')) {
-      console.error('  → Gemini API key issue. Check GEMINI_API_KEY env variable.');
+    if (error.message?.includes('API key') || error.message?.includes('GEMINI_API_KEY')) {
+      console.error('  → LLM API key issue. Check GEMINI_API_KEY / LLM_PROVIDER env variables.');
     } else if (error.message?.includes('quota')) {
-      console.error('  → API quota exceeded. Check Gemini API usage.');
+      console.error('  → API quota exceeded. Check LLM provider usage.');
     }
   }
 }
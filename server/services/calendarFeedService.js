@@ -0,0 +1,283 @@
+/**
+ * ===================================================================================================
+ * Calendar Feed Service (iCalendar 피드 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 사용자/방 일정을 iCalendar(.ics) 문서로 만들어 외부 캘린더 앱에서 구독할 수 있게 하는 서비스
+ *
+ * 주요 기능:
+ * - 사용자 피드: 개인 일정(Event, 반복 규칙 포함) + 확정으로 생성된 personalTimes + 확정된 방 슬롯
+ * - 방 피드: 방장 기준 전체 확정 시간표 (선택적으로 이동시간 블록 포함)
+ * - 구독용 토큰 발급/재발급/폐기
+ *
+ * 관련 파일:
+ * - server/utils/icalendar.js - .ics 직렬화
+ * - server/controllers/calendarFeedController.js - 내보내기/구독 엔드포인트
+ * - server/services/confirmScheduleService.js - 확정 시 personalTimes 생성 (roomId 포함)
+ *
+ * ===================================================================================================
+ */
+
+const crypto = require('crypto');
+const Event = require('../models/event');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { buildCalendar } = require('../utils/icalendar');
+const { mergeConsecutiveSlots } = require('../controllers/coordinationScheduling/helpers');
+const { getRoomTimezone, getUserTimezone, wallClockToDate, toZonedParts } = require('../utils/timezone');
+
+const UID_DOMAIN = 'meetagent';
+const ICAL_WEEKDAYS = { 1: 'MO', 2: 'TU', 3: 'WE', 4: 'TH', 5: 'FR', 6: 'SA', 7: 'SU' };
+
+/**
+ * 구독용 토큰 생성
+ * @returns {string}
+ */
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * YYYY-MM-DD + HH:MM (주어진 시간대의 벽시계 시각)을 Date로 변환 - 종료가 시작보다 이르면 다음날로 처리
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM
+ * @param {string} timeZone - IANA 시간대 (방 슬롯: 방 시간대, personalTimes: 사용자 시간대)
+ * @returns {{start: Date, end: Date}}
+ */
+function toDateRange(dateStr, startTime, endTime, timeZone) {
+  const start = wallClockToDate(dateStr, startTime, timeZone);
+  let end = wallClockToDate(dateStr, endTime, timeZone);
+  if (end <= start) {
+    end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+  return { start, end };
+}
+
+/**
+ * Event 문서를 VEVENT 입력 객체로 변환 (반복 일정은 RRULE/EXDATE/수정 회차 포함)
+ * @param {Object} event - Event 문서
+ * @returns {Object[]}
+ */
+function eventToEntries(event) {
+  const uid = `event-${event._id}@${UID_DOMAIN}`;
+  const base = {
+    uid,
+    start: event.startTime,
+    end: event.endTime,
+    summary: event.title,
+    description: event.description,
+    location: event.location,
+    categories: [event.category],
+    status: event.status === 'draft' ? 'TENTATIVE' : 'CONFIRMED',
+    updatedAt: event.updatedAt
+  };
+
+  if (!event.isRecurring || !event.recurrenceRule?.frequency) {
+    return [base];
+  }
+
+  const exceptions = event.recurrenceExceptions || [];
+  const entries = [{
+    ...base,
+    rrule: {
+      frequency: event.recurrenceRule.frequency,
+      interval: event.recurrenceRule.interval,
+      until: event.recurrenceRule.endDate,
+      count: event.recurrenceRule.occurrences
+    },
+    exdates: exceptions.filter(ex => ex.status === 'cancelled').map(ex => ex.originalStart)
+  }];
+
+  const durationMs = event.endTime - event.startTime;
+  exceptions
+    .filter(ex => ex.status === 'modified')
+    .forEach(ex => {
+      const start = ex.startTime || ex.originalStart;
+      entries.push({
+        ...base,
+        recurrenceId: ex.originalStart,
+        start,
+        end: ex.endTime || new Date(new Date(start).getTime() + durationMs),
+        summary: ex.title || base.summary,
+        description: ex.description ?? base.description,
+        location: ex.location ?? base.location
+      });
+    });
+
+  return entries;
+}
+
+/**
+ * 확정으로 생성된 personalTime을 VEVENT 입력 객체로 변환
+ * - 특정 날짜 일정은 단건, 반복 일정은 요일별 주간 RRULE (계정 생성일 기준)
+ * @param {Object} user - User 문서
+ * @param {Object} pt - personalTimes 항목
+ * @param {string} timeZone - 사용자 시간대 (personalTimes 저장 기준)
+ * @returns {Object|null}
+ */
+function personalTimeToEntry(user, pt, timeZone) {
+  const uid = `personal-${user._id}-${pt.id}@${UID_DOMAIN}`;
+  const common = {
+    uid,
+    summary: pt.title,
+    location: pt.location,
+    categories: [pt.isTravelTime ? 'travel' : 'room'],
+    transparent: false
+  };
+
+  if (pt.specificDate) {
+    return { ...common, ...toDateRange(pt.specificDate, pt.startTime, pt.endTime, timeZone) };
+  }
+
+  const byDay = (pt.days || []).map(day => ICAL_WEEKDAYS[day]).filter(Boolean);
+  if (byDay.length === 0) return null;
+
+  const anchor = new Date(user.createdAt || Date.now()).toISOString().split('T')[0];
+  return {
+    ...common,
+    ...toDateRange(anchor, pt.startTime, pt.endTime, timeZone),
+    rrule: { frequency: 'weekly', byDay }
+  };
+}
+
+/**
+ * 방의 확정 슬롯을 사용자+날짜+과목 단위로 병합하여 VEVENT 입력 객체로 변환
+ * @param {Object} room - Room 문서
+ * @param {Function} includeSlot - 포함할 슬롯인지 판단하는 함수
+ * @param {Function} describe - 병합 그룹의 SUMMARY 생성 함수 (userId, subject) => string
+ * @returns {Object[]}
+ */
+function roomSlotsToEntries(room, includeSlot, describe) {
+  const timeZone = getRoomTimezone(room);
+  const groups = new Map();
+  room.timeSlots
+    .filter(slot => slot.status === 'confirmed' && !slot.isTravel && includeSlot(slot))
+    .forEach(slot => {
+      const userId = String(slot.user?._id || slot.user);
+      const dateStr = new Date(slot.date).toISOString().split('T')[0];
+      const key = `${userId}|${dateStr}|${slot.subject}`;
+      if (!groups.has(key)) groups.set(key, { userId, dateStr, subject: slot.subject, slots: [] });
+      groups.get(key).slots.push({ startTime: slot.startTime, endTime: slot.endTime });
+    });
+
+  const entries = [];
+  groups.forEach(group => {
+    mergeConsecutiveSlots(group.slots).forEach(merged => {
+      entries.push({
+        uid: `slot-${room._id}-${group.userId}-${group.dateStr}-${merged.startTime.replace(':', '')}@${UID_DOMAIN}`,
+        summary: describe(group.userId, group.subject),
+        description: room.name,
+        categories: ['room'],
+        updatedAt: room.confirmedAt || room.updatedAt,
+        ...toDateRange(group.dateStr, merged.startTime, merged.endTime, timeZone)
+      });
+    });
+  });
+  return entries;
+}
+
+/**
+ * 방 이동시간 슬롯을 VEVENT 입력 객체로 변환 (바쁨 표시용)
+ * @param {Object} room - Room 문서
+ * @returns {Object[]}
+ */
+function travelSlotsToEntries(room) {
+  const timeZone = getRoomTimezone(room);
+  return (room.travelTimeSlots || []).map(slot => {
+    const dateStr = new Date(slot.date).toISOString().split('T')[0];
+    return {
+      uid: `travel-${room._id}-${slot._id}@${UID_DOMAIN}`,
+      summary: slot.subject || '이동시간',
+      description: [slot.from, slot.to].filter(Boolean).join(' → '),
+      categories: ['travel'],
+      updatedAt: room.confirmedAt || room.updatedAt,
+      ...toDateRange(dateStr, slot.startTime, slot.endTime, timeZone)
+    };
+  });
+}
+
+/**
+ * 사용자 전체 일정 피드 생성
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<string>} - .ics 문서
+ */
+async function buildUserCalendar(userId) {
+  const user = await User.findById(userId).select('firstName lastName personalTimes createdAt preferences.timezone');
+  if (!user) throw new Error('User not found');
+  const userTimezone = getUserTimezone(user);
+
+  const events = await Event.find({ userId, status: { $ne: 'cancelled' } }).sort({ startTime: 1 });
+  const entries = events.flatMap(eventToEntries);
+
+  // 확정으로 생성된 personalTimes (roomId 또는 suggestionId가 있는 항목)
+  const confirmedPersonalTimes = (user.personalTimes || []).filter(pt => pt.roomId || pt.suggestionId);
+  const coveredSlots = new Set();
+  confirmedPersonalTimes.forEach(pt => {
+    const entry = personalTimeToEntry(user, pt, userTimezone);
+    if (entry) entries.push(entry);
+    if (pt.roomId && pt.specificDate) {
+      coveredSlots.add(`${pt.roomId}|${pt.specificDate}|${pt.startTime}`);
+    }
+  });
+
+  // 확정된 방 슬롯 중 personalTimes로 아직 옮겨지지 않은 것
+  const rooms = await Room.find({
+    $or: [{ owner: userId }, { 'members.user': userId }],
+    'timeSlots.status': 'confirmed'
+  }).select('name owner timeSlots confirmedAt updatedAt settings.timezone');
+
+  rooms.forEach(room => {
+    const isOwner = String(room.owner) === String(userId);
+    const roomEntries = roomSlotsToEntries(
+      room,
+      slot => isOwner || String(slot.user) === String(userId),
+      (slotUserId, subject) => `${room.name} - ${subject}`
+    );
+    // personalTimes는 사용자 시간대로 저장되므로 같은 시간대로 비교
+    roomEntries
+      .filter(entry => {
+        const { dateStr, time } = toZonedParts(entry.start, userTimezone);
+        return !coveredSlots.has(`${room._id}|${dateStr}|${time}`);
+      })
+      .forEach(entry => entries.push(entry));
+  });
+
+  const name = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+  return buildCalendar(entries, { name: `${name} - AI Schedule`, timezone: userTimezone });
+}
+
+/**
+ * 방 전체 확정 시간표 피드 생성 (방장 기준)
+ * @param {string} roomId - 방 ID
+ * @param {Object} [options] - { includeTravel: 이동시간 블록 포함 여부 }
+ * @returns {Promise<string>} - .ics 문서
+ */
+async function buildRoomCalendar(roomId, options = {}) {
+  const room = await Room.findById(roomId).populate('timeSlots.user', 'firstName lastName');
+  if (!room) throw new Error('Room not found');
+
+  const memberNames = new Map();
+  room.timeSlots.forEach(slot => {
+    if (slot.user?._id) {
+      memberNames.set(String(slot.user._id), `${slot.user.firstName || ''} ${slot.user.lastName || ''}`.trim());
+    }
+  });
+
+  const entries = roomSlotsToEntries(
+    room,
+    () => true,
+    (slotUserId, subject) => `${memberNames.get(slotUserId) || subject} (${subject})`
+  );
+  if (options.includeTravel) {
+    entries.push(...travelSlotsToEntries(room));
+  }
+
+  return buildCalendar(entries, { name: room.name, timezone: getRoomTimezone(room) });
+}
+
+module.exports = {
+  generateFeedToken,
+  buildUserCalendar,
+  buildRoomCalendar
+};
@@ -0,0 +1,562 @@
+/**
+ * ===================================================================================================
+ * Calendar Import Service (iCalendar 가져오기 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 업로드된 .ics 파일을 미리보기 항목으로 변환하고, 사용자가 확인한 항목을
+ *       Event / User.personalTimes / User.scheduleExceptions 로 저장하는 서비스
+ *
+ * 주요 기능:
+ * - 미리보기: VEVENT → 가져오기 항목 (저장 대상 후보, 기본 대상, 중복 여부, 경고)
+ * - 반복 일정: RRULE/EXDATE/RECURRENCE-ID → Event.recurrenceRule / recurrenceExceptions
+ *   (여러 요일 BYDAY는 요일별 주간 시리즈로 분리)
+ * - 중복 감지: 같은 UID로 가져온 Event, 같은 제목+시작시각의 Event/예외일정/개인시간
+ * - 확정: 서버에서 항목을 다시 검증하고 중복은 건너뜀
+ *
+ * 관련 파일:
+ * - server/utils/icalendarParser.js - .ics 파싱
+ * - server/controllers/calendarImportController.js - 미리보기/확정 엔드포인트
+ * - server/services/recurrenceService.js - 반복 일정 전개
+ *
+ * ===================================================================================================
+ */
+
+const Event = require('../models/event');
+const User = require('../models/user');
+const { parseCalendar } = require('../utils/icalendarParser');
+const { getUserTimezone, toZonedParts } = require('../utils/timezone');
+
+const SOURCE_CALENDAR_ID = 'ics';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT_ITEMS = 500;
+const MAX_ALL_DAY_SPAN_DAYS = 31;
+const SUPPORTED_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Date를 사용자 시간대 기준 { dateStr, time, weekday } 로 변환
+ * @param {Date|string} date
+ * @param {string} timeZone - 가져오는 사용자의 시간대
+ * @returns {{dateStr: string, time: string, weekday: number}} - weekday: 1(월) ~ 7(일)
+ */
+function toLocalParts(date, timeZone) {
+  const { dateStr, time, dayOfWeek } = toZonedParts(date, timeZone);
+  return { dateStr, time, weekday: dayOfWeek === 0 ? 7 : dayOfWeek };
+}
+
+/**
+ * 파싱된 RRULE을 앱에서 지원하는 반복 규칙으로 정규화
+ * @param {Object} rrule - parseRRule 결과
+ * @param {Date} start - 첫 회차 시작 시각
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {{recurrence: Object|null, warning: string|null}}
+ */
+function normalizeRecurrence(rrule, start, timeZone) {
+  if (!rrule) return { recurrence: null, warning: null };
+
+  const unsupported = !SUPPORTED_FREQUENCIES.includes(rrule.frequency)
+    || rrule.unsupported.length > 0
+    || rrule.hasOrdinalByDay
+    || (rrule.byDay.length > 0 && !['daily', 'weekly'].includes(rrule.frequency))
+    || (rrule.byDay.length > 0 && rrule.frequency === 'daily' && rrule.interval > 1);
+  if (unsupported) {
+    return { recurrence: null, warning: '지원하지 않는 반복 규칙이라 첫 회차만 가져옵니다.' };
+  }
+
+  // FREQ=DAILY;BYDAY=MO,TU,... 는 매주 해당 요일 반복과 같음
+  const frequency = rrule.byDay.length > 0 ? 'weekly' : rrule.frequency;
+  const byDay = frequency === 'weekly'
+    ? [...new Set(rrule.byDay.length > 0 ? rrule.byDay : [toLocalParts(start, timeZone).weekday])].sort((a, b) => a - b)
+    : [];
+
+  return {
+    recurrence: {
+      frequency,
+      interval: rrule.interval || 1,
+      until: rrule.until ? new Date(rrule.until).toISOString() : null,
+      count: rrule.count || null,
+      byDay
+    },
+    warning: null
+  };
+}
+
+/**
+ * 항목이 저장될 수 있는 대상 목록 계산
+ * - personalTime: 하루 미만의 시간 일정 중 단건 또는 종료 없는 매주 반복
+ * - scheduleException: 반복 없는 일정
+ * @param {Object} item - 가져오기 항목
+ * @returns {string[]}
+ */
+function resolveAllowedTargets(item) {
+  const targets = ['event'];
+  const duration = new Date(item.end) - new Date(item.start);
+  const recurrence = item.recurrence;
+
+  const isOpenWeekly = recurrence
+    && recurrence.frequency === 'weekly'
+    && recurrence.interval === 1
+    && !recurrence.until
+    && !recurrence.count;
+  if (!item.isAllDay && duration > 0 && duration < DAY_MS && (!recurrence || isOpenWeekly)) {
+    targets.push('personalTime');
+  }
+  if (!recurrence) {
+    targets.push('scheduleException');
+  }
+  return targets;
+}
+
+/**
+ * 파싱된 VEVENT 목록을 가져오기 항목으로 변환 (RECURRENCE-ID 회차는 원본 시리즈에 병합)
+ * @param {Object[]} parsedEvents - parseCalendar().events
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {{items: Object[], ignored: number}}
+ */
+function buildItems(parsedEvents, timeZone) {
+  const masters = parsedEvents.filter(ev => !ev.recurrenceId);
+  const overrides = parsedEvents.filter(ev => ev.recurrenceId);
+  const masterUids = new Set(masters.filter(ev => ev.rrule).map(ev => ev.uid));
+
+  let ignored = 0;
+  const items = [];
+  const sources = [
+    ...masters,
+    // 원본 시리즈가 파일에 없는 수정 회차는 단건 일정으로 취급
+    ...overrides.filter(ev => !masterUids.has(ev.uid))
+  ];
+
+  sources.forEach(ev => {
+    if (ev.status === 'CANCELLED') {
+      ignored += 1;
+      return;
+    }
+
+    const warnings = [];
+    const { recurrence, warning } = ev.recurrenceId
+      ? { recurrence: null, warning: null }
+      : normalizeRecurrence(ev.rrule, ev.start, timeZone);
+    if (warning) warnings.push(warning);
+
+    const exceptions = [];
+    if (recurrence) {
+      ev.exdates.forEach(exdate => exceptions.push({ originalStart: exdate.toISOString(), status: 'cancelled' }));
+      overrides
+        .filter(ov => ov.uid === ev.uid)
+        .forEach(ov => {
+          exceptions.push(ov.status === 'CANCELLED'
+            ? { originalStart: ov.recurrenceId.toISOString(), status: 'cancelled' }
+            : {
+              originalStart: ov.recurrenceId.toISOString(),
+              status: 'modified',
+              title: ov.summary,
+              description: ov.description,
+              location: ov.location,
+              startTime: ov.start.toISOString(),
+              endTime: ov.end.toISOString()
+            });
+        });
+    }
+
+    const item = {
+      key: `ics-${items.length}`,
+      uid: ev.uid || null,
+      title: (ev.summary || '').trim() || '(제목 없음)',
+      description: ev.description || '',
+      location: ev.location || '',
+      start: ev.start.toISOString(),
+      end: ev.end.toISOString(),
+      isAllDay: ev.isAllDay,
+      date: ev.isAllDay ? ev.startDateStr : toLocalParts(ev.start, timeZone).dateStr,
+      recurrence,
+      exceptions,
+      reminders: ev.alarms.map(alarm => ({ method: 'popup', minutesBefore: alarm.minutesBefore })),
+      warnings
+    };
+    item.allowedTargets = resolveAllowedTargets(item);
+    item.target = item.isAllDay && item.allowedTargets.includes('scheduleException') ? 'scheduleException' : 'event';
+    items.push(item);
+  });
+
+  return { items, ignored };
+}
+
+/**
+ * 기존 데이터와 비교하여 항목별/대상별 중복 여부 표시
+ * @param {string} userId - 사용자 ID
+ * @param {Object[]} items - 가져오기 항목
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Promise<Object[]>} - duplicates: { event, personalTime, scheduleException } 가 추가된 항목
+ */
+async function markDuplicates(userId, items, timeZone) {
+  const uids = items.map(item => item.uid).filter(Boolean);
+  const starts = items.map(item => new Date(item.start));
+
+  const [events, user] = await Promise.all([
+    Event.find({
+      userId,
+      $or: [
+        { sourceCalendarId: SOURCE_CALENDAR_ID, externalEventId: { $in: uids } },
+        { startTime: { $in: starts } }
+      ]
+    }).select('title startTime externalEventId sourceCalendarId').lean(),
+    User.findById(userId).select('personalTimes scheduleExceptions').lean()
+  ]);
+
+  const personalTimes = user?.personalTimes || [];
+  const scheduleExceptions = user?.scheduleExceptions || [];
+
+  return items.map(item => {
+    const startMs = new Date(item.start).getTime();
+    const local = toLocalParts(item.start, timeZone);
+
+    const eventDuplicate = events.some(ev =>
+      (item.uid && ev.sourceCalendarId === SOURCE_CALENDAR_ID && ev.externalEventId === item.uid)
+      || (ev.title === item.title && new Date(ev.startTime).getTime() === startMs)
+    );
+    const exceptionDuplicate = scheduleExceptions.some(ex =>
+      ex.title === item.title
+      && (item.isAllDay ? ex.specificDate === item.date : new Date(ex.startTime).getTime() === startMs)
+    );
+    const weeklyDays = item.recurrence ? item.recurrence.byDay : null;
+    const personalTimeDuplicate = personalTimes.some(pt =>
+      pt.title === item.title
+      && pt.startTime === local.time
+      && (weeklyDays
+        ? !pt.specificDate && weeklyDays.every(day => (pt.days || []).includes(day))
+        : pt.specificDate === local.dateStr)
+    );
+
+    return {
+      ...item,
+      duplicates: {
+        event: eventDuplicate,
+        personalTime: personalTimeDuplicate,
+        scheduleException: exceptionDuplicate
+      }
+    };
+  });
+}
+
+/**
+ * .ics 문서로 가져오기 미리보기 생성 (저장하지 않음)
+ * @param {string} userId - 사용자 ID
+ * @param {string} icsText - .ics 원문
+ * @returns {Promise<{calendarName: string|null, items: Object[], ignored: number}>}
+ * @throws {Error} 파일 형식 오류 또는 항목 수 초과
+ */
+async function buildImportPreview(userId, icsText) {
+  const { calendarName, events } = parseCalendar(icsText);
+  const user = await User.findById(userId).select('preferences.timezone').lean();
+  const timeZone = getUserTimezone(user);
+  const { items, ignored } = buildItems(events, timeZone);
+  if (items.length > MAX_IMPORT_ITEMS) {
+    throw new Error(`한 번에 최대 ${MAX_IMPORT_ITEMS}개의 일정만 가져올 수 있습니다.`);
+  }
+
+  const withDuplicates = await markDuplicates(userId, items, timeZone);
+  return { calendarName, items: withDuplicates, ignored };
+}
+
+/**
+ * 클라이언트가 보낸 항목을 검증/정리 (미리보기 이후 변조 대비)
+ * @param {Object} raw - 요청 본문의 항목
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Object|null} - 유효하지 않으면 null
+ */
+function sanitizeItem(raw, timeZone) {
+  if (!raw || typeof raw !== 'object') return null;
+  const start = new Date(raw.start);
+  const end = new Date(raw.end);
+  if (isNaN(start) || isNaN(end) || end <= start) return null;
+
+  let recurrence = null;
+  if (raw.recurrence) {
+    const { frequency, interval, until, count, byDay } = raw.recurrence;
+    if (!SUPPORTED_FREQUENCIES.includes(frequency)) return null;
+    recurrence = {
+      frequency,
+      interval: Math.max(1, parseInt(interval, 10) || 1),
+      until: until && !isNaN(new Date(until)) ? new Date(until).toISOString() : null,
+      count: parseInt(count, 10) || null,
+      byDay: frequency === 'weekly'
+        ? [...new Set((byDay || []).map(Number).filter(day => day >= 1 && day <= 7))].sort((a, b) => a - b)
+        : []
+    };
+    if (frequency === 'weekly' && recurrence.byDay.length === 0) {
+      recurrence.byDay = [toLocalParts(start, timeZone).weekday];
+    }
+  }
+
+  const item = {
+    key: String(raw.key || ''),
+    uid: raw.uid ? String(raw.uid) : null,
+    title: String(raw.title || '').trim().slice(0, 200) || '(제목 없음)',
+    description: String(raw.description || '').slice(0, 1000),
+    location: String(raw.location || '').slice(0, 500),
+    start: start.toISOString(),
+    end: end.toISOString(),
+    isAllDay: !!raw.isAllDay,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(raw.date) ? raw.date : toLocalParts(start, timeZone).dateStr,
+    recurrence,
+    exceptions: recurrence && Array.isArray(raw.exceptions)
+      ? raw.exceptions.filter(ex => ex && !isNaN(new Date(ex.originalStart)))
+      : [],
+    reminders: Array.isArray(raw.reminders)
+      ? raw.reminders
+        .map(r => ({ method: 'popup', minutesBefore: Math.max(0, parseInt(r.minutesBefore, 10) || 0) }))
+        .slice(0, 5)
+      : []
+  };
+  item.allowedTargets = resolveAllowedTargets(item);
+  item.target = item.allowedTargets.includes(raw.target) ? raw.target : 'event';
+  return item;
+}
+
+/**
+ * 반복 예외 항목을 Event.recurrenceExceptions 형식으로 변환
+ * @param {Object[]} exceptions
+ * @returns {Object[]}
+ */
+function toRecurrenceExceptions(exceptions) {
+  return exceptions.map(ex => ({
+    originalStart: new Date(ex.originalStart),
+    status: ex.status === 'cancelled' ? 'cancelled' : 'modified',
+    ...(ex.status !== 'cancelled' && {
+      title: ex.title,
+      description: ex.description,
+      location: ex.location,
+      startTime: ex.startTime ? new Date(ex.startTime) : undefined,
+      endTime: ex.endTime ? new Date(ex.endTime) : undefined
+    })
+  }));
+}
+
+/**
+ * COUNT 제한이 있는 주간 BYDAY 반복의 마지막 회차 시작 시각 계산
+ * @param {Date} start - 첫 회차 시작
+ * @param {Object} recurrence - { interval, count, byDay }
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Date}
+ */
+function lastWeeklyOccurrence(start, recurrence, timeZone) {
+  const startWeekday = toLocalParts(start, timeZone).weekday;
+  let found = 0;
+  let last = start;
+  for (let dayOffset = 0; found < recurrence.count && dayOffset < 366 * 20; dayOffset++) {
+    const weekday = ((startWeekday - 1 + dayOffset) % 7) + 1;
+    const weekIndex = Math.floor((startWeekday - 1 + dayOffset) / 7);
+    if (weekIndex % recurrence.interval === 0 && recurrence.byDay.includes(weekday)) {
+      found += 1;
+      last = new Date(start.getTime() + dayOffset * DAY_MS);
+    }
+  }
+  return last;
+}
+
+/**
+ * 항목을 Event 문서 데이터 배열로 변환
+ * - 여러 요일 BYDAY 반복은 요일별 주간 시리즈로 분리 (COUNT는 UNTIL로 환산)
+ * @param {string} userId
+ * @param {Object} item - sanitizeItem 결과
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Object[]}
+ */
+function itemToEventDocs(userId, item, timeZone) {
+  const start = new Date(item.start);
+  const end = new Date(item.end);
+  const base = {
+    userId,
+    title: item.title,
+    description: item.description,
+    location: item.location,
+    category: 'personal',
+    sourceCalendarId: SOURCE_CALENDAR_ID,
+    externalEventId: item.uid || undefined,
+    reminders: item.reminders,
+    status: 'confirmed'
+  };
+
+  const recurrence = item.recurrence;
+  if (!recurrence) {
+    return [{ ...base, startTime: start, endTime: end }];
+  }
+
+  const exceptions = toRecurrenceExceptions(item.exceptions);
+  const startWeekday = toLocalParts(start, timeZone).weekday;
+  const isSingleSeries = recurrence.frequency !== 'weekly'
+    || (recurrence.byDay.length === 1 && recurrence.byDay[0] === startWeekday);
+
+  if (isSingleSeries) {
+    return [{
+      ...base,
+      startTime: start,
+      endTime: end,
+      isRecurring: true,
+      recurrenceRule: {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        endDate: recurrence.until ? new Date(recurrence.until) : null,
+        occurrences: recurrence.count
+      },
+      recurrenceExceptions: exceptions
+    }];
+  }
+
+  const until = recurrence.count
+    ? lastWeeklyOccurrence(start, recurrence, timeZone)
+    : (recurrence.until ? new Date(recurrence.until) : null);
+  const duration = end - start;
+
+  return recurrence.byDay
+    .map(day => {
+      // 시작 주에서 이미 지난 요일은 다음 반복 주로 이동
+      const offsetDays = day >= startWeekday
+        ? day - startWeekday
+        : day - startWeekday + 7 * recurrence.interval;
+      const seriesStart = new Date(start.getTime() + offsetDays * DAY_MS);
+      return { day, seriesStart };
+    })
+    .filter(({ seriesStart }) => !until || seriesStart <= until)
+    .map(({ day, seriesStart }) => ({
+      ...base,
+      startTime: seriesStart,
+      endTime: new Date(seriesStart.getTime() + duration),
+      isRecurring: true,
+      recurrenceRule: {
+        frequency: 'weekly',
+        interval: recurrence.interval,
+        endDate: until,
+        occurrences: null
+      },
+      recurrenceExceptions: exceptions.filter(ex => toLocalParts(ex.originalStart, timeZone).weekday === day)
+    }));
+}
+
+/**
+ * 항목을 personalTimes 데이터로 변환
+ * @param {Object} item - sanitizeItem 결과
+ * @param {number} id - personalTime ID
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Object}
+ */
+function itemToPersonalTime(item, id, timeZone) {
+  const start = toLocalParts(item.start, timeZone);
+  const end = toLocalParts(item.end, timeZone);
+  const isWeekly = !!item.recurrence;
+  return {
+    id,
+    title: item.title,
+    type: 'event',
+    startTime: start.time,
+    endTime: end.time,
+    days: isWeekly ? item.recurrence.byDay : [start.weekday],
+    isRecurring: isWeekly,
+    ...(!isWeekly && { specificDate: start.dateStr }),
+    ...(item.location && { location: item.location })
+  };
+}
+
+/**
+ * 항목을 scheduleExceptions 데이터 배열로 변환 (여러 날의 종일 일정은 날짜별로 분리)
+ * @param {Object} item - sanitizeItem 결과
+ * @param {string} timeZone - 사용자 시간대
+ * @returns {Object[]}
+ */
+function itemToScheduleExceptions(item, timeZone) {
+  if (!item.isAllDay) {
+    return [{
+      title: item.title,
+      startTime: new Date(item.start),
+      endTime: new Date(item.end),
+      specificDate: toLocalParts(item.start, timeZone).dateStr
+    }];
+  }
+
+  const days = Math.min(
+    Math.max(1, Math.round((new Date(item.end) - new Date(item.start)) / DAY_MS)),
+    MAX_ALL_DAY_SPAN_DAYS
+  );
+  return Array.from({ length: days }, (_, index) => {
+    const dayStart = new Date(new Date(item.start).getTime() + index * DAY_MS);
+    return {
+      title: item.title,
+      startTime: dayStart,
+      endTime: new Date(dayStart.getTime() + DAY_MS),
+      specificDate: toLocalParts(dayStart, timeZone).dateStr,
+      isAllDay: true
+    };
+  });
+}
+
+/**
+ * 확인된 항목을 저장
+ * @param {string} userId - 사용자 ID
+ * @param {Object[]} rawItems - 클라이언트에서 선택/대상 지정한 항목
+ * @returns {Promise<{created: {events: number, personalTimes: number, scheduleExceptions: number}, skipped: Object[]}>}
+ */
+async function applyImport(userId, rawItems) {
+  const user = await User.findById(userId).select('personalTimes preferences.timezone');
+  if (!user) throw new Error('User not found');
+  const timeZone = getUserTimezone(user);
+
+  const skipped = [];
+  const items = [];
+  (rawItems || []).slice(0, MAX_IMPORT_ITEMS).forEach(raw => {
+    const item = sanitizeItem(raw, timeZone);
+    if (item) items.push(item);
+    else skipped.push({ key: raw?.key, title: raw?.title, reason: 'invalid' });
+  });
+
+  const checked = await markDuplicates(userId, items, timeZone);
+  const accepted = checked.filter(item => {
+    if (item.duplicates[item.target]) {
+      skipped.push({ key: item.key, title: item.title, reason: 'duplicate' });
+      return false;
+    }
+    return true;
+  });
+
+  const eventDocs = accepted
+    .filter(item => item.target === 'event')
+    .flatMap(item => itemToEventDocs(userId, item, timeZone));
+
+  let nextPersonalTimeId = (user.personalTimes || []).length > 0
+    ? Math.max(...user.personalTimes.map(pt => pt.id || 0)) + 1
+    : 1;
+  const personalTimes = accepted
+    .filter(item => item.target === 'personalTime')
+    .map(item => itemToPersonalTime(item, nextPersonalTimeId++, timeZone));
+  const scheduleExceptions = accepted
+    .filter(item => item.target === 'scheduleException')
+    .flatMap(item => itemToScheduleExceptions(item, timeZone));
+
+  if (eventDocs.length > 0) {
+    await Event.insertMany(eventDocs);
+  }
+  if (personalTimes.length > 0 || scheduleExceptions.length > 0) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          personalTimes: { $each: personalTimes },
+          scheduleExceptions: { $each: scheduleExceptions }
+        }
+      },
+      { runValidators: true }
+    );
+  }
+
+  return {
+    created: {
+      events: eventDocs.length,
+      personalTimes: personalTimes.length,
+      scheduleExceptions: scheduleExceptions.length
+    },
+    skipped
+  };
+}
+
+module.exports = {
+  buildImportPreview,
+  applyImport
+};
@@ -3,15 +3,21 @@
  *
  * 자동 확정과 수동 확정의 공통 로직을 담당하는 서비스
  * 슬롯 병합, personalTimes 추가, 선호시간 제거 등을 수행
+ *
+ * 방 슬롯은 방 시간대 기준이고 personalTimes/선호시간은 각 사용자 시간대 기준이므로,
+ * 사용자별로 슬롯을 그 사용자의 시간대로 변환한 뒤 저장/삭제합니다.
  */
 
 const User = require('../models/user');
 const ActivityLog = require('../models/ActivityLog');
 const { google } = require('googleapis');
+const { getUserTimezone, getRoomTimezone, convertTimeRange, wallClockToDate, shiftDateStr } = require('../utils/timezone');
+const { saveRoomWithRetry, RoomConflictError } = require('../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('./roomHistoryService');
 
 /**
  * 구글 캘린더에 확정 일정 동기화
- * refreshToken이 있는 사용자만 구글 캘린더에 이벤트 생성
+ * refreshToken이 있는 사용자만 구글 캘린더에 이벤트 생성 (personalTimes는 사용자 시간대 기준)
  */
 const syncToGoogleCalendar = async (user, personalTimeEntry, participantNames = []) => {
   if (!user.google || !user.google.refreshToken) return;
@@ -55,8 +61,10 @@ const syncToGoogleCalendar = async (user, personalTimeEntry, participantNames =
       endDateStr = nextDay.toISOString().split('T')[0];
     }
 
-    const startDateTime = `${dateStr}T${startTime}:00+09:00`;
-    const endDateTime = `${endDateStr}T${endTime}:00+09:00`;
+    // 오프셋 없이 보내고 timeZone으로 해석하게 함 (서머타임 자동 반영)
+    const timeZone = getUserTimezone(user);
+    const startDateTime = `${dateStr}T${startTime}:00`;
+    const endDateTime = `${endDateStr}T${endTime}:00`;
 
     // description 구성: 장소 + 참석자 수 + 참석자 이름
     let descParts = [];
@@ -73,8 +81,8 @@ const syncToGoogleCalendar = async (user, personalTimeEntry, participantNames =
     const eventResource = {
       summary: personalTimeEntry.title,
       description: descParts.join('\n'),
-      start: { dateTime: startDateTime, timeZone: 'Asia/Seoul' },
-      end: { dateTime: endDateTime, timeZone: 'Asia/Seoul' },
+      start: { dateTime: startDateTime, timeZone },
+      end: { dateTime: endDateTime, timeZone },
       location: personalTimeEntry.location || undefined,
       // 🆕 조율방 확정 일정임을 표시 (프론트엔드에서 파란색으로 렌더링)
       extendedProperties: {
@@ -175,6 +183,30 @@ const mergeConsecutiveSlots = (slots) => {
   return merged;
 };
 
+/**
+ * 방 시간대 슬롯을 사용자 시간대 슬롯으로 변환 (같은 시간대면 그대로 반환)
+ * 변환 후 자정을 넘으면 날짜별로 나누고, 자정 종료는 personalTimes 형식('00:00')으로 표시합니다.
+ * @param {Array} slots - { date, day, startTime, endTime, ... } (방 시간대)
+ * @param {string} roomTimezone
+ * @param {string} userTimezone
+ * @returns {Array} 같은 형식의 슬롯 (사용자 시간대)
+ */
+const toUserTimezoneSlots = (slots, roomTimezone, userTimezone) => {
+  if (roomTimezone === userTimezone) return slots;
+
+  return slots.flatMap(slot => {
+    const plain = typeof slot.toObject === 'function' ? slot.toObject() : slot;
+    const dateStr = new Date(slot.date).toISOString().split('T')[0];
+    return convertTimeRange(dateStr, slot.startTime, slot.endTime, roomTimezone, userTimezone).map(range => ({
+      ...plain,
+      date: new Date(`${range.dateStr}T00:00:00.000Z`),
+      day: range.day,
+      startTime: range.startTime,
+      endTime: range.endTime === '24:00' ? '00:00' : range.endTime
+    }));
+  });
+};
+
 /**
  * day 문자열을 숫자로 변환
  */
@@ -215,7 +247,7 @@ const removePreferenceTimes = (user, slots, roomId) => {
 
     assignedRangesByDate[dateStr].ranges.push({
       start: timeToMinutes(slot.startTime),
-      end: timeToMinutes(slot.endTime)
+      end: timeToMinutes(slot.endTime) || 24 * 60 // 자정 종료('00:00')
     });
   });
 
@@ -384,6 +416,7 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
     if (room.confirmedAt) {
       throw new Error('이미 확정된 스케줄입니다.');
     }
+    const beforeSlots = captureTimeSlots(room);
 
     // 2. 자동배정된 슬롯 필터링 (assignedBy가 있고 status가 'confirmed'인 것)
     // ⚠️ 이동시간 슬롯은 제외! (조원은 순수 수업시간만 확정)
@@ -437,6 +470,7 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
 
     // 참석자 수 계산 (방장 + 조원)
     const participantCount = 1 + (room.members ? room.members.length : Object.keys(mergedSlotsByUser).length);
+    const roomTimezone = getRoomTimezone(room);
 
     // 5. 각 조원의 personalTimes에 추가 + 선호시간 삭제
     const userMap = new Map();
@@ -456,16 +490,17 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
         user.personalTimes = [];
       }
 
-      // 선호시간 삭제 (원본 슬롯 사용) + 백업
+      // 선호시간 삭제 (원본 슬롯 사용) + 백업 - 조원 시간대 기준
+      const userTimezone = getUserTimezone(user);
       const originalSlots = autoAssignedSlots.filter(s => s.user.toString() === userId);
-      removePreferenceTimes(user, originalSlots, room._id);
+      removePreferenceTimes(user, toUserTimezoneSlots(originalSlots, roomTimezone, userTimezone), room._id);
 
       // 다음 ID 계산
       const maxId = user.personalTimes.reduce((max, pt) => Math.max(max, pt.id || 0), 0);
       let nextId = maxId + 1;
 
       // 병합된 각 슬롯을 personalTimes로 변환
-      mergedSlots.forEach(slot => {
+      toUserTimezoneSlots(mergedSlots, roomTimezone, userTimezone).forEach(slot => {
         const dayOfWeek = getDayOfWeekNumber(slot.day);
         const dateStr = slot.date.toISOString().split('T')[0];
 
@@ -527,7 +562,8 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
         ownerSlotsForDeletion.push(...room.travelTimeSlots);
       }
 
-      removePreferenceTimes(owner, ownerSlotsForDeletion, room._id);
+      const ownerTimezone = getUserTimezone(owner);
+      removePreferenceTimes(owner, toUserTimezoneSlots(ownerSlotsForDeletion, roomTimezone, ownerTimezone), room._id);
 
       const maxId = owner.personalTimes.reduce((max, pt) => Math.max(max, pt.id || 0), 0);
       let nextId = maxId + 1;
@@ -544,7 +580,7 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
 
         const memberName = `${memberUser.user.firstName || ''} ${memberUser.user.lastName || ''}`.trim() || '조원';
 
-        mergedSlots.forEach(slot => {
+        toUserTimezoneSlots(mergedSlots, roomTimezone, ownerTimezone).forEach(slot => {
           const dayOfWeek = getDayOfWeekNumber(slot.day);
           const dateStr = slot.date.toISOString().split('T')[0];
 
@@ -589,7 +625,7 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
       // 방장의 이동시간 슬롯 추가 (travel mode only)
 
       if (room.travelTimeSlots && room.travelTimeSlots.length > 0) {
-        room.travelTimeSlots.forEach(travelSlot => {
+        toUserTimezoneSlots(room.travelTimeSlots, roomTimezone, ownerTimezone).forEach(travelSlot => {
           const dayOfWeek = getDayOfWeekNumber(travelSlot.day);
           const dateStr = travelSlot.date.toISOString().split('T')[0];
 
@@ -654,27 +690,48 @@ async function confirmScheduleLogic(room, travelMode, requestUserId, requestUser
     await Promise.all(updatePromises);
 
     // 7. Room 저장 (confirmedAt, autoConfirmAt 등)
-    room.confirmedAt = new Date();
-    room.autoConfirmAt = null;
-    if (travelMode) {
-      room.confirmedTravelMode = travelMode;
-    }
+    const confirmedAt = new Date();
+    const confirmedSlotIds = new Set(autoAssignedSlots.map(slot => slot._id.toString()));
+    const applyConfirmation = (targetRoom) => {
+      targetRoom.confirmedAt = confirmedAt;
+      targetRoom.autoConfirmAt = null;
+      if (travelMode) {
+        targetRoom.confirmedTravelMode = travelMode;
+      }
 
-    // 확정된 슬롯 표시 (자동배정 시 중복 방지)
-    autoAssignedSlots.forEach(slot => {
-      slot.confirmedToPersonalCalendar = true;
-    });
+      // 확정된 슬롯 표시 (자동배정 시 중복 방지)
+      targetRoom.timeSlots.forEach(slot => {
+        if (confirmedSlotIds.has(slot._id.toString())) {
+          slot.confirmedToPersonalCalendar = true;
+        }
+      });
+    };
 
-    await room.save();
+    applyConfirmation(room);
+    // 저장 중 다른 요청이 방을 수정했으면 최신 방에 다시 적용 (그 사이 확정됐으면 충돌)
+    const savedRoom = await saveRoomWithRetry(room, (freshRoom) => {
+      if (freshRoom.confirmedAt) {
+        throw new RoomConflictError('이미 확정된 스케줄입니다.');
+      }
+      applyConfirmation(freshRoom);
+    });
 
-    // 8. 활동 로그 기록
+    // 8. 활동 로그 + 시간표 이력 기록
+    const logDetails = `자동배정 시간 확정 완료 (${autoAssignedSlots.length}개 슬롯 → ${Object.values(mergedSlotsByUser).reduce((sum, slots) => sum + slots.length, 0)}개 병합, 조원 ${Object.keys(mergedSlotsByUser).length}명 + 방장)`;
     await ActivityLog.logActivity(
       room._id,
       requestUserId,
       requestUserName,
       'confirm_schedule',
-      `자동배정 시간 확정 완료 (${autoAssignedSlots.length}개 슬롯 → ${Object.values(mergedSlotsByUser).reduce((sum, slots) => sum + slots.length, 0)}개 병합, 조원 ${Object.keys(mergedSlotsByUser).length}명 + 방장)`
+      logDetails
     );
+    await recordRoomSnapshot(savedRoom, {
+      action: 'confirm_schedule',
+      before: beforeSlots,
+      userId: requestUserId,
+      userName: requestUserName,
+      details: logDetails
+    });
 
     // 9. Socket.io로 실시간 알림 전송
     if (global.io) {
@@ -744,8 +801,10 @@ const deleteFromGoogleCalendar = async (user, personalTimeEntry) => {
         console.log(`[Google Calendar] ⚠️ specificDate 없음 - 추가 검색 불가`);
         return;
       }
-      const timeMin = new Date(`${dateStr}T00:00:00+09:00`).toISOString();
-      const timeMax = new Date(`${dateStr}T23:59:59+09:00`).toISOString();
+      // 사용자 시간대 기준 하루
+      const timeZone = getUserTimezone(user);
+      const timeMin = wallClockToDate(dateStr, '00:00', timeZone).toISOString();
+      const timeMax = wallClockToDate(shiftDateStr(dateStr, 1), '00:00', timeZone).toISOString();
 
       const eventsRes = await calendar.events.list({
         calendarId: 'primary',
@@ -816,6 +875,7 @@ const deleteFromGoogleCalendar = async (user, personalTimeEntry) => {
 
 module.exports = {
   confirmScheduleLogic,
+  toUserTimezoneSlots,
   syncToGoogleCalendar,
   deleteFromGoogleCalendar
 };
@@ -0,0 +1,201 @@
+/**
+ * ===================================================================================================
+ * Day Route Optimizer (하루 방문 순서 최적화 - 시간 제약이 있는 외판원 문제)
+ * ===================================================================================================
+ *
+ * 설명: 방장이 하루에 방문하는 학생 집들의 순서를 바꿔 총 이동시간을 최소화
+ *       (각 방문은 그 학생이 가능한 시간 안에서만 시작/종료, 금지시간과 겹치면 안 됨)
+ *
+ * 주요 기능:
+ * - scheduleOrder: 정해진 방문 순서로 시간을 배치 (불가능하면 null)
+ * - solveDayRoute: 총 이동시간이 가장 짧은 방문 순서와 시간 배치
+ *   - 방문 EXACT_VISIT_LIMIT개 이하: 가지치기 전수 탐색 (정확한 최적해)
+ *   - 그보다 많으면: 현재 순서에서 시작해 한 방문 옮기기 / 두 방문 바꾸기로 개선 (근사해)
+ *
+ * 관련 파일:
+ * - server/services/dayRouteService.js - 방 시간표에서 방문/가능 시간/이동시간 행렬을 만들어 호출
+ *
+ * 참고:
+ * - 시간은 모두 자정부터 지난 분, 이동시간 행렬은 0번이 출발지(그날 방장 출발 장소), 1..n번이 방문
+ * - 도착 장소(endIndex)를 주면 마지막 방문 → 도착 장소 구간도 총 이동시간에 넣음 (없으면 돌아오는 구간 제외)
+ *
+ * ===================================================================================================
+ */
+
+const EXACT_VISIT_LIMIT = 8;
+const MAX_IMPROVEMENT_ROUNDS = 50;
+
+const roundUp = (minutes, step) => Math.ceil(minutes / step) * step;
+
+/**
+ * 가장 이른 시작 시간 이후로 방문을 놓을 수 있는 첫 시간
+ * @param {Object} visit - { duration, windows: [{ start, end }] }
+ * @param {number} earliest - 이 시간 이후에만 시작 가능
+ * @param {Array} busy - 수업을 놓을 수 없는 시간 [{ start, end }]
+ * @param {number} step - 시작 시간 단위 (분)
+ * @returns {number|null} 시작 시간
+ */
+const findStart = (visit, earliest, busy, step) => {
+  for (const window of visit.windows) {
+    let start = roundUp(Math.max(earliest, window.start), step);
+    while (start + visit.duration <= window.end) {
+      const blocking = busy.find(b => start < b.end && start + visit.duration > b.start);
+      if (!blocking) return start;
+      start = roundUp(blocking.end, step);
+    }
+  }
+  return null;
+};
+
+const fitsAt = (visit, start, busy) =>
+  visit.windows.some(w => start >= w.start && start + visit.duration <= w.end) &&
+  !busy.some(b => start < b.end && start + visit.duration > b.start);
+
+/**
+ * 방문 순서대로 시간 배치
+ * 첫 방문은 출발 시간에 제약이 없고, 다음 방문부터는 이전 수업 종료 + 이동시간 이후에 시작합니다.
+ * keepCurrent가 켜져 있으면 지금 시간(visit.currentStart)에 그대로 둘 수 있는 방문은 옮기지 않습니다.
+ *
+ * @param {Array<number>} order - 방문 인덱스 순서 (visits 배열 기준)
+ * @param {Object} problem - { visits, matrix, busy, step, endIndex }
+ * @param {Object} [options] - { keepCurrent }
+ * @returns {Object|null} { stops: [{ visit, start, end, travelMinutes }], returnMinutes, totalTravelMinutes, finish }
+ */
+const scheduleOrder = (order, { visits, matrix, busy = [], step = 10, endIndex = null }, { keepCurrent = false } = {}) => {
+  const stops = [];
+  let previous = 0;
+  let previousEnd = -Infinity;
+  let totalTravelMinutes = 0;
+
+  for (const index of order) {
+    const visit = visits[index];
+    const travelMinutes = matrix[previous][index + 1];
+    const earliest = stops.length === 0 ? 0 : previousEnd + travelMinutes;
+    const start = keepCurrent && visit.currentStart >= earliest && fitsAt(visit, visit.currentStart, busy)
+      ? visit.currentStart
+      : findStart(visit, earliest, busy, step);
+    if (start === null) return null;
+
+    stops.push({ visit: index, start, end: start + visit.duration, travelMinutes });
+    totalTravelMinutes += travelMinutes;
+    previous = index + 1;
+    previousEnd = start + visit.duration;
+  }
+
+  // 도착 장소 구간은 모든 방문이 정해진 뒤에만 더함 (탐색 중 부분 순서의 합은 하한으로 쓰임)
+  const returnMinutes = endIndex !== null && stops.length > 0 && order.length === visits.length
+    ? matrix[previous][endIndex]
+    : 0;
+  totalTravelMinutes += returnMinutes;
+
+  return { stops, returnMinutes, totalTravelMinutes, finish: previousEnd };
+};
+
+const isBetter = (candidate, best) =>
+  !best ||
+  candidate.totalTravelMinutes < best.totalTravelMinutes ||
+  (candidate.totalTravelMinutes === best.totalTravelMinutes && candidate.finish < best.finish);
+
+/**
+ * 가지치기 전수 탐색 (현재 순서부터 탐색하므로 이동시간이 같으면 지금 순서를 유지)
+ */
+const searchExact = (problem, initialOrder) => {
+  let best = null;
+  let bestOrder = null;
+
+  const extend = (order, remaining) => {
+    const partial = scheduleOrder(order, problem);
+    if (!partial) return;
+    if (best && partial.totalTravelMinutes > best.totalTravelMinutes) return;
+    if (remaining.length === 0) {
+      if (isBetter(partial, best)) {
+        best = partial;
+        bestOrder = order;
+      }
+      return;
+    }
+    remaining.forEach((index, i) => {
+      extend([...order, index], [...remaining.slice(0, i), ...remaining.slice(i + 1)]);
+    });
+  };
+
+  extend([], initialOrder);
+  return bestOrder;
+};
+
+/**
+ * 지역 개선 (한 방문을 다른 위치로 옮기기, 두 방문 바꾸기)
+ */
+const searchLocal = (problem, initialOrder) => {
+  let bestOrder = initialOrder;
+  let best = scheduleOrder(initialOrder, problem);
+  if (!best) {
+    // 지금 순서로 배치가 안 되면 가능한 방문부터 차례로 붙여 시작 순서를 만듦
+    const order = [];
+    const remaining = [...initialOrder];
+    while (remaining.length > 0) {
+      const next = remaining
+        .map(index => ({ index, schedule: scheduleOrder([...order, index], problem) }))
+        .filter(candidate => candidate.schedule)
+        .sort((a, b) => a.schedule.totalTravelMinutes - b.schedule.totalTravelMinutes)[0];
+      if (!next) return null;
+      order.push(next.index);
+      remaining.splice(remaining.indexOf(next.index), 1);
+    }
+    bestOrder = order;
+    best = scheduleOrder(order, problem);
+  }
+
+  for (let round = 0; round < MAX_IMPROVEMENT_ROUNDS; round++) {
+    let improved = false;
+    for (let i = 0; i < bestOrder.length && !improved; i++) {
+      for (let j = 0; j < bestOrder.length && !improved; j++) {
+        if (i === j) continue;
+        const moved = [...bestOrder];
+        moved.splice(j, 0, moved.splice(i, 1)[0]);
+        const swapped = [...bestOrder];
+        [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+
+        for (const candidateOrder of [moved, swapped]) {
+          const candidate = scheduleOrder(candidateOrder, problem);
+          if (candidate && isBetter(candidate, best)) {
+            best = candidate;
+            bestOrder = candidateOrder;
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return bestOrder;
+};
+
+/**
+ * 하루 방문 순서 최적화
+ * @param {Object} problem
+ * @param {Array} problem.visits - [{ duration, currentStart, windows: [{ start, end }] }] (지금 시간순)
+ * @param {Array<Array<number>>} problem.matrix - 이동시간(분), 0번은 출발지, 1..n번은 방문 (도착 장소가 있으면 n+1번)
+ * @param {Array} [problem.busy] - 수업을 놓을 수 없는 시간 [{ start, end }]
+ * @param {number} [problem.step] - 시작 시간 단위 (분)
+ * @param {number|null} [problem.endIndex] - 도착 장소의 행렬 번호 (없으면 돌아오는 구간 제외)
+ * @returns {Object|null} { order, stops, returnMinutes, totalTravelMinutes, exact } (가능한 순서가 없으면 null)
+ */
+const solveDayRoute = (problem) => {
+  const initialOrder = problem.visits.map((_, index) => index);
+  const exact = problem.visits.length <= EXACT_VISIT_LIMIT;
+  const order = exact ? searchExact(problem, initialOrder) : searchLocal(problem, initialOrder);
+  if (!order) return null;
+
+  // 순서가 정해지면 옮기지 않아도 되는 방문은 지금 시간 그대로 둠 (안 되면 가장 이른 시간으로)
+  const schedule = scheduleOrder(order, problem, { keepCurrent: true }) || scheduleOrder(order, problem);
+  return { order, ...schedule, exact };
+};
+
+module.exports = {
+  EXACT_VISIT_LIMIT,
+  scheduleOrder,
+  solveDayRoute
+};
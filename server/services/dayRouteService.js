@@ -0,0 +1,415 @@
+/**
+ * ===================================================================================================
+ * Day Route Service (방장 하루 동선 최적화)
+ * ===================================================================================================
+ *
+ * 설명: 하루에 확정된 방문(조원 수업)의 순서를 바꿔 방장의 총 이동시간을 줄이는 제안을 만들고,
+ *       방장이 수락하면 시간이 바뀌는 조원에게 동선 조정 요청(route_reorder)을 보냄
+ *
+ * 주요 기능:
+ * - buildDayRoutePlan: 현재 순서와 최적 순서의 총 이동시간 / 바뀌는 방문 목록
+ * - createRouteReorderRequests: 바뀌는 조원마다 요청 생성 (같은 제안의 요청은 routePlan.planId로 묶음)
+ * - handleRouteReorderApproval: 같은 제안의 요청이 모두 승인되면 한 번에 시간표에 반영
+ * - cancelRouteReorderPlan: 한 명이라도 거절하면 나머지 요청 취소
+ *
+ * 관련 파일:
+ * - server/services/dayRouteOptimizer.js - 방문 순서 탐색 (시간 제약이 있는 외판원 문제)
+ * - server/controllers/dayRouteController.js - GET/POST /api/coordination/rooms/:roomId/day-route
+ * - server/controllers/coordinationRequestController/index.js - 요청 승인/거절 시 호출
+ *
+ * 참고:
+ * - 방문의 가능 시간 = 조원 선호시간(그날) ∪ 지금 배정된 시간, 방 금지시간 / 방장 일정 / 위치 없는 조원 수업은 피함
+ * - 출발지 / 도착지는 그날 방장 출발·도착 장소, 방문 위치는 지금 시간의 선호시간에 지정된 장소 (utils/savedLocations)
+ * - 이동시간 행렬은 그날 첫 수업 시작 시각 출발 기준 (services/routing)
+ * - 반영 후 그날의 이동시간 슬롯(travelTimeSlots)은 순서가 달라져 맞지 않으므로 지움
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const routing = require('./routing');
+const { solveDayRoute } = require('./dayRouteOptimizer');
+const { getAllPreferredTimes } = require('./schedulingAlgorithm/validators/travelTimeValidator');
+const { MINUTES_PER_SLOT } = require('./schedulingAlgorithm/constants/timeConstants');
+const { getRoomTimezone } = require('../utils/timezone');
+const { getSessionPlace, getOwnerDayPlaces } = require('../utils/savedLocations');
+
+const TRAVEL_MODES = ['transit', 'driving', 'bicycling', 'walking'];
+const ROUTE_REORDER = 'route_reorder';
+const PLAN_CONFLICT_MESSAGE = '시간표가 바뀌어 동선 조정을 적용하지 못했습니다.';
+
+/**
+ * 동선 최적화 오류 (status: 응답 코드)
+ */
+class DayRouteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DayRouteError';
+    this.status = status;
+  }
+}
+
+const toIdString = (value) => (value?._id || value)?.toString();
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const memberName = (user) => `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || '조원';
+
+// 겹치거나 맞닿은 구간을 합쳐 시작 시간순으로 정렬
+const mergeRanges = (ranges) => {
+  const merged = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  });
+  return merged;
+};
+
+/**
+ * 방 이동수단 (요청한 이동수단 → 확정/선택된 이동 모드 → 대중교통)
+ */
+const resolveTravelMode = (room, requestedMode) => {
+  if (TRAVEL_MODES.includes(requestedMode)) return requestedMode;
+  return [room.confirmedTravelMode, room.currentTravelMode].find(mode => TRAVEL_MODES.includes(mode)) || 'transit';
+};
+
+/**
+ * 그날의 확정된 수업 슬롯 (이동시간 슬롯 제외) - 미리보기와 승인 반영이 같은 슬롯을 보도록 공유
+ * @returns {Array} Room.timeSlots 항목
+ */
+const getDaySlots = (room, dateStr) =>
+  room.timeSlots.filter(slot => !slot.isTravel && slot.status === 'confirmed' && toDateString(slot.date) === dateStr);
+
+/**
+ * 그날의 수업 블록 (같은 조원의 연속 슬롯을 합침, 이동시간 슬롯 제외)
+ * @returns {Array} [{ userId, start, end, slots }]
+ */
+const getDayBlocks = (room, dateStr) => {
+  const slots = getDaySlots(room, dateStr)
+    .sort((a, b) => toIdString(a.user).localeCompare(toIdString(b.user)) || toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  const blocks = [];
+  slots.forEach(slot => {
+    const userId = toIdString(slot.user);
+    const last = blocks[blocks.length - 1];
+    if (last && last.userId === userId && last.end === toMinutes(slot.startTime)) {
+      last.end = toMinutes(slot.endTime);
+      last.slots.push(slot);
+    } else {
+      blocks.push({ userId, start: toMinutes(slot.startTime), end: toMinutes(slot.endTime), slots: [slot] });
+    }
+  });
+  return blocks.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * 방 금지시간 / 방 예외시간 중 그날에 해당하는 구간
+ */
+const getRoomBlockedRanges = (room, dateStr) => {
+  const dayOfWeek = new Date(dateStr).getUTCDay();
+  const blocked = (room.settings?.blockedTimes || []).map(bt => ({ start: toMinutes(bt.startTime), end: toMinutes(bt.endTime) }));
+  (room.settings?.roomExceptions || []).forEach(ex => {
+    const applies = ex.type === 'daily_recurring'
+      ? ex.dayOfWeek === dayOfWeek
+      : ex.startDate && ex.endDate && toDateString(ex.startDate) <= dateStr && dateStr <= toDateString(ex.endDate);
+    if (applies) blocked.push({ start: toMinutes(ex.startTime), end: toMinutes(ex.endTime) });
+  });
+  return blocked;
+};
+
+/**
+ * 조원이 그날 수업할 수 있는 시간 (선호시간이 아예 없으면 방 운영 시간 전체)
+ */
+const getMemberWindows = (user, dateStr, dayRange, block) => {
+  const dayOfWeek = new Date(dateStr).getUTCDay();
+  const preferred = getAllPreferredTimes(user || {});
+  const windows = preferred.length === 0
+    ? [dayRange]
+    : preferred
+      .filter(pref => (pref.specificDate ? pref.specificDate === dateStr : pref.dayOfWeek === dayOfWeek))
+      .map(pref => ({
+        start: Math.max(dayRange.start, toMinutes(pref.startTime)),
+        end: Math.min(dayRange.end, toMinutes(pref.endTime))
+      }))
+      .filter(range => range.start < range.end);
+  // 지금 배정된 시간은 조원이 이미 받아들인 시간이므로 항상 가능
+  return mergeRanges([...windows, { start: block.start, end: block.end }]);
+};
+
+/**
+ * 출발지 + 방문 위치 (+ 도착지) 사이 이동시간 행렬 (분)
+ * @param {number|null} endIndex - 도착지 번호 (도착지에서 출발하는 구간은 계산하지 않음)
+ */
+const buildTravelMatrix = async (locations, mode, departureTime, timeZone, endIndex = null) => {
+  const matrix = locations.map(() => locations.map(() => 0));
+  for (const [i, origin] of locations.entries()) {
+    if (i === endIndex) continue;
+    const targets = locations.map((location, j) => ({ location, j })).filter(({ j }) => j !== i && j !== 0);
+    if (targets.length === 0) continue;
+    const results = await routing.getTravelTimes(origin, targets.map(t => t.location), mode, { departureTime, timeZone });
+    results.forEach((result, k) => {
+      if (!result) throw new DayRouteError('이동시간을 계산할 수 없는 구간이 있습니다.', 502);
+      matrix[i][targets[k].j] = Math.ceil(result.minutes);
+    });
+  }
+  return matrix;
+};
+
+/**
+ * 하루 동선 최적화 제안
+ * @param {Object} room - owner / members.user가 populate된 방 (주소 좌표, 저장 장소, 선호시간, 이름)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} [options] - { mode } 이동수단 (생략하면 방 이동 모드)
+ * @returns {Promise<Object>} { date, transportMode, startLabel, endLabel, before, after, savedMinutes, improved, exact, moves }
+ */
+const buildDayRoutePlan = async (room, dateStr, { mode } = {}) => {
+  const owner = room.owner;
+  const ownerPlaces = getOwnerDayPlaces(room, owner, dateStr);
+  if (!ownerPlaces.start) {
+    throw new DayRouteError('방장 주소(또는 그날 출발 장소)가 있어야 동선을 계산할 수 있습니다.');
+  }
+
+  const transportMode = resolveTravelMode(room, mode);
+  const ownerId = toIdString(owner);
+  const usersById = new Map(room.members.map(member => [toIdString(member.user), member.user]));
+  const dayRange = { start: (room.settings?.startHour ?? 9) * 60, end: (room.settings?.endHour ?? 18) * 60 };
+
+  const blocks = getDayBlocks(room, dateStr);
+  blocks.forEach(block => {
+    const user = usersById.get(block.userId);
+    block.place = block.userId !== ownerId && user
+      ? getSessionPlace(user, dateStr, toTime(block.start), room._id)
+      : null;
+  });
+  const visitBlocks = blocks.filter(block => block.place);
+  // 방장 일정과 위치를 모르는 조원의 수업은 그대로 두고 피해서 배치
+  const busy = mergeRanges([
+    ...getRoomBlockedRanges(room, dateStr),
+    ...blocks.filter(block => !visitBlocks.includes(block)).map(({ start, end }) => ({ start, end }))
+  ]);
+
+  const plan = {
+    date: dateStr,
+    transportMode,
+    startLabel: ownerPlaces.start.label,
+    endLabel: ownerPlaces.end?.label || null,
+    before: { totalTravelMinutes: 0, returnMinutes: 0, stops: [] },
+    after: { totalTravelMinutes: 0, returnMinutes: 0, stops: [] },
+    savedMinutes: 0,
+    improved: false,
+    exact: true,
+    moves: []
+  };
+  if (visitBlocks.length === 0) return plan;
+
+  const visits = visitBlocks.map(block => ({
+    block,
+    duration: block.end - block.start,
+    currentStart: block.start,
+    windows: getMemberWindows(usersById.get(block.userId), dateStr, dayRange, block)
+  }));
+  const toLocation = ({ lat, lng, address }) => ({ lat, lng, address });
+  const locations = [
+    toLocation(ownerPlaces.start),
+    ...visitBlocks.map(block => toLocation(block.place)),
+    ...(ownerPlaces.end ? [toLocation(ownerPlaces.end)] : [])
+  ];
+  const endIndex = ownerPlaces.end ? locations.length - 1 : null;
+  const timeZone = getRoomTimezone(room);
+  const departureTime = routing.toDepartureTime(dateStr, toTime(visitBlocks[0].start), timeZone);
+  const matrix = await buildTravelMatrix(locations, transportMode, departureTime, timeZone, endIndex);
+  const problem = { visits, matrix, busy, step: MINUTES_PER_SLOT, endIndex };
+
+  const toStops = (stops) => stops.map(stop => {
+    const { block } = visits[stop.visit];
+    return {
+      memberId: block.userId,
+      memberName: memberName(usersById.get(block.userId)),
+      placeLabel: block.place.label,
+      startTime: toTime(stop.start),
+      endTime: toTime(stop.end),
+      travelMinutes: stop.travelMinutes
+    };
+  });
+
+  // 지금 순서/시간 그대로의 이동시간
+  const currentStops = visits.map((visit, index) => ({
+    visit: index,
+    start: visit.block.start,
+    end: visit.block.end,
+    travelMinutes: matrix[index][index + 1]
+  }));
+  const currentReturnMinutes = endIndex === null ? 0 : matrix[visits.length][endIndex];
+  plan.before = {
+    totalTravelMinutes: currentStops.reduce((sum, stop) => sum + stop.travelMinutes, currentReturnMinutes),
+    returnMinutes: currentReturnMinutes,
+    stops: toStops(currentStops)
+  };
+
+  const best = solveDayRoute(problem);
+  if (!best) {
+    plan.after = plan.before;
+    return plan;
+  }
+
+  plan.exact = best.exact;
+  plan.after = { totalTravelMinutes: best.totalTravelMinutes, returnMinutes: best.returnMinutes, stops: toStops(best.stops) };
+  plan.savedMinutes = plan.before.totalTravelMinutes - plan.after.totalTravelMinutes;
+  plan.improved = plan.savedMinutes > 0;
+  if (!plan.improved) {
+    plan.after = plan.before;
+    plan.savedMinutes = 0;
+    return plan;
+  }
+
+  plan.moves = best.stops
+    .filter(stop => stop.start !== visits[stop.visit].block.start)
+    .map(stop => {
+      const { block } = visits[stop.visit];
+      return {
+        memberId: block.userId,
+        memberName: memberName(usersById.get(block.userId)),
+        subject: block.slots[0].subject,
+        day: block.slots[0].day,
+        from: { startTime: toTime(block.start), endTime: toTime(block.end) },
+        to: { startTime: toTime(stop.start), endTime: toTime(stop.end) }
+      };
+    });
+  return plan;
+};
+
+/**
+ * 그날 응답을 기다리는 동선 조정 요청이 있는지
+ */
+const hasPendingRouteReorder = (room, dateStr) => room.requests.some(request =>
+  request.type === ROUTE_REORDER &&
+  request.status === 'pending' &&
+  request.routePlan?.date && toDateString(request.routePlan.date) === dateStr
+);
+
+/**
+ * 바뀌는 조원마다 동선 조정 요청 생성 (저장은 호출하는 쪽에서)
+ * @param {Object} room
+ * @param {Object} plan - buildDayRoutePlan 결과
+ * @param {string} requesterId - 수락한 방장 / 공동 방장
+ * @returns {Array} 생성된 요청
+ */
+const createRouteReorderRequests = (room, plan, requesterId) => {
+  const planId = new mongoose.Types.ObjectId();
+  const date = new Date(`${plan.date}T00:00:00.000Z`);
+  const message = `동선 최적화: 하루 이동시간 ${plan.before.totalTravelMinutes}분 → ${plan.after.totalTravelMinutes}분`;
+
+  plan.moves.forEach(move => {
+    room.requests.push({
+      requester: requesterId,
+      type: ROUTE_REORDER,
+      targetUser: move.memberId,
+      timeSlot: { day: move.day, date, startTime: move.to.startTime, endTime: move.to.endTime, subject: move.subject, user: move.memberId },
+      targetSlot: { day: move.day, date, startTime: move.from.startTime, endTime: move.from.endTime, subject: move.subject, user: move.memberId },
+      routePlan: {
+        planId,
+        date,
+        transportMode: plan.transportMode,
+        beforeTravelMinutes: plan.before.totalTravelMinutes,
+        afterTravelMinutes: plan.after.totalTravelMinutes
+      },
+      message
+    });
+  });
+  room.markModified('requests');
+  return room.requests.slice(-plan.moves.length);
+};
+
+const getPlanRequests = (room, request) => room.requests.filter(other =>
+  other.type === ROUTE_REORDER && other.routePlan?.planId?.equals(request.routePlan.planId)
+);
+
+/**
+ * 같은 제안의 남은 요청 취소 (거절 / 적용 실패)
+ * @param {Object} room
+ * @param {Object} request - 거절된 요청
+ * @param {string} reason - 취소된 요청에 남길 응답
+ */
+const cancelRouteReorderPlan = (room, request, reason) => {
+  getPlanRequests(room, request)
+    .filter(other => !other._id.equals(request._id) && ['pending', 'approved'].includes(other.status))
+    .forEach(other => {
+      other.status = 'cancelled';
+      other.response = reason;
+    });
+  room.markModified('requests');
+};
+
+/**
+ * 동선 조정 요청 승인 처리: 같은 제안의 요청이 모두 승인되면 시간표에 한 번에 반영
+ * 그 사이 시간표가 바뀌어 옮길 수업이 없거나 다른 수업과 겹치면 제안 전체를 취소합니다.
+ * @param {Object} room
+ * @param {Object} request - 방금 승인된 요청 (status가 이미 'approved')
+ * @returns {{ applied: boolean, cancelled: boolean }}
+ */
+const handleRouteReorderApproval = (room, request) => {
+  const planRequests = getPlanRequests(room, request);
+  if (planRequests.some(other => other.status === 'pending')) return { applied: false, cancelled: false };
+
+  const dateStr = toDateString(request.routePlan.date);
+  const daySlots = getDaySlots(room, dateStr);
+  const shifts = new Map();
+
+  const moved = planRequests.every(other => {
+    const userId = toIdString(other.targetUser);
+    const from = { start: toMinutes(other.targetSlot.startTime), end: toMinutes(other.targetSlot.endTime) };
+    const delta = toMinutes(other.timeSlot.startTime) - from.start;
+    const slots = daySlots.filter(slot =>
+      toIdString(slot.user) === userId && toMinutes(slot.startTime) >= from.start && toMinutes(slot.endTime) <= from.end
+    );
+    slots.forEach(slot => shifts.set(slot, delta));
+    return slots.length > 0;
+  });
+
+  const ranges = daySlots.map(slot => ({
+    shifted: shifts.has(slot),
+    start: toMinutes(slot.startTime) + (shifts.get(slot) || 0),
+    end: toMinutes(slot.endTime) + (shifts.get(slot) || 0)
+  }));
+  const overlaps = ranges.some((a, i) => ranges.some((b, j) =>
+    i < j && (a.shifted || b.shifted) && a.start < b.end && b.start < a.end
+  ));
+
+  if (!moved || overlaps) {
+    planRequests.forEach(other => {
+      other.status = 'cancelled';
+      other.response = PLAN_CONFLICT_MESSAGE;
+    });
+    room.markModified('requests');
+    return { applied: false, cancelled: true };
+  }
+
+  shifts.forEach((delta, slot) => {
+    slot.startTime = toTime(toMinutes(slot.startTime) + delta);
+    slot.endTime = toTime(toMinutes(slot.endTime) + delta);
+    if (slot.originalStartTime) slot.originalStartTime = toTime(toMinutes(slot.originalStartTime) + delta);
+    if (slot.originalEndTime) slot.originalEndTime = toTime(toMinutes(slot.originalEndTime) + delta);
+  });
+  room.travelTimeSlots = (room.travelTimeSlots || []).filter(slot => toDateString(slot.date) !== dateStr);
+  room.markModified('timeSlots');
+  room.markModified('travelTimeSlots');
+  room.markModified('requests');
+  return { applied: true, cancelled: false };
+};
+
+module.exports = {
+  ROUTE_REORDER,
+  DayRouteError,
+  buildDayRoutePlan,
+  hasPendingRouteReorder,
+  createRouteReorderRequests,
+  cancelRouteReorderPlan,
+  handleRouteReorderApproval
+};
@@ -10,11 +10,37 @@
  *           - 요일에 따라 달라짐 (혼자 vs 다른 일정 뒤)
  *           - 삽입/교환 시 재계산 필요
  *
+ * 이동시간 자체는 ./routing (설정된 프로바이더 + 대체 프로바이더)에서 계산합니다.
+ * 각 구간은 실제 출발 시각(이전 일정 종료 시각, 첫 구간은 도착 시각에서 역산) 기준으로 계산합니다.
+ * 출발지는 그날 방장 출발 장소, 각 수업 장소는 조원이 선호시간에 지정한 장소(없으면 집)입니다 (utils/savedLocations).
+ *
  * ===================================================================================================
  */
 
 const Room = require('../models/room');
-const travelTimeCache = require('./schedulingAlgorithm/utils/travelTimeCache');
+const routing = require('./routing');
+const { getRoomTimezone } = require('../utils/timezone');
+const { getSessionPlace, getOwnerDayPlaces, toSlotLocation } = require('../utils/savedLocations');
+
+// 출발/수업 장소 결정에 필요한 사용자 필드 (utils/savedLocations)
+const PLACE_USER_FIELDS = 'address addressLat addressLng savedLocations defaultSchedule deletedPreferencesByRoom';
+
+// 방장 위치를 전혀 알 수 없을 때의 출발 위치
+const DEFAULT_START_LOCATION = {
+  type: 'address',
+  address: '서울시 강남구',
+  coordinates: { lat: 37.4979, lng: 127.0276 } // 기본값: 강남역
+};
+
+/**
+ * 슬롯 주인이 그 시간에 있을 장소 (room.members.user가 PLACE_USER_FIELDS로 채워져 있어야 함)
+ */
+function resolveSessionPlace(room, slot, date) {
+  const slotUserId = (slot.user?._id || slot.user)?.toString();
+  if (!slotUserId) return null;
+  const member = room.members.find(m => (m.user?._id || m.user)?.toString() === slotUserId);
+  return member?.user?._id ? getSessionPlace(member.user, slot.date || date, slot.startTime, room._id) : null;
+}
 
 /**
  * 시간을 분 단위로 변환
@@ -76,121 +102,95 @@ function isTimeInRange(time, rangeStart, rangeEnd) {
 class DynamicTravelTimeCalculator {
 
   /**
-   * 두 위치 간 이동시간 계산 (Google Maps API 활용, 캐싱 포함)
+   * 두 위치 간 경로 조회 (routing 프로바이더, 캐싱 포함)
    * @param {Object} fromLocation - 출발 위치 { type, address, coordinates: {lat, lng} }
    * @param {Object} toLocation - 도착 위치
    * @param {string} travelMode - 이동수단 ('transit', 'driving', 'bicycling', 'walking', 'normal')
-   * @returns {Promise<number>} 이동시간 (분 단위)
+   * @param {Object} [options]
+   * @param {Date} [options.departureTime] - 출발 시각 (없으면 시간대 구분 없는 값)
+   * @param {string} [options.timeZone] - 출발 시간대(출근/퇴근 등)를 판단할 방 시간대
+   * @returns {Promise<Object>} { minutes, distanceKm, provider, ... } (위치가 없거나 계산 실패 시 provider: 'default', 30분)
    */
-  async calculateTravelTimeBetween(fromLocation, toLocation, travelMode = 'transit') {
-    if (!fromLocation || !toLocation) {
-      console.warn('⚠️  위치 정보가 없습니다. 기본값 30분 반환');
-      return 30;
-    }
-
+  async calculateTravelRoute(fromLocation, toLocation, travelMode = 'transit', { departureTime, timeZone } = {}) {
     // 'normal' 모드는 이동시간 계산 안 함
     if (travelMode === 'normal') {
-      return 0;
+      return { minutes: 0, distanceKm: 0, mode: travelMode, provider: null, cached: false };
     }
 
-    // 위치를 문자열로 변환 (캐시 키용)
-    const originParam = fromLocation.coordinates
-      ? `${fromLocation.coordinates.lat},${fromLocation.coordinates.lng}`
-      : fromLocation.address;
-
-    const destParam = toLocation.coordinates
-      ? `${toLocation.coordinates.lat},${toLocation.coordinates.lng}`
-      : toLocation.address;
-
-    // Google Maps API mode 변환
-    const modeMap = {
-      'transit': 'transit',
-      'driving': 'driving',
-      'bicycling': 'bicycling',
-      'walking': 'walking'
-    };
-    const mode = modeMap[travelMode] || 'transit';
-
-    // 1. 캐시 확인
-    const cached = travelTimeCache.get(originParam, destParam, mode);
-    if (cached !== null) {
-      return cached;
+    if (!fromLocation || !toLocation) {
+      console.warn('⚠️  위치 정보가 없습니다. 기본값 30분 반환');
+      return { minutes: 30, distanceKm: null, mode: travelMode, provider: 'default', cached: false };
     }
 
-    // 2. Google Maps API 호출
     try {
-      const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-      if (!apiKey) {
-        console.error('❌ Google Maps API Key가 설정되지 않았습니다.');
-        return 30; // 기본값 30분
+      const result = await routing.getTravelTime(fromLocation, toLocation, travelMode, { departureTime, timeZone });
+      if (!result.cached) {
+        console.log(`🚗 [이동시간 계산] ${fromLocation.description || '출발'} → ${toLocation.description || '도착'}: ${result.minutes}분 (${result.mode}, ${result.provider})`);
       }
+      return result;
+    } catch (error) {
+      console.error('❌ 이동시간 계산 실패, 기본값 30분 사용:', error.message);
+      return { minutes: 30, distanceKm: null, mode: travelMode, provider: 'default', cached: false };
+    }
+  }
 
-      const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${encodeURIComponent(originParam)}&destinations=${encodeURIComponent(destParam)}&mode=${mode}&key=${apiKey}&language=ko`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status === 'OK' && data.rows[0]?.elements[0]?.status === 'OK') {
-        const durationSeconds = data.rows[0].elements[0].duration.value;
-        const travelTimeMinutes = Math.ceil(durationSeconds / 60);
-
-        // 캐시에 저장
-        travelTimeCache.set(originParam, destParam, mode, travelTimeMinutes);
-
-        console.log(`🚗 [이동시간 계산] ${fromLocation.description || '출발'} → ${toLocation.description || '도착'}: ${travelTimeMinutes}분 (${mode})`);
-
-        return travelTimeMinutes;
-      } else {
-        console.warn(`⚠️  Google Maps API 응답 오류: ${data.status} / ${data.rows[0]?.elements[0]?.status}`);
-
-        // ✅ Fallback 1: 다른 교통수단 캐시 확인
-        const fallbackValue = travelTimeCache.getFromAnyMode(originParam, destParam, mode);
-        if (fallbackValue !== null) {
-          console.log(`🔄 [Fallback 성공] 다른 모드 캐시 사용: ${fallbackValue}분`);
-          travelTimeCache.set(originParam, destParam, mode, fallbackValue);
-          return fallbackValue;
-        }
-
-        // ✅ Fallback 2: 단순 거리 계산 (최종 fallback)
-        if (fromLocation.coordinates && toLocation.coordinates) {
-          const { lat: lat1, lng: lng1 } = fromLocation.coordinates;
-          const { lat: lat2, lng: lng2 } = toLocation.coordinates;
-
-          // Haversine 공식으로 거리 계산
-          const R = 6371; // 지구 반지름 (km)
-          const dLat = (lat2 - lat1) * Math.PI / 180;
-          const dLng = (lng2 - lng1) * Math.PI / 180;
-          const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                    Math.sin(dLng/2) * Math.sin(dLng/2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-          const distance = R * c; // km
-
-          // 교통수단별 속도
-          const speeds = {
-            driving: 40,
-            transit: 30,
-            walking: 5,
-            bicycling: 15
-          };
-          const speed = speeds[mode] || 30;
-          const travelTimeMinutes = Math.ceil((distance / speed) * 60 / 10) * 10; // 10분 단위
-
-          console.log(`🔄 [Fallback 성공] 단순 거리 계산: ${distance.toFixed(1)}km, ${travelTimeMinutes}분 (${mode})`);
+  /**
+   * 두 위치 간 이동시간 계산
+   * @param {Object} fromLocation - 출발 위치 { type, address, coordinates: {lat, lng} }
+   * @param {Object} toLocation - 도착 위치
+   * @param {string} travelMode - 이동수단 ('transit', 'driving', 'bicycling', 'walking', 'normal')
+   * @param {Object} [options] - calculateTravelRoute 옵션
+   * @returns {Promise<number>} 이동시간 (분 단위)
+   */
+  async calculateTravelTimeBetween(fromLocation, toLocation, travelMode = 'transit', options = {}) {
+    const result = await this.calculateTravelRoute(fromLocation, toLocation, travelMode, options);
+    return result.minutes;
+  }
 
-          // 캐시에 저장
-          travelTimeCache.set(originParam, destParam, mode, travelTimeMinutes);
-          return travelTimeMinutes;
-        }
+  /**
+   * 정해진 시각까지 도착해야 하는 구간의 경로 조회 (이전 일정이 없는 그날 첫 구간)
+   * 시간대 구분 없는 값으로 출발 시각을 역산한 뒤, 그 출발 시각 기준으로 다시 계산합니다.
+   * @param {Object} fromLocation - 출발 위치
+   * @param {Object} toLocation - 도착 위치
+   * @param {string} travelMode - 이동수단
+   * @param {Date} arrivalTime - 도착해야 하는 시각
+   * @param {string} [timeZone] - 방 시간대
+   * @returns {Promise<Object>} calculateTravelRoute 결과 + departureTime
+   */
+  async calculateTravelRouteArrivingAt(fromLocation, toLocation, travelMode, arrivalTime, timeZone) {
+    const estimate = await this.calculateTravelRoute(fromLocation, toLocation, travelMode);
+    if (!arrivalTime || estimate.provider === 'default' || travelMode === 'normal') return estimate;
 
-        console.warn(`❌ [Fallback 실패] 모든 방법 실패, 기본값 30분 사용`);
-        return 30; // 최종 기본값
-      }
+    const departureTime = new Date(arrivalTime.getTime() - estimate.minutes * 60 * 1000);
+    const result = await this.calculateTravelRoute(fromLocation, toLocation, travelMode, { departureTime, timeZone });
+    return { ...result, departureTime };
+  }
 
-    } catch (error) {
-      console.error('❌ 이동시간 계산 실패:', error);
-      return 30; // 기본값
+  /**
+   * 하루 일정 안의 한 구간 경로 조회
+   * 이전 일정이 있으면 그 종료 시각에 출발, 없으면 이번 일정 시작 시각에 도착하도록 계산합니다.
+   * @param {Object} fromLocation - 출발 위치
+   * @param {Object} toLocation - 도착 위치
+   * @param {string} travelMode - 이동수단
+   * @param {Date} date - 일정 날짜
+   * @param {Object|null} previousSlot - 이전 일정 { endTime } (그날 첫 구간이면 null)
+   * @param {Object} slot - 이번 일정 { startTime }
+   * @param {string} [timeZone] - 방 시간대 (startTime/endTime 기준)
+   * @returns {Promise<Object>} calculateTravelRoute 결과 + departureTime
+   */
+  async calculateLegRoute(fromLocation, toLocation, travelMode, date, previousSlot, slot, timeZone) {
+    if (previousSlot) {
+      const departureTime = routing.toDepartureTime(date, previousSlot.endTime, timeZone);
+      const result = await this.calculateTravelRoute(fromLocation, toLocation, travelMode, { departureTime, timeZone });
+      return { ...result, departureTime };
     }
+    return this.calculateTravelRouteArrivingAt(
+      fromLocation,
+      toLocation,
+      travelMode,
+      routing.toDepartureTime(date, slot.startTime, timeZone),
+      timeZone
+    );
   }
 
   /**
@@ -202,8 +202,8 @@ class DynamicTravelTimeCalculator {
    */
   async simulateScheduleWithNewSlot(roomId, date, newSlot) {
     const room = await Room.findById(roomId)
-      .populate('members.user', 'personalTimes')
-      .populate('owner', 'personalTimes homeLocation');
+      .populate('members.user', `personalTimes ${PLACE_USER_FIELDS}`)
+      .populate('owner', `personalTimes ${PLACE_USER_FIELDS}`);
 
     if (!room) {
       throw new Error('방을 찾을 수 없습니다.');
@@ -220,31 +220,41 @@ class DynamicTravelTimeCalculator {
 
     // 3. 각 슬롯의 이동시간 계산
     const simulatedSchedule = [];
-    let previousLocation = room.ownerHomeLocation || {
-      type: 'address',
-      address: '서울시 강남구',
-      coordinates: { lat: 37.4979, lng: 127.0276 } // 기본값: 강남역
-    };
+    // 그날 방장 출발 장소 (요일/날짜별 지정 → 방 기준 위치 → 방장 집)
+    const ownerStart = getOwnerDayPlaces(room, room.owner, date).start;
+    let previousLocation = ownerStart ? toSlotLocation(ownerStart) : DEFAULT_START_LOCATION;
 
+    let previousSlot = null;
     for (const slot of allSlots) {
-      if (!slot.location) {
-        // 위치 정보가 없는 슬롯은 기본 위치 사용
-        slot.location = previousLocation;
+      if (!slot.location?.coordinates?.lat && !slot.location?.address) {
+        // 위치 정보가 없는 슬롯은 조원이 그 시간에 있을 장소 (선호시간 지정 장소 → 집), 그것도 없으면 이전 위치
+        const sessionPlace = resolveSessionPlace(room, slot, date);
+        slot.location = sessionPlace ? toSlotLocation(sessionPlace) : previousLocation;
       }
 
-      const travelTime = await this.calculateTravelTimeBetween(
+      // 구간마다 실제 출발 시각 기준 (출근/퇴근 시간대면 더 오래 걸림)
+      const leg = await this.calculateLegRoute(
         previousLocation,
         slot.location,
-        room.currentTravelMode || room.confirmedTravelMode || 'transit'
+        room.currentTravelMode || room.confirmedTravelMode || 'transit',
+        date,
+        previousSlot,
+        slot,
+        getRoomTimezone(room)
       );
+      const travelTime = leg.minutes;
 
       simulatedSchedule.push({
         slot,
         travelTimeBefore: travelTime,
         actualStartTime: subtractMinutes(slot.startTime, travelTime),
+        departureTime: leg.departureTime || null,
+        timeOfDay: leg.timeOfDay || 'any',
         previousLocation
       });
 
+      previousSlot = slot;
+
       previousLocation = slot.location; // 다음 슬롯을 위해 현재 위치 저장
     }
 
@@ -350,7 +360,8 @@ class DynamicTravelTimeCalculator {
         reason: 'all_checks_passed',
         details: {
           travelTimeBefore: newSlotInfo.travelTimeBefore,
-          actualStartTime: newSlotInfo.actualStartTime
+          actualStartTime: newSlotInfo.actualStartTime,
+          timeOfDay: newSlotInfo.timeOfDay
         }
       };
 
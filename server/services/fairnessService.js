@@ -0,0 +1,253 @@
+/**
+ * ===================================================================================================
+ * Fairness Service (배정 공평성 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 주별 배정 기록으로 조원마다 얼마나 공평하게 시간을 받았는지 계산
+ *
+ * 주요 기능:
+ * - buildFairnessReport: 최근 N주 조원별 지표
+ *   - 선호도 만족도: 배정 시간 중 선호시간 priority 3 → 1, 2 → 0.5, 1/선호시간 밖 → 0 의 시간 가중 평균
+ *   - 이월: carryOverHistory의 주별 발생 시간
+ *   - 첫/마지막 시간 비율: 두 명 이상 배정된 날 중 그날 가장 이른/늦은 슬롯을 맡은 비율
+ *   - 부채(debt): 방 평균보다 불리한 정도 (0~1), 만족도 지수(Jain's index)
+ * - buildFairnessBalance: 자동 배정 options.fairness (지난 주들의 부채 × 방 설정 가중치)
+ *
+ * 관련 파일:
+ * - server/services/schedulingAlgorithm/helpers/fairnessHelper.js - 부채를 멤버 순서/블록 선택에 반영
+ * - server/controllers/fairnessController.js - 공평성 리포트 API
+ * - client/src/components/modals/MemberStatsModal.js - 조원별 차트
+ *
+ * ===================================================================================================
+ */
+
+const { getRoomTimezone, getUserTimezone, getWeekStartInZone, shiftDateStr } = require('../utils/timezone');
+const { localizeDefaultSchedule } = require('./schedulingAlgorithm/helpers/timezoneHelper');
+const { getPreferenceSatisfaction } = require('./schedulingAlgorithm/helpers/fairnessHelper');
+const { toMinutes } = require('../controllers/coordinationRequestController/utils/timeConverter');
+const { isSchedulableMember } = require('../utils/roomPermissions');
+
+const DEFAULT_REPORT_WEEKS = 8;
+const MAX_REPORT_WEEKS = 26;
+const BALANCE_WEEKS = 4; // 자동 배정 보정에 쓰는 지난 주 수
+const MINUTES_PER_STEP = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIdString = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+const toDateStr = (date) => new Date(date).toISOString().split('T')[0];
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * 멤버 선호시간 조회 함수 (방 시간대 기준, 같은 날짜의 specificDate 항목이 있으면 반복 항목은 무시)
+ * @param {Object} user - populate된 사용자 (defaultSchedule, preferences.timezone)
+ * @param {Array<string>} dates - 조회 범위 날짜
+ * @param {string} roomTz
+ * @returns {function(string, number): number} (dateStr, minutes) → 가장 높은 priority (없으면 0)
+ */
+const buildPreferenceLookup = (user, dates, roomTz) => {
+  const schedules = (user?.defaultSchedule || []).map(s => (typeof s.toObject === 'function' ? s.toObject() : s));
+  const userTz = getUserTimezone(user);
+  const entries = userTz === roomTz ? schedules : localizeDefaultSchedule(schedules, dates, userTz, roomTz);
+
+  const byDate = new Map();
+  const byDay = new Map();
+  entries.forEach(entry => {
+    if (!entry.startTime || !entry.endTime) return;
+    const range = { start: toMinutes(entry.startTime), end: toMinutes(entry.endTime), priority: entry.priority || 2 };
+    const map = entry.specificDate ? byDate : byDay;
+    const key = entry.specificDate ? toDateStr(entry.specificDate) : entry.dayOfWeek;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(range);
+  });
+
+  return (dateStr, minutes) => (byDate.get(dateStr) || byDay.get(getDayOfWeek(dateStr)) || [])
+    .reduce((max, range) => (minutes >= range.start && minutes < range.end ? Math.max(max, range.priority) : max), 0);
+};
+
+/**
+ * 슬롯의 선호도 만족 시간 (10분 단위 만족도 합 × 10분)
+ * @returns {number}
+ */
+const getSatisfiedMinutes = (lookup, dateStr, startTime, endTime) => {
+  let satisfied = 0;
+  for (let minutes = toMinutes(startTime); minutes < toMinutes(endTime); minutes += MINUTES_PER_STEP) {
+    const priority = lookup(dateStr, minutes);
+    satisfied += priority ? getPreferenceSatisfaction(priority) * MINUTES_PER_STEP : 0;
+  }
+  return satisfied;
+};
+
+const createWeekStats = (weekStart) => ({
+  weekStart,
+  assignedMinutes: 0,
+  satisfiedMinutes: 0,
+  carryOverHours: 0,
+  earliestCount: 0,
+  latestCount: 0,
+  contestedDays: 0
+});
+
+/**
+ * Jain's fairness index ((Σx)² / (n·Σx²), 모두 같으면 1)
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+const jainIndex = (values) => {
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  const sumSquares = values.reduce((acc, value) => acc + value * value, 0);
+  return values.length === 0 || sumSquares === 0 ? null : (sum * sum) / (values.length * sumSquares);
+};
+
+/**
+ * 조원별 공평성 리포트
+ * @param {Object} room - members.user가 populate된 방 (defaultSchedule, preferences 포함)
+ * @param {Object} [options]
+ * @param {number} [options.weeks=8] - 조회할 주 수 (기준 주 포함, 최대 26)
+ * @param {Date} [options.now] - 기준 시각 (이 시각이 속한 주까지)
+ * @returns {Object} { timezone, weeks, members, summary }
+ */
+const buildFairnessReport = (room, { weeks = DEFAULT_REPORT_WEEKS, now = new Date() } = {}) => {
+  const weekCount = Math.max(1, Math.min(MAX_REPORT_WEEKS, Math.floor(weeks) || DEFAULT_REPORT_WEEKS));
+  const timezone = getRoomTimezone(room);
+  const firstWeek = shiftDateStr(toDateStr(getWeekStartInZone(now, timezone)), -7 * (weekCount - 1));
+  const weekStarts = Array.from({ length: weekCount }, (_, index) => shiftDateStr(firstWeek, 7 * index));
+  const rangeEnd = shiftDateStr(firstWeek, 7 * weekCount);
+  const dates = Array.from({ length: 7 * weekCount }, (_, index) => shiftDateStr(firstWeek, index));
+  const getWeekIndex = (dateStr) => Math.floor((Date.parse(dateStr) - Date.parse(firstWeek)) / (7 * DAY_MS));
+
+  const stats = new Map();
+  room.members.filter(member => isSchedulableMember(room, member)).forEach(member => {
+    const user = member.user || {};
+    stats.set(toIdString(member.user), {
+      member,
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown',
+      lookup: buildPreferenceLookup(user, dates, timezone),
+      weekly: weekStarts.map(createWeekStats)
+    });
+  });
+
+  // 배정 시간 / 선호도 만족 시간, 날짜별 슬롯 모으기
+  const slotsByDate = new Map();
+  room.timeSlots.forEach(slot => {
+    const entry = stats.get(toIdString(slot.user));
+    if (!entry || slot.isTravel || !slot.date || !slot.startTime || !slot.endTime) return;
+    const dateStr = toDateStr(slot.date);
+    if (dateStr < firstWeek || dateStr >= rangeEnd) return;
+
+    const week = entry.weekly[getWeekIndex(dateStr)];
+    week.assignedMinutes += toMinutes(slot.endTime) - toMinutes(slot.startTime);
+    week.satisfiedMinutes += getSatisfiedMinutes(entry.lookup, dateStr, slot.startTime, slot.endTime);
+
+    if (!slotsByDate.has(dateStr)) slotsByDate.set(dateStr, []);
+    slotsByDate.get(dateStr).push({ userId: toIdString(slot.user), start: toMinutes(slot.startTime), end: toMinutes(slot.endTime) });
+  });
+
+  // 첫/마지막 시간: 두 명 이상 배정된 날만 비교
+  slotsByDate.forEach((daySlots, dateStr) => {
+    const userIds = new Set(daySlots.map(slot => slot.userId));
+    if (userIds.size < 2) return;
+    const weekIndex = getWeekIndex(dateStr);
+    const earliest = daySlots.reduce((best, slot) => (slot.start < best.start ? slot : best));
+    const latest = daySlots.reduce((best, slot) => (slot.end > best.end ? slot : best));
+    userIds.forEach(userId => { stats.get(userId).weekly[weekIndex].contestedDays += 1; });
+    stats.get(earliest.userId).weekly[weekIndex].earliestCount += 1;
+    stats.get(latest.userId).weekly[weekIndex].latestCount += 1;
+  });
+
+  // 이월 발생 (주 시작일 week, 없으면 기록 시각 기준)
+  stats.forEach(entry => {
+    (entry.member.carryOverHistory || []).forEach(history => {
+      if (!(history.amount > 0)) return;
+      const dateStr = toDateStr(history.week || history.timestamp);
+      if (dateStr < firstWeek || dateStr >= rangeEnd) return;
+      entry.weekly[getWeekIndex(dateStr)].carryOverHours += history.amount;
+    });
+  });
+
+  const members = Array.from(stats.entries()).map(([userId, entry]) => {
+    const sum = (field) => entry.weekly.reduce((acc, week) => acc + week[field], 0);
+    const assignedMinutes = sum('assignedMinutes');
+    const contestedDays = sum('contestedDays');
+    return {
+      userId,
+      name: entry.name,
+      totals: {
+        assignedMinutes,
+        satisfaction: assignedMinutes > 0 ? sum('satisfiedMinutes') / assignedMinutes : null,
+        carryOverHours: sum('carryOverHours'),
+        currentCarryOver: entry.member.carryOver || 0,
+        earliestShare: contestedDays > 0 ? sum('earliestCount') / contestedDays : null,
+        latestShare: contestedDays > 0 ? sum('latestCount') / contestedDays : null,
+        edgeShare: contestedDays > 0 ? (sum('earliestCount') + sum('latestCount')) / (2 * contestedDays) : null,
+        contestedDays
+      },
+      weekly: entry.weekly.map(({ satisfiedMinutes, ...week }) => ({
+        ...week,
+        satisfaction: week.assignedMinutes > 0 ? round(satisfiedMinutes / week.assignedMinutes) : null
+      }))
+    };
+  });
+
+  // 방 평균 대비 부채
+  const average = (values) => (values.length > 0 ? values.reduce((acc, value) => acc + value, 0) / values.length : null);
+  const satisfactions = members.map(m => m.totals.satisfaction).filter(value => value !== null);
+  const edgeShares = members.map(m => m.totals.edgeShare).filter(value => value !== null);
+  const carryOvers = members.map(m => m.totals.carryOverHours);
+  const averageSatisfaction = average(satisfactions);
+  const averageEdgeShare = average(edgeShares);
+  const averageCarryOver = average(carryOvers) || 0;
+  const maxCarryOver = Math.max(0, ...carryOvers);
+
+  members.forEach(m => {
+    const preference = m.totals.satisfaction === null ? 0 : clamp01(averageSatisfaction - m.totals.satisfaction);
+    const carryOver = maxCarryOver > 0 ? clamp01((m.totals.carryOverHours - averageCarryOver) / maxCarryOver) : 0;
+    const edge = m.totals.edgeShare === null ? 0 : clamp01(m.totals.edgeShare - averageEdgeShare);
+    m.debt = {
+      preference: round(preference),
+      carryOver: round(carryOver),
+      edge: round(edge),
+      overall: round((preference + carryOver + edge) / 3)
+    };
+    Object.keys(m.totals).forEach(key => {
+      if (key.endsWith('Share') || key === 'satisfaction') m.totals[key] = round(m.totals[key]);
+    });
+  });
+
+  return {
+    timezone,
+    weeks: weekStarts,
+    members: members.sort((a, b) => b.debt.overall - a.debt.overall || a.name.localeCompare(b.name)),
+    summary: {
+      averageSatisfaction: round(averageSatisfaction),
+      averageEdgeShare: round(averageEdgeShare),
+      satisfactionIndex: round(jainIndex(satisfactions))
+    }
+  };
+};
+
+/**
+ * 자동 배정 공평성 보정 입력 (기준 주 직전 BALANCE_WEEKS주 기록)
+ * @param {Object} room - members.user가 populate된 방 (배정 슬롯 제거 전)
+ * @param {Object} params
+ * @param {number} params.weight - 0~1 (0이면 보정 없음)
+ * @param {Date} [params.now] - 배정 기준 시각
+ * @returns {Object|null} { weight, members: { [userId]: debt } }
+ */
+const buildFairnessBalance = (room, { weight, now = new Date() }) => {
+  if (!weight) return null;
+  const lastWeekEnd = new Date(getWeekStartInZone(now, getRoomTimezone(room)).getTime() - DAY_MS);
+  const report = buildFairnessReport(room, { weeks: BALANCE_WEEKS, now: lastWeekEnd });
+  return {
+    weight,
+    members: Object.fromEntries(report.members.map(m => [m.userId, m.debt]))
+  };
+};
+
+module.exports = {
+  DEFAULT_REPORT_WEEKS,
+  MAX_REPORT_WEEKS,
+  buildFairnessReport,
+  buildFairnessBalance
+};
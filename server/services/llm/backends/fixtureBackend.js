@@ -0,0 +1,64 @@
+/**
+ * 고정 응답(Fixture) 백엔드 (테스트/데모용)
+ * - 네트워크를 사용하지 않고, 프롬프트에 따라 미리 정한 응답을 항상 같은 순서로 반환
+ *
+ * 고정 응답 형식: [{ match?: string, pattern?: string, response: string | Object }]
+ * - match: 프롬프트에 포함된 문자열
+ * - pattern: 프롬프트에 대한 정규식 (문자열)
+ * - 둘 다 없으면 모든 프롬프트와 일치 (기본 응답으로 목록 마지막에 두기)
+ * - 위에서부터 처음 일치하는 항목 사용
+ *
+ * 설정:
+ * - LLM_FIXTURE_FILE: 고정 응답 JSON 파일 경로 (setFixtures로 코드에서 지정할 수도 있음)
+ */
+
+const fs = require('fs');
+
+const name = 'fixture';
+
+let fixtures = null;
+const calls = [];
+
+const loadFixtures = () => {
+  if (fixtures) return fixtures;
+  const file = process.env.LLM_FIXTURE_FILE;
+  fixtures = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  return fixtures;
+};
+
+/**
+ * 고정 응답 목록 지정 (파일 설정보다 우선)
+ * @param {Array<Object>} list
+ */
+const setFixtures = (list) => {
+  fixtures = list;
+  calls.length = 0;
+};
+
+/**
+ * 지금까지 받은 요청 목록 (테스트에서 프롬프트 확인용)
+ * @returns {Array<Object>}
+ */
+const getCalls = () => [...calls];
+
+const matches = (entry, prompt) => {
+  if (entry.match !== undefined) return prompt.includes(entry.match);
+  if (entry.pattern !== undefined) return new RegExp(entry.pattern).test(prompt);
+  return true;
+};
+
+/**
+ * 고정 응답 반환
+ * @param {Object} request - { prompt, images, json, schema }
+ * @returns {Promise<string>}
+ */
+const generate = async (request) => {
+  calls.push(request);
+  const entry = loadFixtures().find(candidate => matches(candidate, request.prompt));
+  if (!entry) {
+    throw new Error(`No LLM fixture matches prompt: ${request.prompt.slice(0, 80)}`);
+  }
+  return typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+};
+
+module.exports = { name, generate, setFixtures, getCalls };
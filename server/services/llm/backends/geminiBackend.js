@@ -0,0 +1,56 @@
+/**
+ * Gemini 백엔드 (기본값)
+ * - GEMINI_API_KEY 필요
+ * - GEMINI_MODELS(쉼표 구분) 순서대로 시도하고, 실패하면 다음 모델로 넘어감
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const name = 'gemini';
+const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-1.5-flash'];
+
+let client = null;
+
+const getClient = () => {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+  if (!client) client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return client;
+};
+
+const getModelNames = () => {
+  const configured = (process.env.GEMINI_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_MODELS;
+};
+
+/**
+ * 텍스트 생성
+ * @param {Object} request - { prompt, images, json, temperature, maxOutputTokens }
+ * @returns {Promise<string>} - 모델 응답 텍스트
+ */
+const generate = async ({ prompt, images = [], json = false, temperature, maxOutputTokens }) => {
+  const generationConfig = {};
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (maxOutputTokens !== undefined) generationConfig.maxOutputTokens = maxOutputTokens;
+  if (json) generationConfig.responseMimeType = 'application/json';
+
+  const parts = images.length > 0
+    ? [prompt, ...images.map(image => ({ inlineData: { data: image.data, mimeType: image.mimeType } }))]
+    : prompt;
+
+  let lastError = null;
+  for (const modelName of getModelNames()) {
+    try {
+      const model = getClient().getGenerativeModel({ model: modelName, generationConfig });
+      const result = await model.generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+module.exports = { name, generate };
@@ -0,0 +1,66 @@
+/**
+ * OpenAI 호환 백엔드 (로컬 LLM용)
+ * - llama.cpp server, Ollama, vLLM 등 `/v1/chat/completions`를 제공하는 서버와 통신
+ * - 로컬에서 실행하면 인터넷 연결 없이 AI 기능 사용 가능
+ *
+ * 설정:
+ * - LLM_BASE_URL: 기본값 'http://localhost:11434/v1' (Ollama)
+ * - LLM_MODEL: 기본값 'llama3.1'
+ * - LLM_API_KEY: 선택 (로컬 서버는 보통 불필요)
+ */
+
+const name = 'openai';
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * 텍스트 생성
+ * @param {Object} request - { prompt, images, json, schema, temperature, maxOutputTokens, signal }
+ * @returns {Promise<string>} - 모델 응답 텍스트
+ */
+const generate = async ({ prompt, images = [], json = false, schema = null, temperature, maxOutputTokens, signal }) => {
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const content = images.length > 0
+    ? [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+    ]
+    : prompt;
+
+  const body = {
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    messages: [{ role: 'user', content }]
+  };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (maxOutputTokens !== undefined) body.max_tokens = maxOutputTokens;
+  if (json) {
+    body.response_format = schema
+      ? { type: 'json_schema', json_schema: { name: 'response', schema } }
+      : { type: 'json_object' };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LLM_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+
+  const res = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    throw new Error(`LLM endpoint responded ${res.status}: ${detail.slice(0, 200)}`);
+  }
+
+  const data = await res.json();
+  const text = data.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw new Error('LLM endpoint returned no message content');
+  }
+  return text;
+};
+
+module.exports = { name, generate };
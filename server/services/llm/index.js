@@ -0,0 +1,272 @@
+/**
+ * ===================================================================================================
+ * LLM Provider (AI 모델 호출 공통 모듈)
+ * ===================================================================================================
+ *
+ * 설명: 서버의 모든 AI 호출이 거치는 단일 진입점. 실제 모델은 교체 가능한 백엔드가 담당
+ *
+ * 주요 기능:
+ * - generateText(prompt, options): 모델 응답 텍스트 반환
+ * - generateJSON(prompt, schema, options): JSON 응답을 파싱해 객체로 반환
+ *   (schema가 있으면 검증하고, 맞지 않으면 오류를 알려주며 최대 LLM_MAX_REPAIR_ATTEMPTS번 다시 요청)
+ * - sendLlmError(res, error): LlmError를 code별 HTTP 상태와 함께 클라이언트에 응답
+ *
+ * 백엔드 인터페이스:
+ * - name: string - 백엔드 이름
+ * - generate(request): Promise<string>
+ *   request = { prompt, images, json, schema, temperature, maxOutputTokens, signal }
+ *
+ * 기본 백엔드:
+ * - gemini: Google Gemini (GEMINI_API_KEY)
+ * - openai: OpenAI 호환 엔드포인트 (llama.cpp/Ollama 등 로컬 LLM, 오프라인 사용 가능)
+ * - fixture: 고정 응답 (테스트용, 네트워크 사용 안 함)
+ *
+ * 설정:
+ * - LLM_PROVIDER: 사용할 백엔드 이름 (기본값 'gemini')
+ * - LLM_TIMEOUT_MS: 요청 제한 시간 (기본값 60000)
+ * - LLM_MAX_REPAIR_ATTEMPTS: 형식이 틀린 응답의 재요청 횟수 (기본값 2)
+ *
+ * 관련 파일:
+ * - server/services/llm/backends/ - 백엔드 구현
+ * - server/services/llm/schemas.js - AI 응답 스키마
+ * - server/controllers/chatbotController.js - 클라이언트 채팅 프롬프트 처리 (POST /api/chatbot/complete)
+ *
+ * ===================================================================================================
+ */
+
+const geminiBackend = require('./backends/geminiBackend');
+const openaiCompatibleBackend = require('./backends/openaiCompatibleBackend');
+const fixtureBackend = require('./backends/fixtureBackend');
+const { validate } = require('./schemaValidator');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+// code별 클라이언트 응답
+const ERROR_RESPONSES = {
+  TIMEOUT: { status: 504, message: '응답 시간이 너무 길어 요청을 취소했습니다. 다시 시도해주세요.' },
+  PROVIDER_ERROR: { status: 502, message: 'AI 서비스 호출 중 오류가 발생했습니다.' },
+  INVALID_JSON: { status: 422, message: 'AI 응답 형식이 올바르지 않습니다. 다시 시도해주세요.' },
+  SCHEMA_MISMATCH: { status: 422, message: 'AI 응답 형식이 올바르지 않습니다. 다시 시도해주세요.' }
+};
+
+const backends = new Map([
+  [geminiBackend.name, geminiBackend],
+  [openaiCompatibleBackend.name, openaiCompatibleBackend],
+  [fixtureBackend.name, fixtureBackend]
+]);
+
+/**
+ * AI 호출/응답 오류
+ * code: 'TIMEOUT' | 'PROVIDER_ERROR' | 'INVALID_JSON' | 'SCHEMA_MISMATCH'
+ * details: 스키마 검증 오류 목록 (SCHEMA_MISMATCH)
+ */
+class LlmError extends Error {
+  constructor(message, code, cause, details) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    if (cause) this.cause = cause;
+    if (details) this.details = details;
+  }
+}
+
+/**
+ * 백엔드 등록
+ * @param {Object} backend - { name, generate }
+ */
+const registerBackend = (backend) => {
+  if (!backend?.name || typeof backend.generate !== 'function') {
+    throw new Error('LLM backend must have a name and a generate(request) function');
+  }
+  backends.set(backend.name, backend);
+};
+
+/**
+ * 설정된 백엔드 조회
+ * @returns {Object} - 백엔드
+ */
+const getBackend = () => {
+  const backendName = process.env.LLM_PROVIDER || geminiBackend.name;
+  const backend = backends.get(backendName);
+  if (!backend) {
+    throw new Error(`Unknown LLM provider "${backendName}"`);
+  }
+  return backend;
+};
+
+/**
+ * 백엔드 호출 (제한 시간 적용)
+ * @param {Object} request - 백엔드 요청
+ * @param {number} timeoutMs
+ * @returns {Promise<string>}
+ */
+const callBackend = async (request, timeoutMs) => {
+  const backend = getBackend();
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LlmError(`LLM request timed out after ${timeoutMs}ms`, 'TIMEOUT'));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([backend.generate({ ...request, signal: controller.signal }), timeout]);
+  } catch (error) {
+    if (error instanceof LlmError) throw error;
+    throw new LlmError(`[${backend.name}] ${error.message}`, 'PROVIDER_ERROR', error);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const buildRequest = (prompt, options, extra) => ({
+  prompt,
+  images: options.images || [],
+  temperature: options.temperature,
+  maxOutputTokens: options.maxOutputTokens,
+  ...extra
+});
+
+const getTimeout = (options) => options.timeoutMs || Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+const getMaxRepairAttempts = (options) => {
+  if (options.maxRepairAttempts !== undefined) return options.maxRepairAttempts;
+  const configured = Number(process.env.LLM_MAX_REPAIR_ATTEMPTS);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_REPAIR_ATTEMPTS;
+};
+
+/**
+ * 텍스트 생성
+ * @param {string} prompt - 프롬프트
+ * @param {Object} [options] - { images: [{ data(base64), mimeType }], temperature, maxOutputTokens, timeoutMs }
+ * @returns {Promise<string>} - 모델 응답 텍스트
+ */
+const generateText = async (prompt, options = {}) => {
+  const text = await callBackend(buildRequest(prompt, options, { json: false, schema: null }), getTimeout(options));
+  return text.trim();
+};
+
+/**
+ * 응답 텍스트에서 JSON 추출 (```json 코드 블록, 앞뒤 설명 문장, 주석, 끝 쉼표 허용)
+ * @param {string} text
+ * @returns {*} - 파싱된 값
+ */
+const extractJSON = (text) => {
+  let candidate = text.trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) candidate = fenced[1];
+
+  const start = candidate.search(/[{[]/);
+  if (start > 0) candidate = candidate.slice(start);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (end >= 0) candidate = candidate.slice(0, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // 프롬프트 예시를 따라 붙인 주석, 끝 쉼표 제거 후 재시도
+    const cleaned = candidate
+      .replace(/(^|\s)\/\/.*$/gm, '$1')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/,(\s*[}\]])/g, '$1');
+    try {
+      return JSON.parse(cleaned);
+    } catch {
+      throw new LlmError('AI response is not valid JSON', 'INVALID_JSON', error);
+    }
+  }
+};
+
+/**
+ * 형식이 틀린 응답을 고치도록 다시 요청하는 프롬프트
+ * @param {string} prompt - 원래 프롬프트
+ * @param {string} previousText - 이전 응답
+ * @param {Array<string>} errors - 오류 목록
+ * @returns {string}
+ */
+const buildRepairPrompt = (prompt, previousText, errors) => `${prompt}
+
+---
+이전 응답이 요구한 JSON 형식과 맞지 않습니다.
+
+이전 응답:
+${previousText}
+
+오류:
+${errors.map(error => `- ${error}`).join('\n')}
+
+오류를 고친 JSON만 다시 응답하세요. 설명이나 코드 블록 없이 JSON만 출력하세요.`;
+
+/**
+ * JSON 생성
+ * schema가 있으면 응답을 검증하고, 파싱/검증에 실패하면 오류를 알려주며 다시 요청합니다.
+ * @param {string} prompt - 프롬프트 (응답 형식 설명 포함)
+ * @param {Object|null} [schema] - 응답 JSON Schema (./schemas.js, 지원하는 백엔드는 구조화 출력에도 사용)
+ * @param {Object} [options] - generateText 옵션 + maxRepairAttempts
+ * @returns {Promise<*>} - 파싱(검증)된 응답
+ * @throws {LlmError} - 재요청 후에도 형식이 맞지 않으면 INVALID_JSON 또는 SCHEMA_MISMATCH
+ */
+const generateJSON = async (prompt, schema = null, options = {}) => {
+  const maxRepairAttempts = getMaxRepairAttempts(options);
+  let currentPrompt = prompt;
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    const text = await callBackend(buildRequest(currentPrompt, options, { json: true, schema }), getTimeout(options));
+
+    let errors;
+    try {
+      const value = extractJSON(text);
+      errors = validate(value, schema);
+      if (errors.length === 0) return value;
+      lastError = new LlmError('AI response does not match the expected schema', 'SCHEMA_MISMATCH', null, errors);
+    } catch (error) {
+      if (!(error instanceof LlmError)) throw error;
+      errors = ['응답이 올바른 JSON이 아닙니다.'];
+      lastError = error;
+    }
+
+    if (attempt < maxRepairAttempts) {
+      console.warn(`[LLM] 응답 형식 오류, 재요청 (${attempt + 1}/${maxRepairAttempts}):`, errors.slice(0, 5).join('; '));
+      currentPrompt = buildRepairPrompt(prompt, text, errors);
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * LlmError를 code에 맞는 HTTP 상태로 응답
+ * @param {Object} res - Express response
+ * @param {Error} error - 발생한 오류
+ * @param {Object} [extra] - 응답 본문에 추가할 필드
+ * @returns {boolean} - LlmError여서 응답했으면 true (아니면 호출한 쪽에서 처리)
+ */
+const sendLlmError = (res, error, extra = {}) => {
+  if (!(error instanceof LlmError)) return false;
+
+  const { status, message } = ERROR_RESPONSES[error.code] || ERROR_RESPONSES.PROVIDER_ERROR;
+  res.status(status).json({
+    success: false,
+    code: error.code,
+    message,
+    ...(error.details && { details: error.details }),
+    ...extra
+  });
+  return true;
+};
+
+module.exports = {
+  LlmError,
+  registerBackend,
+  getBackend,
+  generateText,
+  generateJSON,
+  extractJSON,
+  sendLlmError
+};
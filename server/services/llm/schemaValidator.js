@@ -0,0 +1,119 @@
+/**
+ * ===================================================================================================
+ * Schema Validator (AI 응답 스키마 검증)
+ * ===================================================================================================
+ *
+ * 설명: AI 응답(JSON)이 선언된 스키마와 맞는지 검사하고, 재요청 프롬프트에 넣을 오류 목록을 반환
+ *
+ * 지원하는 JSON Schema 키워드 (백엔드 구조화 출력에도 그대로 전달되므로 표준 키워드만 사용):
+ * - type (문자열 또는 배열: string, number, integer, boolean, object, array, null)
+ * - enum, const, pattern, minLength, minimum, maximum
+ * - properties, required, items, minItems
+ * - anyOf (하나라도 맞으면 통과, 모두 틀리면 가장 가까운 분기의 오류를 보고)
+ *
+ * 관련 파일:
+ * - server/services/llm/schemas.js - AI 응답 스키마 정의
+ * - server/services/llm/index.js - generateJSON 검증/재요청
+ *
+ * ===================================================================================================
+ */
+
+/**
+ * 값의 JSON 타입 이름
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+/**
+ * 스키마 검증
+ * @param {*} value - 검사할 값
+ * @param {Object} schema - JSON Schema (지원 키워드는 상단 참고)
+ * @param {string} [path='$'] - 오류 메시지에 표시할 경로
+ * @returns {Array<string>} - 오류 목록 (비어 있으면 통과)
+ */
+const validate = (value, schema, path = '$') => {
+  if (!schema) return [];
+
+  if (schema.anyOf) {
+    let closest = null;
+    for (const branch of schema.anyOf) {
+      const branchErrors = validate(value, branch, path);
+      if (branchErrors.length === 0) {
+        closest = null;
+        break;
+      }
+      if (!closest || branchErrors.length < closest.length) closest = branchErrors;
+    }
+    if (closest) return closest;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${path}: must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validate
+};
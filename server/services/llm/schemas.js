@@ -0,0 +1,319 @@
+/**
+ * ===================================================================================================
+ * AI Response Schemas (AI 응답 스키마)
+ * ===================================================================================================
+ *
+ * 설명: AI가 반환하는 의도/결과 JSON의 형식을 선언. llm.generateJSON(prompt, schema)에 전달하면
+ *       응답을 검증하고, 맞지 않으면 오류를 알려주며 다시 요청함
+ *
+ * 스키마:
+ * - SCHEDULE_ANALYSIS: 조율방 대화 분석 (new / extend / cancel / response / none)
+ * - EXCHANGE_PARSE: 자리 변경 요청 파싱 (time_change / date_change / confirm / reject)
+ * - OCR_SCHEDULES: 시간표 이미지 OCR 결과 (수업 행 목록)
+ * - FIXED_SCHEDULE_INTENT: 고정 일정 요청 (pin_class / add_custom / remove_fixed / modify_fixed / list_fixed / none)
+ * - SCHEDULE_CHAT: 시간표 최적화 채팅 응답
+ * - createChatIntentSchema(intents): 챗봇 의도/엔티티 추출
+ *
+ * 관련 파일:
+ * - server/services/llm/schemaValidator.js - 검증기 (지원 키워드)
+ * - server/prompts/ - 각 스키마에 대응하는 프롬프트
+ *
+ * ===================================================================================================
+ */
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+// 종료 시각은 자정(24:00)까지 허용 (예: 저녁 일정 "12시까지")
+const END_TIME_PATTERN = '^(([01]\\d|2[0-3]):[0-5]\\d|24:00)$';
+const KOREAN_DAYS = ['월', '화', '수', '목', '금', '토', '일'];
+const KOREAN_DAY_NAMES = ['월요일', '화요일', '수요일', '목요일', '금요일', '토요일', '일요일'];
+
+const time = { type: 'string', pattern: TIME_PATTERN };
+const nullableTime = { type: ['string', 'null'], pattern: TIME_PATTERN };
+const endTime = { type: 'string', pattern: END_TIME_PATTERN };
+const nullableEndTime = { type: ['string', 'null'], pattern: END_TIME_PATTERN };
+const nullableString = { type: ['string', 'null'] };
+const nullableInteger = (minimum, maximum) => ({ type: ['integer', 'null'], minimum, maximum });
+const dayList = { type: 'array', minItems: 1, items: { enum: KOREAN_DAYS } };
+
+/**
+ * 조율방 대화 분석 (prompts/scheduleAnalysis.js)
+ */
+const SCHEDULE_ANALYSIS = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['action', 'data'],
+      properties: {
+        action: { const: 'new' },
+        data: {
+          type: 'object',
+          required: ['summary', 'date', 'startTime'],
+          properties: {
+            summary: { type: 'string', minLength: 1 },
+            date: { type: 'string', pattern: DATE_PATTERN },
+            startTime: time,
+            endTime: { type: ['string', 'null'], pattern: `^$|${END_TIME_PATTERN}` },
+            location: nullableString
+          }
+        }
+      }
+    },
+    {
+      type: 'object',
+      required: ['action', 'targetId', 'data'],
+      properties: {
+        action: { const: 'extend' },
+        targetId: { type: 'string', minLength: 1 },
+        data: {
+          type: 'object',
+          properties: {
+            summary: { type: 'string' },
+            startTime: time,
+            endTime,
+            location: { type: 'string' }
+          }
+        }
+      }
+    },
+    {
+      type: 'object',
+      required: ['action', 'targetId'],
+      properties: {
+        action: { const: 'cancel' },
+        targetId: { type: 'string', minLength: 1 },
+        reason: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['action'],
+      properties: {
+        action: { const: 'response' },
+        targetId: nullableString,
+        sentiment: { enum: ['accept', 'reject', null] },
+        reason: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['action'],
+      properties: {
+        action: { const: 'none' },
+        reason: nullableString
+      }
+    }
+  ]
+};
+
+/**
+ * 자리 변경 요청 파싱 (coordinationExchangeController/services/messageParserService.js)
+ */
+const exchangeCommon = {
+  sourceWeekOffset: nullableInteger(-2, 2),
+  sourceTime: nullableTime,
+  sourceMonth: nullableInteger(1, 12),
+  sourceYear: nullableInteger(2000, 2100),
+  targetTime: nullableTime,
+  weekNumber: nullableInteger(1, 5),
+  weekOffset: nullableInteger(-2, 2),
+  targetMonth: nullableInteger(1, 12),
+  targetYear: nullableInteger(2000, 2100)
+};
+
+const EXCHANGE_PARSE = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['type', 'targetDay'],
+      properties: {
+        ...exchangeCommon,
+        type: { const: 'time_change' },
+        sourceDay: { enum: [...KOREAN_DAY_NAMES, null] },
+        targetDay: { enum: KOREAN_DAY_NAMES }
+      }
+    },
+    {
+      type: 'object',
+      required: ['type', 'targetDate'],
+      properties: {
+        ...exchangeCommon,
+        type: { const: 'date_change' },
+        sourceDay: nullableInteger(1, 31),
+        targetDate: { type: 'integer', minimum: 1, maximum: 31 }
+      }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['confirm', 'reject'] }
+      }
+    }
+  ]
+};
+
+/**
+ * 시간표 이미지 OCR 결과 (prompts/ocrPrompts.js)
+ * - 행 필드는 null을 허용: 한 행을 잘못 읽어도 이미지 전체를 다시 요청하지 않고,
+ *   ocrController에서 제목/요일/시간이 올바르지 않은 행만 제외
+ */
+const OCR_SCHEDULES = {
+  type: 'object',
+  required: ['schedules'],
+  properties: {
+    imageTitle: nullableString,
+    schedules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: nullableString,
+          gradeLevel: nullableString,
+          days: { type: ['array', 'null'], items: { type: 'string' } },
+          startTime: nullableString,
+          endTime: nullableString,
+          instructor: nullableString,
+          classroom: nullableString,
+          floor: nullableString,
+          description: nullableString,
+          backgroundColor: nullableString
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 고정 일정 요청 (prompts/fixedSchedulePrompts.js)
+ */
+const FIXED_SCHEDULE_INTENT = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['intent', 'className'],
+      properties: {
+        intent: { const: 'pin_class' },
+        className: { type: 'string', minLength: 1 },
+        explanation: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['intent', 'schedule'],
+      properties: {
+        intent: { const: 'add_custom' },
+        schedule: {
+          type: 'object',
+          required: ['title', 'days', 'startTime', 'endTime'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            days: dayList,
+            startTime: time,
+            endTime
+          }
+        },
+        explanation: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['intent', 'keyword'],
+      properties: {
+        intent: { const: 'remove_fixed' },
+        keyword: { type: 'string', minLength: 1 },
+        day: { enum: [...KOREAN_DAYS, null] },
+        time: nullableTime,
+        explanation: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['intent', 'search', 'newSchedule'],
+      properties: {
+        intent: { const: 'modify_fixed' },
+        search: {
+          type: 'object',
+          properties: {
+            keyword: nullableString,
+            day: { enum: [...KOREAN_DAYS, null] },
+            time: nullableTime,
+            optionNumber: nullableInteger(1)
+          }
+        },
+        newSchedule: {
+          type: 'object',
+          required: ['days', 'startTime'],
+          properties: {
+            days: dayList,
+            startTime: time,
+            endTime: nullableEndTime
+          }
+        },
+        explanation: nullableString
+      }
+    },
+    {
+      type: 'object',
+      required: ['intent'],
+      properties: {
+        intent: { enum: ['list_fixed', 'none'] },
+        explanation: nullableString
+      }
+    }
+  ]
+};
+
+/**
+ * 시간표 최적화 채팅 응답 (prompts/scheduleOptimizer.js)
+ * 스케줄이 많으면 schedule 대신 deleteIndices(1부터 시작)만 반환
+ */
+const SCHEDULE_CHAT = {
+  type: 'object',
+  required: ['action', 'explanation'],
+  anyOf: [
+    { type: 'object', required: ['schedule'] },
+    { type: 'object', required: ['deleteIndices'] }
+  ],
+  properties: {
+    understood: { type: 'string' },
+    action: { enum: ['add', 'delete', 'question', 'undo', 'none'] },
+    schedule: { type: 'array', items: { type: 'object' } },
+    deleteIndices: { type: 'array', items: { type: 'integer', minimum: 1 } },
+    explanation: { type: 'string' }
+  }
+};
+
+/**
+ * 챗봇 의도/엔티티 추출 (chatbotController.parseIntent)
+ * @param {Array<string>} intents - 컨텍스트에서 허용하는 의도 목록
+ * @returns {Object} - 스키마
+ */
+const createChatIntentSchema = (intents) => ({
+  type: 'object',
+  required: ['intent', 'entities', 'confidence'],
+  properties: {
+    intent: { enum: intents },
+    entities: {
+      type: 'object',
+      // 서버에서 정규화하는 엔티티 (normalizeDate/normalizeTime/normalizeDateTime)
+      properties: {
+        date: { type: 'string' },
+        time: { type: 'string' },
+        startDateTime: { type: 'string' },
+        endDateTime: { type: 'string' }
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+});
+
+module.exports = {
+  SCHEDULE_ANALYSIS,
+  EXCHANGE_PARSE,
+  OCR_SCHEDULES,
+  KOREAN_DAYS,
+  FIXED_SCHEDULE_INTENT,
+  SCHEDULE_CHAT,
+  createChatIntentSchema
+};
@@ -0,0 +1,198 @@
+/**
+ * ===================================================================================================
+ * Notification Service (알림 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 일정에 영향을 주는 사건을 알림으로 저장하고, 받는 사용자의 `user-<id>` 소켓 채널로 실시간 전송
+ *
+ * 주요 기능:
+ * - notifyUsers: 여러 사용자에게 알림 저장 + `notification` 소켓 이벤트 전송 (읽지 않은 수 포함)
+ * - snapshotRequests / notifyRequestChanges: room.requests 저장 전후 상태를 비교해 요청 관련 알림 생성
+ *
+ * 관련 파일:
+ * - server/models/Notification.js - 알림 모델
+ * - server/controllers/coordinationRequestController/index.js - 요청 생성/처리/연쇄 확인
+ * - server/controllers/chatController.js - 일정 제안 수락/거절
+ * - server/jobs/autoConfirmSchedule.js - 자동 확정
+ * - client/src/hooks/useNotifications.js - 클라이언트 구독
+ *
+ * ===================================================================================================
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/user');
+const { getRoomTimezone, getUserTimezone, convertTimeRange } = require('../utils/timezone');
+
+const DAY_NAMES = {
+  monday: '월요일', tuesday: '화요일', wednesday: '수요일', thursday: '목요일',
+  friday: '금요일', saturday: '토요일', sunday: '일요일'
+};
+
+const CHAIN_TYPES = ['chain_request', 'chain_exchange_request'];
+const CHAIN_STATUSES = ['waiting_for_chain', 'needs_chain_confirmation'];
+
+/**
+ * populate 여부와 관계없이 ObjectId 문자열 추출
+ * @param {Object|string|null} ref
+ * @returns {string|null}
+ */
+const toId = (ref) => {
+  if (!ref) return null;
+  return ref._id ? ref._id.toString() : ref.toString();
+};
+
+/**
+ * 요청 시간대를 받는 사용자 시간대 기준의 표시용 문자열로 변환
+ * 날짜가 있는 슬롯은 방 시간대의 벽시계 시각이므로 받는 사용자 시간대로 옮겨 표시합니다.
+ * @param {Object} request - room.requests 항목
+ * @param {string} roomTimezone - 방 시간대
+ * @param {string} userTimezone - 받는 사용자 시간대
+ * @returns {string}
+ */
+const describeTimeSlot = (request, roomTimezone, userTimezone) => {
+  const slot = request.timeSlot;
+  if (!slot) return '';
+  if (slot.date && slot.startTime && slot.endTime) {
+    const dateStr = new Date(slot.date).toISOString().split('T')[0];
+    const ranges = convertTimeRange(dateStr, slot.startTime, slot.endTime, roomTimezone, userTimezone);
+    if (ranges.length > 0) {
+      const day = new Date(`${ranges[0].dateStr}T00:00:00Z`)
+        .toLocaleDateString('ko-KR', { timeZone: 'UTC', month: 'long', day: 'numeric' });
+      return `${day} ${ranges[0].startTime}-${ranges[ranges.length - 1].endTime}`;
+    }
+  }
+  const day = DAY_NAMES[String(slot.day).toLowerCase()] || slot.day || '';
+  return `${day} ${slot.startTime || ''}-${slot.endTime || ''}`.trim();
+};
+
+/**
+ * 사용자 시간대 조회 (preferences.timezone, 없으면 기본값)
+ * @param {string|null} userId
+ * @returns {Promise<string>}
+ */
+const findUserTimezone = async (userId) => {
+  const user = userId ? await User.findById(userId).select('preferences.timezone').lean() : null;
+  return getUserTimezone(user);
+};
+
+/**
+ * 알림 저장 및 실시간 전송
+ * 알림 실패가 원래 작업(요청 처리, 확정 등)을 실패시키지 않도록 오류는 기록만 합니다.
+ * @param {Array<string|Object>} userIds - 받는 사용자 ID 목록 (populate된 문서도 가능)
+ * @param {Object} payload - { type, title, message, roomId, data }
+ * @param {Object} [options] - { actorId } 행동한 사용자는 알림 대상에서 제외
+ * @returns {Promise<Array>} 생성된 알림 목록
+ */
+const notifyUsers = async (userIds, payload, { actorId = null } = {}) => {
+  const actor = toId(actorId);
+  const recipients = [...new Set(userIds.map(toId).filter(Boolean))].filter(id => id !== actor);
+  if (recipients.length === 0) return [];
+
+  try {
+    const notifications = await Notification.insertMany(recipients.map(userId => ({
+      userId,
+      type: payload.type,
+      title: payload.title,
+      message: payload.message || '',
+      roomId: toId(payload.roomId),
+      actorId: actor,
+      data: payload.data || {}
+    })));
+
+    if (global.io) {
+      await Promise.all(notifications.map(async (notification) => {
+        const unreadCount = await Notification.countUnread(notification.userId);
+        global.io.to(`user-${notification.userId}`).emit('notification', {
+          notification: notification.toObject(),
+          unreadCount
+        });
+      }));
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error('[Notification] 알림 생성 실패:', error.message);
+    return [];
+  }
+};
+
+/**
+ * 저장 전 요청 상태 스냅샷
+ * @param {Object} room - Room 문서
+ * @returns {Map<string, string>} requestId -> status
+ */
+const snapshotRequests = (room) => {
+  return new Map((room.requests || []).map(request => [request._id.toString(), request.status]));
+};
+
+/**
+ * 스냅샷 이후 바뀐 요청을 찾아 관련 사용자에게 알림
+ * - 새로 생긴 대기 요청 → 대상 사용자 (대상이 없으면 방장)
+ * - 승인/거절 → 요청자
+ * - 연쇄 조정 진행/확인 필요 → 요청자
+ * - 취소 → 대상 사용자
+ * @param {Object} room - 저장된 Room 문서
+ * @param {Map<string, string>} snapshot - snapshotRequests 결과
+ * @param {string} actorId - 변경을 일으킨 사용자 ID (시스템 처리 시 null)
+ */
+const notifyRequestChanges = async (room, snapshot, actorId) => {
+  const roomName = room.name || '조율방';
+  const roomTimezone = getRoomTimezone(room);
+
+  for (const request of room.requests || []) {
+    const requestId = request._id.toString();
+    const previousStatus = snapshot.get(requestId);
+    if (previousStatus === request.status) continue;
+
+    const requesterId = toId(request.requester);
+    const describeFor = async (userId) => describeTimeSlot(request, roomTimezone, await findUserTimezone(userId));
+    const data = { requestId, requestType: request.type };
+    const base = { roomId: room._id, data };
+
+    if (previousStatus === undefined && request.status === 'pending') {
+      const recipient = toId(request.targetUser) || toId(room.owner);
+      const isChain = CHAIN_TYPES.includes(request.type);
+      const title = request.type === 'route_reorder'
+        ? '방장이 수업 시간 조정을 요청했습니다'
+        : (isChain ? '연쇄 조정 요청이 도착했습니다' : '새 자리 요청이 도착했습니다');
+      const timeText = await describeFor(recipient);
+      await notifyUsers([recipient], {
+        ...base,
+        type: 'request_received',
+        title,
+        message: `[${roomName}] ${timeText}${request.message ? ` - ${request.message}` : ''}`
+      }, { actorId });
+    } else if (request.status === 'approved' || request.status === 'rejected') {
+      const approved = request.status === 'approved';
+      const timeText = await describeFor(requesterId);
+      await notifyUsers([requesterId], {
+        ...base,
+        type: approved ? 'request_approved' : 'request_rejected',
+        title: approved ? '요청이 승인되었습니다' : '요청이 거절되었습니다',
+        message: `[${roomName}] ${timeText}${request.response ? ` - ${request.response}` : ''}`
+      }, { actorId });
+    } else if (CHAIN_STATUSES.includes(request.status)) {
+      const timeText = await describeFor(requesterId);
+      await notifyUsers([requesterId], {
+        ...base,
+        type: 'chain_pending',
+        title: request.status === 'needs_chain_confirmation' ? '연쇄 조정 확인이 필요합니다' : '연쇄 조정이 진행 중입니다',
+        message: `[${roomName}] ${timeText}${request.response ? ` - ${request.response}` : ''}`
+      }, { actorId });
+    } else if (request.status === 'cancelled' && previousStatus !== undefined) {
+      const timeText = await describeFor(toId(request.targetUser));
+      await notifyUsers([toId(request.targetUser)], {
+        ...base,
+        type: 'request_cancelled',
+        title: '받은 요청이 취소되었습니다',
+        message: `[${roomName}] ${timeText}`
+      }, { actorId });
+    }
+  }
+};
+
+module.exports = {
+  notifyUsers,
+  snapshotRequests,
+  notifyRequestChanges
+};
@@ -0,0 +1,311 @@
+/**
+ * ===================================================================================================
+ * Recurrence Service (반복 일정 전개 서비스)
+ * ===================================================================================================
+ *
+ * 설명: Event.recurrenceRule을 실제 발생(occurrence) 목록으로 전개하는 서비스
+ *
+ * 주요 기능:
+ * - 반복 규칙(daily/weekly/monthly/yearly, interval, endDate, occurrences)에 따른 발생 시각 계산
+ * - 조회 기간 내 발생만 가상 이벤트 객체로 전개
+ * - 회차별 예외(이 일정만 수정/취소) 반영
+ * - "이 일정 및 이후 일정" 수정을 위한 시리즈 분할
+ *
+ * 관련 파일:
+ * - server/models/event.js - recurrenceRule, recurrenceExceptions 스키마
+ * - server/controllers/eventController.js - GET /api/events/range, /conflicts, 회차 수정/취소
+ * - client/src/components/modals/EditEventModal.js - 수정 범위 선택 UI
+ *
+ * ===================================================================================================
+ */
+
+const Event = require('../models/event');
+
+// 무한 반복 방지를 위한 최대 전개 횟수
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * 기준 시각에서 n번째 반복 시각을 계산
+ * - monthly/yearly는 말일 보정 없이 해당 월에 날짜가 없으면 건너뜀 (예: 31일 → 30일까지인 달은 제외)
+ * @param {Date} start - 시리즈 최초 시작 시각
+ * @param {string} frequency - 'daily' | 'weekly' | 'monthly' | 'yearly'
+ * @param {number} step - 최초 시각으로부터의 반복 단계 (interval이 곱해진 값)
+ * @returns {Date|null} - 계산된 시각 (해당 월에 날짜가 없으면 null)
+ */
+function addFrequency(start, frequency, step) {
+  const date = new Date(start.getTime());
+
+  switch (frequency) {
+    case 'daily':
+      date.setDate(date.getDate() + step);
+      return date;
+    case 'weekly':
+      date.setDate(date.getDate() + step * 7);
+      return date;
+    case 'monthly':
+      date.setMonth(date.getMonth() + step);
+      return date.getDate() === start.getDate() ? date : null;
+    case 'yearly':
+      date.setFullYear(date.getFullYear() + step);
+      return date.getDate() === start.getDate() ? date : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 두 시각이 같은 회차를 가리키는지 확인 (초 단위까지 비교)
+ * @param {Date|string} a
+ * @param {Date|string} b
+ * @returns {boolean}
+ */
+function isSameOccurrence(a, b) {
+  return Math.floor(new Date(a).getTime() / 1000) === Math.floor(new Date(b).getTime() / 1000);
+}
+
+/**
+ * 조회 시작 시각 직전의 반복 단계 (이 단계부터 계산하면 조회 기간의 회차를 빠뜨리지 않음)
+ * - 일/주 단위는 경과 일수, 월/연 단위는 경과 개월/연수로 계산하고 한 단계 여유를 둠
+ * @param {Date} start - 시리즈 최초 시작 시각
+ * @param {Object} rule - recurrenceRule
+ * @param {Date} rangeStart - 조회 시작
+ * @returns {number} - 시작 단계 (0 이상)
+ */
+function firstStepNear(start, rule, rangeStart) {
+  if (rangeStart <= start) return 0;
+  const interval = rule.interval || 1;
+  let elapsed;
+  switch (rule.frequency) {
+    case 'daily':
+      elapsed = Math.floor((rangeStart - start) / 86400000);
+      break;
+    case 'weekly':
+      elapsed = Math.floor((rangeStart - start) / (86400000 * 7));
+      break;
+    case 'monthly':
+      elapsed = (rangeStart.getFullYear() - start.getFullYear()) * 12 + (rangeStart.getMonth() - start.getMonth());
+      break;
+    case 'yearly':
+      elapsed = rangeStart.getFullYear() - start.getFullYear();
+      break;
+    default:
+      return 0;
+  }
+  return Math.max(Math.floor(elapsed / interval) - 1, 0);
+}
+
+/**
+ * 반복 일정의 발생 시작 시각 목록 생성
+ * - rangeStart를 주면 그 직전 단계부터 계산하므로, 시리즈 시작에서 멀리 떨어진 기간도 전개됨
+ *   (MAX_OCCURRENCES 제한은 조회 기간마다 적용. 단, 횟수 제한(occurrences)이 있는 시리즈는 처음부터 셈)
+ * @param {Object} event - Event 문서 또는 lean 객체
+ * @param {Date} rangeEnd - 이 시각 이후의 발생은 생성하지 않음
+ * @param {Date|null} [rangeStart] - 이 시각 이전의 발생은 생성하지 않음
+ * @returns {Date[]} - 발생 시작 시각 배열 (오름차순)
+ */
+function generateOccurrenceStarts(event, rangeEnd, rangeStart = null) {
+  const start = new Date(event.startTime);
+  const rule = event.recurrenceRule || {};
+
+  if (!event.isRecurring || !rule.frequency) {
+    return [start];
+  }
+
+  const interval = rule.interval || 1;
+  const until = rule.endDate ? new Date(rule.endDate) : null;
+  const limit = Math.min(rule.occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const firstStep = rangeStart && !rule.occurrences ? firstStepNear(start, rule, rangeStart) : 0;
+
+  const starts = [];
+  let count = 0;
+  for (let i = firstStep; count < limit && i < firstStep + MAX_OCCURRENCES * 2; i++) {
+    const occurrence = addFrequency(start, rule.frequency, i * interval);
+    if (!occurrence) continue;
+    if (until && occurrence > until) break;
+    if (rangeEnd && occurrence > rangeEnd) break;
+    // 횟수 제한이 있는 시리즈는 조회 기간 이전 회차도 횟수에 포함
+    if (rangeStart && occurrence < rangeStart) {
+      if (rule.occurrences) count++;
+      continue;
+    }
+    starts.push(occurrence);
+    count++;
+  }
+  return starts;
+}
+
+/**
+ * 반복 일정을 조회 기간 내 발생 목록으로 전개
+ * - 취소된 회차는 제외하고, 수정된 회차는 예외 내용을 덮어씀
+ * - 반복이 아닌 일정은 원본 그대로 한 건 반환
+ * @param {Object} event - Event 문서 또는 lean 객체
+ * @param {Date} rangeStart - 조회 시작
+ * @param {Date} rangeEnd - 조회 종료
+ * @returns {Object[]} - 발생 이벤트 객체 배열
+ */
+function expandEvent(event, rangeStart, rangeEnd) {
+  if (!event.isRecurring || !event.recurrenceRule?.frequency) {
+    return [event];
+  }
+
+  const base = typeof event.toJSON === 'function' ? event.toJSON() : { ...event, id: event._id };
+  const durationMs = new Date(event.endTime) - new Date(event.startTime);
+  const exceptions = event.recurrenceExceptions || [];
+  const seriesId = String(base.id);
+  const occurrences = [];
+
+  const toOccurrence = (occurrenceStart, exception) => {
+    const startTime = exception?.startTime ? new Date(exception.startTime) : occurrenceStart;
+    const endTime = exception?.endTime ? new Date(exception.endTime) : new Date(occurrenceStart.getTime() + durationMs);
+    if (endTime < rangeStart || startTime > rangeEnd) return null;
+
+    return {
+      ...base,
+      _id: event._id,
+      id: `${seriesId}_${occurrenceStart.getTime()}`,
+      seriesId,
+      occurrenceStart,
+      isRecurringOccurrence: true,
+      isException: !!exception,
+      title: exception?.title || base.title,
+      description: exception?.description ?? base.description,
+      location: exception?.location ?? base.location,
+      startTime,
+      endTime
+    };
+  };
+
+  // 조회 시작 이전에 시작해 기간에 걸치는 회차까지 포함
+  const generated = generateOccurrenceStarts(event, rangeEnd, new Date(rangeStart.getTime() - durationMs));
+  for (const occurrenceStart of generated) {
+    const exception = exceptions.find(ex => isSameOccurrence(ex.originalStart, occurrenceStart));
+    if (exception && exception.status === 'cancelled') continue;
+
+    const occurrence = toOccurrence(occurrenceStart, exception);
+    if (occurrence) occurrences.push(occurrence);
+  }
+
+  // "이 일정만" 수정으로 기간 밖의 회차가 기간 안으로 옮겨진 경우
+  exceptions
+    .filter(ex => ex.status !== 'cancelled' && ex.startTime &&
+      !generated.some(start => isSameOccurrence(start, ex.originalStart)) &&
+      hasOccurrence(event, new Date(ex.originalStart)))
+    .forEach(ex => {
+      const occurrence = toOccurrence(new Date(ex.originalStart), ex);
+      if (occurrence) occurrences.push(occurrence);
+    });
+
+  return occurrences.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * 여러 일정을 전개하여 시작 시각 순으로 정렬
+ * @param {Object[]} events - Event 문서 배열
+ * @param {Date} rangeStart - 조회 시작
+ * @param {Date} rangeEnd - 조회 종료
+ * @returns {Object[]}
+ */
+function expandEvents(events, rangeStart, rangeEnd) {
+  return events
+    .flatMap(event => expandEvent(event, rangeStart, rangeEnd))
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+/**
+ * 기간과 실제로 겹치는 일정/회차 조회
+ * - Event.findConflicting은 반복 시리즈 원본을 후보로 반환하므로 전개 후 다시 겹침을 확인
+ * @param {string} userId - 사용자 ID
+ * @param {Date} startTime - 확인할 시작 시각
+ * @param {Date} endTime - 확인할 종료 시각
+ * @param {string|null} excludeEventId - 제외할 일정(시리즈) ID
+ * @returns {Promise<Object[]>}
+ */
+async function findConflictingOccurrences(userId, startTime, endTime, excludeEventId = null) {
+  const candidates = await Event.findConflicting(userId, startTime, endTime, excludeEventId)
+    .populate('participants.userId', 'name email');
+
+  return expandEvents(candidates, startTime, endTime)
+    .filter(event => new Date(event.startTime) < endTime && new Date(event.endTime) > startTime);
+}
+
+/**
+ * 특정 회차가 시리즈에 실제로 존재하는지 확인
+ * @param {Object} event - 반복 Event 문서
+ * @param {Date} occurrenceStart - 회차 원래 시작 시각
+ * @returns {boolean}
+ */
+function hasOccurrence(event, occurrenceStart) {
+  return generateOccurrenceStarts(event, new Date(occurrenceStart.getTime() + 1000), new Date(occurrenceStart.getTime() - 1000))
+    .some(start => isSameOccurrence(start, occurrenceStart));
+}
+
+/**
+ * "이 일정만" 예외 등록 (수정 또는 취소)
+ * @param {Object} event - 반복 Event 문서 (mongoose)
+ * @param {Date} occurrenceStart - 회차 원래 시작 시각
+ * @param {Object} changes - { status, title, description, location, startTime, endTime }
+ */
+function applyOccurrenceException(event, occurrenceStart, changes) {
+  const existing = event.recurrenceExceptions.find(ex => isSameOccurrence(ex.originalStart, occurrenceStart));
+  const exception = existing || { originalStart: occurrenceStart };
+
+  exception.status = changes.status || 'modified';
+  ['title', 'description', 'location', 'startTime', 'endTime'].forEach(field => {
+    if (changes[field] !== undefined) exception[field] = changes[field];
+  });
+
+  if (!existing) {
+    event.recurrenceExceptions.push(exception);
+  }
+}
+
+/**
+ * "이 일정 및 이후 일정" 처리를 위해 시리즈를 회차 직전에서 종료
+ * - 기존 occurrences 제한은 남은 횟수를 새 시리즈로 넘길 수 있도록 계산해 반환
+ * @param {Object} event - 반복 Event 문서 (mongoose)
+ * @param {Date} occurrenceStart - 분할 기준 회차 시작 시각
+ * @returns {number|null} - 분할 이후 시리즈에 남은 발생 횟수 (제한이 없으면 null)
+ */
+function truncateSeriesBefore(event, occurrenceStart) {
+  const before = generateOccurrenceStarts(event, new Date(occurrenceStart.getTime() - 1000));
+  const remaining = event.recurrenceRule.occurrences
+    ? Math.max(event.recurrenceRule.occurrences - before.length, 1)
+    : null;
+
+  event.recurrenceRule.endDate = new Date(occurrenceStart.getTime() - 1000);
+  if (event.recurrenceRule.occurrences) {
+    event.recurrenceRule.occurrences = Math.max(before.length, 1);
+  }
+  event.recurrenceExceptions = event.recurrenceExceptions.filter(ex => new Date(ex.originalStart) < occurrenceStart);
+
+  return remaining;
+}
+
+/**
+ * 시리즈 시작 시각이 옮겨졌을 때 회차 예외의 기준 시각(originalStart)을 같은 만큼 이동
+ * - 이동 후 새 시리즈에 없는 회차를 가리키는 예외는 버림
+ * @param {Object} event - 시작 시각이 이미 바뀐 반복 Event 문서 (mongoose)
+ * @param {number} shiftMs - 시작 시각 이동량 (밀리초)
+ */
+function rekeyExceptions(event, shiftMs) {
+  if (!shiftMs || !event.recurrenceExceptions?.length) return;
+
+  event.recurrenceExceptions = event.recurrenceExceptions
+    .map(ex => {
+      const exception = typeof ex.toObject === 'function' ? ex.toObject() : { ...ex };
+      return { ...exception, originalStart: new Date(new Date(ex.originalStart).getTime() + shiftMs) };
+    })
+    .filter(ex => hasOccurrence(event, ex.originalStart));
+}
+
+module.exports = {
+  generateOccurrenceStarts,
+  expandEvent,
+  expandEvents,
+  findConflictingOccurrences,
+  hasOccurrence,
+  isSameOccurrence,
+  applyOccurrenceException,
+  truncateSeriesBefore,
+  rekeyExceptions
+};
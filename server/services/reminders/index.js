@@ -0,0 +1,283 @@
+/**
+ * ===================================================================================================
+ * Reminder Service (알림 발송 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 발송 시점이 된 알림을 찾아 팝업(Socket.io) / 이메일 / SMS로 전달하는 서비스
+ *
+ * 주요 기능:
+ * - 개인 일정(Event.reminders)의 발송 대상 수집 (반복 일정은 회차별로 전개)
+ * - 확정된 방 슬롯(Room.timeSlots)의 발송 대상 수집 (방장 + 배정된 멤버)
+ * - User.preferences.notifications 설정에 따른 발송 방식 필터링
+ * - ReminderDelivery 기록 선점으로 재시작 후에도 중복 발송 방지
+ *
+ * 관련 파일:
+ * - server/jobs/reminderScheduler.js - 주기적으로 dispatchDueReminders 호출
+ * - server/services/reminders/transports/ - 이메일/SMS 전송기
+ * - server/models/ReminderDelivery.js - 발송 기록
+ * - server/services/recurrenceService.js - 반복 일정 전개
+ *
+ * ===================================================================================================
+ */
+
+const Event = require('../../models/event');
+const Room = require('../../models/room');
+const User = require('../../models/user');
+const ReminderDelivery = require('../../models/ReminderDelivery');
+const { expandEvents } = require('../recurrenceService');
+const { getTransport } = require('./transports');
+const { getRoomTimezone, getUserTimezone, wallClockToDate } = require('../../utils/timezone');
+
+// 발송 시점이 지난 뒤에도 보내는 허용 시간 (서버 재시작 직후 폭주 방지)
+const GRACE_MINUTES = 10;
+// 이보다 먼 시점의 알림(minutesBefore)은 조회 대상에서 제외
+const MAX_LOOKAHEAD_MINUTES = 7 * 24 * 60;
+// 방 슬롯 알림 기본값 (사용자 설정이 없을 때)
+const DEFAULT_SLOT_REMINDER_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 알림 발송 시각이 현재 발송 구간(now - GRACE, now]에 속하는지 확인
+ * @param {Date} occurrenceStart - 일정 시작 시각
+ * @param {number} minutesBefore - 몇 분 전 알림인지
+ * @param {Date} now - 현재 시각
+ * @returns {boolean}
+ */
+const isDue = (occurrenceStart, minutesBefore, now) => {
+  const remindAt = new Date(occurrenceStart).getTime() - minutesBefore * MINUTE_MS;
+  return remindAt <= now.getTime() && remindAt > now.getTime() - GRACE_MINUTES * MINUTE_MS;
+};
+
+/**
+ * 개인 일정의 발송 대상 알림 수집
+ * @param {Date} now - 현재 시각
+ * @returns {Promise<Object[]>} - 알림 정보 배열
+ */
+const collectEventReminders = async (now) => {
+  const windowStart = new Date(now.getTime() - GRACE_MINUTES * MINUTE_MS);
+  const windowEnd = new Date(now.getTime() + MAX_LOOKAHEAD_MINUTES * MINUTE_MS);
+
+  const events = await Event.findWithRemindersBetween(windowStart, windowEnd);
+  const occurrences = expandEvents(events, windowStart, windowEnd);
+
+  const due = [];
+  for (const occurrence of occurrences) {
+    for (const reminder of occurrence.reminders || []) {
+      const minutesBefore = reminder.minutesBefore ?? 0;
+      if (!isDue(occurrence.startTime, minutesBefore, now)) continue;
+
+      due.push({
+        userId: String(occurrence.userId),
+        sourceType: 'event',
+        sourceId: String(occurrence._id),
+        occurrenceStart: new Date(occurrence.startTime),
+        method: reminder.method || 'popup',
+        minutesBefore,
+        title: occurrence.title,
+        location: occurrence.location || ''
+      });
+    }
+  }
+  return due;
+};
+
+/**
+ * 방 슬롯의 시작 시각 계산 (슬롯 날짜 + HH:MM, 방 시간대 기준)
+ * @param {Object} room - Room 문서 (settings.timezone)
+ * @param {Object} slot - Room.timeSlots 항목
+ * @returns {Date}
+ */
+const getSlotStart = (room, slot) => {
+  const dateStr = new Date(slot.date).toISOString().split('T')[0];
+  return wallClockToDate(dateStr, slot.startTime, getRoomTimezone(room));
+};
+
+/**
+ * 확정된 방 슬롯의 발송 대상 알림 수집
+ * - 슬롯에 배정된 멤버와 방장 모두에게 발송
+ * - 알림 시점은 각 사용자의 preferences.notifications.slotReminderMinutes
+ * - 기본은 팝업만, 이메일은 preferences.notifications.slotReminderEmail을 켠 사용자에게만
+ * @param {Date} now - 현재 시각
+ * @returns {Promise<Object[]>} - 알림 정보 배열
+ */
+const collectRoomSlotReminders = async (now) => {
+  const dayStart = new Date(now);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const windowStart = new Date(dayStart.getTime() - 24 * 60 * MINUTE_MS);
+  const windowEnd = new Date(dayStart.getTime() + 2 * 24 * 60 * MINUTE_MS);
+
+  const rooms = await Room.find({
+    confirmedAt: { $ne: null },
+    timeSlots: { $elemMatch: { date: { $gte: windowStart, $lt: windowEnd }, status: 'confirmed' } }
+  }).select('name owner timeSlots settings.timezone');
+
+  const candidates = [];
+  for (const room of rooms) {
+    for (const slot of room.timeSlots) {
+      if (slot.isTravel || slot.status !== 'confirmed') continue;
+      if (slot.date < windowStart || slot.date >= windowEnd) continue;
+
+      const recipients = new Set([String(slot.user), String(room.owner)]);
+      recipients.forEach(userId => candidates.push({ room, slot, userId, occurrenceStart: getSlotStart(room, slot) }));
+    }
+  }
+  if (candidates.length === 0) return [];
+
+  const userIds = [...new Set(candidates.map(c => c.userId))];
+  const users = await User.find({ _id: { $in: userIds } }).select('preferences.notifications').lean();
+  const minutesByUser = new Map(users.map(u => [
+    String(u._id),
+    u.preferences?.notifications?.slotReminderMinutes ?? DEFAULT_SLOT_REMINDER_MINUTES
+  ]));
+  // 방 슬롯 알림은 팝업만 기본으로 보내고, 이메일은 사용자가 켠 경우에만 (preferences.notifications.slotReminderEmail)
+  const methodsByUser = new Map(users.map(u => [
+    String(u._id),
+    u.preferences?.notifications?.slotReminderEmail ? ['popup', 'email'] : ['popup']
+  ]));
+
+  const due = [];
+  for (const { room, slot, userId, occurrenceStart } of candidates) {
+    const minutesBefore = minutesByUser.get(userId);
+    if (minutesBefore === undefined || minutesBefore === null || minutesBefore < 0) continue;
+    if (!isDue(occurrenceStart, minutesBefore, now)) continue;
+
+    methodsByUser.get(userId).forEach(method => due.push({
+      userId,
+      sourceType: 'room_slot',
+      sourceId: `${room._id}:${slot._id}`,
+      roomId: String(room._id),
+      occurrenceStart,
+      method,
+      minutesBefore,
+      title: `${room.name} - ${slot.subject}`,
+      location: slot.location?.address || ''
+    }));
+  }
+  return due;
+};
+
+/**
+ * 사용자 알림 설정으로 발송 가능한 방식인지 확인
+ * @param {Object} user - User 문서
+ * @param {string} method - 'popup' | 'email' | 'sms'
+ * @returns {boolean}
+ */
+const isMethodEnabled = (user, method) => {
+  const notifications = user.preferences?.notifications || {};
+  if (method === 'popup') return notifications.push !== false;
+  if (method === 'email') return notifications.email !== false && !!user.email;
+  if (method === 'sms') return !!user.phone;
+  return false;
+};
+
+/**
+ * 알림 문구 생성 (시각은 받는 사용자 시간대 기준)
+ * @param {Object} reminder - 알림 정보
+ * @param {Object} user - 수신 User 문서 (preferences.timezone)
+ * @returns {{subject: string, text: string}}
+ */
+const buildMessage = (reminder, user) => {
+  const timeStr = reminder.occurrenceStart.toLocaleString('ko-KR', {
+    timeZone: getUserTimezone(user),
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const subject = `[일정 알림] ${reminder.title}`;
+  const locationText = reminder.location ? ` (장소: ${reminder.location})` : '';
+  const text = reminder.minutesBefore > 0
+    ? `${reminder.minutesBefore}분 후 ${timeStr}에 "${reminder.title}" 일정이 시작됩니다.${locationText}`
+    : `${timeStr}에 "${reminder.title}" 일정이 시작됩니다.${locationText}`;
+  return { subject, text };
+};
+
+/**
+ * 알림 한 건 전달
+ * @param {Object} reminder - 알림 정보
+ * @param {Object} user - 수신 User 문서
+ * @returns {Promise<Object>} - 전송 결과
+ */
+const deliver = async (reminder, user) => {
+  const { subject, text } = buildMessage(reminder, user);
+  const payload = {
+    sourceType: reminder.sourceType,
+    sourceId: reminder.sourceId,
+    roomId: reminder.roomId || null,
+    title: reminder.title,
+    startTime: reminder.occurrenceStart,
+    minutesBefore: reminder.minutesBefore,
+    subject,
+    text
+  };
+
+  if (reminder.method === 'popup') {
+    if (!global.io) throw new Error('Socket.io server is not initialized');
+    global.io.to(`user-${reminder.userId}`).emit('reminder', payload);
+    return { transport: 'socket' };
+  }
+
+  const transport = getTransport(reminder.method);
+  return transport.send({
+    method: reminder.method,
+    to: reminder.method === 'sms' ? user.phone : user.email,
+    subject,
+    text,
+    userId: reminder.userId,
+    data: payload
+  });
+};
+
+/**
+ * 발송 시점이 된 모든 알림을 찾아 전달
+ * @param {Date} [now] - 기준 시각 (기본값: 현재)
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+const dispatchDueReminders = async (now = new Date()) => {
+  const reminders = [
+    ...(await collectEventReminders(now)),
+    ...(await collectRoomSlotReminders(now))
+  ];
+  const stats = { sent: 0, failed: 0, skipped: 0 };
+  if (reminders.length === 0) return stats;
+
+  const userIds = [...new Set(reminders.map(r => r.userId))];
+  const users = await User.find({ _id: { $in: userIds } }).select('email phone preferences.notifications preferences.timezone');
+  const userMap = new Map(users.map(u => [String(u._id), u]));
+
+  for (const reminder of reminders) {
+    const user = userMap.get(reminder.userId);
+    if (!user || !isMethodEnabled(user, reminder.method)) {
+      stats.skipped++;
+      continue;
+    }
+
+    const delivery = await ReminderDelivery.claim(reminder);
+    if (!delivery) {
+      stats.skipped++; // 이미 발송됨
+      continue;
+    }
+
+    try {
+      await deliver(reminder, user);
+      delivery.status = 'sent';
+      delivery.deliveredAt = new Date();
+      stats.sent++;
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      stats.failed++;
+    }
+    await delivery.save();
+  }
+
+  return stats;
+};
+
+module.exports = {
+  dispatchDueReminders,
+  collectEventReminders,
+  collectRoomSlotReminders,
+  isDue
+};
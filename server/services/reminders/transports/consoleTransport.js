@@ -0,0 +1,18 @@
+/**
+ * 콘솔 전송기 (개발용)
+ * - 이메일/SMS를 실제로 보내지 않고 서버 로그에 출력
+ */
+
+const name = 'console';
+
+/**
+ * 알림 메시지를 콘솔에 출력
+ * @param {Object} message - { to, subject, text, method, userId }
+ * @returns {Promise<Object>} - 전송 결과
+ */
+const send = async (message) => {
+  console.log(`🔔 [reminder:${message.method}] to=${message.to} | ${message.subject} | ${message.text}`);
+  return { transport: name };
+};
+
+module.exports = { name, send };
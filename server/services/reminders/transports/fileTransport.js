@@ -0,0 +1,27 @@
+/**
+ * 파일 전송기 (개발용)
+ * - 이메일/SMS 메시지를 JSON Lines 형식으로 파일에 누적 기록
+ * - 경로: REMINDER_OUTBOX_PATH 환경 변수 (기본값 server/logs/reminder-outbox.log)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const name = 'file';
+
+const getOutboxPath = () =>
+  process.env.REMINDER_OUTBOX_PATH || path.join(__dirname, '..', '..', '..', 'logs', 'reminder-outbox.log');
+
+/**
+ * 알림 메시지를 outbox 파일에 한 줄로 추가
+ * @param {Object} message - { to, subject, text, method, userId }
+ * @returns {Promise<Object>} - 전송 결과
+ */
+const send = async (message) => {
+  const outboxPath = getOutboxPath();
+  await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.promises.appendFile(outboxPath, JSON.stringify({ ...message, writtenAt: new Date().toISOString() }) + '\n');
+  return { transport: name, path: outboxPath };
+};
+
+module.exports = { name, send };
@@ -0,0 +1,59 @@
+/**
+ * ===================================================================================================
+ * 알림 전송기(Transport) 레지스트리
+ * ===================================================================================================
+ *
+ * 설명: 이메일/SMS 알림을 실제로 전달하는 전송기를 교체 가능하게 관리
+ *
+ * 전송기 인터페이스:
+ * - name: string - 전송기 이름
+ * - send(message): Promise<Object> - message = { method, to, subject, text, userId, data }
+ *
+ * 설정:
+ * - REMINDER_EMAIL_TRANSPORT: 이메일 전송기 이름 (기본값 'console')
+ * - REMINDER_SMS_TRANSPORT: SMS 전송기 이름 (기본값 'console')
+ *
+ * 운영 환경용 전송기(SMTP, SMS 게이트웨이 등)는 registerTransport로 등록한 뒤 환경 변수로 선택
+ *
+ * ===================================================================================================
+ */
+
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+const transports = new Map([
+  [consoleTransport.name, consoleTransport],
+  [fileTransport.name, fileTransport]
+]);
+
+const METHOD_ENV_KEYS = {
+  email: 'REMINDER_EMAIL_TRANSPORT',
+  sms: 'REMINDER_SMS_TRANSPORT'
+};
+
+/**
+ * 전송기 등록
+ * @param {Object} transport - { name, send }
+ */
+const registerTransport = (transport) => {
+  if (!transport?.name || typeof transport.send !== 'function') {
+    throw new Error('Transport must have a name and a send(message) function');
+  }
+  transports.set(transport.name, transport);
+};
+
+/**
+ * 알림 방식(email/sms)에 설정된 전송기 조회
+ * @param {string} method - 'email' | 'sms'
+ * @returns {Object} - 전송기
+ */
+const getTransport = (method) => {
+  const transportName = process.env[METHOD_ENV_KEYS[method]] || consoleTransport.name;
+  const transport = transports.get(transportName);
+  if (!transport) {
+    throw new Error(`Unknown reminder transport "${transportName}" for ${method}`);
+  }
+  return transport;
+};
+
+module.exports = { registerTransport, getTransport };
@@ -0,0 +1,190 @@
+/**
+ * ===================================================================================================
+ * Room History Service (방 시간표 이력 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 시간표를 바꾸는 작업마다 변경 전/후 스냅샷을 남기고, 이전 버전으로 되돌리는 서비스
+ *
+ * 주요 기능:
+ * - captureTimeSlots: 작업 전 시간표를 plain object로 복사 (방을 읽은 직후 호출)
+ * - recordRoomSnapshot: 방 저장 후 변경 전/후 + 멤버별 diff를 RoomSnapshot으로 기록 (실패해도 작업은 계속)
+ * - listRoomSnapshots / getRoomSnapshot: 이력 목록(요약) / 상세 조회
+ * - applyRoomSnapshot: 스냅샷의 변경 전 또는 후 시간표를 방에 적용
+ *
+ * 관련 파일:
+ * - server/models/RoomSnapshot.js - 스냅샷 모델
+ * - server/controllers/roomHistoryController.js - 이력 API
+ * - server/controllers/coordinationScheduling/scenarioService.js - diffTimeSlots (멤버별 블록 비교)
+ *
+ * ===================================================================================================
+ */
+
+const RoomSnapshot = require('../models/RoomSnapshot');
+const User = require('../models/user');
+const { diffTimeSlots } = require('../controllers/coordinationScheduling/scenarioService');
+const { clearTravelModeData } = require('../controllers/coordinationScheduling/helpers');
+
+// 방마다 보관할 스냅샷 수 (초과분은 오래된 것부터 삭제)
+const MAX_SNAPSHOTS_PER_ROOM = 100;
+// 같은 방에 동시에 기록되어 version이 겹칠 때 다시 번호를 받는 횟수
+const MAX_VERSION_RETRIES = 5;
+
+const toIdValue = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * 방 시간표 복사 (populate된 사용자는 ID로 되돌림)
+ * @param {Object} room - Room 문서 또는 lean 객체
+ * @returns {Array} plain timeSlots
+ */
+const captureTimeSlots = (room) => (room.timeSlots || []).map(slot => {
+  const plain = typeof slot.toObject === 'function' ? slot.toObject({ depopulate: true }) : { ...slot };
+  plain.user = toIdValue(plain.user);
+  if (plain.assignedBy) plain.assignedBy = toIdValue(plain.assignedBy);
+  return plain;
+});
+
+/**
+ * 변경 전/후 시간표의 멤버별 diff (이동시간 슬롯 제외, 멤버 이름 포함)
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Promise<Object>} diffTimeSlots 결과
+ */
+const buildSnapshotDiff = async (before, after) => {
+  const withoutTravel = slots => slots.filter(slot => !slot.isTravel && slot.user);
+  const beforeSlots = withoutTravel(before);
+  const afterSlots = withoutTravel(after);
+
+  const userIds = [...new Set([...beforeSlots, ...afterSlots].map(slot => String(slot.user)))];
+  const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName name').lean();
+
+  return diffTimeSlots(beforeSlots, afterSlots, users.map(user => ({ user })));
+};
+
+/**
+ * 시간표 스냅샷 기록 (방 저장이 끝난 뒤 호출)
+ * 기록 실패는 로그만 남기고 null을 반환합니다 (ActivityLog 기록과 동일하게 작업 응답에 영향 없음).
+ * @param {Object} room - 저장된 Room 문서 (변경 후)
+ * @param {Object} params
+ * @param {string} params.action - RoomSnapshot action
+ * @param {Array} params.before - captureTimeSlots로 복사한 변경 전 시간표
+ * @param {string} [params.userId] - 작업자 ID (시스템 작업은 생략)
+ * @param {string} [params.userName] - 작업자 이름 (생략하면 userId로 조회)
+ * @param {string} [params.details] - 작업 설명
+ * @param {Object} [params.restoredFrom] - 복원 작업일 때 복원한 스냅샷 정보
+ * @returns {Promise<Object|null>} 생성된 스냅샷
+ */
+const recordRoomSnapshot = async (room, { action, before, userId, userName, details = '', restoredFrom = null }) => {
+  try {
+    const after = captureTimeSlots(room);
+    const diff = await buildSnapshotDiff(before || [], after);
+
+    let name = userName;
+    if (!name && userId) {
+      const user = await User.findById(userId).select('firstName lastName').lean();
+      name = user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : undefined;
+    }
+
+    // 최신 번호 + 1로 저장하고, 동시에 같은 번호가 기록되면(고유 인덱스 위반) 번호를 다시 받아 재시도
+    let snapshot = null;
+    let version = 0;
+    for (let attempt = 1; !snapshot; attempt++) {
+      const latest = await RoomSnapshot.findOne({ roomId: room._id }).sort({ version: -1 }).select('version').lean();
+      version = (latest?.version || 0) + 1;
+      try {
+        snapshot = await RoomSnapshot.create({
+          roomId: room._id,
+          version,
+          action,
+          userId: userId || null,
+          ...(name && { userName: name }),
+          details,
+          before: before || [],
+          after,
+          diff,
+          restoredFrom
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) throw error;
+      }
+    }
+
+    if (version > MAX_SNAPSHOTS_PER_ROOM) {
+      await RoomSnapshot.deleteMany({ roomId: room._id, version: { $lte: version - MAX_SNAPSHOTS_PER_ROOM } });
+    }
+
+    return snapshot;
+  } catch (error) {
+    console.error('Room snapshot error:', error);
+    return null;
+  }
+};
+
+/**
+ * 방 이력 목록 (시간표/멤버별 diff 제외한 요약, 최신순)
+ * @param {string} roomId
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Object>} { snapshots, pagination }
+ */
+const listRoomSnapshots = async (roomId, { page = 1, limit = 20 } = {}) => {
+  const [snapshots, total] = await Promise.all([
+    RoomSnapshot.find({ roomId })
+      .select('-before -after -diff.members')
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    RoomSnapshot.countDocuments({ roomId })
+  ]);
+
+  return {
+    snapshots,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+/**
+ * 스냅샷 상세 조회
+ * @param {string} roomId
+ * @param {string} snapshotId
+ * @returns {Promise<Object|null>}
+ */
+const getRoomSnapshot = (roomId, snapshotId) => RoomSnapshot.findOne({ _id: snapshotId, roomId }).lean();
+
+/**
+ * 스냅샷 시간표를 방에 적용
+ * 지금은 방에 없는 멤버의 슬롯은 적용하지 않습니다 (시나리오 적용과 동일).
+ * 이동시간 슬롯/백업은 버리고 일반 모드로 되돌리며, 진행 중인 자동 확정 타이머를 해제합니다.
+ * @param {Object} room - Room 문서
+ * @param {Object} snapshot - RoomSnapshot
+ * @param {string} point - 'before' (작업 전) | 'after' (작업 후)
+ * @returns {Object} { restoredCount, skippedCount }
+ */
+const applyRoomSnapshot = (room, snapshot, point) => {
+  const participantIds = new Set(
+    [room.owner, ...room.members.map(member => member.user)].map(ref => String(toIdValue(ref)))
+  );
+  const slots = (snapshot[point] || []).filter(slot => !slot.isTravel);
+  const applicableSlots = slots.filter(slot => participantIds.has(String(slot.user)));
+
+  room.timeSlots = applicableSlots;
+  clearTravelModeData(room);
+  if (room.currentTravelMode) room.currentTravelMode = 'normal';
+  room.autoConfirmAt = null;
+
+  return { restoredCount: applicableSlots.length, skippedCount: slots.length - applicableSlots.length };
+};
+
+module.exports = {
+  MAX_SNAPSHOTS_PER_ROOM,
+  captureTimeSlots,
+  recordRoomSnapshot,
+  listRoomSnapshots,
+  getRoomSnapshot,
+  applyRoomSnapshot
+};
@@ -0,0 +1,302 @@
+/**
+ * ===================================================================================================
+ * Room Join Service (방 참여 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 방 코드 / 초대 링크 / 참여 요청 승인 세 경로가 공통으로 쓰는 멤버 추가 로직
+ *
+ * 주요 기능:
+ * - admitMember: 멤버 추가 (색상 배정) + 자동배정을 돌린 적 있는 방이면 재배정 + 이동시간 행렬 미리 계산 + 입장 로그
+ * - consumeInvite: 초대 링크 사용 횟수를 원자적으로 1 증가 (만료/폐기/소진이면 null)
+ * - queueJoinRequest: 승인 대기열 등록 + 방장/공동 방장에게 알림
+ * - getRoomManagerIds: 참여 요청을 처리할 수 있는 사용자 (MANAGE_MEMBERS 권한)
+ *
+ * 관련 파일:
+ * - server/controllers/roomController.js - 방 코드로 참여 (joinRoom)
+ * - server/controllers/roomInviteController.js - 초대 링크 참여, 참여 요청 승인
+ * - server/models/RoomInvite.js, server/models/RoomJoinRequest.js
+ *
+ * ===================================================================================================
+ */
+
+const RoomInvite = require('../models/RoomInvite');
+const RoomJoinRequest = require('../models/RoomJoinRequest');
+const User = require('../models/user');
+const ActivityLog = require('../models/ActivityLog');
+const schedulingAlgorithm = require('./schedulingAlgorithm');
+const { warmRoomMatrix } = require('./travelMatrixService');
+const { notifyUsers } = require('./notificationService');
+const { getAvailableColor } = require('../utils/colorUtils');
+const { ROOM_ROLES, ROOM_PERMISSIONS, hasRoomPermission, isSchedulableMember } = require('../utils/roomPermissions');
+const { getSessionSlotFields } = require('../utils/memberSessions');
+const { getResourceSlotFields } = require('../utils/roomResources');
+const { saveRoomChecked } = require('../utils/roomConcurrency');
+const { captureTimeSlots, recordRoomSnapshot } = require('./roomHistoryService');
+
+const getUserName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : 'Unknown');
+
+/**
+ * 방 인원이 가득 찼는지 (방장 포함)
+ * @param {Object} room
+ * @returns {boolean}
+ */
+const isRoomFull = (room) => room.members.length >= room.maxMembers;
+
+/**
+ * 참여 요청을 처리할 수 있는 사용자 ID 목록
+ * @param {Object} room
+ * @returns {Array<string>}
+ */
+const getRoomManagerIds = (room) => {
+  const ids = [room.owner, ...room.members.map(member => member.user)]
+    .map(ref => (ref && ref._id ? ref._id : ref).toString());
+  return [...new Set(ids)].filter(id => hasRoomPermission(room, id, ROOM_PERMISSIONS.MANAGE_MEMBERS));
+};
+
+/**
+ * 새 멤버 입장 시 자동 재배정
+ * 방장이 한 번이라도 자동배정을 실행한 적이 있어야 함 (timeSlots 존재 여부로 확인)
+ * 재배정 결과는 auto_assign 시간표 이력으로 남기고, 실패해도 입장은 유지하고 로그만 남깁니다.
+ * @param {Object} room - 새 멤버가 저장된 Room 문서
+ */
+const rescheduleOnJoin = async (room) => {
+  const hasRunAutoScheduleBefore = room.timeSlots && room.timeSlots.length > 0;
+
+  // Populate with full schedule info for auto-scheduling
+  await room.populate('owner', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority');
+  await room.populate('members.user', 'firstName lastName email defaultSchedule scheduleExceptions personalTimes priority');
+
+  // Check if all members have schedule set before running auto-schedule
+  const allMembersHaveSchedule = room.members.every(m =>
+    m.user.defaultSchedule && m.user.defaultSchedule.length > 0
+  );
+  const ownerHasSchedule = room.owner.defaultSchedule && room.owner.defaultSchedule.length > 0;
+
+  if (!hasRunAutoScheduleBefore || !ownerHasSchedule || !allMembersHaveSchedule) return;
+
+  try {
+    const membersOnly = room.members.filter(m => isSchedulableMember(room, m));
+
+    const minHoursPerWeek = room.settings?.minHoursPerWeek || 3;
+    const numWeeks = 4;
+
+    // 🔧 Use the same week as the last auto-schedule run
+    // Find the earliest date from existing timeSlots (BEFORE filtering) to determine the start week
+    let startDate = new Date();
+    const dates = room.timeSlots
+      .map(slot => new Date(slot.date))
+      .filter(d => !isNaN(d.getTime()));
+    if (dates.length > 0) {
+      const earliestDate = new Date(Math.min(...dates));
+      // Get Monday of that week
+      const day = earliestDate.getUTCDay();
+      const diff = earliestDate.getUTCDate() - day + (day === 0 ? -6 : 1);
+      earliestDate.setUTCDate(diff);
+      earliestDate.setUTCHours(0, 0, 0, 0);
+      startDate = earliestDate;
+    }
+
+    const ownerBlockedTimes = [];
+    const existingCarryOvers = [];
+
+    for (const member of room.members) {
+      if (member.carryOver > 0) {
+        existingCarryOvers.push({
+          memberId: member.user._id.toString(),
+          neededHours: member.carryOver,
+          priority: member.priority || 3,
+          week: startDate
+        });
+      }
+    }
+
+    // Clear previous auto-generated slots (keep manually assigned slots)
+    const beforeSlots = captureTimeSlots(room);
+    room.timeSlots = room.timeSlots.filter(slot => !slot.assignedBy);
+
+    const result = await schedulingAlgorithm.runAutoSchedule(
+      membersOnly,
+      room.owner,
+      room.timeSlots,
+      {
+        minHoursPerWeek,
+        numWeeks,
+        currentWeek: startDate,
+        ownerPreferences: room.settings.ownerPreferences || {},
+        roomSettings: {
+          ...room.settings,
+          ownerBlockedTimes: ownerBlockedTimes
+        },
+      },
+      existingCarryOvers,
+    );
+
+    // schedulingAlgorithm returns assignments, not timeSlots directly
+    // Process assignments and convert to timeSlots (same logic as coordinationController)
+    if (!result.assignments) return;
+
+    const addedSlots = new Set();
+    Object.values(result.assignments).forEach(assignment => {
+      (assignment.slots || []).forEach(slot => {
+        // Validate required fields
+        if (!slot.day || !slot.startTime || !slot.endTime || !slot.date) {
+          return;
+        }
+
+        // Create unique key to prevent duplicates
+        const slotKey = `${assignment.memberId}-${slot.day}-${slot.startTime}-${slot.endTime}-${new Date(slot.date).toISOString().split('T')[0]}`;
+
+        if (!addedSlots.has(slotKey)) {
+          room.timeSlots.push({
+            user: assignment.memberId,
+            date: slot.date,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            day: slot.day,
+            priority: 3,
+            subject: '자동 배정',
+            ...getSessionSlotFields(slot),
+            ...getResourceSlotFields(slot),
+            assignedBy: room.owner._id,  // Use owner ID, not string
+            assignedAt: new Date(),
+            status: 'confirmed',
+          });
+          addedSlots.add(slotKey);
+        }
+      });
+    });
+
+    await saveRoomChecked(room);
+    await recordRoomSnapshot(room, { action: 'auto_assign', before: beforeSlots, details: '새 조원 입장으로 자동배정' });
+  } catch (autoScheduleError) {
+    console.error('❌ Auto-schedule error on member join:', autoScheduleError);
+    console.error('Error stack:', autoScheduleError.stack);
+    // Don't fail the join if auto-schedule fails, just log it
+  }
+};
+
+/**
+ * 방에 멤버 추가
+ * 인원/중복 확인은 호출하는 쪽에서 합니다. 저장 충돌(VersionError)은 그대로 던집니다.
+ * @param {Object} room - Room 문서
+ * @param {string} userId - 추가할 사용자
+ * @param {Object} [options]
+ * @param {string} [options.role='member'] - 'member' | 'observer'
+ * @param {string} [options.details='방에 입장'] - 입장 로그 내용
+ * @param {Object} [options.metadata] - 입장 로그 metadata (초대 링크/참여 요청 ID 등)
+ * @returns {Promise<Object>} 응답용으로 populate된 Room 문서
+ */
+const admitMember = async (room, userId, { role = ROOM_ROLES.MEMBER, details = '방에 입장', metadata = {} } = {}) => {
+  // Add user to room with unique color
+  const existingColors = room.members.map(member => member.color);
+  room.members.push({
+    user: userId,
+    joinedAt: new Date(),
+    color: getAvailableColor(existingColors),
+    role
+  });
+  await saveRoomChecked(room);
+
+  // 🚀 Phase 2: 조원 입장 시 자동배정 트리거 (참관인은 배정 대상이 아니므로 건너뜀)
+  if (role === ROOM_ROLES.MEMBER) {
+    await rescheduleOnJoin(room);
+    // 새 조원과 기존 멤버 사이 이동시간을 미리 계산해 둠 (응답은 기다리지 않음)
+    warmRoomMatrix(room._id, { userIds: [userId.toString()] });
+  }
+
+  // Re-populate with full schedule info for response (needed for frontend to show owner's schedule)
+  await room.populate('owner', '_id firstName lastName email defaultSchedule scheduleExceptions personalTimes address addressDetail addressLat addressLng');
+  await room.populate('members.user', '_id firstName lastName email defaultSchedule address addressDetail addressLat addressLng');
+  await room.populate('timeSlots.user', '_id firstName lastName email');
+  await room.populate('requests.requester', '_id firstName lastName email');
+  await room.populate('requests.targetUser', '_id firstName lastName email');
+
+  // 활동 로그 기록 - 멤버 입장
+  try {
+    const joiningUser = await User.findById(userId).select('firstName lastName').lean();
+    await ActivityLog.logActivity(room._id, userId, getUserName(joiningUser), 'member_join', details, metadata);
+  } catch (logError) {
+    console.error('Activity log error:', logError);
+  }
+
+  return room;
+};
+
+/**
+ * 초대 링크 사용 처리 (사용 가능할 때만 useCount + 1)
+ * @param {string} inviteId
+ * @returns {Promise<Object|null>} 갱신된 RoomInvite, 사용할 수 없으면 null
+ */
+const consumeInvite = (inviteId) => {
+  const now = new Date();
+  return RoomInvite.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * 승인 대기열 등록 (이미 대기 중이면 기존 요청 반환)
+ * @param {Object} room - Room 문서
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Object} [options.invite] - 사용한 초대 링크 (방 코드면 생략)
+ * @param {string} [options.role='member']
+ * @returns {Promise<{joinRequest: Object, created: boolean}>}
+ */
+const queueJoinRequest = async (room, userId, { invite = null, role = ROOM_ROLES.MEMBER } = {}) => {
+  const existing = await RoomJoinRequest.findOne({ roomId: room._id, user: userId, status: 'pending' });
+  if (existing) return { joinRequest: existing, created: false };
+
+  let joinRequest;
+  try {
+    joinRequest = await RoomJoinRequest.create({
+      roomId: room._id,
+      user: userId,
+      invite: invite ? invite._id : null,
+      role
+    });
+  } catch (error) {
+    // 같은 사용자가 동시에 두 번 요청한 경우 (부분 unique 인덱스)
+    if (error.code !== 11000) throw error;
+    const pending = await RoomJoinRequest.findOne({ roomId: room._id, user: userId, status: 'pending' });
+    return { joinRequest: pending, created: false };
+  }
+
+  const requester = await User.findById(userId).select('firstName lastName').lean();
+  const requesterName = getUserName(requester);
+  await notifyUsers(getRoomManagerIds(room), {
+    type: 'join_request',
+    title: '새 참여 요청',
+    message: `${requesterName}님이 '${room.name}' 방 참여를 요청했습니다.`,
+    roomId: room._id,
+    data: { joinRequestId: joinRequest._id }
+  }, { actorId: userId });
+
+  try {
+    await ActivityLog.logActivity(room._id, userId, requesterName, 'join_request', '방 참여 요청 (승인 대기)', {
+      joinRequestId: joinRequest._id,
+      inviteId: invite ? invite._id : null
+    });
+  } catch (logError) {
+    console.error('Activity log error:', logError);
+  }
+
+  return { joinRequest, created: true };
+};
+
+module.exports = {
+  isRoomFull,
+  getRoomManagerIds,
+  admitMember,
+  consumeInvite,
+  queueJoinRequest
+};
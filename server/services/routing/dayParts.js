@@ -0,0 +1,102 @@
+/**
+ * 출발 시간대(day part) 구분과 시간대별 이동시간 배율
+ * - 출발 시각이 어느 시간대(출근/퇴근 혼잡, 심야 등)에 속하는지 판단 (방 시간대의 벽시계 기준, 기본값 Asia/Seoul)
+ * - 출발 시각을 반영하지 못하는 프로바이더(직선거리 추정, 로컬 도로망, 카카오)의 결과에 곱하는 배율
+ * - 어느 시간대에도 속하지 않으면 'offpeak' (배율 1)
+ *
+ * 설정:
+ * - ROUTING_DAY_PARTS: 시간대 목록 전체 덮어쓰기 (JSON 배열)
+ *   예: [{"key":"morning_peak","days":[1,2,3,4,5],"start":"07:00","end":"09:30","multipliers":{"driving":1.5,"transit":1.15}}]
+ *   days는 0(일)~6(토), 생략하면 매일. end가 start보다 이르면 자정을 넘기는 시간대
+ */
+
+const { DEFAULT_TIMEZONE, resolveTimezone, toZonedParts, wallClockToDate } = require('../../utils/timezone');
+
+const OFFPEAK = { key: 'offpeak', multipliers: {} };
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+const DEFAULT_DAY_PARTS = [
+  { key: 'morning_peak', days: WEEKDAYS, start: '07:00', end: '09:30', multipliers: { driving: 1.5, transit: 1.15, bicycling: 1.05 } },
+  { key: 'evening_peak', days: WEEKDAYS, start: '17:00', end: '19:30', multipliers: { driving: 1.6, transit: 1.2, bicycling: 1.05 } },
+  // 심야에는 도로는 한산하지만 대중교통 배차 간격이 길어짐
+  { key: 'late_night', start: '23:00', end: '05:00', multipliers: { driving: 0.85, transit: 1.5 } }
+];
+
+let dayParts = null;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const getDayParts = () => {
+  if (dayParts) return dayParts;
+  let configured = DEFAULT_DAY_PARTS;
+  if (process.env.ROUTING_DAY_PARTS) {
+    try {
+      const parsed = JSON.parse(process.env.ROUTING_DAY_PARTS);
+      if (!Array.isArray(parsed) || parsed.some(part => !part.key || !part.start || !part.end)) {
+        throw new Error('invalid day parts');
+      }
+      configured = parsed;
+    } catch (error) {
+      console.warn('[Routing] ROUTING_DAY_PARTS가 올바르지 않아 기본 시간대를 사용합니다.');
+    }
+  }
+  dayParts = configured.map(part => ({
+    ...part,
+    startMinutes: toMinutes(part.start),
+    endMinutes: toMinutes(part.end),
+    multipliers: part.multipliers || {}
+  }));
+  return dayParts;
+};
+
+const isInPart = (part, { dayOfWeek: day, minutes }) => {
+  if (part.startMinutes <= part.endMinutes) {
+    return (!part.days || part.days.includes(day)) && minutes >= part.startMinutes && minutes < part.endMinutes;
+  }
+  // 자정을 넘기는 시간대: 자정 이후 부분은 전날 요일 기준
+  if (minutes >= part.startMinutes) return !part.days || part.days.includes(day);
+  return minutes < part.endMinutes && (!part.days || part.days.includes((day + 6) % 7));
+};
+
+/**
+ * 출발 시각이 속한 시간대
+ * @param {Date} departureTime
+ * @param {string} [timeZone] - 요일/시각을 판단할 시간대 (방 시간대)
+ * @returns {{ key: string, multipliers: Object }}
+ */
+const getDayPart = (departureTime, timeZone = DEFAULT_TIMEZONE) => {
+  const clock = toZonedParts(departureTime, resolveTimezone(timeZone));
+  return getDayParts().find(part => isInPart(part, clock)) || OFFPEAK;
+};
+
+/**
+ * 시간대의 이동수단별 배율 (설정되지 않은 이동수단은 1)
+ * @param {{ multipliers: Object }} dayPart
+ * @param {string} mode
+ * @returns {number}
+ */
+const getMultiplier = (dayPart, mode) => dayPart.multipliers[mode] ?? 1;
+
+/**
+ * 방 슬롯의 날짜와 시각으로 출발 시각 생성
+ * @param {Date|string} date - 슬롯 날짜 (해당 날짜의 UTC 자정)
+ * @param {string} time - HH:MM (방 시간대의 벽시계 시각)
+ * @param {string} [timeZone] - 방 시간대
+ * @returns {Date|null}
+ */
+const toDepartureTime = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date || !time) return null;
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) return null;
+  return wallClockToDate(day.toISOString().split('T')[0], time, resolveTimezone(timeZone));
+};
+
+module.exports = {
+  getDayParts,
+  getDayPart,
+  getMultiplier,
+  toDepartureTime
+};
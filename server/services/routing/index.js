@@ -0,0 +1,435 @@
+/**
+ * ===================================================================================================
+ * Routing Provider (이동시간 계산 공통 모듈)
+ * ===================================================================================================
+ *
+ * 설명: 서버의 모든 이동시간/거리 계산이 거치는 단일 진입점. 실제 계산은 교체 가능한 프로바이더가 담당
+ *
+ * 주요 기능:
+ * - getTravelTime(origin, destination, mode, { departureTime }): 두 위치 사이 이동시간 (어느 프로바이더가 답했는지 포함)
+ * - getTravelTimes(origin, destinations, mode, { departureTime }): 한 출발지에서 여러 목적지까지 (지원하면 한 번에 조회)
+ * - departureTime을 주면 출발 시각 기준으로 계산 (출근/퇴근 혼잡 반영)
+ *   출발 시각을 지원하지 않는 프로바이더나 대체 프로바이더의 답에는 시간대별 배율(dayParts.js)을 곱함
+ * - getDistanceKm(from, to): 두 좌표 사이 직선거리 (가까운 순 정렬 등)
+ * - getCacheStats(): 캐시 적중/미스 통계 (관리자 API)
+ * - 설정된 프로바이더가 실패하면 대체 프로바이더(기본값 직선거리 추정)로 다시 계산
+ * - 조회 순서: 메모리 캐시(travelTimeCache) → 영구 저장소(MongoDB, travelTimeStore) → 프로바이더
+ *
+ * 프로바이더 인터페이스:
+ * - name: string - 프로바이더 이름
+ * - route(request): Promise<{ minutes, distanceKm }> - request = { origin, destination, mode, departureTime?, signal }
+ * - matrix(request): Promise<Array<{ minutes, distanceKm }|null>> (선택) - request = { origin, destinations, mode, departureTime?, signal }
+ *   위치는 { lat, lng, address } (lat/lng는 없을 수 있음), mode는 'transit' | 'driving' | 'bicycling' | 'walking'
+ *   계산할 수 없으면 오류를 던짐 (지원하지 않는 이동수단, 좌표 없음, API 오류 등)
+ * - supportsDepartureTime: boolean (선택) - true면 request.departureTime(Date)을 직접 반영
+ *
+ * 기본 프로바이더:
+ * - google: Google Distance Matrix (GOOGLE_MAPS_API_KEY)
+ * - kakao: Kakao Mobility 길찾기 (KAKAO_REST_API_KEY, 자동차만)
+ * - local: OSRM / GraphHopper 호환 로컬 라우팅 서버 (오프라인 사용 가능)
+ * - straight_line: 이동수단별 속도 프로파일로 직선거리 추정 (네트워크 사용 안 함)
+ *
+ * 설정:
+ * - ROUTING_PROVIDER: 사용할 프로바이더 이름 (기본값 'google')
+ * - ROUTING_FALLBACK_PROVIDER: 실패 시 사용할 프로바이더 (기본값 'straight_line', 'none'이면 사용 안 함)
+ * - ROUTING_TIMEOUT_MS: 프로바이더 요청 제한 시간 (기본값 10000)
+ * - ROUTING_DAY_PARTS: 시간대 구분과 배율 (dayParts.js 참고)
+ *
+ * 결과 형식: { minutes, distanceKm, mode, provider, cached, timeOfDay }
+ * - cached: false | 'memory' | 'store'
+ * - timeOfDay: 출발 시간대 키 ('any'는 출발 시각 없이 계산), 배율을 곱했으면 dayPartMultiplier 포함
+ *   캐시/저장소는 시간대 단위로 값을 보관 (같은 시간대 안의 출발 시각은 같은 값을 재사용)
+ * - provider: 실제로 답한 프로바이더 이름 (대체 프로바이더가 답했으면 fallbackFrom에 원래 프로바이더)
+ *
+ * 관련 파일:
+ * - server/services/routing/providers/ - 프로바이더 구현
+ * - server/services/schedulingAlgorithm/utils/travelTimeCache.js - 프로세스 메모리 캐시
+ * - server/services/routing/travelTimeStore.js - 서버 인스턴스 사이에 공유하는 영구 저장소
+ * - server/services/routing/dayParts.js - 출발 시간대 구분 / 오프라인 배율
+ * - server/services/dynamicTravelTimeCalculator.js, server/services/scheduleSimulator.js - 이동시간 검증
+ * - server/services/schedulingAlgorithm/helpers/assignmentHelper.js - 대중교통 모드 자동 배정
+ *
+ * ===================================================================================================
+ */
+
+const googleProvider = require('./providers/googleProvider');
+const kakaoProvider = require('./providers/kakaoProvider');
+const localRoadNetworkProvider = require('./providers/localRoadNetworkProvider');
+const straightLineProvider = require('./providers/straightLineProvider');
+const travelTimeStore = require('./travelTimeStore');
+const dayParts = require('./dayParts');
+const travelTimeCache = require('../schedulingAlgorithm/utils/travelTimeCache');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const TRAVEL_MODES = ['transit', 'driving', 'bicycling', 'walking'];
+
+// 프로세스 시작 후 조회 통계
+const stats = {
+  memoryHits: 0,
+  storeHits: 0,
+  misses: 0,
+  providerCalls: 0,
+  fallbacks: 0,
+  failures: 0,
+  since: new Date()
+};
+
+const providers = new Map([
+  [googleProvider.name, googleProvider],
+  [kakaoProvider.name, kakaoProvider],
+  [localRoadNetworkProvider.name, localRoadNetworkProvider],
+  [straightLineProvider.name, straightLineProvider]
+]);
+
+/**
+ * 이동시간 계산 오류 (설정된 프로바이더와 대체 프로바이더가 모두 실패)
+ */
+class RoutingError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'RoutingError';
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * 프로바이더 등록
+ * @param {Object} provider - { name, route, matrix? }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.route !== 'function') {
+    throw new Error('Routing provider must have a name and a route(request) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (providerName) => {
+  const provider = providers.get(providerName);
+  if (!provider) throw new Error(`Unknown routing provider "${providerName}"`);
+  return provider;
+};
+
+/**
+ * 설정된 프로바이더 이름
+ * @returns {string}
+ */
+const getProviderName = () => process.env.ROUTING_PROVIDER || googleProvider.name;
+
+const getFallbackProviderName = () => {
+  const configured = process.env.ROUTING_FALLBACK_PROVIDER || straightLineProvider.name;
+  return configured === 'none' || configured === getProviderName() ? null : configured;
+};
+
+const getTimeout = () => Number(process.env.ROUTING_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+/**
+ * 이동수단 이름 통일 ('public' → 'transit', 모르는 값은 'transit')
+ * @param {string} mode
+ * @returns {string}
+ */
+const normalizeMode = (mode) => {
+  if (mode === 'public') return 'transit';
+  return TRAVEL_MODES.includes(mode) ? mode : 'transit';
+};
+
+/**
+ * 위치 형식 통일
+ * { lat, lng }, { coordinates: { lat, lng } }, 주소 문자열, "lat,lng" 문자열을 받아 { lat, lng, address }로 변환
+ * @param {Object|string} location
+ * @returns {{ lat: number|null, lng: number|null, address: string|null }|null}
+ */
+const normalizeLocation = (location) => {
+  if (!location) return null;
+  if (typeof location === 'string') {
+    const match = location.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    return match
+      ? { lat: Number(match[1]), lng: Number(match[2]), address: null }
+      : { lat: null, lng: null, address: location };
+  }
+
+  const coordinates = location.coordinates || location;
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  const hasCoordinates = coordinates.lat != null && coordinates.lng != null && Number.isFinite(lat) && Number.isFinite(lng);
+  if (!hasCoordinates && !location.address) return null;
+
+  return {
+    lat: hasCoordinates ? lat : null,
+    lng: hasCoordinates ? lng : null,
+    address: location.address || null
+  };
+};
+
+// 캐시 키용 위치 문자열
+const toCacheParam = (location) => (location.lat != null ? `${location.lat},${location.lng}` : location.address);
+
+/**
+ * 제한 시간을 걸고 프로바이더 호출
+ * @param {Function} call - (signal) => Promise
+ * @returns {Promise<*>}
+ */
+const withTimeout = async (call) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getTimeout());
+  try {
+    return await call(controller.signal);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const toResult = (answer, mode, providerName, timeOfDay, extra = {}) => ({
+  minutes: answer.minutes,
+  distanceKm: answer.distanceKm ?? null,
+  mode,
+  provider: providerName,
+  cached: false,
+  timeOfDay,
+  ...extra
+});
+
+/**
+ * 출발 시각 해석
+ * @param {Date|string|number} [departureTime]
+ * @param {string} [timeZone] - 시간대 구분 기준 (방 시간대)
+ * @returns {{ time: Date, dayPart: Object }|null} - 출발 시각이 없거나 잘못되면 null
+ */
+const toDeparture = (departureTime, timeZone) => {
+  if (departureTime == null) return null;
+  const time = new Date(departureTime);
+  if (Number.isNaN(time.getTime())) return null;
+  return { time, dayPart: dayParts.getDayPart(time, timeZone) };
+};
+
+const getTimeOfDay = (departure) => (departure ? departure.dayPart.key : 'any');
+
+// 출발 시각 없이 계산한 값에 시간대 배율 적용
+const applyDayPart = (result, departure) => {
+  const multiplier = dayParts.getMultiplier(departure.dayPart, result.mode);
+  return {
+    ...result,
+    minutes: Math.ceil(result.minutes * multiplier),
+    timeOfDay: departure.dayPart.key,
+    dayPartMultiplier: multiplier
+  };
+};
+
+const supportsDepartureTime = () => getProvider(getProviderName()).supportsDepartureTime === true;
+
+// 메모리 캐시 키의 이동수단 부분 (시간대별 값은 따로 보관)
+const toCacheMode = (mode, timeOfDay) => (timeOfDay === 'any' ? mode : `${mode}@${timeOfDay}`);
+
+const readMemory = (origin, destination, mode, timeOfDay) => {
+  const entry = travelTimeCache.getEntry(toCacheParam(origin), toCacheParam(destination), toCacheMode(mode, timeOfDay));
+  if (!entry) return null;
+  stats.memoryHits++;
+  return { minutes: entry.travelTime, distanceKm: entry.distanceKm ?? null, mode, provider: entry.provider || null, cached: 'memory', timeOfDay };
+};
+
+const writeMemory = (origin, destination, result, timeOfDay) => {
+  travelTimeCache.set(toCacheParam(origin), toCacheParam(destination), toCacheMode(result.mode, timeOfDay), result.minutes, {
+    provider: result.provider,
+    distanceKm: result.distanceKm
+  });
+};
+
+// 저장소 조회 실패는 캐시 미스로 처리
+const readStore = async (origin, destinations, mode, timeOfDay) => {
+  try {
+    const found = await travelTimeStore.findMany(origin, destinations, mode, timeOfDay);
+    return found.map((result, index) => {
+      if (!result) return null;
+      stats.storeHits++;
+      writeMemory(origin, destinations[index], result, timeOfDay);
+      return { ...result, cached: 'store', timeOfDay };
+    });
+  } catch (error) {
+    console.error('[Routing] 이동시간 저장소 조회 실패:', error.message);
+    return destinations.map(() => null);
+  }
+};
+
+// 설정된 프로바이더의 답만 캐시 (대체 추정값은 다음 요청에서 다시 조회)
+const writeCache = async (origin, destination, result, timeOfDay) => {
+  writeMemory(origin, destination, result, timeOfDay);
+  try {
+    await travelTimeStore.save(origin, destination, result, timeOfDay);
+  } catch (error) {
+    console.error('[Routing] 이동시간 저장 실패:', error.message);
+  }
+};
+
+const routeWithFallback = async (origin, destination, mode, departure) => {
+  const providerName = getProviderName();
+  const timeOfDay = getTimeOfDay(departure);
+  try {
+    stats.providerCalls++;
+    const answer = await withTimeout(signal => getProvider(providerName).route({
+      origin,
+      destination,
+      mode,
+      departureTime: departure?.time,
+      signal
+    }));
+    const result = toResult(answer, mode, providerName, timeOfDay);
+    await writeCache(origin, destination, result, timeOfDay);
+    return result;
+  } catch (error) {
+    const fallbackName = getFallbackProviderName();
+    if (!fallbackName) {
+      stats.failures++;
+      throw new RoutingError(`[${providerName}] ${error.message}`, error);
+    }
+
+    console.warn(`[Routing] ${providerName} 실패 (${error.message}), ${fallbackName}로 계산합니다.`);
+    try {
+      const answer = await withTimeout(signal => getProvider(fallbackName).route({ origin, destination, mode, signal }));
+      stats.fallbacks++;
+      const result = toResult(answer, mode, fallbackName, 'any', { fallbackFrom: providerName });
+      return departure ? applyDayPart(result, departure) : result;
+    } catch (fallbackError) {
+      stats.failures++;
+      throw new RoutingError(`[${providerName}] ${error.message} / [${fallbackName}] ${fallbackError.message}`, fallbackError);
+    }
+  }
+};
+
+/**
+ * 두 위치 사이 이동시간
+ * @param {Object|string} origin - 출발지 (normalizeLocation 참고)
+ * @param {Object|string} destination - 도착지
+ * @param {string} [mode='transit'] - 'transit' | 'public' | 'driving' | 'bicycling' | 'walking'
+ * @param {Object} [options]
+ * @param {Date|string|number} [options.departureTime] - 출발 시각 (없으면 시간대 구분 없는 값)
+ * @param {string} [options.timeZone] - 출발 시간대를 판단할 시간대 (방 시간대, 기본값 Asia/Seoul)
+ * @returns {Promise<Object>} - { minutes, distanceKm, mode, provider, cached, timeOfDay, fallbackFrom?, dayPartMultiplier? }
+ * @throws {RoutingError} - 위치가 없거나 모든 프로바이더가 실패
+ */
+const getTravelTime = async (origin, destination, mode = 'transit', { departureTime, timeZone } = {}) => {
+  const departure = toDeparture(departureTime, timeZone);
+  if (departure && !supportsDepartureTime()) {
+    return applyDayPart(await getTravelTime(origin, destination, mode), departure);
+  }
+
+  const from = normalizeLocation(origin);
+  const to = normalizeLocation(destination);
+  if (!from || !to) throw new RoutingError('Origin and destination are required');
+
+  const travelMode = normalizeMode(mode);
+  const timeOfDay = getTimeOfDay(departure);
+  const cached = readMemory(from, to, travelMode, timeOfDay) || (await readStore(from, [to], travelMode, timeOfDay))[0];
+  if (cached) return cached;
+
+  stats.misses++;
+  return routeWithFallback(from, to, travelMode, departure);
+};
+
+/**
+ * 한 출발지에서 여러 목적지까지 이동시간
+ * 프로바이더가 matrix를 지원하면 캐시에 없는 목적지를 한 번에 조회하고, 실패한 목적지만 하나씩 다시 계산합니다.
+ * @param {Object|string} origin - 출발지
+ * @param {Array<Object|string>} destinations - 목적지 목록
+ * @param {string} [mode='transit']
+ * @param {Object} [options] - getTravelTime 옵션
+ * @returns {Promise<Array<Object|null>>} - 목적지 순서의 결과, 계산하지 못한 목적지는 null
+ */
+const getTravelTimes = async (origin, destinations, mode = 'transit', { departureTime, timeZone } = {}) => {
+  const departure = toDeparture(departureTime, timeZone);
+  if (departure && !supportsDepartureTime()) {
+    const results = await getTravelTimes(origin, destinations, mode);
+    return results.map(result => (result ? applyDayPart(result, departure) : null));
+  }
+
+  const from = normalizeLocation(origin);
+  const travelMode = normalizeMode(mode);
+  const timeOfDay = getTimeOfDay(departure);
+  const targets = destinations.map(normalizeLocation);
+  const results = targets.map(to => (from && to ? readMemory(from, to, travelMode, timeOfDay) : null));
+  if (!from) return results;
+
+  const findPending = () => targets
+    .map((to, index) => ({ to, index }))
+    .filter(({ to, index }) => to && !results[index]);
+
+  let pending = findPending();
+  if (pending.length === 0) return results;
+
+  const stored = await readStore(from, pending.map(({ to }) => to), travelMode, timeOfDay);
+  pending.forEach(({ index }, i) => { results[index] = stored[i]; });
+  pending = findPending();
+  if (pending.length === 0) return results;
+  stats.misses += pending.length;
+
+  const providerName = getProviderName();
+  const provider = getProvider(providerName);
+  if (typeof provider.matrix === 'function' && pending.length > 1) {
+    try {
+      stats.providerCalls++;
+      const answers = await withTimeout(signal => provider.matrix({
+        origin: from,
+        destinations: pending.map(({ to }) => to),
+        mode: travelMode,
+        departureTime: departure?.time,
+        signal
+      }));
+      for (const [i, { to, index }] of pending.entries()) {
+        if (!answers[i]) continue;
+        results[index] = toResult(answers[i], travelMode, providerName, timeOfDay);
+        await writeCache(from, to, results[index], timeOfDay);
+      }
+    } catch (error) {
+      console.warn(`[Routing] ${providerName} 일괄 조회 실패 (${error.message}), 목적지별로 계산합니다.`);
+    }
+  }
+
+  for (const { to, index } of pending) {
+    if (results[index]) continue;
+    results[index] = await routeWithFallback(from, to, travelMode, departure).catch(() => null);
+  }
+  return results;
+};
+
+/**
+ * 두 위치 사이 직선거리
+ * @param {Object|string} from
+ * @param {Object|string} to
+ * @returns {number|null} - km, 좌표가 없으면 null
+ */
+const getDistanceKm = (from, to) => {
+  const a = normalizeLocation(from);
+  const b = normalizeLocation(to);
+  if (a?.lat == null || b?.lat == null) return null;
+  return straightLineProvider.getDistanceKm(a, b);
+};
+
+/**
+ * 캐시 적중/미스 통계
+ * @returns {Promise<Object>} - { process: 이 서버 인스턴스의 조회 통계, memory: 메모리 캐시, store: 영구 저장소 (DB 미연결이면 null) }
+ */
+const getCacheStats = async () => {
+  const lookups = stats.memoryHits + stats.storeHits + stats.misses;
+  return {
+    provider: getProviderName(),
+    fallbackProvider: getFallbackProviderName(),
+    process: {
+      ...stats,
+      lookups,
+      hitRate: lookups === 0 ? null : Math.round(((stats.memoryHits + stats.storeHits) / lookups) * 1000) / 10
+    },
+    memory: travelTimeCache.getStats(),
+    store: await travelTimeStore.getStats()
+  };
+};
+
+module.exports = {
+  RoutingError,
+  registerProvider,
+  getProviderName,
+  normalizeMode,
+  normalizeLocation,
+  getTravelTime,
+  getTravelTimes,
+  getDistanceKm,
+  getCacheStats,
+  toDepartureTime: dayParts.toDepartureTime
+};
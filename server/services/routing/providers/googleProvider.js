@@ -0,0 +1,78 @@
+/**
+ * Google Distance Matrix 프로바이더 (기본값)
+ * - GOOGLE_MAPS_API_KEY 필요
+ * - 모든 이동수단 지원, 한 번에 최대 25개 목적지까지 묶어서 조회
+ * - 좌표가 없으면 주소로 조회
+ * - 출발 시각 지원: 자동차는 교통 상황(duration_in_traffic), 대중교통은 그 시각의 운행표 기준
+ *   Google은 지난 시각을 받지 않으므로 지난 출발 시각은 같은 요일/시각의 다음 주로 옮겨 조회
+ */
+
+const name = 'google';
+const API_URL = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+const MAX_DESTINATIONS = 25;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toParam = (location) => (location.lat != null ? `${location.lat},${location.lng}` : location.address);
+
+const toResult = (element) => (element?.status === 'OK'
+  ? {
+    minutes: Math.ceil((element.duration_in_traffic || element.duration).value / 60),
+    distanceKm: element.distance ? element.distance.value / 1000 : null
+  }
+  : null);
+
+// 지난 출발 시각은 같은 요일/시각의 가장 가까운 미래로 이동 (초 단위 Unix 시각)
+const toDepartureParam = (departureTime) => {
+  let time = departureTime.getTime();
+  const now = Date.now();
+  if (time < now) time += Math.ceil((now - time) / WEEK_MS) * WEEK_MS;
+  return String(Math.floor(time / 1000));
+};
+
+const requestMatrix = async (origin, destinations, mode, departureTime, signal) => {
+  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey) throw new Error('GOOGLE_MAPS_API_KEY is not set');
+
+  const params = new URLSearchParams({
+    origins: toParam(origin),
+    destinations: destinations.map(toParam).join('|'),
+    mode,
+    key: apiKey,
+    language: 'ko'
+  });
+  if (departureTime) params.set('departure_time', toDepartureParam(departureTime));
+  const response = await fetch(`${API_URL}?${params}`, { signal });
+  const data = await response.json();
+  if (data.status !== 'OK' || !data.rows?.[0]?.elements) {
+    throw new Error(`Distance Matrix responded ${data.status}`);
+  }
+  return data.rows[0].elements;
+};
+
+/**
+ * 경로 조회
+ * @param {Object} request - { origin, destination, mode, departureTime, signal }
+ * @returns {Promise<{ minutes: number, distanceKm: number|null }>}
+ */
+const route = async ({ origin, destination, mode, departureTime, signal }) => {
+  const [element] = await requestMatrix(origin, [destination], mode, departureTime, signal);
+  const result = toResult(element);
+  if (!result) throw new Error(`Distance Matrix element ${element?.status}`);
+  return result;
+};
+
+/**
+ * 한 출발지에서 여러 목적지까지 조회
+ * @param {Object} request - { origin, destinations, mode, departureTime, signal }
+ * @returns {Promise<Array<{ minutes: number, distanceKm: number|null }|null>>} - 목적지 순서, 경로가 없으면 null
+ */
+const matrix = async ({ origin, destinations, mode, departureTime, signal }) => {
+  const results = [];
+  for (let i = 0; i < destinations.length; i += MAX_DESTINATIONS) {
+    const elements = await requestMatrix(origin, destinations.slice(i, i + MAX_DESTINATIONS), mode, departureTime, signal);
+    destinations.slice(i, i + MAX_DESTINATIONS).forEach((_, index) => results.push(toResult(elements[index])));
+  }
+  return results;
+};
+
+module.exports = { name, supportsDepartureTime: true, route, matrix };
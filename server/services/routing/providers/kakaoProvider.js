@@ -0,0 +1,57 @@
+/**
+ * Kakao Mobility 길찾기 프로바이더
+ * - KAKAO_REST_API_KEY 필요
+ * - 자동차(driving) 경로만 지원, 다른 이동수단은 대체 프로바이더로 넘어감
+ * - 좌표가 있어야 조회 가능
+ */
+
+const axios = require('axios');
+
+const name = 'kakao';
+const DIRECTIONS_URL = 'https://apis-navi.kakaomobility.com/v1/directions';
+
+/**
+ * 자동차 길찾기 원본 응답 (routes/kakao.js 프록시에서도 사용)
+ * @param {{ lat: number, lng: number }} origin
+ * @param {{ lat: number, lng: number }} destination
+ * @param {Object} [options] - { priority, signal }
+ * @returns {Promise<Object>} - Kakao Mobility 응답 본문
+ */
+const requestDirections = async (origin, destination, { priority = 'RECOMMEND', signal } = {}) => {
+  if (!process.env.KAKAO_REST_API_KEY) throw new Error('KAKAO_REST_API_KEY is not set');
+
+  const response = await axios.get(DIRECTIONS_URL, {
+    params: {
+      origin: `${origin.lng},${origin.lat}`,
+      destination: `${destination.lng},${destination.lat}`,
+      priority
+    },
+    headers: {
+      'Authorization': `KakaoAK ${process.env.KAKAO_REST_API_KEY}`
+    },
+    signal
+  });
+  return response.data;
+};
+
+/**
+ * 경로 조회
+ * @param {Object} request - { origin, destination, mode, signal }
+ * @returns {Promise<{ minutes: number, distanceKm: number }>}
+ */
+const route = async ({ origin, destination, mode, signal }) => {
+  if (mode !== 'driving') throw new Error(`kakao does not support ${mode}`);
+  if (origin.lat == null || destination.lat == null) throw new Error('kakao directions need coordinates');
+
+  const data = await requestDirections(origin, destination, { signal });
+  const [firstRoute] = data.routes || [];
+  if (!firstRoute || firstRoute.result_code !== 0) {
+    throw new Error(`Kakao directions failed: ${firstRoute?.result_msg || 'no route'}`);
+  }
+  return {
+    minutes: Math.ceil(firstRoute.summary.duration / 60),
+    distanceKm: firstRoute.summary.distance / 1000
+  };
+};
+
+module.exports = { name, route, requestDirections };
@@ -0,0 +1,95 @@
+/**
+ * 로컬 도로망 프로바이더 (OSRM / GraphHopper 호환 서버)
+ * - 직접 띄운 라우팅 서버에서 경로를 조회하므로 외부 API 키와 인터넷 연결 없이 사용 가능
+ * - 자동차 / 자전거 / 도보 지원 (대중교통은 도로망으로 계산할 수 없어 대체 프로바이더로 넘어감)
+ * - OSRM은 table API로 여러 목적지를 한 번에 조회
+ *
+ * 설정:
+ * - ROUTING_LOCAL_URL: 라우팅 서버 주소 (기본값 'http://localhost:5001', 5000은 이 서버가 사용)
+ * - ROUTING_LOCAL_ENGINE: 'osrm' | 'graphhopper' (기본값 'osrm')
+ */
+
+const name = 'local';
+const DEFAULT_BASE_URL = 'http://localhost:5001';
+
+const OSRM_PROFILES = { driving: 'driving', bicycling: 'bike', walking: 'foot' };
+const GRAPHHOPPER_PROFILES = { driving: 'car', bicycling: 'bike', walking: 'foot' };
+
+const getBaseUrl = () => (process.env.ROUTING_LOCAL_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+const getEngine = () => process.env.ROUTING_LOCAL_ENGINE || 'osrm';
+
+const assertRoutable = (locations, mode, profiles) => {
+  if (!profiles[mode]) throw new Error(`local road network does not support ${mode}`);
+  if (locations.some(location => location.lat == null)) throw new Error('local road network needs coordinates');
+};
+
+const fetchJSON = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`routing server responded ${response.status}: ${detail.slice(0, 200)}`);
+  }
+  return response.json();
+};
+
+const routeOsrm = async ({ origin, destination, mode, signal }) => {
+  assertRoutable([origin, destination], mode, OSRM_PROFILES);
+  const coordinates = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+  const data = await fetchJSON(`${getBaseUrl()}/route/v1/${OSRM_PROFILES[mode]}/${coordinates}?overview=false`, signal);
+  if (data.code !== 'Ok' || !data.routes?.[0]) throw new Error(`OSRM route failed: ${data.code}`);
+  return { minutes: Math.ceil(data.routes[0].duration / 60), distanceKm: data.routes[0].distance / 1000 };
+};
+
+const routeGraphHopper = async ({ origin, destination, mode, signal }) => {
+  assertRoutable([origin, destination], mode, GRAPHHOPPER_PROFILES);
+  const params = new URLSearchParams({ profile: GRAPHHOPPER_PROFILES[mode], calc_points: 'false' });
+  params.append('point', `${origin.lat},${origin.lng}`);
+  params.append('point', `${destination.lat},${destination.lng}`);
+  const data = await fetchJSON(`${getBaseUrl()}/route?${params}`, signal);
+  if (!data.paths?.[0]) throw new Error(`GraphHopper route failed: ${data.message || 'no path'}`);
+  return { minutes: Math.ceil(data.paths[0].time / 60000), distanceKm: data.paths[0].distance / 1000 };
+};
+
+/**
+ * 경로 조회
+ * @param {Object} request - { origin, destination, mode, signal }
+ * @returns {Promise<{ minutes: number, distanceKm: number }>}
+ */
+const route = (request) => (getEngine() === 'graphhopper' ? routeGraphHopper(request) : routeOsrm(request));
+
+/**
+ * 한 출발지에서 여러 목적지까지 조회 (OSRM table API, GraphHopper는 경로별 조회)
+ * @param {Object} request - { origin, destinations, mode, signal }
+ * @returns {Promise<Array<{ minutes: number, distanceKm: number }|null>>} - 목적지 순서, 경로가 없으면 null
+ */
+const matrix = async ({ origin, destinations, mode, signal }) => {
+  if (getEngine() === 'graphhopper') {
+    const results = [];
+    for (const destination of destinations) {
+      results.push(await routeGraphHopper({ origin, destination, mode, signal }).catch(() => null));
+    }
+    return results;
+  }
+
+  // 좌표가 없는 목적지는 표에서 빼고 null로 돌려줌
+  const routable = destinations.filter(destination => destination.lat != null);
+  assertRoutable([origin, ...routable], mode, OSRM_PROFILES);
+  if (routable.length === 0) return destinations.map(() => null);
+  const coordinates = [origin, ...routable].map(location => `${location.lng},${location.lat}`).join(';');
+  const data = await fetchJSON(
+    `${getBaseUrl()}/table/v1/${OSRM_PROFILES[mode]}/${coordinates}?sources=0&annotations=duration,distance`,
+    signal
+  );
+  if (data.code !== 'Ok') throw new Error(`OSRM table failed: ${data.code}`);
+
+  return destinations.map(destination => {
+    const index = routable.indexOf(destination);
+    if (index === -1) return null;
+    const duration = data.durations?.[0]?.[index + 1];
+    if (duration == null) return null;
+    const distance = data.distances?.[0]?.[index + 1];
+    return { minutes: Math.ceil(duration / 60), distanceKm: distance == null ? null : distance / 1000 };
+  });
+};
+
+module.exports = { name, route, matrix };
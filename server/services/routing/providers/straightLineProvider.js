@@ -0,0 +1,76 @@
+/**
+ * 직선거리 추정 프로바이더 (오프라인)
+ * - 두 좌표의 직선거리(Haversine)에 이동수단별 우회 계수를 곱하고 평균 속도로 나눈 뒤 고정 시간을 더함
+ * - 네트워크를 사용하지 않으므로 다른 프로바이더가 실패했을 때의 기본 대체 프로바이더
+ * - 좌표가 없는 위치(주소만 있는 경우)는 계산할 수 없음
+ *
+ * 설정:
+ * - ROUTING_SPEED_PROFILES: 이동수단별 프로파일 덮어쓰기 (JSON)
+ *   예: {"transit":{"speedKmh":25,"overheadMinutes":12}}
+ */
+
+const name = 'straight_line';
+
+// speedKmh: 평균 속도, detourFactor: 실제 경로 / 직선거리, overheadMinutes: 대기·환승·주차 등 고정 시간
+const DEFAULT_SPEED_PROFILES = {
+  driving: { speedKmh: 40, detourFactor: 1.3, overheadMinutes: 5 },
+  transit: { speedKmh: 30, detourFactor: 1.3, overheadMinutes: 10 },
+  bicycling: { speedKmh: 15, detourFactor: 1.2, overheadMinutes: 0 },
+  walking: { speedKmh: 5, detourFactor: 1.2, overheadMinutes: 0 }
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+let speedProfiles = null;
+
+const getSpeedProfiles = () => {
+  if (speedProfiles) return speedProfiles;
+  let overrides = {};
+  if (process.env.ROUTING_SPEED_PROFILES) {
+    try {
+      overrides = JSON.parse(process.env.ROUTING_SPEED_PROFILES);
+    } catch (error) {
+      console.warn('[Routing] ROUTING_SPEED_PROFILES가 올바른 JSON이 아니어서 기본 속도를 사용합니다.');
+    }
+  }
+  speedProfiles = Object.fromEntries(Object.entries(DEFAULT_SPEED_PROFILES).map(([mode, profile]) => [
+    mode,
+    { ...profile, ...(overrides[mode] || {}) }
+  ]));
+  return speedProfiles;
+};
+
+/**
+ * 두 좌표 사이의 직선거리 (Haversine)
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ * @returns {number} - km
+ */
+const getDistanceKm = (from, to) => {
+  const dLat = (to.lat - from.lat) * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * 경로 추정
+ * @param {Object} request - { origin, destination, mode }
+ * @returns {Promise<{ minutes: number, distanceKm: number }>}
+ */
+const route = async ({ origin, destination, mode }) => {
+  if (origin.lat == null || destination.lat == null) {
+    throw new Error('straight-line estimate needs coordinates');
+  }
+  const profile = getSpeedProfiles()[mode] || getSpeedProfiles().transit;
+  const distanceKm = getDistanceKm(origin, destination) * profile.detourFactor;
+  if (distanceKm === 0) return { minutes: 0, distanceKm: 0 };
+
+  return {
+    minutes: Math.ceil((distanceKm / profile.speedKmh) * 60 + profile.overheadMinutes),
+    distanceKm
+  };
+};
+
+module.exports = { name, route, getDistanceKm, getSpeedProfiles };
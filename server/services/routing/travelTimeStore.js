@@ -0,0 +1,134 @@
+/**
+ * 이동시간 영구 저장소 (MongoDB, TravelTimeEntry)
+ * - 프로세스 메모리 캐시(travelTimeCache) 다음 단계로 조회하는 공유 캐시
+ * - DB에 연결되어 있지 않으면(스크립트 실행 등) 조회는 없음, 저장은 건너뜀
+ *
+ * 설정:
+ * - TRAVEL_TIME_STORE_TTL_DAYS: 저장한 값의 유효 기간 (기본값 30일)
+ */
+
+const mongoose = require('mongoose');
+const TravelTimeEntry = require('../../models/TravelTimeEntry');
+
+const DEFAULT_TTL_DAYS = 30;
+
+const getTtlMs = () => (Number(process.env.TRAVEL_TIME_STORE_TTL_DAYS) || DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+const isAvailable = () => mongoose.connection.readyState === 1;
+
+/**
+ * 저장 키용 위치 문자열 (좌표는 소수점 4자리, 약 11m)
+ * @param {{ lat: number|null, lng: number|null, address: string|null }} location - routing.normalizeLocation 결과
+ * @returns {string}
+ */
+const toLocationKey = (location) => (location.lat != null
+  ? `${location.lat.toFixed(4)},${location.lng.toFixed(4)}`
+  : location.address.trim());
+
+const toResult = (entry) => ({
+  minutes: entry.minutes,
+  distanceKm: entry.distanceKm ?? null,
+  mode: entry.mode,
+  provider: entry.provider
+});
+
+const countHits = (ids) => {
+  TravelTimeEntry.updateMany({ _id: { $in: ids } }, { $inc: { hits: 1 } })
+    .catch(error => console.error('[TravelTimeStore] hits update error:', error.message));
+};
+
+/**
+ * 한 출발지에서 여러 목적지까지 저장된 값 조회
+ * @param {Object} origin - 정규화된 위치
+ * @param {Array<Object>} destinations - 정규화된 위치 목록
+ * @param {string} mode
+ * @param {string} [timeOfDay='any']
+ * @returns {Promise<Array<Object|null>>} - 목적지 순서, 없으면 null
+ */
+const findMany = async (origin, destinations, mode, timeOfDay = 'any') => {
+  if (!isAvailable() || destinations.length === 0) return destinations.map(() => null);
+
+  const destinationKeys = destinations.map(toLocationKey);
+  const entries = await TravelTimeEntry.find({
+    origin: toLocationKey(origin),
+    destination: { $in: destinationKeys },
+    mode,
+    timeOfDay,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (entries.length > 0) countHits(entries.map(entry => entry._id));
+
+  const byDestination = new Map(entries.map(entry => [entry.destination, entry]));
+  return destinationKeys.map(key => (byDestination.has(key) ? toResult(byDestination.get(key)) : null));
+};
+
+/**
+ * 저장된 값 조회
+ * @param {Object} origin - 정규화된 위치
+ * @param {Object} destination - 정규화된 위치
+ * @param {string} mode
+ * @param {string} [timeOfDay='any']
+ * @returns {Promise<Object|null>} - { minutes, distanceKm, mode, provider }
+ */
+const find = async (origin, destination, mode, timeOfDay = 'any') => {
+  const [result] = await findMany(origin, [destination], mode, timeOfDay);
+  return result;
+};
+
+/**
+ * 계산 결과 저장 (같은 키가 있으면 덮어씀)
+ * @param {Object} origin - 정규화된 위치
+ * @param {Object} destination - 정규화된 위치
+ * @param {Object} result - { minutes, distanceKm, mode, provider }
+ * @param {string} [timeOfDay='any']
+ */
+const save = async (origin, destination, result, timeOfDay = 'any') => {
+  if (!isAvailable()) return;
+
+  const now = new Date();
+  await TravelTimeEntry.updateOne(
+    { origin: toLocationKey(origin), destination: toLocationKey(destination), mode: result.mode, timeOfDay },
+    {
+      $set: {
+        minutes: result.minutes,
+        distanceKm: result.distanceKm ?? null,
+        provider: result.provider,
+        computedAt: now,
+        expiresAt: new Date(now.getTime() + getTtlMs())
+      },
+      $setOnInsert: { hits: 0 }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * 저장소 통계
+ * @returns {Promise<Object|null>} - { entries, totalHits, byProvider, byMode, ttlDays }, DB 미연결이면 null
+ */
+const getStats = async () => {
+  if (!isAvailable()) return null;
+
+  const [entries, byProvider, byMode] = await Promise.all([
+    TravelTimeEntry.countDocuments(),
+    TravelTimeEntry.aggregate([{ $group: { _id: '$provider', count: { $sum: 1 }, hits: { $sum: '$hits' } } }, { $sort: { count: -1 } }]),
+    TravelTimeEntry.aggregate([{ $group: { _id: '$mode', count: { $sum: 1 } } }, { $sort: { count: -1 } }])
+  ]);
+
+  return {
+    entries,
+    totalHits: byProvider.reduce((sum, group) => sum + group.hits, 0),
+    byProvider: byProvider.map(group => ({ provider: group._id, count: group.count, hits: group.hits })),
+    byMode: byMode.map(group => ({ mode: group._id, count: group.count })),
+    ttlDays: getTtlMs() / (24 * 60 * 60 * 1000)
+  };
+};
+
+module.exports = {
+  isAvailable,
+  toLocationKey,
+  find,
+  findMany,
+  save,
+  getStats
+};
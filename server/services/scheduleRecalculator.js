@@ -14,6 +14,10 @@
 
 const Room = require('../models/room');
 const dynamicTravelTimeCalculator = require('./dynamicTravelTimeCalculator');
+const { getRoomTimezone } = require('../utils/timezone');
+const { getSessionPlace, getOwnerDayPlaces, toSlotLocation } = require('../utils/savedLocations');
+
+const PLACE_USER_FIELDS = 'address addressLat addressLng savedLocations defaultSchedule deletedPreferencesByRoom';
 
 /**
  * 시간을 분 단위로 변환
@@ -47,7 +51,8 @@ function isSameDay(date1, date2) {
 async function recalculateScheduleForDate(roomId, date) {
   try {
     const room = await Room.findById(roomId)
-      .populate('owner', 'homeLocation');
+      .populate('owner', PLACE_USER_FIELDS)
+      .populate('members.user', PLACE_USER_FIELDS);
 
     if (!room) {
       throw new Error('방을 찾을 수 없습니다.');
@@ -63,7 +68,9 @@ async function recalculateScheduleForDate(roomId, date) {
     }
 
     // 2. 각 슬롯의 이동시간 재계산
-    let previousLocation = room.ownerHomeLocation || {
+    // 그날 방장 출발 장소 (요일/날짜별 지정 → 방 기준 위치 → 방장 집)
+    const ownerStart = getOwnerDayPlaces(room, room.owner, date).start;
+    let previousLocation = ownerStart ? toSlotLocation(ownerStart) : {
       type: 'address',
       address: '서울시 강남구',
       coordinates: { lat: 37.4979, lng: 127.0276 } // 기본값: 강남역
@@ -74,24 +81,34 @@ async function recalculateScheduleForDate(roomId, date) {
     for (let i = 0; i < slotsForDate.length; i++) {
       const slot = slotsForDate[i];
 
-      if (!slot.location) {
-        // 위치 정보가 없으면 기본 위치 사용
-        slot.location = previousLocation;
+      // 위치 정보가 없으면 조원이 그 시간에 있을 장소 (선호시간 지정 장소 → 집), 그것도 없으면 이전 위치
+      let slotLocation = slot.location;
+      if (!slotLocation?.coordinates?.lat && !slotLocation?.address) {
+        const slotUserId = (slot.user?._id || slot.user)?.toString();
+        const member = room.members.find(m => m.user?._id?.toString() === slotUserId);
+        const sessionPlace = member ? getSessionPlace(member.user, slot.date, slot.startTime, room._id) : null;
+        slotLocation = sessionPlace ? toSlotLocation(sessionPlace) : previousLocation;
       }
 
-      // 이전 위치 → 현재 슬롯 위치까지 이동시간 계산
-      const travelTime = await dynamicTravelTimeCalculator.calculateTravelTimeBetween(
-        previousLocation,
-        slot.location,
-        room.currentTravelMode || room.confirmedTravelMode || 'transit'
-      );
-
       // 📝 원본 시간 저장 (처음 조정될 때만)
       if (!slot.originalStartTime) {
         slot.originalStartTime = slot.startTime;
         slot.originalEndTime = slot.endTime;
       }
 
+      // 이전 위치 → 현재 슬롯 위치까지 이동시간 계산 (이전 수업이 끝나는 시각에 출발, 첫 수업은 시작 시각에 도착)
+      const previousSlot = i > 0 ? slotsForDate[i - 1] : null;
+      const travelRoute = await dynamicTravelTimeCalculator.calculateLegRoute(
+        previousLocation,
+        slotLocation,
+        room.currentTravelMode || room.confirmedTravelMode || 'transit',
+        date,
+        previousSlot && { endTime: previousSlot.originalEndTime || previousSlot.endTime },
+        { startTime: slot.originalStartTime },
+        getRoomTimezone(room)
+      );
+      const travelTime = travelRoute.minutes;
+
       // ⏰ 이동시간을 고려한 시작/종료 시간 재계산
       const originalStartMinutes = timeToMinutes(slot.originalStartTime);
       const travelStartMinutes = originalStartMinutes - travelTime;
@@ -111,10 +128,12 @@ async function recalculateScheduleForDate(roomId, date) {
         startTime: slot.startTime,
         endTime: slot.endTime,
         travelTimeBefore: travelTime,
+        travelProvider: travelRoute.provider,
+        travelTimeOfDay: travelRoute.timeOfDay || 'any',
         previousLocation: previousLocation.description || previousLocation.address
       });
 
-      previousLocation = slot.location; // 다음 슬롯을 위해 현재 위치 저장
+      previousLocation = slotLocation; // 다음 슬롯을 위해 현재 위치 저장
     }
 
     // 3. 데이터베이스에 저장
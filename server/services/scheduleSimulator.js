@@ -14,6 +14,10 @@
 
 const Room = require('../models/room');
 const User = require('../models/user');
+const routing = require('./routing');
+const { getSessionPlace, getOwnerDayPlaces } = require('../utils/savedLocations');
+
+const PLACE_USER_FIELDS = 'address addressLat addressLng savedLocations defaultSchedule deletedPreferencesByRoom';
 
 /**
  * 시간을 분 단위로 변환
@@ -33,54 +37,24 @@ const minutesToTime = (minutes) => {
 };
 
 /**
- * 거리 계산 (Haversine formula)
+ * 이동시간 계산 (routing 프로바이더, 10분 단위 올림)
+ * @param {Object|null} fromPlace - 출발 장소 { lat, lng, address } (utils/savedLocations)
+ * @param {Object|null} toPlace - 도착 장소
  */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  if (!lat1 || !lon1 || !lat2 || !lon2) return 0;
-
-  const R = 6371; // 지구 반지름 (km)
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    0.5 - Math.cos(dLat)/2 +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    (1 - Math.cos(dLon))/2;
-  return R * 2 * Math.asin(Math.sqrt(a));
-};
-
-/**
- * 이동시간 계산
- */
-const calculateTravelTime = async (fromUserId, toUserId, room, effectiveTravelMode) => {
+const calculateTravelTime = async (fromPlace, toPlace, effectiveTravelMode) => {
   // 🔧 effectiveTravelMode 매개변수 추가 (room.travelMode 대신 사용)
   if (!effectiveTravelMode || effectiveTravelMode === 'normal') return 0;
+  if (!fromPlace || !toPlace) return 0;
 
   try {
-    const fromUser = await User.findById(fromUserId);
-    const toUser = await User.findById(toUserId);
-
-    if (!fromUser || !toUser) return 0;
-    if (!fromUser.addressLat || !toUser.addressLat) return 0;
-
-    const distance = calculateDistance(
-      fromUser.addressLat,
-      fromUser.addressLng,
-      toUser.addressLat,
-      toUser.addressLng
+    const result = await routing.getTravelTime(
+      { lat: fromPlace.lat, lng: fromPlace.lng, address: fromPlace.address },
+      { lat: toPlace.lat, lng: toPlace.lng, address: toPlace.address },
+      effectiveTravelMode
     );
 
-    // 이동 수단별 속도 (km/h)
-    const speeds = {
-      driving: 40,
-      transit: 30,
-      walking: 5,
-      bicycling: 15
-    };
-    const speed = speeds[effectiveTravelMode] || 30;
-
     // 이동시간 계산 (10분 단위 반올림)
-    const travelMinutes = Math.ceil((distance / speed) * 60 / 10) * 10;
-    return travelMinutes;
+    return Math.ceil(result.minutes / 10) * 10;
   } catch (error) {
     console.error('이동시간 계산 오류:', error);
     return 0;
@@ -101,9 +75,8 @@ async function simulateScheduleWithNewSlot(roomId, userId, targetDate, targetTim
   try {
     // ① 해당 날짜의 전체 슬롯 조회
     const room = await Room.findById(roomId)
-      .populate('owner', 'addressLat addressLng')
-      .populate('members.user', 'addressLat addressLng')
-      .populate('timeSlots.user', '_id addressLat addressLng');
+      .populate('owner', PLACE_USER_FIELDS)
+      .populate('members.user', PLACE_USER_FIELDS);
 
     if (!room) {
       return { isValid: false, reason: '방을 찾을 수 없습니다.' };
@@ -115,6 +88,17 @@ async function simulateScheduleWithNewSlot(roomId, userId, targetDate, targetTim
 
     const targetDateStr = new Date(targetDate).toISOString().split('T')[0];
 
+    // 방장은 그날 출발 장소, 조원은 그 시간 선호시간에 지정한 장소(없으면 집)
+    const ownerIdStr = room.owner._id.toString();
+    const ownerStart = getOwnerDayPlaces(room, room.owner, targetDateStr).start;
+    const usersById = new Map(room.members.filter(m => m.user?._id).map(m => [m.user._id.toString(), m.user]));
+    const placeOf = (slot) => {
+      const slotUserId = (slot.user._id || slot.user).toString();
+      if (slotUserId === ownerIdStr) return ownerStart;
+      const slotUser = usersById.get(slotUserId);
+      return slotUser ? getSessionPlace(slotUser, targetDateStr, slot.startTime, room._id) : null;
+    };
+
     // 해당 날짜의 슬롯들만 필터링
     const slotsOnDate = room.timeSlots.filter(slot => {
       const slotDate = new Date(slot.date).toISOString().split('T')[0];
@@ -145,23 +129,9 @@ async function simulateScheduleWithNewSlot(roomId, userId, targetDate, targetTim
 
       let travelTime = 0;
       if (effectiveTravelMode && effectiveTravelMode !== 'normal') {
-        if (prevSlot) {
-          // 이전 슬롯의 사용자 → 현재 슬롯의 사용자
-          const prevUserId = prevSlot.user._id || prevSlot.user;
-          const currUserId = slot.user._id || slot.user;
-
-          if (prevUserId.toString() === room.owner._id.toString()) {
-            // 방장 → 학생
-            travelTime = await calculateTravelTime(room.owner._id, currUserId, room, effectiveTravelMode);
-          } else {
-            // 학생 → 학생
-            travelTime = await calculateTravelTime(prevUserId, currUserId, room, effectiveTravelMode);
-          }
-        } else {
-          // 첫 슬롯: 방장 → 학생
-          const currUserId = slot.user._id || slot.user;
-          travelTime = await calculateTravelTime(room.owner._id, currUserId, room, effectiveTravelMode);
-        }
+        // 첫 슬롯은 방장 출발 장소에서, 이후는 이전 슬롯 장소에서 출발
+        const fromPlace = prevSlot ? placeOf(prevSlot) : ownerStart;
+        travelTime = await calculateTravelTime(fromPlace, placeOf(slot), effectiveTravelMode);
       }
 
       // 🔧 서버 로직과 동일하게: 이전 슬롯 종료 시간부터 이동 시작
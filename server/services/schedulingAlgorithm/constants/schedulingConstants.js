@@ -69,6 +69,36 @@ const SCORE_FOCUS_TIME_BONUS = 150;      // 집중시간 보너스
 // 공평성 기준
 const FAIRNESS_GAP_THRESHOLD = 2; // 2슬롯(1시간) 초과 차이 시 우선 배정
 
+// 공평성 균형 (options.fairness, 지난 주 배정 기록 기반 보정)
+const FAIRNESS_ORDER_STEP = 0.1;               // 처리 순서를 바꾸는 부채 단위 (이보다 작은 차이는 같은 순위)
+const FAIRNESS_PREFERENCE_BLOCK_BONUS = 6;     // 선호도 부채가 최대일 때 선호도 높은 블록에 주는 보정 (슬롯 수)
+const FAIRNESS_EDGE_BLOCK_PENALTY = 6;         // 첫/마지막 시간 부채가 최대일 때 하루 가장자리 블록 감점 (슬롯 수)
+const FAIRNESS_EDGE_WINDOW_MINUTES = 60;       // 하루 타임테이블의 처음/마지막 60분 안에 걸치면 가장자리 블록
+const SCORE_FAIRNESS_BONUS = 150;              // 점수 계산: 선호도 부채가 최대일 때 최고 선호 슬롯 보너스
+
+// 방 배정 규칙 (validators/ruleValidator.js)
+const RULE_SOFT_PENALTY_PER_WEIGHT = 2;        // soft 규칙 weight 1당 후보 블록 감점 (슬롯 수, weight 10이면 20슬롯)
+
+// 배정 과정 기록 (explain 모드)
+const TRACE_MAX_CANDIDATES = 5; // 결정마다 기록할 후보 블록 수
+
+// 배정/미배정을 결정한 규칙
+const TRACE_RULES = {
+  LONGEST_BLOCK: 'longest_block',                             // 최소 수업 시간 이상인 블록 중 가장 긴 블록
+  EARLIEST_BLOCK: 'earliest_block',                           // 길이가 같은 블록 중 가장 이른 블록
+  SHORT_BLOCK_ONLY: 'short_block_only',                       // 최소 수업 시간을 채우는 블록이 없어 자투리 블록 배정
+  CARRY_OVER: 'carry_over',                                   // 이월 시간 우선 배정
+  TRANSPORT_ORDER: 'transport_order',                         // 이동수단 모드: 이동시간이 짧은 순서로 배정
+  FULLY_ASSIGNED: 'fully_assigned',                           // 필요 시간 모두 배정
+  BLOCKED_TIME: 'blocked_time',                               // 최적 블록이 금지시간과 겹쳐 배정 중단
+  NO_AVAILABLE_BLOCK: 'no_available_block',                   // 남은 선호시간 블록 없음
+  INSUFFICIENT_PREFERRED_TIME: 'insufficient_preferred_time', // 선호시간 부족으로 배정 제외
+  WEEK_SKIPPED: 'week_skipped',                               // 다른 멤버의 선호시간 부족으로 이번 주 배정 안 함
+  FAIRNESS_BALANCE: 'fairness_balance',                       // 공평성 보정으로 더 길거나 이른 블록 대신 선택
+  SCHEDULING_RULE: 'scheduling_rule',                         // 방 배정 규칙 때문에 다른 블록 선택 / 남은 블록 없음
+  RESOURCE_UNAVAILABLE: 'resource_unavailable'                // 필요한 방 자원(강의실/장비)이 비어 있는 블록 없음
+};
+
 module.exports = {
   DAY_MAP,
   DAY_NAMES_KO,
@@ -92,5 +122,13 @@ module.exports = {
   SCORE_PROXIMITY_BONUS_MAX,
   SCORE_PROXIMITY_PENALTY_PER_HOUR,
   SCORE_FOCUS_TIME_BONUS,
-  FAIRNESS_GAP_THRESHOLD
+  FAIRNESS_GAP_THRESHOLD,
+  FAIRNESS_ORDER_STEP,
+  FAIRNESS_PREFERENCE_BLOCK_BONUS,
+  FAIRNESS_EDGE_BLOCK_PENALTY,
+  FAIRNESS_EDGE_WINDOW_MINUTES,
+  SCORE_FAIRNESS_BONUS,
+  RULE_SOFT_PENALTY_PER_WEIGHT,
+  TRACE_MAX_CANDIDATES,
+  TRACE_RULES
 };
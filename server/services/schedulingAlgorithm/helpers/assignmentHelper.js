@@ -7,7 +7,8 @@ const { SLOTS_PER_HOUR, MINUTES_PER_SLOT } = require('../constants/timeConstants
 const { extractDateFromSlotKey, extractTimeFromSlotKey, calculateSlotEndTime, createSlotData } = require('../utils/slotUtils');
 const { validateTimeSlotWithTravel } = require('../utils/timeUtils');
 const { google } = require('googleapis');
-const travelTimeCache = require('../utils/travelTimeCache');
+const routing = require('../../routing');
+const { getSessionWeeklySlots } = require('./sessionHelper');
 
 /**
  * 멤버별 assignments 초기화
@@ -31,6 +32,7 @@ const initializeMemberAssignments = (members, memberRequiredSlots = {}) => {
 
 /**
  * 멤버별 필요 슬롯 계산
+ * 수업 구성(member.sessions)이 있는 멤버는 주당 최소 시간/이월 대신 수업 길이 × 주당 횟수로 계산합니다.
  * @param {Array} members - 멤버 배열
  * @param {number} minHoursPerWeek - 주당 최소 시간
  * @param {number} actualWeeksInRange - 실제 주 수
@@ -40,6 +42,10 @@ const calculateMemberRequiredSlots = (members, minHoursPerWeek, actualWeeksInRan
   const memberRequiredSlots = {};
   members.forEach(m => {
     const memberId = m.user._id.toString();
+    if (m.sessions && m.sessions.length > 0) {
+      memberRequiredSlots[memberId] = getSessionWeeklySlots(m.sessions) * actualWeeksInRange;
+      return;
+    }
     const carryOverHours = m.carryOver || 0;
     const totalRequiredHours = (minHoursPerWeek * actualWeeksInRange) + carryOverHours;
     memberRequiredSlots[memberId] = totalRequiredHours * SLOTS_PER_HOUR;
@@ -53,8 +59,10 @@ const calculateMemberRequiredSlots = (members, minHoursPerWeek, actualWeeksInRan
  * @param {Object} assignments - assignments 객체
  * @param {string} key - 슬롯 키
  * @param {string} memberId - 배정할 멤버 ID
+ * @param {Object} [session] - 수업 구성으로 배정할 때 그 수업 (subject / sessionId를 슬롯에 기록)
+ * @param {string} [resourceId] - 이 슬롯에 예약한 방 자원 (validators/resourceValidator.js)
  */
-const assignSlot = (timetable, assignments, key, memberId) => {
+const assignSlot = (timetable, assignments, key, memberId, session = null, resourceId = null) => {
   const lastDashIndex = key.lastIndexOf('-');
   const dateKey = key.substring(0, lastDashIndex);
   const startTimeRaw = key.substring(lastDashIndex + 1);
@@ -96,8 +104,10 @@ const assignSlot = (timetable, assignments, key, memberId) => {
     startTime: startTimeRaw,
     endTime,
     memberId,
-    subject: AUTO_ASSIGNMENT_SUBJECT,
-    status: SLOT_STATUS.CONFIRMED
+    subject: session?.subject || AUTO_ASSIGNMENT_SUBJECT,
+    status: SLOT_STATUS.CONFIRMED,
+    sessionId: session?.sessionId,
+    resourceId
   });
 
   if (slotData.date && slotData.day && slotData.startTime && slotData.endTime) {
@@ -200,6 +210,7 @@ const loadExistingSlots = (roomTimeSlots, assignments, ownerId) => {
         startTime: slot.startTime,
         endTime: slot.endTime,
         subject: slot.subject,
+        ...(slot.sessionId ? { sessionId: slot.sessionId.toString() } : {}),
         isExisting: true  // 기존 슬롯 표시
       });
       assignments[slotUserId].assignedHours += 1;
@@ -209,7 +220,7 @@ const loadExistingSlots = (roomTimeSlots, assignments, ownerId) => {
 };
 
 /**
- * Google Maps Distance Matrix API를 사용하여 이동 시간 계산 (캐싱 포함)
+ * 이동 시간 계산 (routing 프로바이더, 캐싱 포함)
  * @param {Object} origin - 출발지 {lat, lng} 또는 주소 문자열
  * @param {Object} destination - 목적지 {lat, lng} 또는 주소 문자열
  * @param {string} transportMode - 이동 수단 ('public', 'driving', 'walking')
@@ -217,66 +228,16 @@ const loadExistingSlots = (roomTimeSlots, assignments, ownerId) => {
  */
 const calculateTravelTime = async (origin, destination, transportMode = 'transit') => {
   try {
-    // 좌표 또는 주소 문자열 처리
-    const originParam = typeof origin === 'string' ? origin : `${origin.lat},${origin.lng}`;
-    const destParam = typeof destination === 'string' ? destination : `${destination.lat},${destination.lng}`;
-
-    // transportMode 매핑
-    const modeMap = {
-      'public': 'transit',
-      'transit': 'transit',
-      'driving': 'driving',
-      'bicycling': 'bicycling',
-      'walking': 'walking'
-    };
-    const mode = modeMap[transportMode] || 'transit';
-
-    // 1. 캐시 확인
-    const cachedTime = travelTimeCache.get(originParam, destParam, mode);
-    if (cachedTime !== null) {
-      return cachedTime;
-    }
-
-    // 2. API 호출
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    if (!apiKey) {
-      console.error('Google Maps API Key가 설정되지 않았습니다.');
-      return 60; // 기본값 1시간
-    }
-
-    const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${encodeURIComponent(originParam)}&destinations=${encodeURIComponent(destParam)}&mode=${mode}&key=${apiKey}&language=ko`;
-
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.status !== 'OK' || !data.rows || !data.rows[0].elements || !data.rows[0].elements[0]) {
-      console.error('Distance Matrix API 응답 오류:', data.status);
-      return 60; // 기본값
-    }
-
-    const element = data.rows[0].elements[0];
-    if (element.status !== 'OK') {
-      console.error('경로 찾기 실패:', element.status);
-      return 60; // 기본값
-    }
-
-    const durationSeconds = element.duration.value;
-    const durationMinutes = Math.ceil(durationSeconds / 60);
-
-    // 3. 캐시 저장
-    travelTimeCache.set(originParam, destParam, mode, durationMinutes);
-
-
-    return durationMinutes;
-
+    const result = await routing.getTravelTime(origin, destination, transportMode);
+    return result.minutes;
   } catch (error) {
-    console.error('이동시간 계산 오류:', error);
+    console.error('이동시간 계산 오류:', error.message);
     return 60; // 오류 시 기본값
   }
 };
 
 /**
- * 배치로 여러 목적지까지의 이동 시간 계산 (API 호출 최소화)
+ * 배치로 여러 목적지까지의 이동 시간 계산 (프로바이더가 지원하면 한 번에 조회)
  * @param {Object} origin - 출발지 {lat, lng, address}
  * @param {Array} destinations - 목적지 배열 [{lat, lng, address, memberId}]
  * @param {string} transportMode - 이동 수단
@@ -286,92 +247,19 @@ const calculateTravelTimesBatch = async (origin, destinations, transportMode = '
   const results = new Map();
 
   try {
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    if (!apiKey) {
-      console.error('Google Maps API Key가 설정되지 않았습니다.');
-      // 기본값으로 채우기
-      destinations.forEach(dest => results.set(dest.memberId, 60));
-      return results;
-    }
-
-    // 좌표 문자열 처리
-    const originParam = `${origin.lat},${origin.lng}`;
-
-    // 캐시되지 않은 목적지만 필터링
-    const modeMap = {
-      'public': 'transit',
-      'transit': 'transit',
-      'driving': 'driving',
-      'bicycling': 'bicycling',
-      'walking': 'walking'
-    };
-    const mode = modeMap[transportMode] || 'transit';
-
-    const uncachedDests = [];
-    for (const dest of destinations) {
-      const destParam = `${dest.lat},${dest.lng}`;
-      const cached = travelTimeCache.get(originParam, destParam, mode);
-
-      if (cached !== null) {
-        results.set(dest.memberId, cached);
-      } else {
-        uncachedDests.push(dest);
-      }
-    }
-
-    if (uncachedDests.length === 0) {
-
-      return results;
-    }
-
-    // Google Maps API는 최대 25개 목적지까지 지원
-    const BATCH_SIZE = 25;
-
-    for (let i = 0; i < uncachedDests.length; i += BATCH_SIZE) {
-      const batch = uncachedDests.slice(i, i + BATCH_SIZE);
-      const destParams = batch.map(d => `${d.lat},${d.lng}`).join('|');
-
-      const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${encodeURIComponent(originParam)}&destinations=${encodeURIComponent(destParams)}&mode=${mode}&key=${apiKey}&language=ko`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status === 'OK' && data.rows && data.rows[0]) {
-        const elements = data.rows[0].elements;
-
-        batch.forEach((dest, idx) => {
-          if (elements[idx] && elements[idx].status === 'OK') {
-            const durationMinutes = Math.ceil(elements[idx].duration.value / 60);
-            results.set(dest.memberId, durationMinutes);
-
-            // 캐시 저장
-            const destParam = `${dest.lat},${dest.lng}`;
-            travelTimeCache.set(originParam, destParam, mode, durationMinutes);
-          } else {
-            results.set(dest.memberId, 60); // 기본값
-          }
-        });
-
-
-      } else {
-        // API 오류 시 기본값
-        batch.forEach(dest => results.set(dest.memberId, 60));
-      }
-    }
-
-
-    return results;
-
+    const routes = await routing.getTravelTimes(origin, destinations, transportMode);
+    destinations.forEach((dest, idx) => results.set(dest.memberId, routes[idx] ? routes[idx].minutes : 60));
   } catch (error) {
     console.error('배치 이동시간 계산 오류:', error);
-    // 오류 시 기본값으로 채우기
-    destinations.forEach(dest => {
-      if (!results.has(dest.memberId)) {
-        results.set(dest.memberId, 60);
-      }
-    });
-    return results;
   }
+
+  // 계산하지 못한 목적지는 기본값
+  destinations.forEach(dest => {
+    if (!results.has(dest.memberId)) {
+      results.set(dest.memberId, 60);
+    }
+  });
+  return results;
 };
 
 /**
@@ -379,7 +267,7 @@ const calculateTravelTimesBatch = async (origin, destinations, transportMode = '
  * @param {Object} currentLocation - 현재 위치 {lat, lng, address}
  * @param {Array} candidateMembers - 후보 멤버 배열
  * @param {string} transportMode - 이동 수단
- * @returns {Promise<Array>} 거리 순으로 정렬된 [{member, travelTimeMinutes}] 배열
+ * @returns {Promise<Array>} 거리 순으로 정렬된 [{member, travelTimeMinutes, travelProvider}] 배열 (travelProvider: 답한 routing 프로바이더, 계산 실패 시 'default')
  */
 const sortMembersByDistance = async (currentLocation, candidateMembers, transportMode = 'public') => {
   // 위치 정보가 있는 멤버만 필터링
@@ -404,12 +292,18 @@ const sortMembersByDistance = async (currentLocation, candidateMembers, transpor
   }));
 
   // 배치로 모든 이동시간 계산
-  const travelTimes = await calculateTravelTimesBatch(currentLocation, destinations, transportMode);
+  let routes = [];
+  try {
+    routes = await routing.getTravelTimes(currentLocation, destinations, transportMode);
+  } catch (error) {
+    console.error('배치 이동시간 계산 오류:', error);
+  }
 
-  // 결과 매핑
-  const membersWithDistance = validMembers.map(member => ({
+  // 결과 매핑 (계산하지 못한 멤버는 기본값 60분)
+  const membersWithDistance = validMembers.map((member, idx) => ({
     member,
-    travelTimeMinutes: travelTimes.get(member.user._id.toString()) || 60
+    travelTimeMinutes: routes[idx] ? routes[idx].minutes : 60,
+    travelProvider: routes[idx] ? routes[idx].provider : 'default'
   }));
 
   // 거리 순 정렬
@@ -421,14 +315,16 @@ const sortMembersByDistance = async (currentLocation, candidateMembers, transpor
 /**
  * 가장 가까우면서 시간이 충족되는 학생 찾기 (수정 3: 부분 배정 로직 추가)
  * 전체 시간이 안되면, 가능한 최대 시간으로 줄여서라도 배정을 시도합니다.
- * @returns {Promise<Object|null>} {member, slot: {startTime, endTime, waitTime, assignedDuration}, travelTime, day} 또는 null
+ * memberClassDurations(memberId -> 분)에 있는 멤버는 그 수업 길이로만 검사하고 부분 배정하지 않습니다.
+ * @returns {Promise<Object|null>} {member, slot: {startTime, endTime, waitTime, assignedDuration}, travelTimeMinutes, travelProvider, day} 또는 null
  */
 const findNearestMemberWithSufficientTime = async ({
   currentLocation,
   currentEndTime,
   candidateMembers,
   currentDay,
-  classDurationMinutes,
+  classDurationMinutes: defaultClassDurationMinutes,
+  memberClassDurations = new Map(),
   transportMode = 'public',
   roomBlockedTimes = [],
   roomExceptions = []
@@ -445,14 +341,16 @@ const findNearestMemberWithSufficientTime = async ({
 📍 [대중교통 모드] 가까운 순서로 ${sortedMembers.length}명 확인 (기준 요일: ${currentDay})`);
 
   // 2. 각 멤버에 대해 시간 충족 여부 확인
-  for (const { member, travelTimeMinutes } of sortedMembers) {
+  for (const { member, travelTimeMinutes, travelProvider } of sortedMembers) {
     const memberId = member.user._id.toString();
     const memberName = member.user.displayName || memberId.substring(0, 8);
     const personalTimes = member.user.personalTimes || [];
     const allPreferredSchedules = member.user.defaultSchedule || [];
+    const isSessionMember = memberClassDurations.has(memberId);
+    const classDurationMinutes = isSessionMember ? memberClassDurations.get(memberId) : defaultClassDurationMinutes;
 
     console.log(`
-👤 [멤버 확인] ${memberName} (이동시간: ${travelTimeMinutes}분)`);
+👤 [멤버 확인] ${memberName} (이동시간: ${travelTimeMinutes}분, ${travelProvider})`);
     console.log(`   📅 전체 선호시간: ${allPreferredSchedules.length}개`);
     allPreferredSchedules.forEach(s => {
         console.log(`      - s.day=${s.day} (타입: ${typeof s.day}), DAY_MAP[s.day]=${DAY_MAP[s.day]}, ${s.startTime}-${s.endTime}`);
@@ -522,12 +420,14 @@ const findNearestMemberWithSufficientTime = async ({
                 member,
                 slot: { ...fullValidation.slot, assignedDuration: classDurationMinutes },
                 travelTimeMinutes,
+                travelProvider,
                 day: dayToValidate
             };
         }
 
-        // 2.2. (2순위) 전체 시간 실패 시, 부분 배정 시도
+        // 2.2. (2순위) 전체 시간 실패 시, 부분 배정 시도 (수업 구성 멤버는 수업 길이를 줄이지 않음)
         console.log(`   - [전체 실패] ${memberName}: ${dayToValidate} ${schedule.startTime}-${schedule.endTime}. (${fullValidation.reason})`);
+        if (isSessionMember) continue;
         console.log(`     -> 부분 배정을 시도합니다...`);
 
         // 가능한 최대 시간을 찾기 위해 시간을 줄여가며 검사 (classDuration-30분부터 30분까지)
@@ -547,6 +447,7 @@ const findNearestMemberWithSufficientTime = async ({
                     member,
                     slot: { ...partialValidation.slot, assignedDuration: d },
                     travelTimeMinutes,
+                    travelProvider,
                     day: dayToValidate
                 };
                 // 찾았으면 바로 이 스케줄에 대한 탐색 종료하고 결과 반환
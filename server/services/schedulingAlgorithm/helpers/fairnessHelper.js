@@ -0,0 +1,104 @@
+/**
+ * 공평성 균형 헬퍼
+ *
+ * options.fairness = { weight: 0~1, members: { [memberId]: { preference, carryOver, edge, overall } } }
+ * 부채(0~1)는 지난 주들에 선호도가 낮은 시간을 받았거나, 이월이 쌓였거나, 하루의 첫/마지막 시간을
+ * 자주 맡은 정도입니다 (server/services/fairnessService.js의 buildFairnessBalance).
+ * weight가 0이거나 fairness가 없으면 모든 보정값이 0이라 기존 배정 결과와 같습니다.
+ */
+
+const {
+  FAIRNESS_ORDER_STEP,
+  FAIRNESS_PREFERENCE_BLOCK_BONUS,
+  FAIRNESS_EDGE_BLOCK_PENALTY,
+  FAIRNESS_EDGE_WINDOW_MINUTES
+} = require('../constants/schedulingConstants');
+const { MINUTES_PER_SLOT } = require('../constants/timeConstants');
+const { timeToMinutes } = require('../utils/timeUtils');
+const { extractDateFromSlotKey, extractTimeFromSlotKey } = require('../utils/slotUtils');
+
+/**
+ * 가중치를 곱한 멤버 부채
+ * @param {Object} fairness - options.fairness
+ * @param {string} memberId - 멤버 ID
+ * @param {string} [kind='overall'] - 'preference' | 'carryOver' | 'edge' | 'overall'
+ * @returns {number} 0 ~ 1
+ */
+const getFairnessDebt = (fairness, memberId, kind = 'overall') => {
+  if (!fairness || !fairness.weight) return 0;
+  return (fairness.members?.[memberId]?.[kind] || 0) * fairness.weight;
+};
+
+/**
+ * 처리 순서 비교 (부채가 큰 멤버 먼저, FAIRNESS_ORDER_STEP 단위로 묶어 작은 차이는 무시)
+ * @returns {number} sort 비교값
+ */
+const compareByFairnessDebt = (fairness, a, b) => {
+  const rank = (memberId) => Math.round(getFairnessDebt(fairness, memberId) / FAIRNESS_ORDER_STEP);
+  return rank(b) - rank(a);
+};
+
+/**
+ * 선호도 점수 (priority 3 → 1, 2 → 0.5, 1 → 0)
+ * @param {number} priority
+ * @returns {number}
+ */
+const getPreferenceSatisfaction = (priority) => Math.max(0, Math.min(1, ((priority || 1) - 1) / 2));
+
+/**
+ * 날짜별 타임테이블 시작/끝 (분) - 하루 가장자리 판단용
+ * @param {Array<string>} sortedKeys - 정렬된 타임테이블 키
+ * @returns {Map} date -> { start, end }
+ */
+const getDayEdges = (sortedKeys) => {
+  const edges = new Map();
+  sortedKeys.forEach(key => {
+    const date = extractDateFromSlotKey(key);
+    const minutes = timeToMinutes(extractTimeFromSlotKey(key));
+    if (!edges.has(date)) edges.set(date, { start: minutes, end: minutes + MINUTES_PER_SLOT });
+    edges.get(date).end = minutes + MINUTES_PER_SLOT;
+  });
+  return edges;
+};
+
+/**
+ * 블록 공평성 보정 (슬롯 수 단위, 블록 길이에 더해 비교)
+ * - 선호도 부채: 멤버 선호도가 높은 블록일수록 가산
+ * - 첫/마지막 시간 부채: 그날 타임테이블의 처음/마지막 FAIRNESS_EDGE_WINDOW_MINUTES 안에서 시작/끝나는 블록 감산
+ *   (구간으로 판단해야 한두 슬롯만 밀어서 감점을 피하며 자투리를 만드는 일이 없음)
+ * @param {Object} fairness - options.fairness
+ * @param {string} memberId - 멤버 ID
+ * @param {Array<string>} block - 연속 슬롯 키
+ * @param {Object} timetable - 타임테이블
+ * @param {Map} dayEdges - getDayEdges 결과
+ * @returns {number}
+ */
+const calculateBlockFairnessBonus = (fairness, memberId, block, timetable, dayEdges) => {
+  const preferenceDebt = getFairnessDebt(fairness, memberId, 'preference');
+  const edgeDebt = getFairnessDebt(fairness, memberId, 'edge');
+  if (!preferenceDebt && !edgeDebt) return 0;
+
+  const satisfaction = block.reduce((sum, key) => {
+    const avail = timetable[key].available.find(a => a.memberId === memberId && !a.isOwner);
+    return sum + getPreferenceSatisfaction(avail?.priority);
+  }, 0) / block.length;
+
+  const edges = dayEdges.get(extractDateFromSlotKey(block[0]));
+  const blockStart = timeToMinutes(extractTimeFromSlotKey(block[0]));
+  const blockEnd = timeToMinutes(extractTimeFromSlotKey(block[block.length - 1])) + MINUTES_PER_SLOT;
+  const touchesEdge = !!edges && (
+    blockStart < edges.start + FAIRNESS_EDGE_WINDOW_MINUTES ||
+    blockEnd > edges.end - FAIRNESS_EDGE_WINDOW_MINUTES
+  );
+
+  return preferenceDebt * FAIRNESS_PREFERENCE_BLOCK_BONUS * satisfaction
+    - (touchesEdge ? edgeDebt * FAIRNESS_EDGE_BLOCK_PENALTY : 0);
+};
+
+module.exports = {
+  getFairnessDebt,
+  compareByFairnessDebt,
+  getPreferenceSatisfaction,
+  getDayEdges,
+  calculateBlockFairnessBonus
+};
@@ -161,9 +161,10 @@ const createUnassignedMembersInfo = (assignments, memberRequiredSlots, ownerId,
  * @param {string} ownerId - 방장 ID
  * @param {Array} members - 멤버 배열
  * @param {Date} startDate - 시작 날짜
+ * @param {Date} [now] - 기준 시각 (최근 2주 이월 횟수 계산용)
  * @returns {Array} 캐리오버 배정 배열
  */
-const createCarryOverAssignments = (assignments, memberRequiredSlots, ownerId, members, startDate) => {
+const createCarryOverAssignments = (assignments, memberRequiredSlots, ownerId, members, startDate, now = new Date()) => {
   const carryOverAssignments = [];
 
   Object.keys(assignments)
@@ -184,7 +185,7 @@ const createCarryOverAssignments = (assignments, memberRequiredSlots, ownerId, m
           priority: getMemberPriority(member),
           week: startDate,
           consecutiveCarryOvers: (member?.carryOverHistory || []).filter(h => {
-            const twoWeeksAgo = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000);
+            const twoWeeksAgo = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
             return h.timestamp >= twoWeeksAgo;
           }).length
         });
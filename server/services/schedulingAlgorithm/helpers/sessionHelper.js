@@ -0,0 +1,122 @@
+/**
+ * 조원 수업 구성 헬퍼
+ *
+ * room.members[].sessions = [{ _id, subject, durationMinutes, sessionsPerWeek, days }]
+ * 수업 구성이 있는 조원은 주당 최소 시간 대신 각 수업을 정해진 길이 그대로, 주당 횟수만큼 배정합니다.
+ * 같은 수업은 하루에 한 번만, 가능 요일(days, 0=일 ~ 6=토)에만 배정하며
+ * 배정 슬롯의 subject는 수업 과목, sessionId는 수업 _id가 됩니다 (utils/memberSessions.js).
+ */
+
+const { AUTO_ASSIGNMENT_SUBJECT } = require('../constants/schedulingConstants');
+const { MINUTES_PER_SLOT } = require('../constants/timeConstants');
+const { timeToMinutes } = require('../utils/timeUtils');
+
+const toDateString = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const getSlotMinutes = (slot) => {
+  if (!slot.startTime || !slot.endTime) return MINUTES_PER_SLOT;
+  return Math.max(0, timeToMinutes(slot.endTime) - timeToMinutes(slot.startTime));
+};
+
+/**
+ * 멤버별 수업 계획 (수업 구성이 없는 멤버는 포함하지 않음)
+ * @param {Array} members - 멤버 배열 (방장 제외)
+ * @param {Array<string>} [weekDates] - 이번 배정 주의 날짜 (YYYY-MM-DD) - 이 날짜의 슬롯만 횟수에 셉니다
+ * @returns {Map} memberId -> { sessions: [{ sessionId, subject, durationSlots, sessionsPerWeek, days }], weekDates }
+ */
+const buildSessionPlans = (members, weekDates = null) => {
+  const plans = new Map();
+  const dates = weekDates ? new Set(weekDates) : null;
+
+  (members || []).forEach(member => {
+    const sessions = (member.sessions || []).filter(s => s && s._id && s.durationMinutes > 0 && s.sessionsPerWeek > 0);
+    if (sessions.length === 0) return;
+
+    const memberId = (member.user?._id || member.user).toString();
+    plans.set(memberId, {
+      weekDates: dates,
+      sessions: sessions.map(session => ({
+        sessionId: session._id.toString(),
+        subject: session.subject || AUTO_ASSIGNMENT_SUBJECT,
+        durationSlots: Math.ceil(session.durationMinutes / MINUTES_PER_SLOT),
+        sessionsPerWeek: session.sessionsPerWeek,
+        days: session.days && session.days.length > 0 ? new Set(session.days) : null
+      }))
+    });
+  });
+
+  return plans;
+};
+
+/**
+ * 수업 구성 기준 주당 필요 슬롯 수
+ * @param {Array} sessions - member.sessions
+ * @returns {number}
+ */
+const getSessionWeeklySlots = (sessions) => (sessions || []).reduce(
+  (sum, session) => sum + Math.ceil((session.durationMinutes || 0) / MINUTES_PER_SLOT) * (session.sessionsPerWeek || 0),
+  0
+);
+
+/**
+ * 수업별 이번 주 배정 현황
+ * @param {Object} plan - buildSessionPlans의 멤버 계획
+ * @param {Object} assignment - assignments[memberId]
+ * @returns {Map} sessionId -> { minutes, dates: Set }
+ */
+const getSessionUsage = (plan, assignment) => {
+  const usage = new Map(plan.sessions.map(session => [session.sessionId, { minutes: 0, dates: new Set() }]));
+
+  (assignment?.slots || []).forEach(slot => {
+    if (!slot.sessionId) return;
+    const entry = usage.get(slot.sessionId.toString());
+    const dateStr = toDateString(slot.date);
+    if (!entry || !dateStr) return;
+    if (plan.weekDates && !plan.weekDates.has(dateStr)) return;
+    entry.minutes += getSlotMinutes(slot);
+    entry.dates.add(dateStr);
+  });
+
+  return usage;
+};
+
+/**
+ * 이 날짜에 배정할 다음 수업 (구성 순서대로, 남은 횟수가 있고 가능 요일이며 이 날짜에 아직 없는 수업)
+ * @param {Object} plan - buildSessionPlans의 멤버 계획
+ * @param {Object} assignment - assignments[memberId]
+ * @param {string} dateStr - 날짜 (YYYY-MM-DD)
+ * @returns {Object|null} { sessionId, subject, durationSlots, ... } 또는 null
+ */
+const getNextSession = (plan, assignment, dateStr) => {
+  if (!plan) return null;
+  const usage = getSessionUsage(plan, assignment);
+  const dayOfWeek = getDayOfWeek(dateStr);
+
+  return plan.sessions.find(session => {
+    const { minutes, dates } = usage.get(session.sessionId);
+    const completed = Math.floor(minutes / (session.durationSlots * MINUTES_PER_SLOT));
+    if (completed >= session.sessionsPerWeek) return false;
+    if (session.days && !session.days.has(dayOfWeek)) return false;
+    return !dates.has(dateStr);
+  }) || null;
+};
+
+/**
+ * 멤버의 가장 짧은 수업 길이 (슬롯 수)
+ * @param {Object} plan - buildSessionPlans의 멤버 계획
+ * @returns {number}
+ */
+const getShortestSessionSlots = (plan) => Math.min(...plan.sessions.map(session => session.durationSlots));
+
+module.exports = {
+  buildSessionPlans,
+  getSessionWeeklySlots,
+  getNextSession,
+  getShortestSessionSlots
+};
@@ -5,6 +5,7 @@
 const { generateTimeSlots, createSlotKey, extractDateFromSlotKey } = require('../utils/slotUtils');
 const { formatDateToString } = require('../utils/dateUtils');
 const { isWeekendDay, isScheduleApplicableToDate, filterValidSchedules } = require('../validators/scheduleValidator');
+const { DEFAULT_TIMEZONE, toZonedParts } = require('../../../utils/timezone');
 
 /**
  * 타임테이블에 슬롯 추가 또는 업데이트
@@ -62,9 +63,10 @@ const removeMemberFromSlot = (timetable, key, memberId) => {
  * @param {Object} owner - 방장 객체
  * @param {Date} rangeStart - 범위 시작
  * @param {Date} rangeEnd - 범위 끝
+ * @param {string} [timeZone] - 방 시간대 (예외 선호시간의 시각 해석용)
  * @returns {Set} 가용 슬롯 키 Set
  */
-const createOwnerAvailableSlots = (owner, rangeStart, rangeEnd) => {
+const createOwnerAvailableSlots = (owner, rangeStart, rangeEnd, timeZone = DEFAULT_TIMEZONE) => {
   const ownerAvailableSlots = new Set();
 
   // owner.user.defaultSchedule 또는 owner.defaultSchedule 지원
@@ -146,12 +148,9 @@ const createOwnerAvailableSlots = (owner, rangeStart, rangeEnd) => {
     if (isWeekendDay(specDate.getUTCDay())) return;
 
     if (specDate >= rangeStart && specDate < rangeEnd) {
-      // ISO datetime에서 HH:MM 추출
-      const startDateTime = new Date(exception.startTime);
-      const endDateTime = new Date(exception.endTime);
-
-      const startTime = `${String(startDateTime.getHours()).padStart(2, '0')}:${String(startDateTime.getMinutes()).padStart(2, '0')}`;
-      const endTime = `${String(endDateTime.getHours()).padStart(2, '0')}:${String(endDateTime.getMinutes()).padStart(2, '0')}`;
+      // ISO datetime에서 방 시간대 기준 HH:MM 추출
+      const startTime = toZonedParts(exception.startTime, timeZone).time;
+      const endTime = toZonedParts(exception.endTime, timeZone).time;
 
       const slots = generateTimeSlots(startTime, endTime);
       const dateKey = specDate.toISOString().split('T')[0];
@@ -0,0 +1,184 @@
+/**
+ * 시간대 변환 헬퍼
+ *
+ * 방 슬롯과 타임테이블은 방 시간대(roomSettings.timezone) 기준입니다.
+ * 다른 시간대에 사는 멤버/방장의 선호시간(defaultSchedule), 개인시간(personalTimes),
+ * 예외 선호시간(scheduleExceptions) 날짜를 배정 전에 방 시간대로 옮깁니다.
+ * 반복 일정은 변환 후 요일이 바뀔 수 있으므로 배정 범위의 날짜별 specificDate 항목으로 펼칩니다.
+ */
+
+const {
+  getUserTimezone,
+  resolveTimezone,
+  convertTimeRange,
+  toZonedParts,
+  shiftDateStr
+} = require('../../../utils/timezone');
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc });
+
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+/**
+ * 범위의 날짜 목록 (변환하면 하루 앞뒤로 밀릴 수 있어 앞뒤 하루 포함)
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+const listDatesAround = (rangeStart, rangeEnd) => {
+  const dates = [];
+  const last = shiftDateStr(new Date(rangeEnd).toISOString().split('T')[0], 1);
+  let current = shiftDateStr(new Date(rangeStart).toISOString().split('T')[0], -1);
+  while (current <= last) {
+    dates.push(current);
+    current = shiftDateStr(current, 1);
+  }
+  return dates;
+};
+
+/**
+ * 시간 범위 변환 (종료가 시작보다 이르면 다음날 종료로 보고 나누어 변환)
+ * @returns {Array} convertTimeRange 결과
+ */
+const convertRange = (dateStr, startTime, endTime, fromTz, toTz) => {
+  if (endTime > startTime) {
+    return convertTimeRange(dateStr, startTime, endTime, fromTz, toTz);
+  }
+  return [
+    ...convertTimeRange(dateStr, startTime, '24:00', fromTz, toTz),
+    ...(endTime > '00:00' ? convertTimeRange(shiftDateStr(dateStr, 1), '00:00', endTime, fromTz, toTz) : [])
+  ];
+};
+
+/**
+ * 선호시간을 방 시간대의 날짜별 항목으로 변환
+ * 같은 날짜에 specificDate 항목이 있으면 반복 항목은 그 날짜에 적용하지 않습니다 (타임테이블 생성 규칙과 동일).
+ * @param {Array} schedules - defaultSchedule
+ * @param {Array<string>} dates - 펼칠 날짜 (사용자 시간대)
+ * @param {string} userTz
+ * @param {string} roomTz
+ * @returns {Array} specificDate 항목 배열
+ */
+const localizeDefaultSchedule = (schedules, dates, userTz, roomTz) => {
+  const specificDates = new Set(
+    schedules.filter(s => s.specificDate).map(s => new Date(s.specificDate).toISOString().split('T')[0])
+  );
+
+  return schedules.flatMap(schedule => {
+    if (!schedule.startTime || !schedule.endTime) return [];
+
+    const dateStrs = schedule.specificDate
+      ? [new Date(schedule.specificDate).toISOString().split('T')[0]]
+      : dates.filter(d => getDayOfWeek(d) === schedule.dayOfWeek && !specificDates.has(d));
+
+    return dateStrs.flatMap(dateStr =>
+      convertRange(dateStr, schedule.startTime, schedule.endTime, userTz, roomTz).map(range => ({
+        dayOfWeek: range.dayOfWeek,
+        startTime: range.startTime,
+        endTime: range.endTime,
+        priority: schedule.priority,
+        specificDate: range.dateStr
+      }))
+    );
+  });
+};
+
+/**
+ * 개인시간을 방 시간대의 날짜별 항목으로 변환
+ * 방 금지시간(room_blocked)은 이미 방 시간대 기준이므로 그대로 둡니다.
+ * @param {Array} personalTimes
+ * @param {Array<string>} dates - 펼칠 날짜 (사용자 시간대)
+ * @param {string} userTz
+ * @param {string} roomTz
+ * @returns {Array}
+ */
+const localizePersonalTimes = (personalTimes, dates, userTz, roomTz) => personalTimes.flatMap(personalTime => {
+  const plain = toPlain(personalTime);
+  if (plain.type === 'room_blocked') return [plain];
+
+  let dateStrs = [];
+  if (plain.specificDate) {
+    dateStrs = [plain.specificDate];
+  } else if (plain.isRecurring !== false && plain.days && plain.days.length > 0) {
+    dateStrs = dates.filter(d => plain.days.includes(getDayOfWeek(d) || 7));
+  }
+
+  return dateStrs.flatMap(dateStr =>
+    convertRange(dateStr, plain.startTime, plain.endTime, userTz, roomTz).map(range => ({
+      ...plain,
+      startTime: range.startTime,
+      endTime: range.endTime,
+      days: [range.dayOfWeek || 7],
+      isRecurring: false,
+      specificDate: range.dateStr
+    }))
+  );
+});
+
+/**
+ * 예외 선호시간의 날짜를 방 시간대 기준 날짜로 변경 (시각은 절대 시각이므로 그대로)
+ * @param {Array} exceptions - scheduleExceptions
+ * @param {string} roomTz
+ * @returns {Array}
+ */
+const localizeScheduleExceptions = (exceptions, roomTz) => exceptions.map(exception => {
+  const plain = toPlain(exception);
+  if (!plain.specificDate || !plain.startTime) return plain;
+  return { ...plain, specificDate: toZonedParts(plain.startTime, roomTz).dateStr };
+});
+
+/**
+ * 사용자 일정을 방 시간대로 변환 (같은 시간대면 원본 반환)
+ * @param {Object} user - 사용자 (populate된 문서 또는 객체)
+ * @param {Array<string>} dates
+ * @param {string} roomTz
+ * @returns {Object}
+ */
+const localizeUser = (user, dates, roomTz) => {
+  const userTz = getUserTimezone(user);
+  if (!user || userTz === roomTz) return user;
+
+  const plain = toPlain(user);
+  return {
+    ...plain,
+    defaultSchedule: localizeDefaultSchedule(plain.defaultSchedule || [], dates, userTz, roomTz),
+    personalTimes: localizePersonalTimes(plain.personalTimes || [], dates, userTz, roomTz),
+    scheduleExceptions: localizeScheduleExceptions(plain.scheduleExceptions || [], roomTz)
+  };
+};
+
+/**
+ * 멤버/방장 일정을 방 시간대로 변환
+ * @param {Array} members - 멤버 배열 ({ user, ... })
+ * @param {Object} owner - 방장 (사용자 문서 또는 { user })
+ * @param {Object} params
+ * @param {string} params.timezone - 방 시간대
+ * @param {Date} params.rangeStart - 배정 범위 시작
+ * @param {Date} params.rangeEnd - 배정 범위 끝
+ * @returns {Object} { members, owner }
+ */
+const localizeToRoomTimezone = (members, owner, { timezone, rangeStart, rangeEnd }) => {
+  const roomTz = resolveTimezone(timezone);
+  const dates = listDatesAround(rangeStart, rangeEnd);
+
+  const localizedMembers = members.map(member => {
+    const user = localizeUser(member.user, dates, roomTz);
+    return user === member.user ? member : { ...toPlain(member), user };
+  });
+
+  let localizedOwner = owner;
+  if (owner.user) {
+    const user = localizeUser(owner.user, dates, roomTz);
+    if (user !== owner.user) localizedOwner = { ...toPlain(owner), user };
+  } else {
+    localizedOwner = localizeUser(owner, dates, roomTz);
+  }
+
+  return { members: localizedMembers, owner: localizedOwner };
+};
+
+module.exports = {
+  localizeDefaultSchedule,
+  localizePersonalTimes,
+  localizeToRoomTimezone
+};
@@ -0,0 +1,298 @@
+/**
+ * 배정 과정 기록(trace) 헬퍼
+ *
+ * explain 모드에서 멤버별로 검토한 후보 블록, 점수, 충돌, 배정/미배정을 결정한 규칙을 기록합니다.
+ * 주 단위로 createWeekTrace를 만들고, 마지막에 buildScheduleTrace로 멤버 기준으로 묶습니다.
+ */
+
+const { MINUTES_PER_SLOT } = require('../constants/timeConstants');
+const { TRACE_MAX_CANDIDATES, TRACE_RULES } = require('../constants/schedulingConstants');
+const { PREFERRED_TIME_PRIORITY_THRESHOLD } = require('../constants/priorityConstants');
+const { timeToMinutes, minutesToTime } = require('../utils/timeUtils');
+const { extractDateFromSlotKey, extractTimeFromSlotKey } = require('../utils/slotUtils');
+const { mergeConsecutiveConflicts } = require('./conflictMerger');
+const { extractMemberId, findMemberById } = require('./memberHelper');
+const { scoreSlotsForMember, findBestSlotForMember } = require('../services/scoringService');
+const { getFairnessDebt } = require('./fairnessHelper');
+
+/**
+ * 멤버 표시 이름
+ * @param {Array} members - 멤버 배열
+ * @param {string} memberId - 멤버 ID
+ * @returns {string}
+ */
+const getMemberName = (members, memberId) => {
+  const user = findMemberById(members, memberId)?.user;
+  return `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || user?.name || memberId.substring(0, 8);
+};
+
+/**
+ * 슬롯 키 블록을 날짜/시간 범위로 변환
+ * @param {Array<string>} block - 연속 슬롯 키 배열
+ * @returns {Object} { date, startTime, endTime, slots }
+ */
+const describeBlock = (block) => {
+  const lastTime = extractTimeFromSlotKey(block[block.length - 1]);
+  return {
+    date: extractDateFromSlotKey(block[0]),
+    startTime: extractTimeFromSlotKey(block[0]),
+    endTime: minutesToTime(timeToMinutes(lastTime) + MINUTES_PER_SLOT),
+    slots: block.length
+  };
+};
+
+/**
+ * 정렬된 후보 블록에서 다른 블록의 뒷부분(같은 연속 구간)을 제외
+ * @param {Array} sortedBlocks - [{ block, startIndex }] (선택 순서로 정렬됨)
+ * @returns {Array} 서로 겹치지 않는 후보 블록
+ */
+const dedupeCandidateBlocks = (sortedBlocks) => {
+  const coveredKeys = new Set();
+  return sortedBlocks.filter(({ block }) => {
+    if (coveredKeys.has(block[0])) return false;
+    block.forEach(key => coveredKeys.add(key));
+    return true;
+  });
+};
+
+/**
+ * 멤버 기록 초기값
+ */
+const createMemberTraceEntry = (memberId, memberName) => ({
+  memberId,
+  memberName,
+  order: null,
+  orderDetail: null,
+  conflicts: [],
+  decisions: [],
+  rule: null,
+  message: null
+});
+
+/**
+ * 한 주의 배정 과정 기록 생성
+ * @param {Object} params
+ * @param {Date} params.weekStart - 주 시작 날짜
+ * @param {Array} params.members - 멤버 배열 (이름 표시용)
+ * @param {Object} params.ownerPreferences - 방장 선호 설정 (점수 계산용)
+ * @param {Object} [params.fairness] - 공평성 균형 (점수 계산용)
+ * @returns {Object} 기록 함수 모음
+ */
+const createWeekTrace = ({ weekStart, members, ownerPreferences = {}, fairness = null }) => {
+  const memberTraces = {};
+
+  const getEntry = (memberId) => {
+    if (!memberTraces[memberId]) {
+      memberTraces[memberId] = createMemberTraceEntry(memberId, getMemberName(members, memberId));
+    }
+    return memberTraces[memberId];
+  };
+
+  return {
+    /**
+     * 배정 전 충돌(같은 최고 우선순위로 겹치는 시간) 기록
+     * @param {Array} conflicts - identifyConflictsBeforeAssignment의 conflicts
+     * @param {Object} timetable - 타임테이블
+     */
+    recordConflicts(conflicts, timetable) {
+      mergeConsecutiveConflicts(conflicts, timetable).forEach(block => {
+        block.conflictingMembers.forEach(memberId => {
+          getEntry(memberId).conflicts.push({
+            date: block.startDate,
+            startTime: block.startTime,
+            endTime: block.endTime,
+            with: block.conflictingMembers
+              .filter(id => id !== memberId)
+              .map(id => ({ memberId: id, memberName: getMemberName(members, id) }))
+          });
+        });
+      });
+    },
+
+    /**
+     * 멤버 처리 순서 기록
+     * @param {Array<string>} sortedMembers - 처리 순서대로 정렬된 멤버 ID
+     * @param {Object} detail - { assignmentMode, memberMaxPriority, memberAvailableSlots }
+     */
+    recordOrder(sortedMembers, { assignmentMode, memberMaxPriority, memberAvailableSlots }) {
+      sortedMembers.forEach((memberId, index) => {
+        const entry = getEntry(memberId);
+        const member = findMemberById(members, memberId);
+        entry.order = index + 1;
+        entry.orderDetail = {
+          assignmentMode,
+          maxPriority: memberMaxPriority[memberId],
+          availableSlots: memberAvailableSlots[memberId],
+          joinedAt: assignmentMode === 'first_come_first_served' ? member?.joinedAt || null : undefined,
+          fairnessDebt: fairness?.weight ? Math.round(getFairnessDebt(fairness, memberId) * 100) / 100 : undefined
+        };
+      });
+    },
+
+    /**
+     * 블록 선택 결정 기록
+     * @param {string} memberId - 멤버 ID
+     * @param {Object} params
+     * @param {Object} params.timetable - 타임테이블 (배정 전 상태)
+     * @param {Object} params.assignments - assignments 객체
+     * @param {Array} params.sortedBlocks - 선택 순서로 정렬된 후보 [{ block, startIndex, fairnessBonus }]
+     * @param {number} params.minBlockSlots - 자투리로 보지 않는 최소 슬롯 수
+     * @param {Array<string>} [params.assignedBlock] - 실제로 배정한 슬롯 키 (배정하지 않았으면 없음)
+     * @param {Object} [params.blockedTime] - 배정을 막은 금지시간
+     */
+    recordDecision(memberId, { timetable, assignments, sortedBlocks, minBlockSlots, assignedBlock, blockedTime }) {
+      const scores = new Map(
+        scoreSlotsForMember(timetable, assignments, memberId, PREFERRED_TIME_PRIORITY_THRESHOLD, ownerPreferences, [], fairness)
+          .map(({ key, score, breakdown }) => [key, { score, breakdown }])
+      );
+      const blockScore = (block) => Math.round(
+        block.reduce((sum, key) => sum + (scores.get(key)?.score || 0), 0) / block.length
+      );
+
+      const candidates = dedupeCandidateBlocks(sortedBlocks);
+      const best = candidates[0];
+      const isShort = (candidate) => candidate.block.length < minBlockSlots;
+
+      // 공평성 보정/규칙 감점이 없었다면 앞섰을 후보 (자투리 여부가 같고 더 길거나, 길이가 같고 더 이른 블록)
+      const outranking = candidates.find(candidate => candidate !== best &&
+        isShort(candidate) === isShort(best) &&
+        (candidate.block.length > best.block.length ||
+          (candidate.block.length === best.block.length && candidate.startIndex < best.startIndex)));
+
+      let rule;
+      if (blockedTime) {
+        rule = TRACE_RULES.BLOCKED_TIME;
+      } else if (outranking) {
+        rule = (outranking.rulePenalty || 0) > (best.rulePenalty || 0) ? TRACE_RULES.SCHEDULING_RULE : TRACE_RULES.FAIRNESS_BALANCE;
+      } else if (best.block.length < minBlockSlots) {
+        rule = TRACE_RULES.SHORT_BLOCK_ONLY;
+      } else if (candidates[1] && candidates[1].block.length === best.block.length) {
+        rule = TRACE_RULES.EARLIEST_BLOCK;
+      } else {
+        rule = TRACE_RULES.LONGEST_BLOCK;
+      }
+
+      const bestScored = findBestSlotForMember(timetable, assignments, memberId, PREFERRED_TIME_PRIORITY_THRESHOLD, members, ownerPreferences, undefined, [], fairness);
+
+      getEntry(memberId).decisions.push({
+        rule,
+        chosen: assignedBlock ? { ...describeBlock(assignedBlock), score: blockScore(assignedBlock) } : null,
+        blockedBy: blockedTime ? blockedTime.name : undefined,
+        bestScoredSlot: bestScored ? {
+          date: extractDateFromSlotKey(bestScored.bestSlot.key),
+          startTime: extractTimeFromSlotKey(bestScored.bestSlot.key),
+          score: Math.round(bestScored.score),
+          breakdown: scores.get(bestScored.bestSlot.key)?.breakdown
+        } : null,
+        candidateCount: candidates.length,
+        candidates: candidates.slice(0, TRACE_MAX_CANDIDATES).map(({ block, rulePenalty }) => ({
+          ...describeBlock(block),
+          score: blockScore(block),
+          isShort: block.length < minBlockSlots,
+          ...(rulePenalty ? { rulePenalty } : {})
+        }))
+      });
+    },
+
+    /**
+     * 후보 비교 없이 배정한 블록 기록 (이월 우선 배정 등)
+     * @param {string} memberId - 멤버 ID
+     * @param {string} rule - TRACE_RULES 값
+     * @param {Array<string>} block - 배정한 슬롯 키
+     */
+    recordAssignment(memberId, rule, block) {
+      const { decisions } = getEntry(memberId);
+      const chosen = describeBlock(block);
+      const last = decisions[decisions.length - 1];
+
+      // 같은 규칙으로 이어서 배정한 블록은 하나로 합침
+      if (last && last.rule === rule && last.chosen.date === chosen.date && last.chosen.endTime === chosen.startTime) {
+        last.chosen.endTime = chosen.endTime;
+        last.chosen.slots += chosen.slots;
+        return;
+      }
+
+      decisions.push({ rule, chosen, candidateCount: 0, candidates: [] });
+    },
+
+    /**
+     * 이번 주 최종 결과 기록
+     * @param {string} memberId - 멤버 ID
+     * @param {string} rule - TRACE_RULES 값
+     * @param {string} [message] - 설명
+     */
+    recordOutcome(memberId, rule, message = null) {
+      const entry = getEntry(memberId);
+      entry.rule = rule;
+      entry.message = message;
+    },
+
+    /**
+     * 기록 결과 (JSON)
+     * @returns {Object} { weekStart, members }
+     */
+    toJSON() {
+      return {
+        weekStart: weekStart.toISOString().split('T')[0],
+        members: Object.values(memberTraces)
+      };
+    }
+  };
+};
+
+/**
+ * 주별 기록을 멤버 기준으로 묶은 최종 trace 생성
+ * @param {Object} params
+ * @param {Array} params.weekTraces - createWeekTrace().toJSON() 배열
+ * @param {Object} params.assignments - 최종 assignments 객체
+ * @param {Array} params.members - 멤버 배열
+ * @param {string} params.ownerId - 방장 ID
+ * @param {string|number|null} params.seed - 동점 처리 시드
+ * @param {Date} params.referenceDate - 기준 시각
+ * @param {string} params.transportMode - 배정 방식 ('normal'이 아니면 이동수단 모드: 후보 비교 기록 없음)
+ * @returns {Object} { seed, referenceDate, transportMode, members }
+ */
+const buildScheduleTrace = ({ weekTraces, assignments, members, ownerId, seed, referenceDate, transportMode = 'normal' }) => {
+  const memberIds = members.map(extractMemberId).filter(id => id && id !== ownerId);
+
+  return {
+    seed: seed ?? null,
+    referenceDate: referenceDate.toISOString(),
+    transportMode,
+    members: memberIds.map(memberId => {
+      const assignment = assignments[memberId] || { assignedHours: 0, requiredSlots: 0 };
+      const weeks = weekTraces
+        .map(weekTrace => {
+          const entry = weekTrace.members.find(m => m.memberId === memberId);
+          if (!entry) return null;
+          const { memberId: _id, memberName: _name, ...weekEntry } = entry;
+          return { weekStart: weekTrace.weekStart, ...weekEntry };
+        })
+        .filter(Boolean);
+
+      let status = 'unassigned';
+      if (assignment.assignedHours >= assignment.requiredSlots) status = 'assigned';
+      else if (assignment.assignedHours > 0) status = 'partial';
+
+      // 다 채우지 못한 주가 있으면 그 주의 규칙이 결과를 설명
+      const lastShortWeek = [...weeks].reverse().find(week => week.rule && week.rule !== TRACE_RULES.FULLY_ASSIGNED);
+      const rule = status === 'assigned' ? TRACE_RULES.FULLY_ASSIGNED : lastShortWeek?.rule || TRACE_RULES.NO_AVAILABLE_BLOCK;
+
+      return {
+        memberId,
+        memberName: getMemberName(members, memberId),
+        requiredSlots: assignment.requiredSlots,
+        assignedSlots: assignment.assignedHours,
+        status,
+        rule,
+        weeks
+      };
+    })
+  };
+};
+
+module.exports = {
+  createMemberTraceEntry,
+  createWeekTrace,
+  buildScheduleTrace
+};
@@ -8,13 +8,18 @@
 
 // Constants
 const { SLOTS_PER_HOUR } = require('./constants/timeConstants');
-const { DAY_MAP, DEFAULT_REQUIRED_SLOTS } = require('./constants/schedulingConstants');
+const { DAY_MAP, DEFAULT_REQUIRED_SLOTS, TRACE_RULES } = require('./constants/schedulingConstants');
 
 // Utils
 const { calculateEndTime } = require('./utils/timeUtils');
+const { extractDateFromSlotKey } = require('./utils/slotUtils');
+const { createSeededRandom } = require('./utils/randomUtils');
+const { resolveTimezone, getWeekStartInZone } = require('../../utils/timezone');
 
 // Validators
 const { createConflictKeysSet } = require('./validators/conflictValidator');
+const { createRuleChecker } = require('./validators/ruleValidator');
+const { createResourceTracker } = require('./validators/resourceValidator');
 
 // Helpers
 const {
@@ -31,6 +36,9 @@ const {
   createCarryOverAssignments
 } = require('./helpers/memberHelper');
 const { processDeferredAssignments } = require('./helpers/carryOverHelper');
+const { createWeekTrace, buildScheduleTrace } = require('./helpers/traceHelper');
+const { localizeToRoomTimezone } = require('./helpers/timezoneHelper');
+const { buildSessionPlans } = require('./helpers/sessionHelper');
 
 // Services
 const { createTimetableFromPersonalSchedules, filterFutureDates } = require('./services/timetableCreationService');
@@ -47,12 +55,33 @@ class SchedulingAlgorithm {
 
   /**
    * 자동 스케줄링 실행 (메인 진입점)
+   *
+   * 재현 가능한 실행:
+   * - options.seed: 정렬 기준이 같은 멤버끼리의 처리 순서를 정하는 시드 (없으면 입력 순서)
+   * - options.now: 기준 시각 (시작 주가 없을 때의 시작 날짜, 최근 이월 계산에 사용, 기본값 현재 시각)
+   * 같은 입력 + 같은 seed + 같은 now면 항상 같은 결과가 나옵니다.
+   *
+   * options.explain이 true면 멤버별 후보 블록/점수/충돌/결정 규칙을 trace로 함께 반환합니다.
+   *
+   * 시간대: 슬롯은 options.roomSettings.timezone(방 시간대) 기준으로 배정합니다.
+   * 다른 시간대의 멤버/방장 일정은 배정 전에 방 시간대로 변환하고,
+   * 시작 주가 없으면 방 시간대 기준 이번 주(다중 주는 오늘)부터 배정합니다.
+   *
+   * 방 배정 규칙: options.roomSettings.schedulingRules의 hard 규칙은 어기는 블록을 배정하지 않고,
+   * soft 규칙은 weight만큼 불리하게 비교합니다. 배정 후 남은 위반은 result.ruleViolations로 반환합니다.
+   *
+   * 조원 수업 구성: member.sessions가 있는 조원은 주당 최소 시간 대신 각 수업을 정해진 길이로 주당 횟수만큼,
+   * 가능 요일에만 배정하고 슬롯 subject/sessionId에 수업을 기록합니다 (helpers/sessionHelper.js).
+   *
+   * 방 자원: options.roomSettings.resources에 등록된 조원은 같은 시각 capacity를 넘지 않게 자원을 예약하고
+   * 슬롯 resourceId에 기록합니다. 기존 슬롯의 자원 예약도 지킵니다 (validators/resourceValidator.js).
+   *
    * @param {Array} members - 멤버 배열
    * @param {Object} owner - 방장 객체
    * @param {Array} roomTimeSlots - 기존 슬롯 배열
    * @param {Object} options - 옵션 객체
    * @param {Array} deferredAssignments - 지연 배정 배열
-   * @returns {Object} 스케줄링 결과
+   * @returns {Object} 스케줄링 결과 (explain 모드면 trace 포함)
    */
   async runAutoSchedule(members, owner, roomTimeSlots, options, deferredAssignments = []) {
     console.log('\n\n' + '='.repeat(80));
@@ -67,6 +96,61 @@ class SchedulingAlgorithm {
       throw new Error('Invalid owner data provided to scheduling algorithm');
     }
 
+    const { numWeeks = 2, seed = null, explain = false, transportMode = 'normal', roomSettings = {} } = options;
+    const hasSeed = seed !== null && seed !== undefined && seed !== '';
+    const now = options.now ? new Date(options.now) : new Date();
+    const timezone = resolveTimezone(roomSettings.timezone);
+    const runOptions = {
+      ...options,
+      roomSettings: { ...roomSettings, timezone },
+      now,
+      random: hasSeed ? createSeededRandom(seed) : null
+    };
+
+    // 멤버/방장 일정을 방 시간대로 변환 (배정 범위 + 여유 1주)
+    const rangeStart = new Date(options.fullRangeStart || options.currentWeek || getWeekStartInZone(now, timezone));
+    const rangeEnd = options.fullRangeEnd
+      ? new Date(options.fullRangeEnd)
+      : new Date(rangeStart.getTime() + (numWeeks + 1) * 7 * 24 * 60 * 60 * 1000);
+    ({ members, owner } = localizeToRoomTimezone(members, owner, { timezone, rangeStart, rangeEnd }));
+
+    // 다중 주 스케줄링 (주마다 단일 주 배정 실행)
+    const result = numWeeks > 1
+      ? await runMultiWeekSchedule({
+        members,
+        owner,
+        roomTimeSlots,
+        options: runOptions,
+        deferredAssignments
+      }, this._runSingleWeekSchedule.bind(this))
+      : await this._runSingleWeekSchedule(members, owner, roomTimeSlots, runOptions, deferredAssignments);
+
+    const { weekTraces, ...scheduleResult } = result;
+    if (explain) {
+      scheduleResult.trace = buildScheduleTrace({
+        weekTraces: weekTraces || [],
+        assignments: scheduleResult.assignments,
+        members,
+        ownerId: owner._id.toString(),
+        seed: hasSeed ? seed : null,
+        referenceDate: now,
+        transportMode
+      });
+    }
+
+    return scheduleResult;
+  }
+
+  /**
+   * 단일 주 배정
+   * @param {Array} members - 멤버 배열
+   * @param {Object} owner - 방장 객체
+   * @param {Array} roomTimeSlots - 기존 슬롯 배열
+   * @param {Object} options - runAutoSchedule 옵션 + { now, random }
+   * @param {Array} deferredAssignments - 지연 배정 배열
+   * @returns {Object} 스케줄링 결과 (explain 모드면 weekTraces 포함)
+   */
+  async _runSingleWeekSchedule(members, owner, roomTimeSlots, options, deferredAssignments = []) {
     const {
       minHoursPerWeek = 3,
       numWeeks = 2,
@@ -78,24 +162,14 @@ class SchedulingAlgorithm {
       assignmentMode = 'normal',
       clientToday,
       transportMode = 'normal', // 'public', 'driving', 'walking', 'normal'
-      minClassDurationMinutes = 60 // 최소 수업 시간 (분)
+      minClassDurationMinutes = 60, // 최소 수업 시간 (분)
+      now = new Date(),
+      random = null,
+      explain = false,
+      fairness = null, // 공평성 균형 { weight, members } (fairnessService.buildFairnessBalance)
+      ruleHistory = [] // 다중 주: 앞선 주 배정 결과 (규칙의 주당 횟수/수업 간격 계산용)
     } = options;
 
-    // 🔍 디버깅: 진입 파라미터 확인
-    // 자동배정 시작
-
-    // 다중 주 스케줄링
-    if (numWeeks > 1) {
-      return await runMultiWeekSchedule({
-        members,
-        owner,
-        roomTimeSlots,
-        options,
-        deferredAssignments
-      }, this.runAutoSchedule.bind(this));
-    }
-
-    // 단일 주 배정
     const ownerId = owner._id.toString();
     const nonOwnerMembers = filterNonOwnerMembers(members, ownerId);
     
@@ -119,7 +193,10 @@ class SchedulingAlgorithm {
     );
 
     // 시작 날짜 설정
-    const startDate = currentWeek ? new Date(currentWeek) : new Date('2025-09-16T00:00:00.000Z');
+    const startDate = currentWeek ? new Date(currentWeek) : getWeekStartInZone(now, roomSettings.timezone);
+
+    // 배정 과정 기록 (explain 모드)
+    const trace = explain ? createWeekTrace({ weekStart: startDate, members, ownerPreferences, fairness }) : null;
 
     // 🔍 멤버 선호시간 확인
     // 멤버 선호시간 로드
@@ -139,7 +216,7 @@ class SchedulingAlgorithm {
     
     // "오늘 기준" 모드: 과거 날짜 필터링
     if (assignmentMode === 'from_today') {
-      timetable = filterFutureDates(timetable, clientToday);
+      timetable = filterFutureDates(timetable, clientToday || now.toISOString().slice(0, 10));
       console.log(`[from_today] Filtered to ${Object.keys(timetable).length} future slots using client date: ${clientToday}`);
     }
 
@@ -155,11 +232,13 @@ class SchedulingAlgorithm {
           requiredSlots: memberRequiredSlots[memberId] || DEFAULT_REQUIRED_SLOTS,
           slots: []
         };
+        trace?.recordOutcome(memberId, TRACE_RULES.NO_AVAILABLE_BLOCK);
       });
       return {
         assignments: emptyAssignments,
         carryOverAssignments: [],
-        unassignedMembersInfo: []
+        unassignedMembersInfo: [],
+        weekTraces: trace ? [trace.toJSON()] : undefined
       };
     }
 
@@ -225,6 +304,16 @@ class SchedulingAlgorithm {
     // Phase 0: 지연 배정 처리
     processDeferredAssignments(timetable, assignments, deferredAssignments);
 
+    // 방 배정 규칙 검사기 (켜진 규칙이 없으면 null, 기존/지연 배정 슬롯부터 반영)
+    const weekDates = [...new Set(sortedSlotKeys.map(extractDateFromSlotKey))];
+    const ruleChecker = createRuleChecker(roomSettings.schedulingRules, { assignments, history: ruleHistory, dates: weekDates });
+
+    // 조원 수업 구성 (수업 구성이 없는 조원은 포함되지 않음)
+    const sessionPlans = buildSessionPlans(nonOwnerMembers, weekDates);
+
+    // 방 자원 예약 (켜진 자원이 없으면 null)
+    const resourceTracker = createResourceTracker(roomSettings.resources, { existingSlots: roomTimeSlots || [] });
+
     // Phase 1: 충돌 식별
     const { conflicts, memberAvailableSlots } = identifyConflictsBeforeAssignment(
       timetable,
@@ -232,6 +321,7 @@ class SchedulingAlgorithm {
       memberRequiredSlots
     );
     const conflictingSlots = conflicts;
+    trace?.recordConflicts(conflictingSlots, timetable);
     // Negotiation blocks feature removed
 
     // ===== 알림 수집용 배열 =====
@@ -245,13 +335,23 @@ class SchedulingAlgorithm {
         transportMode,
         minClassDurationMinutes,
         roomBlockedTimes: roomSettings.blockedTimes || [],
-        roomExceptions: roomSettings.roomExceptions || []
+        roomExceptions: roomSettings.roomExceptions || [],
+        sessionPlans,
+        resourceTracker,
+        ruleChecker
       });
       
       // ===== 알림 수집 =====
       if (publicTransportResult?.warnings) {
         warnings.push(...publicTransportResult.warnings);
       }
+
+      // 이동수단 모드는 후보 비교 없이 가까운 멤버부터 배정
+      nonOwnerMembers.forEach(m => {
+        const memberId = extractMemberId(m);
+        const isFullyAssigned = assignments[memberId].assignedHours >= assignments[memberId].requiredSlots;
+        trace?.recordOutcome(memberId, isFullyAssigned ? TRACE_RULES.FULLY_ASSIGNED : TRACE_RULES.TRANSPORT_ORDER);
+      });
     } else {
       // 일반 모드: 시간 순서 우선 배정 (minClassDurationMinutes 기준)
       const blockedTimes = roomSettings.blockedTimes || [];
@@ -296,7 +396,17 @@ class SchedulingAlgorithm {
       // 선호시간 부족한 멤버가 있으면 배정 차단
       const insufficientMembers = warnings.filter(w => w.type === 'insufficient_preferred_time');
       if (insufficientMembers.length === 0) {
-        assignByTimeOrder(timetable, assignments, memberRequiredSlots, ownerId, members, assignmentMode, minClassDurationMinutes, blockedTimes);
+        assignByTimeOrder(timetable, assignments, memberRequiredSlots, ownerId, members, assignmentMode, minClassDurationMinutes, blockedTimes, { random, trace, fairness, ruleChecker, sessionPlans, resourceTracker });
+      } else if (trace) {
+        nonOwnerMembers.forEach(m => {
+          const memberId = extractMemberId(m);
+          const warning = insufficientMembers.find(w => w.memberId === memberId);
+          if (warning) {
+            trace.recordOutcome(memberId, TRACE_RULES.INSUFFICIENT_PREFERRED_TIME, warning.message);
+          } else {
+            trace.recordOutcome(memberId, TRACE_RULES.WEEK_SKIPPED, insufficientMembers.map(w => w.memberName).join(', '));
+          }
+        });
       }
     }
 
@@ -326,7 +436,12 @@ class SchedulingAlgorithm {
     // resolveConflictsWithOwner(timetable, assignments, owner, memberRequiredSlots);
 
     // Phase 6: 캐리오버 처리
-    this._carryOverAssignments(timetable, assignments, memberRequiredSlots, members);
+    this._carryOverAssignments(timetable, assignments, memberRequiredSlots, members, now, trace, ruleChecker, resourceTracker);
+
+    // 남은 규칙 위반 (soft 규칙, 기존 슬롯) - 최종 배정 기준으로 다시 검사
+    const ruleViolations = ruleChecker
+      ? createRuleChecker(roomSettings.schedulingRules, { assignments, history: ruleHistory, dates: weekDates }).findViolations()
+      : [];
 
     // 미배정 멤버 정보 생성
     const unassignedMembersInfo = createUnassignedMembersInfo(
@@ -342,7 +457,8 @@ class SchedulingAlgorithm {
       memberRequiredSlots,
       ownerId,
       members,
-      startDate
+      startDate,
+      now
     );
 
     // Negotiation feature removed
@@ -351,7 +467,9 @@ class SchedulingAlgorithm {
       assignments,
       carryOverAssignments,
       unassignedMembersInfo,
-      warnings  // ← 추가
+      warnings,  // ← 추가
+      ruleViolations,
+      weekTraces: trace ? [trace.toJSON()] : undefined
     };
   }
 
@@ -361,10 +479,14 @@ class SchedulingAlgorithm {
    * @param {Object} assignments - 배정 객체
    * @param {Object} memberRequiredSlots - 필요 슬롯
    * @param {Array} members - 멤버 배열
+   * @param {Date} [now] - 기준 시각 (최근 2주 이월 횟수 계산용)
+   * @param {Object} [trace] - createWeekTrace() 기록기 (explain 모드)
+   * @param {Object} [ruleChecker] - 방 배정 규칙 검사기 (hard 규칙을 어기는 블록은 건너뜀)
+   * @param {Object} [resourceTracker] - 방 자원 예약 관리자 (필요한 자원이 빈 블록만 배정)
    */
-  _carryOverAssignments(timetable, assignments, memberRequiredSlots, members) {
-    // 캐리오버가 있는 멤버에게 우선권 부여
-    const membersWithCarryOver = members.filter(m => m.carryOver && m.carryOver > 0);
+  _carryOverAssignments(timetable, assignments, memberRequiredSlots, members, now = new Date(), trace = null, ruleChecker = null, resourceTracker = null) {
+    // 캐리오버가 있는 멤버에게 우선권 부여 (수업 구성이 있는 멤버는 수업 단위로만 배정하므로 제외)
+    const membersWithCarryOver = members.filter(m => m.carryOver && m.carryOver > 0 && !(m.sessions && m.sessions.length > 0));
 
     for (const member of membersWithCarryOver) {
       const memberId = extractMemberId(member);
@@ -399,6 +521,9 @@ class SchedulingAlgorithm {
 
         const endTime1 = calculateEndTime(time1);
         if (endTime1 !== time2) continue;
+        if (ruleChecker && !ruleChecker.evaluateBlock(memberId, [key1, key2]).allowed) continue;
+        const fitted = resourceTracker ? resourceTracker.fitBlock(memberId, [key1, key2]) : null;
+        if (resourceTracker && (!fitted || fitted.block.length < 2)) continue;
 
         // 배정
         const slot1 = timetable[key1];
@@ -413,17 +538,25 @@ class SchedulingAlgorithm {
             date: slot1.date,
             startTime: time1,
             endTime: calculateEndTime(time2),
-            dayOfWeek: slot1.dayOfWeek
+            dayOfWeek: slot1.dayOfWeek,
+            ...(fitted?.resourceId ? { resourceId: fitted.resourceId } : {})
           });
 
           needed -= 2;
           i++; // 다음 슬롯 건너뛰기
+          ruleChecker?.recordBlock(memberId, [key1, key2]);
+          resourceTracker?.recordBlock(fitted?.resourceId, [key1, key2]);
+          trace?.recordAssignment(memberId, TRACE_RULES.CARRY_OVER, [key1, key2]);
         }
       }
 
+      if (needed <= 0) {
+        trace?.recordOutcome(memberId, TRACE_RULES.CARRY_OVER);
+      }
+
       // 2주 연속 미배정 시 개입 필요 표시
       const consecutiveCarryOvers = (member.carryOverHistory || []).filter(h => {
-        const twoWeeksAgo = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000);
+        const twoWeeksAgo = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
         return h.timestamp >= twoWeeksAgo;
       }).length;
 
@@ -3,7 +3,10 @@
  */
 
 const { SLOTS_PER_HOUR } = require('../constants/timeConstants');
+const { TRACE_RULES } = require('../constants/schedulingConstants');
 const { filterNonOwnerMembers, extractMemberId } = require('../helpers/memberHelper');
+const { createMemberTraceEntry } = require('../helpers/traceHelper');
+const { getDateInZone } = require('../../../utils/timezone');
 
 /**
  * 다중 주 스케줄링 실행
@@ -13,15 +16,18 @@ const { filterNonOwnerMembers, extractMemberId } = require('../helpers/memberHel
  */
 const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
   const { members, owner, roomTimeSlots, options, deferredAssignments } = params;
-  const { minHoursPerWeek, numWeeks, currentWeek, ownerPreferences, roomSettings } = options;
+  const { minHoursPerWeek, numWeeks, currentWeek, ownerPreferences, roomSettings, now = new Date(), explain = false } = options;
 
-  const startDate = currentWeek ? new Date(currentWeek) : new Date();
+  // 시작 주가 없으면 방 시간대 기준 오늘부터
+  const startDate = currentWeek ? new Date(currentWeek) : getDateInZone(now, roomSettings.timezone);
   const endDate = new Date(startDate);
   endDate.setUTCDate(startDate.getUTCDate() + (numWeeks * 7));
 
   const allAssignments = {};
   const allSlots = [];
   const warnings = []; // 주별 선호시간 부족 경고
+  const ruleViolations = []; // 주별 남은 방 배정 규칙 위반
+  const weekTraces = []; // 주별 배정 과정 기록 (explain 모드)
 
   // 각 멤버별로 assignments 초기화
   const ownerId = owner._id.toString();
@@ -133,6 +139,7 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
     // 선호시간 부족한 멤버 제외하고 배정
     let membersToAssign = nonOwnerMembers;
     const insufficientMemberIds = new Set(); // if 블록 밖에서 선언
+    const skippedMemberTraces = [];
     
     if (insufficientMembers.length > 0) {
       console.log(`   ⚠️  [${weekIndex + 1}주차] 선호시간 부족으로 일부 멤버 제외:`);
@@ -146,14 +153,24 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
           return name === m.memberName;
         });
         
+        const message = `${weekIndex + 1}주차(${m.weekStart})는 ${m.memberName}님의 선호시간(${m.availableMinutes}분)이 부족하여 배정하지 않았습니다. (필요: ${m.requiredMinutes}분)`;
+
         if (member) {
           const memberId = extractMemberId(member);
           insufficientMemberIds.add(memberId);
+
+          if (explain) {
+            skippedMemberTraces.push({
+              ...createMemberTraceEntry(memberId, m.memberName),
+              rule: TRACE_RULES.INSUFFICIENT_PREFERRED_TIME,
+              message
+            });
+          }
         }
         
         warnings.push({
           type: 'insufficient_preferred_time',
-          message: `${weekIndex + 1}주차(${m.weekStart})는 ${m.memberName}님의 선호시간(${m.availableMinutes}분)이 부족하여 배정하지 않았습니다. (필요: ${m.requiredMinutes}분)`
+          message
         });
       });
       
@@ -168,6 +185,9 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
       // 모든 멤버가 부족한 경우에만 주 건너뛰기
       if (membersToAssign.length === 0) {
         console.log(`   ⚠️  모든 멤버가 선호시간 부족으로 이번 주 건너뜀`);
+        if (explain) {
+          weekTraces.push({ weekStart: weekStartDate.toISOString().split('T')[0], members: skippedMemberTraces });
+        }
         continue;
       }
     }
@@ -179,7 +199,8 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
       numWeeks: 1,
       currentWeek: weekStartDate,
       fullRangeStart: weekStartDate,
-      fullRangeEnd: weekEndDate
+      fullRangeEnd: weekEndDate,
+      ruleHistory: [allAssignments] // 앞선 주 배정 (주 경계를 넘는 수업 간격 규칙용)
     };
 
     // 기존 슬롯 제외하고 배정 (선호시간 부족한 멤버 제외)
@@ -202,6 +223,13 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
         allAssignments[memberId].slots.push(...weekAssignment.slots);
       }
     });
+    ruleViolations.push(...(result.ruleViolations || []));
+
+    if (explain) {
+      const weekTrace = result.weekTraces?.[0] || { weekStart: weekStartDate.toISOString().split('T')[0], members: [] };
+      weekTrace.members.push(...skippedMemberTraces);
+      weekTraces.push(weekTrace);
+    }
 
     // Negotiation feature removed
   }
@@ -215,7 +243,9 @@ const runMultiWeekSchedule = async (params, runSingleWeekSchedule) => {
     assignments: allAssignments,
     carryOverAssignments: [],
     unassignedMembersInfo: [],
-    warnings: warnings // 주별 선호시간 부족 경고
+    warnings: warnings, // 주별 선호시간 부족 경고
+    ruleViolations,
+    weekTraces: explain ? weekTraces : undefined
   };
 };
 
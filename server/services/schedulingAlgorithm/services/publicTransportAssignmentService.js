@@ -4,6 +4,11 @@
  * 한 학생의 수업이 끝나면 가장 가까운 학생에게 이동하여 배정하는 전략.
  * 이동시간 + 수업시간이 선호시간 내에 모두 들어가야 하며,
  * 예외시간(점심, 저녁 등) 충돌 시 예외시간 이후로 자동 이동.
+ * 학생 사이 이동시간은 services/routing의 설정된 프로바이더로 계산합니다 (assignmentHelper.sortMembersByDistance).
+ * 수업 구성(sessionPlans)이 있는 학생은 그날 배정할 수업 길이로만 찾고, 부분 배정하지 않습니다.
+ * 방 자원이 필요한 학생은 비어 있는 자원이 있는 시간까지만 배정합니다 (resourceTracker).
+ * 방 배정 규칙(ruleChecker): hard 규칙을 어기는 블록은 배정하지 않고, soft 규칙을 어기는 학생은
+ * 어기지 않는 다른 학생을 먼저 찾아본 뒤 없을 때만 감점을 감수하고 배정합니다.
  */
 
 const { findNearestMemberWithSufficientTime } = require('../helpers/assignmentHelper');
@@ -12,6 +17,8 @@ const { DAY_MAP, DEFAULT_REQUIRED_SLOTS } = require('../constants/schedulingCons
 const { timeToMinutes, minutesToTime } = require('../utils/timeUtils');
 const { SLOTS_PER_HOUR, MINUTES_PER_SLOT } = require('../constants/timeConstants');
 const { isTimeInBlockedRange } = require('../validators/prohibitedTimeValidator');
+const { extractDateFromSlotKey } = require('../utils/slotUtils');
+const { getNextSession } = require('../helpers/sessionHelper');
 
 /**
  * 대중교통 모드로 순차 배정
@@ -20,7 +27,7 @@ const { isTimeInBlockedRange } = require('../validators/prohibitedTimeValidator'
  * @param {Object} memberRequiredSlots - 멤버별 필요 슬롯
  * @param {string} ownerId - 방장 ID
  * @param {Array} members - 전체 멤버 배열
- * @param {Object} options - 옵션
+ * @param {Object} options - 옵션 { transportMode, minClassDurationMinutes, roomBlockedTimes, roomExceptions, sessionPlans, resourceTracker, ruleChecker }
  * @returns {void}
  */
 const assignByPublicTransport = async (
@@ -36,7 +43,10 @@ const assignByPublicTransport = async (
     transportMode = 'public',
     minClassDurationMinutes = 60, // 최소 수업 시간 (기본 1시간)
     roomBlockedTimes = [],  // 추가
-    roomExceptions = []     // 추가
+    roomExceptions = [],    // 추가
+    sessionPlans = null,    // 멤버별 수업 계획 (helpers/sessionHelper.buildSessionPlans)
+    resourceTracker = null, // 방 자원 예약 관리자 (validators/resourceValidator.createResourceTracker)
+    ruleChecker = null      // 방 배정 규칙 검사기 (validators/ruleValidator.createRuleChecker)
   } = options;
 
   
@@ -63,6 +73,21 @@ const assignByPublicTransport = async (
   // 요일별 순차 배정
   for (const [dayOfWeekStr, daySlotKeys] of Object.entries(slotsByDay)) {
     const dayOfWeek = parseInt(dayOfWeekStr); // 🔧 문자열을 숫자로 변환
+    const dateStr = extractDateFromSlotKey(daySlotKeys[0]);
+
+    // 수업 구성이 있는 멤버: 이 날짜에 배정할 다음 수업 (없으면 이 날은 제외)
+    const nextSessions = new Map();
+    const updateNextSession = (memberId) => {
+      const plan = sessionPlans?.get(memberId);
+      if (!plan) return true;
+      const session = getNextSession(plan, assignments[memberId], dateStr);
+      if (session) nextSessions.set(memberId, session);
+      else nextSessions.delete(memberId);
+      return Boolean(session);
+    };
+    const getClassDurations = () => new Map(
+      [...nextSessions].map(([memberId, session]) => [memberId, session.durationSlots * MINUTES_PER_SLOT])
+    );
 
     // 아직 배정되지 않은 멤버 목록
     let unassignedMembers = members.filter(m => {
@@ -70,7 +95,7 @@ const assignByPublicTransport = async (
       if (memberId === ownerId) return false;
       const assigned = assignments[memberId]?.assignedHours || 0;
       const required = memberRequiredSlots[memberId] || DEFAULT_REQUIRED_SLOTS;
-      return assigned < required;
+      return assigned < required && updateNextSession(memberId);
     });
 
     if (unassignedMembers.length === 0) {
@@ -108,22 +133,41 @@ const assignByPublicTransport = async (
       const name = item.member.user.displayName || item.member.user._id.toString().substring(0, 8);
     });
 
+    // soft 규칙을 어겨 이번 차례에 미룬 멤버 (배정이 한 번 일어나면 다시 후보로)
+    const softDeferred = new Set();
+    let acceptSoftPenalty = false;
+
     // 순차적으로 가장 가까운 멤버 찾아서 배정
     while (unassignedMembers.length > 0) {
       console.log(`
 🔍 [배정 시도] 현재 요일: ${DAY_MAP[dayOfWeek]} (dayOfWeek: ${dayOfWeek}), 남은 멤버: ${unassignedMembers.length}명`);
+
+      const candidateMembers = acceptSoftPenalty
+        ? unassignedMembers
+        : unassignedMembers.filter(m => !softDeferred.has(m.user._id.toString()));
+      if (candidateMembers.length === 0) {
+        acceptSoftPenalty = true;
+        continue;
+      }
       
       const result = await findNearestMemberWithSufficientTime({
         currentLocation,
         currentEndTime: currentEndTime || '09:00', // 첫 배정은 09:00부터
-        candidateMembers: unassignedMembers,
+        candidateMembers,
         currentDay: DAY_MAP[dayOfWeek],
         classDurationMinutes: minClassDurationMinutes,
+        memberClassDurations: getClassDurations(),
         transportMode,
         roomBlockedTimes,  // 추가
         roomExceptions     // 추가
       });
 
+      if ((!result || result.allFailed) && !acceptSoftPenalty && softDeferred.size > 0) {
+        // soft 규칙으로 미룬 멤버만 남음 - 감점을 감수하고 다시 찾기
+        acceptSoftPenalty = true;
+        continue;
+      }
+
       if (!result) {
         // 조건 충족하는 멤버 없음 - 다음 날로
         break;
@@ -165,25 +209,42 @@ const assignByPublicTransport = async (
         break;  // 다음 요일로 이동
       }
 
-      const { member, slot, travelTimeMinutes, day } = result;
+      const { member, slot, travelTimeMinutes, travelProvider, day } = result;
       const memberId = member.user._id.toString();
       const memberName = member.user.displayName || memberId.substring(0, 8);
       
       console.log(`
-📌 [배정 결과] ${memberName}`);
+📌 [배정 결과] ${memberName} (이동 ${travelTimeMinutes}분, ${travelProvider})`);
 
-      // 배정 슬롯 생성 및 할당
-      const assignedSlots = await assignTimeSlot(
+      // 배정할 슬롯 블록 찾기 (금지시간/자원/hard 규칙 반영)
+      const session = nextSessions.get(memberId);
+      const placement = findTimeSlotBlock(
         timetable,
-        assignments,
         memberId,
-        dayOfWeek,
         slot.startTime,
         slot.endTime,
         daySlotKeys,
-        roomBlockedTimes  // 방 금지시간 전달
+        roomBlockedTimes,  // 방 금지시간 전달
+        session,
+        resourceTracker,
+        ruleChecker
       );
 
+      // soft 규칙 감점이 있으면 어기지 않는 다른 멤버를 먼저 찾아봄
+      if (placement && placement.penalty > 0 && !acceptSoftPenalty) {
+        softDeferred.add(memberId);
+        continue;
+      }
+
+      // 슬롯 할당
+      let assignedSlots = 0;
+      if (placement) {
+        placement.block.forEach(slotKey => assignSlot(timetable, assignments, slotKey, memberId, session, placement.resourceId));
+        ruleChecker?.recordBlock(memberId, placement.block);
+        resourceTracker?.recordBlock(placement.resourceId, placement.block);
+        assignedSlots = placement.block.length;
+      }
+
       if (assignedSlots > 0) {
         const travelInfo = slot.travelStartTime ? ` (이동: ${slot.travelStartTime}-${slot.travelEndTime})` : '';
 
@@ -194,11 +255,13 @@ const assignByPublicTransport = async (
           address: member.user.address
         };
         currentEndTime = slot.endTime;
+        softDeferred.clear();
+        acceptSoftPenalty = false;
 
         // 이 멤버가 필요량을 채웠는지 확인
         const assigned = assignments[memberId]?.assignedHours || 0;
         const required = memberRequiredSlots[memberId] || DEFAULT_REQUIRED_SLOTS;
-        if (assigned >= required) {
+        if (assigned >= required || !updateNextSession(memberId)) {
           // 완료된 멤버는 목록에서 제거
           unassignedMembers = unassignedMembers.filter(m => m.user._id.toString() !== memberId);
         }
@@ -215,29 +278,32 @@ const assignByPublicTransport = async (
 };
 
 /**
- * 시간 슬롯 배정 (30분 단위로 분할하여 타임테이블에 배정)
+ * 배정할 슬롯 블록 찾기 (슬롯 단위로 나누어 비어 있고 사용 가능한 슬롯만 모음)
  * @param {Object} timetable - 타임테이블
- * @param {Object} assignments - 배정 객체
  * @param {string} memberId - 멤버 ID
- * @param {number} dayOfWeek - 요일 (0-6)
  * @param {string} startTime - 시작 시간 (HH:MM)
  * @param {string} endTime - 종료 시간 (HH:MM)
  * @param {Array} daySlotKeys - 해당 요일의 슬롯 키 배열
- * @returns {Promise<number>} 배정된 슬롯 수
+ * @param {Array} [roomBlockedTimes] - 방 금지시간
+ * @param {Object} [session] - 수업 구성으로 배정할 때 그 수업
+ * @param {Object} [resourceTracker] - 방 자원 예약 관리자 (빈 자원이 있는 앞부분만 배정, 수업은 전체가 비어 있어야 함)
+ * @param {Object} [ruleChecker] - 방 배정 규칙 검사기 (hard 규칙 범위로 자르고, 그래도 어기면 배정하지 않음)
+ * @returns {{block: Array<string>, resourceId: string|null, penalty: number}|null} 배정할 수 없으면 null (penalty: soft 규칙 감점)
  */
-const assignTimeSlot = async (
+const findTimeSlotBlock = (
   timetable,
-  assignments,
   memberId,
-  dayOfWeek,
   startTime,
   endTime,
   daySlotKeys,
-  roomBlockedTimes = []  // 추가: 방 금지시간
+  roomBlockedTimes = [],  // 추가: 방 금지시간
+  session = null,
+  resourceTracker = null,
+  ruleChecker = null
 ) => {
   const startMinutes = timeToMinutes(startTime);
   const endMinutes = timeToMinutes(endTime);
-  let assignedCount = 0;
+  const slotKeysToAssign = [];
 
   // 17-24시 절대 금지시간 추가
   const absoluteBlockedTime = {
@@ -287,13 +353,30 @@ const assignTimeSlot = async (
       continue; // 금지시간을 침범하는 슬롯은 건너뜀
     }
 
-    // 슬롯 배정
-    assignSlot(timetable, assignments, slotKey, memberId);
-    assignedCount++;
+    slotKeysToAssign.push(slotKey);
+  }
+
+  if (slotKeysToAssign.length === 0) {
+    return null;
   }
 
-  return assignedCount;
-};;
+  // 방 배정 규칙: hard 규칙 범위로 자르고(수업 블록은 자르지 않음), 어기면 배정하지 않음 / soft 규칙은 감점
+  const ruleBlock = ruleChecker && !session ? ruleChecker.trimBlock(memberId, slotKeysToAssign) : slotKeysToAssign;
+  const ruleCheck = ruleChecker ? ruleChecker.evaluateBlock(memberId, ruleBlock) : null;
+  if (ruleCheck && !ruleCheck.allowed) {
+    return null;
+  }
+
+  // 방 자원: 빈 자원이 있는 앞부분만 배정
+  const fitted = resourceTracker
+    ? resourceTracker.fitBlock(memberId, ruleBlock)
+    : { block: ruleBlock, resourceId: null };
+  if (!fitted || (session && resourceTracker && fitted.block.length < ruleBlock.length)) {
+    return null;
+  }
+
+  return { block: fitted.block, resourceId: fitted.resourceId, penalty: ruleCheck ? ruleCheck.penalty : 0 };
+};
 
 module.exports = {
   assignByPublicTransport
@@ -9,28 +9,29 @@ const {
   SCORE_CONTINUITY_BONUS,
   SCORE_PROXIMITY_BONUS_MAX,
   SCORE_PROXIMITY_PENALTY_PER_HOUR,
-  SCORE_FOCUS_TIME_BONUS
+  SCORE_FOCUS_TIME_BONUS,
+  SCORE_FAIRNESS_BONUS
 } = require('../constants/schedulingConstants');
 const { isInPreferredTime } = require('../utils/timeUtils');
 const { getPreviousSlotKey, extractTimeFromSlotKey } = require('../utils/slotUtils');
 const { createConflictKeysSet } = require('../validators/conflictValidator');
 const { findMemberById, getMemberPriority } = require('../helpers/memberHelper');
+const { getFairnessDebt, getPreferenceSatisfaction } = require('../helpers/fairnessHelper');
 
 /**
- * 멤버에게 가장 좋은 슬롯 찾기
+ * 멤버가 사용할 수 있는 모든 슬롯의 점수 계산
  * @param {Object} timetable - 타임테이블 객체
  * @param {Object} assignments - assignments 객체
  * @param {string} memberId - 멤버 ID
  * @param {number} priority - 최소 우선순위
- * @param {Array} members - 멤버 배열
  * @param {Object} ownerPreferences - 방장 선호 설정
- * @param {number} minSlotsPerWeek - 주당 최소 슬롯
- * @param {Array} conflictingSlots - 충돌 슬롯 배열
- * @returns {Object|null} 최적 슬롯 정보 또는 null
+ * @param {Array} conflictingSlots - 충돌 슬롯 배열 (점수 계산에서 제외)
+ * @param {Object} [fairness] - 공평성 균형 (options.fairness), 선호도 부채가 있으면 선호도 높은 슬롯에 보너스
+ * @returns {Array} [{ key, slot, score, breakdown }] (타임테이블 순서)
  */
-const findBestSlotForMember = (timetable, assignments, memberId, priority, members = [], ownerPreferences = {}, minSlotsPerWeek = 6, conflictingSlots = []) => {
-  let bestSlot = null;
-  let bestScore = -1;
+const scoreSlotsForMember = (timetable, assignments, memberId, priority, ownerPreferences = {}, conflictingSlots = [], fairness = null) => {
+  const scoredSlots = [];
+  const preferenceDebt = getFairnessDebt(fairness, memberId, 'preference');
 
   const focusTimeType = ownerPreferences.focusTimeType || 'none';
 
@@ -64,17 +65,14 @@ const findBestSlotForMember = (timetable, assignments, memberId, priority, membe
     if (memberAvailability) {
       const contenders = slot.available.filter(a => !a.isOwner).length;
 
-      // 기본 점수: 경쟁자 수에 따라 감점
-      let score = SCORE_BASE - (contenders * SCORE_CONTENDER_PENALTY);
-
       // 선호도 보너스: 높은 priority일수록 보너스 점수
-      score += (memberAvailability.priority - priority) * SCORE_PRIORITY_BONUS;
+      const priorityBonus = (memberAvailability.priority - priority) * SCORE_PRIORITY_BONUS;
 
       // 연속성 보너스: 이전 슬롯이 같은 멤버에게 할당된 경우
       const prevKey = getPreviousSlotKey(key);
-      if (prevKey && timetable[prevKey] && timetable[prevKey].assignedTo === memberId) {
-        score += SCORE_CONTINUITY_BONUS;
-      }
+      const continuityBonus = prevKey && timetable[prevKey] && timetable[prevKey].assignedTo === memberId
+        ? SCORE_CONTINUITY_BONUS
+        : 0;
 
       // 시간대 근접성 보너스: 평균 시간에 가까울수록 높은 점수
       const timeStr = extractTimeFromSlotKey(key);
@@ -82,23 +80,57 @@ const findBestSlotForMember = (timetable, assignments, memberId, priority, membe
       const slotTime = h + (m / 60);
       const timeDiff = Math.abs(slotTime - avgTime);
       const proximityBonus = Math.max(0, SCORE_PROXIMITY_BONUS_MAX - (timeDiff * SCORE_PROXIMITY_PENALTY_PER_HOUR));
-      score += proximityBonus;
 
       // 집중시간 보너스: 설정된 집중시간에 맞는 시간대일 경우 추가 점수
       const slotTimeString = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
-      if (isInPreferredTime(slotTimeString, focusTimeType)) {
-        score += SCORE_FOCUS_TIME_BONUS;
-      }
+      const focusTimeBonus = isInPreferredTime(slotTimeString, focusTimeType) ? SCORE_FOCUS_TIME_BONUS : 0;
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestSlot = { key, slot };
-      }
+      // 공평성 보너스: 지난 주 선호도 낮은 시간을 많이 받은 멤버일수록 선호 슬롯 가산
+      const fairnessBonus = preferenceDebt * SCORE_FAIRNESS_BONUS * getPreferenceSatisfaction(memberAvailability.priority);
+
+      // 기본 점수: 경쟁자 수에 따라 감점
+      const contenderPenalty = contenders * SCORE_CONTENDER_PENALTY;
+      const score = SCORE_BASE - contenderPenalty + priorityBonus + continuityBonus + proximityBonus + focusTimeBonus + fairnessBonus;
+
+      scoredSlots.push({
+        key,
+        slot,
+        score,
+        breakdown: { contenders, contenderPenalty, priorityBonus, continuityBonus, proximityBonus, focusTimeBonus, fairnessBonus }
+      });
+    }
+  }
+
+  return scoredSlots;
+};
+
+/**
+ * 멤버에게 가장 좋은 슬롯 찾기
+ * @param {Object} timetable - 타임테이블 객체
+ * @param {Object} assignments - assignments 객체
+ * @param {string} memberId - 멤버 ID
+ * @param {number} priority - 최소 우선순위
+ * @param {Array} members - 멤버 배열
+ * @param {Object} ownerPreferences - 방장 선호 설정
+ * @param {number} minSlotsPerWeek - 주당 최소 슬롯
+ * @param {Array} conflictingSlots - 충돌 슬롯 배열
+ * @param {Object} [fairness] - 공평성 균형 (options.fairness)
+ * @returns {Object|null} 최적 슬롯 정보 또는 null
+ */
+const findBestSlotForMember = (timetable, assignments, memberId, priority, members = [], ownerPreferences = {}, minSlotsPerWeek = 6, conflictingSlots = [], fairness = null) => {
+  let best = null;
+  let bestScore = -1;
+
+  // 동점이면 먼저 나온 슬롯 유지
+  for (const scored of scoreSlotsForMember(timetable, assignments, memberId, priority, ownerPreferences, conflictingSlots, fairness)) {
+    if (scored.score > bestScore) {
+      bestScore = scored.score;
+      best = scored;
     }
   }
 
-  if (bestSlot) {
-    return { bestSlot, score: bestScore };
+  if (best) {
+    return { bestSlot: { key: best.key, slot: best.slot }, score: bestScore };
   }
   return null;
 };
@@ -150,6 +182,7 @@ const prioritizeSlotsByOwnerPreference = (slots, ownerPreferences) => {
 };
 
 module.exports = {
+  scoreSlotsForMember,
   findBestSlotForMember,
   prioritizeSlotsByOwnerPreference
 };
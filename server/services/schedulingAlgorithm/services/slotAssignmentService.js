@@ -13,22 +13,36 @@ const { createConflictKeysSet, createConflictingMembersSet, getMemberConflicts,
 const { assignSlot, isMemberFullyAssigned } = require('../helpers/assignmentHelper');
 const { getMemberPriority, findMemberById } = require('../helpers/memberHelper');
 const { isTimeInBlockedRange } = require('../validators/prohibitedTimeValidator');
+const { shuffleWithRandom } = require('../utils/randomUtils');
+const { TRACE_RULES } = require('../constants/schedulingConstants');
+const { compareByFairnessDebt, getDayEdges, calculateBlockFairnessBonus } = require('../helpers/fairnessHelper');
+const { getNextSession, getShortestSessionSlots } = require('../helpers/sessionHelper');
 
 /**
  * 배정 모드에 따라 멤버 정렬
+ * random(시드 난수)이 있으면 정렬 기준이 같은 멤버끼리의 순서를 시드로 정하고,
+ * 없으면 입력 순서를 유지합니다.
+ * fairness(공평성 균형)가 있으면 같은 우선순위 안에서 지난 주에 불리했던 멤버를 먼저 처리합니다.
  */
 const sortMembersByMode = (
   memberIds,
   assignmentMode,
   members,
   memberAvailableSlots,
-  memberMaxPriority
+  memberMaxPriority,
+  random = null,
+  fairness = null
 ) => {
-  return memberIds.sort((a, b) => {
+  const orderedIds = random ? shuffleWithRandom(memberIds, random) : memberIds;
+  return orderedIds.sort((a, b) => {
     // 1순위: 우선순위 (모든 모드 공통)
     const priorityDiff = memberMaxPriority[b] - memberMaxPriority[a];
     if (priorityDiff !== 0) return priorityDiff;
 
+    // 1-1순위: 공평성 부채 (weight 0이면 항상 0)
+    const fairnessDiff = compareByFairnessDebt(fairness, a, b);
+    if (fairnessDiff !== 0) return fairnessDiff;
+
     // 2순위: 모드별 정렬
     switch (assignmentMode) {
       case 'first_come_first_served': {
@@ -55,8 +69,14 @@ const sortMembersByMode = (
 /**
  * 시간 순서 우선 배정 (수정 3: 자투리 회피 및 블록 탐색 버그 수정)
  * 한 멤버의 필요 시간을 모두 채운 후 다음 멤버로 넘어가는 방식으로 분할을 최소화합니다.
+ * 수업 구성(sessionPlans)이 있는 멤버는 날짜마다 다음 수업 길이만큼의 블록만 후보로 삼고, 자르지 않고 그대로 배정합니다.
+ * 방 자원이 필요한 멤버는 비어 있는 자원이 있는 앞부분까지만 후보로 삼고, 배정한 블록에 그 자원을 예약합니다.
+ * @param {Object} [tracing] - { random: 동점 처리 시드 난수, trace: createWeekTrace() 기록기, fairness: 공평성 균형 (options.fairness),
+ *                              ruleChecker: 방 배정 규칙 검사기 (validators/ruleValidator.createRuleChecker),
+ *                              sessionPlans: 멤버별 수업 계획 (helpers/sessionHelper.buildSessionPlans),
+ *                              resourceTracker: 방 자원 예약 관리자 (validators/resourceValidator.createResourceTracker) }
  */
-const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId, members, assignmentMode = 'normal', minClassDurationMinutes = 60, blockedTimes = []) => {
+const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId, members, assignmentMode = 'normal', minClassDurationMinutes = 60, blockedTimes = [], { random = null, trace = null, fairness = null, ruleChecker = null, sessionPlans = null, resourceTracker = null } = {}) => {
   console.log('🔥🔥🔥 assignByTimeOrder 호출됨 - 수정버전 (priority >= 2만 배정)');
   const sortedKeys = Object.keys(timetable).sort();
   if (sortedKeys.length === 0) {
@@ -120,14 +140,19 @@ const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId,
   });
 
   const membersToProcess = Object.keys(assignments).filter(id => !isMemberFullyAssigned(assignments, id, memberRequiredSlots));
-  const sortedMembers = sortMembersByMode(membersToProcess, assignmentMode, members, memberAvailableSlots, memberMaxPriority);
+  const sortedMembers = sortMembersByMode(membersToProcess, assignmentMode, members, memberAvailableSlots, memberMaxPriority, random, fairness);
+  trace?.recordOrder(sortedMembers, { assignmentMode, memberMaxPriority, memberAvailableSlots });
+  const dayEdges = getDayEdges(sortedKeys);
   
   console.log("📊 멤버 처리 순서:", sortedMembers.map(id => id.substring(0,6)).join(', '));
 
   // 2. 멤버 순회하며 배정
   for (const memberId of sortedMembers) {
     const requiredSlots = memberRequiredSlots[memberId] || DEFAULT_REQUIRED_SLOTS;
+    const sessionPlan = sessionPlans?.get(memberId) || null;
     console.log(`\n--- 📋 [${memberId.substring(0,6)}] 배정 시작 (총 필요량: ${requiredSlots}슬롯) ---`);
+    let stopRule = TRACE_RULES.NO_AVAILABLE_BLOCK;
+    let stopMessage = null;
 
     while (!isMemberFullyAssigned(assignments, memberId, memberRequiredSlots)) {
       const assignedHours = assignments[memberId]?.assignedHours || 0;
@@ -135,23 +160,56 @@ const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId,
 
       // 2.1. 현재 멤버의 모든 가용 블록 다시 찾기 (버그 수정된 방식)
       const allPossibleBlocks = [];
+      const ruleRejections = new Set();
+      let resourceRejected = false;
+      const sessionsByDate = new Map();
       for (let i = 0; i < sortedKeys.length; i++) {
         const slot = timetable[sortedKeys[i]];
         if (!slot.assignedTo && slot.available.some(a => a.memberId === memberId && !a.isOwner)) {
-            const block = findConsecutiveBlock(i, memberId, remainingSlots);
-            if (block) {
-                allPossibleBlocks.push({ block, startIndex: i });
+            // 수업 구성: 이 날짜에 배정할 수업이 없으면 건너뛰고, 있으면 수업 길이 그대로인 블록만 후보
+            let session = null;
+            if (sessionPlan) {
+              const dateStr = extractDateFromSlotKey(sortedKeys[i]);
+              if (!sessionsByDate.has(dateStr)) sessionsByDate.set(dateStr, getNextSession(sessionPlan, assignments[memberId], dateStr));
+              session = sessionsByDate.get(dateStr);
+              if (!session) continue;
+            }
+            const foundBlock = findConsecutiveBlock(i, memberId, session ? session.durationSlots : remainingSlots);
+            if (session && (!foundBlock || foundBlock.length < session.durationSlots)) continue;
+            // 방 배정 규칙: hard 규칙 범위로 자르고(수업 블록은 자르지 않음), 어기면 제외 / soft 규칙은 감점
+            const block = foundBlock && ruleChecker && !session ? ruleChecker.trimBlock(memberId, foundBlock) : foundBlock;
+            const ruleCheck = block && ruleChecker ? ruleChecker.evaluateBlock(memberId, block) : null;
+            if (ruleCheck && !ruleCheck.allowed) {
+                ruleCheck.violations.filter(v => v.hard).forEach(v => ruleRejections.add(v.label));
+                continue;
+            }
+            if (!block) continue;
+            // 방 자원: 빈 자원이 있는 앞부분만 남김 (수업 블록은 수업 길이 전체가 비어 있어야 함)
+            const fitted = resourceTracker ? resourceTracker.fitBlock(memberId, block) : { block, resourceId: null };
+            if (!fitted || (session && fitted.block.length < session.durationSlots)) {
+                resourceRejected = true;
+                continue;
             }
+            const fairnessBonus = calculateBlockFairnessBonus(fairness, memberId, fitted.block, timetable, dayEdges);
+            allPossibleBlocks.push({ block: fitted.block, startIndex: i, fairnessBonus, rulePenalty: ruleCheck ? ruleCheck.penalty : 0, session, resourceId: fitted.resourceId });
         }
       }
 
       if (allPossibleBlocks.length === 0) {
         console.log(`   → [${memberId.substring(0,6)}] 더 이상 배정 가능한 블록 없음.`);
+        if (ruleRejections.size > 0) {
+          stopRule = TRACE_RULES.SCHEDULING_RULE;
+          stopMessage = [...ruleRejections].join(', ');
+        } else if (resourceRejected) {
+          stopRule = TRACE_RULES.RESOURCE_UNAVAILABLE;
+        }
         break;
       }
       
       // 2.2. 최적 블록 선택 (자투리 시간 회피 로직 - 개선된 3단계 정렬)
-      const MINIMUM_ACCEPTABLE_BLOCK_SLOTS = Math.ceil(minClassDurationMinutes / MINUTES_PER_SLOT);
+      const MINIMUM_ACCEPTABLE_BLOCK_SLOTS = sessionPlan
+        ? getShortestSessionSlots(sessionPlan)
+        : Math.ceil(minClassDurationMinutes / MINUTES_PER_SLOT);
       
       allPossibleBlocks.sort((a, b) => {
         const aIsShort = a.block.length < MINIMUM_ACCEPTABLE_BLOCK_SLOTS;
@@ -162,8 +220,8 @@ const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId,
         if (!aIsShort && bIsShort) return -1; // b(자투리)를 뒤로
 
         // Both are short or both are long.
-        // 2. Secondary: Sort by length, descending (더 긴 블록 우선)
-        const lengthDifference = b.block.length - a.block.length;
+        // 2. Secondary: Sort by length, descending (더 긴 블록 우선, 공평성 보정/규칙 감점은 슬롯 수로 더함)
+        const lengthDifference = (b.block.length + b.fairnessBonus - b.rulePenalty) - (a.block.length + a.fairnessBonus - a.rulePenalty);
         if (lengthDifference !== 0) {
             return lengthDifference;
         }
@@ -202,25 +260,33 @@ const assignByTimeOrder = (timetable, assignments, memberRequiredSlots, ownerId,
 
       if (blockedTime) {
           console.log(`   ⚠️ [금지시간] 최적 블록이 '${blockedTime.name}'과 겹쳐 이번 턴 배정 중단.`);
+          trace?.recordDecision(memberId, { timetable, assignments, sortedBlocks: allPossibleBlocks, minBlockSlots: MINIMUM_ACCEPTABLE_BLOCK_SLOTS, blockedTime });
+          stopRule = TRACE_RULES.BLOCKED_TIME;
+          stopMessage = blockedTime.name;
           break;
       }
 
       // 2.4. 블록 배정
-      const slotsToAssignCount = Math.min(bestBlockData.block.length, remainingSlots);
+      const slotsToAssignCount = bestBlockData.session ? bestBlockData.block.length : Math.min(bestBlockData.block.length, remainingSlots);
       const blockToAssign = bestBlockData.block.slice(0, slotsToAssignCount);
+      trace?.recordDecision(memberId, { timetable, assignments, sortedBlocks: allPossibleBlocks, minBlockSlots: MINIMUM_ACCEPTABLE_BLOCK_SLOTS, assignedBlock: blockToAssign });
 
       logAssignment(memberId, blockToAssign, '배정');
       
       for (const blockKey of blockToAssign) {
-        assignSlot(timetable, assignments, blockKey, memberId);
+        assignSlot(timetable, assignments, blockKey, memberId, bestBlockData.session, bestBlockData.resourceId);
       }
+      ruleChecker?.recordBlock(memberId, blockToAssign);
+      resourceTracker?.recordBlock(bestBlockData.resourceId, blockToAssign);
     }
 
     const finalAssigned = assignments[memberId]?.assignedHours || 0;
     if (finalAssigned < requiredSlots) {
       console.log(`   → [${memberId.substring(0,6)}] 최종 결과: ${finalAssigned}/${requiredSlots} (${requiredSlots - finalAssigned}슬롯 부족)`);
+      trace?.recordOutcome(memberId, stopRule, stopMessage);
     } else {
       console.log(`   → [${memberId.substring(0,6)}] 배정 완료: ${finalAssigned}/${requiredSlots} ✓`);
+      trace?.recordOutcome(memberId, TRACE_RULES.FULLY_ASSIGNED);
     }
   }
   console.log('\n✅ 모든 멤버 배정 완료\n');
@@ -374,8 +440,9 @@ const assignUndisputedSlots = (timetable, assignments, priority, memberRequiredS
  * @param {Object} ownerPreferences - 방장 선호 설정
  * @param {Array} conflictingSlots - 충돌 슬롯 배열
  * @param {string} ownerId - 방장 ID
+ * @param {Object} [fairness] - 공평성 균형 (options.fairness), 같은 우선순위면 부채가 큰 멤버 먼저
  */
-const iterativeAssignment = (timetable, assignments, priority, memberRequiredSlots, members = [], ownerPreferences = {}, conflictingSlots = [], ownerId = null) => {
+const iterativeAssignment = (timetable, assignments, priority, memberRequiredSlots, members = [], ownerPreferences = {}, conflictingSlots = [], ownerId = null, fairness = null) => {
   let changed = true;
   let iterationCount = 0;
 
@@ -485,6 +552,9 @@ const iterativeAssignment = (timetable, assignments, priority, memberRequiredSlo
           return priorityB - priorityA;
         }
 
+        const fairnessDiff = compareByFairnessDebt(fairness, a, b);
+        if (fairnessDiff !== 0) return fairnessDiff;
+
         return assignments[a].assignedHours - assignments[b].assignedHours;
       });
 
@@ -9,6 +9,7 @@ const { convertToOneIndexedDay } = require('../utils/dateUtils');
 const { filterValidSchedules, isWeekendDay, isScheduleApplicableToDate } = require('../validators/scheduleValidator');
 const { addOrUpdateSlot, addMemberAvailability, removeMemberFromSlot, createOwnerAvailableSlots, removeOwnerPersonalTimes, removeBlockedTimes } = require('../helpers/timetableHelper');
 const { getMemberPriority } = require('../helpers/memberHelper');
+const { resolveTimezone, toZonedParts } = require('../../../utils/timezone');
 
 /**
  * 연속된 선호시간을 병합
@@ -133,6 +134,7 @@ const createTimetableFromPersonalSchedules = (members, owner, startDate, numWeek
 
   const scheduleStartHour = getHourFromSettings(roomSettings.scheduleStartTime, DEFAULT_SCHEDULE_START_TIME);
   const scheduleEndHour = getHourFromSettings(roomSettings.scheduleEndTime, DEFAULT_SCHEDULE_END_TIME);
+  const timeZone = resolveTimezone(roomSettings.timezone);
 
   // 스케줄링 윈도우 종료일 계산
   const endDate = new Date(startDate);
@@ -148,7 +150,7 @@ const createTimetableFromPersonalSchedules = (members, owner, startDate, numWeek
   const ownerSchedule = owner.user?.defaultSchedule || owner.defaultSchedule || [];
 
   // Step 1: 방장의 가능한 시간대 수집
-  const ownerAvailableSlots = createOwnerAvailableSlots(owner, ownerRangeStart, ownerRangeEnd);
+  const ownerAvailableSlots = createOwnerAvailableSlots(owner, ownerRangeStart, ownerRangeEnd, timeZone);
 
   // Step 1.5: 방장의 개인시간 제거
   removeOwnerPersonalTimes(ownerAvailableSlots, owner, ownerRangeStart, ownerRangeEnd);
@@ -216,7 +218,7 @@ const createTimetableFromPersonalSchedules = (members, owner, startDate, numWeek
               }
 
               if (!timetable[key]) {
-                const oneIndexedDayOfWeek = convertToOneIndexedDay(targetDate.getDay());
+                const oneIndexedDayOfWeek = convertToOneIndexedDay(targetDate.getUTCDay());
                 timetable[key] = {
                   assignedTo: null,
                   available: [],
@@ -286,12 +288,9 @@ const createTimetableFromPersonalSchedules = (members, owner, startDate, numWeek
         if (isWeekendDay(targetDate.getUTCDay())) return;
 
         if (targetDate >= ownerRangeStart && targetDate < ownerRangeEnd) {
-          // ISO datetime에서 HH:MM 추출
-          const startDateTime = new Date(exception.startTime);
-          const endDateTime = new Date(exception.endTime);
-
-          const startTime = `${String(startDateTime.getHours()).padStart(2, '0')}:${String(startDateTime.getMinutes()).padStart(2, '0')}`;
-          const endTime = `${String(endDateTime.getHours()).padStart(2, '0')}:${String(endDateTime.getMinutes()).padStart(2, '0')}`;
+          // ISO datetime에서 방 시간대 기준 HH:MM 추출
+          const startTime = toZonedParts(exception.startTime, timeZone).time;
+          const endTime = toZonedParts(exception.endTime, timeZone).time;
 
           const slots = generateTimeSlots(startTime, endTime);
 
@@ -306,7 +305,7 @@ const createTimetableFromPersonalSchedules = (members, owner, startDate, numWeek
             }
 
             if (!timetable[key]) {
-              const oneIndexedDayOfWeek = convertToOneIndexedDay(targetDate.getDay());
+              const oneIndexedDayOfWeek = convertToOneIndexedDay(targetDate.getUTCDay());
               timetable[key] = {
                 assignedTo: null,
                 available: [],
@@ -419,7 +418,7 @@ const createTimetable = (roomTimeSlots, startDate, numWeeks, roomSettings = {},
       const key = createSlotKey(dateKey, slot.startTime);
 
       if (!timetable[key]) {
-        const dayOfWeek = date.getDay();
+        const dayOfWeek = date.getUTCDay();
         const oneIndexedDayOfWeek = convertToOneIndexedDay(dayOfWeek);
 
         timetable[key] = {
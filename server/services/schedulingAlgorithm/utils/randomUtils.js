@@ -0,0 +1,58 @@
+/**
+ * 시드 기반 난수 유틸리티
+ *
+ * 같은 시드로 만든 난수 함수는 항상 같은 순서의 값을 반환하므로
+ * 동점 처리 순서를 재현할 수 있습니다.
+ */
+
+/**
+ * 문자열/숫자 시드를 32비트 정수로 변환 (FNV-1a)
+ * @param {string|number} seed - 시드
+ * @returns {number} 32비트 정수
+ */
+const hashSeed = (seed) => {
+  const str = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * 시드 기반 난수 함수 생성 (mulberry32)
+ * @param {string|number} seed - 시드
+ * @returns {Function} 0 이상 1 미만의 값을 반환하는 함수
+ */
+const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 난수 함수로 배열 섞기 (Fisher-Yates, 원본 유지)
+ * @param {Array} arr - 원본 배열
+ * @param {Function} random - createSeededRandom으로 만든 함수
+ * @returns {Array} 섞인 새 배열
+ */
+const shuffleWithRandom = (arr, random) => {
+  const result = [...arr];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+module.exports = {
+  hashSeed,
+  createSeededRandom,
+  shuffleWithRandom
+};
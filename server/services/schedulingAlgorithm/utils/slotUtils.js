@@ -161,7 +161,7 @@ const getDayString = (dayOfWeek) => {
  * @param {Object} params - 슬롯 파라미터
  * @returns {Object} 슬롯 데이터 객체
  */
-const createSlotData = ({ date, dayString, startTime, endTime, memberId, subject = '자동 배정', status = 'confirmed' }) => {
+const createSlotData = ({ date, dayString, startTime, endTime, memberId, subject = '자동 배정', status = 'confirmed', sessionId, resourceId }) => {
   return {
     date,
     day: dayString,
@@ -169,7 +169,9 @@ const createSlotData = ({ date, dayString, startTime, endTime, memberId, subject
     endTime,
     subject,
     user: memberId,
-    status
+    status,
+    ...(sessionId ? { sessionId } : {}),
+    ...(resourceId ? { resourceId } : {})
   };
 };
 
@@ -43,6 +43,18 @@ class TravelTimeCache {
    * @returns {number|null} 이동시간 (분) 또는 null
    */
   get(origin, destination, mode) {
+    const cached = this.getEntry(origin, destination, mode);
+    return cached ? cached.travelTime : null;
+  }
+
+  /**
+   * 캐시 항목 조회 (이동시간과 함께 저장한 정보 포함)
+   * @param {string} origin - 출발지
+   * @param {string} destination - 목적지
+   * @param {string} mode - 이동 수단
+   * @returns {Object|null} { travelTime, timestamp, ...details } 또는 null
+   */
+  getEntry(origin, destination, mode) {
     const key = this._generateKey(origin, destination, mode);
     const cached = this.cache.get(key);
 
@@ -56,7 +68,7 @@ class TravelTimeCache {
       return null;
     }
 
-    return cached.travelTime;
+    return cached;
   }
 
   /**
@@ -88,8 +100,9 @@ class TravelTimeCache {
    * @param {string} destination - 목적지
    * @param {string} mode - 이동 수단
    * @param {number} travelTime - 이동시간 (분)
+   * @param {Object} [details] - 함께 저장할 정보 (예: { provider, distanceKm })
    */
-  set(origin, destination, mode, travelTime) {
+  set(origin, destination, mode, travelTime, details = {}) {
     const key = this._generateKey(origin, destination, mode);
 
     // 캐시 크기 제한
@@ -100,6 +113,7 @@ class TravelTimeCache {
     }
 
     this.cache.set(key, {
+      ...details,
       travelTime,
       timestamp: Date.now()
     });
@@ -150,9 +164,9 @@ class TravelTimeCache {
 // 싱글톤 인스턴스
 const travelTimeCache = new TravelTimeCache();
 
-// 1시간마다 자동 정리
+// 1시간마다 자동 정리 (타이머가 프로세스 종료를 막지 않도록 unref - 스크립트/테스트에서 require해도 끝남)
 setInterval(() => {
   travelTimeCache.cleanup();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = travelTimeCache;
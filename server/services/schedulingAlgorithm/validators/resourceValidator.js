@@ -0,0 +1,103 @@
+/**
+ * 방 자원 배정 모듈
+ *
+ * roomSettings.resources(server/utils/roomResources.js)를 자동 배정 중에 적용합니다.
+ * 자원이 필요한 조원의 후보 블록은 비어 있는 자원이 있는 앞부분까지만 남기고(fitBlock),
+ * 배정하면 그 자원을 슬롯마다 예약합니다(recordBlock). 같은 시각 예약 수는 capacity를 넘지 않습니다.
+ * 기존 슬롯(roomTimeSlots)의 resourceId는 처음부터 예약으로 셉니다.
+ */
+
+const { MINUTES_PER_SLOT } = require('../constants/timeConstants');
+const { timeToMinutes, minutesToTime } = require('../utils/timeUtils');
+const { extractDateFromSlotKey, extractTimeFromSlotKey } = require('../utils/slotUtils');
+const { getActiveResources, getMemberResourceIds, isResourceAvailable } = require('../../../utils/roomResources');
+
+const toDateString = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * 한 주 배정용 자원 예약 관리자
+ * @param {Array} resources - roomSettings.resources
+ * @param {Object} [params]
+ * @param {Array} [params.existingSlots] - 기존 슬롯 (resourceId가 있는 슬롯을 예약으로 셈)
+ * @returns {Object|null} 켜진 자원이 없으면 null
+ */
+const createResourceTracker = (resources, { existingSlots = [] } = {}) => {
+  const activeResources = getActiveResources(resources);
+  if (activeResources.length === 0) return null;
+
+  const resourceById = new Map(activeResources.map(resource => [resource.id, resource]));
+  const usage = new Map(); // `${resourceId}|${slotKey}` -> 예약 수
+  const candidatesByMember = new Map();
+
+  const usageKey = (resourceId, key) => `${resourceId}|${key}`;
+  const reserve = (resourceId, key) => usage.set(usageKey(resourceId, key), (usage.get(usageKey(resourceId, key)) || 0) + 1);
+
+  const getCandidates = (memberId) => {
+    if (!candidatesByMember.has(memberId)) {
+      candidatesByMember.set(memberId, getMemberResourceIds(activeResources, memberId));
+    }
+    return candidatesByMember.get(memberId);
+  };
+
+  // 슬롯 하나(10분)를 그 자원으로 쓸 수 있는지
+  const isFree = (resource, key) => {
+    const start = timeToMinutes(extractTimeFromSlotKey(key));
+    return isResourceAvailable(resource, getDayOfWeek(extractDateFromSlotKey(key)), start, start + MINUTES_PER_SLOT)
+      && (usage.get(usageKey(resource.id, key)) || 0) < resource.capacity;
+  };
+
+  existingSlots.forEach(slot => {
+    const resourceId = slot.resourceId && slot.resourceId.toString();
+    const date = toDateString(slot.date);
+    if (!resourceId || !resourceById.has(resourceId) || slot.isTravel || !date || !slot.startTime || !slot.endTime) return;
+    for (let minutes = timeToMinutes(slot.startTime); minutes < timeToMinutes(slot.endTime); minutes += MINUTES_PER_SLOT) {
+      reserve(resourceId, `${date}-${minutesToTime(minutes)}`);
+    }
+  });
+
+  return {
+    /**
+     * 후보 블록에서 자원을 쓸 수 있는 앞부분과 그 자원
+     * 자원이 필요 없는 조원은 블록 그대로, 필요한데 첫 슬롯부터 빈 자원이 없으면 null
+     * @param {string} memberId
+     * @param {Array<string>} block - 연속 슬롯 키
+     * @returns {{ block: Array<string>, resourceId: string|null }|null}
+     */
+    fitBlock(memberId, block) {
+      const candidates = getCandidates(memberId);
+      if (candidates.length === 0) return { block, resourceId: null };
+
+      let best = null;
+      for (const resourceId of candidates) {
+        const resource = resourceById.get(resourceId);
+        let length = 0;
+        while (length < block.length && isFree(resource, block[length])) length++;
+        if (length > 0 && (!best || length > best.block.length)) {
+          best = { block: block.slice(0, length), resourceId };
+        }
+        if (length === block.length) break;
+      }
+      return best;
+    },
+
+    /**
+     * 배정한 블록의 자원 예약
+     * @param {string|null} resourceId
+     * @param {Array<string>} block - 배정한 슬롯 키
+     */
+    recordBlock(resourceId, block) {
+      if (!resourceId) return;
+      block.forEach(key => reserve(resourceId, key));
+    }
+  };
+};
+
+module.exports = {
+  createResourceTracker
+};
@@ -0,0 +1,319 @@
+/**
+ * 방 배정 규칙 검증 모듈
+ *
+ * roomSettings.schedulingRules(server/utils/schedulingRules.js)를 자동 배정 중에 적용합니다.
+ * - hard 규칙: 후보 블록을 규칙 범위로 자르고(trimBlock), 그래도 어기면 후보에서 제외
+ * - soft 규칙: 어기는 후보 블록에 weight × RULE_SOFT_PENALTY_PER_WEIGHT 슬롯만큼 감점
+ * * 한 주 배정이 끝나면 findViolations로 남은 위반(soft 규칙, 기존 슬롯)을 모읍니다.
+ *
+ * "수업"은 한 조원이 같은 날 연달아 배정받은 시간 묶음입니다 (붙어 있는 블록은 한 번으로 셈).
+ */
+
+const { RULE_SOFT_PENALTY_PER_WEIGHT } = require('../constants/schedulingConstants');
+const { MINUTES_PER_SLOT } = require('../constants/timeConstants');
+const { timeToMinutes } = require('../utils/timeUtils');
+const { extractDateFromSlotKey, extractTimeFromSlotKey } = require('../utils/slotUtils');
+const { formatDateToUTCString } = require('../utils/dateUtils');
+const { shiftDateStr } = require('../../../utils/timezone');
+const { SCHEDULING_RULE_TYPES } = require('../../../utils/schedulingRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_TYPE_LABELS = {
+  [SCHEDULING_RULE_TYPES.MAX_SESSIONS_PER_WEEK]: '주당 최대 횟수',
+  [SCHEDULING_RULE_TYPES.MIN_DAYS_BETWEEN_SESSIONS]: '수업 사이 간격',
+  [SCHEDULING_RULE_TYPES.TIME_WINDOW]: '허용 시간대',
+  [SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY]: '하루 최대 시간',
+  [SCHEDULING_RULE_TYPES.BACK_TO_BACK]: '연달아 배정'
+};
+
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const getWeekKey = (date) => shiftDateStr(date, -((getDayOfWeek(date) + 6) % 7));
+const getDayDiff = (dateA, dateB) => Math.round(Math.abs(new Date(`${dateA}T00:00:00Z`) - new Date(`${dateB}T00:00:00Z`)) / DAY_MS);
+const touches = (a, b) => a.start <= b.end && b.start <= a.end;
+const sumMinutes = (intervals) => intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+
+/**
+ * 슬롯 키 블록 → { date, start, end } (분)
+ * @param {Array<string>} block - 연속 슬롯 키
+ */
+const blockToInterval = (block) => ({
+  date: extractDateFromSlotKey(block[0]),
+  start: timeToMinutes(extractTimeFromSlotKey(block[0])),
+  end: timeToMinutes(extractTimeFromSlotKey(block[block.length - 1])) + MINUTES_PER_SLOT
+});
+
+/**
+ * 저장된 규칙 → 검사용 형태 (꺼진 규칙 제외)
+ * @param {Array} rules - roomSettings.schedulingRules
+ * @returns {Array}
+ */
+const normalizeRules = (rules = []) => rules
+  .filter(rule => rule && rule.enabled !== false && RULE_TYPE_LABELS[rule.type])
+  .map((rule, index) => {
+    const members = (rule.members || []).map(id => (id?._id || id).toString());
+    return {
+      id: (rule._id || index).toString(),
+      type: rule.type,
+      label: rule.label || RULE_TYPE_LABELS[rule.type],
+      hard: rule.enforcement !== 'soft',
+      weight: rule.weight || 1,
+      members: members.length > 0 ? new Set(members) : null,
+      ownerScope: rule.type === SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY && rule.appliesTo === 'owner',
+      maxSessions: rule.maxSessions,
+      minGapDays: rule.minGapDays,
+      windowStart: timeToMinutes(rule.startTime || '00:00'),
+      windowEnd: timeToMinutes(rule.endTime || '24:00'),
+      days: rule.days && rule.days.length > 0 ? new Set(rule.days) : null,
+      maxMinutes: Math.round((rule.maxHours || 0) * 60)
+    };
+  });
+
+/**
+ * 한 주 배정용 규칙 검사기
+ * @param {Array} rules - roomSettings.schedulingRules
+ * @param {Object} params
+ * @param {Object} params.assignments - 배정 객체 (기존/지연 배정 슬롯 포함)
+ * @param {Array<Object>} [params.history] - 같은 형태의 이전 배정 (다중 주에서 앞선 주 결과)
+ * @param {Array<string>} params.dates - 이번 주 타임테이블 날짜 (YYYY-MM-DD), 위반 보고 범위
+ * @returns {Object|null} 켜진 규칙이 없으면 null
+ */
+const createRuleChecker = (rules, { assignments, history = [], dates = [] }) => {
+  const activeRules = normalizeRules(rules);
+  if (activeRules.length === 0) return null;
+
+  // memberId -> date -> 수업 구간 [{ start, end }] (시간순, 붙어 있으면 합침)
+  const sessions = new Map();
+  const getDaySessions = (memberId, date) => sessions.get(memberId)?.get(date) || [];
+
+  const addInterval = (memberId, { date, start, end }) => {
+    if (!sessions.has(memberId)) sessions.set(memberId, new Map());
+    const days = sessions.get(memberId);
+    const merged = { start, end };
+    const rest = (days.get(date) || []).filter(interval => {
+      if (!touches(interval, merged)) return true;
+      merged.start = Math.min(merged.start, interval.start);
+      merged.end = Math.max(merged.end, interval.end);
+      return false;
+    });
+    days.set(date, [...rest, merged].sort((a, b) => a.start - b.start));
+  };
+
+  [assignments, ...history].forEach(source => {
+    Object.entries(source || {}).forEach(([memberId, assignment]) => {
+      (assignment.slots || []).forEach(slot => {
+        const date = formatDateToUTCString(slot.date);
+        if (date && slot.startTime && slot.endTime) {
+          addInterval(memberId, { date, start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) });
+        }
+      });
+    });
+  });
+
+  const appliesTo = (rule, memberId) => rule.ownerScope || !rule.members || rule.members.has(memberId);
+
+  // 같은 날 모든 조원 수업 합계 (방장 수업 시간)
+  const getOwnerMinutes = (date) => {
+    let total = 0;
+    sessions.forEach(days => { total += sumMinutes(days.get(date) || []); });
+    return total;
+  };
+
+  const getUsedMinutes = (rule, memberId, date) => (rule.ownerScope
+    ? getOwnerMinutes(date)
+    : sumMinutes(getDaySessions(memberId, date)));
+
+  const isOutsideWindow = (rule, { date, start, end }) =>
+    (rule.days && !rule.days.has(getDayOfWeek(date))) || start < rule.windowStart || end > rule.windowEnd;
+
+  const isAdjacentToGroup = (rule, memberId, interval) => [...rule.members].some(otherId =>
+    otherId !== memberId &&
+    getDaySessions(otherId, interval.date).some(other => other.end === interval.start || other.start === interval.end));
+
+  const hasGroupSessionOnDate = (rule, memberId, date) => [...rule.members].some(otherId =>
+    otherId !== memberId && getDaySessions(otherId, date).length > 0);
+
+  /**
+   * 후보 구간이 규칙을 어기는지 (어기면 이유 문자열)
+   */
+  const checkCandidate = (rule, memberId, interval) => {
+    const daySessions = getDaySessions(memberId, interval.date);
+    const merged = daySessions.filter(session => touches(session, interval))
+      .reduce((acc, session) => ({ start: Math.min(acc.start, session.start), end: Math.max(acc.end, session.end) }), interval);
+    const isNewSession = merged.start === interval.start && merged.end === interval.end;
+
+    switch (rule.type) {
+      case SCHEDULING_RULE_TYPES.MAX_SESSIONS_PER_WEEK: {
+        if (!isNewSession) return null;
+        const weekKey = getWeekKey(interval.date);
+        let count = 1;
+        (sessions.get(memberId) || new Map()).forEach((intervals, date) => {
+          if (getWeekKey(date) === weekKey) count += intervals.length;
+        });
+        return count > rule.maxSessions ? `주 ${rule.maxSessions}회 초과` : null;
+      }
+      case SCHEDULING_RULE_TYPES.MIN_DAYS_BETWEEN_SESSIONS: {
+        if (!isNewSession) return null;
+        const tooClose = [...(sessions.get(memberId) || new Map()).entries()]
+          .some(([date, intervals]) => intervals.length > 0 && getDayDiff(date, interval.date) <= rule.minGapDays);
+        return tooClose ? `수업 사이 ${rule.minGapDays}일 간격 미달` : null;
+      }
+      case SCHEDULING_RULE_TYPES.TIME_WINDOW:
+        return isOutsideWindow(rule, interval) ? '허용 시간대 밖' : null;
+      case SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY: {
+        const total = getUsedMinutes(rule, memberId, interval.date) + (interval.end - interval.start);
+        return total > rule.maxMinutes ? `하루 ${rule.maxMinutes / 60}시간 초과` : null;
+      }
+      case SCHEDULING_RULE_TYPES.BACK_TO_BACK:
+        return hasGroupSessionOnDate(rule, memberId, interval.date) && !isAdjacentToGroup(rule, memberId, merged)
+          ? '같은 날 묶인 조원과 떨어져 있음'
+          : null;
+      default:
+        return null;
+    }
+  };
+
+  return {
+    /**
+     * hard 규칙 범위로 블록 자르기 (허용 시간대 끝 / 하루 최대 시간)
+     * @param {string} memberId - 멤버 ID
+     * @param {Array<string>} block - 연속 슬롯 키
+     * @returns {Array<string>} 남는 슬롯이 없으면 첫 슬롯만 남김 (evaluateBlock에서 위반 규칙과 함께 제외됨)
+     */
+    trimBlock(memberId, block) {
+      const { date, start } = blockToInterval(block);
+      let maxSlots = block.length;
+      activeRules.forEach(rule => {
+        if (!rule.hard || !appliesTo(rule, memberId)) return;
+        if (rule.type === SCHEDULING_RULE_TYPES.TIME_WINDOW) {
+          maxSlots = Math.min(maxSlots, Math.floor((rule.windowEnd - start) / MINUTES_PER_SLOT));
+        } else if (rule.type === SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY) {
+          maxSlots = Math.min(maxSlots, Math.floor((rule.maxMinutes - getUsedMinutes(rule, memberId, date)) / MINUTES_PER_SLOT));
+        }
+      });
+      return block.slice(0, Math.max(1, maxSlots));
+    },
+
+    /**
+     * 후보 블록 평가
+     * @param {string} memberId - 멤버 ID
+     * @param {Array<string>} block - 연속 슬롯 키
+     * @returns {{ allowed: boolean, penalty: number, violations: Array }} penalty는 슬롯 수 단위
+     */
+    evaluateBlock(memberId, block) {
+      const interval = blockToInterval(block);
+      const violations = [];
+      activeRules.forEach(rule => {
+        if (!appliesTo(rule, memberId)) return;
+        const reason = checkCandidate(rule, memberId, interval);
+        if (reason) violations.push({ ruleId: rule.id, label: rule.label, hard: rule.hard, weight: rule.weight, reason });
+      });
+      return {
+        allowed: !violations.some(v => v.hard),
+        penalty: violations.reduce((sum, v) => sum + (v.hard ? 0 : v.weight * RULE_SOFT_PENALTY_PER_WEIGHT), 0),
+        violations
+      };
+    },
+
+    /**
+     * 배정한 블록 반영
+     * @param {string} memberId - 멤버 ID
+     * @param {Array<string>} block - 배정한 슬롯 키
+     */
+    recordBlock(memberId, block) {
+      addInterval(memberId, blockToInterval(block));
+    },
+
+    /**
+     * 이번 주 날짜 범위의 남은 규칙 위반
+     * @returns {Array<Object>} [{ ruleId, type, label, enforcement, memberId, date, message }]
+     */
+    findViolations() {
+      const scopeDates = new Set(dates);
+      const scopeWeeks = new Set(dates.map(getWeekKey));
+      const violations = [];
+      const push = (rule, memberId, date, message) => violations.push({
+        ruleId: rule.id,
+        type: rule.type,
+        label: rule.label,
+        enforcement: rule.hard ? 'hard' : 'soft',
+        memberId,
+        date,
+        message
+      });
+
+      activeRules.forEach(rule => {
+        if (rule.ownerScope) {
+          scopeDates.forEach(date => {
+            const total = getOwnerMinutes(date);
+            if (total > rule.maxMinutes) push(rule, null, date, `방장 수업 ${total}분 (하루 ${rule.maxMinutes / 60}시간 초과)`);
+          });
+          return;
+        }
+
+        sessions.forEach((days, memberId) => {
+          if (!appliesTo(rule, memberId)) return;
+          const sortedDates = [...days.keys()].filter(date => days.get(date).length > 0).sort();
+
+          switch (rule.type) {
+            case SCHEDULING_RULE_TYPES.MAX_SESSIONS_PER_WEEK: {
+              const weekCounts = new Map();
+              sortedDates.forEach(date => {
+                const weekKey = getWeekKey(date);
+                weekCounts.set(weekKey, (weekCounts.get(weekKey) || 0) + days.get(date).length);
+              });
+              weekCounts.forEach((count, weekKey) => {
+                if (scopeWeeks.has(weekKey) && count > rule.maxSessions) {
+                  push(rule, memberId, weekKey, `주 ${count}회 (최대 ${rule.maxSessions}회)`);
+                }
+              });
+              break;
+            }
+            case SCHEDULING_RULE_TYPES.MIN_DAYS_BETWEEN_SESSIONS:
+              sortedDates.forEach((date, index) => {
+                if (!scopeDates.has(date)) return;
+                if (days.get(date).length > 1) push(rule, memberId, date, `같은 날 ${days.get(date).length}번 수업`);
+                const previous = sortedDates[index - 1];
+                if (previous && getDayDiff(previous, date) <= rule.minGapDays) {
+                  push(rule, memberId, date, `${previous} 수업과 ${getDayDiff(previous, date)}일 차이 (최소 ${rule.minGapDays}일 간격)`);
+                }
+              });
+              break;
+            case SCHEDULING_RULE_TYPES.TIME_WINDOW:
+              sortedDates.filter(date => scopeDates.has(date)).forEach(date => {
+                days.get(date).forEach(session => {
+                  if (isOutsideWindow(rule, { date, ...session })) push(rule, memberId, date, '허용 시간대 밖 수업');
+                });
+              });
+              break;
+            case SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY:
+              sortedDates.filter(date => scopeDates.has(date)).forEach(date => {
+                const total = sumMinutes(days.get(date));
+                if (total > rule.maxMinutes) push(rule, memberId, date, `하루 ${total}분 (최대 ${rule.maxMinutes / 60}시간)`);
+              });
+              break;
+            case SCHEDULING_RULE_TYPES.BACK_TO_BACK:
+              sortedDates.filter(date => scopeDates.has(date) && hasGroupSessionOnDate(rule, memberId, date)).forEach(date => {
+                days.get(date).forEach(session => {
+                  if (!isAdjacentToGroup(rule, memberId, { date, ...session })) {
+                    push(rule, memberId, date, '같은 날 묶인 조원과 연달아 배정되지 않음');
+                  }
+                });
+              });
+              break;
+            default:
+              break;
+          }
+        });
+      });
+
+      return violations;
+    }
+  };
+};
+
+module.exports = {
+  RULE_TYPE_LABELS,
+  normalizeRules,
+  createRuleChecker
+};
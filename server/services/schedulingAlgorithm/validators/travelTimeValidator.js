@@ -2,10 +2,12 @@
  * 이동시간 검증 모듈
  *
  * 교통수단 보기/적용 시 선호시간과 금지시간을 검증
+ * 하루 동선의 이동 구간은 실제 출발 시각 기준으로 다시 계산해 수업 사이 시간 안에 도착하는지 검증
  */
 
 const { timeToMinutes, minutesToTime } = require('../utils/timeUtils');
 const { isTimeInBlockedRange } = require('./prohibitedTimeValidator');
+const dynamicTravelTimeCalculator = require('../../dynamicTravelTimeCalculator');
 
 /**
  * 시간 범위가 멤버의 선호시간 안에 있는지 검증
@@ -184,9 +186,59 @@ function validateAllSlots(slots, members, blockedTimes) {
   };
 }
 
+/**
+ * 하루 동선의 이동 구간 검증 (구간마다 실제 출발 시각 기준)
+ * 이전 수업이 끝나는 시각에 출발해 다음 수업 시작 전에 도착하는지 확인합니다.
+ * 첫 구간은 첫 수업 시작 시각에 도착하도록 출발 시각을 역산하므로 항상 통과합니다.
+ *
+ * @param {Array} stops - 시간순 일정 [{ startTime, endTime, location, label }]
+ * @param {Object} startLocation - 그날 출발 위치 (방장 집)
+ * @param {Date|string} date - 날짜
+ * @param {string} travelMode - 이동수단
+ * @param {string} [timeZone] - 방 시간대
+ * @returns {Promise<Array>} 구간 목록 [{ index, fromLabel, toLabel, departureTime(HH:MM), travelMinutes, availableMinutes, timeOfDay, fits }]
+ */
+async function evaluateTravelLegs(stops, startLocation, date, travelMode, timeZone) {
+  const legs = [];
+  let previousLocation = startLocation;
+  let previousStop = null;
+
+  for (const [index, stop] of stops.entries()) {
+    const route = await dynamicTravelTimeCalculator.calculateLegRoute(
+      previousLocation,
+      stop.location,
+      travelMode,
+      date,
+      previousStop,
+      stop,
+      timeZone
+    );
+    const availableMinutes = previousStop
+      ? timeToMinutes(stop.startTime) - timeToMinutes(previousStop.endTime)
+      : null;
+
+    legs.push({
+      index,
+      fromLabel: previousStop ? previousStop.label : '출발지',
+      toLabel: stop.label,
+      departureTime: previousStop ? previousStop.endTime : minutesToTime(Math.max(0, timeToMinutes(stop.startTime) - route.minutes)),
+      travelMinutes: route.minutes,
+      availableMinutes,
+      timeOfDay: route.timeOfDay || 'any',
+      fits: availableMinutes === null || route.minutes <= availableMinutes
+    });
+
+    previousLocation = stop.location;
+    previousStop = stop;
+  }
+
+  return legs;
+}
+
 module.exports = {
   isWithinPreferredTime,
   getAllPreferredTimes,
   validateTravelTimeSlot,
-  validateAllSlots
+  validateAllSlots,
+  evaluateTravelLegs
 };
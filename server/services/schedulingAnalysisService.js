@@ -1,12 +1,7 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('./llm');
 
 async function findOptimalSlots(membersAvailability, constraints) {
    try {
-      // 모델 가져오기 (비동기일 수 있음)
-      const model = await genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
       // AI에게 줄 prompt 생성
       const prompt = `
 You are an expert meeting scheduler AI. Your task is to find the best possible meeting times for a group of people based on their availability.
@@ -84,8 +79,7 @@ Important Instructions:
 `;
 
       // AI 호출
-      const result = await model.generateContent(prompt);
-      const text = await result.text();
+      const text = await llm.generateText(prompt);
 
       // JSON 정리
       const jsonText = text
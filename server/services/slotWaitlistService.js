@@ -0,0 +1,510 @@
+/**
+ * ===================================================================================================
+ * Slot Waitlist Service (빈자리 대기열 서비스)
+ * ===================================================================================================
+ *
+ * 설명: 퇴장/강퇴/자리 양보로 비게 된 배정 시간을 시간이 부족한 조원에게 순서대로 제안
+ *
+ * 주요 기능:
+ * - getWaitlist: 이월 시간(carryOver)이 있거나 그 주 최소 시간(minHoursPerWeek)을 못 채운 조원 (우선순위 순)
+ * - offerReleasedSlots: 반납된 슬롯을 날짜별 연속 블록으로 묶고, 그 시간에 가능한 첫 후보에게 제안
+ * - claimOffer: 제안받은 조원이 수락하면 같은 슬롯을 그 조원에게 다시 배정하고 이월 시간 차감
+ * - advanceOffer: 거절/기한 만료 시 다음 후보에게 넘김 (남은 후보가 없으면 종료)
+ * - expireDueOffers: 기한이 지난 제안 일괄 처리 (jobs/slotOfferScheduler.js)
+ *
+ * 후보 순서:
+ * - carryOver 많은 순 → 그 주 부족 시간 많은 순 → 멤버 우선순위 높은 순 → 먼저 들어온 순
+ * - 가능 여부는 연쇄 요청과 같은 헬퍼(buildScheduleByDay, findCandidates)로 선호시간을 확인
+ *
+ * 관련 파일:
+ * - server/models/SlotOffer.js
+ * - server/controllers/slotWaitlistController.js - 대기열 조회, 수락/거절 API
+ * - server/controllers/coordinationMemberController.js - 퇴장/강퇴 시 호출
+ * - server/controllers/coordinationRequestController/index.js - 자리 양보(slot_release) 승인 시 호출
+ *
+ * ===================================================================================================
+ */
+
+const Room = require('../models/room');
+const User = require('../models/user');
+const SlotOffer = require('../models/SlotOffer');
+const ActivityLog = require('../models/ActivityLog');
+const { notifyUsers } = require('./notificationService');
+const { recordRoomSnapshot, captureTimeSlots } = require('./roomHistoryService');
+const { getRoomManagerIds } = require('./roomJoinService');
+const { buildScheduleByDay } = require('../controllers/coordinationRequestController/helpers/buildScheduleByDay');
+const { findCandidates } = require('../controllers/coordinationRequestController/helpers/findCandidates');
+const { toMinutes } = require('../controllers/coordinationRequestController/utils/timeConverter');
+const { isSchedulableMember } = require('../utils/roomPermissions');
+const { getRoomTimezone, wallClockToDate } = require('../utils/timezone');
+const { saveRoomChecked } = require('../utils/roomConcurrency');
+
+const DAY_OF_WEEK = { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 };
+const DEFAULT_CLAIM_WINDOW_MINUTES = 60;
+
+const REASON_LABELS = {
+  member_leave: '조원 퇴장',
+  member_kick: '조원 강퇴',
+  slot_release: '자리 양보'
+};
+
+const toIdString = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+const toDateStr = (date) => new Date(date).toISOString().split('T')[0];
+const getUserName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : 'Unknown');
+const formatBlock = (block) => `${toDateStr(block.date)} ${block.startTime}-${block.endTime}`;
+
+/**
+ * 기준 날짜가 속한 주 (월요일 00:00 ~ 다음 주 월요일 00:00, UTC 자정 기준 방 슬롯 날짜)
+ * @param {Date} date
+ * @returns {{start: Date, end: Date}}
+ */
+const getWeekRange = (date) => {
+  const start = new Date(`${toDateStr(date)}T00:00:00.000Z`);
+  const day = start.getUTCDay();
+  start.setUTCDate(start.getUTCDate() - (day === 0 ? 6 : day - 1));
+  const end = new Date(start);
+  end.setUTCDate(start.getUTCDate() + 7);
+  return { start, end };
+};
+
+/**
+ * 빈자리 대기열 (제안 우선순위 순)
+ * @param {Object} room - Room 문서
+ * @param {Date} [referenceDate] - 부족 시간을 계산할 주
+ * @returns {Array<{userId: string, carryOver: number, assignedMinutes: number, shortfallMinutes: number, priority: number, joinedAt: Date}>}
+ */
+const getWaitlist = (room, referenceDate = new Date()) => {
+  const minMinutes = Math.round((room.settings?.minHoursPerWeek || 3) * 60);
+  const { start, end } = getWeekRange(referenceDate);
+
+  return room.members
+    .filter(member => isSchedulableMember(room, member))
+    .map(member => {
+      const userId = toIdString(member.user);
+      const assignedMinutes = room.timeSlots
+        .filter(slot => {
+          if (slot.isTravel || toIdString(slot.user) !== userId) return false;
+          const slotDate = new Date(slot.date);
+          return slotDate >= start && slotDate < end;
+        })
+        .reduce((sum, slot) => sum + (toMinutes(slot.endTime) - toMinutes(slot.startTime)), 0);
+
+      return {
+        userId,
+        carryOver: member.carryOver || 0,
+        assignedMinutes,
+        shortfallMinutes: Math.max(0, minMinutes - assignedMinutes),
+        priority: member.priority || 3,
+        joinedAt: member.joinedAt
+      };
+    })
+    .filter(entry => entry.carryOver > 0 || entry.shortfallMinutes > 0)
+    .sort((a, b) =>
+      b.carryOver - a.carryOver ||
+      b.shortfallMinutes - a.shortfallMinutes ||
+      b.priority - a.priority ||
+      new Date(a.joinedAt) - new Date(b.joinedAt)
+    );
+};
+
+/**
+ * 반납된 슬롯을 날짜별 연속 블록으로 묶기 (이동시간 슬롯 제외)
+ * @param {Array} slots - timeSlots 항목
+ * @returns {Array<{date: Date, day: string, startTime: string, endTime: string, slots: Array}>}
+ */
+const groupIntoBlocks = (slots) => {
+  const byDate = new Map();
+  slots
+    .filter(slot => !slot.isTravel && slot.date && slot.startTime && slot.endTime)
+    .forEach(slot => {
+      const dateStr = toDateStr(slot.date);
+      if (!byDate.has(dateStr)) byDate.set(dateStr, []);
+      byDate.get(dateStr).push(slot);
+    });
+
+  const blocks = [];
+  byDate.forEach((dateSlots, dateStr) => {
+    dateSlots.sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    let current = null;
+    dateSlots.forEach(slot => {
+      const plain = {
+        date: new Date(`${dateStr}T00:00:00.000Z`),
+        day: slot.day,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        subject: slot.subject || '자동 배정'
+      };
+      if (current && current.endTime === slot.startTime) {
+        current.endTime = slot.endTime;
+        current.slots.push(plain);
+      } else {
+        current = { date: plain.date, day: slot.day, startTime: slot.startTime, endTime: slot.endTime, slots: [plain] };
+        blocks.push(current);
+      }
+    });
+  });
+
+  return blocks;
+};
+
+/**
+ * 블록 시작 시각 (방 시간대 기준 실제 시각)
+ * @param {Object} room
+ * @param {Object} block
+ * @returns {Date}
+ */
+const getBlockStart = (room, block) => wallClockToDate(toDateStr(block.date), block.startTime, getRoomTimezone(room));
+
+/**
+ * 수락 기한 (수락 기한과 블록 시작 중 이른 시각)
+ * @param {Object} room
+ * @param {Object} block
+ * @param {Date} now
+ * @returns {Date}
+ */
+const getClaimDeadline = (room, block, now) => {
+  const windowMinutes = room.waitlist?.claimWindowMinutes || DEFAULT_CLAIM_WINDOW_MINUTES;
+  const windowEnd = new Date(now.getTime() + windowMinutes * 60 * 1000);
+  const blockStart = getBlockStart(room, block);
+  return blockStart < windowEnd ? blockStart : windowEnd;
+};
+
+/**
+ * 블록 시간에 다른 슬롯이 있는지 (userId를 주면 그 사용자의 슬롯만 확인)
+ * @param {Object} room
+ * @param {Object} block
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+const hasOverlappingSlot = (room, block, userId) => {
+  const dateStr = toDateStr(block.date);
+  const start = toMinutes(block.startTime);
+  const end = toMinutes(block.endTime);
+  return room.timeSlots.some(slot => {
+    if (slot.isTravel || toDateStr(slot.date) !== dateStr) return false;
+    if (userId && toIdString(slot.user) !== userId) return false;
+    return toMinutes(slot.startTime) < end && toMinutes(slot.endTime) > start;
+  });
+};
+
+/**
+ * 조원이 선호시간상 블록 시간 전체에 가능한지
+ * 연쇄 요청의 후보 탐색(findCandidates)을 그대로 쓰되, 후보는 가용 블록 시작부터 30분 간격으로 만들어지므로
+ * 반납된 시작 시각부터 보도록 그날 블록을 잘라 넘기고 거리 0(같은 날, 같은 시작)인 후보가 있는지 봅니다.
+ * @param {Object} user - defaultSchedule, scheduleExceptions가 있는 사용자
+ * @param {Object} block
+ * @returns {boolean}
+ */
+const isAvailableForBlock = (user, block) => {
+  const schedule = [...(user.defaultSchedule || []), ...(user.scheduleExceptions || [])];
+  if (schedule.length === 0) return false;
+
+  const date = new Date(block.date);
+  const dayOfWeek = DAY_OF_WEEK[block.day] ?? date.getUTCDay();
+  const startMinutes = toMinutes(block.startTime);
+  const duration = toMinutes(block.endTime) - startMinutes;
+
+  const scheduleByDay = buildScheduleByDay(schedule, date);
+  const sameDayBlocks = (scheduleByDay[dayOfWeek] || [])
+    .filter(available => available.start <= startMinutes && available.end >= startMinutes + duration)
+    .map(available => ({ start: startMinutes, end: available.end }));
+
+  // 요청 범위(-1)로 겹침 제외를 끄면 반납된 시간 자체도 후보가 됨
+  const candidates = findCandidates({ [dayOfWeek]: sameDayBlocks }, dayOfWeek, date, startMinutes, duration, -1, -1);
+  return candidates.some(candidate => candidate.distance === 0);
+};
+
+/**
+ * 블록을 받을 수 있는 대기열 후보 (순서 유지)
+ * @param {Object} room
+ * @param {Object} block
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeUserIds] - 제외할 사용자 (반납한 조원 등)
+ * @returns {Promise<Array<string>>}
+ */
+const findEligibleCandidates = async (room, block, { excludeUserIds = [] } = {}) => {
+  const waitlist = getWaitlist(room, block.date)
+    .filter(entry => !excludeUserIds.includes(entry.userId))
+    .filter(entry => !hasOverlappingSlot(room, block, entry.userId));
+  if (waitlist.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: waitlist.map(entry => entry.userId) } })
+    .select('defaultSchedule scheduleExceptions')
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return waitlist
+    .filter(entry => usersById.has(entry.userId) && isAvailableForBlock(usersById.get(entry.userId), block))
+    .map(entry => entry.userId);
+};
+
+/**
+ * 현재 후보에게 제안 알림 + 로그
+ * @param {Object} room
+ * @param {Object} offer - offeredTo가 정해진 SlotOffer
+ */
+const announceOffer = async (room, offer) => {
+  const deadline = offer.expiresAt.toLocaleString('ko-KR', { timeZone: getRoomTimezone(room) });
+  await notifyUsers([offer.offeredTo], {
+    type: 'slot_offer',
+    title: '빈자리 제안',
+    message: `'${room.name}' 방에 ${formatBlock(offer)} 빈자리가 생겼습니다. ${deadline}까지 수락할 수 있습니다.`,
+    roomId: room._id,
+    data: { slotOfferId: offer._id, expiresAt: offer.expiresAt }
+  });
+
+  try {
+    const candidate = await User.findById(offer.offeredTo).select('firstName lastName').lean();
+    await ActivityLog.logActivity(room._id, offer.offeredTo, getUserName(candidate), 'slot_offer',
+      `${getUserName(candidate)}님에게 빈자리(${formatBlock(offer)}) 제안`, {
+        slotOfferId: offer._id,
+        reason: offer.reason
+      });
+  } catch (logError) {
+    console.error('Activity log error:', logError);
+  }
+};
+
+/**
+ * 반납된 슬롯을 대기열에 제안 (방 저장이 끝난 뒤 호출)
+ * 실패해도 원래 작업(퇴장/강퇴/양보)은 유지하고 로그만 남깁니다.
+ * @param {Object} room - 저장된 Room 문서
+ * @param {Array} releasedSlots - 방에서 빠진 timeSlots 항목
+ * @param {Object} options
+ * @param {string} options.reason - 'member_leave' | 'member_kick' | 'slot_release'
+ * @param {string} [options.releasedBy] - 시간을 반납한 조원
+ * @returns {Promise<Array>} 생성된 SlotOffer 목록
+ */
+const offerReleasedSlots = async (room, releasedSlots, { reason, releasedBy = null }) => {
+  if (room.waitlist?.enabled === false || !releasedSlots || releasedSlots.length === 0) return [];
+
+  const offers = [];
+  try {
+    const now = new Date();
+    const blocks = groupIntoBlocks(releasedSlots).filter(block => getBlockStart(room, block) > now);
+    const excludeUserIds = releasedBy ? [toIdString(releasedBy)] : [];
+
+    for (const block of blocks) {
+      if (hasOverlappingSlot(room, block)) continue;
+
+      const candidates = await findEligibleCandidates(room, block, { excludeUserIds });
+      if (candidates.length === 0) continue;
+
+      const offer = await SlotOffer.create({
+        roomId: room._id,
+        date: block.date,
+        day: block.day,
+        startTime: block.startTime,
+        endTime: block.endTime,
+        slots: block.slots,
+        reason,
+        releasedBy,
+        candidates,
+        candidateIndex: 0,
+        offeredTo: candidates[0],
+        offeredAt: now,
+        expiresAt: getClaimDeadline(room, block, now)
+      });
+      await announceOffer(room, offer);
+      offers.push(offer);
+    }
+  } catch (error) {
+    console.error('❌ Slot waitlist offer error:', error);
+  }
+  return offers;
+};
+
+/**
+ * 현재 후보를 넘기고 다음 후보에게 제안 (남은 후보가 없으면 종료)
+ * 다른 요청이 먼저 처리했으면(상태/후보가 바뀜) 아무것도 하지 않습니다.
+ * @param {string} offerId
+ * @param {string} outcome - 'declined' | 'expired'
+ * @param {string} expectedUserId - 넘길 현재 후보
+ * @returns {Promise<Object|null>} 갱신된 SlotOffer, 이미 처리됐으면 null
+ */
+const advanceOffer = async (offerId, outcome, expectedUserId) => {
+  const offer = await SlotOffer.findById(offerId);
+  if (!offer || offer.status !== 'offered' || toIdString(offer.offeredTo) !== toIdString(expectedUserId)) return null;
+
+  const now = new Date();
+  const filter = { _id: offer._id, status: 'offered', offeredTo: offer.offeredTo };
+  const historyEntry = { user: offer.offeredTo, outcome, at: now };
+
+  const room = await Room.findById(offer.roomId);
+  if (!room || hasOverlappingSlot(room, offer) || getBlockStart(room, offer) <= now) {
+    return SlotOffer.findOneAndUpdate(filter, {
+      $set: { status: 'cancelled', offeredTo: null, expiresAt: null },
+      $push: { history: historyEntry }
+    }, { new: true });
+  }
+
+  // 제안을 만든 뒤 방을 나갔거나 시간이 채워진 후보는 건너뜀
+  const stillEligible = await findEligibleCandidates(room, offer, {
+    excludeUserIds: offer.releasedBy ? [toIdString(offer.releasedBy)] : []
+  });
+  const skipped = [];
+  let nextIndex = -1;
+  for (let i = offer.candidateIndex + 1; i < offer.candidates.length; i++) {
+    if (stillEligible.includes(toIdString(offer.candidates[i]))) {
+      nextIndex = i;
+      break;
+    }
+    skipped.push({ user: offer.candidates[i], outcome: 'skipped', at: now });
+  }
+
+  if (nextIndex === -1) {
+    return SlotOffer.findOneAndUpdate(filter, {
+      $set: { status: 'exhausted', offeredTo: null, expiresAt: null },
+      $push: { history: { $each: [historyEntry, ...skipped] } }
+    }, { new: true });
+  }
+
+  const updated = await SlotOffer.findOneAndUpdate(filter, {
+    $set: {
+      candidateIndex: nextIndex,
+      offeredTo: offer.candidates[nextIndex],
+      offeredAt: now,
+      expiresAt: getClaimDeadline(room, offer, now)
+    },
+    $push: { history: { $each: [historyEntry, ...skipped] } }
+  }, { new: true });
+
+  if (updated) await announceOffer(room, updated);
+  return updated;
+};
+
+/**
+ * 제안 수락: 반납된 슬롯을 수락한 조원에게 다시 배정
+ * 방 저장 충돌(VersionError)은 그대로 던집니다 (라우트의 retryOnRoomConflict가 재실행).
+ * @param {string} offerId
+ * @param {string} userId
+ * @returns {Promise<{room?: Object, offer?: Object, error?: {status: number, msg: string}}>}
+ */
+const claimOffer = async (offerId, userId) => {
+  const offer = await SlotOffer.findById(offerId);
+  if (!offer) return { error: { status: 404, msg: '빈자리 제안을 찾을 수 없습니다.' } };
+  if (offer.status !== 'offered' || toIdString(offer.offeredTo) !== userId) {
+    return { error: { status: 400, msg: '지금 수락할 수 있는 제안이 아닙니다.' } };
+  }
+
+  const now = new Date();
+  if (offer.expiresAt && offer.expiresAt <= now) {
+    return { error: { status: 410, msg: '수락 기한이 지났습니다. 다음 대기자에게 넘어갑니다.' } };
+  }
+
+  const room = await Room.findById(offer.roomId);
+  if (!room) return { error: { status: 404, msg: '방을 찾을 수 없습니다.' } };
+
+  const member = room.members.find(m => toIdString(m.user) === userId);
+  if (!member || !isSchedulableMember(room, member)) {
+    return { error: { status: 403, msg: '배정 대상 조원만 빈자리를 받을 수 있습니다.' } };
+  }
+
+  if (hasOverlappingSlot(room, offer)) {
+    await SlotOffer.updateOne({ _id: offer._id, status: 'offered' }, { $set: { status: 'cancelled', offeredTo: null, expiresAt: null } });
+    return { error: { status: 409, msg: '이미 다른 일정으로 채워진 시간입니다.' } };
+  }
+
+  // 제안을 먼저 원자적으로 선점: 그 사이 기한 만료로 다음 대기자에게 넘어갔거나 이미 수락됐으면 중단
+  const claim = await SlotOffer.findOneAndUpdate(
+    {
+      _id: offer._id,
+      status: 'offered',
+      offeredTo: userId,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    },
+    { $set: { status: 'claimed', claimedBy: userId, claimedAt: now, offeredTo: null, expiresAt: null } },
+    { new: true }
+  );
+  if (!claim) {
+    return { error: { status: 409, msg: '이미 처리된 제안입니다. 다음 대기자에게 넘어갔을 수 있습니다.' } };
+  }
+
+  const beforeSlots = captureTimeSlots(room);
+  offer.slots.forEach(slot => {
+    room.timeSlots.push({
+      user: userId,
+      date: slot.date,
+      day: slot.day,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      subject: slot.subject || '자동 배정',
+      priority: 3,
+      assignedBy: room.owner,
+      assignedAt: now,
+      status: 'confirmed'
+    });
+  });
+
+  // 받은 시간만큼 이월 시간 차감
+  const claimedHours = (toMinutes(offer.endTime) - toMinutes(offer.startTime)) / 60;
+  if (member.carryOver > 0) {
+    const used = Math.min(member.carryOver, claimedHours);
+    member.carryOver = Math.round((member.carryOver - used) * 100) / 100;
+    member.carryOverHistory.push({ week: getWeekRange(offer.date).start, amount: -used, reason: 'waitlist_claim', timestamp: now });
+  }
+
+  try {
+    await saveRoomChecked(room);
+  } catch (saveError) {
+    // 시간표에 넣지 못했으면 선점을 되돌려 재시도(retryOnRoomConflict)나 기한 만료 처리가 이어지도록 함
+    await SlotOffer.updateOne(
+      { _id: offer._id, status: 'claimed', claimedBy: userId },
+      { $set: { status: 'offered', offeredTo: userId, expiresAt: offer.expiresAt, claimedBy: null, claimedAt: null } }
+    );
+    throw saveError;
+  }
+
+  const claimed = await SlotOffer.findByIdAndUpdate(offer._id, {
+    $push: { history: { user: userId, outcome: 'claimed', at: now } }
+  }, { new: true });
+
+  const claimer = await User.findById(userId).select('firstName lastName').lean();
+  const claimerName = getUserName(claimer);
+  const details = `${claimerName}님이 빈자리(${formatBlock(offer)})를 수락 (${REASON_LABELS[offer.reason]})`;
+
+  await notifyUsers(getRoomManagerIds(room), {
+    type: 'slot_claimed',
+    title: '빈자리가 채워졌습니다',
+    message: `[${room.name}] ${details}`,
+    roomId: room._id,
+    data: { slotOfferId: offer._id }
+  }, { actorId: userId });
+
+  try {
+    await ActivityLog.logActivity(room._id, userId, claimerName, 'slot_claim', details, { slotOfferId: offer._id });
+  } catch (logError) {
+    console.error('Activity log error:', logError);
+  }
+  await recordRoomSnapshot(room, { action: 'slot_claim', before: beforeSlots, userId, userName: claimerName, details });
+
+  return { room, offer: claimed };
+};
+
+/**
+ * 수락 기한이 지난 제안을 다음 후보에게 넘김
+ * @returns {Promise<{processed: number}>}
+ */
+const expireDueOffers = async () => {
+  const dueOffers = await SlotOffer.find({ status: 'offered', expiresAt: { $lte: new Date() } })
+    .select('_id offeredTo')
+    .lean();
+
+  let processed = 0;
+  for (const offer of dueOffers) {
+    try {
+      if (await advanceOffer(offer._id, 'expired', offer.offeredTo)) processed++;
+    } catch (error) {
+      console.error('❌ Slot offer expire error:', offer._id.toString(), error.message);
+    }
+  }
+  return { processed };
+};
+
+module.exports = {
+  getWaitlist,
+  offerReleasedSlots,
+  advanceOffer,
+  claimOffer,
+  expireDueOffers
+};
@@ -0,0 +1,133 @@
+/**
+ * ===================================================================================================
+ * Travel Matrix Service (방 이동시간 행렬 미리 계산)
+ * ===================================================================================================
+ *
+ * 설명: 방장과 조원 장소(집 + 저장 장소) 사이 N×N 이동시간을 미리 계산해 routing 캐시/저장소에 채워 두는 서비스
+ *       (이동 모드 자동 배정/교환 검증이 같은 쌍을 매번 새로 조회하지 않도록)
+ *
+ * 주요 기능:
+ * - precomputeRoomMatrix: 방의 모든 위치 쌍(또는 특정 사용자가 포함된 쌍)을 이동수단별로 계산
+ * - warmRoomMatrix: 응답을 기다리지 않고 백그라운드에서 precomputeRoomMatrix 실행 (멤버 입장 시)
+ * - warmUserRooms: 주소/저장 장소를 바꾼 사용자가 속한 모든 방을 백그라운드에서 다시 채움
+ *
+ * 관련 파일:
+ * - server/services/routing/index.js - getTravelTimes (캐시 → 저장소 → 프로바이더)
+ * - server/controllers/travelMatrixController.js - POST /api/coordination/rooms/:roomId/travel-matrix
+ * - server/services/roomJoinService.js, server/controllers/userController.js - 미리 계산을 시작하는 곳
+ *
+ * ===================================================================================================
+ */
+
+const Room = require('../models/room');
+const User = require('../models/user');
+const routing = require('./routing');
+const { isSchedulableMember } = require('../utils/roomPermissions');
+const { getUserPlaces } = require('../utils/savedLocations');
+
+const TRAVEL_MODES = ['transit', 'driving', 'bicycling', 'walking'];
+
+/**
+ * 방에서 미리 계산할 이동수단 (확정/선택된 이동 모드, 없으면 대중교통)
+ * @param {Object} room
+ * @returns {Array<string>}
+ */
+const getRoomTravelModes = (room) => {
+  const mode = [room.confirmedTravelMode, room.currentTravelMode].find(m => TRAVEL_MODES.includes(m));
+  return [mode || 'transit'];
+};
+
+/**
+ * 방장 + 배정 대상 조원의 좌표가 있는 장소 (집 + 저장 장소, 같은 사용자의 장소끼리는 계산하지 않음)
+ * @param {Object} room
+ * @returns {Promise<Array<{ userId: string, location: Object }>>}
+ */
+const getRoomLocations = async (room) => {
+  const ownerId = (room.owner._id || room.owner).toString();
+  const memberIds = room.members
+    .filter(member => isSchedulableMember(room, member))
+    .map(member => (member.user._id || member.user).toString());
+
+  const users = await User.find({ _id: { $in: [ownerId, ...memberIds] } })
+    .select('address addressLat addressLng savedLocations')
+    .lean();
+
+  return users.flatMap(user => getUserPlaces(user).map(place => ({
+    userId: user._id.toString(),
+    location: { lat: place.lat, lng: place.lng, address: place.address }
+  })));
+};
+
+/**
+ * 방 이동시간 행렬 계산 (이미 캐시/저장소에 있는 쌍은 그대로 사용)
+ * @param {string} roomId
+ * @param {Object} [options]
+ * @param {Array<string>} [options.modes] - 계산할 이동수단 (기본값: 방 이동 모드)
+ * @param {Array<string>} [options.userIds] - 이 사용자가 출발지나 도착지인 쌍만 계산 (기본값: 전체)
+ * @returns {Promise<Object>} { locations, modes, pairs, cached, computed, failed, providers: { name: count } }
+ */
+const precomputeRoomMatrix = async (roomId, { modes, userIds } = {}) => {
+  const room = await Room.findById(roomId).select('owner members confirmedTravelMode currentTravelMode');
+  if (!room) throw new Error('Room not found');
+
+  const locations = await getRoomLocations(room);
+  const travelModes = (modes && modes.length > 0 ? modes : getRoomTravelModes(room)).filter(m => TRAVEL_MODES.includes(m));
+  const focus = userIds ? new Set(userIds.map(String)) : null;
+  const summary = { locations: locations.length, modes: travelModes, pairs: 0, cached: 0, computed: 0, failed: 0, providers: {} };
+
+  for (const mode of travelModes) {
+    for (const origin of locations) {
+      const destinations = locations.filter(destination =>
+        destination.userId !== origin.userId && (!focus || focus.has(origin.userId) || focus.has(destination.userId))
+      );
+      if (destinations.length === 0) continue;
+
+      const results = await routing.getTravelTimes(origin.location, destinations.map(d => d.location), mode);
+      results.forEach(result => {
+        summary.pairs++;
+        if (!result) {
+          summary.failed++;
+          return;
+        }
+        if (result.cached) summary.cached++;
+        else summary.computed++;
+        if (result.provider) summary.providers[result.provider] = (summary.providers[result.provider] || 0) + 1;
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * 백그라운드에서 방 이동시간 행렬 계산 (실패는 로그만 남김)
+ * @param {string} roomId
+ * @param {Object} [options] - precomputeRoomMatrix 옵션
+ */
+const warmRoomMatrix = (roomId, options = {}) => {
+  precomputeRoomMatrix(roomId, options)
+    .then(summary => {
+      if (summary.computed > 0 || summary.failed > 0) {
+        console.log(`[TravelMatrix] 방 ${roomId}: ${summary.pairs}쌍 (새로 계산 ${summary.computed}, 실패 ${summary.failed})`);
+      }
+    })
+    .catch(error => console.error(`[TravelMatrix] 방 ${roomId} 미리 계산 실패:`, error.message));
+};
+
+/**
+ * 사용자가 방장/멤버인 모든 방에서 그 사용자가 포함된 쌍을 백그라운드에서 계산 (주소 / 저장 장소 변경 시)
+ * @param {string} userId
+ */
+const warmUserRooms = (userId) => {
+  Room.find({ $or: [{ owner: userId }, { 'members.user': userId }] })
+    .select('_id')
+    .lean()
+    .then(rooms => rooms.forEach(room => warmRoomMatrix(room._id, { userIds: [userId] })))
+    .catch(error => console.error('[TravelMatrix] 사용자 방 조회 실패:', error.message));
+};
+
+module.exports = {
+  precomputeRoomMatrix,
+  warmRoomMatrix,
+  warmUserRooms
+};
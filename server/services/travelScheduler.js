@@ -1,42 +1,19 @@
-class TravelScheduler {
+const routing = require('./routing');
 
-    /**
-     * Calculates the distance between two lat/lng points in kilometers using the Haversine formula.
-     */
-    _getDistance(lat1, lon1, lat2, lon2) {
-        if (!lat1 || !lon1 || !lat2 || !lon2) {
-            return Infinity; // Return a large distance if coordinates are missing
-        }
-        const R = 6371; // Radius of the Earth in km
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = 
-            0.5 - Math.cos(dLat)/2 + 
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-            (1 - Math.cos(dLon))/2;
-
-        return R * 2 * Math.asin(Math.sqrt(a));
-    }
+class TravelScheduler {
 
     /**
-     * Estimates travel time in 30-minute slots.
-     * Assumes an average speed of 30 km/h.
+     * Converts travel minutes into 30-minute slots (rounded up).
      */
-    _getTravelTimeSlots(distance) {
-        if (distance === Infinity) {
-            return Infinity;
-        }
-        const averageSpeedKmh = 30;
-        const travelHours = distance / averageSpeedKmh;
-        const travelMinutes = travelHours * 60;
-        // Round up to the nearest 30-minute slot
+    _getTravelTimeSlots(travelMinutes) {
         return Math.ceil(travelMinutes / 30);
     }
 
     /**
      * Main function to run the travel-based scheduling simulation.
+     * Travel times come from the configured routing provider (services/routing).
      */
-    runTravelSchedule(members, owner, options) {
+    async runTravelSchedule(members, owner, options) {
 
         const { minHoursPerWeek = 3, currentWeek } = options;
         const minSlotsPerWeek = minHoursPerWeek * 2;
@@ -76,14 +53,19 @@ class TravelScheduler {
             let nearestMember = null;
             let shortestTravelSlots = Infinity;
             let travelDistance = 0;
-
-            unvisitedMembers.forEach(member => {
-                const distance = this._getDistance(currentLocation.lat, currentLocation.lng, member.lat, member.lng);
-                const travelSlots = this._getTravelTimeSlots(distance);
+            let travelProvider = null;
+
+            // Members without coordinates get no route and are skipped
+            const routes = await routing.getTravelTimes(currentLocation, unvisitedMembers, options.travelMode || 'transit');
+            unvisitedMembers.forEach((member, index) => {
+                const travelRoute = routes[index];
+                if (!travelRoute) return;
+                const travelSlots = this._getTravelTimeSlots(travelRoute.minutes);
                 if (travelSlots < shortestTravelSlots) {
                     shortestTravelSlots = travelSlots;
                     nearestMember = member;
-                    travelDistance = distance;
+                    travelDistance = travelRoute.distanceKm ?? routing.getDistanceKm(currentLocation, member) ?? 0;
+                    travelProvider = travelRoute.provider;
                 }
             });
 
@@ -105,6 +87,7 @@ class TravelScheduler {
                     day: currentTime.toLocaleString('en-US', { weekday: 'long' }).toLowerCase(),
                     subject: '이동 ('.concat(Math.round(travelDistance)).concat('km)') ,
                     isTravel: true,
+                    travelProvider,
                 });
             }
 
@@ -0,0 +1,131 @@
+/**
+ * 테스트용 메모리 모델
+ * - mongoose 모델의 정적 메서드를 jest.spyOn으로 바꿔 DB 없이 조건부 갱신(findOneAndUpdate 등)을 실행
+ * - 필터: 값 비교(null 포함), $gt/$gte/$lt/$lte/$ne/$in, $or/$and, $expr: { $lt: ['$a', '$b'] }
+ * - 갱신: $set, $inc, $push ($each 포함)
+ * - ID는 문자열로 저장하고 비교는 String()으로 함
+ * - create는 스키마 최상위 경로의 기본값을 채움
+ * - 조회 결과는 복사본 (mongoose처럼 요청마다 다른 문서를 받음), 저장된 문서는 반환값 docs로 확인
+ */
+
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isEqual = (actual, expected) => {
+  if (expected === null || expected === undefined) return actual === null || actual === undefined;
+  if (actual === null || actual === undefined) return false;
+  if (expected instanceof Date || actual instanceof Date) return toComparable(actual) === toComparable(expected);
+  return String(actual) === String(expected);
+};
+
+const COMPARATORS = {
+  $gt: (a, b) => a !== null && a !== undefined && toComparable(a) > toComparable(b),
+  $gte: (a, b) => a !== null && a !== undefined && toComparable(a) >= toComparable(b),
+  $lt: (a, b) => a !== null && a !== undefined && toComparable(a) < toComparable(b),
+  $lte: (a, b) => a !== null && a !== undefined && toComparable(a) <= toComparable(b),
+  $ne: (a, b) => !isEqual(a, b),
+  $in: (a, list) => list.some(item => isEqual(a, item))
+};
+
+const resolveExprValue = (doc, value) => (typeof value === 'string' && value.startsWith('$') ? doc[value.slice(1)] : value);
+
+const matchesExpr = (doc, expr) => Object.entries(expr).every(([operator, [left, right]]) =>
+  COMPARATORS[operator](resolveExprValue(doc, left), resolveExprValue(doc, right))
+);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  if (key === '$expr') return matchesExpr(doc, condition);
+
+  const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(op => op.startsWith('$'));
+  if (isOperatorObject) {
+    return Object.entries(condition).every(([op, expected]) => COMPARATORS[op](doc[key], expected));
+  }
+  return isEqual(doc[key], condition);
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([key, value]) => { doc[key] = value; });
+  Object.entries(update.$inc || {}).forEach(([key, value]) => { doc[key] = (doc[key] || 0) + value; });
+  Object.entries(update.$push || {}).forEach(([key, value]) => {
+    doc[key] = doc[key] || [];
+    doc[key].push(...(value && value.$each ? value.$each : [value]));
+  });
+};
+
+const copy = (doc) => (doc
+  ? Object.fromEntries(Object.entries(doc).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value]))
+  : null);
+
+/**
+ * select/lean/populate를 이어 부를 수 있고 await하면 값을 주는 쿼리 흉내
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * 스키마 최상위 경로의 기본값 (배열은 빈 배열)
+ * @param {Object} Model
+ * @returns {Object}
+ */
+const getDefaults = (Model) => {
+  const defaults = {};
+  Object.entries(Model.schema.paths).forEach(([path, schemaType]) => {
+    if (path.includes('.') || path === '_id' || path === '__v') return;
+    if (schemaType.$isMongooseArray) {
+      defaults[path] = [];
+    } else if (schemaType.defaultValue !== undefined) {
+      defaults[path] = typeof schemaType.defaultValue === 'function' ? schemaType.defaultValue() : schemaType.defaultValue;
+    }
+  });
+  return defaults;
+};
+
+let idCounter = 0;
+const nextId = () => `mem${String(++idCounter).padStart(21, '0')}`;
+
+/**
+ * 모델을 메모리 컬렉션으로 교체
+ * @param {Object} Model - mongoose 모델
+ * @param {Array<Object>} [initialDocs]
+ * @returns {{docs: Array<Object>, restore: Function}}
+ */
+const useMemoryModel = (Model, initialDocs = []) => {
+  const docs = initialDocs.map(doc => ({ _id: nextId(), ...doc }));
+  const findOne = (filter) => docs.find(doc => matches(doc, filter)) || null;
+  const updateOne = (filter, update) => {
+    const doc = findOne(filter);
+    if (doc) applyUpdate(doc, update);
+    return doc;
+  };
+
+  const spies = [
+    jest.spyOn(Model, 'findById').mockImplementation(id => query(copy(findOne({ _id: id })))),
+    jest.spyOn(Model, 'findOne').mockImplementation(filter => query(copy(findOne(filter)))),
+    jest.spyOn(Model, 'find').mockImplementation(filter => query(docs.filter(doc => matches(doc, filter)).map(copy))),
+    jest.spyOn(Model, 'exists').mockImplementation(filter => query(findOne(filter) ? { _id: findOne(filter)._id } : null)),
+    jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+      const doc = { _id: nextId(), ...getDefaults(Model), ...data };
+      docs.push(doc);
+      return copy(doc);
+    }),
+    jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => query(copy(updateOne(filter, update)))),
+    jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update) => query(copy(updateOne({ _id: id }, update)))),
+    jest.spyOn(Model, 'updateOne').mockImplementation((filter, update) => {
+      const matched = updateOne(filter, update) ? 1 : 0;
+      return query({ matchedCount: matched, modifiedCount: matched });
+    })
+  ];
+
+  return { docs, restore: () => spies.forEach(spy => spy.mockRestore()) };
+};
+
+module.exports = { useMemoryModel, query };
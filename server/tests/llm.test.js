@@ -0,0 +1,99 @@
+process.env.LLM_PROVIDER = 'fixture';
+
+const llm = require('../services/llm');
+const fixtureBackend = require('../services/llm/backends/fixtureBackend');
+const { validate } = require('../services/llm/schemaValidator');
+const { SCHEDULE_ANALYSIS, OCR_SCHEDULES } = require('../services/llm/schemas');
+
+const REPAIR_MARKER = '오류를 고친 JSON만';
+
+const newEvent = (startTime, endTime) => ({
+  action: 'new',
+  data: { summary: '스터디', date: '2026-03-02', startTime, endTime, location: null }
+});
+
+describe('llm.generateJSON (schema repair)', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    delete process.env.LLM_MAX_REPAIR_ATTEMPTS;
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('returns the first response when it matches the schema', async () => {
+    fixtureBackend.setFixtures([{ response: newEvent('10:00', '11:00') }]);
+
+    await expect(llm.generateJSON('분석해줘', SCHEDULE_ANALYSIS)).resolves.toEqual(newEvent('10:00', '11:00'));
+    expect(fixtureBackend.getCalls()).toHaveLength(1);
+  });
+
+  test('asks again with the validation errors and returns the repaired response', async () => {
+    fixtureBackend.setFixtures([
+      { match: REPAIR_MARKER, response: newEvent('10:00', '24:00') },
+      { response: newEvent('25:00', '11:00') }
+    ]);
+
+    await expect(llm.generateJSON('분석해줘', SCHEDULE_ANALYSIS)).resolves.toEqual(newEvent('10:00', '24:00'));
+
+    const calls = fixtureBackend.getCalls();
+    expect(calls).toHaveLength(2);
+    expect(calls[1].prompt).toContain('분석해줘');
+    expect(calls[1].prompt).toContain('25:00');
+    expect(calls[1].prompt).toContain('startTime');
+  });
+
+  test('repairs a response that is not JSON at all', async () => {
+    fixtureBackend.setFixtures([
+      { match: REPAIR_MARKER, response: '```json\n{"schedules": []}\n```' },
+      { response: '시간표를 읽을 수 없습니다.' }
+    ]);
+
+    await expect(llm.generateJSON('OCR', OCR_SCHEDULES)).resolves.toEqual({ schedules: [] });
+  });
+
+  test('throws SCHEMA_MISMATCH with details after the repair attempts run out', async () => {
+    fixtureBackend.setFixtures([{ response: newEvent('25:00', '11:00') }]);
+
+    const error = await llm.generateJSON('분석해줘', SCHEDULE_ANALYSIS).catch(err => err);
+
+    expect(error).toBeInstanceOf(llm.LlmError);
+    expect(error.code).toBe('SCHEMA_MISMATCH');
+    expect(error.details.length).toBeGreaterThan(0);
+    // 첫 요청 + 기본 재요청 2회
+    expect(fixtureBackend.getCalls()).toHaveLength(3);
+  });
+
+  test('honours LLM_MAX_REPAIR_ATTEMPTS', async () => {
+    process.env.LLM_MAX_REPAIR_ATTEMPTS = '0';
+    fixtureBackend.setFixtures([{ response: 'not json' }]);
+
+    await expect(llm.generateJSON('분석해줘', SCHEDULE_ANALYSIS)).rejects.toMatchObject({ code: 'INVALID_JSON' });
+    expect(fixtureBackend.getCalls()).toHaveLength(1);
+  });
+});
+
+describe('llm schemas', () => {
+  test('time patterns reject impossible times and allow 24:00 only as an end time', () => {
+    expect(validate(newEvent('09:30', '24:00'), SCHEDULE_ANALYSIS)).toEqual([]);
+    expect(validate(newEvent('24:00', '24:30'), SCHEDULE_ANALYSIS)).not.toEqual([]);
+    expect(validate(newEvent('09:00', '24:59'), SCHEDULE_ANALYSIS)).not.toEqual([]);
+    expect(validate(newEvent('09:60', '10:00'), SCHEDULE_ANALYSIS)).not.toEqual([]);
+  });
+
+  test('OCR rows may be partial so one misread row does not fail the whole image', () => {
+    const result = {
+      imageTitle: null,
+      schedules: [
+        { title: '수학', days: ['월', '수'], startTime: '15:00', endTime: '16:00' },
+        { title: null, days: null, startTime: '오후', endTime: null }
+      ]
+    };
+
+    expect(validate(result, OCR_SCHEDULES)).toEqual([]);
+    expect(validate({ imageTitle: null }, OCR_SCHEDULES)).not.toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+const Event = require('../models/event');
+const recurrenceService = require('../services/recurrenceService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const series = (overrides = {}) => ({
+  _id: 'series0000000000000000001',
+  title: '영어 회화',
+  isRecurring: true,
+  startTime: new Date('2020-01-06T01:00:00.000Z'),
+  endTime: new Date('2020-01-06T02:00:00.000Z'),
+  recurrenceRule: { frequency: 'daily', interval: 1 },
+  recurrenceExceptions: [],
+  ...overrides
+});
+
+const startsOf = (occurrences) => occurrences.map(occurrence => new Date(occurrence.startTime).getTime());
+
+describe('recurrenceService.expandEvent', () => {
+  test('expands only the occurrences inside the range', () => {
+    const event = series();
+    const rangeStart = new Date('2020-01-10T00:00:00.000Z');
+    const rangeEnd = new Date('2020-01-13T00:00:00.000Z');
+
+    const occurrences = recurrenceService.expandEvent(event, rangeStart, rangeEnd);
+
+    expect(occurrences).toHaveLength(3);
+    occurrences.forEach(occurrence => {
+      expect(occurrence.isRecurringOccurrence).toBe(true);
+      expect(occurrence.seriesId).toBe(event._id);
+      expect(occurrence.id).toBe(`${event._id}_${new Date(occurrence.occurrenceStart).getTime()}`);
+    });
+  });
+
+  test('expands a range years after the series start without hitting the occurrence cap', () => {
+    const event = series();
+    // 시리즈 시작 후 약 6년 (매일 반복이면 2000회 이상 지난 시점)
+    const rangeStart = new Date('2026-03-02T00:00:00.000Z');
+    const rangeEnd = new Date(rangeStart.getTime() + 7 * DAY_MS);
+
+    const occurrences = recurrenceService.expandEvent(event, rangeStart, rangeEnd);
+
+    expect(occurrences).toHaveLength(7);
+    startsOf(occurrences).forEach(start => {
+      expect(start).toBeGreaterThanOrEqual(rangeStart.getTime());
+      expect(start).toBeLessThan(rangeEnd.getTime());
+    });
+  });
+
+  test('expands monthly series decades ahead', () => {
+    const event = series({ recurrenceRule: { frequency: 'monthly', interval: 1 } });
+    const rangeStart = new Date('2060-01-01T00:00:00.000Z');
+    const rangeEnd = new Date('2060-12-31T23:59:59.000Z');
+
+    expect(recurrenceService.expandEvent(event, rangeStart, rangeEnd)).toHaveLength(12);
+  });
+
+  test('stops a count-limited series after its last occurrence even for far ranges', () => {
+    const event = series({ recurrenceRule: { frequency: 'daily', interval: 1, occurrences: 5 } });
+
+    const early = recurrenceService.expandEvent(event, new Date('2020-01-01T00:00:00.000Z'), new Date('2020-02-01T00:00:00.000Z'));
+    const late = recurrenceService.expandEvent(event, new Date('2020-01-09T00:00:00.000Z'), new Date('2020-02-01T00:00:00.000Z'));
+
+    expect(early).toHaveLength(5);
+    expect(late).toHaveLength(2);
+  });
+
+  test('includes an occurrence that started before the range and is still running', () => {
+    const event = series();
+    const rangeStart = new Date('2024-05-01T01:30:00.000Z');
+    const rangeEnd = new Date('2024-05-01T01:45:00.000Z');
+
+    const occurrences = recurrenceService.expandEvent(event, rangeStart, rangeEnd);
+
+    expect(occurrences).toHaveLength(1);
+    expect(new Date(occurrences[0].startTime).toISOString()).toBe('2024-05-01T01:00:00.000Z');
+  });
+
+  test('applies cancelled and moved "this only" exceptions', () => {
+    const cancelledStart = new Date('2025-02-02T01:00:00.000Z');
+    const movedInStart = new Date('2025-03-10T01:00:00.000Z');
+    const movedOutStart = new Date('2025-02-04T01:00:00.000Z');
+    const event = series({
+      recurrenceExceptions: [
+        { originalStart: cancelledStart, status: 'cancelled' },
+        // 범위 밖 회차를 범위 안으로 옮김
+        {
+          originalStart: movedInStart,
+          status: 'modified',
+          title: '보강',
+          startTime: new Date('2025-02-03T05:00:00.000Z'),
+          endTime: new Date('2025-02-03T06:00:00.000Z')
+        },
+        // 범위 안 회차를 범위 밖으로 옮김
+        {
+          originalStart: movedOutStart,
+          status: 'modified',
+          startTime: new Date('2025-04-01T05:00:00.000Z'),
+          endTime: new Date('2025-04-01T06:00:00.000Z')
+        }
+      ]
+    });
+
+    const occurrences = recurrenceService.expandEvent(
+      event,
+      new Date('2025-02-01T00:00:00.000Z'),
+      new Date('2025-02-05T00:00:00.000Z')
+    );
+    const starts = occurrences.map(occurrence => new Date(occurrence.startTime).toISOString());
+
+    expect(starts).toEqual([
+      '2025-02-01T01:00:00.000Z',
+      '2025-02-03T01:00:00.000Z',
+      '2025-02-03T05:00:00.000Z'
+    ]);
+    const moved = occurrences.find(occurrence => occurrence.isException);
+    expect(moved.title).toBe('보강');
+    expect(new Date(moved.occurrenceStart).getTime()).toBe(movedInStart.getTime());
+  });
+
+  test('returns non-recurring events unchanged', () => {
+    const event = { _id: 'single', isRecurring: false, startTime: new Date(), endTime: new Date() };
+    expect(recurrenceService.expandEvent(event, new Date(0), new Date())).toEqual([event]);
+  });
+});
+
+describe('recurrenceService.hasOccurrence', () => {
+  test('finds occurrences far from the series start', () => {
+    const event = series();
+    expect(recurrenceService.hasOccurrence(event, new Date('2031-07-15T01:00:00.000Z'))).toBe(true);
+    expect(recurrenceService.hasOccurrence(event, new Date('2031-07-15T01:30:00.000Z'))).toBe(false);
+  });
+
+  test('respects the series end date', () => {
+    const event = series({ recurrenceRule: { frequency: 'weekly', interval: 1, endDate: new Date('2020-02-01T00:00:00.000Z') } });
+    expect(recurrenceService.hasOccurrence(event, new Date('2020-01-27T01:00:00.000Z'))).toBe(true);
+    expect(recurrenceService.hasOccurrence(event, new Date('2020-02-03T01:00:00.000Z'))).toBe(false);
+  });
+});
+
+describe('recurrenceService.rekeyExceptions', () => {
+  test('moves exception keys with the series start and drops ones that no longer match', () => {
+    const event = new Event({
+      title: '주간 회의',
+      userId: '507f1f77bcf86cd799439011',
+      isRecurring: true,
+      startTime: new Date('2026-01-01T02:00:00.000Z'),
+      endTime: new Date('2026-01-01T03:00:00.000Z'),
+      recurrenceRule: { frequency: 'weekly', interval: 1 },
+      recurrenceExceptions: [
+        { originalStart: new Date('2026-01-08T01:00:00.000Z'), status: 'cancelled' },
+        { originalStart: new Date('2026-01-09T01:00:00.000Z'), status: 'cancelled' }
+      ]
+    });
+
+    recurrenceService.rekeyExceptions(event, HOUR_MS);
+
+    expect(event.recurrenceExceptions).toHaveLength(1);
+    expect(event.recurrenceExceptions[0].originalStart.toISOString()).toBe('2026-01-08T02:00:00.000Z');
+    expect(event.recurrenceExceptions[0].status).toBe('cancelled');
+  });
+});
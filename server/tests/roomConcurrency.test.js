@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const {
+  RoomConflictError,
+  saveRoomChecked,
+  saveRoomWithRetry,
+  retryOnRoomConflict
+} = require('../utils/roomConcurrency');
+
+const versionError = () => new mongoose.Error.VersionError({ _doc: { _id: 'room1' } }, 1, ['timeSlots']);
+
+const createRes = () => {
+  const res = { headersSent: false, statusCode: 200, body: null };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; res.headersSent = true; return res; });
+  return res;
+};
+
+describe('retryOnRoomConflict', () => {
+  test('runs the handler again after a version conflict', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(versionError())
+      .mockImplementationOnce(async (req, res) => res.json({ ok: true }));
+    const res = createRes();
+    const next = jest.fn();
+
+    await retryOnRoomConflict(handler)({}, res, next);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(res.body).toEqual({ ok: true });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('responds 409 ROOM_CONFLICT when every attempt conflicts', async () => {
+    const handler = jest.fn().mockRejectedValue(new RoomConflictError());
+    const res = createRes();
+
+    await retryOnRoomConflict(handler, { maxRetries: 2 })({}, res, jest.fn());
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('ROOM_CONFLICT');
+  });
+
+  test('passes other errors to next without retrying', async () => {
+    const failure = new Error('boom');
+    const handler = jest.fn().mockRejectedValue(failure);
+    const next = jest.fn();
+
+    await retryOnRoomConflict(handler)({}, createRes(), next);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith(failure);
+  });
+
+  test('does not retry once a response has been sent', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const handler = jest.fn(async (req, res) => {
+      res.json({ ok: true });
+      throw versionError();
+    });
+    const res = createRes();
+
+    await retryOnRoomConflict(handler)({}, res, jest.fn());
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
+
+describe('saveRoomChecked / saveRoomWithRetry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saveRoomChecked forces a version check before saving', async () => {
+    const room = new Room({ name: '수학방', owner: new mongoose.Types.ObjectId() });
+    const increment = jest.spyOn(room, 'increment');
+    const save = jest.spyOn(room, 'save').mockResolvedValue(room);
+
+    await expect(saveRoomChecked(room)).resolves.toBe(room);
+    expect(increment).toHaveBeenCalled();
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('saveRoomWithRetry reapplies the change to the latest room after a conflict', async () => {
+    const stale = new Room({ name: '수학방', owner: new mongoose.Types.ObjectId() });
+    const fresh = new Room({ _id: stale._id, name: '수학방', owner: stale.owner });
+    jest.spyOn(stale, 'save').mockRejectedValue(versionError());
+    jest.spyOn(fresh, 'save').mockResolvedValue(fresh);
+    jest.spyOn(Room, 'findById').mockResolvedValue(fresh);
+    const reapply = jest.fn(async (room) => { room.description = '변경'; });
+
+    const saved = await saveRoomWithRetry(stale, reapply);
+
+    expect(saved).toBe(fresh);
+    expect(reapply).toHaveBeenCalledWith(fresh);
+    expect(fresh.description).toBe('변경');
+  });
+
+  test('saveRoomWithRetry gives up with RoomConflictError', async () => {
+    const room = new Room({ name: '수학방', owner: new mongoose.Types.ObjectId() });
+    jest.spyOn(room, 'save').mockRejectedValue(versionError());
+    jest.spyOn(Room, 'findById').mockResolvedValue(room);
+
+    await expect(saveRoomWithRetry(room, async () => {}, { maxRetries: 2 })).rejects.toBeInstanceOf(RoomConflictError);
+  });
+});
@@ -0,0 +1,58 @@
+const RoomInvite = require('../models/RoomInvite');
+const roomJoinService = require('../services/roomJoinService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('roomJoinService.consumeInvite', () => {
+  let memory;
+
+  const setupInvites = (invites) => {
+    memory = useMemoryModel(RoomInvite, invites);
+    return memory.docs;
+  };
+
+  afterEach(() => {
+    memory.restore();
+  });
+
+  test('stops handing out an invite once maxUses is reached', async () => {
+    const [invite] = setupInvites([{ maxUses: 2, useCount: 0, expiresAt: null, revokedAt: null }]);
+
+    const results = await Promise.all([1, 2, 3].map(() => roomJoinService.consumeInvite(invite._id)));
+
+    expect(results.filter(Boolean)).toHaveLength(2);
+    expect(invite.useCount).toBe(2);
+  });
+
+  test('allows unlimited uses when maxUses is null', async () => {
+    const [invite] = setupInvites([{ maxUses: null, useCount: 41, expiresAt: null, revokedAt: null }]);
+
+    await expect(roomJoinService.consumeInvite(invite._id)).resolves.toMatchObject({ useCount: 42 });
+  });
+
+  test('rejects expired invites', async () => {
+    const [expired, valid] = setupInvites([
+      { maxUses: null, useCount: 0, expiresAt: new Date(Date.now() - DAY_MS), revokedAt: null },
+      { maxUses: null, useCount: 0, expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }
+    ]);
+
+    await expect(roomJoinService.consumeInvite(expired._id)).resolves.toBeNull();
+    await expect(roomJoinService.consumeInvite(valid._id)).resolves.toMatchObject({ useCount: 1 });
+    expect(expired.useCount).toBe(0);
+  });
+
+  test('rejects revoked invites', async () => {
+    const [invite] = setupInvites([{ maxUses: 5, useCount: 0, expiresAt: null, revokedAt: new Date() }]);
+
+    await expect(roomJoinService.consumeInvite(invite._id)).resolves.toBeNull();
+    expect(invite.useCount).toBe(0);
+  });
+});
+
+describe('roomJoinService.isRoomFull', () => {
+  test('counts the owner entry against maxMembers', () => {
+    expect(roomJoinService.isRoomFull({ members: [{}, {}], maxMembers: 2 })).toBe(true);
+    expect(roomJoinService.isRoomFull({ members: [{}], maxMembers: 2 })).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+const schedulingAlgorithm = require('../services/schedulingAlgorithm');
+
+jest.setTimeout(60000);
+
+const weekly = (days, startTime, endTime, priority = 3) =>
+  days.map(dayOfWeek => ({ dayOfWeek, startTime, endTime, priority }));
+
+const owner = { _id: 'owner000000000000000000', firstName: '방장', defaultSchedule: weekly([1, 2, 3, 4, 5], '09:00', '20:00') };
+
+const member = (id, firstName, defaultSchedule) => ({ user: { _id: id, firstName, defaultSchedule }, joinedAt: '2025-01-01' });
+
+// 가/나는 선호시간이 같아서 처리 순서(시드)에 따라 자리가 갈림
+const members = [
+  member('aaaaaaaaaaaaaaaaaaaaaaaa', '가', weekly([2, 4], '16:00', '18:00')),
+  member('bbbbbbbbbbbbbbbbbbbbbbbb', '나', weekly([2, 4], '16:00', '18:00')),
+  member('cccccccccccccccccccccccc', '다', weekly([3], '10:00', '11:00'))
+];
+
+const run = (options) => schedulingAlgorithm.runAutoSchedule(
+  JSON.parse(JSON.stringify(members)),
+  owner,
+  [],
+  {
+    minHoursPerWeek: 1,
+    numWeeks: 2,
+    currentWeek: '2025-09-15T00:00:00.000Z',
+    now: '2025-09-15T00:00:00.000Z',
+    ...options
+  }
+);
+
+const slotsByMember = (result) => Object.values(result.assignments)
+  .map(assignment => [assignment.memberId, assignment.slots.map(slot => `${new Date(slot.date).toISOString()} ${slot.startTime}`)]);
+
+describe('schedulingAlgorithm.runAutoSchedule (seeded)', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('returns identical results and traces for the same seed', async () => {
+    const first = await run({ seed: 's1', explain: true });
+    const second = await run({ seed: 's1', explain: true });
+
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    expect(first.trace.seed).toBe('s1');
+  });
+
+  test('a different seed changes the order of tied members', async () => {
+    const first = await run({ seed: 's1' });
+    const other = await run({ seed: 's2' });
+
+    expect(slotsByMember(other)).not.toEqual(slotsByMember(first));
+  });
+
+  test('adds a trace only when explain is set', async () => {
+    const result = await run({ seed: 's1' });
+
+    expect(result).not.toHaveProperty('trace');
+  });
+});
+
+describe('schedulingAlgorithm.runAutoSchedule (transport mode rules)', () => {
+  const transportOwner = {
+    ...owner,
+    user: { _id: owner._id, addressLat: 37.5, addressLng: 127.0, address: '방장 집' }
+  };
+  const transportMember = {
+    user: {
+      _id: 'dddddddddddddddddddddddd',
+      firstName: '라',
+      defaultSchedule: weekly([1, 2, 3, 4, 5], '10:00', '12:00').map(s => ({ ...s, day: s.dayOfWeek })),
+      addressLat: 37.5,
+      addressLng: 127.0,
+      address: '방장 집'
+    },
+    joinedAt: '2025-01-01'
+  };
+  let logSpy;
+  let previousProvider;
+
+  const runTransport = (schedulingRules) => schedulingAlgorithm.runAutoSchedule(
+    [JSON.parse(JSON.stringify(transportMember))],
+    transportOwner,
+    [],
+    {
+      minHoursPerWeek: 3,
+      numWeeks: 1,
+      transportMode: 'transit',
+      currentWeek: '2025-09-15T00:00:00.000Z',
+      now: '2025-09-15T00:00:00.000Z',
+      roomSettings: { schedulingRules }
+    }
+  );
+
+  const assignedDates = (result) => [...new Set(result.assignments[transportMember.user._id].slots
+    .map(slot => new Date(slot.date).toISOString().split('T')[0]))];
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    previousProvider = process.env.ROUTING_PROVIDER;
+    process.env.ROUTING_PROVIDER = 'straight_line';
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    if (previousProvider === undefined) delete process.env.ROUTING_PROVIDER;
+    else process.env.ROUTING_PROVIDER = previousProvider;
+  });
+
+  test('does not assign sessions beyond a hard max sessions per week rule', async () => {
+    const unrestricted = await runTransport([]);
+    const limited = await runTransport([{ type: 'max_sessions_per_week', enforcement: 'hard', maxSessions: 1 }]);
+
+    expect(assignedDates(unrestricted).length).toBeGreaterThan(1);
+    expect(assignedDates(limited)).toEqual(['2025-09-15']);
+    expect(limited.ruleViolations).toEqual([]);
+  });
+});
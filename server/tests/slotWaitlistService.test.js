@@ -0,0 +1,160 @@
+jest.mock('../services/notificationService', () => ({ notifyUsers: jest.fn().mockResolvedValue([]) }));
+jest.mock('../services/roomHistoryService', () => ({
+  captureTimeSlots: jest.fn(() => []),
+  recordRoomSnapshot: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const Room = require('../models/room');
+const User = require('../models/user');
+const SlotOffer = require('../models/SlotOffer');
+const ActivityLog = require('../models/ActivityLog');
+const { notifyUsers } = require('../services/notificationService');
+const slotWaitlistService = require('../services/slotWaitlistService');
+const { useMemoryModel, query } = require('./helpers/memoryModel');
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+// 먼 미래의 수요일 (블록 시작이 항상 지금 이후)
+const BLOCK_DATE = new Date('2099-03-04T00:00:00.000Z');
+
+const ownerId = objectId();
+const leaverId = objectId();
+const firstId = objectId();
+const secondId = objectId();
+
+const users = [firstId, secondId, leaverId].map((id, index) => ({
+  _id: id,
+  firstName: `조원${index + 1}`,
+  lastName: '',
+  defaultSchedule: [{ dayOfWeek: 3, startTime: '09:00', endTime: '12:00', priority: 3 }]
+}));
+
+const releasedSlots = [
+  { user: leaverId, date: BLOCK_DATE, day: 'wednesday', startTime: '10:00', endTime: '10:30', subject: '수학' },
+  { user: leaverId, date: BLOCK_DATE, day: 'wednesday', startTime: '10:30', endTime: '11:00', subject: '수학' }
+];
+
+const createRoom = () => new Room({
+  name: '수학방',
+  owner: ownerId,
+  settings: { timezone: 'Asia/Seoul' },
+  members: [
+    { user: ownerId, joinedAt: new Date('2025-01-01') },
+    { user: firstId, joinedAt: new Date('2025-01-02') },
+    { user: secondId, joinedAt: new Date('2025-01-03') }
+  ],
+  timeSlots: []
+});
+
+describe('slotWaitlistService offer / expiry / claim', () => {
+  let offers;
+  let room;
+
+  beforeEach(() => {
+    offers = useMemoryModel(SlotOffer);
+    room = createRoom();
+    jest.spyOn(Room, 'findById').mockImplementation(() => query(room));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function save() { return Promise.resolve(this); });
+    jest.spyOn(User, 'find').mockImplementation(() => query(users));
+    jest.spyOn(User, 'findById').mockImplementation(id => query(users.find(user => user._id === String(id)) || null));
+    jest.spyOn(ActivityLog, 'logActivity').mockResolvedValue(null);
+    notifyUsers.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const offerBlock = async () => {
+    const [offer] = await slotWaitlistService.offerReleasedSlots(room, releasedSlots, { reason: 'member_leave', releasedBy: leaverId });
+    return offers.docs.find(doc => doc._id === offer._id);
+  };
+
+  const expire = (stored) => {
+    stored.expiresAt = new Date(Date.now() - 1000);
+  };
+
+  test('offers a released block to the first eligible member on the waitlist', async () => {
+    const stored = await offerBlock();
+
+    expect(stored).toMatchObject({ status: 'offered', offeredTo: firstId, startTime: '10:00', endTime: '11:00' });
+    expect(stored.candidates).toEqual([firstId, secondId]);
+    expect(stored.slots).toHaveLength(2);
+    expect(notifyUsers).toHaveBeenCalledWith([firstId], expect.objectContaining({ type: 'slot_offer' }));
+  });
+
+  test('an expired offer moves to the next candidate, who can then claim it', async () => {
+    const stored = await offerBlock();
+    expire(stored);
+
+    await expect(slotWaitlistService.expireDueOffers()).resolves.toEqual({ processed: 1 });
+    expect(stored).toMatchObject({ status: 'offered', offeredTo: secondId, candidateIndex: 1 });
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const late = await slotWaitlistService.claimOffer(stored._id, firstId);
+    expect(late.error.status).toBe(400);
+
+    const result = await slotWaitlistService.claimOffer(stored._id, secondId);
+    expect(result.error).toBeUndefined();
+    expect(room.timeSlots.map(slot => [slot.user.toString(), slot.startTime])).toEqual([
+      [secondId, '10:00'],
+      [secondId, '10:30']
+    ]);
+    expect(stored.status).toBe('claimed');
+    expect(stored.history.map(entry => [entry.user, entry.outcome])).toEqual([
+      [firstId, 'expired'],
+      [secondId, 'claimed']
+    ]);
+  });
+
+  test('the offer is exhausted when the last candidate lets it expire', async () => {
+    const stored = await offerBlock();
+    expire(stored);
+    await slotWaitlistService.expireDueOffers();
+    expire(stored);
+    await slotWaitlistService.expireDueOffers();
+
+    expect(stored).toMatchObject({ status: 'exhausted', offeredTo: null });
+    expect(stored.history.map(entry => entry.outcome)).toEqual(['expired', 'expired']);
+  });
+
+  test('a claim after the deadline is refused even before the expiry job runs', async () => {
+    const stored = await offerBlock();
+    expire(stored);
+
+    const result = await slotWaitlistService.claimOffer(stored._id, firstId);
+
+    expect(result.error.status).toBe(410);
+    expect(room.timeSlots).toHaveLength(0);
+  });
+
+  test('concurrent claims of the same offer add the slots only once', async () => {
+    const stored = await offerBlock();
+
+    const results = await Promise.all([
+      slotWaitlistService.claimOffer(stored._id, firstId),
+      slotWaitlistService.claimOffer(stored._id, firstId)
+    ]);
+
+    expect(results.filter(result => !result.error)).toHaveLength(1);
+    expect(results.find(result => result.error).error.status).toBe(409);
+    expect(room.timeSlots).toHaveLength(2);
+    expect(stored.history.map(entry => entry.outcome)).toEqual(['claimed']);
+  });
+
+  test('a failed room save releases the claim so it can be retried', async () => {
+    const stored = await offerBlock();
+    const deadline = stored.expiresAt;
+    const conflict = new mongoose.Error.VersionError({ _doc: { _id: room._id } }, 1, ['timeSlots']);
+    Room.prototype.save.mockRejectedValueOnce(conflict);
+
+    await expect(slotWaitlistService.claimOffer(stored._id, firstId)).rejects.toBe(conflict);
+    expect(stored).toMatchObject({ status: 'offered', offeredTo: firstId, claimedBy: null });
+    expect(stored.expiresAt).toEqual(deadline);
+
+    room = createRoom();
+    await expect(slotWaitlistService.claimOffer(stored._id, firstId)).resolves.not.toHaveProperty('error');
+    expect(stored.status).toBe('claimed');
+  });
+});
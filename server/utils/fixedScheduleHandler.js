@@ -5,7 +5,7 @@
  *
  * 📍 위치: 백엔드 > server/utils > fixedScheduleHandler.js
  * 🎯 주요 기능:
- *    - 사용자의 자연어 입력에서 고정 일정(Pin Class) 및 커스텀 개인 일정(Add Custom) 의도를 AI(Gemini)로 분석.
+ *    - 사용자의 자연어 입력에서 고정 일정(Pin Class) 및 커스텀 개인 일정(Add Custom) 의도를 AI로 분석.
  *    - 수업명, 강사명, 시간, 요일 정보를 기반으로 업로드된 시간표 내에서 특정 수업을 지능적으로 탐색.
  *    - 사용자가 지정한 수업을 '고정 일정' 객체로 변환하고, 필요한 메타데이터(학원명, 색상 등)를 보강.
  *    - 개인 일정(예: "밥 약속") 추가 시 접미사 제거 및 인덱스 할당을 통해 정규화된 고정 일정 생성.
@@ -26,46 +26,29 @@
  * ===================================================================================================
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { FIXED_SCHEDULE_INTENT_PROMPT } = require('../prompts/fixedSchedulePrompts');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../services/llm');
+const { FIXED_SCHEDULE_INTENT } = require('../services/llm/schemas');
 
 /**
  * analyzeFixedScheduleIntent
- * @description 사용자 입력 메시지를 Gemini AI로 분석하여 고정 일정과 관련된 의도(Intent)와 파라미터를 추출합니다.
+ * @description 사용자 입력 메시지를 AI로 분석하여 고정 일정과 관련된 의도(Intent)와 파라미터를 추출합니다.
  * @param {string} userInput - 사용자의 채팅 메시지.
  * @param {Array} [availableClasses=[]] - 현재 선택 가능한 수업 목록 (컨텍스트 제공용).
- * @returns {Promise<Object>} 파싱된 의도 및 데이터 객체.
+ * @returns {Promise<Object>} 스키마(FIXED_SCHEDULE_INTENT)로 검증된 의도 및 데이터 객체.
+ * @throws {LlmError} AI 호출 실패 또는 재요청 후에도 응답 형식이 맞지 않을 때.
  */
 async function analyzeFixedScheduleIntent(userInput, availableClasses = []) {
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
-    // 수업 목록 문자열 생성 - 강사 이름 포함
-    const classList = availableClasses.length > 0
-      ? availableClasses.map(c => `- ${c.title} (강사: ${c.instructor || '없음'}) [${c.days?.join(', ')} ${c.startTime}-${c.endTime}]`).join('\n')
-      : '(현재 업로드된 시간표 없음)';
+  // 수업 목록 문자열 생성 - 강사 이름 포함
+  const classList = availableClasses.length > 0
+    ? availableClasses.map(c => `- ${c.title} (강사: ${c.instructor || '없음'}) [${c.days?.join(', ')} ${c.startTime}-${c.endTime}]`).join('\n')
+    : '(현재 업로드된 시간표 없음)';
 
-    const prompt = FIXED_SCHEDULE_INTENT_PROMPT
-      .replace('{{AVAILABLE_CLASSES}}', classList)
-      .replace('{{USER_INPUT}}', userInput);
+  const prompt = FIXED_SCHEDULE_INTENT_PROMPT
+    .replace('{{AVAILABLE_CLASSES}}', classList)
+    .replace('{{USER_INPUT}}', userInput);
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text().trim();
-
-    // JSON 파싱
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { intent: 'none' };
-    }
-
-    const parsed = JSON.parse(jsonMatch[0]);
-
-    return parsed;
-  } catch (error) {
-    return { intent: 'none' };
-  }
+  return llm.generateJSON(prompt, FIXED_SCHEDULE_INTENT);
 }
 
 /**
@@ -0,0 +1,146 @@
+/**
+ * ===================================================================================================
+ * icalendar.js - iCalendar(.ics, RFC 5545) 문서 생성 유틸리티
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > icalendar.js
+ * 🎯 주요 기능:
+ *    - 일정 목록을 VCALENDAR/VEVENT 텍스트로 직렬화.
+ *    - 텍스트 이스케이프(쉼표, 세미콜론, 줄바꿈) 및 75옥텟 줄 접기(folding) 처리.
+ *    - 반복 규칙(RRULE)과 제외 날짜(EXDATE) 출력 지원.
+ *
+ * 🔗 연결된 파일:
+ *    - server/services/calendarFeedService.js - 사용자/방 구독 피드 생성 시 사용.
+ *
+ * ✏️ 수정 가이드:
+ *    - VEVENT에 새 속성을 추가하려면 buildVEvent 내의 lines 배열에 항목 추가.
+ *
+ * 📝 참고사항:
+ *    - 모든 시각은 UTC(…Z) 형식으로 출력하여 구독하는 캘린더 앱의 시간대 해석 차이를 없앰.
+ *
+ * ===================================================================================================
+ */
+
+const PRODUCT_ID = '-//MeetAgent//AI Schedule//KO';
+
+/**
+ * Date를 iCalendar UTC 형식(YYYYMMDDTHHMMSSZ)으로 변환
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * TEXT 값 이스케이프 (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 75옥텟을 넘는 줄을 접기 (이어지는 줄은 공백 한 칸으로 시작)
+ * - 한글 등 멀티바이트 문자가 잘리지 않도록 문자 단위로 자름
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * 반복 규칙 객체를 RRULE 값으로 변환
+ * @param {Object} rule - { frequency, interval, until, count, byDay }
+ * @returns {string}
+ */
+function buildRRule(rule) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${formatUtc(rule.until)}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * VEVENT 블록 생성
+ * @param {Object} entry - { uid, start, end, summary, description, location, status, transparent, rrule, exdates, categories }
+ * @returns {string[]} - 접기 전의 줄 배열
+ */
+function buildVEvent(entry) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatUtc(entry.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(entry.start)}`,
+    `DTEND:${formatUtc(entry.end)}`,
+    `SUMMARY:${escapeText(entry.summary)}`
+  ];
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.categories && entry.categories.length > 0) {
+    lines.push(`CATEGORIES:${entry.categories.map(escapeText).join(',')}`);
+  }
+  if (entry.status) lines.push(`STATUS:${entry.status}`);
+  lines.push(`TRANSP:${entry.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+  if (entry.rrule) lines.push(`RRULE:${buildRRule(entry.rrule)}`);
+  (entry.exdates || []).forEach(exdate => lines.push(`EXDATE:${formatUtc(exdate)}`));
+  if (entry.recurrenceId) lines.push(`RECURRENCE-ID:${formatUtc(entry.recurrenceId)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * VCALENDAR 문서 생성
+ * @param {Object[]} entries - buildVEvent 입력 객체 배열
+ * @param {Object} [options] - { name, timezone }
+ * @returns {string} - CRLF 줄바꿈의 .ics 문서
+ */
+function buildCalendar(entries, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  if (options.timezone) lines.push(`X-WR-TIMEZONE:${options.timezone}`);
+
+  entries.forEach(entry => lines.push(...buildVEvent(entry)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatUtc,
+  escapeText,
+  foldLine,
+  buildRRule,
+  buildVEvent,
+  buildCalendar
+};
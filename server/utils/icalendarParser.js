@@ -0,0 +1,319 @@
+/**
+ * ===================================================================================================
+ * icalendarParser.js - iCalendar(.ics, RFC 5545) 문서 파싱 유틸리티
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > icalendarParser.js
+ * 🎯 주요 기능:
+ *    - .ics 텍스트를 VEVENT 단위의 일반 객체 배열로 변환.
+ *    - 줄 접기(folding) 해제, TEXT 값 이스케이프 해제, 파라미터(TZID, VALUE=DATE) 해석.
+ *    - DTSTART/DTEND의 UTC, TZID 지정, 시간대 없는(floating) 시각, 종일(DATE) 형식 지원.
+ *    - RRULE, EXDATE, RECURRENCE-ID, VALARM(TRIGGER) 해석.
+ *
+ * 🔗 연결된 파일:
+ *    - server/utils/icalendar.js - 반대 방향(.ics 생성) 유틸리티.
+ *    - server/utils/timezone.js - 시간대 변환.
+ *    - server/services/calendarImportService.js - 파싱 결과를 일정으로 변환.
+ *
+ * ✏️ 수정 가이드:
+ *    - 새 VEVENT 속성을 읽으려면 applyEventProperty의 switch 문에 case 추가.
+ *
+ * 📝 참고사항:
+ *    - TZID를 Intl이 인식하지 못하는 경우(예: Windows 시간대 이름) 기본 시간대로 해석합니다.
+ *    - VTIMEZONE 정의는 읽지 않고 IANA 시간대 이름만 사용합니다.
+ *
+ * ===================================================================================================
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc } = require('./timezone');
+
+const ICAL_WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+/**
+ * 접힌 줄을 펼쳐 논리적 줄 배열로 변환
+ * @param {string} text - .ics 원문
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim().length > 0);
+}
+
+/**
+ * TEXT 값 이스케이프 해제 (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * 한 줄을 { name, params, value }로 분리 (따옴표 안의 콜론/세미콜론은 무시)
+ * @param {string} line
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const head = line.slice(0, colonIndex);
+  const value = line.slice(colonIndex + 1);
+  const segments = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const name = (segments.shift() || '').toUpperCase();
+  const params = {};
+  segments.forEach(segment => {
+    const eqIndex = segment.indexOf('=');
+    if (eqIndex === -1) return;
+    params[segment.slice(0, eqIndex).toUpperCase()] = segment.slice(eqIndex + 1).replace(/^"|"$/g, '');
+  });
+  return { name, params, value };
+}
+
+/**
+ * DATE / DATE-TIME 값을 해석
+ * @param {string} value - 20240101 | 20240101T090000 | 20240101T090000Z
+ * @param {Object} params - 파라미터 (TZID, VALUE)
+ * @param {string} defaultTimezone - 시간대 정보가 없을 때 사용할 시간대
+ * @returns {{date: Date, isAllDay: boolean, dateStr: string}|null}
+ */
+function parseDateValue(value, params = {}, defaultTimezone = DEFAULT_TIMEZONE) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const dateStr = `${y}-${mo}-${d}`;
+  const isAllDay = params.VALUE === 'DATE' || h === undefined;
+
+  if (isAllDay) {
+    // 종일 일정은 기본 시간대의 자정으로 고정
+    return { date: zonedTimeToUtc([+y, +mo, +d, 0, 0, 0], defaultTimezone), isAllDay: true, dateStr };
+  }
+
+  const fields = [+y, +mo, +d, +h, +mi, +(s || 0)];
+  if (utc) {
+    return { date: new Date(Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5])), isAllDay: false, dateStr };
+  }
+
+  const timeZone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : defaultTimezone;
+  return { date: zonedTimeToUtc(fields, timeZone), isAllDay: false, dateStr };
+}
+
+/**
+ * DURATION 값을 ms로 변환 (예: PT1H30M, -PT15M, P1D)
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const ms = ((+(w || 0) * 7 + +(d || 0)) * 86400 + +(h || 0) * 3600 + +(m || 0) * 60 + +(s || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * RRULE 값을 해석
+ * @param {string} value - FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=...
+ * @param {string} defaultTimezone
+ * @returns {Object} - { frequency, interval, until, count, byDay, hasOrdinalByDay, unsupported }
+ */
+function parseRRule(value, defaultTimezone = DEFAULT_TIMEZONE) {
+  const rule = { frequency: null, interval: 1, until: null, count: null, byDay: [], hasOrdinalByDay: false, unsupported: [] };
+
+  String(value).split(';').forEach(part => {
+    const [key, raw] = part.split('=');
+    if (!key || raw === undefined) return;
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = raw.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(raw, 10) || 1);
+        break;
+      case 'UNTIL': {
+        const parsed = parseDateValue(raw, {}, defaultTimezone);
+        if (parsed) {
+          // 종일 UNTIL은 해당 날짜 전체를 포함
+          rule.until = parsed.isAllDay ? new Date(parsed.date.getTime() + 86400000 - 1) : parsed.date;
+        }
+        break;
+      }
+      case 'COUNT':
+        rule.count = parseInt(raw, 10) || null;
+        break;
+      case 'BYDAY':
+        raw.split(',').forEach(token => {
+          const dayMatch = /^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(token.trim().toUpperCase());
+          if (!dayMatch) return;
+          if (dayMatch[1]) rule.hasOrdinalByDay = true;
+          rule.byDay.push(ICAL_WEEKDAYS[dayMatch[2]]);
+        });
+        break;
+      case 'WKST':
+        break;
+      default:
+        rule.unsupported.push(key.toUpperCase());
+    }
+  });
+
+  return rule;
+}
+
+/**
+ * VEVENT의 한 속성을 결과 객체에 반영
+ * @param {Object} event - 누적 중인 VEVENT 객체
+ * @param {Object} prop - parseContentLine 결과
+ * @param {string} defaultTimezone
+ */
+function applyEventProperty(event, prop, defaultTimezone) {
+  switch (prop.name) {
+    case 'UID':
+      event.uid = prop.value.trim();
+      break;
+    case 'SUMMARY':
+      event.summary = unescapeText(prop.value);
+      break;
+    case 'DESCRIPTION':
+      event.description = unescapeText(prop.value);
+      break;
+    case 'LOCATION':
+      event.location = unescapeText(prop.value);
+      break;
+    case 'STATUS':
+      event.status = prop.value.trim().toUpperCase();
+      break;
+    case 'TRANSP':
+      event.transparent = prop.value.trim().toUpperCase() === 'TRANSPARENT';
+      break;
+    case 'DTSTART': {
+      const parsed = parseDateValue(prop.value, prop.params, defaultTimezone);
+      if (parsed) {
+        event.start = parsed.date;
+        event.isAllDay = parsed.isAllDay;
+        event.startDateStr = parsed.dateStr;
+      }
+      break;
+    }
+    case 'DTEND': {
+      const parsed = parseDateValue(prop.value, prop.params, defaultTimezone);
+      if (parsed) event.end = parsed.date;
+      break;
+    }
+    case 'DURATION':
+      event.durationMs = parseDuration(prop.value);
+      break;
+    case 'RRULE':
+      event.rrule = parseRRule(prop.value, defaultTimezone);
+      break;
+    case 'EXDATE':
+      prop.value.split(',').forEach(value => {
+        const parsed = parseDateValue(value, prop.params, defaultTimezone);
+        if (parsed) event.exdates.push(parsed.date);
+      });
+      break;
+    case 'RECURRENCE-ID': {
+      const parsed = parseDateValue(prop.value, prop.params, defaultTimezone);
+      if (parsed) event.recurrenceId = parsed.date;
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * .ics 문서를 VEVENT 객체 배열로 파싱
+ * @param {string} text - .ics 원문
+ * @param {Object} [options] - { defaultTimezone }
+ * @returns {{calendarName: string|null, timezone: string, events: Object[]}}
+ * @throws {Error} VCALENDAR 형식이 아닌 경우
+ */
+function parseCalendar(text, options = {}) {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+    throw new Error('유효한 iCalendar 파일이 아닙니다.');
+  }
+
+  // X-WR-TIMEZONE이 있으면 시간대 없는 시각의 기준으로 사용
+  let calendarName = null;
+  let defaultTimezone = options.defaultTimezone || DEFAULT_TIMEZONE;
+  lines.forEach(line => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+    if (prop.name === 'X-WR-CALNAME') calendarName = unescapeText(prop.value);
+    if (prop.name === 'X-WR-TIMEZONE' && isValidTimezone(prop.value.trim())) defaultTimezone = prop.value.trim();
+  });
+
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN') {
+      const component = prop.value.trim().toUpperCase();
+      stack.push(component);
+      if (component === 'VEVENT') {
+        current = { exdates: [], alarms: [], isAllDay: false };
+      }
+      return;
+    }
+
+    if (prop.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        if (current.start) {
+          if (!current.end) {
+            const fallback = current.isAllDay ? 86400000 : 0;
+            current.end = new Date(current.start.getTime() + (current.durationMs ?? fallback));
+          }
+          delete current.durationMs;
+          events.push(current);
+        }
+        current = null;
+      }
+      return;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VEVENT' && current) {
+      applyEventProperty(current, prop, defaultTimezone);
+    } else if (component === 'VALARM' && current && prop.name === 'TRIGGER') {
+      // 시작 기준 상대 TRIGGER만 지원 (예: -PT15M)
+      const offset = parseDuration(prop.value);
+      if (offset !== null && offset <= 0 && prop.params.RELATED !== 'END') {
+        current.alarms.push({ minutesBefore: Math.round(-offset / 60000) });
+      }
+    }
+  });
+
+  return { calendarName, timezone: defaultTimezone, events };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  unfoldLines,
+  unescapeText,
+  parseContentLine,
+  parseDateValue,
+  parseDuration,
+  parseRRule,
+  zonedTimeToUtc,
+  parseCalendar
+};
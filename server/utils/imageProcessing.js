@@ -5,7 +5,7 @@
  *
  * 📍 위치: 백엔드 > server/utils > imageProcessing.js
  * 🎯 주요 기능:
- *    - 업로드된 이미지 버퍼를 Gemini AI(Vision)에서 인식 가능한 Base64 인라인 데이터 형식으로 변환.
+ *    - 업로드된 이미지 버퍼를 AI 모델(Vision)에 전달할 Base64 이미지 데이터 형식으로 변환.
  *    - 여러 장의 이미지를 일괄 처리할 때, 기존 이미지 및 현재 배치 내의 이미지 간 중복을 자동 제거.
  *    - 중복 이미지 발견 시 사용자에게 알림을 보내거나 자동으로 걸러내는 필터링 로직 제공.
  *    - 이미지 유사도 분석을 통해 불필요한 AI 호출을 줄이고 서버 리소스 사용 최적화.
@@ -26,18 +26,16 @@
 
 /**
  * convertToImageParts
- * @description 이미지 버퍼를 Gemini API의 요구 규격인 inlineData 객체 배열로 변환합니다.
+ * @description 이미지 버퍼를 LLM 공통 모듈(services/llm)의 `images` 옵션 형식으로 변환합니다.
  * @param {Buffer} imageBuffer - 원본 이미지 바이너리 데이터.
  * @param {string} mimeType - 이미지의 MIME 타입 (예: image/jpeg).
- * @returns {Array} AI 모델 요청에 주입할 이미지 데이터 배열.
+ * @returns {Array} AI 모델 요청에 주입할 이미지 데이터 배열 ([{ data, mimeType }]).
  */
 function convertToImageParts(imageBuffer, mimeType) {
   return [
     {
-      inlineData: {
-        data: imageBuffer.toString('base64'),
-        mimeType: mimeType,
-      },
+      data: imageBuffer.toString('base64'),
+      mimeType: mimeType,
     },
   ];
 }
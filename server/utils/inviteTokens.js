@@ -0,0 +1,62 @@
+/**
+ * ===================================================================================================
+ * inviteTokens.js - 방 초대 코드 / 초대 링크 토큰 생성
+ * ===================================================================================================
+ *
+ * 설명: crypto 기반 난수로 방 초대 코드와 초대 링크 토큰을 생성
+ *
+ * 주요 기능:
+ * - generateRoomCode: 사람이 입력하는 방 코드 (헷갈리는 0/O, 1/I/L 제외, 8자)
+ * - generateUniqueRoomCode: 다른 방과 겹치지 않는 방 코드
+ * - generateInviteToken: 링크로만 공유하는 초대 토큰 (URL-safe)
+ *
+ * 관련 파일:
+ * - server/models/room.js - inviteCode 필드
+ * - server/models/RoomInvite.js - 초대 링크
+ * - server/controllers/roomInviteController.js - 코드 재발급
+ *
+ * ===================================================================================================
+ */
+
+const crypto = require('crypto');
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 8;
+
+/**
+ * 방 초대 코드 생성
+ * @returns {string}
+ */
+const generateRoomCode = () => {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * 다른 방과 겹치지 않는 초대 코드 생성
+ * @param {Object} Room - Room 모델 (순환 require를 피하기 위해 인자로 받음)
+ * @returns {Promise<string>}
+ */
+const generateUniqueRoomCode = async (Room) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generateRoomCode();
+    if (!(await Room.exists({ inviteCode: code }))) return code;
+  }
+  throw new Error('초대 코드 생성에 실패했습니다.');
+};
+
+/**
+ * 초대 링크 토큰 생성
+ * @returns {string}
+ */
+const generateInviteToken = () => crypto.randomBytes(24).toString('base64url');
+
+module.exports = {
+  ROOM_CODE_LENGTH,
+  generateRoomCode,
+  generateUniqueRoomCode,
+  generateInviteToken
+};
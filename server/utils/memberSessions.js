@@ -0,0 +1,147 @@
+/**
+ * ===================================================================================================
+ * memberSessions.js - 조원별 수업 구성(수업 길이 / 주당 횟수 / 가능 요일 / 과목) 정의와 검증
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > memberSessions.js
+ * 🎯 주요 기능:
+ *    - 조원별 수업 구성 검증/정리(validateMemberSessions) - room.members[].sessions에 저장할 형태로.
+ *    - 수업 구성으로 만든 슬롯 판별(isSessionSlot)과 교환/이동 시 과목·수업 ID 유지(getSessionSlotFields).
+ *    - 교환/이동 목표 날짜가 수업 가능 요일인지 검사(getSessionDayError).
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/room.js - members[].sessions, timeSlots[].sessionId 스키마.
+ *    - server/controllers/coordinationMemberController.js - 조원 수업 구성 저장 API.
+ *    - server/services/schedulingAlgorithm/helpers/sessionHelper.js - 자동 배정 중 수업 단위 배정.
+ *    - server/controllers/coordinationExchangeController.js, coordinationExchangeController/ - 교환/이동 흐름.
+ *
+ * ✏️ 수정 가이드:
+ *    - 수업 길이 범위를 바꾸면 클라이언트 RoomSessionsPanel의 입력 범위도 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 수업 구성이 없는 조원은 기존처럼 주당 최소 시간(minHoursPerWeek)과 최소 수업 시간(minClassDurationMinutes)으로 배정됩니다.
+ *    - 과목(subject)은 배정 슬롯의 TimeSlot.subject가 되며, 비우면 '자동 배정'으로 저장됩니다.
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_MEMBER_SESSIONS = 5;
+const SESSION_DURATION_STEP = 10; // 배정 슬롯 단위 (분)
+const MIN_SESSION_DURATION = 10;
+const MAX_SESSION_DURATION = 240;
+const MAX_SESSIONS_PER_WEEK = 7;
+const MAX_SESSION_SUBJECT_LENGTH = 30;
+
+// 시간표에서 다른 의미로 쓰는 subject (이동시간 슬롯, 협의 슬롯 판별과 겹치지 않게)
+const RESERVED_SUBJECTS = ['이동시간', 'Travel Time'];
+
+const DAY_LABELS_KO = ['일', '월', '화', '수', '목', '금', '토'];
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+/**
+ * 조원 수업 구성 검증 및 정리 (저장할 형태로)
+ * @param {Array} sessions - 요청 수업 구성 [{ subject, durationMinutes, sessionsPerWeek, days }]
+ * @returns {{ sessions: Array, error: string|null }}
+ */
+const validateMemberSessions = (sessions) => {
+  if (!Array.isArray(sessions)) return { error: '수업 구성은 배열이어야 합니다.' };
+  if (sessions.length > MAX_MEMBER_SESSIONS) return { error: `수업 구성은 조원마다 최대 ${MAX_MEMBER_SESSIONS}개까지 만들 수 있습니다.` };
+
+  const normalized = [];
+  for (const [index, session] of sessions.entries()) {
+    const position = `${index + 1}번째 수업`;
+    if (!session || typeof session !== 'object') return { error: `${position}이 올바르지 않습니다.` };
+
+    const durationMinutes = Number(session.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < MIN_SESSION_DURATION || durationMinutes > MAX_SESSION_DURATION
+      || durationMinutes % SESSION_DURATION_STEP !== 0) {
+      return { error: `${position}: 수업 길이는 ${MIN_SESSION_DURATION} ~ ${MAX_SESSION_DURATION}분, ${SESSION_DURATION_STEP}분 단위로 설정해주세요.` };
+    }
+
+    const sessionsPerWeek = Number(session.sessionsPerWeek);
+    if (!Number.isInteger(sessionsPerWeek) || sessionsPerWeek < 1 || sessionsPerWeek > MAX_SESSIONS_PER_WEEK) {
+      return { error: `${position}: 주당 횟수는 1 ~ ${MAX_SESSIONS_PER_WEEK}회로 설정해주세요.` };
+    }
+
+    const days = session.days === undefined ? [] : session.days;
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: `${position}: 가능 요일은 0(일) ~ 6(토) 숫자 목록이어야 합니다.` };
+    }
+    const uniqueDays = [...new Set(days)].sort();
+    if (uniqueDays.length > 0 && uniqueDays.length < sessionsPerWeek) {
+      return { error: `${position}: 같은 수업은 하루에 한 번만 배정되므로 가능 요일을 주당 횟수(${sessionsPerWeek}회) 이상 골라주세요.` };
+    }
+
+    const subject = typeof session.subject === 'string' ? session.subject.trim() : '';
+    if (subject.length > MAX_SESSION_SUBJECT_LENGTH) {
+      return { error: `${position}: 과목은 ${MAX_SESSION_SUBJECT_LENGTH}자 이하로 입력해주세요.` };
+    }
+    if (RESERVED_SUBJECTS.includes(subject) || subject.includes('협의')) {
+      return { error: `${position}: '${subject}'는 과목 이름으로 쓸 수 없습니다.` };
+    }
+
+    normalized.push({
+      ...(session._id && mongoose.isValidObjectId(session._id) ? { _id: session._id } : {}),
+      subject,
+      durationMinutes,
+      sessionsPerWeek,
+      days: uniqueDays
+    });
+  }
+
+  return { sessions: normalized, error: null };
+};
+
+/**
+ * 수업 구성으로 배정된 슬롯인지 (과목이 '자동 배정'이 아니어도 자동 배정 슬롯으로 취급)
+ * @param {Object} slot - TimeSlot
+ * @returns {boolean}
+ */
+const isSessionSlot = (slot) => Boolean(slot?.sessionId);
+
+/**
+ * 슬롯을 옮겨 새로 만들 때 유지할 수업 필드 (수업 슬롯이 아니면 빈 객체)
+ * @param {Object} slot - 원래 슬롯
+ * @returns {Object} { subject, sessionId } 또는 {}
+ */
+const getSessionSlotFields = (slot) => (
+  isSessionSlot(slot) ? { subject: slot.subject, sessionId: slot.sessionId } : {}
+);
+
+/**
+ * 슬롯 블록을 targetDate로 옮길 때 수업 가능 요일을 어기는지 검사
+ * @param {Object} room - Room (members[].sessions 포함)
+ * @param {string} userId - 슬롯 주인
+ * @param {Array} slots - 옮길 슬롯 블록
+ * @param {Date} targetDate - 목표 날짜 (UTC 자정)
+ * @returns {string|null} 어기면 사용자에게 보여줄 메시지
+ */
+const getSessionDayError = (room, userId, slots, targetDate) => {
+  const sessionSlot = (slots || []).find(isSessionSlot);
+  if (!sessionSlot) return null;
+
+  const member = (room.members || []).find(m => toIdString(m.user) === userId.toString());
+  const session = (member?.sessions || []).find(s => toIdString(s._id) === toIdString(sessionSlot.sessionId));
+  if (!session || !session.days || session.days.length === 0) return null;
+
+  if (session.days.includes(new Date(targetDate).getUTCDay())) return null;
+  const label = session.subject || '이 수업';
+  const allowedDays = [...session.days].sort().map(day => DAY_LABELS_KO[day]).join(', ');
+  return `${label}은(는) ${allowedDays}요일에만 배정할 수 있습니다.`;
+};
+
+module.exports = {
+  MAX_MEMBER_SESSIONS,
+  SESSION_DURATION_STEP,
+  MIN_SESSION_DURATION,
+  MAX_SESSION_DURATION,
+  MAX_SESSIONS_PER_WEEK,
+  MAX_SESSION_SUBJECT_LENGTH,
+  validateMemberSessions,
+  isSessionSlot,
+  getSessionSlotFields,
+  getSessionDayError
+};
@@ -0,0 +1,150 @@
+/**
+ * ===================================================================================================
+ * roomConcurrency.js - Room 문서 동시 수정 충돌 처리
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > roomConcurrency.js
+ * 🎯 주요 기능:
+ *    - saveRoomChecked: 버전(__v)을 확인하며 저장. 읽은 뒤 다른 요청이 먼저 저장했으면 VersionError로 실패함.
+ *    - saveRoomWithRetry: 최신 문서를 다시 읽어 변경사항을 재적용(reapply)한 뒤 다시 저장 (saveUserWithRetry와 같은 방식).
+ *    - retryOnRoomConflict: 핸들러 전체를 최신 방 기준으로 다시 실행하는 라우트 래퍼 (교환/요청 처리).
+ *    - sendRoomConflict: 재시도로도 해결되지 않은 충돌을 409로 응답.
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/room.js - 버전 키(__v).
+ *    - server/routes/coordination.js - 교환/요청 라우트에 retryOnRoomConflict 적용.
+ *    - server/services/confirmScheduleService.js - 확정 저장 시 saveRoomWithRetry 사용.
+ *    - client/src/hooks/useCoordination.js - 409 응답 시 방 정보 새로고침.
+ *
+ * ✏️ 수정 가이드:
+ *    - 재시도 횟수를 바꾸려면 DEFAULT_MAX_RETRIES 수정.
+ *
+ * 📝 참고사항:
+ *    - 버전 확인은 충돌을 처리하는 라우트(sendRoomConflict / retryOnRoomConflict)의 저장에만 씁니다.
+ *      그 밖의 room.save()(배치 작업, 알림 기록 등)는 확인 없이 저장되어 409 처리 없이 실패하지 않습니다.
+ *    - retryOnRoomConflict로 감싼 핸들러는 catch에서 충돌 오류를 다시 던져야 합니다 (isRoomConflictError).
+ *    - 재실행되므로 방을 저장하기 전에 되돌릴 수 없는 작업(알림, 사용자 저장 등)을 하지 않아야 합니다.
+ *
+ * ===================================================================================================
+ */
+
+const Room = require('../models/room');
+
+const DEFAULT_MAX_RETRIES = 3;
+const CONFLICT_MESSAGE = '다른 사용자가 먼저 방 시간표를 변경했습니다. 새로고침 후 다시 시도해주세요.';
+
+/**
+ * Room 동시 수정 충돌 오류
+ * code: 'ROOM_CONFLICT'
+ */
+class RoomConflictError extends Error {
+  constructor(message = CONFLICT_MESSAGE, cause) {
+    super(message);
+    this.name = 'RoomConflictError';
+    this.code = 'ROOM_CONFLICT';
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * 동시 수정 충돌 오류인지 확인 (mongoose VersionError 포함)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRoomConflictError = (error) =>
+  error instanceof RoomConflictError || error?.name === 'VersionError';
+
+/**
+ * 버전을 확인하며 방 저장 (읽은 뒤 다른 요청이 먼저 저장했으면 VersionError)
+ * @param {Object} room - Room 문서
+ * @returns {Promise<Object>} 저장된 Room 문서
+ */
+const saveRoomChecked = (room) => {
+  room.increment();
+  return room.save();
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 방 저장 (충돌 시 최신 문서에 변경사항을 재적용하여 재시도)
+ * @param {Object} room - 변경된 Room 문서
+ * @param {Function} reapply - async (freshRoom) => void. 최신 문서에 같은 변경을 다시 적용.
+ *                             더 이상 적용할 수 없으면 RoomConflictError를 던짐.
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries]
+ * @returns {Promise<Object>} 저장된 Room 문서 (재시도했다면 새로 읽은 문서)
+ */
+const saveRoomWithRetry = async (room, reapply, { maxRetries = DEFAULT_MAX_RETRIES } = {}) => {
+  let currentRoom = room;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await saveRoomChecked(currentRoom);
+      return currentRoom;
+    } catch (error) {
+      if (!isRoomConflictError(error)) throw error;
+      if (attempt === maxRetries) throw new RoomConflictError(undefined, error);
+
+      const freshRoom = await Room.findById(room._id);
+      if (!freshRoom) throw new RoomConflictError('방이 삭제되었습니다.', error);
+
+      await reapply(freshRoom);
+      currentRoom = freshRoom;
+      // 잠시 대기 후 재시도 (동시성 충돌 완화)
+      await wait(100 * attempt);
+    }
+  }
+  return currentRoom;
+};
+
+/**
+ * 충돌 오류면 409로 응답
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @returns {boolean} 응답했으면 true
+ */
+const sendRoomConflict = (res, error) => {
+  if (!isRoomConflictError(error)) return false;
+  res.status(409).json({
+    msg: error instanceof RoomConflictError ? error.message : CONFLICT_MESSAGE,
+    code: 'ROOM_CONFLICT'
+  });
+  return true;
+};
+
+/**
+ * 라우트 래퍼: 핸들러가 방 충돌 오류를 던지면 처음부터 다시 실행 (최신 방을 다시 읽고 같은 요청을 재적용)
+ * 재시도 후에도 충돌하면 409로 응답합니다.
+ * @param {Function} handler - async (req, res) => void
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries]
+ * @returns {Function} Express 핸들러
+ */
+const retryOnRoomConflict = (handler, { maxRetries = DEFAULT_MAX_RETRIES } = {}) => async (req, res, next) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await handler(req, res, next);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error('[retryOnRoomConflict] 응답 후 오류:', error.message);
+        return;
+      }
+      if (!isRoomConflictError(error)) return next(error);
+      if (attempt === maxRetries) {
+        sendRoomConflict(res, error);
+        return;
+      }
+      await wait(100 * attempt);
+    }
+  }
+};
+
+module.exports = {
+  RoomConflictError,
+  isRoomConflictError,
+  saveRoomChecked,
+  saveRoomWithRetry,
+  sendRoomConflict,
+  retryOnRoomConflict
+};
@@ -0,0 +1,124 @@
+/**
+ * ===================================================================================================
+ * roomPermissions.js - 조율방 역할(Role)과 권한 매트릭스
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > roomPermissions.js
+ * 🎯 주요 기능:
+ *    - 방 역할 정의: owner(방장), co_host(공동 방장), member(조원), observer(참관인).
+ *    - 역할별 권한 매트릭스(ROLE_PERMISSIONS)와 권한 확인 함수(hasRoomPermission).
+ *    - owner는 Room.owner 필드로 정해지고, 나머지 역할은 room.members[].role에 저장됨.
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/room.js - getRole / hasPermission 메서드가 이 모듈을 사용.
+ *    - server/controllers/coordinationRequestController/validators/validatePermission.js - 요청 처리 권한.
+ *    - server/controllers/roomController.js, timeSlotController.js - 방 설정/슬롯 관리 권한.
+ *    - server/controllers/coordinationMemberController.js - 역할 변경 / 방장 위임.
+ *
+ * ✏️ 수정 가이드:
+ *    - 새 권한을 추가하려면 ROOM_PERMISSIONS에 키를 추가하고 ROLE_PERMISSIONS의 각 역할 배열에 넣습니다.
+ *    - 클라이언트 화면 표시 조건(client/src/utils/coordinationUtils.js의 canManageRoom)도 함께 확인합니다.
+ *
+ * 📝 참고사항:
+ *    - 자동배정 대상은 member 역할뿐입니다. co_host(다른 강사)와 observer는 배정되지 않습니다.
+ *    - 역할을 바꿔도 이미 배정된 시간은 남아 있으며, 다음 자동배정 때 정리됩니다.
+ *
+ * ===================================================================================================
+ */
+
+const ROOM_ROLES = {
+  OWNER: 'owner',
+  CO_HOST: 'co_host',
+  MEMBER: 'member',
+  OBSERVER: 'observer'
+};
+
+// room.members[].role에 저장할 수 있는 역할 (owner는 Room.owner로만 결정)
+const MEMBER_ROLES = [ROOM_ROLES.CO_HOST, ROOM_ROLES.MEMBER, ROOM_ROLES.OBSERVER];
+
+const ROOM_PERMISSIONS = {
+  UPDATE_SETTINGS: 'update_settings',     // 방 정보/설정 수정
+  DELETE_ROOM: 'delete_room',             // 방 삭제
+  MANAGE_SCHEDULE: 'manage_schedule',     // 자동배정, 시나리오, 확정, 이동모드, 직접 배정, 시간표 복원
+  MANAGE_MEMBERS: 'manage_members',       // 조원 강퇴, 이월/완료 시간 초기화
+  MANAGE_ROLES: 'manage_roles',           // 역할 변경, 방장 위임
+  VIEW_LOGS: 'view_logs',                 // 활동 로그, 시간표 이력, 방 캘린더 피드
+  HANDLE_REQUESTS: 'handle_requests',     // 다른 사람 대상 요청도 승인/거절
+  SUBMIT_SLOTS: 'submit_slots',           // 내 시간 제출/삭제
+  REQUEST_EXCHANGE: 'request_exchange'    // 교환/양보 요청, 채팅 교환
+};
+
+const ROLE_PERMISSIONS = {
+  [ROOM_ROLES.OWNER]: Object.values(ROOM_PERMISSIONS).filter(p => p !== ROOM_PERMISSIONS.REQUEST_EXCHANGE),
+  [ROOM_ROLES.CO_HOST]: [
+    ROOM_PERMISSIONS.UPDATE_SETTINGS,
+    ROOM_PERMISSIONS.MANAGE_SCHEDULE,
+    ROOM_PERMISSIONS.MANAGE_MEMBERS,
+    ROOM_PERMISSIONS.VIEW_LOGS,
+    ROOM_PERMISSIONS.HANDLE_REQUESTS,
+    ROOM_PERMISSIONS.SUBMIT_SLOTS
+  ],
+  [ROOM_ROLES.MEMBER]: [
+    ROOM_PERMISSIONS.SUBMIT_SLOTS,
+    ROOM_PERMISSIONS.REQUEST_EXCHANGE
+  ],
+  [ROOM_ROLES.OBSERVER]: []
+};
+
+const toIdString = (ref) => {
+  if (!ref) return null;
+  return ref._id ? ref._id.toString() : ref.toString();
+};
+
+/**
+ * 방에서 사용자의 역할
+ * @param {Object} room - Room 문서 또는 lean 객체 (owner, members.user, members.role 필요)
+ * @param {string} userId
+ * @returns {string|null} ROOM_ROLES 값, 방에 없으면 null
+ */
+const getRoomRole = (room, userId) => {
+  if (!room || !userId) return null;
+  const targetId = userId.toString();
+  if (toIdString(room.owner) === targetId) return ROOM_ROLES.OWNER;
+
+  const member = (room.members || []).find(m => toIdString(m.user) === targetId);
+  if (!member) return null;
+  return member.role || ROOM_ROLES.MEMBER;
+};
+
+/**
+ * 역할에 권한이 있는지 확인
+ * @param {string|null} role
+ * @param {string} permission - ROOM_PERMISSIONS 값
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * 사용자가 방에서 권한이 있는지 확인
+ * @param {Object} room
+ * @param {string} userId
+ * @param {string} permission - ROOM_PERMISSIONS 값
+ * @returns {boolean}
+ */
+const hasRoomPermission = (room, userId, permission) => roleHasPermission(getRoomRole(room, userId), permission);
+
+/**
+ * 자동배정 대상 멤버인지 (방장/공동 방장/참관인 제외)
+ * @param {Object} room
+ * @param {Object} member - room.members 항목
+ * @returns {boolean}
+ */
+const isSchedulableMember = (room, member) =>
+  toIdString(member.user) !== toIdString(room.owner) && (member.role || ROOM_ROLES.MEMBER) === ROOM_ROLES.MEMBER;
+
+module.exports = {
+  ROOM_ROLES,
+  MEMBER_ROLES,
+  ROOM_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRoomRole,
+  roleHasPermission,
+  hasRoomPermission,
+  isSchedulableMember
+};
@@ -0,0 +1,342 @@
+/**
+ * ===================================================================================================
+ * roomResources.js - 방 자원(강의실 / 장비) 정의, 입력 검증, 중복 예약 검사
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > roomResources.js
+ * 🎯 주요 기능:
+ *    - 방장이 보낸 자원 목록 검증/정리(validateRoomResources) - settings.resources에 저장할 형태로.
+ *    - 조원이 써야 하는 자원 후보(getMemberResourceIds)와 자원 사용 가능 시간(isResourceAvailable).
+ *    - 교환/이동으로 슬롯을 새로 만들 때 비어 있는 자원 고르기(resolveSlotResource).
+ *    - 시간표 검증용 자원 중복 예약 찾기(findResourceConflicts).
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/room.js - settings.resources, timeSlots[].resourceId 스키마.
+ *    - server/controllers/roomResourceController.js - 자원 조회/저장 API.
+ *    - server/services/schedulingAlgorithm/validators/resourceValidator.js - 자동 배정 중 자원 배정.
+ *    - server/controllers/coordinationExchangeController.js, coordinationExchangeController/ - 교환/이동 흐름.
+ *    - server/services/travelModeService.js - validate-schedule 자원 충돌 경고.
+ *
+ * ✏️ 수정 가이드:
+ *    - 자원 종류를 추가하려면 RESOURCE_KINDS와 클라이언트 RoomResourcesPanel의 종류 목록을 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 자원의 members에 들어간 조원만 그 자원이 필요합니다. 여러 자원에 등록된 조원은 그중 비어 있는 하나를 씁니다.
+ *    - capacity는 같은 시각에 동시에 쓸 수 있는 수 (예: 같은 장비 2대면 2)입니다.
+ *    - availability가 비어 있으면 언제든 쓸 수 있습니다.
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const { isSchedulableMember } = require('./roomPermissions');
+
+const RESOURCE_KINDS = ['classroom', 'equipment'];
+
+const MAX_ROOM_RESOURCES = 20;
+const MAX_RESOURCE_NAME_LENGTH = 40;
+const MIN_RESOURCE_CAPACITY = 1;
+const MAX_RESOURCE_CAPACITY = 20;
+const MAX_AVAILABILITY_WINDOWS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDateString = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * 자원 사용 가능 시간대 검증
+ * @param {Array} availability - [{ days, startTime, endTime }]
+ * @param {string} position - 오류 메시지 앞부분
+ * @returns {{ availability: Array, error: string|null }}
+ */
+const validateAvailability = (availability, position) => {
+  if (availability === undefined) return { availability: [], error: null };
+  if (!Array.isArray(availability)) return { error: `${position}: 사용 가능 시간은 배열이어야 합니다.` };
+  if (availability.length > MAX_AVAILABILITY_WINDOWS) {
+    return { error: `${position}: 사용 가능 시간은 최대 ${MAX_AVAILABILITY_WINDOWS}개까지 정할 수 있습니다.` };
+  }
+
+  const normalized = [];
+  for (const window of availability) {
+    const startTime = window?.startTime || '00:00';
+    const endTime = window?.endTime || '24:00';
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) || startTime >= endTime) {
+      return { error: `${position}: 사용 가능 시간은 HH:MM 형식이고 시작이 종료보다 빨라야 합니다.` };
+    }
+    const days = window?.days === undefined ? [] : window.days;
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: `${position}: 사용 가능 요일은 0(일) ~ 6(토) 숫자 목록이어야 합니다.` };
+    }
+    normalized.push({ days: [...new Set(days)].sort(), startTime, endTime });
+  }
+  return { availability: normalized, error: null };
+};
+
+/**
+ * 방 자원 목록 검증 및 정리 (저장할 형태로)
+ * @param {Array} resources - 요청 자원 [{ name, kind, capacity, availability, members, active }]
+ * @param {Object} [room] - 대상 조원 검증용 방 (members 포함)
+ * @returns {{ resources: Array, error: string|null }}
+ */
+const validateRoomResources = (resources, room = null) => {
+  if (!Array.isArray(resources)) return { error: '자원 목록은 배열이어야 합니다.' };
+  if (resources.length > MAX_ROOM_RESOURCES) return { error: `자원은 최대 ${MAX_ROOM_RESOURCES}개까지 만들 수 있습니다.` };
+
+  const schedulableIds = room
+    ? new Set(room.members.filter(m => isSchedulableMember(room, m)).map(m => toIdString(m.user)))
+    : null;
+
+  const normalized = [];
+  const names = new Set();
+  for (const [index, resource] of resources.entries()) {
+    const position = `${index + 1}번째 자원`;
+    if (!resource || typeof resource !== 'object') return { error: `${position}이 올바르지 않습니다.` };
+
+    const name = typeof resource.name === 'string' ? resource.name.trim() : '';
+    if (!name || name.length > MAX_RESOURCE_NAME_LENGTH) {
+      return { error: `${position}: 이름은 1 ~ ${MAX_RESOURCE_NAME_LENGTH}자로 입력해주세요.` };
+    }
+    if (names.has(name)) return { error: `${position}: '${name}' 이름이 이미 있습니다.` };
+    names.add(name);
+
+    const kind = resource.kind || 'classroom';
+    if (!RESOURCE_KINDS.includes(kind)) return { error: `${position}: 지원하지 않는 자원 종류입니다.` };
+
+    const capacity = resource.capacity === undefined ? MIN_RESOURCE_CAPACITY : Number(resource.capacity);
+    if (!Number.isInteger(capacity) || capacity < MIN_RESOURCE_CAPACITY || capacity > MAX_RESOURCE_CAPACITY) {
+      return { error: `${position}: 동시 사용 수는 ${MIN_RESOURCE_CAPACITY} ~ ${MAX_RESOURCE_CAPACITY}로 설정해주세요.` };
+    }
+
+    const { availability, error } = validateAvailability(resource.availability, position);
+    if (error) return { error };
+
+    const members = [...new Set((resource.members || []).map(toIdString))];
+    if (members.some(id => !mongoose.isValidObjectId(id))) {
+      return { error: `${position}: 사용할 조원 ID가 올바르지 않습니다.` };
+    }
+    if (schedulableIds && members.some(id => !schedulableIds.has(id))) {
+      return { error: `${position}: 자동 배정 대상 조원만 지정할 수 있습니다.` };
+    }
+
+    normalized.push({
+      ...(resource._id && mongoose.isValidObjectId(resource._id) ? { _id: resource._id } : {}),
+      name,
+      kind,
+      capacity,
+      availability,
+      members,
+      active: resource.active !== false
+    });
+  }
+
+  return { resources: normalized, error: null };
+};
+
+/**
+ * 켜진 자원만 (id 문자열 포함)
+ * @param {Array} resources - settings.resources
+ * @returns {Array}
+ */
+const getActiveResources = (resources) => (resources || [])
+  .filter(resource => resource && resource._id && resource.active !== false)
+  .map(resource => ({ ...(resource.toObject ? resource.toObject() : resource), id: toIdString(resource._id) }));
+
+/**
+ * 조원이 써야 하는 자원 후보 (등록된 자원이 없으면 빈 배열 = 자원 필요 없음)
+ * @param {Array} resources - getActiveResources 결과
+ * @param {string} memberId
+ * @returns {Array<string>} 자원 ID (설정 순서)
+ */
+const getMemberResourceIds = (resources, memberId) => resources
+  .filter(resource => (resource.members || []).some(id => toIdString(id) === memberId.toString()))
+  .map(resource => resource.id);
+
+/**
+ * 자원을 그 요일 / 시간대(분)에 쓸 수 있는지
+ * @param {Object} resource - 자원
+ * @param {number} dayOfWeek - 0(일) ~ 6(토)
+ * @param {number} start - 시작 (분)
+ * @param {number} end - 종료 (분)
+ * @returns {boolean}
+ */
+const isResourceAvailable = (resource, dayOfWeek, start, end) => {
+  const windows = resource.availability || [];
+  if (windows.length === 0) return true;
+  return windows.some(window =>
+    (!window.days || window.days.length === 0 || window.days.includes(dayOfWeek))
+    && toMinutes(window.startTime) <= start && end <= toMinutes(window.endTime)
+  );
+};
+
+/**
+ * 시간대와 겹치는 예약이 동시에 가장 많을 때의 수
+ * @param {Array} bookings - [{ start, end }] (분)
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+const getPeakUsage = (bookings, start, end) => {
+  const overlapping = bookings.filter(b => b.start < end && start < b.end);
+  const points = [start, ...overlapping.map(b => b.start).filter(point => point > start)];
+  return Math.max(0, ...points.map(point => overlapping.filter(b => b.start <= point && point < b.end).length));
+};
+
+/**
+ * 방 시간표의 자원 예약 (자원 ID → 날짜 → [{ start, end, slotId, userId }])
+ * @param {Array} timeSlots - room.timeSlots
+ * @param {Set<string>} [excludeSlotIds] - 옮기는 중이라 빼고 셀 슬롯
+ * @returns {Map}
+ */
+const collectResourceBookings = (timeSlots, excludeSlotIds = new Set()) => {
+  const bookings = new Map();
+  (timeSlots || []).forEach(slot => {
+    if (!slot.resourceId || slot.isTravel || excludeSlotIds.has(toIdString(slot._id))) return;
+    const date = toDateString(slot.date);
+    if (!date || !slot.startTime || !slot.endTime) return;
+    const resourceId = toIdString(slot.resourceId);
+    if (!bookings.has(resourceId)) bookings.set(resourceId, new Map());
+    const byDate = bookings.get(resourceId);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push({
+      start: toMinutes(slot.startTime),
+      end: toMinutes(slot.endTime),
+      slotId: toIdString(slot._id),
+      userId: toIdString(slot.user)
+    });
+  });
+  return bookings;
+};
+
+/**
+ * 교환/이동으로 슬롯 블록을 새로 만들 때 쓸 자원 고르기
+ * 원래 쓰던 자원이 비어 있으면 그대로, 아니면 조원의 다른 자원 후보 중 처음 비어 있는 것을 씁니다.
+ * @param {Object} room - Room (settings.resources, timeSlots 포함)
+ * @param {Object} params
+ * @param {string} params.userId - 새 슬롯 주인
+ * @param {Array} [params.slots] - 옮기는 원래 슬롯 (예약 계산에서 빼고, 원래 자원을 먼저 시도)
+ * @param {Date|string} params.targetDate - 새 날짜
+ * @param {string} params.startTime - 새 시작 (HH:MM)
+ * @param {string} params.endTime - 새 종료 (HH:MM)
+ * @returns {{ fields: Object, error: string|null }} fields는 새 슬롯에 펼칠 { resourceId } 또는 {}
+ */
+const resolveSlotResource = (room, { userId, slots = [], targetDate, startTime, endTime }) => {
+  const resources = getActiveResources(room.settings?.resources);
+  const candidateIds = getMemberResourceIds(resources, userId);
+  if (candidateIds.length === 0) return { fields: {}, error: null };
+
+  const date = toDateString(targetDate);
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  const bookings = collectResourceBookings(room.timeSlots, new Set(slots.map(slot => toIdString(slot._id))));
+
+  const previousId = toIdString(slots.find(slot => slot.resourceId)?.resourceId);
+  const ordered = previousId && candidateIds.includes(previousId)
+    ? [previousId, ...candidateIds.filter(id => id !== previousId)]
+    : candidateIds;
+
+  const resource = ordered
+    .map(id => resources.find(r => r.id === id))
+    .find(r => isResourceAvailable(r, dayOfWeek, start, end)
+      && getPeakUsage(bookings.get(r.id)?.get(date) || [], start, end) < r.capacity);
+
+  if (!resource) {
+    const names = ordered.map(id => resources.find(r => r.id === id).name).join(', ');
+    return { fields: {}, error: `${date} ${startTime}-${endTime}에는 사용할 수 있는 자원(${names})이 없습니다.` };
+  }
+  return { fields: { resourceId: resource._id }, error: null };
+};
+
+/**
+ * 시간표의 자원 중복 예약 / 사용 불가 시간 예약 찾기 (validate-schedule)
+ * @param {Object} room - Room (settings.resources 포함)
+ * @param {Array} [timeSlots] - 검사할 슬롯 (기본: room.timeSlots 전체)
+ * @returns {Array} [{ type, resourceId, resourceName, date, startTime, endTime, userIds, message }]
+ */
+const findResourceConflicts = (room, timeSlots = room.timeSlots) => {
+  const resources = getActiveResources(room.settings?.resources);
+  if (resources.length === 0) return [];
+
+  const conflicts = [];
+  const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  const bookings = collectResourceBookings(timeSlots);
+
+  resources.forEach(resource => {
+    const byDate = bookings.get(resource.id);
+    if (!byDate) return;
+
+    byDate.forEach((dayBookings, date) => {
+      const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+      const sorted = [...dayBookings].sort((a, b) => a.start - b.start);
+      const reported = new Set();
+
+      sorted.forEach(booking => {
+        if (!isResourceAvailable(resource, dayOfWeek, booking.start, booking.end)) {
+          conflicts.push({
+            type: 'resource_unavailable',
+            resourceId: resource.id,
+            resourceName: resource.name,
+            date,
+            startTime: formatTime(booking.start),
+            endTime: formatTime(booking.end),
+            userIds: [booking.userId],
+            message: `${date} ${formatTime(booking.start)}-${formatTime(booking.end)}: '${resource.name}' 사용 가능 시간이 아닙니다.`
+          });
+        }
+
+        const overlapping = sorted.filter(other => other.start <= booking.start && booking.start < other.end);
+        if (overlapping.length <= resource.capacity) return;
+        const key = overlapping.map(other => other.slotId).sort().join(',');
+        if (reported.has(key)) return;
+        reported.add(key);
+        conflicts.push({
+          type: 'resource_double_booked',
+          resourceId: resource.id,
+          resourceName: resource.name,
+          date,
+          startTime: formatTime(booking.start),
+          endTime: formatTime(Math.min(...overlapping.map(other => other.end))),
+          userIds: [...new Set(overlapping.map(other => other.userId))],
+          message: `${date} ${formatTime(booking.start)}: '${resource.name}'을(를) ${overlapping.length}건이 함께 쓰고 있습니다 (동시 사용 ${resource.capacity}).`
+        });
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+/**
+ * 슬롯을 복사해 새로 만들 때 유지할 자원 필드 (자원을 쓰지 않으면 빈 객체)
+ * @param {Object} slot - 원래 슬롯
+ * @returns {Object} { resourceId } 또는 {}
+ */
+const getResourceSlotFields = (slot) => (slot?.resourceId ? { resourceId: slot.resourceId } : {});
+
+module.exports = {
+  RESOURCE_KINDS,
+  MAX_ROOM_RESOURCES,
+  MAX_RESOURCE_NAME_LENGTH,
+  MIN_RESOURCE_CAPACITY,
+  MAX_RESOURCE_CAPACITY,
+  validateRoomResources,
+  getActiveResources,
+  getMemberResourceIds,
+  isResourceAvailable,
+  getPeakUsage,
+  collectResourceBookings,
+  resolveSlotResource,
+  findResourceConflicts,
+  getResourceSlotFields
+};
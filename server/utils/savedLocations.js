@@ -0,0 +1,292 @@
+/**
+ * ===================================================================================================
+ * savedLocations.js - 사용자 저장 장소(집 / 학교 / 학원 지점)와 수업별 위치 결정
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > savedLocations.js
+ * 🎯 주요 기능:
+ *    - 저장 장소 목록 검증/정리(validateSavedLocations) - user.savedLocations에 저장할 형태로.
+ *    - 방장의 요일/날짜별 출발·도착 장소 검증(validateOwnerDayLocations) - room.settings.ownerDayLocations.
+ *    - 조원이 그 시간에 있을 장소(getSessionPlace) - 선호시간(defaultSchedule)에 지정한 장소, 없으면 집.
+ *    - 방장이 그날 출발/도착하는 장소(getOwnerDayPlaces).
+ *    - 장소를 기존 위치 형식({ coordinates, address })으로 변환(toSlotLocation).
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/user.js - savedLocations, defaultSchedule[].locationId 스키마.
+ *    - server/models/room.js - settings.ownerDayLocations 스키마.
+ *    - server/routes/profile.js - 저장 장소 저장 API.
+ *    - server/controllers/ownerLocationController.js - 방장 출발/도착 장소 저장 API.
+ *    - server/services/dynamicTravelTimeCalculator.js, scheduleSimulator.js, dayRouteService.js,
+ *      server/controllers/coordinationScheduling/travelModeService.js - 이동시간 계산의 출발지/도착지.
+ *    - client/src/utils/savedLocations.js - 클라이언트 측 동일 규칙.
+ *
+ * ✏️ 수정 가이드:
+ *    - 장소 종류를 추가하려면 LOCATION_KINDS와 client/src/utils/savedLocations.js의 LOCATION_KIND_LABELS를 함께 바꿉니다.
+ *
+ * 📝 참고사항:
+ *    - 프로필 주소(address/addressLat/addressLng)는 항상 'home' 장소로 취급합니다 (savedLocations에는 그 외 장소만).
+ *    - 장소 ID가 비어 있거나 지워진 장소를 가리키면 집으로 계산합니다.
+ *    - 방장 도착 장소가 없으면 마지막 수업에서 끝나는 것으로 보고 돌아오는 구간은 계산하지 않습니다.
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const HOME_LOCATION_ID = 'home';
+const LOCATION_KINDS = ['school', 'academy', 'office', 'other'];
+
+const MAX_SAVED_LOCATIONS = 10;
+const MAX_LOCATION_LABEL_LENGTH = 30;
+const MAX_LOCATION_ADDRESS_LENGTH = 200;
+const MAX_OWNER_DAY_LOCATIONS = 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDateString = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const isCoordinate = (value, limit) => value !== null && value !== undefined && value !== '' &&
+  Number.isFinite(Number(value)) && Math.abs(Number(value)) <= limit;
+
+/**
+ * 저장 장소 목록 검증 및 정리 (저장할 형태로)
+ * @param {Array} locations - 요청 장소 [{ _id?, label, kind, address, lat, lng, placeId }]
+ * @returns {{ locations: Array, error: string|null }}
+ */
+const validateSavedLocations = (locations) => {
+  if (!Array.isArray(locations)) return { error: '저장 장소 목록은 배열이어야 합니다.' };
+  if (locations.length > MAX_SAVED_LOCATIONS) return { error: `장소는 최대 ${MAX_SAVED_LOCATIONS}개까지 저장할 수 있습니다.` };
+
+  const normalized = [];
+  const labels = new Set();
+  for (const [index, location] of locations.entries()) {
+    const position = `${index + 1}번째 장소`;
+    if (!location || typeof location !== 'object') return { error: `${position}가 올바르지 않습니다.` };
+
+    const label = typeof location.label === 'string' ? location.label.trim() : '';
+    if (!label || label.length > MAX_LOCATION_LABEL_LENGTH) {
+      return { error: `${position}: 이름은 1 ~ ${MAX_LOCATION_LABEL_LENGTH}자로 입력해주세요.` };
+    }
+    if (labels.has(label)) return { error: `${position}: '${label}' 이름이 이미 있습니다.` };
+    labels.add(label);
+
+    const kind = location.kind || 'other';
+    if (!LOCATION_KINDS.includes(kind)) return { error: `${position}: 지원하지 않는 장소 종류입니다.` };
+
+    const address = typeof location.address === 'string' ? location.address.trim() : '';
+    if (!address || address.length > MAX_LOCATION_ADDRESS_LENGTH) {
+      return { error: `${position}: 주소는 1 ~ ${MAX_LOCATION_ADDRESS_LENGTH}자로 입력해주세요.` };
+    }
+    if (!isCoordinate(location.lat, 90) || !isCoordinate(location.lng, 180)) {
+      return { error: `${position}: 주소 검색으로 좌표를 지정해주세요.` };
+    }
+
+    normalized.push({
+      ...(location._id && mongoose.isValidObjectId(location._id) ? { _id: location._id } : {}),
+      label,
+      kind,
+      address,
+      lat: Number(location.lat),
+      lng: Number(location.lng),
+      placeId: typeof location.placeId === 'string' && location.placeId ? location.placeId : null
+    });
+  }
+  return { locations: normalized, error: null };
+};
+
+/**
+ * 사용자의 모든 장소 (집 + 저장 장소, 좌표가 있는 것만)
+ * @param {Object} user - address/addressLat/addressLng, savedLocations 포함
+ * @returns {Array} [{ id, label, kind, address, lat, lng }]
+ */
+const getUserPlaces = (user) => {
+  if (!user) return [];
+  const places = [];
+  if (isCoordinate(user.addressLat, 90) && isCoordinate(user.addressLng, 180)) {
+    places.push({
+      id: HOME_LOCATION_ID,
+      label: '집',
+      kind: 'home',
+      address: user.address || '',
+      lat: Number(user.addressLat),
+      lng: Number(user.addressLng)
+    });
+  }
+  (user.savedLocations || []).forEach(location => {
+    if (!isCoordinate(location.lat, 90) || !isCoordinate(location.lng, 180)) return;
+    places.push({
+      id: toIdString(location._id),
+      label: location.label,
+      kind: location.kind,
+      address: location.address || '',
+      lat: Number(location.lat),
+      lng: Number(location.lng)
+    });
+  });
+  return places;
+};
+
+/**
+ * 장소 ID로 사용자 장소 찾기 (ID가 비어 있으면 집)
+ * @param {Object} user
+ * @param {string} [locationId]
+ * @returns {Object|null} { id, label, kind, address, lat, lng }
+ */
+const findUserPlace = (user, locationId) => {
+  const id = locationId ? String(locationId) : HOME_LOCATION_ID;
+  return getUserPlaces(user).find(place => place.id === id) || null;
+};
+
+/**
+ * 그 날짜/시각을 포함하는 선호시간에 지정된 장소 ID (특정 날짜 선호시간이 요일 반복보다 우선)
+ * 시간표 확정 시 배정된 선호시간은 deletedPreferencesByRoom으로 옮겨지므로 roomId가 있으면 그 백업도 봅니다.
+ * @param {Object} user - defaultSchedule (deletedPreferencesByRoom) 포함
+ * @param {Date|string} date - 슬롯 날짜 (방 시간대 기준 날짜, UTC 자정)
+ * @param {string} startTime - HH:MM
+ * @param {string} [roomId]
+ * @returns {string|null}
+ */
+const getPreferenceLocationId = (user, date, startTime, roomId = null) => {
+  const dateStr = toDateString(date);
+  if (!dateStr || !startTime) return null;
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  const minutes = toMinutes(startTime);
+  const covers = window => window.startTime && window.endTime &&
+    minutes >= toMinutes(window.startTime) && minutes < toMinutes(window.endTime);
+
+  const backup = roomId
+    ? (user?.deletedPreferencesByRoom || []).find(item => toIdString(item.roomId) === toIdString(roomId))
+    : null;
+  const windows = [...(user?.defaultSchedule || []), ...(backup?.deletedTimes || [])];
+  const window = windows.find(w => w.specificDate === dateStr && covers(w)) ||
+    windows.find(w => !w.specificDate && w.dayOfWeek === dayOfWeek && covers(w));
+  return window?.locationId || null;
+};
+
+/**
+ * 조원이 그 수업 시간에 있을 장소 (선호시간에 지정한 장소, 없거나 지워졌으면 집)
+ * @param {Object} user - address 필드, savedLocations, defaultSchedule 포함
+ * @param {Date|string} date
+ * @param {string} startTime - HH:MM
+ * @param {string} [roomId] - 확정으로 옮겨진 선호시간까지 보려면 방 ID
+ * @returns {Object|null} { id, label, kind, address, lat, lng } (좌표가 없으면 null)
+ */
+const getSessionPlace = (user, date, startTime, roomId = null) => {
+  const locationId = getPreferenceLocationId(user, date, startTime, roomId);
+  return (locationId && findUserPlace(user, locationId)) || findUserPlace(user, HOME_LOCATION_ID);
+};
+
+/**
+ * 방장 요일/날짜별 출발·도착 장소 검증 및 정리
+ * @param {Array} entries - [{ dayOfWeek?, specificDate?, startLocationId?, endLocationId? }]
+ * @param {Object} owner - 장소 ID 확인용 방장 (address 필드, savedLocations 포함)
+ * @returns {{ dayLocations: Array, error: string|null }}
+ */
+const validateOwnerDayLocations = (entries, owner) => {
+  if (!Array.isArray(entries)) return { error: '출발/도착 장소 목록은 배열이어야 합니다.' };
+  if (entries.length > MAX_OWNER_DAY_LOCATIONS) {
+    return { error: `출발/도착 장소는 최대 ${MAX_OWNER_DAY_LOCATIONS}개까지 정할 수 있습니다.` };
+  }
+
+  const placeIds = new Set(getUserPlaces(owner).map(place => place.id));
+  const normalized = [];
+  const keys = new Set();
+  for (const [index, entry] of entries.entries()) {
+    const position = `${index + 1}번째 항목`;
+    if (!entry || typeof entry !== 'object') return { error: `${position}이 올바르지 않습니다.` };
+
+    const hasDate = entry.specificDate !== undefined && entry.specificDate !== null && entry.specificDate !== '';
+    if (hasDate && !DATE_PATTERN.test(entry.specificDate)) {
+      return { error: `${position}: 날짜는 YYYY-MM-DD 형식이어야 합니다.` };
+    }
+    if (!hasDate && (!Number.isInteger(entry.dayOfWeek) || entry.dayOfWeek < 0 || entry.dayOfWeek > 6)) {
+      return { error: `${position}: 요일(0(일) ~ 6(토)) 또는 날짜를 지정해주세요.` };
+    }
+    const key = hasDate ? entry.specificDate : `day-${entry.dayOfWeek}`;
+    if (keys.has(key)) return { error: `${position}: 같은 요일/날짜가 이미 있습니다.` };
+    keys.add(key);
+
+    const startLocationId = entry.startLocationId ? String(entry.startLocationId) : null;
+    const endLocationId = entry.endLocationId ? String(entry.endLocationId) : null;
+    if ((startLocationId && !placeIds.has(startLocationId)) || (endLocationId && !placeIds.has(endLocationId))) {
+      return { error: `${position}: 방장의 저장 장소에서 골라주세요.` };
+    }
+    if (!startLocationId && !endLocationId) return { error: `${position}: 출발 또는 도착 장소를 지정해주세요.` };
+
+    normalized.push(hasDate
+      ? { specificDate: entry.specificDate, startLocationId, endLocationId }
+      : { dayOfWeek: entry.dayOfWeek, startLocationId, endLocationId });
+  }
+  return { dayLocations: normalized, error: null };
+};
+
+/**
+ * 방장이 그날 출발하는 장소와 마지막 수업 뒤 도착하는 장소
+ * 출발: 그날 지정한 장소 → 방 기준 위치(ownerHomeLocation) → 방장 집
+ * @param {Object} room - settings.ownerDayLocations, ownerHomeLocation 포함
+ * @param {Object} owner - address 필드, savedLocations 포함
+ * @param {Date|string} date
+ * @returns {{ start: Object|null, end: Object|null }}
+ */
+const getOwnerDayPlaces = (room, owner, date) => {
+  const dateStr = toDateString(date);
+  const dayOfWeek = dateStr ? new Date(`${dateStr}T00:00:00Z`).getUTCDay() : null;
+  const entries = room?.settings?.ownerDayLocations || [];
+  const entry = entries.find(e => e.specificDate && e.specificDate === dateStr) ||
+    entries.find(e => !e.specificDate && e.dayOfWeek === dayOfWeek);
+
+  const roomHome = room?.ownerHomeLocation?.coordinates;
+  const roomStart = isCoordinate(roomHome?.lat, 90) && isCoordinate(roomHome?.lng, 180)
+    ? {
+      id: 'room',
+      label: room.ownerHomeLocation.description || '방 기준 위치',
+      kind: 'other',
+      address: room.ownerHomeLocation.address || '',
+      lat: Number(roomHome.lat),
+      lng: Number(roomHome.lng)
+    }
+    : null;
+
+  const start = (entry?.startLocationId && findUserPlace(owner, entry.startLocationId)) ||
+    roomStart ||
+    findUserPlace(owner, HOME_LOCATION_ID);
+  const end = entry?.endLocationId ? findUserPlace(owner, entry.endLocationId) : null;
+  return { start, end };
+};
+
+/**
+ * 장소를 TimeSlot.location 형태로 변환 (dynamicTravelTimeCalculator 등 기존 위치 형식)
+ * @param {Object} place - { label, address, lat, lng }
+ * @returns {Object} { type: 'coordinates', address, coordinates: { lat, lng }, description }
+ */
+const toSlotLocation = (place) => ({
+  type: 'coordinates',
+  address: place.address,
+  coordinates: { lat: place.lat, lng: place.lng },
+  description: place.label
+});
+
+module.exports = {
+  HOME_LOCATION_ID,
+  LOCATION_KINDS,
+  MAX_SAVED_LOCATIONS,
+  validateSavedLocations,
+  validateOwnerDayLocations,
+  getUserPlaces,
+  findUserPlace,
+  getPreferenceLocationId,
+  getSessionPlace,
+  getOwnerDayPlaces,
+  toSlotLocation
+};
@@ -27,8 +27,7 @@
  * ===================================================================================================
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../services/llm');
 
 /**
  * detectStudentGrade
@@ -90,8 +89,6 @@ async function filterSchedulesByGrade(schedules, studentGrade) {
   }
 
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
     const prompt = `
 당신은 학년별 수업 적합성을 판단하는 전문가입니다.
 
@@ -126,8 +123,7 @@ ${schedules.map((s, idx) => `${idx}. ${s.title} (gradeLevel: ${s.gradeLevel || '
 { "suitableIndexes": [0, 2, 5, ...] }
 `;
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
+    const text = await llm.generateText(prompt);
 
     // JSON 파싱
     const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -169,8 +165,6 @@ ${schedules.map((s, idx) => `${idx}. ${s.title} (gradeLevel: ${s.gradeLevel || '
  */
 async function categorizeSchedulesBatch(schedules, imageTitle) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
     // 스케줄 목록을 텍스트로 변환
     const scheduleList = schedules.map((s, idx) =>
       `${idx}. ${s.title} (${s.days?.join(',') || ''} ${s.startTime}-${s.endTime})`
@@ -205,8 +199,7 @@ ${scheduleList}
 ]
 `;
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
+    const text = await llm.generateText(prompt);
     const jsonMatch = text.match(/\[[\s\S]*?\]/);
 
     if (!jsonMatch) {
@@ -0,0 +1,181 @@
+/**
+ * ===================================================================================================
+ * schedulingRules.js - 방 배정 규칙(하드/소프트 제약) 정의와 입력 검증
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > schedulingRules.js
+ * 🎯 주요 기능:
+ *    - 규칙 종류(SCHEDULING_RULE_TYPES)와 종류별 파라미터 범위.
+ *    - 방장이 보낸 규칙 목록 검증/정리(validateSchedulingRules) - 규칙 API와 방 설정 수정에서 사용.
+ *    - hard 규칙은 자동 배정에서 절대 어기지 않고, soft 규칙은 weight(1~10)만큼 불리하게 점수를 매김.
+ *
+ * 🔗 연결된 파일:
+ *    - server/models/room.js - settings.schedulingRules 스키마.
+ *    - server/controllers/schedulingRuleController.js - 규칙 조회/저장 API.
+ *    - server/services/schedulingAlgorithm/validators/ruleValidator.js - 자동 배정 중 규칙 적용 / 위반 검사.
+ *
+ * ✏️ 수정 가이드:
+ *    - 새 규칙 종류를 추가하려면 SCHEDULING_RULE_TYPES에 넣고, validateRuleParams와
+ *      ruleValidator.js의 검사 함수, 클라이언트 RoomRulesPanel의 입력 폼을 함께 추가합니다.
+ *
+ * 📝 참고사항:
+ *    - members가 비어 있으면 모든 조원에게 적용됩니다 (back_to_back은 묶을 조원 2명 이상 필수).
+ *    - max_hours_per_day의 appliesTo가 'owner'면 그날 모든 조원 수업 시간 합계(방장 수업 시간)를 제한합니다.
+ *
+ * ===================================================================================================
+ */
+
+const mongoose = require('mongoose');
+const { isSchedulableMember } = require('./roomPermissions');
+
+const SCHEDULING_RULE_TYPES = {
+  MAX_SESSIONS_PER_WEEK: 'max_sessions_per_week',         // 조원별 주당 최대 수업 횟수
+  MIN_DAYS_BETWEEN_SESSIONS: 'min_days_between_sessions', // 수업 사이 최소 간격 (일)
+  TIME_WINDOW: 'time_window',                             // 조원별 허용 시간대 / 요일
+  MAX_HOURS_PER_DAY: 'max_hours_per_day',                 // 하루 최대 수업 시간 (조원별 또는 방장)
+  BACK_TO_BACK: 'back_to_back'                            // 묶은 조원끼리 같은 날 연달아 배정
+};
+
+const RULE_ENFORCEMENTS = ['hard', 'soft'];
+const RULE_APPLIES_TO = ['member', 'owner'];
+
+const MAX_SCHEDULING_RULES = 20;
+const MIN_RULE_WEIGHT = 1;
+const MAX_RULE_WEIGHT = 10;
+const DEFAULT_RULE_WEIGHT = 5;
+const MAX_RULE_LABEL_LENGTH = 60;
+const MAX_SESSIONS_LIMIT = 14;
+const MAX_GAP_DAYS = 6;
+const MAX_HOURS_PER_DAY_LIMIT = 24;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+/**
+ * 종류별 파라미터 검증
+ * @param {Object} rule - 요청 규칙
+ * @returns {{ params: Object, error: string|null }}
+ */
+const validateRuleParams = (rule) => {
+  switch (rule.type) {
+    case SCHEDULING_RULE_TYPES.MAX_SESSIONS_PER_WEEK: {
+      const maxSessions = Number(rule.maxSessions);
+      if (!Number.isInteger(maxSessions) || maxSessions < 1 || maxSessions > MAX_SESSIONS_LIMIT) {
+        return { error: `주당 최대 횟수는 1 ~ ${MAX_SESSIONS_LIMIT}회로 설정해주세요.` };
+      }
+      return { params: { maxSessions } };
+    }
+    case SCHEDULING_RULE_TYPES.MIN_DAYS_BETWEEN_SESSIONS: {
+      const minGapDays = Number(rule.minGapDays);
+      if (!Number.isInteger(minGapDays) || minGapDays < 1 || minGapDays > MAX_GAP_DAYS) {
+        return { error: `수업 사이 간격은 1 ~ ${MAX_GAP_DAYS}일로 설정해주세요.` };
+      }
+      return { params: { minGapDays } };
+    }
+    case SCHEDULING_RULE_TYPES.TIME_WINDOW: {
+      const startTime = rule.startTime || '00:00';
+      const endTime = rule.endTime || '24:00';
+      if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) || startTime >= endTime) {
+        return { error: '허용 시간대는 HH:MM 형식이고 시작이 종료보다 빨라야 합니다.' };
+      }
+      const days = rule.days === undefined ? [] : rule.days;
+      if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: '허용 요일은 0(일) ~ 6(토) 숫자 목록이어야 합니다.' };
+      }
+      return { params: { startTime, endTime, days: [...new Set(days)].sort() } };
+    }
+    case SCHEDULING_RULE_TYPES.MAX_HOURS_PER_DAY: {
+      const maxHours = Number(rule.maxHours);
+      const appliesTo = rule.appliesTo || 'member';
+      if (!Number.isFinite(maxHours) || maxHours <= 0 || maxHours > MAX_HOURS_PER_DAY_LIMIT) {
+        return { error: `하루 최대 시간은 0 ~ ${MAX_HOURS_PER_DAY_LIMIT}시간 사이로 설정해주세요.` };
+      }
+      if (!RULE_APPLIES_TO.includes(appliesTo)) {
+        return { error: '하루 최대 시간의 적용 대상은 member 또는 owner여야 합니다.' };
+      }
+      return { params: { maxHours, appliesTo } };
+    }
+    case SCHEDULING_RULE_TYPES.BACK_TO_BACK:
+      return { params: {} };
+    default:
+      return { error: `알 수 없는 규칙 종류입니다: ${rule.type}` };
+  }
+};
+
+/**
+ * 규칙 목록 검증 및 정리 (저장할 형태로)
+ * @param {Array} rules - 요청 규칙 목록
+ * @param {Object} [room] - 대상 조원 검증용 방 (members 포함)
+ * @returns {{ rules: Array, error: string|null }}
+ */
+const validateSchedulingRules = (rules, room = null) => {
+  if (!Array.isArray(rules)) return { error: '규칙 목록은 배열이어야 합니다.' };
+  if (rules.length > MAX_SCHEDULING_RULES) return { error: `규칙은 최대 ${MAX_SCHEDULING_RULES}개까지 만들 수 있습니다.` };
+
+  const schedulableIds = room
+    ? new Set(room.members.filter(m => isSchedulableMember(room, m)).map(m => toIdString(m.user)))
+    : null;
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const position = `${index + 1}번째 규칙`;
+    if (!rule || typeof rule !== 'object') return { error: `${position}이 올바르지 않습니다.` };
+
+    const { params, error } = validateRuleParams(rule);
+    if (error) return { error: `${position}: ${error}` };
+
+    const enforcement = rule.enforcement || 'hard';
+    if (!RULE_ENFORCEMENTS.includes(enforcement)) {
+      return { error: `${position}: 적용 방식은 hard 또는 soft여야 합니다.` };
+    }
+
+    const weight = rule.weight === undefined ? DEFAULT_RULE_WEIGHT : Number(rule.weight);
+    if (!Number.isInteger(weight) || weight < MIN_RULE_WEIGHT || weight > MAX_RULE_WEIGHT) {
+      return { error: `${position}: 가중치는 ${MIN_RULE_WEIGHT} ~ ${MAX_RULE_WEIGHT} 정수로 설정해주세요.` };
+    }
+
+    const label = typeof rule.label === 'string' ? rule.label.trim() : '';
+    if (label.length > MAX_RULE_LABEL_LENGTH) {
+      return { error: `${position}: 이름은 ${MAX_RULE_LABEL_LENGTH}자 이하로 입력해주세요.` };
+    }
+
+    const members = params.appliesTo === 'owner'
+      ? []
+      : [...new Set((rule.members || []).map(toIdString))];
+    if (members.some(id => !mongoose.isValidObjectId(id))) {
+      return { error: `${position}: 대상 조원 ID가 올바르지 않습니다.` };
+    }
+    if (schedulableIds && members.some(id => !schedulableIds.has(id))) {
+      return { error: `${position}: 대상은 이 방의 조원이어야 합니다.` };
+    }
+    if (rule.type === SCHEDULING_RULE_TYPES.BACK_TO_BACK && members.length < 2) {
+      return { error: `${position}: 연달아 배정할 조원을 2명 이상 선택해주세요.` };
+    }
+
+    normalized.push({
+      ...(rule._id && mongoose.isValidObjectId(rule._id) ? { _id: rule._id } : {}),
+      type: rule.type,
+      label,
+      enforcement,
+      weight,
+      enabled: rule.enabled !== false,
+      members,
+      ...params
+    });
+  }
+
+  return { rules: normalized, error: null };
+};
+
+module.exports = {
+  SCHEDULING_RULE_TYPES,
+  RULE_ENFORCEMENTS,
+  RULE_APPLIES_TO,
+  MAX_SCHEDULING_RULES,
+  MIN_RULE_WEIGHT,
+  MAX_RULE_WEIGHT,
+  DEFAULT_RULE_WEIGHT,
+  MAX_RULE_LABEL_LENGTH,
+  validateSchedulingRules
+};
@@ -0,0 +1,243 @@
+/**
+ * ===================================================================================================
+ * timezone.js - IANA 시간대 계산 유틸리티
+ * ===================================================================================================
+ *
+ * 📍 위치: 백엔드 > server/utils > timezone.js
+ * 🎯 주요 기능:
+ *    - 시간대 이름 검증/정규화 (사용자 preferences.timezone, 방 settings.timezone).
+ *    - 벽시계 시각(YYYY-MM-DD + HH:MM)과 UTC 시각 사이의 변환 (서머타임 보정 포함).
+ *    - 한 시간대의 시간 범위를 다른 시간대로 옮기기 (자정을 넘으면 날짜별로 분할).
+ *    - 시간대 기준 오늘 날짜 / 이번 주 월요일 계산.
+ *
+ * 🔗 연결된 파일:
+ *    - server/utils/icalendarParser.js - TZID 해석.
+ *    - server/services/schedulingAlgorithm/helpers/timezoneHelper.js - 멤버 선호시간을 방 시간대로 변환.
+ *    - server/services/confirmScheduleService.js - 확정 일정을 각 사용자 시간대로 저장/구글 동기화.
+ *    - server/controllers/calendarController.js - 구글 캘린더 요청 시간대.
+ *    - server/controllers/timeSlotController.js - 공통 슬롯 조회 (조회자 시간대 값 포함).
+ *
+ * ✏️ 수정 가이드:
+ *    - 기본 시간대를 바꾸려면 DEFAULT_TIMEZONE 수정 (스키마 기본값과 함께).
+ *
+ * 📝 참고사항:
+ *    - 방 슬롯은 방 시간대의 벽시계 시각으로 저장됩니다 (date: 해당 날짜의 UTC 자정, startTime/endTime: HH:MM).
+ *    - 날짜 문자열(YYYY-MM-DD)은 시간대와 무관한 달력 날짜이므로 계산은 모두 Date.UTC로 합니다.
+ *
+ * ===================================================================================================
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatterCache = new Map();
+
+/**
+ * 시간대별 Intl.DateTimeFormat (생성 비용이 커서 캐시)
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * 유효한 IANA 시간대인지 확인
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * 유효한 시간대면 그대로, 아니면 기본값 반환
+ * @param {string} timeZone
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+function resolveTimezone(timeZone, fallback = DEFAULT_TIMEZONE) {
+  return isValidTimezone(timeZone) ? timeZone : fallback;
+}
+
+/**
+ * 사용자 시간대 (preferences.timezone)
+ * @param {Object} user
+ * @returns {string}
+ */
+function getUserTimezone(user) {
+  return resolveTimezone(user?.preferences?.timezone);
+}
+
+/**
+ * 방 시간대 (settings.timezone) - 방 슬롯의 기준 시간대
+ * @param {Object} room
+ * @returns {string}
+ */
+function getRoomTimezone(room) {
+  return resolveTimezone(room?.settings?.timezone);
+}
+
+/**
+ * 특정 시간대의 UTC 오프셋(ms) 계산
+ * @param {number} utcMs - 기준 시각 (UTC ms)
+ * @param {string} timeZone - IANA 시간대
+ * @returns {number}
+ */
+function getTimezoneOffset(utcMs, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * 시간대 기준의 벽시계 시각을 UTC Date로 변환
+ * @param {number[]} fields - [year, month(1-12), day, hour, minute, second]
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Date}
+ */
+function zonedTimeToUtc([year, month, day, hour, minute, second], timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let utcMs = wallClock - getTimezoneOffset(wallClock, timeZone);
+  // 서머타임 경계 보정: 계산된 시각의 오프셋으로 한 번 더 맞춤
+  utcMs = wallClock - getTimezoneOffset(utcMs, timeZone);
+  return new Date(utcMs);
+}
+
+/**
+ * 날짜 문자열 + HH:MM을 해당 시간대의 UTC Date로 변환 ("24:00"은 다음날 자정)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function wallClockToDate(dateStr, time, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc([year, month, day, hour, minute, 0], timeZone);
+}
+
+/**
+ * UTC 시각을 시간대 기준 벽시계 값으로 변환
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {{dateStr: string, time: string, dayOfWeek: number, day: string, minutes: number}}
+ *          dayOfWeek: 0(일) ~ 6(토), day: 'monday' 등 방 슬롯 형식
+ */
+function toZonedParts(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date));
+  const get = type => parts.find(p => p.type === type).value;
+  const dateStr = `${get('year')}-${get('month')}-${get('day')}`;
+  const time = `${get('hour')}:${get('minute')}`;
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return {
+    dateStr,
+    time,
+    dayOfWeek,
+    day: DAY_NAMES[dayOfWeek],
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+/**
+ * 한 시간대의 시간 범위를 다른 시간대로 변환
+ * 변환 결과가 자정을 넘으면 날짜별로 나누어 반환합니다 (종료 시각 "24:00"은 자정까지).
+ * @param {string} dateStr - 원래 시간대의 날짜 (YYYY-MM-DD)
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM ("24:00" 허용)
+ * @param {string} fromTz - 원래 시간대
+ * @param {string} toTz - 변환할 시간대
+ * @returns {Array<{dateStr: string, day: string, dayOfWeek: number, startTime: string, endTime: string}>}
+ */
+function convertTimeRange(dateStr, startTime, endTime, fromTz, toTz) {
+  if (fromTz === toTz) {
+    const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return [{ dateStr, day: DAY_NAMES[dayOfWeek], dayOfWeek, startTime, endTime }];
+  }
+
+  const startMs = wallClockToDate(dateStr, startTime, fromTz).getTime();
+  const endMs = wallClockToDate(dateStr, endTime, fromTz).getTime();
+  const ranges = [];
+
+  let cursor = startMs;
+  while (cursor < endMs) {
+    const start = toZonedParts(cursor, toTz);
+    const nextMidnight = wallClockToDate(shiftDateStr(start.dateStr, 1), '00:00', toTz).getTime();
+    const segmentEnd = Math.min(endMs, nextMidnight);
+
+    ranges.push({
+      dateStr: start.dateStr,
+      day: start.day,
+      dayOfWeek: start.dayOfWeek,
+      startTime: start.time,
+      endTime: segmentEnd === nextMidnight ? '24:00' : toZonedParts(segmentEnd, toTz).time
+    });
+    cursor = segmentEnd;
+  }
+
+  return ranges;
+}
+
+/**
+ * 날짜 문자열을 n일 이동
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDateStr(dateStr, days) {
+  return new Date(new Date(`${dateStr}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * 시간대 기준 오늘 날짜 (방 슬롯 형식: 해당 날짜의 UTC 자정)
+ * @param {Date} now - 기준 시각
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function getDateInZone(now, timeZone) {
+  return new Date(`${toZonedParts(now, timeZone).dateStr}T00:00:00.000Z`);
+}
+
+/**
+ * 시간대 기준 이번 주 월요일 (방 슬롯 형식: 해당 날짜의 UTC 자정)
+ * @param {Date} now - 기준 시각
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function getWeekStartInZone(now, timeZone) {
+  const { dateStr, dayOfWeek } = toZonedParts(now, timeZone);
+  const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+  return new Date(`${shiftDateStr(dateStr, -daysFromMonday)}T00:00:00.000Z`);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getUserTimezone,
+  getRoomTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  wallClockToDate,
+  toZonedParts,
+  convertTimeRange,
+  shiftDateStr,
+  getDateInZone,
+  getWeekStartInZone
+};